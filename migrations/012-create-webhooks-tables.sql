@@ -0,0 +1,50 @@
+-- Migration: Create webhooks and webhook_deliveries tables
+-- Description: Per-user outbound webhook subscriptions and their delivery log
+
+CREATE TABLE webhooks (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    url TEXT NOT NULL,
+    description VARCHAR(255),
+    events JSONB NOT NULL DEFAULT '[]',
+    secret VARCHAR(128) NOT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    consecutive_failures INTEGER NOT NULL DEFAULT 0,
+    last_delivery_at TIMESTAMP,
+    last_delivery_status VARCHAR(20),
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    webhook_id UUID NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    event VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'success', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    response_status INTEGER,
+    response_body TEXT,
+    error TEXT,
+    duration_ms INTEGER,
+    delivered_at TIMESTAMP,
+    redelivery_of UUID REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Add comments
+COMMENT ON TABLE webhooks IS 'User webhook subscriptions for outbound event delivery';
+COMMENT ON COLUMN webhooks.events IS 'Subscribed events, e.g. ["receipt.created", "budget.alert"]';
+COMMENT ON COLUMN webhooks.secret IS 'HMAC-SHA256 signing secret sent to the user once';
+COMMENT ON COLUMN webhooks.consecutive_failures IS 'Failed deliveries since the last success';
+COMMENT ON TABLE webhook_deliveries IS 'Delivery log for webhook events, one row per event and subscription';
+COMMENT ON COLUMN webhook_deliveries.response_body IS 'Truncated response body of the last attempt';
+COMMENT ON COLUMN webhook_deliveries.redelivery_of IS 'Original delivery when manually redelivered';
+
+-- Create indexes for performance
+CREATE INDEX idx_webhooks_user_id ON webhooks(user_id);
+CREATE INDEX idx_webhooks_user_active ON webhooks(user_id, is_active);
+CREATE INDEX idx_webhook_deliveries_webhook_created ON webhook_deliveries(webhook_id, created_at DESC);
+CREATE INDEX idx_webhook_deliveries_status ON webhook_deliveries(status);
@@ -0,0 +1,26 @@
+-- Migration: Create personal_access_tokens table
+-- Description: Named, revocable API tokens with scoped permissions for scripts and integrations
+
+CREATE TABLE personal_access_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    token_prefix VARCHAR(16) NOT NULL,
+    scopes JSONB NOT NULL DEFAULT '[]',
+    expires_at TIMESTAMP,
+    last_used_at TIMESTAMP,
+    last_used_ip VARCHAR(45),
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Add comments
+COMMENT ON TABLE personal_access_tokens IS 'User-minted API tokens; only the SHA-256 hash of the token is stored';
+COMMENT ON COLUMN personal_access_tokens.token_prefix IS 'First characters of the token, shown to help users identify it';
+COMMENT ON COLUMN personal_access_tokens.scopes IS 'Granted scopes, e.g. ["receipts:read", "analytics:read"]';
+COMMENT ON COLUMN personal_access_tokens.expires_at IS 'Optional expiry, NULL = never expires';
+
+-- Create indexes for performance
+CREATE INDEX idx_personal_access_tokens_user_id ON personal_access_tokens(user_id);
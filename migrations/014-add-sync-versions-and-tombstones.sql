@@ -0,0 +1,90 @@
+-- Migration: Add sync versions and tombstones for delta sync
+-- Description: Every write to a synced table takes the next value of a global change sequence,
+-- and deletions leave a tombstone, so devices can pull everything changed since their cursor
+
+CREATE SEQUENCE sync_change_seq;
+
+-- Add sync_version columns (existing rows get a version from the sequence)
+ALTER TABLE receipts ADD COLUMN sync_version BIGINT NOT NULL DEFAULT nextval('sync_change_seq');
+ALTER TABLE receipt_items ADD COLUMN sync_version BIGINT NOT NULL DEFAULT nextval('sync_change_seq');
+ALTER TABLE budgets ADD COLUMN sync_version BIGINT NOT NULL DEFAULT nextval('sync_change_seq');
+ALTER TABLE saved_filters ADD COLUMN sync_version BIGINT NOT NULL DEFAULT nextval('sync_change_seq');
+
+COMMENT ON COLUMN receipts.sync_version IS 'Change sequence value of the last write, used as delta sync cursor';
+COMMENT ON COLUMN receipt_items.sync_version IS 'Change sequence value of the last write, used as delta sync cursor';
+COMMENT ON COLUMN budgets.sync_version IS 'Change sequence value of the last write, used as delta sync cursor';
+COMMENT ON COLUMN saved_filters.sync_version IS 'Change sequence value of the last write, used as delta sync cursor';
+
+CREATE TABLE sync_tombstones (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    entity_type VARCHAR(20) NOT NULL CHECK (entity_type IN ('receipt', 'item', 'budget', 'savedFilter')),
+    entity_id UUID NOT NULL,
+    parent_id UUID,
+    sync_version BIGINT NOT NULL DEFAULT nextval('sync_change_seq'),
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE sync_tombstones IS 'Deleted synced records, kept so devices learn about deletions';
+COMMENT ON COLUMN sync_tombstones.parent_id IS 'Receipt of a deleted item';
+
+-- Bump sync_version on every insert and update
+CREATE OR REPLACE FUNCTION sync_version_bump()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.sync_version := nextval('sync_change_seq');
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Record a tombstone on delete. TG_ARGV[0] is the entity type.
+-- Items deleted together with their receipt are covered by the receipt tombstone:
+-- the receipt row is already gone when the cascade runs, so no item tombstone is written.
+-- The same applies to everything removed when a user account is deleted.
+CREATE OR REPLACE FUNCTION sync_tombstone_record()
+RETURNS TRIGGER AS $$
+DECLARE
+  owner_id UUID;
+  parent UUID := NULL;
+BEGIN
+  IF TG_TABLE_NAME = 'receipt_items' THEN
+    parent := OLD.receipt_id;
+    SELECT user_id INTO owner_id FROM receipts WHERE id = OLD.receipt_id;
+  ELSE
+    owner_id := OLD.user_id;
+  END IF;
+
+  IF owner_id IS NOT NULL AND EXISTS (SELECT 1 FROM users WHERE id = owner_id) THEN
+    INSERT INTO sync_tombstones (user_id, entity_type, entity_id, parent_id)
+    VALUES (owner_id, TG_ARGV[0], OLD.id, parent);
+  END IF;
+
+  RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER receipts_sync_version BEFORE INSERT OR UPDATE ON receipts
+FOR EACH ROW EXECUTE FUNCTION sync_version_bump();
+CREATE TRIGGER receipt_items_sync_version BEFORE INSERT OR UPDATE ON receipt_items
+FOR EACH ROW EXECUTE FUNCTION sync_version_bump();
+CREATE TRIGGER budgets_sync_version BEFORE INSERT OR UPDATE ON budgets
+FOR EACH ROW EXECUTE FUNCTION sync_version_bump();
+CREATE TRIGGER saved_filters_sync_version BEFORE INSERT OR UPDATE ON saved_filters
+FOR EACH ROW EXECUTE FUNCTION sync_version_bump();
+
+CREATE TRIGGER receipts_sync_tombstone AFTER DELETE ON receipts
+FOR EACH ROW EXECUTE FUNCTION sync_tombstone_record('receipt');
+CREATE TRIGGER receipt_items_sync_tombstone AFTER DELETE ON receipt_items
+FOR EACH ROW EXECUTE FUNCTION sync_tombstone_record('item');
+CREATE TRIGGER budgets_sync_tombstone AFTER DELETE ON budgets
+FOR EACH ROW EXECUTE FUNCTION sync_tombstone_record('budget');
+CREATE TRIGGER saved_filters_sync_tombstone AFTER DELETE ON saved_filters
+FOR EACH ROW EXECUTE FUNCTION sync_tombstone_record('savedFilter');
+
+-- Create indexes for performance
+CREATE INDEX idx_receipts_user_sync_version ON receipts(user_id, sync_version);
+CREATE INDEX idx_receipt_items_sync_version ON receipt_items(sync_version);
+CREATE INDEX idx_budgets_user_sync_version ON budgets(user_id, sync_version);
+CREATE INDEX idx_saved_filters_user_sync_version ON saved_filters(user_id, sync_version);
+CREATE INDEX idx_sync_tombstones_user_version ON sync_tombstones(user_id, sync_version);
+CREATE INDEX idx_sync_tombstones_created_at ON sync_tombstones(created_at);
@@ -0,0 +1,28 @@
+-- Migration: Create idempotency_keys table
+-- Description: Stores the first response of requests sent with an Idempotency-Key header,
+-- so client retries are replayed instead of being processed twice
+
+CREATE TABLE idempotency_keys (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    key VARCHAR(255) NOT NULL,
+    request_hash VARCHAR(64) NOT NULL,
+    method VARCHAR(10) NOT NULL,
+    path VARCHAR(255) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'completed')),
+    response_status INTEGER,
+    response_body JSONB,
+    locked_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, key)
+);
+
+-- Add comments
+COMMENT ON TABLE idempotency_keys IS 'Stored responses for requests sent with an Idempotency-Key header';
+COMMENT ON COLUMN idempotency_keys.request_hash IS 'SHA-256 of method, path and body (and uploaded file), used to reject key reuse';
+COMMENT ON COLUMN idempotency_keys.locked_at IS 'When processing started; stale locks are taken over';
+
+-- Create indexes for performance
+CREATE INDEX idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
@@ -0,0 +1,11 @@
+-- Migration: Add soft delete (trash) to receipts
+-- Description: Deleted receipts are kept with deleted_at set until they are purged
+-- after the trash retention period (RECEIPT_TRASH_RETENTION_DAYS, default 30)
+
+ALTER TABLE receipts ADD COLUMN deleted_at TIMESTAMP;
+
+COMMENT ON COLUMN receipts.deleted_at IS 'When the receipt was moved to the trash, NULL = not deleted';
+
+-- Create indexes for performance
+CREATE INDEX idx_receipts_user_deleted_at ON receipts(user_id, deleted_at);
+CREATE INDEX idx_receipts_deleted_at ON receipts(deleted_at) WHERE deleted_at IS NOT NULL;
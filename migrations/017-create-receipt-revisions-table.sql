@@ -0,0 +1,28 @@
+-- Migration: Create receipt_revisions table
+-- Description: Field-level edit history of receipts and their line items, recording who
+-- changed what and where the change came from (AI extraction, user edit, sync or reprocessing)
+
+CREATE TABLE receipt_revisions (
+    id BIGSERIAL PRIMARY KEY,
+    receipt_id UUID NOT NULL REFERENCES receipts(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    entity_type VARCHAR(20) NOT NULL CHECK (entity_type IN ('receipt', 'item')),
+    entity_id UUID NOT NULL,
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('ai', 'user', 'sync', 'reprocess')),
+    action VARCHAR(20) NOT NULL CHECK (action IN ('create', 'update', 'revert')),
+    changes JSONB NOT NULL DEFAULT '{}',
+    reverted_to_id BIGINT REFERENCES receipt_revisions(id) ON DELETE SET NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Add comments
+COMMENT ON TABLE receipt_revisions IS 'Edit history of receipts and receipt items';
+COMMENT ON COLUMN receipt_revisions.entity_id IS 'The receipt or receipt item that changed';
+COMMENT ON COLUMN receipt_revisions.actor_id IS 'User who made the change, NULL for automatic changes';
+COMMENT ON COLUMN receipt_revisions.changes IS 'Changed fields as {"field": {"from": old, "to": new}}';
+COMMENT ON COLUMN receipt_revisions.reverted_to_id IS 'For reverts, the revision that was restored';
+
+-- Create indexes for performance
+CREATE INDEX idx_receipt_revisions_receipt_id ON receipt_revisions(receipt_id, id);
+CREATE INDEX idx_receipt_revisions_entity ON receipt_revisions(entity_id, id);
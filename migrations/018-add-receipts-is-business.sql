@@ -0,0 +1,9 @@
+-- Migration: Add business flag to receipts
+-- Description: Marks receipts that are business (reimbursable) expenses rather than personal ones
+
+ALTER TABLE receipts ADD COLUMN is_business BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN receipts.is_business IS 'Business expense (true) or personal (false)';
+
+-- Create indexes for performance
+CREATE INDEX idx_receipts_user_is_business ON receipts(user_id, is_business) WHERE is_business = true;
@@ -0,0 +1,62 @@
+-- Migration: Create categories table
+-- Description: System default categories plus user-defined categories and subcategories
+-- (two levels), with icons, colors and translations. Receipts, products and budgets keep
+-- storing the category key in their existing category column, so existing data stays valid.
+
+CREATE TABLE categories (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    parent_id UUID REFERENCES categories(id) ON DELETE CASCADE,
+    key VARCHAR(50) NOT NULL CHECK (key ~ '^[a-z0-9_]+$'),
+    name VARCHAR(100) NOT NULL,
+    translations JSONB NOT NULL DEFAULT '{}',
+    description TEXT,
+    icon VARCHAR(50),
+    color VARCHAR(7) CHECK (color ~ '^#[0-9a-fA-F]{6}$'),
+    applies_to VARCHAR(20) NOT NULL DEFAULT 'both' CHECK (applies_to IN ('receipt', 'product', 'both')),
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Add comments
+COMMENT ON TABLE categories IS 'Receipt and product categories: system defaults (user_id NULL) and user-defined ones';
+COMMENT ON COLUMN categories.user_id IS 'Owner of a user-defined category, NULL = system default';
+COMMENT ON COLUMN categories.parent_id IS 'Parent of a subcategory; only two levels are allowed';
+COMMENT ON COLUMN categories.key IS 'Stable identifier stored in receipts.category, products.category and budgets.category';
+COMMENT ON COLUMN categories.translations IS 'Localized names by language, e.g. {"es": "Mascotas", "nl": "Huisdieren"}';
+COMMENT ON COLUMN categories.description IS 'What belongs in the category; also given to the AI classifier';
+COMMENT ON COLUMN categories.applies_to IS 'Whether the category is offered for receipts, products or both';
+
+-- Keys are unique among system categories and per user (the application keeps user keys
+-- distinct from system keys)
+CREATE UNIQUE INDEX idx_categories_system_key ON categories(key) WHERE user_id IS NULL;
+CREATE UNIQUE INDEX idx_categories_user_key ON categories(user_id, key) WHERE user_id IS NOT NULL;
+CREATE INDEX idx_categories_parent_id ON categories(parent_id);
+
+-- System default categories (the values receipts and products already use)
+INSERT INTO categories (key, name, translations, description, icon, color, applies_to, position) VALUES
+    ('grocery', 'Grocery', '{"es": "Mercado", "nl": "Supermarkt"}',
+        'grocery stores, supermarkets, food and household products', 'shopping_cart', '#4CAF50', 'receipt', 10),
+    ('food', 'Food', '{"es": "Comida", "nl": "Eten"}',
+        'receipts from restaurants, cafes, fast food and dining; products such as meat, fruits, vegetables, dairy, cereals, canned goods, snacks, frozen foods and bakery items',
+        'restaurant', '#FF9800', 'both', 20),
+    ('beverages', 'Beverages', '{"es": "Bebidas", "nl": "Dranken"}',
+        'water, juices, soft drinks, alcohol, coffee, tea, energy drinks, milk', 'local_drink', '#03A9F4', 'product', 30),
+    ('cleaning', 'Cleaning', '{"es": "Limpieza", "nl": "Schoonmaak"}',
+        'detergents, soaps, cleaners, toilet paper, paper towels, dishwashing liquid', 'cleaning_services', '#00BCD4', 'product', 40),
+    ('personal_care', 'Personal Care', '{"es": "Higiene", "nl": "Persoonlijke verzorging"}',
+        'shampoo, soap, deodorant, toothpaste, cosmetics, lotions, razors', 'spa', '#E91E63', 'product', 50),
+    ('pharmacy', 'Pharmacy', '{"es": "Farmacia", "nl": "Apotheek"}',
+        'pharmacies and drugstores; medications, vitamins, first aid, supplements, bandages, pain relief',
+        'local_pharmacy', '#F44336', 'both', 60),
+    ('transport', 'Transportation', '{"es": "Transporte", "nl": "Transport"}',
+        'taxis, buses, Uber, ride-sharing, transportation tickets, car accessories', 'directions_bus', '#3F51B5', 'both', 70),
+    ('fuel', 'Fuel', '{"es": "Combustible", "nl": "Brandstof"}',
+        'gasoline, diesel, propane, gas stations', 'local_gas_station', '#795548', 'both', 80),
+    ('others', 'Others', '{"es": "Otros", "nl": "Overige"}',
+        'everything else', 'category', '#9E9E9E', 'both', 1000);
+
+-- Categories are now validated by the application against the user's categories
+ALTER TABLE receipts DROP CONSTRAINT IF EXISTS receipts_category_check;
+ALTER TABLE products DROP CONSTRAINT IF EXISTS products_category_check;
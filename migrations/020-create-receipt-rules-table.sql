@@ -0,0 +1,34 @@
+-- Migration: Create receipt_rules table
+-- Description: User-defined rules that categorize, tag, annotate or flag receipts
+-- automatically when their conditions match (merchant, amount, payment method, weekday,
+-- item text, country)
+
+CREATE TABLE receipt_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    priority INTEGER NOT NULL DEFAULT 100,
+    conditions JSONB NOT NULL DEFAULT '{}',
+    actions JSONB NOT NULL DEFAULT '{}',
+    stop_processing BOOLEAN NOT NULL DEFAULT false,
+    match_count INTEGER NOT NULL DEFAULT 0,
+    last_matched_at TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Add comments
+COMMENT ON TABLE receipt_rules IS 'User-defined auto-categorization and tagging rules';
+COMMENT ON COLUMN receipt_rules.priority IS 'Rules run in ascending priority order';
+COMMENT ON COLUMN receipt_rules.conditions IS 'All present conditions must match, e.g. {"merchant": "shell", "weekdays": [1,2,3,4,5]}';
+COMMENT ON COLUMN receipt_rules.actions IS 'Changes applied on match, e.g. {"category": "fuel", "addTags": ["car"]}';
+COMMENT ON COLUMN receipt_rules.stop_processing IS 'Skip lower-priority rules once this rule matched';
+
+-- Create indexes for performance
+CREATE INDEX idx_receipt_rules_user_id ON receipt_rules(user_id, is_active, priority);
+
+-- Changes made by rules are recorded in the edit history with their own source
+ALTER TABLE receipt_revisions DROP CONSTRAINT receipt_revisions_source_check;
+ALTER TABLE receipt_revisions ADD CONSTRAINT receipt_revisions_source_check
+    CHECK (source IN ('ai', 'user', 'sync', 'reprocess', 'rule'));
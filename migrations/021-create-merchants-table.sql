@@ -0,0 +1,37 @@
+-- Migration: Create merchants table
+-- Description: Merchants per user with a canonical name, the spellings seen on receipts
+-- (aliases), a default category and an optional location. Receipts are linked to the
+-- merchant their merchant name matched.
+
+CREATE TABLE merchants (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    normalized_name VARCHAR(255) NOT NULL,
+    aliases VARCHAR(255)[] NOT NULL DEFAULT '{}',
+    default_category VARCHAR(50),
+    address TEXT,
+    latitude DECIMAL(9, 6) CHECK (latitude BETWEEN -90 AND 90),
+    longitude DECIMAL(9, 6) CHECK (longitude BETWEEN -180 AND 180),
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, normalized_name)
+);
+
+-- Add comments
+COMMENT ON TABLE merchants IS 'Merchants of a user; receipts with different spellings of a store share one merchant';
+COMMENT ON COLUMN merchants.normalized_name IS 'Matching key without store numbers, legal forms or country names, e.g. LIDL';
+COMMENT ON COLUMN merchants.aliases IS 'Merchant names as printed on receipts, e.g. {"LIDL NEDERLAND","LIDL 1234"}';
+COMMENT ON COLUMN merchants.default_category IS 'Category key used for new receipts of this merchant';
+
+-- Create indexes for performance
+CREATE INDEX idx_merchants_aliases ON merchants USING GIN (aliases);
+
+-- Link receipts to their merchant
+ALTER TABLE receipts ADD COLUMN merchant_id UUID REFERENCES merchants(id) ON DELETE SET NULL;
+CREATE INDEX idx_receipts_merchant_id ON receipts(merchant_id);
+
+COMMENT ON COLUMN receipts.merchant_id IS 'Merchant the merchant name was matched to';
+
+-- Existing receipts are linked by scripts/backfill_merchants.js, which applies the
+-- same fuzzy matching as new receipts
@@ -0,0 +1,44 @@
+-- Migration: Create bank_transactions table
+-- Description: Transactions imported from bank statements (CAMT.053, OFX/QFX, CSV),
+-- reconciled against receipts: a transaction is linked to the receipt it paid for
+
+CREATE TABLE bank_transactions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    import_id UUID NOT NULL,
+    statement_format VARCHAR(10) NOT NULL CHECK (statement_format IN ('camt053', 'ofx', 'csv')),
+    account VARCHAR(64),
+    external_id VARCHAR(255),
+    dedupe_hash VARCHAR(64) NOT NULL,
+    booking_date DATE NOT NULL,
+    value_date DATE,
+    amount DECIMAL(12, 2) NOT NULL,
+    currency VARCHAR(3),
+    counterparty_name VARCHAR(255),
+    description TEXT,
+    payment_method VARCHAR(20),
+    card_type VARCHAR(50),
+    receipt_id UUID REFERENCES receipts(id) ON DELETE SET NULL,
+    match_type VARCHAR(10) CHECK (match_type IN ('auto', 'manual')),
+    match_score DECIMAL(4, 3),
+    matched_at TIMESTAMP,
+    is_ignored BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, dedupe_hash)
+);
+
+-- Add comments
+COMMENT ON TABLE bank_transactions IS 'Bank statement transactions, linked to the receipt they paid for';
+COMMENT ON COLUMN bank_transactions.import_id IS 'Statement upload the transaction came from';
+COMMENT ON COLUMN bank_transactions.dedupe_hash IS 'Identifies the transaction across overlapping statement imports';
+COMMENT ON COLUMN bank_transactions.amount IS 'Negative for money leaving the account';
+COMMENT ON COLUMN bank_transactions.match_type IS 'auto (matched on import or reconcile) or manual (linked by the user)';
+COMMENT ON COLUMN bank_transactions.is_ignored IS 'Not expected to have a receipt (e.g. rent, transfers)';
+
+-- Create indexes for performance
+CREATE INDEX idx_bank_transactions_user_date ON bank_transactions(user_id, booking_date);
+CREATE INDEX idx_bank_transactions_import_id ON bank_transactions(import_id);
+
+-- A receipt is paid by at most one transaction
+CREATE UNIQUE INDEX idx_bank_transactions_receipt_id ON bank_transactions(receipt_id) WHERE receipt_id IS NOT NULL;
@@ -0,0 +1,23 @@
+-- Migration: Create accounting_preferences table
+-- Description: Account mapping used when exporting receipts to Ledger/hledger,
+-- Beancount, QIF and YNAB
+
+CREATE TABLE accounting_preferences (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    category_accounts JSONB NOT NULL DEFAULT '{}',
+    payment_accounts JSONB NOT NULL DEFAULT '{}',
+    default_payment_account VARCHAR(255) NOT NULL DEFAULT 'Assets:Bank',
+    vat_account VARCHAR(255) NOT NULL DEFAULT 'Assets:VAT',
+    uncategorized_account VARCHAR(255) NOT NULL DEFAULT 'Expenses:Uncategorized',
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Add comments
+COMMENT ON TABLE accounting_preferences IS 'Account mapping for accounting exports';
+COMMENT ON COLUMN accounting_preferences.category_accounts IS 'Account per category key: {grocery: "Expenses:Food:Groceries"}';
+COMMENT ON COLUMN accounting_preferences.payment_accounts IS 'Account per payment method: {card: "Liabilities:CreditCard"}';
+COMMENT ON COLUMN accounting_preferences.default_payment_account IS 'Account paying receipts whose payment method is not mapped';
+COMMENT ON COLUMN accounting_preferences.vat_account IS 'Account receiving the VAT of receipts with a VAT breakdown';
+COMMENT ON COLUMN accounting_preferences.uncategorized_account IS 'Expense account of receipts without a category';
@@ -0,0 +1,33 @@
+-- Migration: Create expense_reports table
+-- Description: Business receipts grouped into expense reports for reimbursement
+-- (draft -> submitted -> reimbursed), and project/client/cost-center fields on receipts
+
+CREATE TABLE expense_reports (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'submitted', 'reimbursed')),
+    submitted_at TIMESTAMP,
+    reimbursed_at TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE receipts ADD COLUMN project VARCHAR(255);
+ALTER TABLE receipts ADD COLUMN client VARCHAR(255);
+ALTER TABLE receipts ADD COLUMN cost_center VARCHAR(100);
+ALTER TABLE receipts ADD COLUMN expense_report_id UUID REFERENCES expense_reports(id) ON DELETE SET NULL;
+
+-- Add comments
+COMMENT ON TABLE expense_reports IS 'Business receipts grouped for reimbursement';
+COMMENT ON COLUMN expense_reports.status IS 'draft (receipts can be added and removed), submitted or reimbursed';
+COMMENT ON COLUMN receipts.project IS 'Project a business expense is booked on';
+COMMENT ON COLUMN receipts.client IS 'Client a business expense is made for';
+COMMENT ON COLUMN receipts.cost_center IS 'Cost center a business expense is charged to';
+COMMENT ON COLUMN receipts.expense_report_id IS 'Expense report the receipt is claimed in (at most one)';
+
+-- Create indexes for performance
+CREATE INDEX idx_expense_reports_user_status ON expense_reports(user_id, status);
+CREATE INDEX idx_receipts_expense_report_id ON receipts(expense_report_id) WHERE expense_report_id IS NOT NULL;
+CREATE INDEX idx_receipts_user_project ON receipts(user_id, project) WHERE project IS NOT NULL;
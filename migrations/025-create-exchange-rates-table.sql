@@ -0,0 +1,50 @@
+-- Migration: Create exchange_rates table
+-- Description: Daily exchange rates (ECB style, units of a currency per 1 EUR) and the
+-- user's base currency that analytics, budgets and digests convert amounts to
+
+CREATE TABLE exchange_rates (
+    currency VARCHAR(3) NOT NULL,
+    rate_date DATE NOT NULL,
+    rate NUMERIC(18,8) NOT NULL CHECK (rate > 0),
+    source VARCHAR(50),
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (currency, rate_date)
+);
+
+ALTER TABLE users ADD COLUMN base_currency VARCHAR(3) NOT NULL DEFAULT 'USD';
+
+-- Add comments
+COMMENT ON TABLE exchange_rates IS 'Historical daily exchange rates against the euro';
+COMMENT ON COLUMN exchange_rates.rate IS 'Units of the currency per 1 EUR on the rate date';
+COMMENT ON COLUMN exchange_rates.source IS 'Where the rate was loaded from, e.g. the imported file name';
+COMMENT ON COLUMN users.base_currency IS 'Currency that analytics, budgets and digests are converted to';
+
+-- Create indexes for performance
+CREATE INDEX idx_exchange_rates_rate_date ON exchange_rates(rate_date DESC);
+
+-- Rate of a currency per 1 EUR on a date: the latest rate on or before the date
+-- (weekends and holidays have no rate), else the earliest rate after it
+CREATE OR REPLACE FUNCTION eur_rate(p_currency VARCHAR, p_date DATE)
+RETURNS NUMERIC AS $$
+    SELECT CASE WHEN UPPER(p_currency) = 'EUR' THEN 1::NUMERIC ELSE COALESCE(
+        (SELECT rate FROM exchange_rates
+         WHERE currency = UPPER(p_currency) AND rate_date <= COALESCE(p_date, CURRENT_DATE)
+         ORDER BY rate_date DESC LIMIT 1),
+        (SELECT rate FROM exchange_rates
+         WHERE currency = UPPER(p_currency) AND rate_date > COALESCE(p_date, CURRENT_DATE)
+         ORDER BY rate_date ASC LIMIT 1)
+    ) END;
+$$ LANGUAGE sql STABLE;
+
+-- Amount converted between two currencies at the rates of a date, rounded to cents.
+-- NULL when a rate is missing: aggregates leave such amounts out, and callers count
+-- them separately rather than adding them unconverted.
+CREATE OR REPLACE FUNCTION convert_currency(p_amount NUMERIC, p_from VARCHAR, p_to VARCHAR, p_date DATE)
+RETURNS NUMERIC AS $$
+    SELECT CASE
+        WHEN p_amount IS NULL THEN NULL
+        WHEN UPPER(COALESCE(p_from, p_to)) = UPPER(p_to) THEN p_amount
+        ELSE ROUND(p_amount / eur_rate(p_from, p_date) * eur_rate(p_to, p_date), 2)
+    END;
+$$ LANGUAGE sql STABLE;
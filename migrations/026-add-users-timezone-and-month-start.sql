@@ -0,0 +1,17 @@
+-- Migration: Add timezone and month start day to users
+-- Description: Calendar settings for budget periods, monthly totals, streaks and digests.
+-- The timezone of notification preferences (quiet hours) is carried over.
+
+ALTER TABLE users ADD COLUMN timezone VARCHAR(50) NOT NULL DEFAULT 'UTC';
+ALTER TABLE users ADD COLUMN month_start_day SMALLINT NOT NULL DEFAULT 1 CHECK (month_start_day BETWEEN 1 AND 28);
+
+UPDATE users u
+SET timezone = np.timezone
+FROM notification_preferences np
+WHERE np.user_id = u.id
+    AND np.timezone IS NOT NULL
+    AND np.timezone <> 'UTC';
+
+-- Add comments
+COMMENT ON COLUMN users.timezone IS 'IANA timezone that days, weeks and months are counted in';
+COMMENT ON COLUMN users.month_start_day IS 'Day of the month (1-28) a month starts on, e.g. payday';
@@ -0,0 +1,23 @@
+-- Migration: Add refunds and credit notes to receipts
+-- Description: Refunds and credit notes are receipts with a negative amount, optionally linked to
+-- the purchase they give money back for. Returned items have negative prices and can be linked
+-- to the purchased item.
+
+ALTER TABLE receipts DROP CONSTRAINT IF EXISTS receipts_amount_check;
+ALTER TABLE receipt_items DROP CONSTRAINT IF EXISTS receipt_items_unit_price_check;
+ALTER TABLE receipt_items DROP CONSTRAINT IF EXISTS receipt_items_total_price_check;
+
+ALTER TABLE receipts ADD COLUMN receipt_type VARCHAR(20) NOT NULL DEFAULT 'purchase' CHECK (receipt_type IN ('purchase', 'refund', 'credit_note'));
+ALTER TABLE receipts ADD COLUMN original_receipt_id UUID REFERENCES receipts(id) ON DELETE SET NULL;
+ALTER TABLE receipt_items ADD COLUMN original_item_id UUID REFERENCES receipt_items(id) ON DELETE SET NULL;
+
+-- Add comments
+COMMENT ON COLUMN receipts.amount IS 'Negative for refunds and credit notes';
+COMMENT ON COLUMN receipts.receipt_type IS 'purchase, refund or credit_note';
+COMMENT ON COLUMN receipts.original_receipt_id IS 'Purchase a refund or credit note gives money back for';
+COMMENT ON COLUMN receipt_items.unit_price IS 'Negative for a returned item';
+COMMENT ON COLUMN receipt_items.original_item_id IS 'Purchased item that a returned item gives money back for';
+
+-- Create indexes for performance
+CREATE INDEX idx_receipts_original_receipt_id ON receipts(original_receipt_id) WHERE original_receipt_id IS NOT NULL;
+CREATE INDEX idx_receipt_items_original_item_id ON receipt_items(original_item_id) WHERE original_item_id IS NOT NULL;
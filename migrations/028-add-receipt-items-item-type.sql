@@ -0,0 +1,20 @@
+-- Migration: Add item types to receipt items
+-- Description: Receipt lines are classified as product, deposit, deposit_return, discount, fee,
+-- tip or tax. Only product lines are linked to a product; discount lines are linked to the
+-- product line they reduce.
+
+ALTER TABLE receipt_items ALTER COLUMN product_id DROP NOT NULL;
+
+ALTER TABLE receipt_items ADD COLUMN item_type VARCHAR(20) NOT NULL DEFAULT 'product' CHECK (item_type IN ('product', 'deposit', 'deposit_return', 'discount', 'fee', 'tip', 'tax'));
+ALTER TABLE receipt_items ADD COLUMN discounted_item_id UUID REFERENCES receipt_items(id) ON DELETE SET NULL;
+
+ALTER TABLE receipt_items ADD CONSTRAINT receipt_items_product_line_check CHECK (item_type <> 'product' OR product_id IS NOT NULL);
+
+-- Add comments
+COMMENT ON COLUMN receipt_items.product_id IS 'Null for lines that are not products';
+COMMENT ON COLUMN receipt_items.item_type IS 'product, deposit, deposit_return, discount, fee, tip or tax';
+COMMENT ON COLUMN receipt_items.discounted_item_id IS 'Product line a discount line reduces';
+
+-- Create indexes for performance
+CREATE INDEX idx_receipt_items_item_type ON receipt_items(item_type) WHERE item_type <> 'product';
+CREATE INDEX idx_receipt_items_discounted_item_id ON receipt_items(discounted_item_id) WHERE discounted_item_id IS NOT NULL;
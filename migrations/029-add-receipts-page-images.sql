@@ -0,0 +1,11 @@
+-- Migration: Add page images to receipts
+-- Description: A receipt that does not fit in one photo has an image per page. image_url holds
+-- the first page; page_image_urls holds the following pages in order.
+
+ALTER TABLE receipts ADD COLUMN page_image_urls TEXT[] NOT NULL DEFAULT '{}';
+
+-- Add comments
+COMMENT ON COLUMN receipts.page_image_urls IS 'Images of the pages after the first (image_url), in order';
+
+-- Create indexes for performance
+CREATE INDEX idx_receipts_page_image_urls ON receipts USING GIN (page_image_urls) WHERE page_image_urls <> '{}';
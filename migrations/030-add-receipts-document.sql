@@ -0,0 +1,8 @@
+-- Migration: Add original documents to receipts
+-- Description: A receipt uploaded as a PDF keeps the original document; image_url and
+-- page_image_urls hold the previews generated from its pages.
+
+ALTER TABLE receipts ADD COLUMN document_url TEXT;
+
+-- Add comments
+COMMENT ON COLUMN receipts.document_url IS 'Original PDF of an e-receipt; image_url and page_image_urls are its page previews';
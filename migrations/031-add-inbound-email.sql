@@ -0,0 +1,14 @@
+-- Migration: Add inbound email receipts
+-- Description: Each user gets a private forwarding address (receipts+<token>@<inbound domain>);
+-- emails sent to it from an allowed sender become receipts. Receipts created from an email
+-- keep the original message (.eml).
+
+ALTER TABLE users ADD COLUMN inbound_email_token VARCHAR(32) UNIQUE;
+ALTER TABLE users ADD COLUMN inbound_email_senders TEXT[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE receipts ADD COLUMN email_url TEXT;
+
+-- Add comments
+COMMENT ON COLUMN users.inbound_email_token IS 'Token of the private address that receipts are forwarded to; null until first requested';
+COMMENT ON COLUMN users.inbound_email_senders IS 'Addresses (or @domains) besides the account email that may send receipts to the forwarding address';
+COMMENT ON COLUMN receipts.email_url IS 'Original email (.eml) of a receipt received by email';
@@ -0,0 +1,9 @@
+-- Migration: Add fiscal QR codes to receipts
+-- Description: Receipts from countries with fiscal QR codes (TicketBAI, Portuguese ATCUD,
+-- Brazilian NFC-e...) keep the decoded code: what the issuer declared to the tax authority
+-- (tax ID, date, total, VAT), used as ground truth when the receipt is read.
+
+ALTER TABLE receipts ADD COLUMN fiscal_qr JSONB;
+
+-- Add comments
+COMMENT ON COLUMN receipts.fiscal_qr IS 'Decoded fiscal QR code: {format, country, currency, issuerTaxId, date, total, vatTotal, vat, documentId, raw}';
@@ -0,0 +1,13 @@
+-- Migration: Drop the timezone of notification preferences
+-- Description: Quiet hours are checked on the user's clock (users.timezone), like digests.
+-- Timezones still only set on the preferences are carried over first.
+
+UPDATE users u
+SET timezone = np.timezone
+FROM notification_preferences np
+WHERE np.user_id = u.id
+    AND u.timezone = 'UTC'
+    AND np.timezone IS NOT NULL
+    AND np.timezone <> 'UTC';
+
+ALTER TABLE notification_preferences DROP COLUMN IF EXISTS timezone;
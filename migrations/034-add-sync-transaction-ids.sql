@@ -0,0 +1,35 @@
+-- Migration: Order delta sync by the transaction that wrote each change
+-- Description: sync_version is taken inside the writing transaction, so a long transaction
+-- (receipt creation, bulk updates) can commit a lower version after a device has already
+-- paged past a higher one. Every write now also records txid_current(); sync pages by
+-- (sync_txid, sync_version) and only returns changes of transactions older than the oldest
+-- one still running, which can no longer be followed by an earlier commit.
+-- Existing rows get 0: their transactions finished long ago.
+
+ALTER TABLE receipts ADD COLUMN sync_txid BIGINT NOT NULL DEFAULT 0;
+ALTER TABLE receipt_items ADD COLUMN sync_txid BIGINT NOT NULL DEFAULT 0;
+ALTER TABLE budgets ADD COLUMN sync_txid BIGINT NOT NULL DEFAULT 0;
+ALTER TABLE saved_filters ADD COLUMN sync_txid BIGINT NOT NULL DEFAULT 0;
+ALTER TABLE sync_tombstones ADD COLUMN sync_txid BIGINT NOT NULL DEFAULT 0;
+ALTER TABLE sync_tombstones ALTER COLUMN sync_txid SET DEFAULT txid_current();
+
+COMMENT ON COLUMN receipts.sync_txid IS 'Transaction of the last write (txid_current), orders the delta sync cursor';
+COMMENT ON COLUMN receipt_items.sync_txid IS 'Transaction of the last write (txid_current), orders the delta sync cursor';
+COMMENT ON COLUMN budgets.sync_txid IS 'Transaction of the last write (txid_current), orders the delta sync cursor';
+COMMENT ON COLUMN saved_filters.sync_txid IS 'Transaction of the last write (txid_current), orders the delta sync cursor';
+COMMENT ON COLUMN sync_tombstones.sync_txid IS 'Transaction of the deletion (txid_current), orders the delta sync cursor';
+
+CREATE OR REPLACE FUNCTION sync_version_bump()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.sync_version := nextval('sync_change_seq');
+  NEW.sync_txid := txid_current();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE INDEX idx_receipts_user_sync_txid ON receipts(user_id, sync_txid, sync_version);
+CREATE INDEX idx_receipt_items_sync_txid ON receipt_items(sync_txid, sync_version);
+CREATE INDEX idx_budgets_user_sync_txid ON budgets(user_id, sync_txid, sync_version);
+CREATE INDEX idx_saved_filters_user_sync_txid ON saved_filters(user_id, sync_txid, sync_version);
+CREATE INDEX idx_sync_tombstones_user_txid ON sync_tombstones(user_id, sync_txid, sync_version);
@@ -0,0 +1,74 @@
+#!/usr/bin/env bun
+
+// Links existing receipts to merchants (migration 021), using the same fuzzy
+// matching as new receipts. Safe to run again: linked receipts are skipped.
+
+import { Op } from 'sequelize';
+import sequelize from '../src/config/db.js';
+import setupAssociations from '../src/models/associations.js';
+import Receipt from '../src/models/Receipt.js';
+import Merchant from '../src/models/Merchant.js';
+
+const BATCH_SIZE = 500;
+
+console.log('🚀 Starting merchant backfill...');
+
+async function main() {
+    setupAssociations();
+
+    let linked = 0;
+    let failed = 0;
+    let lastId = null;
+
+    try {
+        await sequelize.authenticate();
+
+        for (;;) {
+            const receipts = await Receipt.findAll({
+                where: {
+                    merchantId: null,
+                    merchantName: { [Op.ne]: null },
+                    ...(lastId && { id: { [Op.gt]: lastId } })
+                },
+                attributes: ['id', 'userId', 'merchantName'],
+                order: [['id', 'ASC']],
+                limit: BATCH_SIZE,
+                paranoid: false
+            });
+
+            if (receipts.length === 0) break;
+
+            for (const receipt of receipts) {
+                try {
+                    const merchant = await Merchant.matchOrCreate(receipt.userId, receipt.merchantName);
+                    if (merchant) {
+                        await Receipt.update(
+                            { merchantId: merchant.id },
+                            { where: { id: receipt.id }, paranoid: false, hooks: false }
+                        );
+                        linked++;
+                    }
+                } catch (error) {
+                    failed++;
+                    console.error(`   ❌ Receipt ${receipt.id} (${receipt.merchantName}): ${error.message}`);
+                }
+            }
+
+            lastId = receipts[receipts.length - 1].id;
+            console.log(`   ✅ ${linked} receipts linked so far`);
+        }
+
+        const merchants = await Merchant.count();
+        console.log(`\n🎉 Backfill completed: ${linked} receipts linked, ${failed} failed, ${merchants} merchants`);
+
+    } catch (error) {
+        console.error('💥 Fatal error:', error);
+        process.exit(1);
+    } finally {
+        await sequelize.close();
+        console.log('🔐 Database connection closed');
+    }
+}
+
+// Run the script
+main();
@@ -0,0 +1,39 @@
+#!/usr/bin/env bun
+
+// Loads ECB reference rates (migration 025) from a downloaded file, e.g.
+// https://www.ecb.europa.eu/stats/eurofxref/eurofxref-hist.zip (unzipped) or
+// eurofxref-daily.xml. Safe to run again: stored rates for a date are replaced.
+//
+// Usage: bun scripts/import_exchange_rates.js <file.xml|file.csv>
+
+import fs from 'fs';
+import path from 'path';
+import sequelize from '../src/config/db.js';
+import { importExchangeRates } from '../src/services/currencyService.js';
+
+console.log('🚀 Starting exchange rate import...');
+
+async function main() {
+    const file = process.argv[2];
+    if (!file) {
+        console.error('Usage: bun scripts/import_exchange_rates.js <file.xml|file.csv>');
+        process.exit(1);
+    }
+
+    try {
+        await sequelize.authenticate();
+
+        const result = await importExchangeRates(fs.readFileSync(file), { filename: path.basename(file) });
+        console.log(`\n🎉 Import completed: ${result.imported} rates for ${result.currencies.length} currencies (${result.from} to ${result.to})`);
+
+    } catch (error) {
+        console.error('💥 Fatal error:', error);
+        process.exit(1);
+    } finally {
+        await sequelize.close();
+        console.log('🔐 Database connection closed');
+    }
+}
+
+// Run the script
+main();
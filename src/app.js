@@ -36,6 +36,16 @@ import productsRouter from "./routes/products.js";
 import analyticsRouter from "./routes/analytics.js";
 import budgetsRouter from "./routes/budgets.js";
 import notificationsRouter from "./routes/notifications.js";
+import eventsRouter from "./routes/events.js";
+import webhooksRouter from "./routes/webhooks.js";
+import categoriesRouter from "./routes/categories.js";
+import rulesRouter from "./routes/rules.js";
+import merchantsRouter from "./routes/merchants.js";
+import bankRouter from "./routes/bank.js";
+import reportsRouter from "./routes/reports.js";
+import expenseReportsRouter from "./routes/expenseReports.js";
+import currenciesRouter from "./routes/currencies.js";
+import inboundEmailRouter from "./routes/inboundEmail.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -72,8 +82,8 @@ app.use(express.json({
 }));
 app.use(express.urlencoded({ extended: true, limit: "5mb" }));
 
-// Content type validation
-app.use(validateContentType(['application/json', 'multipart/form-data']));
+// Content type validation (raw emails are posted to /api/inbound/email)
+app.use(validateContentType(['application/json', 'multipart/form-data', 'message/rfc822']));
 
 // Parameter pollution prevention
 app.use(preventParameterPollution);
@@ -107,6 +117,16 @@ app.use("/api/products", productsRouter);
 app.use("/api/analytics", analyticsRouter);
 app.use("/api/budgets", budgetsRouter);
 app.use("/api/notifications", notificationsRouter);
+app.use("/api/events", eventsRouter);
+app.use("/api/webhooks", webhooksRouter);
+app.use("/api/categories", categoriesRouter);
+app.use("/api/rules", rulesRouter);
+app.use("/api/merchants", merchantsRouter);
+app.use("/api/bank", bankRouter);
+app.use("/api/reports", reportsRouter);
+app.use("/api/expense-reports", expenseReportsRouter);
+app.use("/api/currencies", currenciesRouter);
+app.use("/api/inbound", inboundEmailRouter);
 app.use("/api/ocr", ocrRouter);
 app.use("/api/upload", uploadRoutes);
 app.use("/api/images", imageRoutes);
@@ -39,9 +39,18 @@ const envSchema = joi.object({
 
     // File Upload
     MAX_FILE_SIZE: joi.number().default(5 * 1024 * 1024), // 5MB
-    ALLOWED_FILE_TYPES: joi.string().default('image/jpeg,image/png,image/jpg'),
+    ALLOWED_FILE_TYPES: joi.string().default('image/jpeg,image/png,image/jpg,application/pdf'),
     UPLOAD_DIR: joi.string().default('uploads'),
 
+    // Inbound email receipts (optional)
+    INBOUND_EMAIL_DOMAIN: joi.string().hostname().optional().description('Domain of the receipt forwarding addresses'),
+    INBOUND_EMAIL_SECRET: joi.string().min(32).optional().description('Shared secret the mail server sends inbound emails with'),
+    INBOUND_EMAIL_MAX_SIZE: joi.number().default(15 * 1024 * 1024), // 15MB
+
+    // Webhooks
+    WEBHOOK_ALLOW_PRIVATE_HOSTS: joi.boolean().default(false).description('Allow webhook URLs on loopback and private networks (local development only)'),
+    WEBHOOK_MAX_CONSECUTIVE_FAILURES: joi.number().integer().min(1).default(20),
+
     // Redis (optional for caching)
     REDIS_HOST: joi.string().optional(),
     REDIS_PORT: joi.number().optional(),
@@ -132,6 +141,17 @@ export const config = {
         directory: envVars.UPLOAD_DIR,
     },
 
+    inboundEmail: {
+        domain: envVars.INBOUND_EMAIL_DOMAIN,
+        secret: envVars.INBOUND_EMAIL_SECRET,
+        maxSize: envVars.INBOUND_EMAIL_MAX_SIZE,
+    },
+
+    webhooks: {
+        allowPrivateHosts: envVars.WEBHOOK_ALLOW_PRIVATE_HOSTS,
+        maxConsecutiveFailures: envVars.WEBHOOK_MAX_CONSECUTIVE_FAILURES,
+    },
+
     redis: {
         host: envVars.REDIS_HOST,
         port: envVars.REDIS_PORT,
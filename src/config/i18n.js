@@ -108,6 +108,14 @@ export const languageDetectorAuth = (req, res, next) => {
     next();
 };
 
+/**
+ * Translate a key outside of a request (background jobs, notifications),
+ * falling back to English for unknown locales
+ */
+export const translate = (key, locale = 'en', options = {}) => {
+    return i18n.__({ phrase: key, locale: i18n.getLocales().includes(locale) ? locale : 'en' }, options);
+};
+
 /**
  * Helper function to get localized category names
  */
@@ -139,8 +147,11 @@ export const getLocalizedCategories = (type, locale = 'en') => {
 /**
  * Helper function to get AI prompts - always in English for better LLM understanding
  * The response language is controlled by the prompt instructions
+ *
+ * categoryLists optionally replaces the built-in classifier categories with the
+ * user's (receiptCategories / productCategories, formatted "- key (description)" lists)
  */
-export const getAIPrompts = (locale = 'en') => {
+export const getAIPrompts = (locale = 'en', categoryLists = {}) => {
     const categoryTranslations = {
         en: {
             grocery: 'Grocery',
@@ -181,29 +192,37 @@ export const getAIPrompts = (locale = 'en') => {
     };
 
     const translations = categoryTranslations[locale] || categoryTranslations.en;
+    const { receiptCategories, productCategories } = categoryLists;
 
-    return {
-        receiptClassifier: `You are a receipt classifier. Analyze the text and return ONLY one category:
+    const receiptClassifier = receiptCategories
+        ? `You are a receipt classifier. Analyze the text and return ONLY one category key from this list:
+${receiptCategories}
+
+Respond ONLY with the category key exactly as listed. No explanations or additional text.`
+        : `You are a receipt classifier. Analyze the text and return ONLY one category:
 - ${translations.grocery} (grocery stores, supermarkets, food and household products)
 - ${translations.transportation} (transportation: taxis, buses, Uber, ride-sharing)
 - ${translations.food} (restaurants, cafes, fast food, dining)
 - ${translations.fuel} (fuel: gasoline, diesel, gas stations)
 - ${translations.others} (everything else)
 
-Respond ONLY with the category name in the target language. No explanations or additional text.`,
+Respond ONLY with the category name in the target language. No explanations or additional text.`;
+
+    return {
+        receiptClassifier,
 
         productClassifier: `You are a grocery product classifier. Analyze the product name and return ONLY one category from these exact options:
 
-- food (meat, fruits, vegetables, dairy, cereals, canned goods, snacks, frozen foods, bakery items, etc.)
+${productCategories || `- food (meat, fruits, vegetables, dairy, cereals, canned goods, snacks, frozen foods, bakery items, etc.)
 - beverages (water, juices, soft drinks, alcohol, coffee, tea, energy drinks, milk, etc.)
 - cleaning (detergents, soaps, cleaners, toilet paper, paper towels, dishwashing liquid, etc.)
 - personal_care (shampoo, soap, deodorant, toothpaste, cosmetics, lotions, razors, etc.)
 - pharmacy (medications, vitamins, first aid, supplements, bandages, pain relief, etc.)
 - transport (transportation tickets, fuel cards, car accessories, etc.)
 - fuel (gasoline, diesel, propane, energy for vehicles, etc.)
-- others (household items, electronics, tools, anything not fitting above categories, etc.)
+- others (household items, electronics, tools, anything not fitting above categories, etc.)`}
 
-IMPORTANT: Respond with ONLY the English category name exactly as listed above. No explanations, translations, or additional text.
+IMPORTANT: Respond with ONLY the category key exactly as listed above. No explanations, translations, or additional text.
 
 Examples:
 Spanish:
@@ -345,11 +345,10 @@ const options = {
                 CategoryQuery: {
                     name: 'category',
                     in: 'query',
-                    description: 'Filter by receipt category',
+                    description: 'Filter by receipt category (key or name, see /api/categories)',
                     required: false,
                     schema: {
-                        type: 'string',
-                        enum: ['Mercado', 'Transporte', 'Comida', 'Combustible', 'Otros']
+                        type: 'string'
                     }
                 }
             }
@@ -3,10 +3,77 @@ import { log } from '../utils/logger.js';
 import Product from '../models/Product.js';
 import ReceiptItem from '../models/ReceiptItem.js';
 import Receipt from '../models/Receipt.js';
+import Merchant from '../models/Merchant.js';
 import { Op, Sequelize } from 'sequelize';
 import sequelize from '../config/db.js';
-import { mapCategoryToLocalized } from '../utils/categoryMapper.js';
+import { getUserCategories, describeCategory } from '../services/categoryService.js';
 import { getUserPurchasePatterns, getPriceHistoryAnalysis } from '../services/analyticsService.js';
+import { convertedAmountSql, unconvertedCountSql } from '../services/currencyService.js';
+import { localDay, addMonths, monthStart, receiptDaySql, monthStartSql } from '../utils/dates.js';
+
+// Localized name, parent, icon and color of a category key (user categories included)
+function presentCategory(categories, key, language) {
+    return describeCategory(categories, key, language) || { key, name: key, parentKey: null, icon: null, color: null };
+}
+
+function itemColumns(column) {
+    return {
+        amount: `"ReceiptItem"."${column}"`,
+        currency: '"ReceiptItem"."currency"',
+        date: 'COALESCE("receipt"."purchase_date", "receipt"."created_at")'
+    };
+}
+
+// Item price column in the user's base currency, at the rate of the purchase date
+function itemAmountSql(baseCurrency, column) {
+    return convertedAmountSql(baseCurrency, itemColumns(column));
+}
+
+function itemAmount(baseCurrency, column) {
+    return Sequelize.literal(itemAmountSql(baseCurrency, column));
+}
+
+// Lines without a rate to the base currency, which the converted sums leave out
+function itemUnconvertedCount(baseCurrency) {
+    return Sequelize.literal(unconvertedCountSql(baseCurrency, itemColumns('total_price')));
+}
+
+// Unit price paid, for price aggregates: returned items (negative prices) are no price points
+function itemPrice(baseCurrency) {
+    return Sequelize.literal(`CASE WHEN "ReceiptItem"."unit_price" > 0 THEN ${itemAmountSql(baseCurrency, 'unit_price')} END`);
+}
+
+// Category a line is spent in: its product's, or for a discount line the category of the product it reduces
+const lineCategory = Sequelize.fn('COALESCE', Sequelize.col('product.category'), Sequelize.col('discountedItem->product.category'));
+
+function discountedProductInclude() {
+    return {
+        model: ReceiptItem,
+        as: 'discountedItem',
+        attributes: [],
+        include: [{ model: Product, as: 'product', attributes: [] }]
+    };
+}
+
+// Day a receipt counts on, in the user's timezone
+function receiptDay(user, alias = 'receipt') {
+    return receiptDaySql(user.timezone, {
+        purchaseDate: `"${alias}"."purchase_date"`,
+        createdAt: `"${alias}"."created_at"`
+    });
+}
+
+// First day of the user's month (see their month start day) that a receipt counts in
+function receiptMonth(user, alias = 'receipt') {
+    return Sequelize.literal(monthStartSql(receiptDay(user, alias), user.monthStartDay));
+}
+
+// Receipts from the start of the user's month, a number of months back
+function sinceMonthsAgo(user, months, alias = 'receipt') {
+    const today = localDay(new Date(), user.timezone);
+    const startDate = addMonths(monthStart(today, user.monthStartDay), -parseInt(months));
+    return Sequelize.where(Sequelize.literal(receiptDay(user, alias)), { [Op.gte]: startDate });
+}
 
 /**
  * Get monthly purchase statistics for a specific product
@@ -15,6 +82,7 @@ export const getProductMonthlyStats = asyncHandler(async (req, res) => {
     const { productId } = req.params;
     const { months = 12 } = req.query;
     const userId = req.user.id;
+    const baseCurrency = req.user.baseCurrency;
 
     // Verify user has access to this product
     const userHasProduct = await Receipt.findOne({
@@ -35,18 +103,13 @@ export const getProductMonthlyStats = asyncHandler(async (req, res) => {
         });
     }
 
-    const startDate = new Date();
-    startDate.setMonth(startDate.getMonth() - parseInt(months));
-
     const monthlyStats = await ReceiptItem.findAll({
         include: [{
             model: Receipt,
             as: 'receipt',
             where: {
                 userId,
-                purchaseDate: {
-                    [Op.gte]: startDate
-                }
+                [Op.and]: [sinceMonthsAgo(req.user, months)]
             },
             attributes: []
         }, {
@@ -56,17 +119,18 @@ export const getProductMonthlyStats = asyncHandler(async (req, res) => {
             attributes: []
         }],
         attributes: [
-            [Sequelize.fn('DATE_TRUNC', 'month', Sequelize.col('receipt.purchase_date')), 'month'],
+            [receiptMonth(req.user), 'month'],
             [Sequelize.fn('COUNT', '*'), 'purchaseCount'],
             [Sequelize.fn('SUM', Sequelize.col('quantity')), 'totalQuantity'],
-            [Sequelize.fn('SUM', Sequelize.col('total_price')), 'totalSpent'],
-            [Sequelize.fn('AVG', Sequelize.col('unit_price')), 'avgPrice'],
-            [Sequelize.fn('MIN', Sequelize.col('unit_price')), 'minPrice'],
-            [Sequelize.fn('MAX', Sequelize.col('unit_price')), 'maxPrice'],
-            [Sequelize.fn('COUNT', Sequelize.fn('DISTINCT', Sequelize.col('receipt.merchant_name'))), 'merchantCount']
+            [Sequelize.fn('SUM', itemAmount(baseCurrency, 'total_price')), 'totalSpent'],
+            [Sequelize.fn('AVG', itemPrice(baseCurrency)), 'avgPrice'],
+            [Sequelize.fn('MIN', itemPrice(baseCurrency)), 'minPrice'],
+            [Sequelize.fn('MAX', itemPrice(baseCurrency)), 'maxPrice'],
+            [Sequelize.fn('COUNT', Sequelize.fn('DISTINCT', Sequelize.fn('COALESCE', Sequelize.cast(Sequelize.col('receipt.merchant_id'), 'text'), Sequelize.col('receipt.merchant_name')))), 'merchantCount'],
+            [itemUnconvertedCount(baseCurrency), 'unconvertedCount']
         ],
-        group: [Sequelize.fn('DATE_TRUNC', 'month', Sequelize.col('receipt.purchase_date'))],
-        order: [[Sequelize.fn('DATE_TRUNC', 'month', Sequelize.col('receipt.purchase_date')), 'ASC']],
+        group: [receiptMonth(req.user)],
+        order: [[receiptMonth(req.user), 'ASC']],
         raw: true
     });
 
@@ -76,11 +140,13 @@ export const getProductMonthlyStats = asyncHandler(async (req, res) => {
         status: 'success',
         data: {
             product,
+            currency: baseCurrency,
             monthlyStats: monthlyStats.map(stat => ({
                 month: stat.month,
                 purchaseCount: parseInt(stat.purchaseCount),
                 totalQuantity: parseFloat(stat.totalQuantity),
-                totalSpent: parseFloat(stat.totalSpent),
+                totalSpent: parseFloat(stat.totalSpent) || 0,
+                unconvertedCount: parseInt(stat.unconvertedCount),
                 avgPrice: parseFloat(stat.avgPrice),
                 minPrice: parseFloat(stat.minPrice),
                 maxPrice: parseFloat(stat.maxPrice),
@@ -98,10 +164,14 @@ export const getProductPriceComparison = asyncHandler(async (req, res) => {
     const { productId } = req.params;
     const { days = 90 } = req.query;
     const userId = req.user.id;
+    const baseCurrency = req.user.baseCurrency;
 
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - parseInt(days));
 
+    // Spellings of the same merchant ("LIDL", "LIDL 1234") are compared as one merchant
+    const merchantName = Sequelize.fn('COALESCE', Sequelize.col('receipt->merchant.name'), Sequelize.col('receipt.merchant_name'));
+
     const priceComparison = await ReceiptItem.findAll({
         include: [{
             model: Receipt,
@@ -112,6 +182,7 @@ export const getProductPriceComparison = asyncHandler(async (req, res) => {
                     [Op.gte]: startDate
                 }
             },
+            include: [{ model: Merchant, as: 'merchant', attributes: [] }],
             attributes: []
         }, {
             model: Product,
@@ -120,15 +191,16 @@ export const getProductPriceComparison = asyncHandler(async (req, res) => {
             attributes: []
         }],
         attributes: [
-            [Sequelize.col('receipt.merchant_name'), 'merchant'],
+            [merchantName, 'merchant'],
             [Sequelize.fn('COUNT', '*'), 'purchaseCount'],
-            [Sequelize.fn('AVG', Sequelize.col('unit_price')), 'avgPrice'],
-            [Sequelize.fn('MIN', Sequelize.col('unit_price')), 'minPrice'],
-            [Sequelize.fn('MAX', Sequelize.col('unit_price')), 'maxPrice'],
-            [Sequelize.fn('SUM', Sequelize.col('total_price')), 'totalSpent']
+            [Sequelize.fn('AVG', itemPrice(baseCurrency)), 'avgPrice'],
+            [Sequelize.fn('MIN', itemPrice(baseCurrency)), 'minPrice'],
+            [Sequelize.fn('MAX', itemPrice(baseCurrency)), 'maxPrice'],
+            [Sequelize.fn('SUM', itemAmount(baseCurrency, 'total_price')), 'totalSpent'],
+            [itemUnconvertedCount(baseCurrency), 'unconvertedCount']
         ],
-        group: [Sequelize.col('receipt.merchant_name')],
-        order: [[Sequelize.fn('AVG', Sequelize.col('unit_price')), 'ASC']],
+        group: [Sequelize.col('receipt.merchant_id'), merchantName],
+        order: [[Sequelize.fn('AVG', itemPrice(baseCurrency)), 'ASC']],
         raw: true
     });
 
@@ -137,13 +209,15 @@ export const getProductPriceComparison = asyncHandler(async (req, res) => {
     res.json({
         status: 'success',
         data: {
+            currency: baseCurrency,
             merchants: priceComparison.map(merchant => ({
                 name: merchant.merchant,
                 purchaseCount: parseInt(merchant.purchaseCount),
                 avgPrice: parseFloat(merchant.avgPrice),
                 minPrice: parseFloat(merchant.minPrice),
                 maxPrice: parseFloat(merchant.maxPrice),
-                totalSpent: parseFloat(merchant.totalSpent),
+                totalSpent: parseFloat(merchant.totalSpent) || 0,
+                unconvertedCount: parseInt(merchant.unconvertedCount),
                 savingsVsBest: bestPrice > 0 ? ((parseFloat(merchant.avgPrice) - bestPrice) / bestPrice * 100).toFixed(2) : 0,
                 isBestPrice: parseFloat(merchant.avgPrice) === bestPrice
             }))
@@ -157,9 +231,11 @@ export const getProductPriceComparison = asyncHandler(async (req, res) => {
 export const getProductFrequencyAnalysis = asyncHandler(async (req, res) => {
     const { productId } = req.params;
     const userId = req.user.id;
+    const baseCurrency = req.user.baseCurrency;
 
-    // Get all purchases for this product
+    // Get all purchases for this product (returned items are no purchases)
     const purchases = await ReceiptItem.findAll({
+        where: { unitPrice: { [Op.gt]: 0 } },
         include: [{
             model: Receipt,
             as: 'receipt',
@@ -171,7 +247,7 @@ export const getProductFrequencyAnalysis = asyncHandler(async (req, res) => {
             where: { id: productId },
             attributes: ['name', 'category']
         }],
-        attributes: ['quantity', 'totalPrice', 'createdAt'],
+        attributes: ['quantity', 'totalPrice', 'currency', 'createdAt', [itemAmount(baseCurrency, 'total_price'), 'convertedTotalPrice']],
         order: [['createdAt', 'ASC']]
     });
 
@@ -195,6 +271,9 @@ export const getProductFrequencyAnalysis = asyncHandler(async (req, res) => {
     }
 
     const avgDaysBetween = intervals.reduce((a, b) => a + b, 0) / intervals.length;
+
+    // Purchases without a rate to the base currency are counted instead of spent
+    const convertedTotals = purchases.map(p => p.get('convertedTotalPrice')).filter(total => total !== null);
     const lastPurchase = dates[dates.length - 1];
     const daysSinceLastPurchase = Math.floor((new Date() - lastPurchase) / (1000 * 60 * 60 * 24));
 
@@ -203,11 +282,12 @@ export const getProductFrequencyAnalysis = asyncHandler(async (req, res) => {
         days: 180,
         includeProductAnalysis: true,
         includeMerchantAnalysis: true,
-        includePaymentAnalysis: true
+        includePaymentAnalysis: true,
+        baseCurrency
     });
 
     // Price history analysis
-    const priceHistory = await getPriceHistoryAnalysis(productId, 180);
+    const priceHistory = await getPriceHistoryAnalysis(productId, 180, baseCurrency);
 
     // Predict next purchase
     const nextPurchasePrediction = new Date(lastPurchase);
@@ -234,7 +314,9 @@ export const getProductFrequencyAnalysis = asyncHandler(async (req, res) => {
                              daysSinceLastPurchase > avgDaysBetween ? 'medium' : 'low'
             },
             statistics: {
-                totalSpent: purchases.reduce((sum, p) => sum + parseFloat(p.totalPrice), 0),
+                totalSpent: convertedTotals.reduce((sum, total) => sum + parseFloat(total), 0),
+                currency: baseCurrency,
+                unconvertedCount: purchases.length - convertedTotals.length,
                 avgQuantityPerPurchase: totalQuantity / purchases.length,
                 shortestInterval: Math.min(...intervals),
                 longestInterval: Math.max(...intervals)
@@ -251,9 +333,7 @@ export const getProductFrequencyAnalysis = asyncHandler(async (req, res) => {
 export const getSpendingAnalysis = asyncHandler(async (req, res) => {
     const { period = 'month', months = 6 } = req.query;
     const userId = req.user.id;
-
-    const startDate = new Date();
-    startDate.setMonth(startDate.getMonth() - parseInt(months));
+    const baseCurrency = req.user.baseCurrency;
 
     // Get spending by category
     const categorySpending = await ReceiptItem.findAll({
@@ -262,29 +342,30 @@ export const getSpendingAnalysis = asyncHandler(async (req, res) => {
             as: 'receipt',
             where: {
                 userId,
-                purchaseDate: {
-                    [Op.gte]: startDate
-                }
+                [Op.and]: [sinceMonthsAgo(req.user, months)]
             },
             attributes: []
         }, {
             model: Product,
             as: 'product',
-            attributes: ['category']
-        }],
+            attributes: []
+        }, discountedProductInclude()],
         attributes: [
-            [Sequelize.col('product.category'), 'category'],
-            [Sequelize.fn('SUM', Sequelize.col('total_price')), 'totalSpent'],
-            [Sequelize.fn('COUNT', '*'), 'itemCount'],
-            [Sequelize.fn('AVG', Sequelize.col('total_price')), 'avgItemPrice'],
-            [Sequelize.fn('COUNT', Sequelize.fn('DISTINCT', Sequelize.col('product_id'))), 'uniqueProducts']
+            [lineCategory, 'category'],
+            [Sequelize.fn('SUM', itemAmount(baseCurrency, 'total_price')), 'totalSpent'],
+            [Sequelize.fn('COUNT', Sequelize.col('ReceiptItem.product_id')), 'itemCount'],
+            [Sequelize.literal(`AVG(CASE WHEN "ReceiptItem"."item_type" = 'product' THEN ${itemAmountSql(baseCurrency, 'total_price')} END)`), 'avgItemPrice'],
+            [Sequelize.fn('COUNT', Sequelize.fn('DISTINCT', Sequelize.col('ReceiptItem.product_id'))), 'uniqueProducts'],
+            [itemUnconvertedCount(baseCurrency), 'unconvertedCount']
         ],
-        group: ['product.category'],
-        order: [[Sequelize.fn('SUM', Sequelize.col('total_price')), 'DESC']],
+        group: [lineCategory],
+        order: [[Sequelize.fn('SUM', itemAmount(baseCurrency, 'total_price')), 'DESC NULLS LAST']],
         raw: true
     });
 
-    const totalSpent = categorySpending.reduce((sum, cat) => sum + parseFloat(cat.totalSpent), 0);
+    const totalSpent = categorySpending.reduce((sum, cat) => sum + (parseFloat(cat.totalSpent) || 0), 0);
+    const categories = await getUserCategories(userId);
+    const language = req.user.preferredLanguage || 'en';
 
     // Get monthly trends
     const monthlyTrends = await ReceiptItem.findAll({
@@ -293,27 +374,26 @@ export const getSpendingAnalysis = asyncHandler(async (req, res) => {
             as: 'receipt',
             where: {
                 userId,
-                purchaseDate: {
-                    [Op.gte]: startDate
-                }
+                [Op.and]: [sinceMonthsAgo(req.user, months)]
             },
             attributes: []
         }, {
             model: Product,
             as: 'product',
             attributes: []
-        }],
+        }, discountedProductInclude()],
         attributes: [
-            [Sequelize.fn('DATE_TRUNC', 'month', Sequelize.col('receipt.purchase_date')), 'month'],
-            [Sequelize.col('product.category'), 'category'],
-            [Sequelize.fn('SUM', Sequelize.col('total_price')), 'monthlySpent']
+            [receiptMonth(req.user), 'month'],
+            [lineCategory, 'category'],
+            [Sequelize.fn('SUM', itemAmount(baseCurrency, 'total_price')), 'monthlySpent'],
+            [itemUnconvertedCount(baseCurrency), 'unconvertedCount']
         ],
         group: [
-            Sequelize.fn('DATE_TRUNC', 'month', Sequelize.col('receipt.purchase_date')),
-            'product.category'
+            receiptMonth(req.user),
+            lineCategory
         ],
         order: [
-            [Sequelize.fn('DATE_TRUNC', 'month', Sequelize.col('receipt.purchase_date')), 'ASC']
+            [receiptMonth(req.user), 'ASC']
         ],
         raw: true
     });
@@ -322,33 +402,37 @@ export const getSpendingAnalysis = asyncHandler(async (req, res) => {
         status: 'success',
         data: {
             period: `${months} months`,
+            currency: baseCurrency,
             totalSpent,
+            unconvertedCount: categorySpending.reduce((sum, cat) => sum + parseInt(cat.unconvertedCount), 0),
             categories: categorySpending.map(cat => ({
-                category: cat.category ? mapCategoryToLocalized(cat.category, req.user.preferredLanguage || 'en') : req.t('categories.uncategorized'),
-                totalSpent: parseFloat(cat.totalSpent),
-                percentage: ((parseFloat(cat.totalSpent) / totalSpent) * 100).toFixed(2),
+                category: cat.category ? presentCategory(categories, cat.category, language).name : req.t('categories.uncategorized'),
+                categoryInfo: cat.category ? presentCategory(categories, cat.category, language) : null,
+                totalSpent: parseFloat(cat.totalSpent) || 0,
+                unconvertedCount: parseInt(cat.unconvertedCount),
+                percentage: (((parseFloat(cat.totalSpent) || 0) / totalSpent) * 100).toFixed(2),
                 itemCount: parseInt(cat.itemCount),
                 avgItemPrice: parseFloat(cat.avgItemPrice),
                 uniqueProducts: parseInt(cat.uniqueProducts)
             })),
             monthlyTrends: monthlyTrends.map(trend => ({
                 month: trend.month,
-                category: trend.category ? mapCategoryToLocalized(trend.category, req.user.preferredLanguage || 'en') : req.t('categories.uncategorized'),
-                spent: parseFloat(trend.monthlySpent)
+                category: trend.category ? presentCategory(categories, trend.category, language).name : req.t('categories.uncategorized'),
+                spent: parseFloat(trend.monthlySpent) || 0,
+                unconvertedCount: parseInt(trend.unconvertedCount)
             }))
         }
     });
 });
 
 /**
- * Get total spending by month (aggregated across categories)
+ * Get total spending by month (aggregated across categories).
+ * Months start on the user's month start day and are counted in their timezone.
  */
 export const getMonthlyTotals = asyncHandler(async (req, res) => {
     const { months = 4 } = req.query;
     const userId = req.user.id;
-
-    const startDate = new Date();
-    startDate.setMonth(startDate.getMonth() - parseInt(months));
+    const baseCurrency = req.user.baseCurrency;
 
     const monthly = await ReceiptItem.findAll({
         include: [{
@@ -356,53 +440,166 @@ export const getMonthlyTotals = asyncHandler(async (req, res) => {
             as: 'receipt',
             where: {
                 userId,
-                purchaseDate: { [Op.gte]: startDate }
+                [Op.and]: [sinceMonthsAgo(req.user, months)]
             },
             attributes: []
         }],
         attributes: [
-            [Sequelize.fn('DATE_TRUNC', 'month', Sequelize.col('receipt.purchase_date')), 'month'],
-            [Sequelize.fn('SUM', Sequelize.col('total_price')), 'totalSpent']
+            [receiptMonth(req.user), 'month'],
+            [Sequelize.fn('SUM', itemAmount(baseCurrency, 'total_price')), 'totalSpent'],
+            [itemUnconvertedCount(baseCurrency), 'unconvertedCount']
         ],
-        group: [Sequelize.fn('DATE_TRUNC', 'month', Sequelize.col('receipt.purchase_date'))],
-        order: [[Sequelize.fn('DATE_TRUNC', 'month', Sequelize.col('receipt.purchase_date')), 'ASC']],
+        group: [receiptMonth(req.user)],
+        order: [[receiptMonth(req.user), 'ASC']],
         raw: true
     });
 
     res.json({
         status: 'success',
         data: {
+            currency: baseCurrency,
             monthlyTotals: monthly.map(m => ({
                 month: m.month,
-                totalSpent: parseFloat(m.totalSpent)
+                totalSpent: parseFloat(m.totalSpent) || 0,
+                unconvertedCount: parseInt(m.unconvertedCount)
             }))
         }
     });
 });
 
+/**
+ * Get savings from discount lines, other lines that are not products (fees, tips, taxes)
+ * and the deposits that are still to be returned
+ */
+export const getSavingsAndDeposits = asyncHandler(async (req, res) => {
+    const { months = 6 } = req.query;
+    const userId = req.user.id;
+    const baseCurrency = req.user.baseCurrency;
+
+    const inPeriod = {
+        model: Receipt,
+        as: 'receipt',
+        where: {
+            userId,
+            [Op.and]: [sinceMonthsAgo(req.user, months)]
+        },
+        attributes: []
+    };
+
+    // Discount lines are negative; savings are reported as positive amounts
+    const monthlyDiscounts = await ReceiptItem.findAll({
+        where: { itemType: 'discount' },
+        include: [inPeriod],
+        attributes: [
+            [receiptMonth(req.user), 'month'],
+            [Sequelize.fn('COUNT', '*'), 'discountCount'],
+            [Sequelize.fn('SUM', itemAmount(baseCurrency, 'total_price')), 'total'],
+            [itemUnconvertedCount(baseCurrency), 'unconvertedCount']
+        ],
+        group: [receiptMonth(req.user)],
+        order: [[receiptMonth(req.user), 'ASC']],
+        raw: true
+    });
+
+    const otherLines = await ReceiptItem.findAll({
+        where: { itemType: { [Op.in]: ['fee', 'tip', 'tax'] } },
+        include: [inPeriod],
+        attributes: [
+            'itemType',
+            [Sequelize.fn('SUM', itemAmount(baseCurrency, 'total_price')), 'total'],
+            [itemUnconvertedCount(baseCurrency), 'unconvertedCount']
+        ],
+        group: ['ReceiptItem.item_type'],
+        raw: true
+    });
+
+    // A deposit is outstanding until the bottles are returned, so all receipts count
+    const deposits = await ReceiptItem.findAll({
+        where: { itemType: { [Op.in]: ['deposit', 'deposit_return'] } },
+        include: [{
+            model: Receipt,
+            as: 'receipt',
+            where: { userId },
+            attributes: []
+        }],
+        attributes: [
+            'itemType',
+            [Sequelize.fn('SUM', itemAmount(baseCurrency, 'total_price')), 'total'],
+            [itemUnconvertedCount(baseCurrency), 'unconvertedCount']
+        ],
+        group: ['ReceiptItem.item_type'],
+        raw: true
+    });
+
+    const totalOf = (rows, itemType) => parseFloat(rows.find(row => row.itemType === itemType)?.total) || 0;
+    const round = amount => Math.round(amount * 100) / 100;
+
+    const savings = monthlyDiscounts.map(m => ({
+        month: m.month,
+        savings: round(-(parseFloat(m.total) || 0)),
+        discountCount: parseInt(m.discountCount)
+    }));
+    const depositsPaid = totalOf(deposits, 'deposit');
+    const depositsReturned = -totalOf(deposits, 'deposit_return');
+    const unconvertedCount = [...monthlyDiscounts, ...otherLines, ...deposits].reduce((sum, row) => sum + parseInt(row.unconvertedCount), 0);
+
+    res.json({
+        status: 'success',
+        data: {
+            period: `${months} months`,
+            currency: baseCurrency,
+            unconvertedCount,
+            savings: {
+                total: round(savings.reduce((sum, m) => sum + m.savings, 0)),
+                discountCount: savings.reduce((sum, m) => sum + m.discountCount, 0),
+                monthly: savings
+            },
+            deposits: {
+                paid: round(depositsPaid),
+                returned: round(depositsReturned),
+                outstanding: round(depositsPaid - depositsReturned)
+            },
+            fees: round(totalOf(otherLines, 'fee')),
+            tips: round(totalOf(otherLines, 'tip')),
+            taxes: round(totalOf(otherLines, 'tax'))
+        }
+    });
+});
+
 /**
  * Get intelligent alerts and recommendations
  */
 export const getSmartAlerts = asyncHandler(async (req, res) => {
     const userId = req.user.id;
+    const baseCurrency = req.user.baseCurrency;
     const alerts = [];
 
+    // Prices are compared in the base currency, so a trip abroad is no price spike
+    const price = (item, receipt, column) => convertedAmountSql(baseCurrency, {
+        amount: `${item}.${column}`,
+        currency: `${item}.currency`,
+        date: `COALESCE(${receipt}.purchase_date, ${receipt}.created_at)`
+    });
+
     // Price spike alerts (products that have increased significantly)
     const priceSpikes = await sequelize.query(`
         WITH recent_prices AS (
             SELECT
                 p.id, p.name, p.category,
-                AVG(ri.unit_price) as recent_avg,
-                (SELECT AVG(ri2.unit_price)
+                AVG(${price('ri', 'r', 'unit_price')}) as recent_avg,
+                (SELECT AVG(${price('ri2', 'r2', 'unit_price')})
                  FROM receipt_items ri2
                  JOIN receipts r2 ON ri2.receipt_id = r2.id
-                 WHERE ri2.product_id = p.id AND r2.user_id = :userId
+                 WHERE ri2.product_id = p.id AND r2.user_id = :userId AND r2.deleted_at IS NULL
+                 AND ri2.unit_price > 0
                  AND r2.purchase_date < (CURRENT_DATE - INTERVAL '30 days')
                 ) as historical_avg
             FROM products p
             JOIN receipt_items ri ON p.id = ri.product_id
             JOIN receipts r ON ri.receipt_id = r.id
             WHERE r.user_id = :userId
+            AND r.deleted_at IS NULL
+            AND ri.unit_price > 0
             AND r.purchase_date >= (CURRENT_DATE - INTERVAL '30 days')
             GROUP BY p.id, p.name, p.category
         )
@@ -441,6 +638,7 @@ export const getSmartAlerts = asyncHandler(async (req, res) => {
             JOIN receipt_items ri ON p.id = ri.product_id
             JOIN receipts r ON ri.receipt_id = r.id
             WHERE r.user_id = :userId
+                AND r.deleted_at IS NULL
             GROUP BY p.id, p.name, p.category
             HAVING COUNT(*) >= 3
         )
@@ -477,17 +675,20 @@ export const getSmartAlerts = asyncHandler(async (req, res) => {
         });
     });
 
-    // Budget alerts (categories spending more than usual)
+    // Budget alerts (categories spending more than usual), by the user's months
+    const month = monthStartSql(receiptDay(req.user, 'r'), req.user.monthStartDay);
+    const currentMonth = monthStart(localDay(new Date(), req.user.timezone), req.user.monthStartDay);
     const budgetAlerts = await sequelize.query(`
         WITH current_month_spending AS (
             SELECT
                 p.category,
-                SUM(ri.total_price) as current_month_total
+                SUM(${price('ri', 'r', 'total_price')}) as current_month_total
             FROM receipt_items ri
             JOIN receipts r ON ri.receipt_id = r.id
             JOIN products p ON ri.product_id = p.id
             WHERE r.user_id = :userId
-            AND DATE_TRUNC('month', r.purchase_date) = DATE_TRUNC('month', CURRENT_DATE)
+            AND r.deleted_at IS NULL
+            AND ${month} = :currentMonth
             GROUP BY p.category
         ),
         historical_averages AS (
@@ -497,15 +698,16 @@ export const getSmartAlerts = asyncHandler(async (req, res) => {
             FROM (
                 SELECT
                     p.category,
-                    DATE_TRUNC('month', r.purchase_date) as month,
-                    SUM(ri.total_price) as monthly_total
+                    ${month} as month,
+                    SUM(${price('ri', 'r', 'total_price')}) as monthly_total
                 FROM receipt_items ri
                 JOIN receipts r ON ri.receipt_id = r.id
                 JOIN products p ON ri.product_id = p.id
                 WHERE r.user_id = :userId
-                AND r.purchase_date >= (CURRENT_DATE - INTERVAL '6 months')
-                AND DATE_TRUNC('month', r.purchase_date) != DATE_TRUNC('month', CURRENT_DATE)
-                GROUP BY p.category, DATE_TRUNC('month', r.purchase_date)
+                AND r.deleted_at IS NULL
+                AND ${month} >= :historyStart
+                AND ${month} != :currentMonth
+                GROUP BY p.category, ${month}
             ) monthly_totals
             GROUP BY monthly_totals.category
         )
@@ -519,17 +721,18 @@ export const getSmartAlerts = asyncHandler(async (req, res) => {
         ORDER BY (c.current_month_total - h.avg_monthly) / h.avg_monthly DESC
         LIMIT 3
     `, {
-        replacements: { userId },
+        replacements: { userId, currentMonth, historyStart: addMonths(currentMonth, -6) },
         type: Sequelize.QueryTypes.SELECT
     });
 
+    const categories = await getUserCategories(userId);
     budgetAlerts.forEach(budget => {
         alerts.push({
             type: 'budget_exceeded',
             severity: 'high',
             title: req.t('alerts.budget_exceeded_title'),
             message: req.t('alerts.budget_exceeded_message', {
-                category: mapCategoryToLocalized(budget.category, req.user.preferredLanguage || 'en'),
+                category: presentCategory(categories, budget.category, req.user.preferredLanguage || 'en').name,
                 increase: Math.round(((budget.current_month - budget.avg_monthly) / budget.avg_monthly) * 100)
             }),
             data: budget
@@ -541,25 +744,30 @@ export const getSmartAlerts = asyncHandler(async (req, res) => {
         WITH merchant_prices AS (
             SELECT
                 p.id, p.name,
-                r.merchant_name,
-                AVG(ri.unit_price) as merchant_avg,
+                COALESCE(m.name, r.merchant_name) as merchant_name,
+                AVG(${price('ri', 'r', 'unit_price')}) as merchant_avg,
                 COUNT(*) as purchase_count
             FROM products p
             JOIN receipt_items ri ON p.id = ri.product_id
             JOIN receipts r ON ri.receipt_id = r.id
+            LEFT JOIN merchants m ON r.merchant_id = m.id
             WHERE r.user_id = :userId
+            AND r.deleted_at IS NULL
+            AND ri.unit_price > 0
             AND r.purchase_date >= (CURRENT_DATE - INTERVAL '90 days')
-            GROUP BY p.id, p.name, r.merchant_name
+            GROUP BY p.id, p.name, r.merchant_id, COALESCE(m.name, r.merchant_name)
             HAVING COUNT(*) >= 2
         ),
         product_overall_avg AS (
             SELECT
                 p.id,
-                AVG(ri.unit_price) as overall_avg
+                AVG(${price('ri', 'r', 'unit_price')}) as overall_avg
             FROM products p
             JOIN receipt_items ri ON p.id = ri.product_id
             JOIN receipts r ON ri.receipt_id = r.id
             WHERE r.user_id = :userId
+                AND r.deleted_at IS NULL
+                AND ri.unit_price > 0
             GROUP BY p.id
         )
         SELECT
@@ -594,7 +802,8 @@ export const getSmartAlerts = asyncHandler(async (req, res) => {
         days: 90,
         includeProductAnalysis: true,
         includeMerchantAnalysis: true,
-        includePaymentAnalysis: true
+        includePaymentAnalysis: true,
+        baseCurrency
     });
 
     if (purchasePatterns.success) {
@@ -606,7 +815,7 @@ export const getSmartAlerts = asyncHandler(async (req, res) => {
                         type: 'vat_analysis',
                         severity: 'info',
                         title: 'VAT Analysis',
-                        message: `Average 21% VAT in ${vat.country}: ${parseFloat(vat.avg_vat_21 || 0).toFixed(2)}`,
+                        message: `Average 21% VAT in ${vat.country}: ${parseFloat(vat.avg_vat_21 || 0).toFixed(2)} ${baseCurrency}`,
                         data: vat
                     });
                 }
@@ -623,7 +832,7 @@ export const getSmartAlerts = asyncHandler(async (req, res) => {
                     type: 'discount_success',
                     severity: 'info',
                     title: 'Discount Savings',
-                    message: `Total discount savings: ${totalSavings.toFixed(2)}`,
+                    message: `Total discount savings: ${totalSavings.toFixed(2)} ${baseCurrency}`,
                     data: { totalSavings }
                 });
             }
@@ -633,6 +842,7 @@ export const getSmartAlerts = asyncHandler(async (req, res) => {
     res.json({
         status: 'success',
         data: {
+            currency: baseCurrency,
             alertCount: alerts.length,
             alerts: alerts.sort((a, b) => {
                 const severityOrder = { high: 3, medium: 2, low: 1 };
@@ -660,6 +870,7 @@ export const getProductRecommendations = asyncHandler(async (req, res) => {
             JOIN receipt_items ri2 ON ri1.receipt_id = ri2.receipt_id
             JOIN receipts r ON ri1.receipt_id = r.id
             WHERE r.user_id = :userId
+            AND r.deleted_at IS NULL
             AND ri1.product_id < ri2.product_id
             GROUP BY ri1.product_id, ri2.product_id
             HAVING COUNT(*) >= 2
@@ -688,6 +899,7 @@ export const getProductRecommendations = asyncHandler(async (req, res) => {
         JOIN receipt_items ri ON p.id = ri.product_id
         JOIN receipts r ON ri.receipt_id = r.id
         WHERE r.user_id = :userId
+        AND r.deleted_at IS NULL
         AND r.purchase_date >= (CURRENT_DATE - INTERVAL '2 years')
         GROUP BY p.id, p.name, p.category, EXTRACT(month FROM r.purchase_date)
         HAVING COUNT(*) >= 2
@@ -698,6 +910,8 @@ export const getProductRecommendations = asyncHandler(async (req, res) => {
         type: Sequelize.QueryTypes.SELECT
     });
 
+    const categories = await getUserCategories(userId);
+
     res.json({
         status: 'success',
         data: {
@@ -712,7 +926,7 @@ export const getProductRecommendations = asyncHandler(async (req, res) => {
             })),
             seasonalTrends: seasonalTrends.map(trend => ({
                 product: trend.name,
-                category: mapCategoryToLocalized(trend.category, req.user.preferredLanguage || 'en'),
+                category: trend.category ? presentCategory(categories, trend.category, req.user.preferredLanguage || 'en').name : req.t('categories.uncategorized'),
                 month: parseInt(trend.month),
                 frequency: parseInt(trend.purchase_frequency),
                 recommendation: req.t('recommendations.seasonal_trend', {
@@ -2,6 +2,7 @@ import authService from '../services/authService.js';
 import { asyncHandler } from '../utils/errors.js';
 import { log } from '../utils/logger.js';
 import { calculateUserBadges, getBadgeDisplayInfo } from '../services/badgeService.js';
+import { isSupportedCurrency } from '../services/currencyService.js';
 import { addSignedUrlsToProfile, generateSignedUrl } from '../utils/urlSigner.js';
 
 export const register = asyncHandler(async (req, res) => {
@@ -179,6 +180,44 @@ export const updateLanguagePreference = asyncHandler(async (req, res) => {
     });
 });
 
+export const updateCurrencyPreference = asyncHandler(async (req, res) => {
+    const currency = req.body.currency.toUpperCase();
+
+    if (!(await isSupportedCurrency(currency))) {
+        return res.status(400).json({
+            status: 'error',
+            message: req.t('currencies.unsupported_currency', { currency })
+        });
+    }
+
+    await req.user.update({ baseCurrency: currency });
+
+    res.json({
+        status: 'success',
+        message: req.t('auth.currency_updated_success', { currency }),
+        data: {
+            baseCurrency: currency
+        }
+    });
+});
+
+export const updateCalendarPreference = asyncHandler(async (req, res) => {
+    const updates = {};
+    if (req.body.timezone !== undefined) updates.timezone = req.body.timezone;
+    if (req.body.monthStartDay !== undefined) updates.monthStartDay = parseInt(req.body.monthStartDay);
+
+    await req.user.update(updates);
+
+    res.json({
+        status: 'success',
+        message: req.t('auth.calendar_updated_success'),
+        data: {
+            timezone: req.user.timezone,
+            monthStartDay: req.user.monthStartDay
+        }
+    });
+});
+
 export const getUserBadges = asyncHandler(async (req, res) => {
     const userId = req.user.id;
 
@@ -237,4 +276,43 @@ export const deleteProfilePhoto = asyncHandler(async (req, res) => {
         status: 'success',
         message: req.t('auth.profile_photo_deleted_success')
     });
-});
\ No newline at end of file
+});
+
+export const getAccessTokens = asyncHandler(async (req, res) => {
+    const tokens = await authService.listPersonalAccessTokens(req.user.id);
+
+    res.json({
+        status: 'success',
+        data: {
+            tokens
+        }
+    });
+});
+
+export const createAccessToken = asyncHandler(async (req, res) => {
+    const { name, scopes, expiresAt } = req.body;
+
+    const { accessToken, token } = await authService.createPersonalAccessToken(req.user.id, {
+        name,
+        scopes,
+        expiresAt: expiresAt ? new Date(expiresAt) : null
+    });
+
+    res.status(201).json({
+        status: 'success',
+        message: req.t('auth.access_token_created_success'),
+        data: {
+            accessToken,
+            token
+        }
+    });
+});
+
+export const revokeAccessToken = asyncHandler(async (req, res) => {
+    await authService.revokePersonalAccessToken(req.user.id, req.params.id);
+
+    res.json({
+        status: 'success',
+        message: req.t('auth.access_token_revoked_success')
+    });
+});
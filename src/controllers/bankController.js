@@ -0,0 +1,162 @@
+import multer from 'multer';
+import { asyncHandler } from '../utils/errors.js';
+import * as bankReconciliationService from '../services/bankReconciliationService.js';
+
+// Statements are parsed in memory and not stored
+const statementUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: parseInt(process.env.MAX_STATEMENT_FILE_SIZE || 10485760) // 10MB default
+    }
+});
+
+export const uploadStatementFile = statementUpload.single('file');
+
+/**
+ * POST /api/bank/statements
+ * Import a CAMT.053, OFX/QFX or CSV statement and match its transactions to receipts
+ */
+export const importStatement = asyncHandler(async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({
+            status: 'error',
+            message: req.t('bank.no_file')
+        });
+    }
+
+    const { format, delimiter, dateFormat, decimalSeparator, currency, columns } = req.body;
+
+    const result = await bankReconciliationService.importBankStatement(req.user.id, {
+        buffer: req.file.buffer,
+        filename: req.file.originalname,
+        format,
+        csv: { delimiter, dateFormat, decimalSeparator, currency, columns }
+    });
+
+    res.status(201).json({
+        status: 'success',
+        message: req.t('bank.imported_success', { imported: result.imported, matched: result.matched }),
+        data: result
+    });
+});
+
+/**
+ * DELETE /api/bank/statements/:importId
+ * Remove the transactions of a statement import
+ */
+export const deleteStatement = asyncHandler(async (req, res) => {
+    const result = await bankReconciliationService.deleteImport(req.user.id, req.params.importId);
+
+    res.json({
+        status: 'success',
+        message: req.t('bank.import_deleted_success'),
+        data: result
+    });
+});
+
+/**
+ * GET /api/bank/transactions
+ * Imported transactions, optionally filtered by match status and booking date
+ */
+export const getTransactions = asyncHandler(async (req, res) => {
+    const { status, from, to, limit = 50, offset = 0 } = req.query;
+
+    const { transactions, total } = await bankReconciliationService.getTransactions(req.user.id, {
+        status,
+        from,
+        to,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+    });
+
+    res.json({
+        status: 'success',
+        data: {
+            transactions,
+            pagination: {
+                total,
+                limit: parseInt(limit),
+                offset: parseInt(offset),
+                hasMore: parseInt(offset) + transactions.length < total
+            }
+        }
+    });
+});
+
+/**
+ * PATCH /api/bank/transactions/:id
+ * Mark a transaction as not needing a receipt, or undo that
+ */
+export const updateTransaction = asyncHandler(async (req, res) => {
+    const transaction = await bankReconciliationService.setTransactionIgnored(
+        req.user.id,
+        req.params.id,
+        req.body.ignored
+    );
+
+    res.json({
+        status: 'success',
+        data: { transaction }
+    });
+});
+
+/**
+ * POST /api/bank/transactions/:id/link
+ * Link a transaction to a receipt by hand
+ */
+export const linkTransaction = asyncHandler(async (req, res) => {
+    const transaction = await bankReconciliationService.linkTransaction(
+        req.user.id,
+        req.params.id,
+        req.body.receiptId
+    );
+
+    res.json({
+        status: 'success',
+        message: req.t('bank.linked_success'),
+        data: { transaction }
+    });
+});
+
+/**
+ * DELETE /api/bank/transactions/:id/link
+ * Remove the link between a transaction and its receipt
+ */
+export const unlinkTransaction = asyncHandler(async (req, res) => {
+    const transaction = await bankReconciliationService.unlinkTransaction(req.user.id, req.params.id);
+
+    res.json({
+        status: 'success',
+        message: req.t('bank.unlinked_success'),
+        data: { transaction }
+    });
+});
+
+/**
+ * POST /api/bank/reconcile
+ * Match all unmatched transactions to receipts again (e.g. after scanning missing receipts)
+ */
+export const reconcile = asyncHandler(async (req, res) => {
+    const { matched } = await bankReconciliationService.autoMatchTransactions(req.user.id);
+
+    res.json({
+        status: 'success',
+        message: req.t('bank.reconciled_success', { matched }),
+        data: { matched }
+    });
+});
+
+/**
+ * GET /api/bank/reconciliation
+ * Matched transactions, transactions without a receipt and receipts without a transaction
+ */
+export const getReconciliation = asyncHandler(async (req, res) => {
+    const { from, to } = req.query;
+
+    const reconciliation = await bankReconciliationService.getReconciliation(req.user.id, { from, to });
+
+    res.json({
+        status: 'success',
+        data: reconciliation
+    });
+});
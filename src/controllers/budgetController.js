@@ -3,6 +3,7 @@ import BudgetAlert from '../models/BudgetAlert.js';
 import { asyncHandler } from '../utils/errors.js';
 import { NotFoundError, ValidationError } from '../utils/errors.js';
 import { log } from '../utils/logger.js';
+import { localDay, periodRange, periodEnd } from '../utils/dates.js';
 import * as budgetService from '../services/budgetService.js';
 import cacheService from '../services/cacheService.js';
 
@@ -105,6 +106,17 @@ export const createBudget = asyncHandler(async (req, res) => {
     const userId = req.user.id;
     const budgetData = { ...req.body, userId };
 
+    // Calendar periods default to the current one, in the user's timezone and month start day
+    if (budgetData.period !== 'custom') {
+        if (!budgetData.startDate) {
+            const today = localDay(new Date(), req.user.timezone);
+            budgetData.startDate = periodRange(budgetData.period, today, req.user.monthStartDay).start;
+        }
+        if (!budgetData.endDate) {
+            budgetData.endDate = periodEnd(budgetData.period, budgetData.startDate);
+        }
+    }
+
     const budget = await Budget.create(budgetData);
 
     // Invalidate user budgets cache
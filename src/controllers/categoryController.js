@@ -0,0 +1,81 @@
+import { asyncHandler } from '../utils/errors.js';
+import * as categoryService from '../services/categoryService.js';
+
+/**
+ * GET /api/categories
+ * System and user categories. With ?format=tree, subcategories are nested below their parent.
+ */
+export const getCategories = asyncHandler(async (req, res) => {
+    const { format, appliesTo } = req.query;
+    const language = req.user.preferredLanguage || 'en';
+
+    let categories = await categoryService.getUserCategories(req.user.id);
+    if (appliesTo) {
+        categories = categoryService.categoriesFor(categories, appliesTo);
+    }
+
+    if (format === 'tree') {
+        return res.json({
+            status: 'success',
+            data: {
+                categories: categoryService.buildCategoryTree(categories, language)
+            }
+        });
+    }
+
+    res.json({
+        status: 'success',
+        data: {
+            categories: categories.map(category => ({
+                ...category,
+                localizedName: categoryService.getLocalizedCategoryName(category, language),
+                isSystem: category.userId === null
+            })),
+            count: categories.length
+        }
+    });
+});
+
+/**
+ * POST /api/categories
+ * Create a category, or a subcategory when parentId is given
+ */
+export const createCategory = asyncHandler(async (req, res) => {
+    const category = await categoryService.createCategory(req.user.id, req.body);
+
+    res.status(201).json({
+        status: 'success',
+        message: req.t('categories.created_success'),
+        data: { category }
+    });
+});
+
+/**
+ * PATCH /api/categories/:id
+ * Update a user category (system categories are read-only)
+ */
+export const updateCategory = asyncHandler(async (req, res) => {
+    const category = await categoryService.updateCategory(req.user.id, req.params.id, req.body);
+
+    res.json({
+        status: 'success',
+        message: req.t('categories.updated_success'),
+        data: { category }
+    });
+});
+
+/**
+ * DELETE /api/categories/:id
+ * Delete a user category and its subcategories, moving what used them to ?reassignTo
+ */
+export const deleteCategory = asyncHandler(async (req, res) => {
+    const result = await categoryService.deleteCategory(req.user.id, req.params.id, {
+        reassignTo: req.query.reassignTo
+    });
+
+    res.json({
+        status: 'success',
+        message: req.t('categories.deleted_success', { category: result.reassignedTo }),
+        data: result
+    });
+});
@@ -0,0 +1,82 @@
+import multer from 'multer';
+import { asyncHandler } from '../utils/errors.js';
+import * as currencyService from '../services/currencyService.js';
+
+// Rate files are parsed in memory and not stored
+const rateFileUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: parseInt(process.env.MAX_RATE_FILE_SIZE || 10485760) // 10MB default
+    }
+});
+
+export const uploadRateFile = rateFileUpload.single('file');
+
+/**
+ * GET /api/currencies/rates
+ * Stored daily exchange rates against the euro
+ */
+export const getRates = asyncHandler(async (req, res) => {
+    const { currency, from, to, limit = 100, offset = 0 } = req.query;
+
+    const { base, rates, total } = await currencyService.getRates({
+        currency,
+        from,
+        to,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+    });
+
+    res.json({
+        status: 'success',
+        data: {
+            base,
+            rates,
+            pagination: {
+                total,
+                limit: parseInt(limit),
+                offset: parseInt(offset),
+                hasMore: parseInt(offset) + rates.length < total
+            }
+        }
+    });
+});
+
+/**
+ * POST /api/currencies/rates
+ * Load an ECB-style XML or CSV rate file (admins only)
+ */
+export const importRates = asyncHandler(async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({
+            status: 'error',
+            message: req.t('currencies.no_file')
+        });
+    }
+
+    const result = await currencyService.importExchangeRates(req.file.buffer, {
+        format: req.body.format,
+        filename: req.file.originalname
+    });
+
+    res.status(201).json({
+        status: 'success',
+        message: req.t('currencies.imported_success', { count: result.imported }),
+        data: result
+    });
+});
+
+/**
+ * GET /api/currencies/convert
+ * Convert an amount at the rates of a date, to the user's base currency by default
+ */
+export const convert = asyncHandler(async (req, res) => {
+    const { amount, from, to = req.user.baseCurrency, date = null } = req.query;
+
+    const result = await currencyService.convertAmount(parseFloat(amount), from, to, date);
+
+    res.json({
+        status: 'success',
+        data: result
+    });
+});
@@ -0,0 +1,83 @@
+import { asyncHandler } from '../utils/errors.js';
+import { log } from '../utils/logger.js';
+import eventService from '../services/eventService.js';
+
+const HEARTBEAT_INTERVAL = 25 * 1000; // Below typical proxy idle timeouts
+const CLIENT_RETRY_MS = 5000;
+
+// Stream the user's events as Server-Sent Events
+export const streamEvents = asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId || null;
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable nginx buffering
+    });
+    res.flushHeaders();
+
+    const write = (chunk) => {
+        res.write(chunk);
+        // Push through the compression middleware buffer
+        if (typeof res.flush === 'function') {
+            res.flush();
+        }
+    };
+
+    // Only tracked while replaying, to de-duplicate replayed and buffered live events
+    let sentIds = new Set();
+    // Budget alerts need budgets:read when streaming with a personal access token
+    const canReceive = (event) => !req.accessToken
+        || !event.type.startsWith('budget.')
+        || req.accessToken.hasScope('budgets:read');
+
+    const send = (event) => {
+        if (!canReceive(event)) return;
+        if (sentIds) {
+            if (sentIds.has(event.id)) return;
+            sentIds.add(event.id);
+        }
+
+        write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({
+            type: event.type,
+            data: event.data,
+            timestamp: event.timestamp
+        })}\n\n`);
+    };
+
+    // Buffer live events until missed events have been replayed, to keep ordering
+    let replaying = true;
+    const pending = [];
+    const unsubscribe = eventService.subscribe(userId, (event) => {
+        if (replaying) {
+            pending.push(event);
+        } else {
+            send(event);
+        }
+    });
+
+    const heartbeat = setInterval(() => write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        log.debug('Event stream closed', { userId });
+    });
+
+    write(`retry: ${CLIENT_RETRY_MS}\n\n`);
+
+    if (lastEventId) {
+        const missed = await eventService.getEventsSince(userId, lastEventId);
+        missed.forEach(send);
+
+        log.debug('Replayed missed events', { userId, lastEventId, count: missed.length });
+    }
+
+    replaying = false;
+    pending.forEach(send);
+    sentIds = null;
+
+    log.info('Event stream opened', { userId, resumed: Boolean(lastEventId) });
+});
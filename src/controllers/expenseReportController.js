@@ -0,0 +1,145 @@
+import { asyncHandler } from '../utils/errors.js';
+import * as expenseReportService from '../services/expenseReportService.js';
+
+/**
+ * GET /api/expense-reports
+ * The user's expense reports with receipt counts and totals
+ */
+export const getExpenseReports = asyncHandler(async (req, res) => {
+    const { status, limit = 50, offset = 0 } = req.query;
+
+    const { reports, total } = await expenseReportService.getExpenseReports(req.user.id, {
+        status,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+    });
+
+    res.json({
+        status: 'success',
+        data: {
+            reports,
+            pagination: {
+                total,
+                limit: parseInt(limit),
+                offset: parseInt(offset),
+                hasMore: parseInt(offset) + reports.length < total
+            }
+        }
+    });
+});
+
+/**
+ * GET /api/expense-reports/:id
+ * An expense report with its receipts, items and totals
+ */
+export const getExpenseReport = asyncHandler(async (req, res) => {
+    const report = await expenseReportService.getExpenseReport(req.user.id, req.params.id);
+
+    res.json({
+        status: 'success',
+        data: report
+    });
+});
+
+/**
+ * POST /api/expense-reports
+ * Create a draft report, optionally with receipts
+ */
+export const createExpenseReport = asyncHandler(async (req, res) => {
+    const { title, description, receiptIds } = req.body;
+
+    const report = await expenseReportService.createExpenseReport(req.user.id, { title, description, receiptIds });
+
+    res.status(201).json({
+        status: 'success',
+        message: req.t('expense_reports.created_success'),
+        data: report
+    });
+});
+
+/**
+ * PATCH /api/expense-reports/:id
+ * Rename or describe a draft report
+ */
+export const updateExpenseReport = asyncHandler(async (req, res) => {
+    const { title, description } = req.body;
+
+    const report = await expenseReportService.updateExpenseReport(req.user.id, req.params.id, { title, description });
+
+    res.json({
+        status: 'success',
+        message: req.t('expense_reports.updated_success'),
+        data: report
+    });
+});
+
+/**
+ * DELETE /api/expense-reports/:id
+ * Delete a draft report; its receipts are kept
+ */
+export const deleteExpenseReport = asyncHandler(async (req, res) => {
+    await expenseReportService.deleteExpenseReport(req.user.id, req.params.id);
+
+    res.json({
+        status: 'success',
+        message: req.t('expense_reports.deleted_success')
+    });
+});
+
+/**
+ * POST /api/expense-reports/:id/receipts
+ * Add business receipts to a draft report
+ */
+export const addReceipts = asyncHandler(async (req, res) => {
+    const result = await expenseReportService.addReceiptsToReport(req.user.id, req.params.id, req.body.receiptIds);
+
+    res.json({
+        status: 'success',
+        message: req.t('expense_reports.receipts_added_success', { count: result.added }),
+        data: result
+    });
+});
+
+/**
+ * DELETE /api/expense-reports/:id/receipts/:receiptId
+ * Remove a receipt from a draft report
+ */
+export const removeReceipt = asyncHandler(async (req, res) => {
+    await expenseReportService.removeReceiptFromReport(req.user.id, req.params.id, req.params.receiptId);
+
+    res.json({
+        status: 'success',
+        message: req.t('expense_reports.receipt_removed_success')
+    });
+});
+
+/**
+ * POST /api/expense-reports/:id/status
+ * Submit, reopen or mark a report as reimbursed
+ */
+export const changeStatus = asyncHandler(async (req, res) => {
+    const report = await expenseReportService.changeExpenseReportStatus(req.user.id, req.params.id, req.body.status);
+
+    res.json({
+        status: 'success',
+        message: req.t('expense_reports.status_changed_success', {
+            status: req.t(`expense_reports.statuses.${report.status}`)
+        }),
+        data: report
+    });
+});
+
+/**
+ * GET /api/expense-reports/:id/pdf
+ * Printable report with receipt images, item lines, VAT and totals
+ */
+export const downloadPdf = asyncHandler(async (req, res) => {
+    const { filename, buffer } = await expenseReportService.expenseReportPdf(req.user.id, req.params.id, {
+        language: req.locale,
+        t: req.t
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(buffer);
+});
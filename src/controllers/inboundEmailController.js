@@ -0,0 +1,143 @@
+import { asyncHandler } from '../utils/errors.js';
+import { log } from '../utils/logger.js';
+import { parseAddresses } from '../utils/mime.js';
+import * as inboundEmailService from '../services/inboundEmailService.js';
+
+const OUTCOME_STATUS = {
+    queued: 202,
+    created: 201,
+    unknown_recipient: 404,
+    unknown_sender: 403,
+    duplicate: 409,
+    no_receipt: 422,
+    ocr_failed: 422,
+    too_large: 413
+};
+
+// The envelope is passed by the mail server as query parameters or X-Envelope-* headers
+function envelopeAddresses(req, queryParam, header) {
+    // An unencoded + in a query string reads as a space (receipts+token@...)
+    const queryValues = [req.query[queryParam]].flat()
+        .filter(value => typeof value === 'string')
+        .map(value => value.split(',').map(address => address.trim().replace(/ /g, '+')).join(','));
+
+    return [...queryValues, req.get(header)]
+        .filter(value => typeof value === 'string')
+        .flatMap(value => parseAddresses(value));
+}
+
+/**
+ * POST /api/inbound/email
+ * Receive a raw email (message/rfc822) from the mail server and turn it into a receipt
+ */
+export const receiveEmail = asyncHandler(async (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({
+            status: 'error',
+            message: 'Expected a raw email message (Content-Type: message/rfc822)'
+        });
+    }
+
+    const result = await inboundEmailService.processInboundEmail(req.body, {
+        recipients: envelopeAddresses(req, 'recipient', 'X-Envelope-To'),
+        senders: envelopeAddresses(req, 'sender', 'X-Envelope-From')
+    });
+
+    const status = OUTCOME_STATUS[result.outcome] || 422;
+
+    // The receipt is read by the OCR worker; its job can be followed like an async upload
+    if (result.outcome === 'queued') {
+        return res.status(status).json({
+            status: 'success',
+            data: {
+                outcome: result.outcome,
+                jobId: result.jobId,
+                statusUrl: `/api/receipts/jobs/${result.jobId}`
+            }
+        });
+    }
+
+    if (result.outcome === 'created') {
+        return res.status(status).json({
+            status: 'success',
+            data: {
+                outcome: result.outcome,
+                receiptId: result.receipt.id
+            }
+        });
+    }
+
+    res.status(status).json({
+        status: 'error',
+        message: result.error || `Email not accepted: ${result.outcome}`,
+        data: {
+            outcome: result.outcome,
+            duplicate: result.duplicate?.data || undefined
+        }
+    });
+});
+
+/**
+ * Error handler for POST /api/inbound/email: a message over the size limit is
+ * refused before it is read, and its recipient is told why
+ */
+export const handleOversizeEmail = async (error, req, res, next) => {
+    if (error.type !== 'entity.too.large') {
+        return next(error);
+    }
+
+    try {
+        const result = await inboundEmailService.rejectOversizeEmail({
+            recipients: envelopeAddresses(req, 'recipient', 'X-Envelope-To'),
+            size: error.length ?? null
+        });
+
+        res.status(OUTCOME_STATUS.too_large).json({
+            status: 'error',
+            message: `Email is larger than the limit of ${error.limit} bytes`,
+            data: { outcome: result.outcome }
+        });
+    } catch (rejectError) {
+        log.error('Error rejecting oversize inbound email', { error: rejectError.message });
+        next(rejectError);
+    }
+};
+
+/**
+ * GET /api/inbound/email/settings
+ * Forwarding address and allowed senders of the authenticated user
+ */
+export const getSettings = asyncHandler(async (req, res) => {
+    const settings = await inboundEmailService.getInboundEmailSettings(req.user.id);
+
+    res.json({
+        status: 'success',
+        data: settings
+    });
+});
+
+/**
+ * PUT /api/inbound/email/settings
+ * Replace the allowed senders
+ */
+export const updateSettings = asyncHandler(async (req, res) => {
+    const settings = await inboundEmailService.updateInboundEmailSenders(req.user.id, req.body.allowedSenders);
+
+    res.json({
+        status: 'success',
+        data: settings
+    });
+});
+
+/**
+ * POST /api/inbound/email/settings/rotate
+ * Replace the forwarding address, e.g. when it receives spam
+ */
+export const rotateAddress = asyncHandler(async (req, res) => {
+    const settings = await inboundEmailService.rotateInboundEmailToken(req.user.id);
+
+    res.json({
+        status: 'success',
+        data: settings
+    });
+});
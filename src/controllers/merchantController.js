@@ -0,0 +1,105 @@
+import { asyncHandler } from '../utils/errors.js';
+import * as merchantService from '../services/merchantService.js';
+
+/**
+ * GET /api/merchants
+ * The user's merchants with their receipt counts, most visited first
+ */
+export const getMerchants = asyncHandler(async (req, res) => {
+    const { search, limit = 50, offset = 0 } = req.query;
+
+    const { merchants, total } = await merchantService.getMerchants(req.user.id, {
+        search,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+    });
+
+    res.json({
+        status: 'success',
+        data: {
+            merchants,
+            pagination: {
+                total,
+                limit: parseInt(limit),
+                offset: parseInt(offset),
+                hasMore: parseInt(offset) + merchants.length < total
+            }
+        }
+    });
+});
+
+/**
+ * GET /api/merchants/:id
+ * Get specific merchant
+ */
+export const getMerchant = asyncHandler(async (req, res) => {
+    const merchant = await merchantService.getMerchant(req.user.id, req.params.id);
+
+    res.json({
+        status: 'success',
+        data: { merchant }
+    });
+});
+
+/**
+ * PATCH /api/merchants/:id
+ * Update the canonical name, aliases, default category or location
+ */
+export const updateMerchant = asyncHandler(async (req, res) => {
+    const merchant = await merchantService.updateMerchant(req.user.id, req.params.id, req.body);
+
+    res.json({
+        status: 'success',
+        message: req.t('merchants.updated_success'),
+        data: { merchant }
+    });
+});
+
+/**
+ * POST /api/merchants/:id/merge
+ * Merge the merchants in body.merchantIds into this merchant
+ */
+export const mergeMerchants = asyncHandler(async (req, res) => {
+    const { merchant, movedReceipts } = await merchantService.mergeMerchants(
+        req.user.id,
+        req.params.id,
+        req.body.merchantIds
+    );
+
+    res.json({
+        status: 'success',
+        message: req.t('merchants.merged_success', { count: req.body.merchantIds.length }),
+        data: { merchant, movedReceipts }
+    });
+});
+
+/**
+ * POST /api/merchants/:id/split
+ * Move some aliases (and their receipts) to a new merchant
+ */
+export const splitMerchant = asyncHandler(async (req, res) => {
+    const { merchant, newMerchant, movedReceipts } = await merchantService.splitMerchant(
+        req.user.id,
+        req.params.id,
+        { aliases: req.body.aliases, name: req.body.name }
+    );
+
+    res.status(201).json({
+        status: 'success',
+        message: req.t('merchants.split_success', { merchant: newMerchant.name }),
+        data: { merchant, newMerchant, movedReceipts }
+    });
+});
+
+/**
+ * GET /api/merchants/:id/stats
+ * Visit frequency, average basket and price level compared with other merchants
+ */
+export const getMerchantStats = asyncHandler(async (req, res) => {
+    const stats = await merchantService.getMerchantStats(req.user.id, req.params.id);
+
+    res.json({
+        status: 'success',
+        data: stats
+    });
+});
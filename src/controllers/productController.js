@@ -135,8 +135,9 @@ export const getPriceAlerts = asyncHandler(async (req, res) => {
     const { threshold = 0.2 } = req.query;
     const userId = req.user.id;
 
-    // Get products with recent purchases (last 30 days) and historical data
+    // Get products with recent purchases (last 30 days) and historical data; returned items are no prices paid
     const recentItems = await ReceiptItem.findAll({
+        where: { unitPrice: { [Op.gt]: 0 } },
         include: [{
             model: Receipt,
             as: 'receipt',
@@ -192,6 +193,8 @@ export const getSpendingByCategory = asyncHandler(async (req, res) => {
     const { days = 90 } = req.query;
     const userId = req.user.id;
 
+    const categoryOfLine = sequelize.fn('COALESCE', sequelize.col('product.category'), sequelize.col('discountedItem->product.category'));
+
     const categorySpending = await ReceiptItem.findAll({
         include: [{
             model: Receipt,
@@ -206,15 +209,21 @@ export const getSpendingByCategory = asyncHandler(async (req, res) => {
         }, {
             model: Product,
             as: 'product',
-            attributes: ['category']
+            attributes: []
+        }, {
+            // A discount line counts in the category of the product it reduces
+            model: ReceiptItem,
+            as: 'discountedItem',
+            attributes: [],
+            include: [{ model: Product, as: 'product', attributes: [] }]
         }],
         attributes: [
-            [sequelize.col('product.category'), 'category'],
-            [sequelize.fn('SUM', sequelize.col('total_price')), 'totalSpent'],
-            [sequelize.fn('COUNT', sequelize.col('ReceiptItem.id')), 'itemCount'],
-            [sequelize.fn('AVG', sequelize.col('unit_price')), 'averagePrice']
+            [categoryOfLine, 'category'],
+            [sequelize.fn('SUM', sequelize.col('ReceiptItem.total_price')), 'totalSpent'],
+            [sequelize.fn('COUNT', sequelize.col('ReceiptItem.product_id')), 'itemCount'],
+            [sequelize.literal('AVG(CASE WHEN "ReceiptItem"."unit_price" > 0 THEN "ReceiptItem"."unit_price" END)'), 'averagePrice']
         ],
-        group: ['product.category'],
+        group: [categoryOfLine],
         order: [[sequelize.literal('total_spent'), 'DESC']],
         raw: true
     });
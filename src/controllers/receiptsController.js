@@ -1,17 +1,48 @@
 import { asyncHandler } from '../utils/errors.js';
 import { log } from '../utils/logger.js';
-import Receipt from '../models/Receipt.js';
+import Receipt, { ReceiptInReportError, TRASH_RETENTION_DAYS, MAX_RECEIPT_PAGES } from '../models/Receipt.js';
 import ReceiptItem from '../models/ReceiptItem.js';
 import Product from '../models/Product.js';
 import SearchHistory from '../models/SearchHistory.js';
 import SavedFilter from '../models/SavedFilter.js';
-import { extractReceiptData } from '../services/ocrService.js';
-import { categorizeReceipt } from '../services/categorizationService.js';
-import { processReceiptItems } from '../services/receiptItemService.js';
+import { createReceiptFromImage, addReceiptPages as addPagesToReceipt } from '../services/receiptCreationService.js';
+import queueService from '../services/queueService.js';
+import { dispatchWebhookEvent, serializeReceipt } from '../services/webhookService.js';
 import { Op } from 'sequelize';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
 import sequelize from '../config/db.js';
-import { mapCategoryToInternal, CATEGORY_INTERNAL_TO_LOCALIZED } from '../utils/categoryMapper.js';
+import { getUserCategories, findCategory, categoryKeysWithChildren } from '../services/categoryService.js';
 import { addSignedUrlsToReceipt } from '../utils/urlSigner.js';
+import cleanupWorker from '../workers/cleanupWorker.js';
+import {
+    snapshotRevisionFields,
+    recordRevision,
+    getReceiptHistory as fetchReceiptHistory,
+    revertToRevision
+} from '../services/receiptRevisionService.js';
+import {
+    BULK_MAX_RECEIPTS,
+    findBulkReceiptIds,
+    startBulkOperation
+} from '../services/bulkReceiptService.js';
+import { createReceiptExport } from '../services/receiptExportService.js';
+import { getAccountMapping, updateAccountMapping } from '../services/accountingExportService.js';
+import { convertedAmount, unconvertedCount } from '../services/currencyService.js';
+import { changedClaimedFields, findSubmittedReport } from '../services/expenseReportService.js';
+
+// Receipt amount in the user's base currency at the rate of its purchase date,
+// next to the original amount (columns are qualified for queries with items)
+function convertedAmountAttributes(baseCurrency) {
+    return [
+        [convertedAmount(baseCurrency, {
+            amount: '"Receipt"."amount"',
+            currency: '"Receipt"."currency"',
+            date: 'COALESCE("Receipt"."purchase_date", "Receipt"."created_at")'
+        }), 'convertedAmount'],
+        [sequelize.literal(sequelize.escape(baseCurrency)), 'convertedCurrency']
+    ];
+}
 
 // Get user's receipts with pagination and filtering
 export const getReceipts = asyncHandler(async (req, res) => {
@@ -22,6 +53,11 @@ export const getReceipts = asyncHandler(async (req, res) => {
         dateTo,
         minAmount,
         maxAmount,
+        isBusiness,
+        project,
+        client,
+        costCenter,
+        receiptType,
         limit = 20,
         offset = 0,
         includeItems = false,
@@ -34,13 +70,14 @@ export const getReceipts = asyncHandler(async (req, res) => {
     const whereClause = { userId };
 
     if (category) {
-        // Map the input category to internal English format
-        const internalCategory = mapCategoryToInternal(category);
-
-        if (internalCategory) {
-            // Since all data is now in English, we just filter by the internal category
-            whereClause.category = internalCategory;
-            log.debug(`Filtering by category: "${category}" -> "${internalCategory}"`);
+        // Map the input category (key or localized name) to its key
+        const categories = req.userCategories || await getUserCategories(userId);
+        const match = findCategory(categories, category);
+
+        if (match) {
+            // A parent category also matches its subcategories
+            whereClause.category = { [Op.in]: categoryKeysWithChildren(categories, match.key) };
+            log.debug(`Filtering by category: "${category}" -> "${match.key}"`);
         } else {
             log.warn(`Unknown category filter: "${category}"`);
             // Return no results for unknown categories
@@ -91,6 +128,14 @@ export const getReceipts = asyncHandler(async (req, res) => {
         }
     }
 
+    if (isBusiness !== undefined) {
+        whereClause.isBusiness = isBusiness === 'true';
+    }
+    if (project) whereClause.project = project;
+    if (client) whereClause.client = client;
+    if (costCenter) whereClause.costCenter = costCenter;
+    if (receiptType) whereClause.receiptType = receiptType;
+
     // Build include array
     const include = [];
     if (includeItems === 'true') {
@@ -115,6 +160,7 @@ export const getReceipts = asyncHandler(async (req, res) => {
 
     const receipts = await Receipt.findAndCountAll({
         where: whereClause,
+        attributes: { include: convertedAmountAttributes(req.user.baseCurrency) },
         include,
         limit: parseInt(limit),
         offset: parseInt(offset),
@@ -145,6 +191,7 @@ export const getReceiptById = asyncHandler(async (req, res) => {
 
     const receipt = await Receipt.findOne({
         where: { id, userId },
+        attributes: { include: convertedAmountAttributes(req.user.baseCurrency) },
         include: [{
             model: ReceiptItem,
             as: 'items',
@@ -154,6 +201,14 @@ export const getReceiptById = asyncHandler(async (req, res) => {
                 attributes: ['id', 'name', 'category', 'brand', 'unit']
             }],
             order: [['position', 'ASC']]
+        }, {
+            model: Receipt,
+            as: 'originalReceipt',
+            attributes: ['id', 'merchantName', 'purchaseDate', 'amount', 'currency']
+        }, {
+            model: Receipt,
+            as: 'refunds',
+            attributes: ['id', 'receiptType', 'merchantName', 'purchaseDate', 'amount', 'currency']
         }]
     });
 
@@ -173,214 +228,337 @@ export const getReceiptById = asyncHandler(async (req, res) => {
     });
 });
 
+// If imageUrl is a signed URL, extract the relative path
+// Format: https://api.tallylens.app/secure/userId/receipts/file.jpg?expires=XXX&signature=YYY
+// We want: userId/receipts/file.jpg
+function toRelativeImagePath(imageUrl) {
+    if (!imageUrl) {
+        return imageUrl;
+    }
+
+    try {
+        // Robust normalization: handle signed /secure URLs and legacy /uploads URLs
+        if (imageUrl.includes('/secure/') || imageUrl.startsWith('http')) {
+            const urlObj = new URL(imageUrl);
+            imageUrl = urlObj.pathname.replace(/^\/secure\//, '').replace(/^\/uploads\//, '');
+            log.info('Normalized imageUrl from URL to relative path', { imageUrl });
+        } else if (imageUrl.includes('/uploads/')) {
+            imageUrl = imageUrl.replace(/^\/uploads\//, '');
+            log.info('Normalized legacy /uploads imageUrl to relative path', { imageUrl });
+        }
+    } catch (e) {
+        log.warn('Could not normalize imageUrl, using as-is', { imageUrl });
+    }
+    return imageUrl;
+}
+
 // Create a new receipt with OCR and item processing
+// Pass `async: true` (or `Prefer: respond-async`) to get a 202 with a job id instead of waiting
+// A receipt photographed in several pages has the following pages in pageImageUrls
 export const createReceipt = asyncHandler(async (req, res) => {
-    let { imageUrl, notes, category, forceDuplicate = false, processedByMLKit = false, source } = req.body;
+    const { notes, category, forceDuplicate = false, processedByMLKit = false, source } = req.body;
     const userId = req.user.id;
 
-    // If imageUrl is a signed URL, extract the relative path
-    // Format: https://api.tallylens.app/secure/userId/receipts/file.jpg?expires=XXX&signature=YYY
-    // We want: userId/receipts/file.jpg
-    if (imageUrl) {
-        try {
-            // Robust normalization: handle signed /secure URLs and legacy /uploads URLs
-            if (imageUrl.includes('/secure/') || imageUrl.startsWith('http')) {
-                const urlObj = new URL(imageUrl);
-                imageUrl = urlObj.pathname.replace(/^\/secure\//, '').replace(/^\/uploads\//, '');
-                log.info('Normalized imageUrl from URL to relative path', { imageUrl });
-            } else if (imageUrl.includes('/uploads/')) {
-                imageUrl = imageUrl.replace(/^\/uploads\//, '');
-                log.info('Normalized legacy /uploads imageUrl to relative path', { imageUrl });
-            }
-        } catch (e) {
-            log.warn('Could not normalize imageUrl, using as-is', { imageUrl });
+    const imageUrl = toRelativeImagePath(req.body.imageUrl);
+    const pageImageUrls = (req.body.pageImageUrls || []).map(toRelativeImagePath);
+
+    const creationParams = {
+        userId,
+        imageUrl,
+        pageImageUrls,
+        notes,
+        category,
+        forceDuplicate,
+        processedByMLKit,
+        source,
+        locale: req.locale
+    };
+
+    const wantsAsync = req.body.async === true || req.body.async === 'true'
+        || /respond-async/i.test(req.get('Prefer') || '');
+
+    if (wantsAsync) {
+        if (queueService.isConnected) {
+            const job = await queueService.addReceiptCreationJob(creationParams);
+
+            log.info('Receipt creation queued', { userId, jobId: job.id, imageUrl });
+
+            return res.status(202).json({
+                status: 'success',
+                data: {
+                    jobId: job.id,
+                    stage: 'uploaded',
+                    statusUrl: `/api/receipts/jobs/${job.id}`
+                }
+            });
         }
-    }
 
-    // Start transaction for atomic operations
-    const transaction = await sequelize.transaction();
+        log.warn('Queue service not connected, processing receipt synchronously', { userId });
+    }
 
     try {
-        // Extract data from receipt image
-        const skipEnhancement = Boolean(processedByMLKit) && (source === 'camera' || !source);
-        log.info('Processing receipt image', { userId, imageUrl, processedByMLKit, source, skipEnhancement });
-        const ocrResult = await extractReceiptData(imageUrl, req.locale, { skipEnhancement, source, processedByMLKit });
+        const result = await createReceiptFromImage(creationParams);
 
-        if (!ocrResult.success) {
-            await transaction.rollback();
+        if (result.outcome === 'ocr_failed') {
             return res.status(422).json({
                 status: 'error',
-                message: ocrResult.error || req.t('receipts.ocr_failed')
+                message: result.error || req.t('receipts.ocr_failed')
             });
         }
 
-        // Check for duplicate receipts
-        const duplicateCheck = await Receipt.findDuplicate(
+        if (result.outcome === 'duplicate') {
+            return res.status(409).json({
+                status: 'error',
+                ...result.duplicate
+            });
+        }
+
+        res.status(201).json({
+            status: 'success',
+            data: result.receipt
+        });
+
+    } catch (error) {
+        log.error('Error creating receipt', {
             userId,
-            ocrResult
-        );
+            imageUrl,
+            error: error.message
+        });
 
-        if (duplicateCheck.isDuplicate && !forceDuplicate) {
-            await transaction.rollback();
+        res.status(500).json({
+            status: 'error',
+            message: 'Error processing receipt',
+            details: error.message
+        });
+    }
+});
 
-            log.info('Duplicate receipt detected', {
-                userId,
-                type: duplicateCheck.type,
-                existingReceiptId: duplicateCheck.existingReceipt.id,
-                reason: duplicateCheck.reason
-            });
+// Add the images of more pages to a receipt and read it again from all of its pages
+export const addReceiptPages = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const imageUrls = req.body.imageUrls.map(toRelativeImagePath);
 
+    const receipt = await Receipt.findOne({
+        where: { id, userId }
+    });
+
+    if (!receipt) {
+        return res.status(404).json({
+            status: 'error',
+            message: req.t('receipts.not_found')
+        });
+    }
+
+    if (receipt.getPageImageUrls().length + imageUrls.length > MAX_RECEIPT_PAGES) {
+        return res.status(400).json({
+            status: 'error',
+            message: req.t('receipts.too_many_pages', { max: MAX_RECEIPT_PAGES })
+        });
+    }
+
+    let result;
+    try {
+        result = await addPagesToReceipt(receipt, imageUrls, { locale: req.locale });
+    } catch (error) {
+        // The pages read a different amount or date than a submitted report claims
+        if (error instanceof ReceiptInReportError) {
             return res.status(409).json({
                 status: 'error',
-                code: 'DUPLICATE_RECEIPT',
-                message: duplicateCheck.reason,
-                data: {
-                    duplicateType: duplicateCheck.type,
-                    existingReceipt: {
-                        id: duplicateCheck.existingReceipt.id,
-                        merchantName: duplicateCheck.existingReceipt.merchantName,
-                        purchaseDate: duplicateCheck.existingReceipt.purchaseDate,
-                        amount: duplicateCheck.existingReceipt.amount,
-                        createdAt: duplicateCheck.existingReceipt.createdAt
-                    }
-                }
+                message: req.t('expense_reports.receipt_in_report')
             });
         }
+        throw error;
+    }
 
-        // Log if duplicate was forced
-        if (duplicateCheck.isDuplicate && forceDuplicate) {
-            log.warn('Duplicate receipt creation forced by user', {
-                userId,
-                type: duplicateCheck.type,
-                existingReceiptId: duplicateCheck.existingReceipt.id
-            });
-        }
+    if (result.outcome === 'ocr_failed') {
+        return res.status(422).json({
+            status: 'error',
+            message: result.error || req.t('receipts.ocr_failed')
+        });
+    }
 
-        // Determine final category
-        // Priority:
-        // 1) Explicit category from request
-        // 2) Category provided by AI pipeline (already internal english)
-        // 3) Fallback: categorize from rawText (if any)
-        let finalCategory = category;
-        if (!finalCategory && ocrResult.category) {
-            finalCategory = ocrResult.category;
-        }
-        if (!finalCategory && ocrResult.rawText) {
-            finalCategory = await categorizeReceipt(ocrResult.rawText, req.locale);
-        }
+    res.json({
+        status: 'success',
+        data: addSignedUrlsToReceipt(result.receipt.toJSON(), 3600),
+        itemsReplaced: result.itemsReplaced
+    });
+});
 
-        // Create receipt record
-        const receiptData = {
-            userId,
-            imageUrl,
-            rawText: ocrResult.rawText,
-            parsedData: {
-                merchantName: ocrResult.merchantName,
-                purchaseDate: ocrResult.purchaseDate,
-                totals: ocrResult.totals,
-                currency: ocrResult.currency,
-                itemCount: ocrResult.items?.length || 0,
-                validation: ocrResult.validation,
-                extractionMethod: ocrResult.extractionMethod,
-                paymentMethod: ocrResult.paymentMethod,
-                cardType: ocrResult.cardType,
-                vatInfo: ocrResult.vatInfo,
-                discountInfo: ocrResult.discountInfo
-            },
-            category: finalCategory,
-            merchantName: ocrResult.merchantName ? ocrResult.merchantName.trim().toUpperCase() : null,
-            purchaseDate: ocrResult.purchaseDate ? new Date(ocrResult.purchaseDate) : null,
-            amount: ocrResult.totals?.total || null,
-            currency: ocrResult.currency || 'USD',
-            notes,
-            processingStatus: 'processing',
-            paymentMethod: ocrResult.paymentMethod || null,
-            cardType: ocrResult.cardType ? ocrResult.cardType.toUpperCase() : null,
-            vatInfo: ocrResult.vatInfo || null,
-            discountInfo: ocrResult.discountInfo || null,
-            country: ocrResult.country ? ocrResult.country.toUpperCase() : null,
-            contentHash: duplicateCheck.isDuplicate && forceDuplicate
-                ? duplicateCheck.contentHash + '_forced_' + Date.now()
-                : duplicateCheck.contentHash
-        };
+// Get the status of an asynchronous receipt creation job
+export const getReceiptJob = asyncHandler(async (req, res) => {
+    const { jobId } = req.params;
+    const userId = req.user.id;
 
-        const receipt = await Receipt.create(receiptData, { transaction });
+    const job = queueService.isConnected
+        ? await queueService.getJob('ocr', jobId)
+        : null;
 
-        // Process items if this is a grocery receipt and has items
-        if (finalCategory === 'grocery' && Array.isArray(ocrResult.items) && ocrResult.items.length > 0) {
-            log.info('Processing receipt items', {
-                receiptId: receipt.id,
-                userId: req.user.id,
-                itemCount: ocrResult.items.length
-            });
+    // Jobs belonging to other users (or other job types) are reported as not found
+    if (!job || job.name !== 'create-receipt' || job.data.userId !== userId) {
+        return res.status(404).json({
+            status: 'error',
+            message: req.t('receipts.job_not_found')
+        });
+    }
+
+    const state = await job.getState();
+    const progress = job.progress();
+    const result = job.returnvalue || null;
+
+    let stage = progress?.stage || 'uploaded';
+    let error = null;
 
-            await processReceiptItems(receipt.id, req.user.id, ocrResult.items, ocrResult.currency, transaction, req.locale);
+    if (state === 'failed') {
+        stage = 'failed';
+        // The failure reason is internal (stack traces, service errors): it is only logged
+        log.warn('Receipt creation job failed', { jobId: job.id, userId, reason: job.failedReason });
+        error = {
+            statusCode: 500,
+            message: req.t('receipts.processing_failed')
+        };
+    } else if (state === 'completed' && result) {
+        stage = result.stage;
+        if (result.outcome === 'duplicate') {
+            error = { statusCode: 409, ...result.duplicate };
+        } else if (result.outcome === 'ocr_failed') {
+            error = {
+                statusCode: 422,
+                message: result.error || req.t('receipts.ocr_failed')
+            };
         }
+    }
 
-        // Log validation warnings if any
-        if (ocrResult.validation?.anomaliesDetected > 0) {
-            log.warn('Receipt processed with anomalies', {
-                receiptId: receipt.id,
-                anomaliesCount: ocrResult.validation.anomaliesDetected,
-                confidence: ocrResult.validation.confidence,
-                anomalies: ocrResult.validation.anomalies
+    res.json({
+        status: 'success',
+        data: {
+            jobId: job.id,
+            state,
+            stage,
+            attemptsMade: job.attemptsMade,
+            receiptId: result?.receiptId || null,
+            error,
+            createdAt: new Date(job.timestamp),
+            finishedAt: job.finishedOn ? new Date(job.finishedOn) : null
+        }
+    });
+});
+
+// Apply one action to many receipts, selected by ids, saved filter or search query
+export const bulkUpdateReceipts = asyncHandler(async (req, res) => {
+    const {
+        receiptIds, savedFilterId, query, action, category, tags, paymentMethod,
+        isBusiness, project, client, costCenter
+    } = req.body;
+    const userId = req.user.id;
+
+    let filters = req.body.filters;
+    if (savedFilterId) {
+        const savedFilter = await SavedFilter.findOne({
+            where: { id: savedFilterId, userId }
+        });
+
+        if (!savedFilter) {
+            return res.status(404).json({
+                status: 'error',
+                message: req.t('search.filter_not_found')
             });
         }
 
-        // Mark receipt as processed
-        await receipt.update({
-            processingStatus: 'completed',
-            isProcessed: true
-        }, { transaction });
+        filters = savedFilter.filters;
+    }
 
-        await transaction.commit();
+    const ids = await findBulkReceiptIds(userId, { receiptIds, filters, query: query?.trim() });
 
-        // Fetch the complete receipt with items for response
-        const completeReceipt = await Receipt.findByPk(receipt.id, {
-            include: [{
-                model: ReceiptItem,
-                as: 'items',
-                include: [{
-                    model: Product,
-                    as: 'product',
-                    attributes: ['id', 'name', 'category', 'brand']
-                }],
-                order: [['position', 'ASC']]
-            }]
+    if (ids.length > BULK_MAX_RECEIPTS) {
+        return res.status(400).json({
+            status: 'error',
+            message: req.t('receipts.bulk_too_many', { max: BULK_MAX_RECEIPTS })
         });
+    }
 
-        log.info('Receipt created successfully', {
-            receiptId: receipt.id,
-            userId,
-            itemCount: completeReceipt.items?.length || 0,
-            category: finalCategory
-        });
+    const operation = {
+        userId,
+        receiptIds: ids,
+        action,
+        params: { category, tags, paymentMethod, isBusiness, project, client, costCenter }
+    };
 
-        res.status(201).json({
+    const preferAsync = req.body.async === true || req.body.async === 'true'
+        || /respond-async/i.test(req.get('Prefer') || '');
+
+    const { job, result } = await startBulkOperation(operation, { preferAsync });
+
+    if (job) {
+        return res.status(202).json({
             status: 'success',
-            data: completeReceipt
+            message: req.t('receipts.bulk_queued', { total: ids.length }),
+            data: {
+                jobId: job.id,
+                action,
+                total: ids.length,
+                statusUrl: `/api/receipts/bulk/jobs/${job.id}`
+            }
         });
+    }
 
-    } catch (error) {
-        await transaction.rollback();
-        log.error('Error creating receipt', {
-            userId,
-            imageUrl,
-            error: error.message
-        });
+    res.json({
+        status: 'success',
+        message: req.t('receipts.bulk_completed', { succeeded: result.succeeded, total: result.total }),
+        data: result
+    });
+});
 
-        res.status(500).json({
+// Get the progress and result of a bulk operation
+export const getBulkJob = asyncHandler(async (req, res) => {
+    const { jobId } = req.params;
+    const userId = req.user.id;
+
+    const job = queueService.isConnected
+        ? await queueService.getJob('bulk', jobId)
+        : null;
+
+    // Jobs belonging to other users are reported as not found
+    if (!job || job.data.userId !== userId) {
+        return res.status(404).json({
             status: 'error',
-            message: 'Error processing receipt',
-            details: error.message
+            message: req.t('receipts.job_not_found')
         });
     }
+
+    const state = await job.getState();
+    const total = job.data.receiptIds.length;
+
+    // The failure reason is internal (stack traces, database errors): it is only logged
+    if (state === 'failed') {
+        log.warn('Bulk receipt job failed', { jobId: job.id, userId, reason: job.failedReason });
+    }
+    const progress = typeof job.progress() === 'object'
+        ? job.progress()
+        : { processed: 0, total, succeeded: 0, failed: 0 };
+
+    res.json({
+        status: 'success',
+        data: {
+            jobId: job.id,
+            state,
+            action: job.data.action,
+            progress,
+            result: state === 'completed' ? job.returnvalue : null,
+            error: state === 'failed' ? { message: req.t('receipts.bulk_failed') } : null,
+            createdAt: new Date(job.timestamp),
+            finishedAt: job.finishedOn ? new Date(job.finishedOn) : null
+        }
+    });
 });
 
 // Update receipt
 export const updateReceipt = asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { category, notes, merchantName, purchaseDate, amount } = req.body;
+    const {
+        category, notes, merchantName, purchaseDate, amount, receiptType, originalReceiptId,
+        isBusiness, project, client, costCenter
+    } = req.body;
     const userId = req.user.id;
 
     const receipt = await Receipt.findOne({
@@ -394,14 +572,75 @@ export const updateReceipt = asyncHandler(async (req, res) => {
         });
     }
 
+    // A receipt claimed in an expense report stays a business expense
+    if (isBusiness === false && receipt.expenseReportId) {
+        return res.status(409).json({
+            status: 'error',
+            message: req.t('expense_reports.receipt_in_report')
+        });
+    }
+
     const updateData = {};
     if (category) updateData.category = category;
     if (notes) updateData.notes = notes;
     if (merchantName) updateData.merchantName = merchantName.trim().toUpperCase();
     if (purchaseDate) updateData.purchaseDate = new Date(purchaseDate);
     if (amount) updateData.amount = parseFloat(amount);
+    if (receiptType) updateData.receiptType = receiptType;
+    if (originalReceiptId !== undefined) updateData.originalReceiptId = originalReceiptId || null;
+    if (isBusiness !== undefined) updateData.isBusiness = isBusiness;
+    // Empty strings clear the business details
+    if (project !== undefined) updateData.project = project || null;
+    if (client !== undefined) updateData.client = client || null;
+    if (costCenter !== undefined) updateData.costCenter = costCenter || null;
+
+    // A submitted or reimbursed report claims the receipt's amount and date
+    if (changedClaimedFields(receipt, updateData).length > 0 && await findSubmittedReport(receipt)) {
+        return res.status(409).json({
+            status: 'error',
+            message: req.t('expense_reports.receipt_in_report')
+        });
+    }
+
+    // A refund or credit note is linked to a purchase of the same user
+    if (updateData.originalReceiptId) {
+        const type = updateData.receiptType
+            || (updateData.amount < 0 ? 'refund' : receipt.receiptType);
+        if (type === 'purchase') {
+            return res.status(400).json({
+                status: 'error',
+                message: req.t('receipts.link_requires_refund')
+            });
+        }
+
+        const original = await Receipt.findOne({
+            where: { id: updateData.originalReceiptId, userId },
+            attributes: ['id', 'receiptType']
+        });
+        if (!original || original.id === receipt.id) {
+            return res.status(404).json({
+                status: 'error',
+                message: req.t('receipts.original_not_found')
+            });
+        }
+        if (original.receiptType !== 'purchase') {
+            return res.status(400).json({
+                status: 'error',
+                message: req.t('receipts.original_not_purchase')
+            });
+        }
+    }
 
+    const before = snapshotRevisionFields(receipt);
     await receipt.update(updateData);
+    await recordRevision({
+        receiptId: receipt.id,
+        userId,
+        entity: receipt,
+        before,
+        source: 'user',
+        actorId: userId
+    });
 
     log.info('Receipt updated', {
         receiptId: id,
@@ -409,12 +648,132 @@ export const updateReceipt = asyncHandler(async (req, res) => {
         changes: updateData
     });
 
+    await dispatchWebhookEvent(userId, 'receipt.updated', {
+        receipt: serializeReceipt(receipt),
+        changedFields: Object.keys(updateData)
+    });
+
     res.json({
         status: 'success',
         data: receipt
     });
 });
 
+// Get the edit history of a receipt and its items
+export const getReceiptHistory = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { limit = 50, offset = 0 } = req.query;
+    const userId = req.user.id;
+
+    const receipt = await Receipt.findOne({
+        where: { id, userId },
+        attributes: ['id']
+    });
+
+    if (!receipt) {
+        return res.status(404).json({
+            status: 'error',
+            message: req.t('receipts.not_found')
+        });
+    }
+
+    const { revisions, total } = await fetchReceiptHistory(receipt.id, {
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+    });
+
+    res.json({
+        status: 'success',
+        data: {
+            revisions,
+            pagination: {
+                total,
+                limit: parseInt(limit),
+                offset: parseInt(offset),
+                hasMore: parseInt(offset) + revisions.length < total
+            }
+        }
+    });
+});
+
+// Revert a receipt and its items to a prior revision
+export const revertReceipt = asyncHandler(async (req, res) => {
+    const { id, revisionId } = req.params;
+    const userId = req.user.id;
+
+    const receipt = await Receipt.findOne({
+        where: { id, userId }
+    });
+
+    if (!receipt) {
+        return res.status(404).json({
+            status: 'error',
+            message: req.t('receipts.not_found')
+        });
+    }
+
+    let result;
+    try {
+        result = await revertToRevision(receipt, revisionId, { actorId: userId });
+    } catch (error) {
+        // The revision has a different amount or date than a submitted report claims
+        if (error instanceof ReceiptInReportError) {
+            return res.status(409).json({
+                status: 'error',
+                message: req.t('expense_reports.receipt_in_report')
+            });
+        }
+        throw error;
+    }
+
+    if (!result) {
+        return res.status(404).json({
+            status: 'error',
+            message: req.t('receipts.revision_not_found')
+        });
+    }
+
+    const completeReceipt = await Receipt.findByPk(receipt.id, {
+        include: [{
+            model: ReceiptItem,
+            as: 'items',
+            include: [{
+                model: Product,
+                as: 'product',
+                attributes: ['id', 'name', 'category', 'brand']
+            }]
+        }],
+        order: [[{ model: ReceiptItem, as: 'items' }, 'position', 'ASC']]
+    });
+
+    log.info('Receipt reverted', {
+        receiptId: id,
+        userId,
+        revisionId
+    });
+
+    if (result.revisions.length > 0) {
+        const changedFields = result.revisions
+            .filter(revision => revision.entityType === 'receipt')
+            .flatMap(revision => Object.keys(revision.changes));
+
+        await dispatchWebhookEvent(userId, 'receipt.updated', {
+            receipt: serializeReceipt(completeReceipt),
+            changedFields
+        });
+    }
+
+    res.json({
+        status: 'success',
+        message: req.t('receipts.reverted_success'),
+        data: {
+            receipt: addSignedUrlsToReceipt(completeReceipt.toJSON(), 3600),
+            revisions: result.revisions,
+            recalculatedProductIds: result.productIds
+        }
+    });
+});
+
 // Delete receipt
 export const deleteReceipt = asyncHandler(async (req, res) => {
     const { id } = req.params;
@@ -431,16 +790,148 @@ export const deleteReceipt = asyncHandler(async (req, res) => {
         });
     }
 
+    if (await findSubmittedReport(receipt)) {
+        return res.status(409).json({
+            status: 'error',
+            message: req.t('expense_reports.receipt_in_report')
+        });
+    }
+
+    // Soft delete: the receipt is kept in the trash until purged
     await receipt.destroy();
 
-    log.info('Receipt deleted', {
+    log.info('Receipt moved to trash', {
+        receiptId: id,
+        userId
+    });
+
+    await dispatchWebhookEvent(userId, 'receipt.deleted', { receipt: serializeReceipt(receipt) });
+
+    res.json({
+        status: 'success',
+        message: req.t('receipts.moved_to_trash', { days: TRASH_RETENTION_DAYS }),
+        data: {
+            id: receipt.id,
+            deletedAt: receipt.deletedAt,
+            purgeAt: receipt.getPurgeDate()
+        }
+    });
+});
+
+// Get user's trashed receipts
+export const getTrash = asyncHandler(async (req, res) => {
+    const { limit = 20, offset = 0 } = req.query;
+    const userId = req.user.id;
+
+    const { rows, count } = await Receipt.findTrashed(userId, {
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+    });
+
+    const receipts = rows.map(receipt => ({
+        ...addSignedUrlsToReceipt(receipt.toJSON(), 3600),
+        purgeAt: receipt.getPurgeDate()
+    }));
+
+    res.json({
+        status: 'success',
+        data: {
+            receipts,
+            retentionDays: TRASH_RETENTION_DAYS,
+            pagination: {
+                total: count,
+                limit: parseInt(limit),
+                offset: parseInt(offset),
+                hasMore: parseInt(offset) + rows.length < count
+            }
+        }
+    });
+});
+
+// Restore a receipt from the trash
+export const restoreReceipt = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const receipt = await Receipt.findTrashedById(id, userId);
+
+    if (!receipt) {
+        return res.status(404).json({
+            status: 'error',
+            message: req.t('receipts.not_in_trash')
+        });
+    }
+
+    await receipt.restore();
+
+    // Touch the items so delta sync sends them again together with the receipt
+    await ReceiptItem.update({ updatedAt: new Date() }, { where: { receiptId: receipt.id } });
+
+    log.info('Receipt restored from trash', {
+        receiptId: id,
+        userId
+    });
+
+    await dispatchWebhookEvent(userId, 'receipt.restored', { receipt: serializeReceipt(receipt) });
+
+    res.json({
+        status: 'success',
+        message: req.t('receipts.restored_success'),
+        data: {
+            receipt: addSignedUrlsToReceipt(receipt.toJSON(), 3600)
+        }
+    });
+});
+
+// Purge trashed receipts now instead of waiting for the retention period
+async function purgeFromTrash(userId, receiptIds) {
+    if (queueService.isConnected) {
+        await queueService.addCleanupJob('trashed-receipts', { userId, receiptIds });
+        return;
+    }
+
+    log.warn('Queue service not connected, purging trashed receipts inline', { userId });
+    await cleanupWorker.cleanupTrashedReceipts({ userId, receiptIds });
+}
+
+// Permanently delete one receipt from the trash
+export const purgeReceipt = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const receipt = await Receipt.findTrashedById(id, userId);
+
+    if (!receipt) {
+        return res.status(404).json({
+            status: 'error',
+            message: req.t('receipts.not_in_trash')
+        });
+    }
+
+    await purgeFromTrash(userId, [receipt.id]);
+
+    log.info('Receipt purge requested', {
         receiptId: id,
         userId
     });
 
     res.json({
         status: 'success',
-        message: 'Receipt deleted successfully'
+        message: req.t('receipts.purged_success')
+    });
+});
+
+// Permanently delete every receipt in the trash
+export const emptyTrash = asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+
+    await purgeFromTrash(userId);
+
+    log.info('Trash emptied', { userId });
+
+    res.json({
+        status: 'success',
+        message: req.t('receipts.trash_emptied')
     });
 });
 
@@ -473,13 +964,13 @@ export const getReceiptItems = asyncHandler(async (req, res) => {
 // Update receipt item
 export const updateReceiptItem = asyncHandler(async (req, res) => {
     const { receiptId, itemId } = req.params;
-    const { quantity, unitPrice, isVerified } = req.body;
+    const { quantity, unitPrice, isVerified, originalItemId } = req.body;
     const userId = req.user.id;
 
     // Verify receipt ownership
     const receipt = await Receipt.findOne({
         where: { id: receiptId, userId },
-        attributes: ['id']
+        attributes: ['id', 'receiptType', 'originalReceiptId']
     });
 
     if (!receipt) {
@@ -502,9 +993,34 @@ export const updateReceiptItem = asyncHandler(async (req, res) => {
 
     const updateData = {};
     if (quantity !== undefined) updateData.quantity = parseFloat(quantity);
-    if (unitPrice !== undefined) updateData.unitPrice = parseFloat(unitPrice);
+    if (unitPrice !== undefined) {
+        // Items of a refund or credit note, discounts and returned deposits are money given back
+        const givesMoneyBack = receipt.receiptType !== 'purchase' || ['discount', 'deposit_return'].includes(item.itemType);
+        updateData.unitPrice = givesMoneyBack
+            ? -Math.abs(parseFloat(unitPrice))
+            : parseFloat(unitPrice);
+    }
     if (isVerified !== undefined) updateData.isVerified = Boolean(isVerified);
 
+    // A returned item is linked to an item of the receipt the refund is linked to
+    if (originalItemId !== undefined) {
+        if (originalItemId) {
+            const originalItem = receipt.originalReceiptId
+                ? await ReceiptItem.findOne({
+                    where: { id: originalItemId, receiptId: receipt.originalReceiptId },
+                    attributes: ['id']
+                })
+                : null;
+            if (!originalItem) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: req.t('receipts.original_item_not_found')
+                });
+            }
+        }
+        updateData.originalItemId = originalItemId || null;
+    }
+
     // Recalculate total price if quantity or unit price changed
     if (updateData.quantity || updateData.unitPrice) {
         const newQuantity = updateData.quantity || item.quantity;
@@ -512,10 +1028,20 @@ export const updateReceiptItem = asyncHandler(async (req, res) => {
         updateData.totalPrice = newQuantity * newUnitPrice;
     }
 
+    const before = snapshotRevisionFields(item, 'item');
     await item.update(updateData);
+    await recordRevision({
+        receiptId,
+        userId,
+        entityType: 'item',
+        entity: item,
+        before,
+        source: 'user',
+        actorId: userId
+    });
 
-    // Update product price statistics
-    if (updateData.unitPrice) {
+    // Update product price statistics (a returned item is not a price paid)
+    if (updateData.unitPrice > 0) {
         const product = await Product.findByPk(item.productId);
         if (product) {
             await product.updatePriceStats(updateData.unitPrice);
@@ -539,6 +1065,10 @@ export const updateReceiptItem = asyncHandler(async (req, res) => {
 export const getReceiptStats = asyncHandler(async (req, res) => {
     const { days = 30 } = req.query;
     const userId = req.user.id;
+    const baseCurrency = req.user.baseCurrency;
+    const converted = convertedAmount(baseCurrency);
+    // Receipts without a rate to the base currency are left out of the sums
+    const unconverted = unconvertedCount(baseCurrency);
 
     const dateFrom = new Date(Date.now() - parseInt(days) * 24 * 60 * 60 * 1000);
 
@@ -550,14 +1080,16 @@ export const getReceiptStats = asyncHandler(async (req, res) => {
         attributes: [
             'category',
             [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
-            [sequelize.fn('SUM', sequelize.col('amount')), 'totalAmount'],
-            [sequelize.fn('AVG', sequelize.col('amount')), 'averageAmount']
+            [sequelize.fn('SUM', converted), 'totalAmount'],
+            [sequelize.fn('AVG', converted), 'averageAmount'],
+            [unconverted, 'unconvertedCount']
         ],
         group: ['category'],
         // Order by the alias defined in attributes ('totalAmount')
-        order: [[sequelize.col('totalAmount'), 'DESC']]
+        order: [[sequelize.col('totalAmount'), 'DESC NULLS LAST']]
     });
 
+    // Refunds and credit notes are negative, so the totals are net of them
     const totalStats = await Receipt.findOne({
         where: {
             userId,
@@ -565,17 +1097,37 @@ export const getReceiptStats = asyncHandler(async (req, res) => {
         },
         attributes: [
             [sequelize.fn('COUNT', sequelize.col('id')), 'totalReceipts'],
-            [sequelize.fn('SUM', sequelize.col('amount')), 'totalSpent'],
-            [sequelize.fn('AVG', sequelize.col('amount')), 'averageReceipt']
+            [sequelize.literal("COUNT(*) FILTER (WHERE receipt_type <> 'purchase')"), 'refunds'],
+            [sequelize.fn('SUM', converted), 'totalSpent'],
+            [sequelize.fn('AVG', converted), 'averageReceipt'],
+            [unconverted, 'unconvertedCount']
         ]
     });
 
+    // Original amounts per receipt currency next to their converted total
+    const byCurrency = await Receipt.findAll({
+        where: {
+            userId,
+            createdAt: { [Op.gte]: dateFrom }
+        },
+        attributes: [
+            'currency',
+            [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
+            [sequelize.fn('SUM', sequelize.col('amount')), 'totalAmount'],
+            [sequelize.fn('SUM', converted), 'convertedAmount'],
+            [unconverted, 'unconvertedCount']
+        ],
+        group: ['currency'],
+        order: [[sequelize.col('convertedAmount'), 'DESC NULLS LAST']]
+    });
+
     // Count unique products from receipt items using raw query for better performance
     const uniqueProductsResult = await sequelize.query(`
         SELECT COUNT(DISTINCT ri.product_id) as "uniqueProducts"
         FROM receipt_items ri
         INNER JOIN receipts r ON ri.receipt_id = r.id
         WHERE r.user_id = :userId
+        AND r.deleted_at IS NULL
         AND r.created_at >= :dateFrom
         AND ri.product_id IS NOT NULL
     `, {
@@ -587,9 +1139,10 @@ export const getReceiptStats = asyncHandler(async (req, res) => {
 
     // Count unique merchants
     const uniqueMerchantsResult = await sequelize.query(`
-        SELECT COUNT(DISTINCT merchant_name) as "uniqueMerchants"
+        SELECT COUNT(DISTINCT COALESCE(merchant_id::text, merchant_name)) as "uniqueMerchants"
         FROM receipts
         WHERE user_id = :userId
+        AND deleted_at IS NULL
         AND created_at >= :dateFrom
         AND merchant_name IS NOT NULL
     `, {
@@ -602,7 +1155,9 @@ export const getReceiptStats = asyncHandler(async (req, res) => {
     res.json({
         status: 'success',
         data: {
+            currency: baseCurrency,
             byCategory: stats,
+            byCurrency,
             totals: {
                 ...totalStats?.dataValues,
                 uniqueProducts,
@@ -640,9 +1195,10 @@ export const searchReceipts = asyncHandler(async (req, res) => {
     };
 
     if (category) {
-        const internalCategory = mapCategoryToInternal(category);
-        if (internalCategory) {
-            options.category = internalCategory;
+        const categories = req.userCategories || await getUserCategories(userId);
+        const match = findCategory(categories, category);
+        if (match) {
+            options.category = categoryKeysWithChildren(categories, match.key);
         }
     }
 
@@ -692,6 +1248,82 @@ export const searchReceipts = asyncHandler(async (req, res) => {
     });
 });
 
+// Export receipts (or their items) matching the list and search filters
+export const exportReceipts = asyncHandler(async (req, res) => {
+    const {
+        format = 'csv',
+        shape = 'receipts',
+        q,
+        category,
+        merchant,
+        dateFrom,
+        dateTo,
+        minAmount,
+        maxAmount,
+        isBusiness,
+        project,
+        client,
+        costCenter,
+        sortBy = 'purchaseDate',
+        sortOrder,
+        delimiter = ','
+    } = req.query;
+    const userId = req.user.id;
+
+    const exportFile = await createReceiptExport(userId, {
+        filters: { category, merchant, dateFrom, dateTo, minAmount, maxAmount, isBusiness, project, client, costCenter },
+        q: q?.trim() || undefined,
+        format,
+        shape,
+        sortBy,
+        sortOrder: sortOrder?.toUpperCase(),
+        delimiter,
+        language: req.locale,
+        t: req.t
+    });
+
+    res.setHeader('Content-Type', exportFile.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFile.filename}"`);
+
+    log.info('Receipt export started', { userId, format, shape });
+
+    try {
+        await pipeline(Readable.from(exportFile.stream), res);
+    } catch (error) {
+        // Headers are already sent, so the response can only be cut short
+        log.error('Receipt export failed', { userId, format, shape, error: error.message });
+    }
+});
+
+// Get the account mapping of accounting exports
+export const getExportAccounts = asyncHandler(async (req, res) => {
+    const mapping = await getAccountMapping(req.user.id);
+
+    res.json({
+        status: 'success',
+        data: mapping
+    });
+});
+
+// Update the account mapping of accounting exports
+export const updateExportAccounts = asyncHandler(async (req, res) => {
+    const { categoryAccounts, paymentAccounts, defaultPaymentAccount, vatAccount, uncategorizedAccount } = req.body;
+
+    const mapping = await updateAccountMapping(req.user.id, {
+        categoryAccounts,
+        paymentAccounts,
+        defaultPaymentAccount,
+        vatAccount,
+        uncategorizedAccount
+    });
+
+    res.json({
+        status: 'success',
+        message: req.t('export.accounts_updated'),
+        data: mapping
+    });
+});
+
 // Get search suggestions
 export const getSearchSuggestions = asyncHandler(async (req, res) => {
     const { q, limit = 10 } = req.query;
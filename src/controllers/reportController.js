@@ -0,0 +1,39 @@
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { asyncHandler } from '../utils/errors.js';
+import { log } from '../utils/logger.js';
+import * as vatReportService from '../services/vatReportService.js';
+
+/**
+ * GET /api/reports/vat
+ * VAT on business receipts per rate, country and category, as JSON, CSV or PDF
+ */
+export const getVatReport = asyncHandler(async (req, res) => {
+    const { from, to, format = 'json' } = req.query;
+    const userId = req.user.id;
+
+    const report = await vatReportService.getVatReport(userId, { from, to, language: req.locale });
+    const filename = `vat-report-${report.period.from}-${report.period.to}`;
+
+    if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+        try {
+            await pipeline(Readable.from(vatReportService.vatReportCsv(report, req.t)), res);
+        } catch (error) {
+            log.error('VAT report export failed', { userId, error: error.message });
+        }
+        return;
+    }
+
+    if (format === 'pdf') {
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+        return res.send(vatReportService.vatReportPdf(report, req.t));
+    }
+
+    res.json({
+        status: 'success',
+        data: report
+    });
+});
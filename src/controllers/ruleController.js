@@ -0,0 +1,145 @@
+import { asyncHandler } from '../utils/errors.js';
+import * as receiptRuleService from '../services/receiptRuleService.js';
+import {
+    APPLY_RULE_ACTION,
+    BULK_MAX_RECEIPTS,
+    startBulkOperation
+} from '../services/bulkReceiptService.js';
+
+/**
+ * GET /api/rules
+ * Get all rules of the authenticated user, in the order they run
+ */
+export const getRules = asyncHandler(async (req, res) => {
+    const rules = await receiptRuleService.getRules(req.user.id);
+
+    res.json({
+        status: 'success',
+        data: {
+            rules,
+            count: rules.length
+        }
+    });
+});
+
+/**
+ * GET /api/rules/:id
+ * Get specific rule
+ */
+export const getRule = asyncHandler(async (req, res) => {
+    const rule = await receiptRuleService.getRule(req.user.id, req.params.id);
+
+    res.json({
+        status: 'success',
+        data: { rule }
+    });
+});
+
+/**
+ * POST /api/rules
+ * Create rule. It runs on receipts created from then on.
+ */
+export const createRule = asyncHandler(async (req, res) => {
+    const rule = await receiptRuleService.createRule(req.user.id, req.body);
+
+    res.status(201).json({
+        status: 'success',
+        message: req.t('rules.created_success'),
+        data: { rule }
+    });
+});
+
+/**
+ * PATCH /api/rules/:id
+ * Update rule
+ */
+export const updateRule = asyncHandler(async (req, res) => {
+    const rule = await receiptRuleService.updateRule(req.user.id, req.params.id, req.body);
+
+    res.json({
+        status: 'success',
+        message: req.t('rules.updated_success'),
+        data: { rule }
+    });
+});
+
+/**
+ * DELETE /api/rules/:id
+ * Delete rule. Receipts it already changed keep their values.
+ */
+export const deleteRule = asyncHandler(async (req, res) => {
+    await receiptRuleService.deleteRule(req.user.id, req.params.id);
+
+    res.json({
+        status: 'success',
+        message: req.t('rules.deleted_success')
+    });
+});
+
+/**
+ * POST /api/rules/dry-run, POST /api/rules/:id/dry-run
+ * Show which existing receipts a rule (unsaved or saved) would change, and how
+ */
+export const dryRunRule = asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+
+    const definition = req.params.id
+        ? await receiptRuleService.getRule(userId, req.params.id)
+        : await receiptRuleService.normalizeRuleDefinition(userId, req.body);
+
+    const result = await receiptRuleService.dryRunRule(userId, {
+        conditions: definition.conditions,
+        actions: definition.actions
+    });
+
+    res.json({
+        status: 'success',
+        data: result
+    });
+});
+
+/**
+ * POST /api/rules/:id/apply
+ * Apply a rule to the existing receipts it matches. Large histories run as a bulk job.
+ */
+export const applyRule = asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    const rule = await receiptRuleService.getRule(userId, req.params.id);
+
+    const ids = await receiptRuleService.findRuleReceiptIds(userId, rule.conditions);
+
+    if (ids.length > BULK_MAX_RECEIPTS) {
+        return res.status(400).json({
+            status: 'error',
+            message: req.t('receipts.bulk_too_many', { max: BULK_MAX_RECEIPTS })
+        });
+    }
+
+    const { job, result } = await startBulkOperation({
+        userId,
+        receiptIds: ids,
+        action: APPLY_RULE_ACTION,
+        params: { ruleId: rule.id }
+    }, {
+        preferAsync: /respond-async/i.test(req.get('Prefer') || '')
+    });
+
+    if (job) {
+        return res.status(202).json({
+            status: 'success',
+            message: req.t('receipts.bulk_queued', { total: ids.length }),
+            data: {
+                jobId: job.id,
+                action: APPLY_RULE_ACTION,
+                total: ids.length,
+                statusUrl: `/api/receipts/bulk/jobs/${job.id}`
+            }
+        });
+    }
+
+    res.json({
+        status: 'success',
+        message: req.t('rules.applied_success', { succeeded: result.succeeded, total: result.total }),
+        data: result
+    });
+});
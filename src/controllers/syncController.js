@@ -3,7 +3,48 @@ import { log } from '../utils/logger.js';
 import Receipt from '../models/Receipt.js';
 import { extractReceiptData } from '../services/ocrService.js';
 import { processReceiptItems } from '../services/receiptItemService.js';
+import { snapshotRevisionFields, recordRevision, recordCreation } from '../services/receiptRevisionService.js';
+import { applyRulesToReceipt } from '../services/receiptRuleService.js';
+import { getMerchantDefaultCategory } from '../services/merchantService.js';
 import { addSignedUrlsToReceipt } from '../utils/urlSigner.js';
+import eventService from '../services/eventService.js';
+import { checkNewlyUnlockedBadges } from '../services/badgeService.js';
+import { dispatchWebhookEvent, serializeReceipt } from '../services/webhookService.js';
+import {
+    SYNCABLE_RECEIPT_FIELDS,
+    DEFAULT_CHANGES_LIMIT,
+    decodeCursor,
+    isCursorExpired,
+    serializeSyncReceipt,
+    getChangesSince,
+    getDivergingFields,
+    changedSince
+} from '../services/syncService.js';
+import SyncTombstone from '../models/SyncTombstone.js';
+import { getUserCategories, findCategory } from '../services/categoryService.js';
+import { changedClaimedFields, findSubmittedReport } from '../services/expenseReportService.js';
+
+/**
+ * Normaliza imageUrl: convierte URLs firmadas /secure o legacy /uploads a ruta relativa userId/receipts/archivo
+ */
+function normalizeSyncImageUrl(imageUrl, localId) {
+    try {
+        if (typeof imageUrl === 'string') {
+            if (imageUrl.includes('/secure/') || imageUrl.startsWith('http')) {
+                const u = new URL(imageUrl);
+                imageUrl = u.pathname.replace(/^\/secure\//, '').replace(/^\/uploads\//, '');
+                log.debug('Normalized sync imageUrl to relative path', { localId, imageUrl });
+            } else if (imageUrl.includes('/uploads/')) {
+                imageUrl = imageUrl.replace(/^\/uploads\//, '');
+                log.debug('Normalized legacy uploads imageUrl to relative path', { localId, imageUrl });
+            }
+        }
+    } catch (e) {
+        log.warn('Could not normalize sync imageUrl, using as-is', { localId, imageUrl });
+    }
+
+    return imageUrl;
+}
 
 /**
  * Batch sync endpoint para sincronización offline-first
@@ -60,23 +101,8 @@ export const syncReceipts = asyncHandler(async (req, res) => {
                 continue;
             }
 
-            // Normalizar imageUrl: convertir URLs firmadas /secure o legacy /uploads a ruta relativa userId/receipts/archivo
-            try {
-                if (imageUrl) {
-                    if (typeof imageUrl === 'string') {
-                        if (imageUrl.includes('/secure/') || imageUrl.startsWith('http')) {
-                            const u = new URL(imageUrl);
-                            imageUrl = u.pathname.replace(/^\/secure\//, '').replace(/^\/uploads\//, '');
-                            log.debug('Normalized sync imageUrl to relative path', { localId, imageUrl });
-                        } else if (imageUrl.includes('/uploads/')) {
-                            imageUrl = imageUrl.replace(/^\/uploads\//, '');
-                            log.debug('Normalized legacy uploads imageUrl to relative path', { localId, imageUrl });
-                        }
-                    }
-                }
-            } catch (e) {
-                log.warn('Could not normalize sync imageUrl, using as-is', { localId, imageUrl });
-            }
+            // Normalizar imageUrl a ruta relativa
+            imageUrl = normalizeSyncImageUrl(imageUrl, localId);
 
             // Buscar recibo existente por serverId (si existe) o crear nuevo
             let receipt = null;
@@ -100,6 +126,7 @@ export const syncReceipts = asyncHandler(async (req, res) => {
 
                 if (clientUpdatedAt > serverUpdatedAt) {
                     // Actualizar recibo existente
+                    const before = snapshotRevisionFields(receipt);
                     await receipt.update({
                         imageUrl,
                         merchantName: receiptData.merchantName || receipt.merchantName,
@@ -110,12 +137,22 @@ export const syncReceipts = asyncHandler(async (req, res) => {
                         notes: receiptData.notes !== undefined ? receiptData.notes : receipt.notes,
                         updatedAt: clientUpdatedAt
                     });
+                    await recordRevision({
+                        receiptId: receipt.id,
+                        userId,
+                        entity: receipt,
+                        before,
+                        source: 'sync',
+                        actorId: userId
+                    });
 
                     log.info('Receipt updated via sync', {
                         receiptId: receipt.id,
                         localId,
                         userId
                     });
+
+                    await dispatchWebhookEvent(userId, 'receipt.updated', { receipt: serializeReceipt(receipt) });
                 } else {
                     log.debug('Server version is newer, skipping update', {
                         receiptId: receipt.id,
@@ -139,12 +176,16 @@ export const syncReceipts = asyncHandler(async (req, res) => {
                     updatedAt: updatedAt ? new Date(updatedAt) : new Date()
                 });
 
+                await recordCreation({ receipt, source: 'sync', actorId: userId });
+
                 log.info('New receipt created via sync', {
                     receiptId: receipt.id,
                     localId,
                     userId
                 });
 
+                await dispatchWebhookEvent(userId, 'receipt.created', { receipt: serializeReceipt(receipt) });
+
                 // Si el cliente ya procesó la imagen (processedByMLKit), iniciar procesamiento
                 if (receiptData.processedByMLKit && receiptData.imageUrl) {
                     // Procesar en background (no bloquear sync)
@@ -219,39 +260,51 @@ async function processReceiptInBackground(receiptId, imageUrl, userId, locale =
 
         // Marcar como processing
         await receipt.update({ processingStatus: 'processing' });
+        await eventService.publish(userId, 'receipt.processing', { receiptId });
 
         // Extraer datos con OCR/AI
         const extractedData = await extractReceiptData(imageUrl, locale, {
             skipEnhancement: true,
-            processedByMLKit: true
+            processedByMLKit: true,
+            categories: await getUserCategories(userId)
         });
 
         if (extractedData.success) {
+            // La categoría por defecto del comercio (elegida por el usuario) tiene prioridad sobre la IA
+            const merchantCategory = await getMerchantDefaultCategory(
+                userId,
+                extractedData.merchantName || receipt.merchantName
+            );
+
             // Actualizar recibo con datos extraídos
+            const before = snapshotRevisionFields(receipt);
             await receipt.update({
                 rawText: extractedData.rawText || '',
                 merchantName: extractedData.merchantName || receipt.merchantName,
                 purchaseDate: extractedData.purchaseDate || receipt.purchaseDate,
                 amount: extractedData.totals?.total || receipt.amount,
                 currency: extractedData.currency || receipt.currency,
-                category: extractedData.category || receipt.category,
+                category: merchantCategory || extractedData.category || receipt.category,
                 paymentMethod: extractedData.paymentMethod,
                 cardType: extractedData.cardType,
                 vatInfo: extractedData.vatInfo,
                 discountInfo: extractedData.discountInfo,
+                fiscalQr: extractedData.fiscalQr || null,
                 country: extractedData.country,
                 parsedData: {
                     totals: extractedData.totals,
                     items: extractedData.items,
-                    extractionMethod: extractedData.extractionMethod
+                    extractionMethod: extractedData.extractionMethod,
+                    merchantTaxId: extractedData.merchantTaxId || null
                 },
                 processingStatus: 'completed',
                 isProcessed: true
             });
+            await recordRevision({ receiptId, userId, entity: receipt, before, source: 'ai' });
 
             // Procesar items del recibo (firma correcta: receiptId, userId, items, currency, transaction, locale)
             if (extractedData.items && extractedData.items.length > 0) {
-                await processReceiptItems(
+                const processedItems = await processReceiptItems(
                     receipt.id,
                     userId,
                     extractedData.items,
@@ -259,12 +312,27 @@ async function processReceiptInBackground(receiptId, imageUrl, userId, locale =
                     null,
                     locale
                 );
+                await recordCreation({
+                    receipt,
+                    items: processedItems.map(({ receiptItem }) => receiptItem),
+                    source: 'ai',
+                    includeReceipt: false
+                });
             }
 
+            // Reglas del usuario sobre los datos extraídos
+            await applyRulesToReceipt(receipt, {
+                itemTexts: (extractedData.items || []).flatMap(item => [item.name, item.originalText]).filter(Boolean)
+            });
+
             log.info('Receipt processed successfully in background', {
                 receiptId,
                 userId
             });
+
+            await eventService.publish(userId, 'receipt.completed', { receiptId });
+            await dispatchWebhookEvent(userId, 'receipt.updated', { receipt: serializeReceipt(receipt) });
+            await checkNewlyUnlockedBadges(userId);
         } else {
             await receipt.update({
                 processingStatus: 'failed',
@@ -275,6 +343,15 @@ async function processReceiptInBackground(receiptId, imageUrl, userId, locale =
                 receiptId,
                 error: extractedData.error
             });
+
+            await eventService.publish(userId, 'receipt.failed', {
+                receiptId,
+                error: extractedData.error || 'Unknown error'
+            });
+            await dispatchWebhookEvent(userId, 'receipt.failed', {
+                receiptId,
+                error: extractedData.error || 'Unknown error'
+            });
         }
     } catch (error) {
         log.error('Background receipt processing error', {
@@ -291,6 +368,14 @@ async function processReceiptInBackground(receiptId, imageUrl, userId, locale =
                     processingError: error.message
                 });
             }
+            await eventService.publish(userId, 'receipt.failed', {
+                receiptId,
+                error: error.message
+            });
+            await dispatchWebhookEvent(userId, 'receipt.failed', {
+                receiptId,
+                error: error.message
+            });
         } catch (updateError) {
             log.error('Failed to update receipt status', {
                 receiptId,
@@ -336,3 +421,274 @@ export const getSyncStatus = asyncHandler(async (req, res) => {
         }
     });
 });
+
+/**
+ * Delta sync v2: devuelve todo lo que cambió desde el cursor del dispositivo
+ * (recibos, items, presupuestos y filtros guardados), incluyendo borrados
+ */
+export const getChanges = asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    const limit = parseInt(req.query.limit) || DEFAULT_CHANGES_LIMIT;
+
+    const cursor = decodeCursor(req.query.cursor);
+    if (!cursor) {
+        return res.status(400).json({
+            status: 'error',
+            code: 'INVALID_CURSOR',
+            message: req.t('sync.invalid_cursor')
+        });
+    }
+
+    // Los borrados anteriores a la retención ya no existen: el dispositivo debe hacer sync completo
+    if (isCursorExpired(cursor.issuedAt)) {
+        return res.status(410).json({
+            status: 'error',
+            code: 'SYNC_RESET_REQUIRED',
+            message: req.t('sync.cursor_expired')
+        });
+    }
+
+    const result = await getChangesSince(userId, cursor, limit);
+
+    res.json({
+        status: 'success',
+        data: result
+    });
+});
+
+/**
+ * Solo los campos sincronizables presentes en el cambio, con la categoría normalizada
+ */
+function pickSyncableFields(fields = {}, categories = []) {
+    const picked = {};
+    for (const field of SYNCABLE_RECEIPT_FIELDS) {
+        if (fields[field] !== undefined) {
+            picked[field] = fields[field];
+        }
+    }
+    if (picked.category) {
+        picked.category = findCategory(categories, picked.category)?.key || picked.category;
+    }
+    return picked;
+}
+
+/**
+ * Aplica un cambio de recibo enviado por el dispositivo.
+ * Un conflicto existe cuando el servidor cambió el recibo después de baseVersion
+ * y el dispositivo quiere dejar un campo con un valor distinto al actual.
+ */
+async function applyReceiptChange(userId, change, locale) {
+    const { op, localId, id, baseVersion, force = false } = change;
+    const fields = pickSyncableFields(change.fields, await getUserCategories(userId));
+
+    if (op === 'create') {
+        if (!change.imageUrl) {
+            throw new Error('Missing imageUrl');
+        }
+
+        const receipt = await Receipt.create({
+            ...fields,
+            userId,
+            imageUrl: normalizeSyncImageUrl(change.imageUrl, localId),
+            currency: fields.currency || 'USD',
+            processingStatus: 'pending',
+            isProcessed: false
+        });
+
+        await recordCreation({ receipt, source: 'sync', actorId: userId });
+
+        log.info('New receipt created via sync v2', { receiptId: receipt.id, localId, userId });
+
+        await dispatchWebhookEvent(userId, 'receipt.created', { receipt: serializeReceipt(receipt) });
+
+        if (change.processedByMLKit) {
+            processReceiptInBackground(receipt.id, receipt.imageUrl, userId, locale).catch(err => {
+                log.error('Background processing error', {
+                    receiptId: receipt.id,
+                    error: err.message
+                });
+            });
+        }
+
+        return { status: 'applied', localId, id: receipt.id, op, syncVersion: receipt.syncVersion };
+    }
+
+    // Incluye la papelera: un recibo en la papelera cuenta como borrado
+    const receipt = await Receipt.findOne({ where: { id, userId }, paranoid: false });
+    let deletedVersion = null;
+
+    if (receipt?.deletedAt) {
+        deletedVersion = receipt.syncVersion;
+    } else if (!receipt) {
+        const tombstone = await SyncTombstone.findForEntity(userId, 'receipt', id);
+        if (!tombstone) {
+            throw new Error('Receipt not found');
+        }
+        deletedVersion = tombstone.syncVersion;
+    }
+
+    if (deletedVersion !== null) {
+        // Ya borrado en el servidor: un delete no tiene nada que hacer
+        if (op === 'delete') {
+            return { status: 'applied', localId, id, op, syncVersion: deletedVersion };
+        }
+
+        return {
+            status: 'conflict',
+            localId,
+            id,
+            op,
+            reason: 'deleted_on_server',
+            serverVersion: deletedVersion,
+            server: null
+        };
+    }
+
+    const serverChanged = !force && changedSince(receipt, baseVersion);
+
+    // Un informe de gastos enviado o reembolsado reclama el importe, la moneda y la
+    // fecha del recibo: no se pueden cambiar ni borrar el recibo, ni siquiera con force
+    const claimsChanged = op === 'delete' || changedClaimedFields(receipt, fields).length > 0;
+    if (claimsChanged && await findSubmittedReport(receipt)) {
+        return {
+            status: 'conflict',
+            localId,
+            id,
+            op,
+            reason: 'claimed_in_report',
+            serverVersion: receipt.syncVersion,
+            server: serializeSyncReceipt(receipt)
+        };
+    }
+
+    if (op === 'delete') {
+        if (serverChanged) {
+            return {
+                status: 'conflict',
+                localId,
+                id,
+                op,
+                reason: 'modified_on_server',
+                serverVersion: receipt.syncVersion,
+                server: serializeSyncReceipt(receipt)
+            };
+        }
+
+        await receipt.destroy();
+
+        log.info('Receipt moved to trash via sync v2', { receiptId: id, localId, userId });
+
+        await dispatchWebhookEvent(userId, 'receipt.deleted', { receipt: serializeReceipt(receipt) });
+
+        return { status: 'applied', localId, id, op, syncVersion: null };
+    }
+
+    // Campos que el dispositivo cambia respecto al valor actual del servidor
+    const changedFields = getDivergingFields(receipt, fields);
+
+    // Nada que aplicar (p. ej. reintento de un push ya aplicado)
+    if (changedFields.length === 0) {
+        return { status: 'applied', localId, id, op, syncVersion: receipt.syncVersion };
+    }
+
+    if (serverChanged) {
+        return {
+            status: 'conflict',
+            localId,
+            id,
+            op,
+            reason: 'modified_on_server',
+            fields: changedFields,
+            serverVersion: receipt.syncVersion,
+            server: serializeSyncReceipt(receipt)
+        };
+    }
+
+    const updates = {};
+    changedFields.forEach(field => {
+        updates[field] = fields[field];
+    });
+
+    const before = snapshotRevisionFields(receipt);
+    await receipt.update(updates);
+    // sync_version lo asigna un trigger de la base de datos
+    await receipt.reload();
+    await recordRevision({
+        receiptId: receipt.id,
+        userId,
+        entity: receipt,
+        before,
+        source: 'sync',
+        actorId: userId
+    });
+
+    log.info('Receipt updated via sync v2', { receiptId: id, localId, userId, changedFields });
+
+    await dispatchWebhookEvent(userId, 'receipt.updated', {
+        receipt: serializeReceipt(receipt),
+        changedFields
+    });
+
+    return { status: 'applied', localId, id, op, syncVersion: receipt.syncVersion };
+}
+
+/**
+ * Delta sync v2: aplica los cambios de recibos hechos en el dispositivo.
+ * Los conflictos no se sobreescriben: se devuelven con la versión del servidor para
+ * que el cliente los resuelva (reenviando con la nueva baseVersion o con force).
+ */
+export const pushChanges = asyncHandler(async (req, res) => {
+    const { receipts } = req.body;
+    const userId = req.user.id;
+
+    const applied = [];
+    const conflicts = [];
+    const failed = [];
+
+    for (const change of receipts) {
+        try {
+            const { status, ...result } = await applyReceiptChange(userId, change, req.locale);
+            if (status === 'conflict') {
+                conflicts.push(result);
+            } else {
+                applied.push(result);
+            }
+        } catch (error) {
+            log.error('Error applying sync change', {
+                localId: change.localId,
+                id: change.id,
+                op: change.op,
+                error: error.message
+            });
+
+            failed.push({
+                localId: change.localId,
+                id: change.id,
+                op: change.op,
+                error: error.message
+            });
+        }
+    }
+
+    log.info('Sync push completed', {
+        userId,
+        total: receipts.length,
+        applied: applied.length,
+        conflicts: conflicts.length,
+        failed: failed.length
+    });
+
+    res.json({
+        status: 'success',
+        message: req.t('sync.push_completed', {
+            applied: applied.length,
+            conflicts: conflicts.length,
+            failed: failed.length
+        }),
+        data: {
+            applied,
+            conflicts,
+            failed
+        }
+    });
+});
@@ -2,25 +2,47 @@ import multer from "multer";
 import { asyncHandler } from '../utils/errors.js';
 import { saveUserFile, FILE_CATEGORIES } from '../utils/fileStorage.js';
 import { generateSignedUrl } from '../utils/urlSigner.js';
+import { idempotency } from '../middlewares/idempotency.js';
+import { MAX_RECEIPT_PAGES } from '../models/Receipt.js';
+
+// Receipts may also be PDF documents (e-receipts); other uploads are images only
+const PDF_TYPE = 'application/pdf';
 
 // Configuración de multer → usa memoria temporal
-const upload = multer({
-    storage: multer.memoryStorage(),
-    limits: {
-        fileSize: parseInt(process.env.MAX_FILE_SIZE || 5242880) // 5MB default
-    },
-    fileFilter: (req, file, cb) => {
-        const allowedTypes = (process.env.ALLOWED_FILE_TYPES || 'image/jpeg,image/png,image/jpg').split(',');
-        if (allowedTypes.includes(file.mimetype)) {
-            cb(null, true);
-        } else {
-            cb(new Error(`Invalid file type. Allowed types: ${allowedTypes.join(', ')}`));
+function createUpload({ allowPdf = false } = {}) {
+    return multer({
+        storage: multer.memoryStorage(),
+        limits: {
+            fileSize: parseInt(process.env.MAX_FILE_SIZE || 5242880) // 5MB default
+        },
+        fileFilter: (req, file, cb) => {
+            const allowedTypes = (process.env.ALLOWED_FILE_TYPES || `image/jpeg,image/png,image/jpg,${PDF_TYPE}`)
+                .split(',')
+                .filter(type => allowPdf || type !== PDF_TYPE);
+            if (allowedTypes.includes(file.mimetype)) {
+                cb(null, true);
+            } else {
+                cb(new Error(`Invalid file type. Allowed types: ${allowedTypes.join(', ')}`));
+            }
         }
+    });
+}
+
+const upload = createUpload();
+const receiptUpload = createUpload({ allowPdf: true });
+
+// Stored name of an uploaded file; a PDF keeps its extension so the pipeline recognizes it
+function storedName(file) {
+    if (file.mimetype === PDF_TYPE && !/\.pdf$/i.test(file.originalname)) {
+        return `${file.originalname}.pdf`;
     }
-});
+    return file.originalname;
+}
 
+// A photo or a PDF (e-receipt); create the receipt with the returned path as imageUrl
 export const uploadReceipt = [
-    upload.single("file"),
+    receiptUpload.single("file"),
+    idempotency(), // After multer so the uploaded file is part of the request hash
     asyncHandler(async (req, res) => {
         if (!req.file) {
             return res.status(400).json({
@@ -43,7 +65,7 @@ export const uploadReceipt = [
             userId,
             FILE_CATEGORIES.RECEIPTS,
             req.file.buffer,
-            req.file.originalname
+            storedName(req.file)
         );
 
         // Generate signed URL (2 hours expiration)
@@ -57,6 +79,47 @@ export const uploadReceipt = [
     })
 ];
 
+// Pages of a long receipt, in order (create it with imageUrl and pageImageUrls)
+export const uploadReceiptPages = [
+    upload.array("files", MAX_RECEIPT_PAGES),
+    idempotency(),
+    asyncHandler(async (req, res) => {
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: "No file uploaded"
+            });
+        }
+
+        // Get user ID from authenticated request
+        const userId = req.userId || req.user?.id;
+        if (!userId) {
+            return res.status(401).json({
+                success: false,
+                error: "Authentication required"
+            });
+        }
+
+        // One at a time, so the pages keep their order
+        const relativePaths = [];
+        for (const file of req.files) {
+            const { relativePath } = await saveUserFile(
+                userId,
+                FILE_CATEGORIES.RECEIPTS,
+                file.buffer,
+                file.originalname
+            );
+            relativePaths.push(relativePath);
+        }
+
+        res.json({
+            success: true,
+            image_urls: relativePaths.map(relativePath => generateSignedUrl(relativePath, 7200)),
+            relative_paths: relativePaths // For storage in database
+        });
+    })
+];
+
 export const uploadProfilePhoto = [
     upload.single("file"),
     asyncHandler(async (req, res) => {
@@ -0,0 +1,202 @@
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { asyncHandler, NotFoundError } from '../utils/errors.js';
+import { log } from '../utils/logger.js';
+import { redeliverWebhook } from '../services/webhookService.js';
+
+async function findUserWebhook(id, userId) {
+    const webhook = await Webhook.findOne({ where: { id, userId } });
+    if (!webhook) {
+        throw new NotFoundError('Webhook');
+    }
+    return webhook;
+}
+
+/**
+ * GET /api/webhooks
+ * List webhook subscriptions for authenticated user
+ */
+export const getWebhooks = asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+
+    const webhooks = await Webhook.findAll({
+        where: { userId },
+        order: [['createdAt', 'DESC']]
+    });
+
+    res.json({
+        status: 'success',
+        data: {
+            webhooks,
+            count: webhooks.length
+        }
+    });
+});
+
+/**
+ * GET /api/webhooks/:id
+ * Get specific webhook subscription
+ */
+export const getWebhook = asyncHandler(async (req, res) => {
+    const webhook = await findUserWebhook(req.params.id, req.user.id);
+
+    res.json({
+        status: 'success',
+        data: { webhook }
+    });
+});
+
+/**
+ * POST /api/webhooks
+ * Create webhook subscription. The signing secret is only returned here and on rotation.
+ */
+export const createWebhook = asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    const { url, events, description } = req.body;
+
+    const webhook = await Webhook.create({ userId, url, events, description });
+
+    log.info(`Webhook created: ${webhook.id} by user ${userId}`, { events });
+
+    res.status(201).json({
+        status: 'success',
+        message: req.t('webhooks.created_success'),
+        data: {
+            webhook,
+            secret: webhook.secret
+        }
+    });
+});
+
+/**
+ * PATCH /api/webhooks/:id
+ * Update webhook subscription
+ */
+export const updateWebhook = asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    const webhook = await findUserWebhook(req.params.id, userId);
+
+    const { url, events, description, isActive } = req.body;
+    const updates = {};
+    if (url !== undefined) updates.url = url;
+    if (events !== undefined) updates.events = events;
+    if (description !== undefined) updates.description = description;
+    if (isActive !== undefined) {
+        updates.isActive = isActive;
+        // Re-enabling a subscription starts with a clean failure count
+        if (isActive) updates.consecutiveFailures = 0;
+    }
+
+    await webhook.update(updates);
+
+    log.info(`Webhook updated: ${webhook.id} by user ${userId}`);
+
+    res.json({
+        status: 'success',
+        message: req.t('webhooks.updated_success'),
+        data: { webhook }
+    });
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Delete webhook subscription and its delivery log
+ */
+export const deleteWebhook = asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    const webhook = await findUserWebhook(req.params.id, userId);
+
+    await webhook.destroy();
+
+    log.info(`Webhook deleted: ${webhook.id} by user ${userId}`);
+
+    res.json({
+        status: 'success',
+        message: req.t('webhooks.deleted_success')
+    });
+});
+
+/**
+ * POST /api/webhooks/:id/rotate-secret
+ * Generate a new signing secret
+ */
+export const rotateWebhookSecret = asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    const webhook = await findUserWebhook(req.params.id, userId);
+
+    await webhook.rotateSecret();
+
+    log.info(`Webhook secret rotated: ${webhook.id} by user ${userId}`);
+
+    res.json({
+        status: 'success',
+        message: req.t('webhooks.secret_rotated'),
+        data: {
+            webhook,
+            secret: webhook.secret
+        }
+    });
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * Get delivery log of a webhook subscription
+ */
+export const getWebhookDeliveries = asyncHandler(async (req, res) => {
+    const webhook = await findUserWebhook(req.params.id, req.user.id);
+    const { status, limit = 50, offset = 0 } = req.query;
+
+    const { rows, count } = await WebhookDelivery.findByWebhook(webhook.id, {
+        status,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+    });
+
+    res.json({
+        status: 'success',
+        data: {
+            deliveries: rows,
+            pagination: {
+                total: count,
+                limit: parseInt(limit),
+                offset: parseInt(offset),
+                hasMore: parseInt(offset) + rows.length < count
+            }
+        }
+    });
+});
+
+/**
+ * POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+ * Manually redeliver a logged delivery
+ */
+export const redeliverWebhookDelivery = asyncHandler(async (req, res) => {
+    const webhook = await findUserWebhook(req.params.id, req.user.id);
+
+    const delivery = await WebhookDelivery.findOne({
+        where: { id: req.params.deliveryId, webhookId: webhook.id }
+    });
+
+    if (!delivery) {
+        throw new NotFoundError('Webhook delivery');
+    }
+
+    const redelivery = await redeliverWebhook(delivery);
+
+    res.status(202).json({
+        status: 'success',
+        message: req.t('webhooks.redelivery_scheduled'),
+        data: { delivery: redelivery }
+    });
+});
+
+export default {
+    getWebhooks,
+    getWebhook,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    rotateWebhookSecret,
+    getWebhookDeliveries,
+    redeliverWebhookDelivery
+};
@@ -1,5 +1,8 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import PersonalAccessToken from '../models/PersonalAccessToken.js';
+import authService from '../services/authService.js';
 import config from '../config/environment.js';
 import { AuthenticationError, AuthorizationError } from '../utils/errors.js';
 import { asyncHandler } from '../utils/errors.js';
@@ -16,6 +19,25 @@ export const authenticate = asyncHandler(async (req, res, next) => {
         throw new AuthenticationError('No token provided');
     }
 
+    // Personal access tokens (scripts and integrations)
+    if (PersonalAccessToken.isAccessToken(token)) {
+        const accessToken = await authService.verifyPersonalAccessToken(token, req.ip);
+
+        const user = await User.findByPk(accessToken.userId, {
+            attributes: { exclude: ['password'] }
+        });
+
+        if (!user || !user.isActive) {
+            throw new AuthenticationError('Account is deactivated');
+        }
+
+        req.user = user;
+        req.userId = user.id;
+        req.accessToken = accessToken;
+
+        return next();
+    }
+
     try {
         // Verify token
         const decoded = jwt.verify(token, config.security.jwt.secret);
@@ -63,6 +85,66 @@ export const authorize = (...roles) => {
     };
 };
 
+// Enforce personal access token scopes. Session (JWT) requests have full access.
+export const requireScope = (...scopes) => {
+    return (req, res, next) => {
+        if (!req.accessToken) {
+            return next();
+        }
+
+        const missing = scopes.filter(scope => !req.accessToken.hasScope(scope));
+        if (missing.length > 0) {
+            throw new AuthorizationError(`Access token is missing required scope: ${missing.join(', ')}`);
+        }
+
+        next();
+    };
+};
+
+// Read scope for GET/HEAD requests, write scope for everything else.
+// There are no token scopes besides receipts, budgets and analytics: everything
+// derived from receipts (merchants, categories, products, rules, reports, expense
+// reports, bank reconciliation, exchange rates) is guarded by the receipts scopes.
+export const requireScopeByMethod = (readScope, writeScope) => {
+    const read = requireScope(readScope);
+    const write = writeScope ? requireScope(writeScope) : rejectAccessTokens;
+
+    return (req, res, next) => {
+        if (req.method === 'GET' || req.method === 'HEAD') {
+            return read(req, res, next);
+        }
+        return write(req, res, next);
+    };
+};
+
+// Account-level endpoints are only available to signed-in sessions
+export const rejectAccessTokens = (req, res, next) => {
+    if (req.accessToken) {
+        throw new AuthorizationError('Personal access tokens cannot be used for this endpoint');
+    }
+
+    next();
+};
+
+// Inbound emails are posted by the mail server, which authenticates with a shared secret
+export const requireInboundEmailSecret = (req, res, next) => {
+    const secret = config.inboundEmail.secret;
+    if (!secret) {
+        return res.status(503).json({
+            status: 'error',
+            message: 'Inbound email is not configured'
+        });
+    }
+
+    const provided = req.get('X-Inbound-Secret') || '';
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    if (!crypto.timingSafeEqual(digest(provided), digest(secret))) {
+        throw new AuthenticationError('Invalid inbound email secret');
+    }
+
+    next();
+};
+
 export const optionalAuth = asyncHandler(async (req, res, next) => {
     let token;
 
@@ -0,0 +1,35 @@
+import { asyncHandler } from '../utils/errors.js';
+import { getUserCategories, findCategory } from '../services/categoryService.js';
+
+/**
+ * Load the user's categories into req.userCategories and replace a category
+ * name in the body (any language, or a legacy value) with its category key.
+ * Must run after authenticate.
+ */
+export const resolveCategoryParams = asyncHandler(async (req, res, next) => {
+    if (!req.user) {
+        return next();
+    }
+
+    req.userCategories = await getUserCategories(req.user.id);
+
+    if (req.body && typeof req.body.category === 'string') {
+        const category = findCategory(req.userCategories, req.body.category);
+        if (category) {
+            req.body.category = category.key;
+        }
+    }
+
+    next();
+});
+
+/**
+ * express-validator custom validator: the value names one of the user's categories
+ * (requires resolveCategoryParams)
+ */
+export const isKnownCategory = (value, { req }) => {
+    if (!findCategory(req.userCategories || [], value)) {
+        throw new Error('Unknown category');
+    }
+    return true;
+};
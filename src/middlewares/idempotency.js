@@ -0,0 +1,190 @@
+import crypto from 'crypto';
+import { UniqueConstraintError } from 'sequelize';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+import { asyncHandler } from '../utils/errors.js';
+import { log } from '../utils/logger.js';
+
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+// How long a stored response is replayed for repeats of the same key
+const KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+
+// A request still "processing" after this long is assumed to have died and can be retried
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Printable ASCII without spaces, e.g. a UUID generated by the client
+const KEY_PATTERN = /^[\x21-\x7E]{1,255}$/;
+
+// JSON with sorted object keys, so the same body always hashes the same
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+}
+
+function hashRequest(req, path) {
+    const hash = crypto.createHash('sha256')
+        .update(`${req.method}\n${path}\n`)
+        .update(canonicalJson(req.body || {}));
+
+    // Multipart uploads: the file is part of the request
+    if (req.file?.buffer) {
+        hash.update('\n').update(req.file.buffer);
+    }
+
+    return hash.digest('hex');
+}
+
+/**
+ * Claim the key for this request. Resolves with the state of the key:
+ * acquired (process the request), replay, mismatch or in_progress.
+ */
+async function acquireKey(userId, key, { requestHash, method, path }) {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + KEY_TTL_HOURS * 60 * 60 * 1000);
+    const claim = { requestHash, method, path, lockedAt: now, expiresAt };
+
+    try {
+        const record = await IdempotencyKey.create({ userId, key, ...claim });
+        return { state: 'acquired', record };
+    } catch (error) {
+        if (!(error instanceof UniqueConstraintError)) {
+            throw error;
+        }
+    }
+
+    const existing = await IdempotencyKey.findOne({ where: { userId, key } });
+    if (!existing) {
+        // Released between our insert and lookup; the client can simply retry
+        return { state: 'in_progress' };
+    }
+
+    const expired = existing.isExpired();
+    if (!expired && existing.requestHash !== requestHash) {
+        return { state: 'mismatch', record: existing };
+    }
+
+    if (expired || existing.isLockStale(LOCK_TIMEOUT_MS)) {
+        // Take the key over; matching on lockedAt lets only one concurrent retry win
+        const [updated] = await IdempotencyKey.update({
+            ...claim,
+            status: 'processing',
+            responseStatus: null,
+            responseBody: null
+        }, {
+            where: { id: existing.id, lockedAt: existing.lockedAt }
+        });
+
+        if (updated === 0) {
+            return { state: 'in_progress' };
+        }
+
+        await existing.reload();
+        return { state: 'acquired', record: existing };
+    }
+
+    if (existing.status === 'processing') {
+        return { state: 'in_progress' };
+    }
+
+    return { state: 'replay', record: existing };
+}
+
+/**
+ * Make a POST endpoint safe to retry with an Idempotency-Key header.
+ *
+ * The first response for a key is stored and replayed for repeats within the
+ * replay window. Reusing a key with a different request, or while the first
+ * request is still running, is answered with 409. Server errors (5xx) are not
+ * stored, so the request can be retried with the same key.
+ *
+ * Must run after authentication (keys are scoped per user) and after any body
+ * or file parsing.
+ */
+export const idempotency = () => asyncHandler(async (req, res, next) => {
+    const key = req.get(IDEMPOTENCY_HEADER);
+    if (!key) {
+        return next();
+    }
+
+    if (!KEY_PATTERN.test(key)) {
+        return res.status(400).json({
+            status: 'error',
+            code: 'INVALID_IDEMPOTENCY_KEY',
+            message: req.t('idempotency.invalid_key')
+        });
+    }
+
+    const userId = req.user.id;
+    const path = `${req.baseUrl}${req.path}`;
+    const requestHash = hashRequest(req, path);
+
+    const { state, record } = await acquireKey(userId, key, { requestHash, method: req.method, path });
+
+    if (state === 'mismatch') {
+        log.warn('Idempotency key reused with a different request', { userId, key, path });
+
+        return res.status(409).json({
+            status: 'error',
+            code: 'IDEMPOTENCY_KEY_REUSED',
+            message: req.t('idempotency.key_reused')
+        });
+    }
+
+    if (state === 'in_progress') {
+        res.set('Retry-After', '1');
+        return res.status(409).json({
+            status: 'error',
+            code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+            message: req.t('idempotency.request_in_progress')
+        });
+    }
+
+    if (state === 'replay') {
+        log.info('Replaying stored response for idempotency key', { userId, key, path });
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(record.responseStatus).json(record.responseBody);
+    }
+
+    // Store the first response sent for this request
+    let settled = false;
+    const originalJson = res.json;
+
+    res.json = function(body) {
+        res.json = originalJson;
+        settled = true;
+
+        const storing = res.statusCode >= 500
+            ? record.destroy()
+            : record.complete(res.statusCode, body);
+
+        storing.catch(error => {
+            log.error('Failed to store idempotent response', { userId, key, error: error.message });
+        });
+
+        return originalJson.call(this, body);
+    };
+
+    // Responses not sent as JSON release the key. A client disconnect does not:
+    // the handler keeps running and its response is stored for the retry.
+    res.on('finish', () => {
+        if (!settled) {
+            settled = true;
+            record.destroy().catch(error => {
+                log.error('Failed to release idempotency key', { userId, key, error: error.message });
+            });
+        }
+    });
+
+    next();
+});
+
+export default idempotency;
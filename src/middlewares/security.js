@@ -143,9 +143,10 @@ export const corsConfig = {
         'Content-Type',
         'Accept',
         'Authorization',
-        'X-Request-ID'
+        'X-Request-ID',
+        'Idempotency-Key'
     ],
-    exposedHeaders: ['X-Request-ID', 'X-Total-Count']
+    exposedHeaders: ['X-Request-ID', 'X-Total-Count', 'Idempotent-Replayed']
 };
 
 // Request logging for security monitoring
@@ -0,0 +1,93 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/db.js';
+
+export const DEFAULT_PAYMENT_ACCOUNT = 'Assets:Bank';
+export const DEFAULT_VAT_ACCOUNT = 'Assets:VAT';
+export const DEFAULT_UNCATEGORIZED_ACCOUNT = 'Expenses:Uncategorized';
+
+// Used when the user has not mapped a payment method
+export const DEFAULT_PAYMENT_METHOD_ACCOUNTS = {
+    cash: 'Assets:Cash',
+    voucher: 'Assets:Vouchers'
+};
+
+const AccountingPreference = sequelize.define('AccountingPreference', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+    },
+    userId: {
+        field: 'user_id',
+        type: DataTypes.UUID,
+        allowNull: false,
+        unique: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    categoryAccounts: {
+        field: 'category_accounts',
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+        comment: 'Account per category key: {grocery: "Expenses:Food:Groceries"}'
+    },
+    paymentAccounts: {
+        field: 'payment_accounts',
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+        comment: 'Account per payment method: {card: "Liabilities:CreditCard"}'
+    },
+    defaultPaymentAccount: {
+        field: 'default_payment_account',
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        defaultValue: DEFAULT_PAYMENT_ACCOUNT
+    },
+    vatAccount: {
+        field: 'vat_account',
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        defaultValue: DEFAULT_VAT_ACCOUNT
+    },
+    uncategorizedAccount: {
+        field: 'uncategorized_account',
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        defaultValue: DEFAULT_UNCATEGORIZED_ACCOUNT
+    }
+}, {
+    tableName: 'accounting_preferences',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+        { fields: ['user_id'], unique: true }
+    ]
+});
+
+// Class methods
+
+/**
+ * Find preferences by user ID
+ */
+AccountingPreference.findByUserId = async function(userId) {
+    return await this.findOne({ where: { userId } });
+};
+
+/**
+ * Create or get preferences for user
+ */
+AccountingPreference.getOrCreate = async function(userId) {
+    const [preferences] = await this.findOrCreate({
+        where: { userId },
+        defaults: { userId }
+    });
+
+    return preferences;
+};
+
+export default AccountingPreference;
@@ -0,0 +1,138 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/db.js';
+
+export const STATEMENT_FORMATS = ['camt053', 'ofx', 'csv'];
+
+export const MATCH_TYPES = ['auto', 'manual'];
+
+const BankTransaction = sequelize.define('BankTransaction', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+    },
+    userId: {
+        field: 'user_id',
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    importId: {
+        field: 'import_id',
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: 'Statement upload the transaction came from'
+    },
+    statementFormat: {
+        field: 'statement_format',
+        type: DataTypes.ENUM(...STATEMENT_FORMATS),
+        allowNull: false
+    },
+    account: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+        comment: 'IBAN or account number of the statement'
+    },
+    externalId: {
+        field: 'external_id',
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'Bank reference (AcctSvcrRef, FITID)'
+    },
+    dedupeHash: {
+        field: 'dedupe_hash',
+        type: DataTypes.STRING(64),
+        allowNull: false
+    },
+    bookingDate: {
+        field: 'booking_date',
+        type: DataTypes.DATEONLY,
+        allowNull: false
+    },
+    valueDate: {
+        field: 'value_date',
+        type: DataTypes.DATEONLY,
+        allowNull: true
+    },
+    amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        comment: 'Negative for money leaving the account'
+    },
+    currency: {
+        type: DataTypes.STRING(3),
+        allowNull: true
+    },
+    counterpartyName: {
+        field: 'counterparty_name',
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    description: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    paymentMethod: {
+        field: 'payment_method',
+        type: DataTypes.STRING(20),
+        allowNull: true,
+        comment: 'card when the statement shows a card payment'
+    },
+    cardType: {
+        field: 'card_type',
+        type: DataTypes.STRING(50),
+        allowNull: true
+    },
+    receiptId: {
+        field: 'receipt_id',
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'receipts',
+            key: 'id'
+        }
+    },
+    matchType: {
+        field: 'match_type',
+        type: DataTypes.ENUM(...MATCH_TYPES),
+        allowNull: true
+    },
+    matchScore: {
+        field: 'match_score',
+        type: DataTypes.DECIMAL(4, 3),
+        allowNull: true
+    },
+    matchedAt: {
+        field: 'matched_at',
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    isIgnored: {
+        field: 'is_ignored',
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+        allowNull: false,
+        comment: 'Not expected to have a receipt (e.g. rent, transfers)'
+    }
+}, {
+    tableName: 'bank_transactions',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+        { fields: ['user_id', 'dedupe_hash'], unique: true },
+        { fields: ['user_id', 'booking_date'] },
+        { fields: ['import_id'] },
+        { fields: ['receipt_id'] }
+    ]
+});
+
+// Instance methods
+BankTransaction.prototype.isDebit = function() {
+    return Number(this.amount) < 0;
+};
+
+export default BankTransaction;
@@ -1,6 +1,7 @@
 import { DataTypes } from 'sequelize';
 import sequelize from '../config/db.js';
 import { Op } from 'sequelize';
+import { localDay, addDays, addMonths, daysBetween, periodEnd } from '../utils/dates.js';
 
 const Budget = sequelize.define('Budget', {
     id: {
@@ -35,9 +36,9 @@ const Budget = sequelize.define('Budget', {
         type: DataTypes.STRING(50),
         allowNull: true, // null = global budget
         validate: {
-            isIn: {
-                args: [['grocery', 'transport', 'food', 'fuel', 'others', null]],
-                msg: 'Category must be one of: grocery, transport, food, fuel, others, or null for global budget'
+            is: {
+                args: /^[a-z0-9_]+$/,
+                msg: 'Category must be a category key, or null for global budget'
             }
         }
     },
@@ -152,6 +153,18 @@ const Budget = sequelize.define('Budget', {
         field: 'last_alert_threshold',
         type: DataTypes.INTEGER,
         allowNull: true
+    },
+    syncVersion: {
+        field: 'sync_version',
+        type: DataTypes.BIGINT,
+        allowNull: true,
+        comment: 'Change sequence value set by database trigger on every write (delta sync cursor)'
+    },
+    syncTxid: {
+        field: 'sync_txid',
+        type: DataTypes.BIGINT,
+        allowNull: true,
+        comment: 'Transaction of the last write, set by database trigger (orders the delta sync cursor)'
     }
 }, {
     tableName: 'budgets',
@@ -173,31 +186,26 @@ const Budget = sequelize.define('Budget', {
 
 /**
  * Check if budget is currently active (within date range)
+ * @param {string} today - The user's current day (YYYY-MM-DD), UTC when omitted
  */
-Budget.prototype.isCurrentlyActive = function() {
-    const now = new Date();
-    const start = new Date(this.startDate);
-    const end = new Date(this.endDate);
-    return this.isActive && now >= start && now <= end;
+Budget.prototype.isCurrentlyActive = function(today = localDay()) {
+    return this.isActive && today >= this.startDate && today <= this.endDate;
 };
 
 /**
- * Check if budget has expired
+ * Check if budget has expired (its last day is over)
+ * @param {string} today - The user's current day (YYYY-MM-DD), UTC when omitted
  */
-Budget.prototype.hasExpired = function() {
-    const now = new Date();
-    const end = new Date(this.endDate);
-    return now > end;
+Budget.prototype.hasExpired = function(today = localDay()) {
+    return today > this.endDate;
 };
 
 /**
- * Get days remaining in budget period
+ * Get days remaining in budget period, today included
+ * @param {string} today - The user's current day (YYYY-MM-DD), UTC when omitted
  */
-Budget.prototype.daysRemaining = function() {
-    const now = new Date();
-    const end = new Date(this.endDate);
-    const diff = end - now;
-    return Math.max(0, Math.ceil(diff / (1000 * 60 * 60 * 24)));
+Budget.prototype.daysRemaining = function(today = localDay()) {
+    return Math.max(0, daysBetween(today, this.endDate) + 1);
 };
 
 /**
@@ -234,19 +242,11 @@ Budget.prototype.createNextPeriod = async function(rolloverAmount = 0) {
         throw new Error('Budget is not recurring');
     }
 
-    const periodDays = {
-        weekly: 7,
-        monthly: 30,
-        yearly: 365,
-        custom: Math.ceil((new Date(this.endDate) - new Date(this.startDate)) / (1000 * 60 * 60 * 24))
-    };
-
-    const days = periodDays[this.period];
-    const newStartDate = new Date(this.endDate);
-    newStartDate.setDate(newStartDate.getDate() + 1);
-
-    const newEndDate = new Date(newStartDate);
-    newEndDate.setDate(newEndDate.getDate() + days);
+    const newStartDate = addDays(this.endDate, 1);
+    // Calendar periods keep the start day (e.g. payday); custom ones keep their length
+    const newEndDate = this.period === 'custom'
+        ? addDays(newStartDate, daysBetween(this.startDate, this.endDate))
+        : periodEnd(this.period, newStartDate);
 
     return await Budget.create({
         userId: this.userId,
@@ -267,6 +267,21 @@ Budget.prototype.createNextPeriod = async function(rolloverAmount = 0) {
     });
 };
 
+/**
+ * Dates of the period before this one, of the same kind
+ * @returns {{startDate: string, endDate: string}}
+ */
+Budget.prototype.getPreviousPeriod = function() {
+    const startDate = {
+        weekly: () => addDays(this.startDate, -7),
+        monthly: () => addMonths(this.startDate, -1),
+        yearly: () => addMonths(this.startDate, -12),
+        custom: () => addDays(this.startDate, -(daysBetween(this.startDate, this.endDate) + 1))
+    }[this.period]();
+
+    return { startDate, endDate: addDays(this.startDate, -1) };
+};
+
 // Class methods (static)
 
 /**
@@ -285,14 +300,14 @@ Budget.findActiveByUser = async function(userId, options = {}) {
 
 /**
  * Get current budgets (active and within date range)
+ * @param {string} today - The user's current day (YYYY-MM-DD), UTC when omitted
  */
-Budget.findCurrentByUser = async function(userId, category = null) {
-    const now = new Date();
+Budget.findCurrentByUser = async function(userId, category = null, today = localDay()) {
     const where = {
         userId,
         isActive: true,
-        startDate: { [Op.lte]: now },
-        endDate: { [Op.gte]: now }
+        startDate: { [Op.lte]: today },
+        endDate: { [Op.gte]: today }
     };
 
     if (category) {
@@ -306,15 +321,15 @@ Budget.findCurrentByUser = async function(userId, category = null) {
 };
 
 /**
- * Get expired budgets that need renewal
+ * Get budgets that may need renewal: periods ending today or earlier in UTC.
+ * Users ahead of UTC are already past that day, so check hasExpired with their own day.
  */
 Budget.findExpiredRecurring = async function() {
-    const now = new Date();
     return await this.findAll({
         where: {
             isActive: true,
             isRecurring: true,
-            endDate: { [Op.lt]: now }
+            endDate: { [Op.lte]: localDay() }
         }
     });
 };
@@ -348,12 +363,12 @@ Budget.findByDateRange = async function(userId, startDate, endDate, options = {}
 /**
  * Get budget summary for user
  */
-Budget.getSummaryByUser = async function(userId) {
-    const budgets = await this.findCurrentByUser(userId);
+Budget.getSummaryByUser = async function(userId, today = localDay()) {
+    const budgets = await this.findCurrentByUser(userId, null, today);
 
     return {
         total: budgets.length,
-        active: budgets.filter(b => b.isCurrentlyActive()).length,
+        active: budgets.filter(b => b.isCurrentlyActive(today)).length,
         categories: [...new Set(budgets.map(b => b.category).filter(Boolean))],
         totalBudgetAmount: budgets.reduce((sum, b) => sum + parseFloat(b.getTotalBudget()), 0)
     };
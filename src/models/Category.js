@@ -0,0 +1,117 @@
+import { DataTypes, Op } from 'sequelize';
+import sequelize from '../config/db.js';
+
+export const CATEGORY_APPLIES_TO = ['receipt', 'product', 'both'];
+
+const Category = sequelize.define('Category', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+    },
+    userId: {
+        field: 'user_id',
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        comment: 'NULL = system default category'
+    },
+    parentId: {
+        field: 'parent_id',
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'categories',
+            key: 'id'
+        }
+    },
+    key: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        validate: {
+            is: {
+                args: /^[a-z0-9_]+$/,
+                msg: 'Category key may only contain lowercase letters, digits and underscores'
+            }
+        }
+    },
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        validate: {
+            len: {
+                args: [1, 100],
+                msg: 'Category name must be between 1 and 100 characters'
+            }
+        }
+    },
+    translations: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {}
+    },
+    description: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    icon: {
+        type: DataTypes.STRING(50),
+        allowNull: true
+    },
+    color: {
+        type: DataTypes.STRING(7),
+        allowNull: true,
+        validate: {
+            is: {
+                args: /^#[0-9a-fA-F]{6}$/,
+                msg: 'Color must be a hex color like #4CAF50'
+            }
+        }
+    },
+    appliesTo: {
+        field: 'applies_to',
+        type: DataTypes.ENUM(...CATEGORY_APPLIES_TO),
+        defaultValue: 'both',
+        allowNull: false
+    },
+    position: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        allowNull: false
+    }
+}, {
+    tableName: 'categories',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+        { fields: ['user_id', 'key'] },
+        { fields: ['parent_id'] }
+    ]
+});
+
+// Instance methods
+Category.prototype.isSystem = function() {
+    return this.userId === null;
+};
+
+Category.prototype.getLocalizedName = function(language = 'en') {
+    return this.translations?.[language] || this.name;
+};
+
+// Class methods
+
+// System categories plus the user's own, in display order
+Category.findForUser = async function(userId) {
+    return await this.findAll({
+        where: {
+            [Op.or]: [{ userId: null }, { userId }]
+        },
+        order: [['position', 'ASC'], ['name', 'ASC']]
+    });
+};
+
+export default Category;
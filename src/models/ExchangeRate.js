@@ -0,0 +1,50 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/db.js';
+
+// Rates are stored against the euro, as published by the ECB
+export const RATE_BASE_CURRENCY = 'EUR';
+
+const ExchangeRate = sequelize.define('ExchangeRate', {
+    currency: {
+        type: DataTypes.STRING(3),
+        primaryKey: true,
+        allowNull: false,
+        validate: {
+            len: {
+                args: [3, 3],
+                msg: 'Currency must be a 3-letter ISO code'
+            }
+        }
+    },
+    rateDate: {
+        field: 'rate_date',
+        type: DataTypes.DATEONLY,
+        primaryKey: true,
+        allowNull: false
+    },
+    rate: {
+        type: DataTypes.DECIMAL(18, 8),
+        allowNull: false,
+        comment: 'Units of the currency per 1 EUR on the rate date',
+        validate: {
+            min: {
+                args: [0.00000001],
+                msg: 'Rate must be positive'
+            }
+        }
+    },
+    source: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: 'Where the rate was loaded from, e.g. the imported file name'
+    }
+}, {
+    tableName: 'exchange_rates',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+        { fields: ['rate_date'] }
+    ]
+});
+
+export default ExchangeRate;
@@ -0,0 +1,75 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/db.js';
+
+export const EXPENSE_REPORT_STATUSES = ['draft', 'submitted', 'reimbursed'];
+
+// Status changes allowed from each status (submitted reports can be reopened as drafts)
+export const EXPENSE_REPORT_TRANSITIONS = {
+    draft: ['submitted'],
+    submitted: ['draft', 'reimbursed'],
+    reimbursed: []
+};
+
+const ExpenseReport = sequelize.define('ExpenseReport', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+    },
+    userId: {
+        field: 'user_id',
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    title: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        validate: {
+            notEmpty: true
+        }
+    },
+    description: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    status: {
+        type: DataTypes.ENUM(...EXPENSE_REPORT_STATUSES),
+        defaultValue: 'draft',
+        allowNull: false,
+        comment: 'draft (receipts can be added and removed), submitted or reimbursed'
+    },
+    submittedAt: {
+        field: 'submitted_at',
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    reimbursedAt: {
+        field: 'reimbursed_at',
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'expense_reports',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+        { fields: ['user_id', 'status'] }
+    ]
+});
+
+// Instance methods
+
+ExpenseReport.prototype.isDraft = function() {
+    return this.status === 'draft';
+};
+
+ExpenseReport.prototype.canTransitionTo = function(status) {
+    return EXPENSE_REPORT_TRANSITIONS[this.status].includes(status);
+};
+
+export default ExpenseReport;
@@ -0,0 +1,99 @@
+import { DataTypes, Op } from 'sequelize';
+import sequelize from '../config/db.js';
+
+const IdempotencyKey = sequelize.define('IdempotencyKey', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+    },
+    userId: {
+        field: 'user_id',
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    key: {
+        type: DataTypes.STRING(255),
+        allowNull: false
+    },
+    requestHash: {
+        field: 'request_hash',
+        type: DataTypes.STRING(64),
+        allowNull: false
+    },
+    method: {
+        type: DataTypes.STRING(10),
+        allowNull: false
+    },
+    path: {
+        type: DataTypes.STRING(255),
+        allowNull: false
+    },
+    status: {
+        type: DataTypes.ENUM('processing', 'completed'),
+        defaultValue: 'processing',
+        allowNull: false
+    },
+    responseStatus: {
+        field: 'response_status',
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    responseBody: {
+        field: 'response_body',
+        type: DataTypes.JSONB,
+        allowNull: true
+    },
+    lockedAt: {
+        field: 'locked_at',
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+    },
+    expiresAt: {
+        field: 'expires_at',
+        type: DataTypes.DATE,
+        allowNull: false
+    }
+}, {
+    tableName: 'idempotency_keys',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+        { fields: ['user_id', 'key'], unique: true },
+        { fields: ['expires_at'] }
+    ]
+});
+
+// Instance methods
+IdempotencyKey.prototype.isExpired = function() {
+    return this.expiresAt < new Date();
+};
+
+IdempotencyKey.prototype.isLockStale = function(lockTimeoutMs) {
+    return this.status === 'processing' && this.lockedAt < new Date(Date.now() - lockTimeoutMs);
+};
+
+IdempotencyKey.prototype.complete = async function(responseStatus, responseBody) {
+    return await this.update({
+        status: 'completed',
+        responseStatus,
+        responseBody
+    });
+};
+
+// Remove keys past their replay window
+IdempotencyKey.purgeExpired = async function() {
+    return await this.destroy({
+        where: {
+            expiresAt: { [Op.lt]: new Date() }
+        }
+    });
+};
+
+export default IdempotencyKey;
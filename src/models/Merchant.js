@@ -0,0 +1,132 @@
+import { DataTypes, Op } from 'sequelize';
+import sequelize from '../config/db.js';
+import { normalizeMerchantName, findBestMerchantMatch } from '../utils/merchantNames.js';
+
+const Merchant = sequelize.define('Merchant', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+    },
+    userId: {
+        field: 'user_id',
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    name: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        validate: {
+            len: {
+                args: [1, 255],
+                msg: 'Merchant name must be between 1 and 255 characters'
+            }
+        }
+    },
+    normalizedName: {
+        field: 'normalized_name',
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        comment: 'Matching key derived from the name, e.g. "LIDL"'
+    },
+    aliases: {
+        type: DataTypes.ARRAY(DataTypes.STRING),
+        defaultValue: [],
+        allowNull: false,
+        comment: 'Merchant names as printed on receipts'
+    },
+    defaultCategory: {
+        field: 'default_category',
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        validate: {
+            is: {
+                args: /^[a-z0-9_]+$/,
+                msg: 'Default category must be a category key'
+            }
+        }
+    },
+    address: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    latitude: {
+        type: DataTypes.DECIMAL(9, 6),
+        allowNull: true,
+        validate: {
+            min: -90,
+            max: 90
+        }
+    },
+    longitude: {
+        type: DataTypes.DECIMAL(9, 6),
+        allowNull: true,
+        validate: {
+            min: -180,
+            max: 180
+        }
+    }
+}, {
+    tableName: 'merchants',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+        { fields: ['user_id', 'normalized_name'], unique: true }
+    ],
+    hooks: {
+        beforeValidate: (merchant) => {
+            if (merchant.name) {
+                merchant.name = merchant.name.trim().toUpperCase();
+                merchant.normalizedName = normalizeMerchantName(merchant.name);
+            }
+        }
+    }
+});
+
+// Class methods
+
+// The user's merchant a receipt merchant name belongs to, or null
+Merchant.findMatch = async function(userId, merchantName, { transaction } = {}) {
+    const key = normalizeMerchantName(merchantName);
+    if (!key) return null;
+
+    // Exact spellings and keys are found by the database, typos need the fuzzy match
+    const spelled = merchantName.trim().toUpperCase();
+    const exact = await this.findOne({ where: { userId, aliases: { [Op.contains]: [spelled] } }, transaction })
+        || await this.findOne({ where: { userId, normalizedName: key }, transaction });
+    if (exact) return exact;
+
+    const merchants = await this.findAll({ where: { userId }, transaction });
+    return findBestMerchantMatch(merchants, merchantName);
+};
+
+// Like findMatch, but creates the merchant when none matches. New spellings are
+// kept as aliases, so a merchant can later be split by the names it was seen as.
+Merchant.matchOrCreate = async function(userId, merchantName, { transaction } = {}) {
+    const key = normalizeMerchantName(merchantName);
+    if (!key) return null;
+
+    const spelled = merchantName.trim().toUpperCase();
+    let merchant = await this.findMatch(userId, merchantName, { transaction });
+
+    if (!merchant) {
+        [merchant] = await this.findOrCreate({
+            where: { userId, normalizedName: key },
+            defaults: { userId, name: key, aliases: [] },
+            transaction
+        });
+    }
+
+    if (spelled !== merchant.name && !merchant.aliases.includes(spelled)) {
+        await merchant.update({ aliases: [...merchant.aliases, spelled] }, { transaction });
+    }
+
+    return merchant;
+};
+
+export default Merchant;
@@ -1,5 +1,6 @@
 import { DataTypes } from 'sequelize';
 import sequelize from '../config/db.js';
+import { localTime, monthStart } from '../utils/dates.js';
 
 const NotificationPreference = sequelize.define('NotificationPreference', {
     id: {
@@ -111,11 +112,6 @@ const NotificationPreference = sequelize.define('NotificationPreference', {
         type: DataTypes.JSONB,
         allowNull: true
     },
-    timezone: {
-        type: DataTypes.STRING(50),
-        allowNull: false,
-        defaultValue: 'UTC'
-    },
     quietHoursEnabled: {
         field: 'quiet_hours_enabled',
         type: DataTypes.BOOLEAN,
@@ -221,15 +217,15 @@ NotificationPreference.prototype.isInAppEnabled = function() {
 };
 
 /**
- * Check if currently in quiet hours
+ * Check if currently in quiet hours, on the user's clock
+ * @param {Object} calendar - The user's timezone (see User.getCalendar)
  */
-NotificationPreference.prototype.isInQuietHours = function() {
+NotificationPreference.prototype.isInQuietHours = function(calendar = {}, now = new Date()) {
     if (!this.quietHoursEnabled || this.quietHoursStart === null || this.quietHoursEnd === null) {
         return false;
     }
 
-    const now = new Date();
-    const currentHour = now.getHours();
+    const currentHour = localTime(now, calendar.timezone).hour;
 
     if (this.quietHoursStart < this.quietHoursEnd) {
         // Normal range (e.g., 22:00 to 07:00 next day)
@@ -269,16 +265,16 @@ NotificationPreference.prototype.getEnabledChannels = function() {
 };
 
 /**
- * Should send digest today?
+ * Should send digest now? Checked on the user's clock: the digest day and hour are
+ * local, and monthly digests go out on the first day of the user's month.
+ * @param {Object} calendar - The user's timezone and monthStartDay
  */
-NotificationPreference.prototype.shouldSendDigestToday = function() {
+NotificationPreference.prototype.shouldSendDigestToday = function(calendar = {}, now = new Date()) {
     if (this.digestFrequency === 'none') {
         return false;
     }
 
-    const now = new Date();
-    const currentDay = now.getDay(); // 0 = Sunday, 6 = Saturday
-    const currentHour = now.getHours();
+    const { day, hour: currentHour, weekday: currentDay } = localTime(now, calendar.timezone);
 
     if (this.digestFrequency === 'daily') {
         return currentHour === this.digestHour;
@@ -289,8 +285,7 @@ NotificationPreference.prototype.shouldSendDigestToday = function() {
     }
 
     if (this.digestFrequency === 'monthly') {
-        const currentDate = now.getDate();
-        return currentDate === 1 && currentHour === this.digestHour; // First day of month
+        return day === monthStart(day, calendar.monthStartDay) && currentHour === this.digestHour;
     }
 
     return false;
@@ -344,7 +339,6 @@ NotificationPreference.getOrCreate = async function(userId) {
             digestDay: 0, // Sunday
             digestHour: 18, // 6 PM
             channels: { push: true, email: false, inApp: true },
-            timezone: 'UTC',
             quietHoursEnabled: false
         }
     });
@@ -365,26 +359,13 @@ NotificationPreference.findUsersWithPushEnabled = async function() {
 };
 
 /**
- * Get users for digest sending
+ * Get users whose digest is due this hour, in their own timezone (see shouldSendDigestToday)
  */
-NotificationPreference.findUsersForDigest = async function(frequency, day = null) {
-    const now = new Date();
-    const currentHour = now.getHours();
-
+NotificationPreference.findUsersForDigest = async function(frequency, now = new Date()) {
     const where = {
-        digestFrequency: frequency,
-        digestHour: currentHour
+        digestFrequency: frequency
     };
 
-    if (frequency === 'weekly' && day !== null) {
-        where.digestDay = day;
-    }
-
-    if (frequency === 'monthly') {
-        const currentDate = now.getDate();
-        if (currentDate !== 1) return []; // Only send on first day of month
-    }
-
     // Check if weekly or monthly digest is enabled
     if (frequency === 'weekly') {
         where.weeklyDigest = true;
@@ -392,10 +373,12 @@ NotificationPreference.findUsersForDigest = async function(frequency, day = null
         where.monthlyDigest = true;
     }
 
-    return await this.findAll({
+    const preferences = await this.findAll({
         where,
         include: [{ model: sequelize.models.User, as: 'user' }]
     });
+
+    return preferences.filter(pref => pref.user && pref.shouldSendDigestToday(pref.user, now));
 };
 
 /**
@@ -447,7 +430,7 @@ NotificationPreference.findUsersForNotification = async function(notificationTyp
     });
 
     // Filter out users currently in quiet hours
-    return preferences.filter(pref => !pref.isInQuietHours());
+    return preferences.filter(pref => !pref.isInQuietHours(pref.user || {}));
 };
 
 export default NotificationPreference;
@@ -0,0 +1,130 @@
+import { DataTypes } from 'sequelize';
+import crypto from 'crypto';
+import sequelize from '../config/db.js';
+
+export const ACCESS_TOKEN_PREFIX = 'tlp_';
+
+export const ACCESS_TOKEN_SCOPES = [
+    'receipts:read',
+    'receipts:write',
+    'budgets:read',
+    'budgets:write',
+    'analytics:read'
+];
+
+const PersonalAccessToken = sequelize.define('PersonalAccessToken', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+    },
+    userId: {
+        field: 'user_id',
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+    },
+    tokenHash: {
+        field: 'token_hash',
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true
+    },
+    tokenPrefix: {
+        field: 'token_prefix',
+        type: DataTypes.STRING(16),
+        allowNull: false
+    },
+    scopes: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: []
+    },
+    expiresAt: {
+        field: 'expires_at',
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    lastUsedAt: {
+        field: 'last_used_at',
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    lastUsedIp: {
+        field: 'last_used_ip',
+        type: DataTypes.STRING(45),
+        allowNull: true
+    },
+    revokedAt: {
+        field: 'revoked_at',
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'personal_access_tokens',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+        { fields: ['user_id'] },
+        { fields: ['token_hash'], unique: true }
+    ]
+});
+
+// Instance methods
+PersonalAccessToken.prototype.isExpired = function() {
+    return Boolean(this.expiresAt) && this.expiresAt < new Date();
+};
+
+PersonalAccessToken.prototype.isValid = function() {
+    return !this.revokedAt && !this.isExpired();
+};
+
+PersonalAccessToken.prototype.hasScope = function(scope) {
+    return Array.isArray(this.scopes) && this.scopes.includes(scope);
+};
+
+PersonalAccessToken.prototype.revoke = async function() {
+    return await this.update({ revokedAt: new Date() });
+};
+
+// Avoid a write on every request: refresh usage at most once a minute unless the IP changes
+PersonalAccessToken.prototype.recordUsage = async function(ipAddress) {
+    const stale = !this.lastUsedAt || (Date.now() - this.lastUsedAt.getTime()) > 60 * 1000;
+    if (!stale && this.lastUsedIp === ipAddress) {
+        return this;
+    }
+
+    return await this.update({
+        lastUsedAt: new Date(),
+        lastUsedIp: ipAddress
+    });
+};
+
+PersonalAccessToken.prototype.toJSON = function() {
+    const values = Object.assign({}, this.get());
+    delete values.tokenHash;
+    return values;
+};
+
+// Class methods
+PersonalAccessToken.hashToken = function(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+PersonalAccessToken.isAccessToken = function(token) {
+    return typeof token === 'string' && token.startsWith(ACCESS_TOKEN_PREFIX);
+};
+
+PersonalAccessToken.findByToken = async function(token) {
+    return await this.findOne({ where: { tokenHash: this.hashToken(token) } });
+};
+
+export default PersonalAccessToken;
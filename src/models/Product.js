@@ -42,9 +42,9 @@ const Product = sequelize.define('Product', {
         type: DataTypes.STRING,
         allowNull: true,
         validate: {
-            isIn: {
-                args: [['food', 'beverages', 'cleaning', 'personal_care', 'pharmacy', 'transport', 'fuel', 'others']],
-                msg: 'Category must be one of: food, beverages, cleaning, personal_care, pharmacy, transport, fuel, others'
+            is: {
+                args: /^[a-z0-9_]+$/,
+                msg: 'Category must be a category key'
             }
         }
     },
@@ -236,6 +236,39 @@ Product.prototype.updatePriceStats = async function(newPrice) {
     return await this.update(updates);
 };
 
+// Rebuild price statistics from the receipt items still on record, for when
+// item prices are corrected after the fact (updatePriceStats only accumulates).
+// Returned items (negative prices) are not prices paid and are left out.
+Product.prototype.recalculatePriceStats = async function(options = {}) {
+    const [stats] = await sequelize.query(`
+        SELECT
+            COUNT(*)::int AS purchase_count,
+            MIN(ri.unit_price) AS lowest_price,
+            MAX(ri.unit_price) AS highest_price,
+            AVG(ri.unit_price) AS average_price,
+            (ARRAY_AGG(ri.unit_price ORDER BY ri.created_at DESC))[1] AS last_seen_price,
+            MAX(ri.created_at) AS last_seen_at
+        FROM receipt_items ri
+        JOIN receipts r ON ri.receipt_id = r.id
+        WHERE ri.product_id = :productId
+        AND ri.unit_price > 0
+        AND r.deleted_at IS NULL
+    `, {
+        replacements: { productId: this.id },
+        type: sequelize.QueryTypes.SELECT,
+        transaction: options.transaction
+    });
+
+    return await this.update({
+        purchaseCount: stats.purchase_count,
+        lowestPrice: stats.lowest_price,
+        highestPrice: stats.highest_price,
+        averagePrice: stats.average_price,
+        lastSeenPrice: stats.last_seen_price,
+        lastSeenAt: stats.last_seen_at
+    }, { transaction: options.transaction });
+};
+
 // Class methods
 Product.findOrCreateByName = async function(userId, name, additionalData = {}) {
     const normalizedName = normalizeProductName(name);
@@ -1,6 +1,44 @@
 import { DataTypes } from 'sequelize';
 import sequelize from '../config/db.js';
 import crypto from 'crypto';
+import Merchant from './Merchant.js';
+import ExpenseReport from './ExpenseReport.js';
+import { ConflictError } from '../utils/errors.js';
+
+// Days a deleted receipt stays in the trash before it is purged
+export const TRASH_RETENTION_DAYS = parseInt(process.env.RECEIPT_TRASH_RETENTION_DAYS) || 30;
+
+// A refund or credit note gives money back: its amount is negative, so sums net it out
+export const RECEIPT_TYPES = ['purchase', 'refund', 'credit_note'];
+
+// Pages (images) of one receipt, the first one (imageUrl) included
+export const MAX_RECEIPT_PAGES = parseInt(process.env.MAX_RECEIPT_PAGES) || 10;
+
+// Receipt fields a submitted report claims, compared by value
+const CLAIMED_RECEIPT_FIELDS = {
+    amount: value => (value === null || value === undefined ? null : parseFloat(value)),
+    currency: value => value || null,
+    purchaseDate: value => (value ? new Date(value).getTime() : null)
+};
+
+/**
+ * Claimed fields (amount, currency, purchase date) that updates would change on a receipt
+ */
+export function changedClaimedFields(receipt, updates) {
+    return Object.entries(CLAIMED_RECEIPT_FIELDS)
+        .filter(([field, value]) => updates[field] !== undefined && value(updates[field]) !== value(receipt[field]))
+        .map(([field]) => field);
+}
+
+/**
+ * A change to the claimed fields of a receipt in a submitted or reimbursed expense report
+ */
+export class ReceiptInReportError extends ConflictError {
+    constructor() {
+        super('The receipt is claimed in a submitted expense report; its amount, currency and date cannot change');
+        this.name = 'ReceiptInReportError';
+    }
+}
 
 const Receipt = sequelize.define('Receipt', {
     id: {
@@ -34,6 +72,32 @@ const Receipt = sequelize.define('Receipt', {
         type: DataTypes.TEXT,
         allowNull: true
     },
+    pageImageUrls: {
+        field: 'page_image_urls',
+        type: DataTypes.ARRAY(DataTypes.TEXT),
+        defaultValue: [],
+        allowNull: false,
+        validate: {
+            maxPages(value) {
+                if (Array.isArray(value) && value.length >= MAX_RECEIPT_PAGES) {
+                    throw new Error(`A receipt has at most ${MAX_RECEIPT_PAGES} pages`);
+                }
+            }
+        },
+        comment: 'Images of the pages after the first (imageUrl), in order'
+    },
+    documentUrl: {
+        field: 'document_url',
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Original PDF of an e-receipt; imageUrl and pageImageUrls are its page previews'
+    },
+    emailUrl: {
+        field: 'email_url',
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Original email (.eml) of a receipt received by email'
+    },
     rawText: {
         field: 'raw_text',
         type: DataTypes.TEXT,
@@ -48,9 +112,9 @@ const Receipt = sequelize.define('Receipt', {
         type: DataTypes.STRING,
         allowNull: true,
         validate: {
-            isIn: {
-                args: [['grocery', 'transport', 'food', 'fuel', 'others']],
-                msg: 'Category must be one of: grocery, transport, food, fuel, others'
+            is: {
+                args: /^[a-z0-9_]+$/,
+                msg: 'Category must be a category key'
             }
         }
     },
@@ -60,13 +124,32 @@ const Receipt = sequelize.define('Receipt', {
         validate: {
             isDecimal: {
                 msg: 'Amount must be a valid decimal number'
-            },
-            min: {
-                args: [0],
-                msg: 'Amount cannot be negative'
+            }
+        },
+        comment: 'Negative for refunds and credit notes'
+    },
+    receiptType: {
+        field: 'receipt_type',
+        type: DataTypes.STRING(20),
+        defaultValue: 'purchase',
+        allowNull: false,
+        validate: {
+            isIn: {
+                args: [RECEIPT_TYPES],
+                msg: `Receipt type must be one of: ${RECEIPT_TYPES.join(', ')}`
             }
         }
     },
+    originalReceiptId: {
+        field: 'original_receipt_id',
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'receipts',
+            key: 'id'
+        },
+        comment: 'Purchase a refund or credit note gives money back for'
+    },
     currency: {
         type: DataTypes.STRING(3),
         defaultValue: 'USD',
@@ -83,6 +166,16 @@ const Receipt = sequelize.define('Receipt', {
         type: DataTypes.STRING,
         allowNull: true
     },
+    merchantId: {
+        field: 'merchant_id',
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'merchants',
+            key: 'id'
+        },
+        comment: 'Merchant the merchant name was matched to'
+    },
     purchaseDate: {
         field: 'purchase_date',
         type: DataTypes.DATE,
@@ -143,6 +236,12 @@ const Receipt = sequelize.define('Receipt', {
         allowNull: true,
         comment: 'Discount details: {type: "member", code: "VIP10", amount: 2.50, reason: "Loyalty discount"}'
     },
+    fiscalQr: {
+        field: 'fiscal_qr',
+        type: DataTypes.JSONB,
+        allowNull: true,
+        comment: 'Decoded fiscal QR code (see fiscalQrService): {format, country, issuerTaxId, date, total, vatTotal, vat, documentId, raw}'
+    },
     country: {
         type: DataTypes.STRING(2),
         allowNull: true,
@@ -150,11 +249,58 @@ const Receipt = sequelize.define('Receipt', {
             len: [2, 2]
         },
         comment: 'ISO 3166-1 alpha-2 country code'
+    },
+    isBusiness: {
+        field: 'is_business',
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+        allowNull: false,
+        comment: 'Business expense (true) or personal (false)'
+    },
+    project: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'Project a business expense is booked on'
+    },
+    client: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'Client a business expense is made for'
+    },
+    costCenter: {
+        field: 'cost_center',
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Cost center a business expense is charged to'
+    },
+    expenseReportId: {
+        field: 'expense_report_id',
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'expense_reports',
+            key: 'id'
+        },
+        comment: 'Expense report the receipt is claimed in (at most one)'
+    },
+    syncVersion: {
+        field: 'sync_version',
+        type: DataTypes.BIGINT,
+        allowNull: true,
+        comment: 'Change sequence value set by database trigger on every write (delta sync cursor)'
+    },
+    syncTxid: {
+        field: 'sync_txid',
+        type: DataTypes.BIGINT,
+        allowNull: true,
+        comment: 'Transaction of the last write, set by database trigger (orders the delta sync cursor)'
     }
 }, {
     tableName: 'receipts',
     timestamps: true,
     underscored: true,
+    // Deleted receipts go to the trash (deleted_at) and are purged by the cleanup worker
+    paranoid: true,
     indexes: [
         { fields: ['user_id'] },
         { fields: ['category'] },
@@ -163,12 +309,40 @@ const Receipt = sequelize.define('Receipt', {
         { fields: ['processing_status'] },
         { fields: ['is_processed'] },
         { fields: ['content_hash'] },
-        { fields: ['user_id', 'content_hash'], unique: true }
+        { fields: ['user_id', 'content_hash'], unique: true },
+        { fields: ['user_id', 'deleted_at'] },
+        { fields: ['merchant_id'] },
+        { fields: ['expense_report_id'] },
+        { fields: ['original_receipt_id'] }
     ],
     hooks: {
-        beforeCreate: (receipt) => {
+        // The type and the sign of the amount are kept in step: a negative purchase is a refund
+        beforeValidate: (receipt) => {
+            const amount = receipt.amount === null || receipt.amount === undefined ? null : parseFloat(receipt.amount);
+            if (amount === null || isNaN(amount)) return;
+
+            if (receipt.receiptType === 'purchase' && amount < 0) {
+                if (receipt.isNewRecord || !receipt.changed('receiptType')) {
+                    receipt.receiptType = 'refund';
+                } else {
+                    receipt.amount = Math.abs(amount);
+                }
+            } else if (receipt.receiptType !== 'purchase' && amount > 0) {
+                receipt.amount = -amount;
+            }
+            if (receipt.receiptType === 'purchase') {
+                receipt.originalReceiptId = null;
+            }
+        },
+        beforeCreate: async (receipt, options) => {
             if (receipt.merchantName) {
                 receipt.merchantName = receipt.merchantName.trim().toUpperCase();
+                if (!receipt.merchantId) {
+                    const merchant = await Merchant.matchOrCreate(receipt.userId, receipt.merchantName, {
+                        transaction: options.transaction
+                    });
+                    receipt.merchantId = merchant?.id || null;
+                }
             }
             if (receipt.cardType) {
                 receipt.cardType = receipt.cardType.trim().toUpperCase();
@@ -177,10 +351,37 @@ const Receipt = sequelize.define('Receipt', {
                 receipt.country = receipt.country.trim().toUpperCase();
             }
         },
-        beforeUpdate: (receipt) => {
+        beforeUpdate: async (receipt, options) => {
+            // Whatever the update path (edit, sync, revert, added pages), a submitted or
+            // reimbursed report keeps the amount, currency and date it claims
+            const reportId = receipt.previous('expenseReportId');
+            if (reportId) {
+                const before = Object.fromEntries(
+                    Object.keys(CLAIMED_RECEIPT_FIELDS).map(field => [field, receipt.previous(field)])
+                );
+                if (changedClaimedFields(before, receipt.get()).length > 0) {
+                    const report = await ExpenseReport.findByPk(reportId, {
+                        attributes: ['id', 'status'],
+                        transaction: options.transaction
+                    });
+                    if (report && !report.isDraft()) {
+                        throw new ReceiptInReportError();
+                    }
+                }
+            }
+
             if (receipt.changed('merchantName') && receipt.merchantName) {
                 receipt.merchantName = receipt.merchantName.trim().toUpperCase();
             }
+            // A corrected merchant name is matched again, unless the merchant was set explicitly
+            if (receipt.changed('merchantName') && !receipt.changed('merchantId')) {
+                const merchant = receipt.merchantName
+                    ? await Merchant.matchOrCreate(receipt.userId, receipt.merchantName, {
+                        transaction: options.transaction
+                    })
+                    : null;
+                receipt.merchantId = merchant?.id || null;
+            }
             if (receipt.changed('cardType') && receipt.cardType) {
                 receipt.cardType = receipt.cardType.trim().toUpperCase();
             }
@@ -208,6 +409,11 @@ Receipt.prototype.markAsFailed = async function(error) {
     });
 };
 
+// Images of all pages in order, starting with imageUrl
+Receipt.prototype.getPageImageUrls = function() {
+    return [this.imageUrl, ...(this.pageImageUrls || [])].filter(Boolean);
+};
+
 // Class methods
 Receipt.findByUser = async function(userId, options = {}) {
     return await this.findAll({
@@ -216,6 +422,37 @@ Receipt.findByUser = async function(userId, options = {}) {
     });
 };
 
+// When a trashed receipt will be purged permanently
+Receipt.prototype.getPurgeDate = function() {
+    if (!this.deletedAt) return null;
+    return new Date(new Date(this.deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// Get user's trashed receipts, most recently deleted first
+Receipt.findTrashed = async function(userId, options = {}) {
+    return await this.findAndCountAll({
+        where: {
+            userId,
+            deletedAt: { [sequelize.Sequelize.Op.ne]: null }
+        },
+        paranoid: false,
+        order: [['deletedAt', 'DESC']],
+        limit: options.limit || 50,
+        offset: options.offset || 0
+    });
+};
+
+Receipt.findTrashedById = async function(id, userId) {
+    return await this.findOne({
+        where: {
+            id,
+            userId,
+            deletedAt: { [sequelize.Sequelize.Op.ne]: null }
+        },
+        paranoid: false
+    });
+};
+
 Receipt.getStatsByUser = async function(userId) {
     return await this.findAll({
         where: { userId },
@@ -269,12 +506,13 @@ Receipt.generateContentHash = function(receiptData) {
 Receipt.findDuplicate = async function(userId, receiptData) {
     const contentHash = this.generateContentHash(receiptData);
 
-    // First check by exact content hash
+    // First check by exact content hash (including the trash, the hash is unique per user)
     const exactDuplicate = await this.findOne({
         where: {
             user_id: userId,
             contentHash
-        }
+        },
+        paranoid: false
     });
 
     if (exactDuplicate) {
@@ -293,7 +531,7 @@ Receipt.findDuplicate = async function(userId, receiptData) {
 
     if (merchantName && purchaseDate && amount) {
         const amountFloat = parseFloat(amount);
-        const amountTolerance = Math.max(0.01, amountFloat * 0.02); // 2% tolerance or $0.01 minimum
+        const amountTolerance = Math.max(0.01, Math.abs(amountFloat) * 0.02); // 2% tolerance or $0.01 minimum
 
         const similarReceipt = await this.findOne({
             where: {
@@ -339,12 +577,13 @@ Receipt.fullTextSearch = async function(userId, query, options = {}) {
     } = options;
 
     // Build WHERE clause
-    const whereConditions = ['user_id = :userId'];
+    const whereConditions = ['user_id = :userId', 'deleted_at IS NULL'];
     const replacements = { userId, query };
 
+    // A single category key, or a parent category with its subcategories
     if (category) {
-        whereConditions.push('category = :category');
-        replacements.category = category;
+        whereConditions.push('category IN (:categories)');
+        replacements.categories = [].concat(category);
     }
 
     if (dateFrom) {
@@ -430,6 +669,7 @@ Receipt.getSearchSuggestions = async function(userId, partialQuery, limit = 10)
                 COUNT(*) as count
             FROM receipts
             WHERE user_id = :userId
+                AND deleted_at IS NULL
                 AND merchant_name ILIKE :query
             GROUP BY merchant_name
 
@@ -442,6 +682,7 @@ Receipt.getSearchSuggestions = async function(userId, partialQuery, limit = 10)
                 COUNT(*) as count
             FROM receipts
             WHERE user_id = :userId
+                AND deleted_at IS NULL
                 AND category ILIKE :query
             GROUP BY category
 
@@ -454,6 +695,7 @@ Receipt.getSearchSuggestions = async function(userId, partialQuery, limit = 10)
                 COUNT(*) as count
             FROM receipts
             WHERE user_id = :userId
+                AND deleted_at IS NULL
                 AND EXISTS (
                     SELECT 1 FROM UNNEST(tags) t WHERE t ILIKE :query
                 )
@@ -1,6 +1,10 @@
 import { DataTypes } from 'sequelize';
 import sequelize from '../config/db.js';
 
+// Lines of a receipt. Only products are linked to a Product (catalog and price history);
+// deposits (e.g. statiegeld) are paid and returned, discounts reduce a product line
+export const ITEM_TYPES = ['product', 'deposit', 'deposit_return', 'discount', 'fee', 'tip', 'tax'];
+
 const ReceiptItem = sequelize.define('ReceiptItem', {
     id: {
         type: DataTypes.UUID,
@@ -20,12 +24,45 @@ const ReceiptItem = sequelize.define('ReceiptItem', {
     productId: {
         field: 'product_id',
         type: DataTypes.UUID,
-        allowNull: false,
+        allowNull: true,
         references: {
             model: 'products',
             key: 'id'
+        },
+        comment: 'Null for lines that are not products'
+    },
+    itemType: {
+        field: 'item_type',
+        type: DataTypes.STRING(20),
+        defaultValue: 'product',
+        allowNull: false,
+        validate: {
+            isIn: {
+                args: [ITEM_TYPES],
+                msg: `Item type must be one of: ${ITEM_TYPES.join(', ')}`
+            }
         }
     },
+    discountedItemId: {
+        field: 'discounted_item_id',
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'receipt_items',
+            key: 'id'
+        },
+        comment: 'Product line a discount line reduces'
+    },
+    originalItemId: {
+        field: 'original_item_id',
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'receipt_items',
+            key: 'id'
+        },
+        comment: 'Purchased item that a returned item gives money back for'
+    },
     originalText: {
         field: 'original_text',
         type: DataTypes.TEXT,
@@ -52,12 +89,9 @@ const ReceiptItem = sequelize.define('ReceiptItem', {
         validate: {
             isDecimal: {
                 msg: 'Unit price must be a valid decimal number'
-            },
-            min: {
-                args: [0],
-                msg: 'Unit price cannot be negative'
             }
-        }
+        },
+        comment: 'Negative for a returned item'
     },
     totalPrice: {
         field: 'total_price',
@@ -66,12 +100,9 @@ const ReceiptItem = sequelize.define('ReceiptItem', {
         validate: {
             isDecimal: {
                 msg: 'Total price must be a valid decimal number'
-            },
-            min: {
-                args: [0],
-                msg: 'Total price cannot be negative'
             }
-        }
+        },
+        comment: 'Negative for a returned item'
     },
     currency: {
         type: DataTypes.STRING(3),
@@ -161,6 +192,18 @@ const ReceiptItem = sequelize.define('ReceiptItem', {
         field: 'raw_data',
         type: DataTypes.JSONB,
         allowNull: true
+    },
+    syncVersion: {
+        field: 'sync_version',
+        type: DataTypes.BIGINT,
+        allowNull: true,
+        comment: 'Change sequence value set by database trigger on every write (delta sync cursor)'
+    },
+    syncTxid: {
+        field: 'sync_txid',
+        type: DataTypes.BIGINT,
+        allowNull: true,
+        comment: 'Transaction of the last write, set by database trigger (orders the delta sync cursor)'
     }
 }, {
     tableName: 'receipt_items',
@@ -174,7 +217,10 @@ const ReceiptItem = sequelize.define('ReceiptItem', {
         { fields: ['created_at'] },
         { fields: ['is_verified'] },
         { fields: ['position'] },
-        { fields: ['receipt_id', 'position'], unique: true }
+        { fields: ['receipt_id', 'position'], unique: true },
+        { fields: ['original_item_id'] },
+        { fields: ['item_type'] },
+        { fields: ['discounted_item_id'] }
     ],
     hooks: {
         beforeCreate: (receiptItem) => {
@@ -250,6 +296,8 @@ ReceiptItem.getPriceStatsByProduct = async function(productId, days = 90) {
     const items = await this.findAll({
         where: {
             productId,
+            // Returned items are refunds, not prices paid
+            unitPrice: { [sequelize.Sequelize.Op.gt]: 0 },
             createdAt: {
                 [sequelize.Sequelize.Op.gte]: new Date(Date.now() - days * 24 * 60 * 60 * 1000)
             }
@@ -288,6 +336,7 @@ ReceiptItem.getPriceStatsByProduct = async function(productId, days = 90) {
 
 ReceiptItem.getTopProducts = async function(userId, limit = 20, days = 90) {
     return await this.findAll({
+        where: { itemType: 'product' },
         include: [{
             association: 'product',
             attributes: ['id', 'name', 'category', 'brand']
@@ -306,7 +355,7 @@ ReceiptItem.getTopProducts = async function(userId, limit = 20, days = 90) {
             [sequelize.fn('COUNT', sequelize.col('ReceiptItem.id')), 'purchaseCount'],
             [sequelize.fn('SUM', sequelize.col('quantity')), 'totalQuantity'],
             [sequelize.fn('SUM', sequelize.col('total_price')), 'totalSpent'],
-            [sequelize.fn('AVG', sequelize.col('unit_price')), 'averagePrice']
+            [sequelize.literal('AVG(CASE WHEN "ReceiptItem"."unit_price" > 0 THEN "ReceiptItem"."unit_price" END)'), 'averagePrice']
         ],
         group: ['ReceiptItem.product_id', 'product.id'],
         order: [[sequelize.literal('purchase_count'), 'DESC']],
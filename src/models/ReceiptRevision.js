@@ -0,0 +1,88 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/db.js';
+
+export const REVISION_ENTITY_TYPES = ['receipt', 'item'];
+export const REVISION_SOURCES = ['ai', 'user', 'sync', 'reprocess', 'rule'];
+export const REVISION_ACTIONS = ['create', 'update', 'revert'];
+
+// Revisions are append-only: rows are never updated once written
+const ReceiptRevision = sequelize.define('ReceiptRevision', {
+    id: {
+        type: DataTypes.BIGINT,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    receiptId: {
+        field: 'receipt_id',
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'receipts',
+            key: 'id'
+        }
+    },
+    userId: {
+        field: 'user_id',
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    entityType: {
+        field: 'entity_type',
+        type: DataTypes.ENUM(...REVISION_ENTITY_TYPES),
+        allowNull: false
+    },
+    entityId: {
+        field: 'entity_id',
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    actorId: {
+        field: 'actor_id',
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'NULL for automatic changes (AI extraction, reprocessing)'
+    },
+    source: {
+        type: DataTypes.ENUM(...REVISION_SOURCES),
+        allowNull: false
+    },
+    action: {
+        type: DataTypes.ENUM(...REVISION_ACTIONS),
+        allowNull: false
+    },
+    changes: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {}
+    },
+    revertedToId: {
+        field: 'reverted_to_id',
+        type: DataTypes.BIGINT,
+        allowNull: true
+    }
+}, {
+    tableName: 'receipt_revisions',
+    timestamps: true,
+    updatedAt: false,
+    underscored: true,
+    indexes: [
+        { fields: ['receipt_id', 'id'] },
+        { fields: ['entity_id', 'id'] }
+    ]
+});
+
+// History of a receipt and its items, newest first
+ReceiptRevision.findForReceipt = async function(receiptId, { limit = 50, offset = 0 } = {}) {
+    return await this.findAndCountAll({
+        where: { receiptId },
+        order: [['id', 'DESC']],
+        limit,
+        offset
+    });
+};
+
+export default ReceiptRevision;
@@ -0,0 +1,129 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/db.js';
+
+export const RULE_CONDITIONS = [
+    'merchant',        // text contained in the merchant name (case-insensitive)
+    'minAmount',
+    'maxAmount',
+    'paymentMethods',  // e.g. ['card', 'mobile']
+    'weekdays',        // day of the purchase, 0 = Sunday ... 6 = Saturday
+    'itemText',        // text contained in any item of the receipt
+    'countries'        // ISO country codes, e.g. ['NL']
+];
+
+export const RULE_ACTIONS = [
+    'category',        // category key
+    'addTags',
+    'notes',
+    'isBusiness'
+];
+
+const ReceiptRule = sequelize.define('ReceiptRule', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+    },
+    userId: {
+        field: 'user_id',
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        validate: {
+            len: {
+                args: [1, 100],
+                msg: 'Rule name must be between 1 and 100 characters'
+            }
+        }
+    },
+    isActive: {
+        field: 'is_active',
+        type: DataTypes.BOOLEAN,
+        defaultValue: true,
+        allowNull: false
+    },
+    priority: {
+        type: DataTypes.INTEGER,
+        defaultValue: 100,
+        allowNull: false
+    },
+    conditions: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+        validate: {
+            hasConditions(value) {
+                const keys = Object.keys(value || {});
+                if (keys.length === 0) {
+                    throw new Error('A rule needs at least one condition');
+                }
+                const invalid = keys.filter(key => !RULE_CONDITIONS.includes(key));
+                if (invalid.length > 0) {
+                    throw new Error(`Unknown rule conditions: ${invalid.join(', ')}`);
+                }
+            }
+        }
+    },
+    actions: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+        validate: {
+            hasActions(value) {
+                const keys = Object.keys(value || {});
+                if (keys.length === 0) {
+                    throw new Error('A rule needs at least one action');
+                }
+                const invalid = keys.filter(key => !RULE_ACTIONS.includes(key));
+                if (invalid.length > 0) {
+                    throw new Error(`Unknown rule actions: ${invalid.join(', ')}`);
+                }
+            }
+        }
+    },
+    stopProcessing: {
+        field: 'stop_processing',
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+        allowNull: false
+    },
+    matchCount: {
+        field: 'match_count',
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        allowNull: false
+    },
+    lastMatchedAt: {
+        field: 'last_matched_at',
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'receipt_rules',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+        { fields: ['user_id', 'is_active', 'priority'] }
+    ]
+});
+
+// Class methods
+
+// Active rules of a user in the order they run
+ReceiptRule.findActiveForUser = async function(userId, { transaction } = {}) {
+    return await this.findAll({
+        where: { userId, isActive: true },
+        order: [['priority', 'ASC'], ['createdAt', 'ASC']],
+        transaction
+    });
+};
+
+export default ReceiptRule;
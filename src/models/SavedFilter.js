@@ -59,6 +59,18 @@ const SavedFilter = sequelize.define('SavedFilter', {
         type: DataTypes.INTEGER,
         defaultValue: 0,
         allowNull: false
+    },
+    syncVersion: {
+        field: 'sync_version',
+        type: DataTypes.BIGINT,
+        allowNull: true,
+        comment: 'Change sequence value set by database trigger on every write (delta sync cursor)'
+    },
+    syncTxid: {
+        field: 'sync_txid',
+        type: DataTypes.BIGINT,
+        allowNull: true,
+        comment: 'Transaction of the last write, set by database trigger (orders the delta sync cursor)'
     }
 }, {
     tableName: 'saved_filters',
@@ -0,0 +1,76 @@
+import { DataTypes, Op } from 'sequelize';
+import sequelize from '../config/db.js';
+
+export const SYNC_ENTITY_TYPES = ['receipt', 'item', 'budget', 'savedFilter'];
+
+// Rows are written by the sync_tombstone_record() database trigger, never by the application
+const SyncTombstone = sequelize.define('SyncTombstone', {
+    id: {
+        type: DataTypes.BIGINT,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    userId: {
+        field: 'user_id',
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    entityType: {
+        field: 'entity_type',
+        type: DataTypes.ENUM(...SYNC_ENTITY_TYPES),
+        allowNull: false
+    },
+    entityId: {
+        field: 'entity_id',
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    parentId: {
+        field: 'parent_id',
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Receipt of a deleted item'
+    },
+    syncVersion: {
+        field: 'sync_version',
+        type: DataTypes.BIGINT,
+        allowNull: false
+    },
+    syncTxid: {
+        field: 'sync_txid',
+        type: DataTypes.BIGINT,
+        allowNull: false
+    }
+}, {
+    tableName: 'sync_tombstones',
+    timestamps: true,
+    updatedAt: false,
+    underscored: true,
+    indexes: [
+        { fields: ['user_id', 'sync_version'] },
+        { fields: ['created_at'] }
+    ]
+});
+
+// Find the tombstone of a deleted record, if any
+SyncTombstone.findForEntity = async function(userId, entityType, entityId) {
+    return await this.findOne({
+        where: { userId, entityType, entityId },
+        order: [['syncVersion', 'DESC']]
+    });
+};
+
+// Remove tombstones older than the retention window
+SyncTombstone.purgeOlderThan = async function(cutoffDate) {
+    return await this.destroy({
+        where: {
+            createdAt: { [Op.lt]: cutoffDate }
+        }
+    });
+};
+
+export default SyncTombstone;
@@ -2,6 +2,16 @@ import { DataTypes } from 'sequelize';
 import bcrypt from 'bcryptjs';
 import sequelize from '../config/db.js';
 import config from '../config/environment.js';
+import {
+    DEFAULT_TIMEZONE,
+    DEFAULT_MONTH_START_DAY,
+    MAX_MONTH_START_DAY,
+    isValidTimezone
+} from '../utils/dates.js';
+
+// Senders allowed to email receipts: an address (shop@example.com) or a whole domain (@example.com)
+export const INBOUND_EMAIL_SENDER = /^([^\s@]+)?@[^\s@]+\.[^\s@]+$/;
+export const MAX_INBOUND_EMAIL_SENDERS = 20;
 
 const User = sequelize.define('User', {
     id: {
@@ -127,6 +137,74 @@ const User = sequelize.define('User', {
                 msg: 'Language must be one of: en, es, nl'
             }
         }
+    },
+    baseCurrency: {
+        field: 'base_currency',
+        type: DataTypes.STRING(3),
+        allowNull: false,
+        defaultValue: 'USD',
+        comment: 'Currency that analytics, budgets and digests are converted to',
+        validate: {
+            len: {
+                args: [3, 3],
+                msg: 'Currency must be a 3-letter ISO code'
+            }
+        }
+    },
+    timezone: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        defaultValue: DEFAULT_TIMEZONE,
+        comment: 'IANA timezone that days, weeks and months are counted in',
+        validate: {
+            isTimezone(value) {
+                if (!isValidTimezone(value)) {
+                    throw new Error('Timezone must be an IANA name such as Europe/Amsterdam');
+                }
+            }
+        }
+    },
+    monthStartDay: {
+        field: 'month_start_day',
+        type: DataTypes.SMALLINT,
+        allowNull: false,
+        defaultValue: DEFAULT_MONTH_START_DAY,
+        comment: 'Day of the month a month starts on, e.g. payday',
+        validate: {
+            min: {
+                args: [1],
+                msg: `Month start day must be between 1 and ${MAX_MONTH_START_DAY}`
+            },
+            max: {
+                args: [MAX_MONTH_START_DAY],
+                msg: `Month start day must be between 1 and ${MAX_MONTH_START_DAY}`
+            }
+        }
+    },
+    inboundEmailToken: {
+        field: 'inbound_email_token',
+        type: DataTypes.STRING(32),
+        allowNull: true,
+        unique: true,
+        comment: 'Token of the private address that receipts are forwarded to'
+    },
+    inboundEmailSenders: {
+        field: 'inbound_email_senders',
+        type: DataTypes.ARRAY(DataTypes.TEXT),
+        allowNull: false,
+        defaultValue: [],
+        comment: 'Addresses (or @domains) besides the account email that may send receipts by email',
+        validate: {
+            isSenderList(value) {
+                if (value.length > MAX_INBOUND_EMAIL_SENDERS) {
+                    throw new Error(`At most ${MAX_INBOUND_EMAIL_SENDERS} senders can be allowed`);
+                }
+                const invalid = value.filter(sender => !INBOUND_EMAIL_SENDER.test(sender));
+                if (invalid.length > 0) {
+                    throw new Error(`Senders must be email addresses or @domains: ${invalid.join(', ')}`);
+                }
+            }
+        }
     }
 }, {
     tableName: 'users',
@@ -194,6 +272,7 @@ User.prototype.toJSON = function() {
     delete values.passwordResetExpires;
     delete values.loginAttempts;
     delete values.lockedUntil;
+    delete values.inboundEmailToken;
     return values;
 };
 
@@ -206,4 +285,16 @@ User.findByUsername = async function(username) {
     return await this.findOne({ where: { username } });
 };
 
-export default User;
\ No newline at end of file
+/**
+ * Timezone and month start day that a user's dates are counted in
+ * @returns {Promise<{timezone: string, monthStartDay: number}>}
+ */
+User.getCalendar = async function(userId) {
+    const user = await this.findByPk(userId, { attributes: ['id', 'timezone', 'monthStartDay'] });
+    return {
+        timezone: user?.timezone || DEFAULT_TIMEZONE,
+        monthStartDay: user?.monthStartDay || DEFAULT_MONTH_START_DAY
+    };
+};
+
+export default User;
@@ -0,0 +1,134 @@
+import { DataTypes, Op } from 'sequelize';
+import crypto from 'crypto';
+import sequelize from '../config/db.js';
+
+export const WEBHOOK_EVENTS = [
+    'receipt.created',
+    'receipt.updated',
+    'receipt.deleted',
+    'receipt.restored',
+    'receipt.failed',
+    'budget.alert'
+];
+
+const Webhook = sequelize.define('Webhook', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+    },
+    userId: {
+        field: 'user_id',
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    url: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        validate: {
+            isUrl: {
+                msg: 'Webhook URL must be a valid URL'
+            }
+        }
+    },
+    description: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    events: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+        validate: {
+            isValidEvents(value) {
+                if (!Array.isArray(value) || value.length === 0) {
+                    throw new Error('At least one event must be subscribed');
+                }
+                const invalid = value.filter(event => !WEBHOOK_EVENTS.includes(event));
+                if (invalid.length > 0) {
+                    throw new Error(`Unknown webhook events: ${invalid.join(', ')}`);
+                }
+            }
+        }
+    },
+    secret: {
+        type: DataTypes.STRING(128),
+        allowNull: false,
+        defaultValue: () => Webhook.generateSecret()
+    },
+    isActive: {
+        field: 'is_active',
+        type: DataTypes.BOOLEAN,
+        defaultValue: true,
+        allowNull: false
+    },
+    consecutiveFailures: {
+        field: 'consecutive_failures',
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        allowNull: false
+    },
+    lastDeliveryAt: {
+        field: 'last_delivery_at',
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    lastDeliveryStatus: {
+        field: 'last_delivery_status',
+        type: DataTypes.STRING(20),
+        allowNull: true
+    }
+}, {
+    tableName: 'webhooks',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+        { fields: ['user_id'] },
+        { fields: ['user_id', 'is_active'] }
+    ]
+});
+
+// Instance methods
+Webhook.prototype.rotateSecret = async function() {
+    return await this.update({ secret: Webhook.generateSecret() });
+};
+
+// Deactivates the subscription once disableAfter deliveries in a row have failed
+Webhook.prototype.recordDeliveryResult = async function(success, { disableAfter = Infinity } = {}) {
+    const consecutiveFailures = success ? 0 : this.consecutiveFailures + 1;
+    return await this.update({
+        lastDeliveryAt: new Date(),
+        lastDeliveryStatus: success ? 'success' : 'failed',
+        consecutiveFailures,
+        ...(consecutiveFailures >= disableAfter && { isActive: false })
+    });
+};
+
+// The secret is only returned when the webhook is created or rotated
+Webhook.prototype.toJSON = function() {
+    const values = Object.assign({}, this.get());
+    delete values.secret;
+    return values;
+};
+
+// Class methods
+Webhook.generateSecret = function() {
+    return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+};
+
+Webhook.findActiveForEvent = async function(userId, event) {
+    return await this.findAll({
+        where: {
+            userId,
+            isActive: true,
+            events: { [Op.contains]: [event] }
+        }
+    });
+};
+
+export default Webhook;
@@ -0,0 +1,101 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/db.js';
+
+const WebhookDelivery = sequelize.define('WebhookDelivery', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+    },
+    webhookId: {
+        field: 'webhook_id',
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'webhooks',
+            key: 'id'
+        }
+    },
+    userId: {
+        field: 'user_id',
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    event: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+    },
+    payload: {
+        type: DataTypes.JSONB,
+        allowNull: false
+    },
+    status: {
+        type: DataTypes.ENUM('pending', 'success', 'failed'),
+        defaultValue: 'pending',
+        allowNull: false
+    },
+    attempts: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        allowNull: false
+    },
+    responseStatus: {
+        field: 'response_status',
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    responseBody: {
+        field: 'response_body',
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    error: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    durationMs: {
+        field: 'duration_ms',
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    deliveredAt: {
+        field: 'delivered_at',
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    redeliveryOf: {
+        field: 'redelivery_of',
+        type: DataTypes.UUID,
+        allowNull: true
+    }
+}, {
+    tableName: 'webhook_deliveries',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+        { fields: ['webhook_id', 'created_at'] },
+        { fields: ['status'] }
+    ]
+});
+
+// Get a subscription's delivery log, newest first
+WebhookDelivery.findByWebhook = async function(webhookId, options = {}) {
+    const where = { webhookId };
+    if (options.status) {
+        where.status = options.status;
+    }
+
+    return await this.findAndCountAll({
+        where,
+        order: [['createdAt', 'DESC']],
+        limit: options.limit || 50,
+        offset: options.offset || 0
+    });
+};
+
+export default WebhookDelivery;
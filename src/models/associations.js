@@ -6,6 +6,15 @@ import ReceiptItem from './ReceiptItem.js';
 import Budget from './Budget.js';
 import BudgetAlert from './BudgetAlert.js';
 import NotificationPreference from './NotificationPreference.js';
+import AccountingPreference from './AccountingPreference.js';
+import Webhook from './Webhook.js';
+import WebhookDelivery from './WebhookDelivery.js';
+import PersonalAccessToken from './PersonalAccessToken.js';
+import Category from './Category.js';
+import ReceiptRule from './ReceiptRule.js';
+import Merchant from './Merchant.js';
+import BankTransaction from './BankTransaction.js';
+import ExpenseReport from './ExpenseReport.js';
 
 // Define associations
 const setupAssociations = () => {
@@ -134,6 +143,223 @@ const setupAssociations = () => {
         foreignKey: 'user_id',
         as: 'user'
     });
+
+    // User has one AccountingPreference
+    User.hasOne(AccountingPreference, {
+        foreignKey: 'user_id',
+        as: 'accountingPreference',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    // AccountingPreference belongs to User
+    AccountingPreference.belongsTo(User, {
+        foreignKey: 'user_id',
+        as: 'user'
+    });
+
+    // User has many PersonalAccessTokens
+    User.hasMany(PersonalAccessToken, {
+        foreignKey: 'user_id',
+        as: 'accessTokens',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    // PersonalAccessToken belongs to User
+    PersonalAccessToken.belongsTo(User, {
+        foreignKey: 'user_id',
+        as: 'user'
+    });
+
+    // User has many Webhooks
+    User.hasMany(Webhook, {
+        foreignKey: 'user_id',
+        as: 'webhooks',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    // Webhook belongs to User
+    Webhook.belongsTo(User, {
+        foreignKey: 'user_id',
+        as: 'user'
+    });
+
+    // Webhook has many WebhookDeliveries
+    Webhook.hasMany(WebhookDelivery, {
+        foreignKey: 'webhook_id',
+        as: 'deliveries',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    // WebhookDelivery belongs to Webhook
+    WebhookDelivery.belongsTo(Webhook, {
+        foreignKey: 'webhook_id',
+        as: 'webhook'
+    });
+
+    // User has many Categories (system categories have no user)
+    User.hasMany(Category, {
+        foreignKey: 'user_id',
+        as: 'categories',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    // Category has many subcategories
+    Category.hasMany(Category, {
+        foreignKey: 'parent_id',
+        as: 'subcategories',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    // Subcategory belongs to its parent Category
+    Category.belongsTo(Category, {
+        foreignKey: 'parent_id',
+        as: 'parent'
+    });
+
+    // User has many ReceiptRules
+    User.hasMany(ReceiptRule, {
+        foreignKey: 'user_id',
+        as: 'receiptRules',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    // ReceiptRule belongs to User
+    ReceiptRule.belongsTo(User, {
+        foreignKey: 'user_id',
+        as: 'user'
+    });
+
+    // User has many Merchants
+    User.hasMany(Merchant, {
+        foreignKey: 'user_id',
+        as: 'merchants',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    // Merchant belongs to User
+    Merchant.belongsTo(User, {
+        foreignKey: 'user_id',
+        as: 'user'
+    });
+
+    // Merchant has many Receipts
+    Merchant.hasMany(Receipt, {
+        foreignKey: 'merchant_id',
+        as: 'receipts',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+    });
+
+    // Receipt belongs to Merchant
+    Receipt.belongsTo(Merchant, {
+        foreignKey: 'merchant_id',
+        as: 'merchant'
+    });
+
+    // User has many BankTransactions
+    User.hasMany(BankTransaction, {
+        foreignKey: 'user_id',
+        as: 'bankTransactions',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    // BankTransaction belongs to User
+    BankTransaction.belongsTo(User, {
+        foreignKey: 'user_id',
+        as: 'user'
+    });
+
+    // Receipt has one BankTransaction (the payment it was reconciled with)
+    Receipt.hasOne(BankTransaction, {
+        foreignKey: 'receipt_id',
+        as: 'bankTransaction',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+    });
+
+    // BankTransaction belongs to Receipt
+    BankTransaction.belongsTo(Receipt, {
+        foreignKey: 'receipt_id',
+        as: 'receipt'
+    });
+    // User has many ExpenseReports
+    User.hasMany(ExpenseReport, {
+        foreignKey: 'user_id',
+        as: 'expenseReports',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+    });
+
+    // ExpenseReport belongs to User
+    ExpenseReport.belongsTo(User, {
+        foreignKey: 'user_id',
+        as: 'user'
+    });
+
+    // ExpenseReport has many Receipts (a receipt is claimed in at most one report)
+    ExpenseReport.hasMany(Receipt, {
+        foreignKey: 'expense_report_id',
+        as: 'receipts',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+    });
+
+    // Receipt belongs to ExpenseReport
+    Receipt.belongsTo(ExpenseReport, {
+        foreignKey: 'expense_report_id',
+        as: 'expenseReport'
+    });
+
+    // Receipt (a purchase) has many refunds and credit notes
+    Receipt.hasMany(Receipt, {
+        foreignKey: 'original_receipt_id',
+        as: 'refunds',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+    });
+
+    // Refund or credit note belongs to the purchase it gives money back for
+    Receipt.belongsTo(Receipt, {
+        foreignKey: 'original_receipt_id',
+        as: 'originalReceipt'
+    });
+
+    // ReceiptItem has many returns
+    ReceiptItem.hasMany(ReceiptItem, {
+        foreignKey: 'original_item_id',
+        as: 'returns',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+    });
+
+    // Returned item belongs to the purchased item
+    ReceiptItem.belongsTo(ReceiptItem, {
+        foreignKey: 'original_item_id',
+        as: 'originalItem'
+    });
+
+    // ReceiptItem (a product line) has many discount lines
+    ReceiptItem.hasMany(ReceiptItem, {
+        foreignKey: 'discounted_item_id',
+        as: 'discounts',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+    });
+
+    // Discount line belongs to the product line it reduces
+    ReceiptItem.belongsTo(ReceiptItem, {
+        foreignKey: 'discounted_item_id',
+        as: 'discountedItem'
+    });
 };
 
 export default setupAssociations;
\ No newline at end of file
@@ -1,5 +1,5 @@
 import express from 'express';
-import { authenticate } from '../middlewares/auth.js';
+import { authenticate, requireScope } from '../middlewares/auth.js';
 import { userApiLimiter } from '../middlewares/rateLimiter.js';
 import { languageDetectorAuth } from '../config/i18n.js';
 import * as analyticsController from '../controllers/analyticsController.js';
@@ -10,6 +10,7 @@ const router = express.Router();
 
 // Apply authentication, rate limiting and language detection to all analytics routes
 router.use(authenticate);
+router.use(requireScope('analytics:read'));
 router.use(userApiLimiter);  // User-specific rate limiting (more generous for authenticated users)
 router.use(languageDetectorAuth);
 
@@ -29,6 +30,9 @@ router.use(languageDetectorAuth);
  *           type: number
  *         totalSpent:
  *           type: number
+ *         unconvertedCount:
+ *           type: integer
+ *           description: Purchases without an exchange rate to the base currency, left out of the amounts
  *         avgPrice:
  *           type: number
  *         minPrice:
@@ -257,6 +261,37 @@ router.get('/monthly-totals', [
     validate
 ], analyticsController.getMonthlyTotals);
 
+/**
+ * @swagger
+ * /api/analytics/savings:
+ *   get:
+ *     summary: Get savings from discounts, deposits outstanding, fees, tips and taxes
+ *     description: |
+ *       Savings are the discount lines of receipts in the period, per month. Deposits count over all
+ *       receipts: outstanding is what was paid in deposits minus what was returned.
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: months
+ *         schema:
+ *           type: integer
+ *           default: 6
+ *           minimum: 1
+ *           maximum: 24
+ *     responses:
+ *       200:
+ *         description: Savings and deposits retrieved successfully
+ */
+router.get('/savings', [
+    query('months')
+        .optional()
+        .isInt({ min: 1, max: 24 })
+        .withMessage('Months must be between 1 and 24'),
+    validate
+], analyticsController.getSavingsAndDeposits);
+
 /**
  * @swagger
  * /api/analytics/smart-alerts:
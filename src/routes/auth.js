@@ -1,5 +1,5 @@
 import { Router } from 'express';
-import { body } from 'express-validator';
+import { body, param } from 'express-validator';
 import {
     register,
     login,
@@ -12,11 +12,18 @@ import {
     verifyEmail,
     getMe,
     updateLanguagePreference,
+    updateCurrencyPreference,
+    updateCalendarPreference,
     getUserBadges,
     updateProfilePhoto,
-    deleteProfilePhoto
+    deleteProfilePhoto,
+    getAccessTokens,
+    createAccessToken,
+    revokeAccessToken
 } from '../controllers/authController.js';
-import { authenticate } from '../middlewares/auth.js';
+import { authenticate, rejectAccessTokens } from '../middlewares/auth.js';
+import { ACCESS_TOKEN_SCOPES } from '../models/PersonalAccessToken.js';
+import { MAX_MONTH_START_DAY, isValidTimezone } from '../utils/dates.js';
 import { languageDetectorAuth } from '../config/i18n.js';
 import { validate, sanitizeInput } from '../middlewares/validation.js';
 
@@ -253,7 +260,7 @@ router.post('/logout', [
  *       200:
  *         description: Logged out from all devices successfully
  */
-router.post('/logout-all', authenticate, logoutAllDevices);
+router.post('/logout-all', authenticate, rejectAccessTokens, logoutAllDevices);
 
 /**
  * @swagger
@@ -282,7 +289,7 @@ router.post('/logout-all', authenticate, logoutAllDevices);
  *       200:
  *         description: Password changed successfully
  */
-router.post('/change-password', authenticate, [
+router.post('/change-password', authenticate, rejectAccessTokens, [
     body('currentPassword')
         .notEmpty()
         .withMessage('Current password is required'),
@@ -446,6 +453,7 @@ router.get('/me', authenticate, languageDetectorAuth, getMe);
  */
 router.put('/language', [
     authenticate,
+    rejectAccessTokens,
     languageDetectorAuth,
     body('language')
         .isIn(['en', 'es', 'nl'])
@@ -453,6 +461,101 @@ router.put('/language', [
     validate
 ], updateLanguagePreference);
 
+/**
+ * @swagger
+ * /api/auth/currency:
+ *   put:
+ *     summary: Update user base currency
+ *     description: |
+ *       Analytics, receipt statistics and the monthly digest convert amounts to this
+ *       currency at the exchange rate of each purchase date. The currency needs
+ *       stored exchange rates (EUR always works).
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currency
+ *             properties:
+ *               currency:
+ *                 type: string
+ *                 example: EUR
+ *                 description: 3-letter ISO code
+ *     responses:
+ *       200:
+ *         description: Base currency updated successfully
+ *       400:
+ *         description: No exchange rates for the currency
+ */
+router.put('/currency', [
+    authenticate,
+    rejectAccessTokens,
+    languageDetectorAuth,
+    body('currency')
+        .isString()
+        .matches(/^[A-Za-z]{3}$/)
+        .withMessage('Currency must be a 3-letter ISO code'),
+    validate
+], updateCurrencyPreference);
+
+/**
+ * @swagger
+ * /api/auth/calendar:
+ *   put:
+ *     summary: Update user timezone and month start day
+ *     description: |
+ *       Days are counted in the timezone, so late-evening receipts land on the right
+ *       day. Months start on the month start day (for example payday) in budget
+ *       periods, monthly totals and the monthly digest; streaks and digest hours
+ *       follow the timezone.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               timezone:
+ *                 type: string
+ *                 example: Europe/Amsterdam
+ *                 description: IANA timezone name
+ *               monthStartDay:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 28
+ *                 example: 25
+ *     responses:
+ *       200:
+ *         description: Calendar settings updated successfully
+ *       400:
+ *         description: Unknown timezone or month start day out of range
+ */
+router.put('/calendar', [
+    authenticate,
+    rejectAccessTokens,
+    languageDetectorAuth,
+    body('timezone')
+        .optional()
+        .custom(isValidTimezone)
+        .withMessage('Timezone must be an IANA name such as Europe/Amsterdam'),
+    body('monthStartDay')
+        .optional()
+        .isInt({ min: 1, max: MAX_MONTH_START_DAY })
+        .withMessage(`Month start day must be between 1 and ${MAX_MONTH_START_DAY}`),
+    body()
+        .custom(value => value?.timezone !== undefined || value?.monthStartDay !== undefined)
+        .withMessage('Provide a timezone or a month start day'),
+    validate
+], updateCalendarPreference);
+
 /**
  * @swagger
  * /api/auth/badges:
@@ -548,6 +651,7 @@ router.get('/badges', authenticate, languageDetectorAuth, getUserBadges);
  */
 router.put('/profile/photo', [
     authenticate,
+    rejectAccessTokens,
     languageDetectorAuth,
     body('imageUrl')
         .notEmpty()
@@ -568,6 +672,109 @@ router.put('/profile/photo', [
  *       200:
  *         description: Profile photo deleted successfully
  */
-router.delete('/profile/photo', authenticate, languageDetectorAuth, deleteProfilePhoto);
+router.delete('/profile/photo', authenticate, rejectAccessTokens, languageDetectorAuth, deleteProfilePhoto);
+
+/**
+ * @swagger
+ * /api/auth/tokens:
+ *   get:
+ *     summary: List personal access tokens
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Personal access tokens (without the token values)
+ */
+router.get('/tokens', authenticate, rejectAccessTokens, languageDetectorAuth, getAccessTokens);
+
+/**
+ * @swagger
+ * /api/auth/tokens:
+ *   post:
+ *     summary: Create a personal access token
+ *     description: |
+ *       The token is returned only once. Send it as "Authorization: Bearer <token>";
+ *       it grants access to the endpoints covered by its scopes.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [receipts:read, receipts:write, budgets:read, budgets:write, analytics:read]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Optional expiration, never expires when omitted
+ *     responses:
+ *       201:
+ *         description: Token created
+ */
+router.post('/tokens', [
+    authenticate,
+    rejectAccessTokens,
+    languageDetectorAuth,
+    body('name')
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Name must be between 1 and 100 characters'),
+    body('scopes')
+        .isArray({ min: 1 })
+        .withMessage('At least one scope is required')
+        .custom((value) => {
+            const invalid = value.filter(scope => !ACCESS_TOKEN_SCOPES.includes(scope));
+            if (invalid.length > 0) {
+                throw new Error(`Unknown scopes: ${invalid.join(', ')}`);
+            }
+            return true;
+        }),
+    body('expiresAt')
+        .optional({ values: 'null' })
+        .isISO8601()
+        .withMessage('Expiration must be a valid ISO 8601 date'),
+    validate
+], createAccessToken);
+
+/**
+ * @swagger
+ * /api/auth/tokens/{id}:
+ *   delete:
+ *     summary: Revoke a personal access token
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Token revoked
+ */
+router.delete('/tokens/:id', [
+    authenticate,
+    rejectAccessTokens,
+    languageDetectorAuth,
+    param('id').isUUID().withMessage('Invalid token ID'),
+    validate
+], revokeAccessToken);
 
 export default router;
\ No newline at end of file
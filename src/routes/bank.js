@@ -0,0 +1,317 @@
+import { Router } from 'express';
+import { body, param, query } from 'express-validator';
+import {
+    uploadStatementFile,
+    importStatement,
+    deleteStatement,
+    getTransactions,
+    updateTransaction,
+    linkTransaction,
+    unlinkTransaction,
+    reconcile,
+    getReconciliation
+} from '../controllers/bankController.js';
+import { STATEMENT_FORMATS } from '../models/BankTransaction.js';
+import { CSV_DATE_FORMATS } from '../services/bankStatementParser.js';
+import { authenticate, requireScopeByMethod } from '../middlewares/auth.js';
+import { userApiLimiter } from '../middlewares/rateLimiter.js';
+import { validate, sanitizeInput } from '../middlewares/validation.js';
+
+const router = Router();
+
+// Apply authentication, rate limiting and sanitization to all routes
+router.use(authenticate);
+router.use(requireScopeByMethod('receipts:read', 'receipts:write'));
+router.use(userApiLimiter);
+router.use(sanitizeInput);
+
+// Validation schemas
+const importValidation = [
+    body('format')
+        .optional()
+        .isIn(STATEMENT_FORMATS)
+        .withMessage(`Format must be one of: ${STATEMENT_FORMATS.join(', ')}`),
+    body('delimiter').optional().isIn([',', ';', '\t', '|']),
+    body('dateFormat')
+        .optional()
+        .isIn(CSV_DATE_FORMATS)
+        .withMessage(`dateFormat must be one of: ${CSV_DATE_FORMATS.join(', ')}`),
+    body('decimalSeparator').optional().isIn([',', '.']),
+    body('currency').optional().isLength({ min: 3, max: 3 }).toUpperCase(),
+    body('columns').optional().isObject()
+];
+
+const periodValidation = [
+    query('from').optional().isISO8601().withMessage('from must be a date (YYYY-MM-DD)'),
+    query('to').optional().isISO8601().withMessage('to must be a date (YYYY-MM-DD)')
+];
+
+const transactionsValidation = [
+    ...periodValidation,
+    query('status').optional().isIn(['matched', 'unmatched', 'ignored']),
+    query('limit').optional().isInt({ min: 1, max: 200 }),
+    query('offset').optional().isInt({ min: 0 })
+];
+
+const uuidValidation = [
+    param('id')
+        .isUUID()
+        .withMessage('Invalid transaction ID')
+];
+
+// Routes
+
+/**
+ * @swagger
+ * /api/bank/statements:
+ *   post:
+ *     summary: Import a bank statement
+ *     description: |
+ *       Imports the transactions of a CAMT.053 (XML), OFX/QFX or CSV statement and
+ *       links debit transactions to receipts with the same amount, a purchase date
+ *       up to 5 days before booking, and a similar merchant. Transactions already
+ *       imported from an overlapping statement are skipped. CSV columns are
+ *       recognized by their header (English, Dutch or Spanish) unless mapped with
+ *       columns[date], columns[amount], columns[description] and so on.
+ *     tags: [Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               format:
+ *                 type: string
+ *                 enum: [camt053, ofx, csv]
+ *                 description: Detected from the file when omitted
+ *               delimiter:
+ *                 type: string
+ *               dateFormat:
+ *                 type: string
+ *                 enum: [YYYY-MM-DD, DD-MM-YYYY, MM/DD/YYYY, YYYYMMDD]
+ *               decimalSeparator:
+ *                 type: string
+ *                 enum: [",", "."]
+ *               currency:
+ *                 type: string
+ *                 description: Currency of CSV statements without a currency column
+ *     responses:
+ *       201:
+ *         description: Statement imported, with the number of new and matched transactions
+ *       400:
+ *         description: Unreadable statement
+ */
+router.post('/statements', uploadStatementFile, importValidation, validate, importStatement);
+
+/**
+ * @swagger
+ * /api/bank/statements/{importId}:
+ *   delete:
+ *     summary: Delete an imported statement
+ *     tags: [Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: importId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Transactions of the import deleted
+ *       404:
+ *         description: Import not found
+ */
+router.delete('/statements/:importId', [
+    param('importId').isUUID().withMessage('Invalid import ID'),
+    validate
+], deleteStatement);
+
+/**
+ * @swagger
+ * /api/bank/transactions:
+ *   get:
+ *     summary: List bank transactions
+ *     tags: [Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [matched, unmatched, ignored]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Transactions with their linked receipts
+ */
+router.get('/transactions', transactionsValidation, validate, getTransactions);
+
+/**
+ * @swagger
+ * /api/bank/transactions/{id}:
+ *   patch:
+ *     summary: Ignore a transaction
+ *     description: Ignored transactions (rent, transfers) are not listed as missing a receipt.
+ *     tags: [Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ignored
+ *             properties:
+ *               ignored:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Transaction updated
+ */
+router.patch('/transactions/:id', uuidValidation, [
+    body('ignored').isBoolean().withMessage('ignored must be a boolean').toBoolean()
+], validate, updateTransaction);
+
+/**
+ * @swagger
+ * /api/bank/transactions/{id}/link:
+ *   post:
+ *     summary: Link a transaction to a receipt
+ *     tags: [Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - receiptId
+ *             properties:
+ *               receiptId:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       200:
+ *         description: Transaction linked
+ *       409:
+ *         description: The receipt is linked to another transaction
+ */
+router.post('/transactions/:id/link', uuidValidation, [
+    body('receiptId').isUUID().withMessage('Invalid receipt ID')
+], validate, linkTransaction);
+
+/**
+ * @swagger
+ * /api/bank/transactions/{id}/link:
+ *   delete:
+ *     summary: Unlink a transaction from its receipt
+ *     tags: [Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Transaction unlinked
+ */
+router.delete('/transactions/:id/link', uuidValidation, validate, unlinkTransaction);
+
+/**
+ * @swagger
+ * /api/bank/reconcile:
+ *   post:
+ *     summary: Match unmatched transactions again
+ *     description: Useful after scanning receipts that were missing when the statement was imported.
+ *     tags: [Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of new matches
+ */
+router.post('/reconcile', reconcile);
+
+/**
+ * @swagger
+ * /api/bank/reconciliation:
+ *   get:
+ *     summary: Reconciliation view
+ *     description: |
+ *       Transactions linked to receipts, debit transactions without a receipt, and
+ *       receipts (other than cash or voucher payments) that never showed up on a
+ *       statement. Defaults to the period covered by the imported statements.
+ *     tags: [Bank]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Matched, unmatched-transaction and unmatched-receipt groups
+ */
+router.get('/reconciliation', periodValidation, validate, getReconciliation);
+
+export default router;
@@ -17,16 +17,19 @@ import {
     markAllAlertsAsRead,
     getAlertStats
 } from '../controllers/budgetController.js';
-import { authenticate } from '../middlewares/auth.js';
+import { authenticate, requireScopeByMethod } from '../middlewares/auth.js';
 import { userApiLimiter } from '../middlewares/rateLimiter.js';
 import { validate, sanitizeInput } from '../middlewares/validation.js';
+import { resolveCategoryParams, isKnownCategory } from '../middlewares/categories.js';
 
 const router = Router();
 
 // Apply authentication, rate limiting and sanitization to all routes
 router.use(authenticate);
+router.use(requireScopeByMethod('budgets:read', 'budgets:write'));
 router.use(userApiLimiter);  // User-specific rate limiting
 router.use(sanitizeInput);
+router.use(resolveCategoryParams);  // Category names to keys
 
 // Validation schemas
 const budgetValidation = [
@@ -35,8 +38,8 @@ const budgetValidation = [
         .isLength({ min: 1, max: 255 })
         .withMessage('Name must be between 1 and 255 characters'),
     body('category')
-        .optional()
-        .isIn(['grocery', 'transport', 'food', 'fuel', 'others', null])
+        .optional({ nullable: true })
+        .custom(isKnownCategory)
         .withMessage('Invalid category'),
     body('amount')
         .isFloat({ min: 0.01 })
@@ -44,10 +47,13 @@ const budgetValidation = [
     body('period')
         .isIn(['weekly', 'monthly', 'yearly', 'custom'])
         .withMessage('Period must be weekly, monthly, yearly, or custom'),
+    // Weekly, monthly and yearly budgets default to the current period
     body('startDate')
+        .if((value, { req }) => value !== undefined || req.body.period === 'custom')
         .isISO8601()
         .withMessage('Start date must be a valid ISO 8601 date'),
     body('endDate')
+        .if((value, { req }) => value !== undefined || req.body.period === 'custom')
         .isISO8601()
         .withMessage('End date must be a valid ISO 8601 date')
         .custom((value, { req }) => {
@@ -91,8 +97,8 @@ const updateBudgetValidation = [
         .isLength({ min: 1, max: 255 })
         .withMessage('Name must be between 1 and 255 characters'),
     body('category')
-        .optional()
-        .isIn(['grocery', 'transport', 'food', 'fuel', 'others', null])
+        .optional({ nullable: true })
+        .custom(isKnownCategory)
         .withMessage('Invalid category'),
     body('amount')
         .optional()
@@ -285,8 +291,6 @@ router.get('/:id', uuidValidation, validate, getBudget);
  *               - name
  *               - amount
  *               - period
- *               - startDate
- *               - endDate
  *             properties:
  *               name:
  *                 type: string
@@ -306,10 +310,12 @@ router.get('/:id', uuidValidation, validate, getBudget);
  *                 type: string
  *                 format: date
  *                 example: "2025-10-01"
+ *                 description: Required for custom periods. Defaults to the start of the current week, month or year, counted in the user's timezone and month start day
  *               endDate:
  *                 type: string
  *                 format: date
  *                 example: "2025-10-31"
+ *                 description: Required for custom periods. Defaults to the end of the period that begins on startDate
  *               currency:
  *                 type: string
  *                 example: "USD"
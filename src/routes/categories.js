@@ -0,0 +1,238 @@
+import { Router } from 'express';
+import { body, param, query } from 'express-validator';
+import {
+    getCategories,
+    createCategory,
+    updateCategory,
+    deleteCategory
+} from '../controllers/categoryController.js';
+import { CATEGORY_APPLIES_TO } from '../models/Category.js';
+import { authenticate, requireScopeByMethod } from '../middlewares/auth.js';
+import { userApiLimiter } from '../middlewares/rateLimiter.js';
+import { validate, sanitizeInput } from '../middlewares/validation.js';
+
+const router = Router();
+
+// Apply authentication, rate limiting and sanitization to all routes
+router.use(authenticate);
+router.use(requireScopeByMethod('receipts:read', 'receipts:write'));
+router.use(userApiLimiter);
+router.use(sanitizeInput);
+
+// Validation schemas
+const categoryFieldsValidation = [
+    body('translations')
+        .optional()
+        .isObject()
+        .withMessage('Translations must be an object of language codes to names')
+        .custom((value) => {
+            const invalid = Object.entries(value)
+                .filter(([language, name]) => !/^[a-z]{2}$/.test(language) || typeof name !== 'string' || name.length > 100);
+            if (invalid.length > 0) {
+                throw new Error('Translations must map two-letter language codes to names of at most 100 characters');
+            }
+            return true;
+        }),
+    body('description')
+        .optional({ nullable: true })
+        .isString()
+        .isLength({ max: 500 })
+        .withMessage('Description must be at most 500 characters'),
+    body('icon')
+        .optional({ nullable: true })
+        .isString()
+        .isLength({ max: 50 })
+        .withMessage('Icon must be at most 50 characters'),
+    body('color')
+        .optional({ nullable: true })
+        .matches(/^#[0-9a-fA-F]{6}$/)
+        .withMessage('Color must be a hex color like #4CAF50'),
+    body('appliesTo')
+        .optional()
+        .isIn(CATEGORY_APPLIES_TO)
+        .withMessage(`appliesTo must be one of: ${CATEGORY_APPLIES_TO.join(', ')}`),
+    body('position')
+        .optional()
+        .isInt({ min: 0, max: 10000 })
+        .withMessage('Position must be an integer between 0 and 10000')
+];
+
+const createCategoryValidation = [
+    body('name')
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Name must be between 1 and 100 characters'),
+    body('parentId')
+        .optional({ nullable: true })
+        .isUUID()
+        .withMessage('Invalid parent category ID'),
+    ...categoryFieldsValidation
+];
+
+const updateCategoryValidation = [
+    body('name')
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Name must be between 1 and 100 characters'),
+    body('parentId')
+        .optional({ nullable: true })
+        .isUUID()
+        .withMessage('Invalid parent category ID'),
+    ...categoryFieldsValidation
+];
+
+const uuidValidation = [
+    param('id')
+        .isUUID()
+        .withMessage('Invalid category ID')
+];
+
+// Routes
+
+/**
+ * @swagger
+ * /api/categories:
+ *   get:
+ *     summary: List categories
+ *     description: |
+ *       System categories plus the user's own categories and subcategories, with
+ *       names localized to the user's language. Receipts, products and budgets
+ *       store the category key.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [list, tree]
+ *           default: list
+ *       - in: query
+ *         name: appliesTo
+ *         schema:
+ *           type: string
+ *           enum: [receipt, product]
+ *         description: Only categories offered for receipts or for products
+ *     responses:
+ *       200:
+ *         description: Categories
+ */
+router.get('/', [
+    query('format').optional().isIn(['list', 'tree']),
+    query('appliesTo').optional().isIn(['receipt', 'product']),
+    validate
+], getCategories);
+
+/**
+ * @swagger
+ * /api/categories:
+ *   post:
+ *     summary: Create category
+ *     description: |
+ *       Creates a category, or a subcategory of a top-level category when parentId
+ *       is given (two levels at most). The key is derived from the name. The
+ *       description is used as a hint for AI categorization.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               parentId:
+ *                 type: string
+ *                 format: uuid
+ *               translations:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *               description:
+ *                 type: string
+ *               icon:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *                 example: "#4CAF50"
+ *               appliesTo:
+ *                 type: string
+ *                 enum: [receipt, product, both]
+ *               position:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Category created
+ *       400:
+ *         description: Invalid parent or too many categories
+ */
+router.post('/', createCategoryValidation, validate, createCategory);
+
+/**
+ * @swagger
+ * /api/categories/{id}:
+ *   patch:
+ *     summary: Update category
+ *     description: System categories cannot be changed. The key stays the same when the name changes.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Category updated
+ *       404:
+ *         description: Category not found
+ */
+router.patch('/:id', uuidValidation, updateCategoryValidation, validate, updateCategory);
+
+/**
+ * @swagger
+ * /api/categories/{id}:
+ *   delete:
+ *     summary: Delete category
+ *     description: |
+ *       Deletes a user category together with its subcategories. Receipts, products
+ *       and budgets using them move to reassignTo, or else to the parent category,
+ *       or else to "others".
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: reassignTo
+ *         schema:
+ *           type: string
+ *         description: Key or name of the category to move receipts, products and budgets to
+ *     responses:
+ *       200:
+ *         description: Category deleted
+ *       404:
+ *         description: Category not found
+ */
+router.delete('/:id', [
+    ...uuidValidation,
+    query('reassignTo').optional().isString().isLength({ min: 1, max: 100 }),
+    validate
+], deleteCategory);
+
+export default router;
@@ -0,0 +1,163 @@
+import { Router } from 'express';
+import { body, query } from 'express-validator';
+import {
+    uploadRateFile,
+    getRates,
+    importRates,
+    convert
+} from '../controllers/currencyController.js';
+import { RATE_FILE_FORMATS } from '../services/exchangeRateParser.js';
+import { authenticate, authorize, requireScopeByMethod } from '../middlewares/auth.js';
+import { userApiLimiter } from '../middlewares/rateLimiter.js';
+import { validate, sanitizeInput } from '../middlewares/validation.js';
+
+const router = Router();
+
+// Apply authentication, rate limiting and sanitization to all routes
+router.use(authenticate);
+router.use(requireScopeByMethod('receipts:read', 'receipts:write'));
+router.use(userApiLimiter);
+router.use(sanitizeInput);
+
+// Validation schemas
+const currencyValidation = (field) => query(field)
+    .matches(/^[A-Za-z]{3}$/)
+    .withMessage(`${field} must be a 3-letter ISO code`);
+
+// Routes
+
+/**
+ * @swagger
+ * /api/currencies/rates:
+ *   get:
+ *     summary: List stored exchange rates
+ *     description: Daily rates as units of the currency per 1 EUR, newest first.
+ *     tags: [Currencies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Exchange rates
+ */
+router.get('/rates', [
+    currencyValidation('currency').optional(),
+    query('from').optional().isISO8601().withMessage('from must be a date (YYYY-MM-DD)'),
+    query('to').optional().isISO8601().withMessage('to must be a date (YYYY-MM-DD)'),
+    query('limit').optional().isInt({ min: 1, max: 1000 }),
+    query('offset').optional().isInt({ min: 0 })
+], validate, getRates);
+
+/**
+ * @swagger
+ * /api/currencies/rates:
+ *   post:
+ *     summary: Import exchange rates (admins only)
+ *     description: |
+ *       Loads the ECB reference rates, either as XML (eurofxref-daily.xml,
+ *       eurofxref-hist.xml) or as CSV, wide like eurofxref-hist.csv (a Date column
+ *       and a column per currency) or long with date, currency and rate columns.
+ *       Rates already stored for a currency and date are replaced.
+ *     tags: [Currencies]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               format:
+ *                 type: string
+ *                 enum: [xml, csv]
+ *                 description: Detected from the file when omitted
+ *     responses:
+ *       201:
+ *         description: Rates imported, with the currencies and date range
+ *       400:
+ *         description: Unreadable rate file
+ *       403:
+ *         description: Not an admin
+ */
+router.post('/rates', authorize('admin'), uploadRateFile, [
+    body('format')
+        .optional()
+        .isIn(RATE_FILE_FORMATS)
+        .withMessage(`Format must be one of: ${RATE_FILE_FORMATS.join(', ')}`)
+], validate, importRates);
+
+/**
+ * @swagger
+ * /api/currencies/convert:
+ *   get:
+ *     summary: Convert an amount between currencies
+ *     description: Uses the rate of the date, or the last rate before it on weekends and holidays.
+ *     tags: [Currencies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: amount
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: to
+ *         description: Defaults to the user's base currency
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         description: Defaults to today
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Original and converted amount with the rate used
+ *       404:
+ *         description: No exchange rate for one of the currencies
+ */
+router.get('/convert', [
+    query('amount').isFloat().withMessage('amount must be a number'),
+    currencyValidation('from'),
+    currencyValidation('to').optional(),
+    query('date').optional().isISO8601().withMessage('date must be a date (YYYY-MM-DD)')
+], validate, convert);
+
+export default router;
@@ -0,0 +1,47 @@
+import express from 'express';
+import { query } from 'express-validator';
+import { authenticate, requireScope } from '../middlewares/auth.js';
+import { validate } from '../middlewares/validation.js';
+import * as eventsController from '../controllers/eventsController.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+router.use(requireScope('receipts:read'));
+
+/**
+ * @swagger
+ * /api/events:
+ *   get:
+ *     summary: Real-time event stream (Server-Sent Events)
+ *     description: |
+ *       Streams receipt.processing, receipt.completed, receipt.failed, budget.alert
+ *       and badge.unlocked events for the authenticated user. A heartbeat comment is
+ *       sent every 25 seconds. Reconnecting clients can send the Last-Event-ID header
+ *       (or the lastEventId query parameter) to receive events missed in the last 24 hours.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: lastEventId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ */
+router.get('/', [
+    query('lastEventId').optional().matches(/^\d+-\d+$/),
+    validate
+], eventsController.streamEvents);
+
+export default router;
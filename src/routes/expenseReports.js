@@ -0,0 +1,342 @@
+import { Router } from 'express';
+import { body, param, query } from 'express-validator';
+import {
+    getExpenseReports,
+    getExpenseReport,
+    createExpenseReport,
+    updateExpenseReport,
+    deleteExpenseReport,
+    addReceipts,
+    removeReceipt,
+    changeStatus,
+    downloadPdf
+} from '../controllers/expenseReportController.js';
+import { EXPENSE_REPORT_STATUSES } from '../models/ExpenseReport.js';
+import { MAX_REPORT_RECEIPTS } from '../services/expenseReportService.js';
+import { authenticate, requireScopeByMethod } from '../middlewares/auth.js';
+import { userApiLimiter } from '../middlewares/rateLimiter.js';
+import { languageDetectorAuth } from '../config/i18n.js';
+import { validate, sanitizeInput } from '../middlewares/validation.js';
+
+const router = Router();
+
+// Apply authentication, rate limiting, sanitization and language detection to all routes
+router.use(authenticate);
+router.use(requireScopeByMethod('receipts:read', 'receipts:write'));
+router.use(userApiLimiter);
+router.use(sanitizeInput);
+router.use(languageDetectorAuth);  // The PDF uses the user's language
+
+// Validation schemas
+const uuidValidation = [
+    param('id')
+        .isUUID()
+        .withMessage('Invalid expense report ID')
+];
+
+const receiptIdsValidation = [
+    body('receiptIds').isArray({ min: 1, max: MAX_REPORT_RECEIPTS }),
+    body('receiptIds.*').isUUID().withMessage('Invalid receipt ID')
+];
+
+// Routes
+
+/**
+ * @swagger
+ * /api/expense-reports:
+ *   get:
+ *     summary: List expense reports
+ *     tags: [Expense Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, submitted, reimbursed]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Expense reports with receipt count and totals per currency
+ */
+router.get('/', [
+    query('status').optional().isIn(EXPENSE_REPORT_STATUSES),
+    query('limit').optional().isInt({ min: 1, max: 200 }),
+    query('offset').optional().isInt({ min: 0 })
+], validate, getExpenseReports);
+
+/**
+ * @swagger
+ * /api/expense-reports:
+ *   post:
+ *     summary: Create an expense report
+ *     description: Creates a draft report. Only business receipts that are not in another report can be added.
+ *     tags: [Expense Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               receiptIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *     responses:
+ *       201:
+ *         description: Expense report created
+ *       400:
+ *         description: Invalid data, or receipts that are not business receipts
+ *       409:
+ *         description: Receipts are already in another expense report
+ */
+router.post('/', [
+    body('title').isString().trim().isLength({ min: 1, max: 255 }),
+    body('description').optional({ values: 'null' }).isString().isLength({ max: 2000 }),
+    body('receiptIds').optional().isArray({ max: MAX_REPORT_RECEIPTS }),
+    body('receiptIds.*').isUUID().withMessage('Invalid receipt ID')
+], validate, createExpenseReport);
+
+/**
+ * @swagger
+ * /api/expense-reports/{id}:
+ *   get:
+ *     summary: Get an expense report with its receipts
+ *     tags: [Expense Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Expense report with receipts, items and totals per currency
+ *       404:
+ *         description: Expense report not found
+ */
+router.get('/:id', uuidValidation, validate, getExpenseReport);
+
+/**
+ * @swagger
+ * /api/expense-reports/{id}:
+ *   patch:
+ *     summary: Update a draft expense report
+ *     tags: [Expense Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Expense report updated
+ *       400:
+ *         description: The report is not a draft
+ */
+router.patch('/:id', uuidValidation, [
+    body('title').optional().isString().trim().isLength({ min: 1, max: 255 }),
+    body('description').optional({ values: 'null' }).isString().isLength({ max: 2000 })
+], validate, updateExpenseReport);
+
+/**
+ * @swagger
+ * /api/expense-reports/{id}:
+ *   delete:
+ *     summary: Delete a draft expense report
+ *     description: The receipts of the report are kept.
+ *     tags: [Expense Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Expense report deleted
+ *       400:
+ *         description: The report is not a draft
+ */
+router.delete('/:id', uuidValidation, validate, deleteExpenseReport);
+
+/**
+ * @swagger
+ * /api/expense-reports/{id}/receipts:
+ *   post:
+ *     summary: Add receipts to a draft expense report
+ *     tags: [Expense Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - receiptIds
+ *             properties:
+ *               receiptIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *     responses:
+ *       200:
+ *         description: Receipts added
+ *       400:
+ *         description: The report is not a draft, or receipts are missing or not business receipts
+ *       409:
+ *         description: Receipts are already in another expense report
+ */
+router.post('/:id/receipts', uuidValidation, receiptIdsValidation, validate, addReceipts);
+
+/**
+ * @swagger
+ * /api/expense-reports/{id}/receipts/{receiptId}:
+ *   delete:
+ *     summary: Remove a receipt from a draft expense report
+ *     tags: [Expense Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: receiptId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Receipt removed
+ *       404:
+ *         description: The receipt is not in this report
+ */
+router.delete('/:id/receipts/:receiptId', uuidValidation, [
+    param('receiptId').isUUID().withMessage('Invalid receipt ID')
+], validate, removeReceipt);
+
+/**
+ * @swagger
+ * /api/expense-reports/{id}/status:
+ *   post:
+ *     summary: Change the status of an expense report
+ *     description: |
+ *       draft to submitted (the report needs receipts), submitted back to draft, or
+ *       submitted to reimbursed. Reimbursed reports are final.
+ *     tags: [Expense Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [draft, submitted, reimbursed]
+ *     responses:
+ *       200:
+ *         description: Status changed
+ *       400:
+ *         description: The status change is not allowed
+ */
+router.post('/:id/status', uuidValidation, [
+    body('status').isIn(EXPENSE_REPORT_STATUSES).withMessage(`Status must be one of: ${EXPENSE_REPORT_STATUSES.join(', ')}`)
+], validate, changeStatus);
+
+/**
+ * @swagger
+ * /api/expense-reports/{id}/pdf:
+ *   get:
+ *     summary: Download an expense report as PDF
+ *     description: Summary with totals per currency, then every receipt with its image, item lines and VAT.
+ *     tags: [Expense Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: PDF document
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ */
+router.get('/:id/pdf', uuidValidation, validate, downloadPdf);
+
+export default router;
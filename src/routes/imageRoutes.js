@@ -1,5 +1,5 @@
 import express from 'express';
-import { authenticate } from '../middlewares/auth.js';
+import { authenticate, requireScope } from '../middlewares/auth.js';
 import { generalLimiter } from '../middlewares/rateLimiter.js';
 import path from 'path';
 import fs from 'fs/promises';
@@ -12,12 +12,14 @@ const router = express.Router();
 // Apply rate limiting and authentication
 router.use(generalLimiter);
 router.use(authenticate);
+router.use(requireScope('receipts:read'));
 
 /**
  * @swagger
  * /api/images/receipt/{receiptId}:
  *   get:
  *     summary: Get receipt image (original or thumbnail)
+ *     description: A long receipt has an image per page; page selects one (the first by default)
  *     tags: [Images]
  *     security:
  *       - bearerAuth: []
@@ -29,6 +31,13 @@ router.use(authenticate);
  *           type: string
  *           format: uuid
  *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page of a receipt photographed in several images
+ *       - in: query
  *         name: thumbnail
  *         schema:
  *           type: boolean
@@ -54,12 +63,12 @@ router.use(authenticate);
  *               type: string
  *               format: binary
  *       404:
- *         description: Receipt or image not found
+ *         description: Receipt, page or image not found
  */
 router.get('/receipt/:receiptId', async (req, res) => {
     try {
         const { receiptId } = req.params;
-        const { thumbnail, width = 300 } = req.query;
+        const { thumbnail, width = 300, page = 1 } = req.query;
         const userId = req.user.id;
 
         // Verify receipt belongs to user
@@ -78,14 +87,24 @@ router.get('/receipt/:receiptId', async (req, res) => {
         }
 
         // Extract filename from URL
-        const imageUrl = receipt.imageUrl;
-        if (!imageUrl) {
+        const pages = receipt.getPageImageUrls();
+        if (pages.length === 0) {
             return res.status(404).json({
                 status: 'error',
                 message: 'No image associated with this receipt'
             });
         }
 
+        const pageNumber = parseInt(page);
+        if (!(pageNumber >= 1 && pageNumber <= pages.length)) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Page not found',
+                pageCount: pages.length
+            });
+        }
+        const imageUrl = pages[pageNumber - 1];
+
         // Handle both relative paths and URLs
         let imagePath;
 
@@ -188,6 +207,90 @@ router.get('/receipt/:receiptId', async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/images/receipt/{receiptId}/document:
+ *   get:
+ *     summary: Get the original PDF of an e-receipt
+ *     description: Receipts created from a PDF keep the document; the image endpoints serve its page previews
+ *     tags: [Images]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: receiptId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: PDF document
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Receipt or document not found
+ */
+router.get('/receipt/:receiptId/document', async (req, res) => {
+    try {
+        const { receiptId } = req.params;
+        const userId = req.user.id;
+
+        const receipt = await Receipt.findOne({
+            where: {
+                id: receiptId,
+                userId: userId
+            },
+            attributes: ['id', 'documentUrl']
+        });
+
+        if (!receipt) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Receipt not found'
+            });
+        }
+
+        // Documents are always stored as relative paths (userId/receipts/filename.pdf)
+        const documentUrl = receipt.documentUrl;
+        if (!documentUrl || documentUrl.startsWith('http://') || documentUrl.startsWith('https://')) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'No document associated with this receipt'
+            });
+        }
+
+        const documentPath = path.resolve('uploads', documentUrl);
+        try {
+            await fs.access(documentPath);
+        } catch {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Document file not found'
+            });
+        }
+
+        res.setHeader('Cache-Control', 'private, max-age=604800'); // 7 days
+        res.type('application/pdf');
+        res.sendFile(documentPath);
+
+    } catch (error) {
+        log.error('Error serving receipt document', {
+            error: error.message,
+            receiptId: req.params.receiptId,
+            userId: req.user.id
+        });
+
+        res.status(500).json({
+            status: 'error',
+            message: 'Error retrieving document'
+        });
+    }
+});
+
 /**
  * @swagger
  * /api/images/receipt/{receiptId}/info:
@@ -217,9 +320,17 @@ router.get('/receipt/:receiptId', async (req, res) => {
  *                   type: string
  *                 hasImage:
  *                   type: boolean
+ *                 pageCount:
+ *                   type: integer
+ *                 pages:
+ *                   type: array
+ *                   description: Endpoints of each page image, in order
  *                 imageType:
  *                   type: string
  *                   enum: [local, external]
+ *                 hasDocument:
+ *                   type: boolean
+ *                   description: The receipt was created from a PDF, served by the document endpoint
  */
 router.get('/receipt/:receiptId/info', async (req, res) => {
     try {
@@ -231,7 +342,7 @@ router.get('/receipt/:receiptId/info', async (req, res) => {
                 id: receiptId,
                 userId: userId
             },
-            attributes: ['id', 'imageUrl', 'imageThumbnailUrl']
+            attributes: ['id', 'imageUrl', 'imageThumbnailUrl', 'pageImageUrls', 'documentUrl']
         });
 
         if (!receipt) {
@@ -243,6 +354,7 @@ router.get('/receipt/:receiptId/info', async (req, res) => {
 
         const baseUrl = `${req.protocol}://${req.get('host')}`;
         const imageUrl = receipt.imageUrl;
+        const pageCount = receipt.getPageImageUrls().length;
 
         // Check if it's a local file (relative path or /uploads/ URL)
         const isLocal = imageUrl && (
@@ -258,12 +370,20 @@ router.get('/receipt/:receiptId/info', async (req, res) => {
                 directImageUrl: null, // Always use protected endpoint
                 hasImage: !!imageUrl,
                 imageType: isLocal ? 'local' : 'external',
+                hasDocument: !!receipt.documentUrl,
+                pageCount,
+                pages: Array.from({ length: pageCount }, (_, index) => ({
+                    page: index + 1,
+                    original: `${baseUrl}/api/images/receipt/${receiptId}?page=${index + 1}`,
+                    thumbnail: `${baseUrl}/api/images/receipt/${receiptId}?page=${index + 1}&thumbnail=true`
+                })),
                 endpoints: {
                     original: `${baseUrl}/api/images/receipt/${receiptId}`,
                     thumbnail: `${baseUrl}/api/images/receipt/${receiptId}?thumbnail=true`,
                     thumbnail_small: `${baseUrl}/api/images/receipt/${receiptId}?thumbnail=true&width=150`,
                     thumbnail_medium: `${baseUrl}/api/images/receipt/${receiptId}?thumbnail=true&width=300`,
-                    thumbnail_large: `${baseUrl}/api/images/receipt/${receiptId}?thumbnail=true&width=600`
+                    thumbnail_large: `${baseUrl}/api/images/receipt/${receiptId}?thumbnail=true&width=600`,
+                    document: receipt.documentUrl ? `${baseUrl}/api/images/receipt/${receiptId}/document` : null
                 }
             }
         });
@@ -0,0 +1,163 @@
+import express, { Router } from 'express';
+import { body } from 'express-validator';
+import {
+    receiveEmail,
+    handleOversizeEmail,
+    getSettings,
+    updateSettings,
+    rotateAddress
+} from '../controllers/inboundEmailController.js';
+import { INBOUND_EMAIL_SENDER, MAX_INBOUND_EMAIL_SENDERS } from '../models/User.js';
+import config from '../config/environment.js';
+import { authenticate, rejectAccessTokens, requireInboundEmailSecret } from '../middlewares/auth.js';
+import { userApiLimiter } from '../middlewares/rateLimiter.js';
+import { validate } from '../middlewares/validation.js';
+
+const router = Router();
+
+// Settings are account-level and only available to signed-in sessions
+const userAuth = [authenticate, rejectAccessTokens, userApiLimiter];
+
+// Validation schemas
+const settingsValidation = [
+    body('allowedSenders')
+        .isArray({ max: MAX_INBOUND_EMAIL_SENDERS })
+        .withMessage(`allowedSenders must be an array of at most ${MAX_INBOUND_EMAIL_SENDERS} senders`),
+    body('allowedSenders.*')
+        .isString()
+        .trim()
+        .toLowerCase()
+        .matches(INBOUND_EMAIL_SENDER)
+        .withMessage('Senders must be email addresses or @domains')
+];
+
+// Routes
+
+/**
+ * @swagger
+ * /api/inbound/email:
+ *   post:
+ *     summary: Receive a forwarded receipt email
+ *     description: |
+ *       Called by the mail server (an MTA pipe or an inbound email webhook) with the raw
+ *       message. The user is found from the forwarding address the email was sent to
+ *       (receipts+<token>@INBOUND_EMAIL_DOMAIN) and the sender must be the user's
+ *       account email or one of their allowed senders. The receipt is read from a PDF
+ *       or image attachment, or from the HTML/text body of an e-receipt; the original
+ *       message is stored with it. The user is notified when an email is rejected.
+ *
+ *       The receipt is read by the OCR queue and the response is 202 with the job;
+ *       without a queue it is read before responding (201, 409 or 422).
+ *     tags: [Inbound Email]
+ *     parameters:
+ *       - in: header
+ *         name: X-Inbound-Secret
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: INBOUND_EMAIL_SECRET
+ *       - in: query
+ *         name: recipient
+ *         schema:
+ *           type: string
+ *         description: Envelope recipient (also read from X-Envelope-To)
+ *       - in: query
+ *         name: sender
+ *         schema:
+ *           type: string
+ *         description: Envelope sender (also read from X-Envelope-From)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         message/rfc822:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       202:
+ *         description: Receipt queued for reading (see GET /api/receipts/jobs/{jobId})
+ *       201:
+ *         description: Receipt created
+ *       401:
+ *         description: Invalid secret
+ *       403:
+ *         description: Sender not allowed
+ *       404:
+ *         description: Unknown forwarding address
+ *       409:
+ *         description: Duplicate receipt
+ *       413:
+ *         description: Email larger than INBOUND_EMAIL_MAX_SIZE
+ *       422:
+ *         description: No receipt found in the email, or it could not be read
+ *       503:
+ *         description: Inbound email is not configured
+ */
+router.post(
+    '/email',
+    requireInboundEmailSecret,
+    express.raw({ type: 'message/rfc822', limit: config.inboundEmail.maxSize }),
+    receiveEmail,
+    handleOversizeEmail
+);
+
+/**
+ * @swagger
+ * /api/inbound/email/settings:
+ *   get:
+ *     summary: Get the receipt forwarding address
+ *     description: The address is created on first use; address is null when inbound email is not configured
+ *     tags: [Inbound Email]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Forwarding address and allowed senders
+ */
+router.get('/email/settings', userAuth, getSettings);
+
+/**
+ * @swagger
+ * /api/inbound/email/settings:
+ *   put:
+ *     summary: Set the allowed senders
+ *     description: Emails from the account email are always accepted; these are accepted as well
+ *     tags: [Inbound Email]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - allowedSenders
+ *             properties:
+ *               allowedSenders:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Email addresses (me@work.com) or whole domains (@shop.com)
+ *     responses:
+ *       200:
+ *         description: Settings updated
+ */
+router.put('/email/settings', userAuth, settingsValidation, validate, updateSettings);
+
+/**
+ * @swagger
+ * /api/inbound/email/settings/rotate:
+ *   post:
+ *     summary: Replace the receipt forwarding address
+ *     description: Emails sent to the previous address are no longer accepted
+ *     tags: [Inbound Email]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: New forwarding address
+ */
+router.post('/email/settings/rotate', userAuth, rotateAddress);
+
+export default router;
@@ -0,0 +1,288 @@
+import { Router } from 'express';
+import { body, param, query } from 'express-validator';
+import {
+    getMerchants,
+    getMerchant,
+    updateMerchant,
+    mergeMerchants,
+    splitMerchant,
+    getMerchantStats
+} from '../controllers/merchantController.js';
+import { authenticate, requireScopeByMethod } from '../middlewares/auth.js';
+import { userApiLimiter } from '../middlewares/rateLimiter.js';
+import { validate, sanitizeInput } from '../middlewares/validation.js';
+import { resolveCategoryParams, isKnownCategory } from '../middlewares/categories.js';
+
+const router = Router();
+
+// Apply authentication, rate limiting and sanitization to all routes
+router.use(authenticate);
+router.use(requireScopeByMethod('receipts:read', 'receipts:write'));
+router.use(userApiLimiter);
+router.use(sanitizeInput);
+router.use(resolveCategoryParams);  // Loads the user's categories for isKnownCategory
+
+// Validation schemas
+const listValidation = [
+    query('search').optional().isString().isLength({ max: 100 }),
+    query('limit').optional().isInt({ min: 1, max: 200 }),
+    query('offset').optional().isInt({ min: 0 })
+];
+
+const updateMerchantValidation = [
+    body('name')
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 255 })
+        .withMessage('Name must be between 1 and 255 characters'),
+    body('aliases').optional().isArray({ max: 100 }),
+    body('aliases.*').isString().trim().isLength({ min: 1, max: 255 }),
+    body('defaultCategory').optional({ nullable: true }).custom(isKnownCategory),
+    body('address').optional({ nullable: true }).isString().isLength({ max: 500 }),
+    body('latitude').optional({ nullable: true }).isFloat({ min: -90, max: 90 }).toFloat(),
+    body('longitude').optional({ nullable: true }).isFloat({ min: -180, max: 180 }).toFloat()
+];
+
+const mergeValidation = [
+    body('merchantIds')
+        .isArray({ min: 1, max: 50 })
+        .withMessage('merchantIds must be an array of 1 to 50 merchant IDs'),
+    body('merchantIds.*')
+        .isUUID()
+        .withMessage('Invalid merchant ID')
+];
+
+const splitValidation = [
+    body('aliases')
+        .isArray({ min: 1 })
+        .withMessage('aliases must list at least one alias to split off'),
+    body('aliases.*').isString().trim().isLength({ min: 1, max: 255 }),
+    body('name')
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 255 })
+        .withMessage('Name must be between 1 and 255 characters')
+];
+
+const uuidValidation = [
+    param('id')
+        .isUUID()
+        .withMessage('Invalid merchant ID')
+];
+
+// Routes
+
+/**
+ * @swagger
+ * /api/merchants:
+ *   get:
+ *     summary: List merchants
+ *     description: |
+ *       Receipts are matched to a merchant by their merchant name, ignoring store
+ *       numbers, legal forms and country names and tolerating small typos, so
+ *       "LIDL", "Lidl Nederland" and "LIDL 1234" share one merchant.
+ *     tags: [Merchants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Text contained in the name or an alias
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Merchants with receipt counts
+ */
+router.get('/', listValidation, validate, getMerchants);
+
+/**
+ * @swagger
+ * /api/merchants/{id}:
+ *   get:
+ *     summary: Get merchant
+ *     tags: [Merchants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Merchant details
+ *       404:
+ *         description: Merchant not found
+ */
+router.get('/:id', uuidValidation, validate, getMerchant);
+
+/**
+ * @swagger
+ * /api/merchants/{id}:
+ *   patch:
+ *     summary: Update merchant
+ *     description: The default category is used for new receipts of the merchant unless a category is given.
+ *     tags: [Merchants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               aliases:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               defaultCategory:
+ *                 type: string
+ *                 nullable: true
+ *               address:
+ *                 type: string
+ *                 nullable: true
+ *               latitude:
+ *                 type: number
+ *                 nullable: true
+ *               longitude:
+ *                 type: number
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Merchant updated
+ *       409:
+ *         description: The name matches another merchant
+ */
+router.patch('/:id', uuidValidation, updateMerchantValidation, validate, updateMerchant);
+
+/**
+ * @swagger
+ * /api/merchants/{id}/merge:
+ *   post:
+ *     summary: Merge merchants into this merchant
+ *     description: Receipts of the merged merchants move to this merchant, and their names become aliases.
+ *     tags: [Merchants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - merchantIds
+ *             properties:
+ *               merchantIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *     responses:
+ *       200:
+ *         description: Merchants merged
+ */
+router.post('/:id/merge', uuidValidation, mergeValidation, validate, mergeMerchants);
+
+/**
+ * @swagger
+ * /api/merchants/{id}/split:
+ *   post:
+ *     summary: Split aliases off into a new merchant
+ *     description: |
+ *       Creates a merchant for the given aliases and moves the receipts printed
+ *       with those names to it. New receipts with these exact names match the new
+ *       merchant from then on.
+ *     tags: [Merchants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - aliases
+ *             properties:
+ *               aliases:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               name:
+ *                 type: string
+ *                 description: Name of the new merchant (defaults to the first alias)
+ *     responses:
+ *       201:
+ *         description: New merchant created
+ *       409:
+ *         description: The name matches another merchant
+ */
+router.post('/:id/split', uuidValidation, splitValidation, validate, splitMerchant);
+
+/**
+ * @swagger
+ * /api/merchants/{id}/stats:
+ *   get:
+ *     summary: Merchant statistics
+ *     description: |
+ *       Visit frequency, basket size and price level. The price level index
+ *       compares the average unit prices of products bought here with the prices
+ *       paid for the same products elsewhere (1.0 means the same price).
+ *       Baskets and prices are converted to the user's base currency; receipts
+ *       without an exchange rate are left out of the baskets and counted in
+ *       basket.unconvertedCount.
+ *     tags: [Merchants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Merchant statistics
+ */
+router.get('/:id/stats', uuidValidation, validate, getMerchantStats);
+
+export default router;
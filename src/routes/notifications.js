@@ -11,13 +11,14 @@ import {
     sendTestNotification,
     getFCMStatus
 } from '../controllers/notificationController.js';
-import { authenticate } from '../middlewares/auth.js';
+import { authenticate, rejectAccessTokens } from '../middlewares/auth.js';
 import { validate, sanitizeInput } from '../middlewares/validation.js';
 
 const router = Router();
 
 // Apply authentication and sanitization to all routes
 router.use(authenticate);
+router.use(rejectAccessTokens);
 router.use(sanitizeInput);
 
 // Validation schemas
@@ -1,5 +1,5 @@
 import express from 'express';
-import { authenticate } from '../middlewares/auth.js';
+import { authenticate, requireScopeByMethod } from '../middlewares/auth.js';
 import { generalLimiter } from '../middlewares/rateLimiter.js';
 import * as productController from '../controllers/productController.js';
 import { validate } from '../middlewares/validation.js';
@@ -10,6 +10,7 @@ const router = express.Router();
 // Apply rate limiting and authentication to all product routes
 router.use(generalLimiter);
 router.use(authenticate);
+router.use(requireScopeByMethod('receipts:read', 'receipts:write'));
 
 /**
  * @swagger
@@ -1,20 +1,37 @@
 import express from 'express';
-import { authenticate } from '../middlewares/auth.js';
+import { authenticate, requireScope, requireScopeByMethod } from '../middlewares/auth.js';
 import { userApiLimiter } from '../middlewares/rateLimiter.js';
 import { languageDetectorAuth } from '../config/i18n.js';
 import * as receiptsController from '../controllers/receiptsController.js';
 import * as syncController from '../controllers/syncController.js';
 import { validate } from '../middlewares/validation.js';
 import { body, query, param } from 'express-validator';
-import { ALL_VALID_CATEGORIES, mapCategoryParams } from '../utils/categoryMapper.js';
+import { resolveCategoryParams, isKnownCategory } from '../middlewares/categories.js';
+import { MAX_CHANGES_LIMIT } from '../services/syncService.js';
+import { BULK_ACTIONS, BULK_MAX_RECEIPTS } from '../services/bulkReceiptService.js';
+import { EXPORT_FORMATS, EXPORT_SHAPES, EXPORT_SORT_FIELDS, CSV_DELIMITERS } from '../services/receiptExportService.js';
+import { idempotency } from '../middlewares/idempotency.js';
+import { RECEIPT_TYPES, MAX_RECEIPT_PAGES } from '../models/Receipt.js';
 
 const router = express.Router();
 
+// Colon-separated account names, e.g. Expenses:Food:Groceries
+const isAccountName = (value) => {
+    if (typeof value !== 'string' || value.length > 255 || !/^[^:\s][^:]*(:[^:\s][^:]*)*$/.test(value)) {
+        throw new Error('Account must be a colon-separated account name like Expenses:Food');
+    }
+    return true;
+};
+
+// Uploaded PDF e-receipts (a signed URL may carry a query string)
+const PDF_URL = /\.pdf(\?|$)/i;
+
 // Apply authentication, rate limiting and language detection to all receipt routes
 router.use(authenticate);
+router.use(requireScopeByMethod('receipts:read', 'receipts:write'));
 router.use(userApiLimiter);  // User-specific rate limiting (more generous for authenticated users)
 router.use(languageDetectorAuth);
-router.use(mapCategoryParams);
+router.use(resolveCategoryParams);
 
 /**
  * @swagger
@@ -29,7 +46,7 @@ router.use(mapCategoryParams);
  *         name: category
  *         schema:
  *           type: string
- *           enum: [Mercado, Transporte, Comida, Combustible, Otros]
+ *         description: Category key or name in any language (see /api/categories). Parent categories include their subcategories
  *       - in: query
  *         name: merchant
  *         schema:
@@ -45,6 +62,29 @@ router.use(mapCategoryParams);
  *           type: string
  *           format: date
  *       - in: query
+ *         name: isBusiness
+ *         schema:
+ *           type: boolean
+ *         description: Only business (true) or personal (false) receipts
+ *       - in: query
+ *         name: project
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: client
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: costCenter
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: receiptType
+ *         schema:
+ *           type: string
+ *           enum: [purchase, refund, credit_note]
+ *         description: Only purchases, refunds or credit notes
+ *       - in: query
  *         name: includeItems
  *         schema:
  *           type: boolean
@@ -64,12 +104,17 @@ router.use(mapCategoryParams);
  *         description: Receipts retrieved successfully
  */
 router.get('/', [
-    query('category').optional().isIn(ALL_VALID_CATEGORIES),
+    query('category').optional().custom(isKnownCategory),
     query('merchant').optional().isString().trim(),
     query('dateFrom').optional().isISO8601(),
     query('dateTo').optional().isISO8601(),
     query('minAmount').optional().isFloat({ min: 0 }),
     query('maxAmount').optional().isFloat({ min: 0 }),
+    query('isBusiness').optional().isBoolean(),
+    query('project').optional().isString().trim().isLength({ max: 255 }),
+    query('client').optional().isString().trim().isLength({ max: 255 }),
+    query('costCenter').optional().isString().trim().isLength({ max: 100 }),
+    query('receiptType').optional().isIn(RECEIPT_TYPES),
     query('includeItems').optional().isBoolean(),
     query('limit').optional().isInt({ min: 1, max: 100 }),
     query('offset').optional().isInt({ min: 0 }),
@@ -86,6 +131,13 @@ router.get('/', [
  *     tags: [Receipts, Sync]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Client-generated key (e.g. a UUID). Retries with the same key replay the first response instead of applying the batch again.
  *     requestBody:
  *       required: true
  *       content:
@@ -134,7 +186,8 @@ router.get('/', [
  */
 router.post('/sync', [
     body('receipts').isArray({ min: 1, max: 50 }).withMessage('receipts must be an array with 1-50 items'),
-    validate
+    validate,
+    idempotency()
 ], syncController.syncReceipts);
 
 /**
@@ -151,11 +204,154 @@ router.post('/sync', [
  */
 router.get('/sync/status', syncController.getSyncStatus);
 
+/**
+ * @swagger
+ * /api/receipts/sync/changes:
+ *   get:
+ *     summary: Pull changes since a sync cursor (delta sync v2)
+ *     description: Returns receipts, items, budgets and saved filters created, updated or deleted after the cursor, oldest first. Omit the cursor for a full sync. Keep requesting with the returned cursor while hasMore is true. A 410 response means the cursor is older than the tombstone retention window and a full sync is required.
+ *     tags: [Receipts, Sync]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor returned by the previous pull
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 200
+ *     responses:
+ *       200:
+ *         description: Changes with the next cursor
+ *       400:
+ *         description: Invalid cursor
+ *       410:
+ *         description: Cursor expired, full sync required
+ */
+router.get('/sync/changes', [
+    requireScope('budgets:read'),  // Budgets are part of the change feed
+    query('cursor').optional().isString().isLength({ max: 200 }),
+    query('limit').optional().isInt({ min: 1, max: MAX_CHANGES_LIMIT }),
+    validate
+], syncController.getChanges);
+
+/**
+ * @swagger
+ * /api/receipts/sync/changes:
+ *   post:
+ *     summary: Push receipt changes made on a device (delta sync v2)
+ *     description: Applies creates, updates and deletes. When the server version changed after baseVersion and the change would overwrite a different value, the change is returned as a conflict together with the server version instead of being applied. Resolve by pushing again with the returned serverVersion as baseVersion, or with force set to true. Deleting a receipt, or changing its amount, currency or purchase date, while it is in a submitted or reimbursed expense report is always a conflict (reason claimed_in_report), even with force.
+ *     tags: [Receipts, Sync]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Client-generated key (e.g. a UUID). Retries with the same key replay the first response instead of applying the batch again.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - receipts
+ *             properties:
+ *               receipts:
+ *                 type: array
+ *                 maxItems: 50
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - op
+ *                   properties:
+ *                     op:
+ *                       type: string
+ *                       enum: [create, update, delete]
+ *                     localId:
+ *                       type: string
+ *                     id:
+ *                       type: string
+ *                       format: uuid
+ *                     baseVersion:
+ *                       type: string
+ *                       description: syncVersion of the receipt the device last saw
+ *                     force:
+ *                       type: boolean
+ *                     imageUrl:
+ *                       type: string
+ *                     processedByMLKit:
+ *                       type: boolean
+ *                     fields:
+ *                       type: object
+ *                       properties:
+ *                         merchantName:
+ *                           type: string
+ *                         category:
+ *                           type: string
+ *                         amount:
+ *                           type: number
+ *                         currency:
+ *                           type: string
+ *                         purchaseDate:
+ *                           type: string
+ *                           format: date-time
+ *                         notes:
+ *                           type: string
+ *                         tags:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                         paymentMethod:
+ *                           type: string
+ *     responses:
+ *       200:
+ *         description: Applied changes, conflicts and failures
+ */
+router.post('/sync/changes', [
+    body('receipts').isArray({ min: 1, max: 50 }).withMessage('receipts must be an array with 1-50 items'),
+    body('receipts.*.op').isIn(['create', 'update', 'delete']),
+    body('receipts.*').custom(change => {
+        if (change.op === 'create' && !change.localId) {
+            throw new Error('localId is required to create a receipt');
+        }
+        if (change.op !== 'create' && !change.id) {
+            throw new Error('id is required to update or delete a receipt');
+        }
+        return true;
+    }),
+    body('receipts.*.id').optional().isUUID(),
+    body('receipts.*.baseVersion').optional({ nullable: true }).isInt({ min: 0 }),
+    body('receipts.*.force').optional().isBoolean(),
+    body('receipts.*.fields').optional().isObject(),
+    body('receipts.*.fields.category').optional({ nullable: true }).custom(isKnownCategory),
+    body('receipts.*.fields.amount').optional({ nullable: true }).isFloat(),
+    body('receipts.*.fields.currency').optional().isLength({ min: 3, max: 3 }),
+    body('receipts.*.fields.purchaseDate').optional({ nullable: true }).isISO8601(),
+    body('receipts.*.fields.tags').optional().isArray(),
+    validate,
+    idempotency()
+], syncController.pushChanges);
+
 /**
  * @swagger
  * /api/receipts/stats:
  *   get:
  *     summary: Get receipt statistics
+ *     description: |
+ *       Totals are converted to the user's base currency at the exchange rate of
+ *       each purchase date; byCurrency lists the original totals per currency.
+ *       Receipts in a currency without a rate on their date are left out of the
+ *       converted totals and counted in unconvertedCount.
  *     tags: [Receipts]
  *     security:
  *       - bearerAuth: []
@@ -219,7 +415,7 @@ router.get('/stats', [
  */
 router.get('/search', [
     query('q').notEmpty().isString().trim().isLength({ min: 2 }).withMessage('Search query must be at least 2 characters'),
-    query('category').optional().isIn(ALL_VALID_CATEGORIES),
+    query('category').optional().custom(isKnownCategory),
     query('dateFrom').optional().isISO8601(),
     query('dateTo').optional().isISO8601(),
     query('minAmount').optional().isFloat({ min: 0 }),
@@ -229,6 +425,209 @@ router.get('/search', [
     validate
 ], receiptsController.searchReceipts);
 
+/**
+ * @swagger
+ * /api/receipts/export:
+ *   get:
+ *     summary: Export receipts as a spreadsheet or accounting file
+ *     description: |
+ *       Streams the receipts matching the same filters as the receipt list, narrowed to
+ *       full-text search results when q is given. With shape=items every receipt item
+ *       is a row, with its product and category. Column headers and category names use
+ *       the request language.
+ *
+ *       The ledger (Ledger/hledger journal), beancount, qif and ynab formats write one
+ *       transaction per receipt, using the accounts of /api/receipts/export/accounts.
+ *       VAT from the receipt VAT breakdown is posted separately, and shape=items splits
+ *       the expense by the categories of the items. These formats are sorted oldest
+ *       first by default.
+ *     tags: [Receipts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx, jsonl, ledger, beancount, qif, ynab]
+ *           default: csv
+ *       - in: query
+ *         name: shape
+ *         schema:
+ *           type: string
+ *           enum: [receipts, items]
+ *           default: receipts
+ *         description: One row per receipt or one row per receipt item (accounting formats split expenses by item category)
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *           minLength: 2
+ *         description: Full-text search query
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: merchant
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: minAmount
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxAmount
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: isBusiness
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: project
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: client
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: costCenter
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [purchaseDate, createdAt, amount, merchantName, category]
+ *           default: purchaseDate
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [ASC, DESC]
+ *         description: DESC for spreadsheet formats and ASC for accounting formats by default
+ *       - in: query
+ *         name: delimiter
+ *         schema:
+ *           type: string
+ *           default: ","
+ *         description: CSV field separator (comma, semicolon or tab)
+ *     responses:
+ *       200:
+ *         description: Export file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *           text/plain:
+ *             schema:
+ *               type: string
+ */
+router.get('/export', [
+    query('format').optional().isIn(EXPORT_FORMATS).withMessage(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`),
+    query('shape').optional().isIn(EXPORT_SHAPES).withMessage(`Shape must be one of: ${EXPORT_SHAPES.join(', ')}`),
+    query('q').optional().isString().trim().isLength({ min: 2 }).withMessage('Search query must be at least 2 characters'),
+    query('category').optional().custom(isKnownCategory),
+    query('merchant').optional().isString().trim(),
+    query('dateFrom').optional().isISO8601(),
+    query('dateTo').optional().isISO8601(),
+    query('minAmount').optional().isFloat({ min: 0 }),
+    query('maxAmount').optional().isFloat({ min: 0 }),
+    query('isBusiness').optional().isBoolean(),
+    query('project').optional().isString().trim().isLength({ max: 255 }),
+    query('client').optional().isString().trim().isLength({ max: 255 }),
+    query('costCenter').optional().isString().trim().isLength({ max: 100 }),
+    query('sortBy').optional().isIn(EXPORT_SORT_FIELDS),
+    query('sortOrder').optional().isIn(['ASC', 'DESC', 'asc', 'desc']),
+    query('delimiter').optional().isIn(CSV_DELIMITERS),
+    validate
+], receiptsController.exportReceipts);
+
+/**
+ * @swagger
+ * /api/receipts/export/accounts:
+ *   get:
+ *     summary: Get the account mapping of accounting exports
+ *     description: Returns the saved mapping and the account every category and payment method resolves to. Unmapped categories use Expenses, the parent category and the category name.
+ *     tags: [Receipts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Account mapping
+ *   put:
+ *     summary: Update the account mapping of accounting exports
+ *     tags: [Receipts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               categoryAccounts:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *                   nullable: true
+ *                 description: Account per category key or name, merged into the saved mapping. null removes a mapping
+ *                 example:
+ *                   grocery: Expenses:Food:Groceries
+ *               paymentAccounts:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *                   nullable: true
+ *                 description: Account per payment method (cash, card, mobile, voucher, other)
+ *                 example:
+ *                   card: Liabilities:CreditCard
+ *               defaultPaymentAccount:
+ *                 type: string
+ *                 example: Assets:Bank
+ *               vatAccount:
+ *                 type: string
+ *                 example: Assets:VAT
+ *               uncategorizedAccount:
+ *                 type: string
+ *                 example: Expenses:Uncategorized
+ *     responses:
+ *       200:
+ *         description: Account mapping updated
+ */
+router.get('/export/accounts', receiptsController.getExportAccounts);
+
+router.put('/export/accounts', [
+    body('categoryAccounts').optional().isObject(),
+    body('categoryAccounts.*').optional({ values: 'null' }).custom(isAccountName),
+    body('paymentAccounts').optional().isObject(),
+    body('paymentAccounts.*').optional({ values: 'null' }).custom(isAccountName),
+    body('defaultPaymentAccount').optional().custom(isAccountName),
+    body('vatAccount').optional().custom(isAccountName),
+    body('uncategorizedAccount').optional().custom(isAccountName),
+    validate
+], receiptsController.updateExportAccounts);
+
 /**
  * @swagger
  * /api/receipts/search/suggestions:
@@ -362,6 +761,237 @@ router.post('/filters/:id/use', [
     validate
 ], receiptsController.useSavedFilter);
 
+/**
+ * @swagger
+ * /api/receipts/trash:
+ *   get:
+ *     summary: List receipts in the trash
+ *     description: Deleted receipts stay in the trash until they are purged after the retention period (purgeAt).
+ *     tags: [Receipts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Trashed receipts
+ *   delete:
+ *     summary: Empty the trash (permanently delete all trashed receipts)
+ *     tags: [Receipts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Purge scheduled
+ */
+router.get('/trash', [
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('offset').optional().isInt({ min: 0 }),
+    validate
+], receiptsController.getTrash);
+
+router.delete('/trash', receiptsController.emptyTrash);
+
+/**
+ * @swagger
+ * /api/receipts/trash/{id}:
+ *   delete:
+ *     summary: Permanently delete a receipt from the trash
+ *     tags: [Receipts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Purge scheduled
+ *       404:
+ *         description: Receipt not in trash
+ */
+router.delete('/trash/:id', [
+    param('id').isUUID(),
+    validate
+], receiptsController.purgeReceipt);
+
+/**
+ * @swagger
+ * /api/receipts/jobs/{jobId}:
+ *   get:
+ *     summary: Get the status of an asynchronous receipt creation job
+ *     tags: [Receipts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job state and stage (uploaded, extracting, validating, itemizing, done, failed)
+ *       404:
+ *         description: Job not found
+ */
+router.get('/jobs/:jobId', [
+    param('jobId').isString().trim().notEmpty(),
+    validate
+], receiptsController.getReceiptJob);
+
+/**
+ * @swagger
+ * /api/receipts/bulk:
+ *   post:
+ *     summary: Apply one action to many receipts
+ *     description: Receipts are selected by a list of ids, a saved filter, filter criteria or a full-text search query. Selections of more than 50 receipts (or with async true) run as a background job; poll /api/receipts/bulk/jobs/{jobId} for progress and per-receipt results.
+ *     tags: [Receipts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Client-generated key (e.g. a UUID). Retries with the same key replay the first response instead of applying the operation again.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [recategorize, add_tags, remove_tags, set_payment_method, mark_business, delete, reprocess]
+ *               receiptIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *               savedFilterId:
+ *                 type: string
+ *                 format: uuid
+ *               filters:
+ *                 type: object
+ *                 description: Same criteria as a saved filter (category, merchant, dateFrom, dateTo, minAmount, maxAmount, tags, isBusiness, project, client, costCenter)
+ *               query:
+ *                 type: string
+ *                 description: Full-text search query, optionally narrowed by filters
+ *               category:
+ *                 type: string
+ *                 description: New category (recategorize)
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Tags to add or remove (add_tags, remove_tags)
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [cash, card, mobile, voucher, other]
+ *               isBusiness:
+ *                 type: boolean
+ *                 description: Business (true, default) or personal (mark_business)
+ *               project:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Project to book the receipts on (mark_business, null clears it)
+ *               client:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Client of the receipts (mark_business, null clears it)
+ *               costCenter:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Cost center of the receipts (mark_business, null clears it)
+ *               async:
+ *                 type: boolean
+ *                 description: Run as a background job regardless of the selection size
+ *     responses:
+ *       200:
+ *         description: Operation applied, with the outcome of every receipt
+ *       202:
+ *         description: Operation queued, poll /api/receipts/bulk/jobs/{jobId}
+ *       400:
+ *         description: Invalid request or too many receipts selected
+ *       404:
+ *         description: Saved filter not found
+ */
+router.post('/bulk', [
+    body('action').isIn(BULK_ACTIONS),
+    body().custom(value => {
+        const selections = ['receiptIds', 'savedFilterId', 'filters', 'query']
+            .filter(key => value[key] !== undefined);
+        const valid = selections.length === 1
+            || (selections.length === 2 && selections.includes('query') && selections.includes('filters'));
+        if (!valid) {
+            throw new Error('Select receipts with one of receiptIds, savedFilterId, filters or query');
+        }
+        return true;
+    }),
+    body('receiptIds').optional().isArray({ min: 1, max: BULK_MAX_RECEIPTS }),
+    body('receiptIds.*').isUUID(),
+    body('savedFilterId').optional().isUUID(),
+    body('filters').optional().isObject(),
+    body('query').optional().isString().trim().isLength({ min: 2, max: 255 }),
+    body('category')
+        .if(body('action').equals('recategorize'))
+        .custom(isKnownCategory),
+    body('tags')
+        .if(body('action').isIn(['add_tags', 'remove_tags']))
+        .isArray({ min: 1, max: 20 }),
+    body('tags.*').optional().isString().trim().isLength({ min: 1, max: 50 }),
+    body('paymentMethod')
+        .if(body('action').equals('set_payment_method'))
+        .isIn(['cash', 'card', 'mobile', 'voucher', 'other']),
+    body('isBusiness').optional().isBoolean(),
+    body('project').optional({ values: 'null' }).isString().trim().isLength({ max: 255 }),
+    body('client').optional({ values: 'null' }).isString().trim().isLength({ max: 255 }),
+    body('costCenter').optional({ values: 'null' }).isString().trim().isLength({ max: 100 }),
+    body('async').optional().isBoolean(),
+    validate,
+    idempotency()
+], receiptsController.bulkUpdateReceipts);
+
+/**
+ * @swagger
+ * /api/receipts/bulk/jobs/{jobId}:
+ *   get:
+ *     summary: Get the progress and result of a bulk operation
+ *     tags: [Receipts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job state, progress and, once completed, the outcome of every receipt
+ *       404:
+ *         description: Job not found
+ */
+router.get('/bulk/jobs/:jobId', [
+    param('jobId').isString().trim().notEmpty(),
+    validate
+], receiptsController.getBulkJob);
+
 /**
  * @swagger
  * /api/receipts/{id}:
@@ -384,15 +1014,79 @@ router.get('/:id', [
  *     tags: [Receipts]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Prefer
+ *         schema:
+ *           type: string
+ *           example: respond-async
+ *         description: Set to respond-async to behave like the async body flag
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Client-generated key (e.g. a UUID). Retries with the same key replay the first response instead of creating the receipt again.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - imageUrl
+ *             properties:
+ *               imageUrl:
+ *                 type: string
+ *                 description: Image of the receipt, or of its first page. May also be an uploaded PDF e-receipt; its text layer is read directly (or its scanned pages when it has none) and page previews are generated, so pageImageUrls must then be omitted.
+ *               pageImageUrls:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Images of the following pages of a long receipt, in order. Lines repeated at the bottom of one page and the top of the next are counted once.
+ *               notes:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *               processedByMLKit:
+ *                 type: boolean
+ *               source:
+ *                 type: string
+ *                 enum: [camera, gallery]
+ *               forceDuplicate:
+ *                 type: boolean
+ *               async:
+ *                 type: boolean
+ *                 description: Queue processing and return 202 with a job id
+ *     responses:
+ *       201:
+ *         description: Receipt created
+ *       202:
+ *         description: Processing queued, poll /api/receipts/jobs/{jobId}
+ *       409:
+ *         description: Duplicate receipt detected
+ *       422:
+ *         description: Could not extract data from image
  */
 router.post('/', [
     body('imageUrl').isURL().withMessage('imageUrl must be a valid URL'),
+    body('pageImageUrls').optional().isArray({ max: MAX_RECEIPT_PAGES - 1 }).withMessage(`A receipt has at most ${MAX_RECEIPT_PAGES} pages`),
+    body('pageImageUrls.*').isURL().withMessage('pageImageUrls must be valid URLs')
+        .not().matches(PDF_URL).withMessage('pageImageUrls must be images'),
+    body('pageImageUrls').custom((pageImageUrls, { req }) => {
+        if (pageImageUrls?.length && PDF_URL.test(req.body.imageUrl)) {
+            throw new Error('pageImageUrls cannot be combined with a PDF receipt');
+        }
+        return true;
+    }),
     body('notes').optional().isString().isLength({ max: 1000 }),
-    body('category').optional().isIn(ALL_VALID_CATEGORIES),
+    body('category').optional().custom(isKnownCategory),
     body('processedByMLKit').optional().isBoolean(),
     body('source').optional().isIn(['camera', 'gallery']),
     body('forceDuplicate').optional().isBoolean(),
-    validate
+    body('async').optional().isBoolean(),
+    validate,
+    idempotency()
 ], receiptsController.createReceipt);
 
 /**
@@ -400,17 +1094,36 @@ router.post('/', [
  * /api/receipts/{id}:
  *   patch:
  *     summary: Update receipt
+ *     description: |
+ *       isBusiness, project, client and costCenter mark business expenses; null or an empty string clears project, client and costCenter.
+ *       Refunds and credit notes have a negative amount (a negative purchase becomes a refund) and can be linked to the
+ *       purchase they give money back for with originalReceiptId; null unlinks them.
  *     tags: [Receipts]
  *     security:
  *       - bearerAuth: []
+ *     responses:
+ *       400:
+ *         description: Only a refund or credit note can be linked, and only to a purchase
+ *       404:
+ *         description: Receipt or original receipt not found
+ *       409:
+ *         description: |
+ *           The receipt is in an expense report and cannot be marked personal, or the report is
+ *           submitted or reimbursed and the amount or purchase date would change
  */
 router.patch('/:id', [
     param('id').isUUID(),
-    body('category').optional().isIn(ALL_VALID_CATEGORIES),
+    body('category').optional().custom(isKnownCategory),
     body('notes').optional().isString().isLength({ max: 1000 }),
     body('merchantName').optional().isString().isLength({ max: 255 }),
     body('purchaseDate').optional().isISO8601(),
-    body('amount').optional().isFloat({ min: 0 }),
+    body('amount').optional().isFloat(),
+    body('receiptType').optional().isIn(RECEIPT_TYPES),
+    body('originalReceiptId').optional({ values: 'null' }).isUUID(),
+    body('isBusiness').optional().isBoolean().toBoolean(),
+    body('project').optional({ values: 'null' }).isString().trim().isLength({ max: 255 }),
+    body('client').optional({ values: 'null' }).isString().trim().isLength({ max: 255 }),
+    body('costCenter').optional({ values: 'null' }).isString().trim().isLength({ max: 100 }),
     validate
 ], receiptsController.updateReceipt);
 
@@ -418,16 +1131,184 @@ router.patch('/:id', [
  * @swagger
  * /api/receipts/{id}:
  *   delete:
- *     summary: Delete receipt
+ *     summary: Move receipt to the trash
  *     tags: [Receipts]
  *     security:
  *       - bearerAuth: []
+ *     responses:
+ *       409:
+ *         description: The receipt is in a submitted or reimbursed expense report
  */
 router.delete('/:id', [
     param('id').isUUID(),
     validate
 ], receiptsController.deleteReceipt);
 
+/**
+ * @swagger
+ * /api/receipts/{id}/restore:
+ *   post:
+ *     summary: Restore a receipt from the trash
+ *     tags: [Receipts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Receipt restored
+ *       404:
+ *         description: Receipt not in trash
+ */
+router.post('/:id/restore', [
+    param('id').isUUID(),
+    validate
+], receiptsController.restoreReceipt);
+
+/**
+ * @swagger
+ * /api/receipts/{id}/pages:
+ *   post:
+ *     summary: Add pages to a receipt
+ *     description: |
+ *       Appends the images of more pages of a long receipt, in order, and reads the receipt again from all of its pages.
+ *       Totals, payment and taxes are taken from the merged pages, unless the pages don't show them; merchant, date and
+ *       category are kept when already set. The items are replaced by the items of all pages, unless items were changed
+ *       by hand: then the existing items are kept and itemsReplaced is false.
+ *     tags: [Receipts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - imageUrls
+ *             properties:
+ *               imageUrls:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Receipt read again from all pages
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                 itemsReplaced:
+ *                   type: boolean
+ *                   description: False when the items were kept because they had been changed by hand
+ *       400:
+ *         description: Too many pages
+ *       404:
+ *         description: Receipt not found
+ *       409:
+ *         description: The receipt is in a submitted or reimbursed expense report and the pages would change its amount
+ *       422:
+ *         description: Could not extract data from the images
+ */
+router.post('/:id/pages', [
+    param('id').isUUID(),
+    body('imageUrls').isArray({ min: 1, max: MAX_RECEIPT_PAGES }).withMessage(`imageUrls must hold 1 to ${MAX_RECEIPT_PAGES} images`),
+    body('imageUrls.*').isURL().withMessage('imageUrls must be valid URLs')
+        .not().matches(PDF_URL).withMessage('imageUrls must be images'),
+    validate
+], receiptsController.addReceiptPages);
+
+/**
+ * @swagger
+ * /api/receipts/{id}/history:
+ *   get:
+ *     summary: Get the edit history of a receipt and its items
+ *     description: Field-level changes, newest first, with the actor and the source of each change (ai, user, sync or reprocess)
+ *     tags: [Receipts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Receipt revisions
+ *       404:
+ *         description: Receipt not found
+ */
+router.get('/:id/history', [
+    param('id').isUUID(),
+    query('limit').optional().isInt({ min: 1, max: 200 }),
+    query('offset').optional().isInt({ min: 0 }),
+    validate
+], receiptsController.getReceiptHistory);
+
+/**
+ * @swagger
+ * /api/receipts/{id}/history/{revisionId}/revert:
+ *   post:
+ *     summary: Revert a receipt and its items to a prior revision
+ *     description: Restores every field changed after the revision and recalculates the price statistics of affected products. The revert is recorded in the history.
+ *     tags: [Receipts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: revisionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Receipt reverted
+ *       404:
+ *         description: Receipt or revision not found
+ *       409:
+ *         description: The receipt is in a submitted or reimbursed expense report and the revision has another amount, currency or purchase date
+ */
+router.post('/:id/history/:revisionId/revert', [
+    param('id').isUUID(),
+    param('revisionId').isInt({ min: 1 }),
+    validate
+], receiptsController.revertReceipt);
+
 /**
  * @swagger
  * /api/receipts/{id}/items:
@@ -447,6 +1328,9 @@ router.get('/:id/items', [
  * /api/receipts/{receiptId}/items/{itemId}:
  *   patch:
  *     summary: Update receipt item
+ *     description: |
+ *       Items of a refund or credit note, discounts and returned deposits have a negative unit price.
+ *       originalItemId links a returned item to the purchased item of the original receipt; null unlinks it.
  *     tags: [Receipts]
  *     security:
  *       - bearerAuth: []
@@ -455,7 +1339,8 @@ router.patch('/:receiptId/items/:itemId', [
     param('receiptId').isUUID(),
     param('itemId').isUUID(),
     body('quantity').optional().isFloat({ min: 0.001 }),
-    body('unitPrice').optional().isFloat({ min: 0 }),
+    body('unitPrice').optional().isFloat(),
+    body('originalItemId').optional({ values: 'null' }).isUUID(),
     body('isVerified').optional().isBoolean(),
     validate
 ], receiptsController.updateReceiptItem);
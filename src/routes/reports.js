@@ -0,0 +1,84 @@
+import { Router } from 'express';
+import { query } from 'express-validator';
+import { getVatReport } from '../controllers/reportController.js';
+import { VAT_REPORT_FORMATS } from '../services/vatReportService.js';
+import { authenticate, requireScopeByMethod } from '../middlewares/auth.js';
+import { userApiLimiter } from '../middlewares/rateLimiter.js';
+import { languageDetectorAuth } from '../config/i18n.js';
+import { validate, sanitizeInput } from '../middlewares/validation.js';
+
+const router = Router();
+
+// Apply authentication, rate limiting, sanitization and language detection to all routes
+router.use(authenticate);
+router.use(requireScopeByMethod('receipts:read', 'receipts:write'));
+router.use(userApiLimiter);
+router.use(sanitizeInput);
+router.use(languageDetectorAuth);  // Report headers and category names use the user's language
+
+// Validation schemas
+const periodValidation = [
+    query('from').optional().isISO8601().withMessage('from must be a date (YYYY-MM-DD)'),
+    query('to').optional().isISO8601().withMessage('to must be a date (YYYY-MM-DD)'),
+    query('to').optional().custom((to, { req }) => {
+        if (req.query.from && to < req.query.from) {
+            throw new Error('to must not be before from');
+        }
+        return true;
+    })
+];
+
+// Routes
+
+/**
+ * @swagger
+ * /api/reports/vat:
+ *   get:
+ *     summary: VAT report
+ *     description: |
+ *       VAT paid on business receipts in a period, per rate, per country and per
+ *       category, with the business receipts that have no VAT breakdown. Amounts are
+ *       summed per currency. Defaults to the current calendar quarter.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, pdf]
+ *           default: json
+ *         description: csv has one line per receipt and VAT rate, pdf is a printable summary
+ *     responses:
+ *       200:
+ *         description: VAT report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ */
+router.get('/vat', [
+    ...periodValidation,
+    query('format').optional().isIn(VAT_REPORT_FORMATS).withMessage(`Format must be one of: ${VAT_REPORT_FORMATS.join(', ')}`),
+    validate
+], getVatReport);
+
+export default router;
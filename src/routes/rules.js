@@ -0,0 +1,339 @@
+import { Router } from 'express';
+import { body, param } from 'express-validator';
+import {
+    getRules,
+    getRule,
+    createRule,
+    updateRule,
+    deleteRule,
+    dryRunRule,
+    applyRule
+} from '../controllers/ruleController.js';
+import { authenticate, requireScopeByMethod } from '../middlewares/auth.js';
+import { userApiLimiter } from '../middlewares/rateLimiter.js';
+import { validate, sanitizeInput } from '../middlewares/validation.js';
+import { resolveCategoryParams, isKnownCategory } from '../middlewares/categories.js';
+
+const router = Router();
+
+// Apply authentication, rate limiting and sanitization to all routes
+router.use(authenticate);
+router.use(requireScopeByMethod('receipts:read', 'receipts:write'));
+router.use(userApiLimiter);
+router.use(sanitizeInput);
+router.use(resolveCategoryParams);  // Loads the user's categories for isKnownCategory
+
+// Validation schemas
+const conditionsValidation = (chain) => [
+    chain
+        .isObject()
+        .withMessage('Conditions must be an object')
+        .custom((value) => {
+            if (Object.keys(value).length === 0) {
+                throw new Error('A rule needs at least one condition');
+            }
+            return true;
+        }),
+    body('conditions.merchant').optional().isString().trim().isLength({ min: 1, max: 255 }),
+    body('conditions.minAmount').optional().isFloat({ min: 0 }).toFloat(),
+    body('conditions.maxAmount').optional().isFloat({ min: 0 }).toFloat(),
+    body('conditions.paymentMethods').optional().isArray({ min: 1 }),
+    body('conditions.paymentMethods.*').isIn(['cash', 'card', 'mobile', 'voucher', 'other']),
+    body('conditions.weekdays').optional().isArray({ min: 1, max: 7 }),
+    body('conditions.weekdays.*').isInt({ min: 0, max: 6 }).toInt(),
+    body('conditions.itemText').optional().isString().trim().isLength({ min: 1, max: 255 }),
+    body('conditions.countries').optional().isArray({ min: 1 }),
+    body('conditions.countries.*').isString().isLength({ min: 2, max: 2 })
+];
+
+const actionsValidation = (chain) => [
+    chain
+        .isObject()
+        .withMessage('Actions must be an object')
+        .custom((value) => {
+            if (Object.keys(value).length === 0) {
+                throw new Error('A rule needs at least one action');
+            }
+            return true;
+        }),
+    body('actions.category').optional().custom(isKnownCategory),
+    body('actions.addTags').optional().isArray({ min: 1, max: 20 }),
+    body('actions.addTags.*').isString().trim().isLength({ min: 1, max: 50 }),
+    body('actions.notes').optional().isString().isLength({ max: 1000 }),
+    body('actions.isBusiness').optional().isBoolean().toBoolean()
+];
+
+const ruleValidation = [
+    body('name')
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Name must be between 1 and 100 characters'),
+    ...conditionsValidation(body('conditions')),
+    ...actionsValidation(body('actions')),
+    body('isActive').optional().isBoolean().toBoolean(),
+    body('priority').optional().isInt({ min: 0, max: 10000 }).toInt(),
+    body('stopProcessing').optional().isBoolean().toBoolean()
+];
+
+const updateRuleValidation = [
+    body('name')
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Name must be between 1 and 100 characters'),
+    ...conditionsValidation(body('conditions').optional()),
+    ...actionsValidation(body('actions').optional()),
+    body('isActive').optional().isBoolean().toBoolean(),
+    body('priority').optional().isInt({ min: 0, max: 10000 }).toInt(),
+    body('stopProcessing').optional().isBoolean().toBoolean()
+];
+
+const dryRunValidation = [
+    ...conditionsValidation(body('conditions')),
+    ...actionsValidation(body('actions'))
+];
+
+const uuidValidation = [
+    param('id')
+        .isUUID()
+        .withMessage('Invalid rule ID')
+];
+
+// Routes
+
+/**
+ * @swagger
+ * /api/rules:
+ *   get:
+ *     summary: List auto-categorization rules
+ *     tags: [Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Rules in the order they run
+ */
+router.get('/', getRules);
+
+/**
+ * @swagger
+ * /api/rules:
+ *   post:
+ *     summary: Create rule
+ *     description: |
+ *       Rules run on every new receipt (after AI extraction and validation) in
+ *       ascending priority order. All given conditions must match. Matching rules
+ *       set the category, add tags, set the notes or flag the receipt as business;
+ *       stopProcessing skips the remaining rules.
+ *     tags: [Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - conditions
+ *               - actions
+ *             properties:
+ *               name:
+ *                 type: string
+ *               conditions:
+ *                 type: object
+ *                 properties:
+ *                   merchant:
+ *                     type: string
+ *                     description: Text contained in the merchant name
+ *                   minAmount:
+ *                     type: number
+ *                   maxAmount:
+ *                     type: number
+ *                   paymentMethods:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                       enum: [cash, card, mobile, voucher, other]
+ *                   weekdays:
+ *                     type: array
+ *                     description: Purchase weekdays, 0 (Sunday) to 6 (Saturday)
+ *                     items:
+ *                       type: integer
+ *                   itemText:
+ *                     type: string
+ *                     description: Text contained in any item of the receipt
+ *                   countries:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *               actions:
+ *                 type: object
+ *                 properties:
+ *                   category:
+ *                     type: string
+ *                   addTags:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   notes:
+ *                     type: string
+ *                   isBusiness:
+ *                     type: boolean
+ *               priority:
+ *                 type: integer
+ *                 default: 100
+ *               stopProcessing:
+ *                 type: boolean
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Rule created
+ */
+router.post('/', ruleValidation, validate, createRule);
+
+/**
+ * @swagger
+ * /api/rules/dry-run:
+ *   post:
+ *     summary: Dry run an unsaved rule against existing receipts
+ *     description: Reports how many receipts match and the changes the rule would make, without changing anything.
+ *     tags: [Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - conditions
+ *               - actions
+ *             properties:
+ *               conditions:
+ *                 type: object
+ *               actions:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Matching receipts and proposed changes
+ */
+router.post('/dry-run', dryRunValidation, validate, dryRunRule);
+
+/**
+ * @swagger
+ * /api/rules/{id}:
+ *   get:
+ *     summary: Get rule
+ *     tags: [Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Rule details
+ *       404:
+ *         description: Rule not found
+ */
+router.get('/:id', uuidValidation, validate, getRule);
+
+/**
+ * @swagger
+ * /api/rules/{id}:
+ *   patch:
+ *     summary: Update rule
+ *     tags: [Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Rule updated
+ */
+router.patch('/:id', uuidValidation, updateRuleValidation, validate, updateRule);
+
+/**
+ * @swagger
+ * /api/rules/{id}:
+ *   delete:
+ *     summary: Delete rule
+ *     tags: [Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Rule deleted
+ */
+router.delete('/:id', uuidValidation, validate, deleteRule);
+
+/**
+ * @swagger
+ * /api/rules/{id}/dry-run:
+ *   post:
+ *     summary: Dry run a saved rule against existing receipts
+ *     tags: [Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Matching receipts and proposed changes
+ */
+router.post('/:id/dry-run', uuidValidation, validate, dryRunRule);
+
+/**
+ * @swagger
+ * /api/rules/{id}/apply:
+ *   post:
+ *     summary: Apply a rule to existing receipts
+ *     description: |
+ *       Applies the rule's actions to every existing receipt it matches. Changes are
+ *       recorded in the receipt history with source "rule". Large selections run as a
+ *       bulk job whose progress is available at /api/receipts/bulk/jobs/{jobId}.
+ *     tags: [Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Rule applied, with per-receipt results
+ *       202:
+ *         description: Bulk job queued
+ */
+router.post('/:id/apply', uuidValidation, validate, applyRule);
+
+export default router;
@@ -1,14 +1,15 @@
 import { Router } from "express";
-import { uploadReceipt, uploadProfilePhoto } from "../controllers/uploadController.js";
-import { authenticate } from "../middlewares/auth.js";
+import { uploadReceipt, uploadReceiptPages, uploadProfilePhoto } from "../controllers/uploadController.js";
+import { authenticate, requireScope, rejectAccessTokens } from "../middlewares/auth.js";
 
 const router = Router();
 
 // Specific endpoints
-router.post("/receipt", authenticate, ...uploadReceipt);
-router.post("/profile", authenticate, ...uploadProfilePhoto);
+router.post("/receipt", authenticate, requireScope("receipts:write"), ...uploadReceipt);
+router.post("/receipt/pages", authenticate, requireScope("receipts:write"), ...uploadReceiptPages);
+router.post("/profile", authenticate, rejectAccessTokens, ...uploadProfilePhoto);
 
 // Legacy endpoint for backwards compatibility (defaults to receipt upload)
-router.post("/", authenticate, ...uploadReceipt);
+router.post("/", authenticate, requireScope("receipts:write"), ...uploadReceipt);
 
 export default router;
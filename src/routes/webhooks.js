@@ -0,0 +1,301 @@
+import { Router } from 'express';
+import { body, param, query } from 'express-validator';
+import {
+    getWebhooks,
+    getWebhook,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    rotateWebhookSecret,
+    getWebhookDeliveries,
+    redeliverWebhookDelivery
+} from '../controllers/webhookController.js';
+import { WEBHOOK_EVENTS } from '../models/Webhook.js';
+import config from '../config/environment.js';
+import { assertPublicHost } from '../utils/publicHost.js';
+import { authenticate, rejectAccessTokens } from '../middlewares/auth.js';
+import { userApiLimiter } from '../middlewares/rateLimiter.js';
+import { validate, sanitizeInput } from '../middlewares/validation.js';
+
+const router = Router();
+
+// Apply authentication, rate limiting and sanitization to all routes
+router.use(authenticate);
+router.use(rejectAccessTokens);
+router.use(userApiLimiter);
+router.use(sanitizeInput);
+
+// Validation schemas
+const urlValidation = (chain) => chain
+    .isURL({
+        protocols: config.isProduction ? ['https'] : ['http', 'https'],
+        require_protocol: true,
+        require_tld: config.isProduction
+    })
+    .withMessage(config.isProduction ? 'URL must be a valid https URL' : 'URL must be a valid http(s) URL')
+    .bail()
+    // Webhooks must not reach this server or its private networks (checked again at delivery)
+    .custom(async (url) => {
+        if (!config.webhooks.allowPrivateHosts) {
+            await assertPublicHost(url);
+        }
+        return true;
+    });
+
+const eventsValidation = (chain) => chain
+    .isArray({ min: 1 })
+    .withMessage('Events must be a non-empty array')
+    .custom((value) => {
+        const invalid = value.filter(event => !WEBHOOK_EVENTS.includes(event));
+        if (invalid.length > 0) {
+            throw new Error(`Unknown events: ${invalid.join(', ')}`);
+        }
+        return true;
+    });
+
+const webhookValidation = [
+    urlValidation(body('url')),
+    eventsValidation(body('events')),
+    body('description')
+        .optional()
+        .isString()
+        .isLength({ max: 255 })
+        .withMessage('Description must be at most 255 characters')
+];
+
+const updateWebhookValidation = [
+    urlValidation(body('url').optional()),
+    eventsValidation(body('events').optional()),
+    body('description')
+        .optional()
+        .isString()
+        .isLength({ max: 255 })
+        .withMessage('Description must be at most 255 characters'),
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be boolean')
+];
+
+const uuidValidation = [
+    param('id')
+        .isUUID()
+        .withMessage('Invalid webhook ID')
+];
+
+// Routes
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   get:
+ *     summary: List webhook subscriptions
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of webhook subscriptions
+ */
+router.get('/', getWebhooks);
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   post:
+ *     summary: Create webhook subscription
+ *     description: |
+ *       Deliveries are POSTed as JSON and signed with the returned secret. The
+ *       X-TallyLens-Signature header has the form "t=<unix timestamp>,v1=<hex>", where
+ *       v1 is the HMAC-SHA256 of "<timestamp>.<raw body>". Failed deliveries are
+ *       retried with exponential backoff; after WEBHOOK_MAX_CONSECUTIVE_FAILURES failed
+ *       deliveries in a row (20 by default) the subscription is deactivated until it is
+ *       updated with isActive true. The URL must resolve to public addresses only.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - url
+ *               - events
+ *             properties:
+ *               url:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [receipt.created, receipt.updated, receipt.deleted, receipt.restored, receipt.failed, budget.alert]
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Webhook created, response includes the signing secret
+ *       400:
+ *         description: Invalid URL or events, or a URL on a loopback, link-local or private network
+ */
+router.post('/', webhookValidation, validate, createWebhook);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   get:
+ *     summary: Get webhook subscription
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Webhook details
+ *       404:
+ *         description: Webhook not found
+ */
+router.get('/:id', uuidValidation, validate, getWebhook);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   patch:
+ *     summary: Update webhook subscription
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Webhook updated
+ */
+router.patch('/:id', uuidValidation, updateWebhookValidation, validate, updateWebhook);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   delete:
+ *     summary: Delete webhook subscription
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Webhook deleted
+ */
+router.delete('/:id', uuidValidation, validate, deleteWebhook);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/rotate-secret:
+ *   post:
+ *     summary: Rotate the signing secret
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: New secret generated
+ */
+router.post('/:id/rotate-secret', uuidValidation, validate, rotateWebhookSecret);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Get delivery log
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, success, failed]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Deliveries, newest first
+ */
+router.get('/:id/deliveries', [
+    ...uuidValidation,
+    query('status').optional().isIn(['pending', 'success', 'failed']),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('offset').optional().isInt({ min: 0 })
+], validate, getWebhookDeliveries);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     summary: Redeliver a logged delivery
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       202:
+ *         description: Redelivery scheduled
+ */
+router.post('/:id/deliveries/:deliveryId/redeliver', [
+    ...uuidValidation,
+    param('deliveryId').isUUID().withMessage('Invalid delivery ID')
+], validate, redeliverWebhookDelivery);
+
+export default router;
@@ -0,0 +1,449 @@
+import AccountingPreference, {
+    DEFAULT_PAYMENT_METHOD_ACCOUNTS
+} from '../models/AccountingPreference.js';
+import { getUserCategories, findCategory } from './categoryService.js';
+import { ValidationError } from '../utils/errors.js';
+
+/**
+ * Receipts as double-entry transactions for Ledger/hledger, Beancount, QIF and YNAB.
+ *
+ * Each receipt becomes one transaction: expense postings for its category (or, with
+ * item splits, for the categories of its items), one posting per VAT rate from
+ * Receipt.vatInfo, and the payment posting balancing them.
+ */
+
+export const ACCOUNTING_FORMATS = ['ledger', 'beancount', 'qif', 'ynab'];
+
+export const ACCOUNTING_CONTENT_TYPES = {
+    ledger: 'text/plain; charset=utf-8',
+    beancount: 'text/plain; charset=utf-8',
+    qif: 'application/qif; charset=utf-8',
+    ynab: 'text/csv; charset=utf-8'
+};
+
+export const ACCOUNTING_FILE_EXTENSIONS = {
+    ledger: 'journal',
+    beancount: 'beancount',
+    qif: 'qif',
+    ynab: 'csv'
+};
+
+const PAYMENT_METHODS = ['cash', 'card', 'mobile', 'voucher', 'other'];
+
+const BEANCOUNT_ROOTS = ['Assets', 'Liabilities', 'Equity', 'Income', 'Expenses'];
+
+// =================== ACCOUNT MAPPING ===================
+
+function accountComponent(name) {
+    return name.replace(/:/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Account of each category key: the user's mapping, or Expenses:<Parent>:<Name>
+ */
+function categoryAccountsFor(preferences, categories) {
+    const accounts = {};
+
+    for (const category of categories) {
+        const parent = category.parentId
+            ? categories.find(candidate => candidate.id === category.parentId)
+            : null;
+
+        accounts[category.key] = preferences.categoryAccounts?.[category.key] ||
+            ['Expenses', parent && accountComponent(parent.name), accountComponent(category.name)]
+                .filter(Boolean)
+                .join(':');
+    }
+
+    return accounts;
+}
+
+function resolveAccounts(preferences, categories) {
+    const paymentAccounts = {};
+    for (const method of PAYMENT_METHODS) {
+        paymentAccounts[method] = preferences.paymentAccounts?.[method] ||
+            DEFAULT_PAYMENT_METHOD_ACCOUNTS[method] ||
+            preferences.defaultPaymentAccount;
+    }
+
+    return {
+        categories: categoryAccountsFor(preferences, categories),
+        payment: paymentAccounts,
+        defaultPayment: preferences.defaultPaymentAccount,
+        vat: preferences.vatAccount,
+        uncategorized: preferences.uncategorizedAccount
+    };
+}
+
+/**
+ * Account mapping settings with the account every category and payment method resolves to
+ */
+export async function getAccountMapping(userId) {
+    const [preferences, categories] = await Promise.all([
+        AccountingPreference.getOrCreate(userId),
+        getUserCategories(userId)
+    ]);
+
+    return { preferences, accounts: resolveAccounts(preferences, categories) };
+}
+
+/**
+ * Resolved accounts for an export
+ */
+export async function getExportAccounts(userId) {
+    const { accounts } = await getAccountMapping(userId);
+    return accounts;
+}
+
+/**
+ * Update the account mapping. Category and payment method mappings are merged into the
+ * existing ones; a null account removes the mapping.
+ */
+export async function updateAccountMapping(userId, updates) {
+    const preferences = await AccountingPreference.getOrCreate(userId);
+    const changes = {};
+
+    if (updates.categoryAccounts) {
+        const categories = await getUserCategories(userId);
+        const categoryAccounts = { ...preferences.categoryAccounts };
+
+        for (const [value, account] of Object.entries(updates.categoryAccounts)) {
+            const category = findCategory(categories, value);
+            if (!category) {
+                throw new ValidationError(`Invalid category: ${value}`);
+            }
+            if (account) {
+                categoryAccounts[category.key] = account;
+            } else {
+                delete categoryAccounts[category.key];
+            }
+        }
+        changes.categoryAccounts = categoryAccounts;
+    }
+
+    if (updates.paymentAccounts) {
+        const paymentAccounts = { ...preferences.paymentAccounts };
+
+        for (const [method, account] of Object.entries(updates.paymentAccounts)) {
+            if (!PAYMENT_METHODS.includes(method)) {
+                throw new ValidationError(`Invalid payment method: ${method}`);
+            }
+            if (account) {
+                paymentAccounts[method] = account;
+            } else {
+                delete paymentAccounts[method];
+            }
+        }
+        changes.paymentAccounts = paymentAccounts;
+    }
+
+    for (const field of ['defaultPaymentAccount', 'vatAccount', 'uncategorizedAccount']) {
+        if (updates[field]) {
+            changes[field] = updates[field];
+        }
+    }
+
+    await preferences.update(changes);
+
+    return getAccountMapping(userId);
+}
+
+// =================== TRANSACTIONS ===================
+
+const toCents = value => Math.round(Number(value) * 100);
+
+/**
+ * Split an amount (in cents) proportionally to weights, keeping the exact total
+ */
+function distributeCents(total, weights) {
+    const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+    const shares = weights.map(weight => Math.floor(total * weight / weightSum));
+    let remainder = total - shares.reduce((sum, share) => sum + share, 0);
+
+    // Largest fractional parts first
+    const order = weights
+        .map((weight, index) => ({ index, fraction: total * weight / weightSum - shares[index] }))
+        .sort((a, b) => b.fraction - a.fraction);
+    for (let i = 0; remainder > 0; i = (i + 1) % order.length, remainder--) {
+        shares[order[i].index]++;
+    }
+
+    return shares;
+}
+
+function categoryAccount(accounts, key) {
+    if (!key) return accounts.uncategorized;
+    return accounts.categories[key] || `Expenses:${key.charAt(0).toUpperCase()}${key.slice(1)}`;
+}
+
+/**
+ * Double-entry transaction for a receipt (amounts in cents), or null when the receipt
+ * has no amount
+ *
+ * @param {Object} receipt - Receipt, with items and their products for splits
+ * @param {Object} accounts - From getExportAccounts
+ * @param {boolean} splitItems - One expense posting per item category
+ */
+export function buildTransaction(receipt, accounts, { splitItems = false } = {}) {
+    if (receipt.amount === null || receipt.amount === undefined) {
+        return null;
+    }
+
+    const total = toCents(receipt.amount);
+
+    const vatPostings = Object.entries(receipt.vatInfo || {})
+        .map(([rate, vat]) => ({ account: accounts.vat, amount: toCents(vat?.amount || 0), vatRate: rate }))
+        .filter(posting => posting.amount > 0);
+    const vatTotal = vatPostings.reduce((sum, posting) => sum + posting.amount, 0);
+    const net = total - vatTotal;
+
+    // Items grouped by category, weighted by their price
+    const itemGroups = new Map();
+    if (splitItems) {
+        for (const item of receipt.items || []) {
+            const key = item.product?.category || receipt.category;
+            const price = Math.max(toCents(item.totalPrice || 0), 0);
+            itemGroups.set(key, (itemGroups.get(key) || 0) + price);
+        }
+    }
+
+    let expensePostings;
+    const weights = [...itemGroups.values()];
+    if (itemGroups.size > 1 && weights.some(weight => weight > 0)) {
+        const shares = distributeCents(net, weights);
+        expensePostings = [...itemGroups.keys()]
+            .map((key, index) => ({ account: categoryAccount(accounts, key), amount: shares[index], category: key }))
+            .filter(posting => posting.amount !== 0);
+    } else {
+        expensePostings = [{
+            account: categoryAccount(accounts, receipt.category),
+            amount: net,
+            category: receipt.category
+        }];
+    }
+
+    return {
+        receiptId: receipt.id,
+        date: receipt.purchaseDate ? new Date(receipt.purchaseDate).toISOString().slice(0, 10) : null,
+        payee: receipt.merchantName || '',
+        memo: receipt.notes ? receipt.notes.replace(/\s+/g, ' ').trim() : '',
+        tags: receipt.tags || [],
+        currency: receipt.currency,
+        total,
+        postings: [
+            ...expensePostings,
+            ...vatPostings,
+            {
+                account: accounts.payment[receipt.paymentMethod] || accounts.defaultPayment,
+                amount: -total,
+                payment: true
+            }
+        ]
+    };
+}
+
+// =================== FORMATS ===================
+
+const formatCents = cents => (cents / 100).toFixed(2);
+
+// Two spaces end an account name in Ledger
+function ledgerAccount(account) {
+    return account.replace(/\s+/g, ' ').trim();
+}
+
+function ledgerTag(tag) {
+    return String(tag).replace(/[\s:]+/g, '-');
+}
+
+async function* ledgerStream(transactions) {
+    for await (const transaction of transactions) {
+        const lines = [`${transaction.date} * ${transaction.payee.replace(/[\r\n]+/g, ' ')}`.trimEnd()];
+        lines.push(`    ; receipt: ${transaction.receiptId}`);
+        if (transaction.memo) lines.push(`    ; ${transaction.memo}`);
+        if (transaction.tags.length > 0) lines.push(`    ; :${transaction.tags.map(ledgerTag).join(':')}:`);
+
+        for (const posting of transaction.postings) {
+            const account = ledgerAccount(posting.account);
+            const amount = `${formatCents(posting.amount)} ${transaction.currency}`;
+            const comment = posting.vatRate ? `  ; VAT ${posting.vatRate}%` : '';
+            lines.push(`    ${account.padEnd(44)}  ${amount.padStart(14)}${comment}`);
+        }
+
+        yield lines.join('\n') + '\n\n';
+    }
+}
+
+/**
+ * Beancount account: a known root and components starting with a capital letter or digit
+ */
+function beancountAccount(account) {
+    const components = account.split(':')
+        .map(component => component
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^A-Za-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, ''))
+        .filter(Boolean)
+        .map(component => component.charAt(0).toUpperCase() + component.slice(1));
+
+    if (!BEANCOUNT_ROOTS.includes(components[0])) {
+        components.unshift('Expenses');
+    }
+    return components.join(':');
+}
+
+function beancountString(value) {
+    return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/[\r\n]+/g, ' ')}"`;
+}
+
+function beancountTag(tag) {
+    return String(tag).replace(/[^A-Za-z0-9\-_/.]+/g, '-');
+}
+
+async function* beancountStream(transactions) {
+    // Directives are order-independent, so accounts are opened after the transactions
+    const openedAccounts = new Map();
+    let firstDate = null;
+
+    for await (const transaction of transactions) {
+        if (!firstDate || transaction.date < firstDate) firstDate = transaction.date;
+
+        const tags = transaction.tags.map(tag => ` #${beancountTag(tag)}`).join('');
+        const lines = [
+            `${transaction.date} * ${beancountString(transaction.payee)} ${beancountString(transaction.memo)}${tags}`,
+            `  receipt: ${beancountString(transaction.receiptId)}`
+        ];
+
+        for (const posting of transaction.postings) {
+            const account = beancountAccount(posting.account);
+            openedAccounts.set(account, true);
+            lines.push(`  ${account.padEnd(44)}  ${formatCents(posting.amount).padStart(10)} ${transaction.currency}`);
+            if (posting.vatRate) lines.push(`    vat_rate: ${beancountString(posting.vatRate)}`);
+        }
+
+        yield lines.join('\n') + '\n\n';
+    }
+
+    if (openedAccounts.size > 0) {
+        yield [...openedAccounts.keys()].sort().map(account => `${firstDate} open ${account}`).join('\n') + '\n';
+    }
+}
+
+/**
+ * QIF category of an expense account (without the Expenses root), or a transfer
+ * ([Account]) for other accounts such as VAT
+ */
+function qifCategory(account) {
+    const [root, ...rest] = account.split(':');
+    return root === 'Expenses' && rest.length > 0 ? rest.join(':') : `[${account}]`;
+}
+
+function qifDate(date) {
+    const [year, month, day] = date.split('-');
+    return `${month}/${day}/${year}`;
+}
+
+async function* qifStream(transactions) {
+    let currentAccount = null;
+
+    for await (const transaction of transactions) {
+        const payment = transaction.postings.find(posting => posting.payment);
+        const splits = transaction.postings.filter(posting => !posting.payment);
+
+        // Transactions are grouped under the account that paid them
+        if (payment.account !== currentAccount) {
+            currentAccount = payment.account;
+            const type = currentAccount.startsWith('Liabilities') ? 'CCard' : 'Bank';
+            yield `!Account\nN${currentAccount}\nT${type}\n^\n!Type:${type}\n`;
+        }
+
+        const lines = [
+            `D${qifDate(transaction.date)}`,
+            `T${formatCents(-transaction.total)}`,
+            `P${transaction.payee.replace(/[\r\n]+/g, ' ')}`,
+            `M${[transaction.memo, `receipt ${transaction.receiptId}`].filter(Boolean).join(' - ')}`
+        ];
+
+        lines.push(`L${qifCategory(splits[0].account)}`);
+        if (splits.length > 1) {
+            for (const split of splits) {
+                lines.push(`S${qifCategory(split.account)}`);
+                if (split.vatRate) lines.push(`EVAT ${split.vatRate}%`);
+                lines.push(`$${formatCents(-split.amount)}`);
+            }
+        }
+
+        yield lines.join('\n') + '\n^\n';
+    }
+}
+
+function csvValue(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * YNAB file import columns. YNAB has no split import, so split receipts become one
+ * row per split, all with the receipt in the memo.
+ */
+async function* ynabStream(transactions) {
+    yield 'Date,Payee,Category,Memo,Outflow,Inflow\r\n';
+
+    for await (const transaction of transactions) {
+        const splits = transaction.postings.filter(posting => !posting.payment);
+
+        for (const [index, split] of splits.entries()) {
+            const memo = [
+                transaction.memo,
+                splits.length > 1 ? `split ${index + 1}/${splits.length}` : null,
+                split.vatRate ? `VAT ${split.vatRate}%` : null
+            ].filter(Boolean).join(' - ');
+
+            const category = qifCategory(split.account).replace(/^\[|\]$/g, '');
+            yield [
+                transaction.date,
+                transaction.payee,
+                category,
+                memo,
+                split.amount >= 0 ? formatCents(split.amount) : '',
+                split.amount < 0 ? formatCents(-split.amount) : ''
+            ].map(csvValue).join(',') + '\r\n';
+        }
+    }
+}
+
+const ACCOUNTING_WRITERS = {
+    ledger: ledgerStream,
+    beancount: beancountStream,
+    qif: qifStream,
+    ynab: ynabStream
+};
+
+/**
+ * Yields an accounting file for receipts
+ * @param {string} format - ledger, beancount, qif or ynab
+ * @param {AsyncIterable<Object>} receipts
+ * @param {Object} accounts - From getExportAccounts
+ * @param {Object} options
+ * @param {boolean} options.splitItems - Split expenses by item category
+ */
+export function accountingStream(format, receipts, accounts, { splitItems = false } = {}) {
+    const transactions = (async function* () {
+        for await (const receipt of receipts) {
+            const transaction = buildTransaction(receipt, accounts, { splitItems });
+            if (transaction?.date) {
+                yield transaction;
+            }
+        }
+    })();
+
+    return ACCOUNTING_WRITERS[format](transactions);
+}
+
+export default {
+    getExportAccounts,
+    getAccountMapping,
+    updateAccountMapping,
+    buildTransaction,
+    accountingStream
+};
@@ -3,6 +3,8 @@ import sequelize from '../config/db.js';
 import Receipt from '../models/Receipt.js';
 import Product from '../models/Product.js';
 import ReceiptItem from '../models/ReceiptItem.js';
+import Merchant from '../models/Merchant.js';
+import { convertedAmount, convertedAmountSql, unconvertedCount, unconvertedCountSql, getUserBaseCurrency } from './currencyService.js';
 import { log } from '../utils/logger.js';
 
 export async function getUserPurchasePatterns(userId, options = {}) {
@@ -18,6 +20,20 @@ export async function getUserPurchasePatterns(userId, options = {}) {
     try {
         const patterns = {};
 
+        // Amounts are converted to the user's base currency at the rate of the purchase date.
+        // Amounts without a rate are left out of the totals and counted as unconverted.
+        const baseCurrency = options.baseCurrency || await getUserBaseCurrency(userId);
+        const amount = convertedAmountSql(baseCurrency);
+        const unconverted = unconvertedCountSql(baseCurrency);
+        const itemColumns = (column) => ({
+            amount: `ri.${column}`,
+            currency: 'ri.currency',
+            date: 'COALESCE(r.purchase_date, r.created_at)'
+        });
+        const itemAmount = (column) => convertedAmountSql(baseCurrency, itemColumns(column));
+        const itemUnconverted = unconvertedCountSql(baseCurrency, itemColumns('total_price'));
+        const jsonAmount = (path) => convertedAmountSql(baseCurrency, { amount: `(${path})::DECIMAL` });
+
         // 1. Spending patterns by category
         const categorySpending = await Receipt.findAll({
             where: {
@@ -28,14 +44,15 @@ export async function getUserPurchasePatterns(userId, options = {}) {
             attributes: [
                 'category',
                 [sequelize.fn('COUNT', sequelize.col('id')), 'receiptCount'],
-                [sequelize.fn('SUM', sequelize.col('amount')), 'totalAmount'],
-                [sequelize.fn('AVG', sequelize.col('amount')), 'averageAmount'],
-                [sequelize.fn('MIN', sequelize.col('amount')), 'minAmount'],
-                [sequelize.fn('MAX', sequelize.col('amount')), 'maxAmount']
+                [sequelize.fn('SUM', sequelize.literal(amount)), 'totalAmount'],
+                [sequelize.fn('AVG', sequelize.literal(amount)), 'averageAmount'],
+                [sequelize.fn('MIN', sequelize.literal(amount)), 'minAmount'],
+                [sequelize.fn('MAX', sequelize.literal(amount)), 'maxAmount'],
+                [sequelize.literal(unconverted), 'unconvertedCount']
             ],
             group: ['category'],
             // Order by the alias defined above ('totalAmount')
-            order: [[sequelize.col('totalAmount'), 'DESC']]
+            order: [[sequelize.col('totalAmount'), 'DESC NULLS LAST']]
         });
 
         patterns.categorySpending = categorySpending;
@@ -45,10 +62,12 @@ export async function getUserPurchasePatterns(userId, options = {}) {
             SELECT
                 DATE_TRUNC('week', created_at) as week,
                 COUNT(*) as receipt_count,
-                SUM(amount) as total_amount,
-                AVG(amount) as average_amount
+                SUM(${amount}) as total_amount,
+                AVG(${amount}) as average_amount,
+                ${unconverted} as unconverted_count
             FROM receipts
             WHERE user_id = :userId
+                AND deleted_at IS NULL
                 AND created_at >= :dateFrom
                 AND amount IS NOT NULL
             GROUP BY DATE_TRUNC('week', created_at)
@@ -66,13 +85,15 @@ export async function getUserPurchasePatterns(userId, options = {}) {
                 DATE_TRUNC('month', created_at) as month,
                 category,
                 COUNT(*) as receipt_count,
-                SUM(amount) as total_amount
+                SUM(${amount}) as total_amount,
+                ${unconverted} as unconverted_count
             FROM receipts
             WHERE user_id = :userId
+                AND deleted_at IS NULL
                 AND created_at >= :dateFrom
                 AND amount IS NOT NULL
             GROUP BY DATE_TRUNC('month', created_at), category
-            ORDER BY month DESC, total_amount DESC
+            ORDER BY month DESC, total_amount DESC NULLS LAST
         `, {
             replacements: { userId, dateFrom },
             type: sequelize.QueryTypes.SELECT
@@ -80,23 +101,33 @@ export async function getUserPurchasePatterns(userId, options = {}) {
 
         patterns.monthlyComparison = monthlyComparison;
 
-        // 4. Most frequent merchants
+        // 4. Most frequent merchants (spellings of the same merchant count together)
         if (includeMerchantAnalysis) {
+            const merchantName = sequelize.fn('COALESCE', sequelize.col('merchant.name'), sequelize.col('Receipt.merchant_name'));
+            const receiptColumns = {
+                amount: '"Receipt"."amount"',
+                currency: '"Receipt"."currency"',
+                date: 'COALESCE("Receipt"."purchase_date", "Receipt"."created_at")'
+            };
+            const receiptAmount = convertedAmount(baseCurrency, receiptColumns);
             const merchantFrequency = await Receipt.findAll({
                 where: {
                     userId,
                     createdAt: { [Op.gte]: dateFrom },
                     merchantName: { [Op.not]: null }
                 },
+                include: [{ model: Merchant, as: 'merchant', attributes: [] }],
                 attributes: [
-                    'merchantName',
-                    [sequelize.fn('COUNT', sequelize.col('id')), 'visitCount'],
-                    [sequelize.fn('SUM', sequelize.col('amount')), 'totalSpent'],
-                    [sequelize.fn('AVG', sequelize.col('amount')), 'averageSpent'],
-                    [sequelize.fn('MAX', sequelize.col('created_at')), 'lastVisit']
+                    'merchantId',
+                    [merchantName, 'merchantName'],
+                    [sequelize.fn('COUNT', sequelize.col('Receipt.id')), 'visitCount'],
+                    [sequelize.fn('SUM', receiptAmount), 'totalSpent'],
+                    [sequelize.fn('AVG', receiptAmount), 'averageSpent'],
+                    [unconvertedCount(baseCurrency, receiptColumns), 'unconvertedCount'],
+                    [sequelize.fn('MAX', sequelize.col('Receipt.created_at')), 'lastVisit']
                 ],
-                group: ['merchantName'],
-                having: sequelize.where(sequelize.fn('COUNT', sequelize.col('id')), '>=', 2),
+                group: [sequelize.col('Receipt.merchant_id'), merchantName],
+                having: sequelize.where(sequelize.fn('COUNT', sequelize.col('Receipt.id')), '>=', 2),
                 // Order by the alias defined above ('visitCount')
                 order: [[sequelize.col('visitCount'), 'DESC']],
                 limit: 15
@@ -117,8 +148,9 @@ export async function getUserPurchasePatterns(userId, options = {}) {
                     'paymentMethod',
                     'cardType',
                     [sequelize.fn('COUNT', sequelize.col('id')), 'usageCount'],
-                    [sequelize.fn('SUM', sequelize.col('amount')), 'totalAmount'],
-                    [sequelize.fn('AVG', sequelize.col('amount')), 'averageAmount']
+                    [sequelize.fn('SUM', sequelize.literal(amount)), 'totalAmount'],
+                    [sequelize.fn('AVG', sequelize.literal(amount)), 'averageAmount'],
+                    [sequelize.literal(unconverted), 'unconvertedCount']
                 ],
                 group: ['paymentMethod', 'cardType'],
                 order: [[sequelize.col('usageCount'), 'DESC']]
@@ -137,17 +169,19 @@ export async function getUserPurchasePatterns(userId, options = {}) {
                     p.brand,
                     COUNT(ri.id) as purchase_count,
                     SUM(ri.quantity) as total_quantity,
-                    SUM(ri.total_price) as total_spent,
-                    AVG(ri.unit_price) as average_price,
+                    SUM(${itemAmount('total_price')}) as total_spent,
+                    AVG(CASE WHEN ri.unit_price > 0 THEN ${itemAmount('unit_price')} END) as average_price,
+                    ${itemUnconverted} as unconverted_count,
                     MAX(r.created_at) as last_purchased
                 FROM products p
                 JOIN receipt_items ri ON p.id = ri.product_id
                 JOIN receipts r ON ri.receipt_id = r.id
                 WHERE r.user_id = :userId
+                    AND r.deleted_at IS NULL
                     AND r.created_at >= :dateFrom
                 GROUP BY p.id, p.name, p.normalized_name, p.category, p.brand
                 HAVING COUNT(ri.id) >= 2
-                ORDER BY purchase_count DESC, total_spent DESC
+                ORDER BY purchase_count DESC, total_spent DESC NULLS LAST
                 LIMIT 20
             `, {
                 replacements: { userId, dateFrom },
@@ -162,16 +196,18 @@ export async function getUserPurchasePatterns(userId, options = {}) {
                     p.category,
                     COUNT(ri.id) as item_count,
                     SUM(ri.quantity) as total_quantity,
-                    SUM(ri.total_price) as total_spent,
-                    AVG(ri.unit_price) as average_price
+                    SUM(${itemAmount('total_price')}) as total_spent,
+                    AVG(CASE WHEN ri.unit_price > 0 THEN ${itemAmount('unit_price')} END) as average_price,
+                    ${itemUnconverted} as unconverted_count
                 FROM products p
                 JOIN receipt_items ri ON p.id = ri.product_id
                 JOIN receipts r ON ri.receipt_id = r.id
                 WHERE r.user_id = :userId
+                    AND r.deleted_at IS NULL
                     AND r.created_at >= :dateFrom
                     AND p.category IS NOT NULL
                 GROUP BY p.category
-                ORDER BY total_spent DESC
+                ORDER BY total_spent DESC NULLS LAST
             `, {
                 replacements: { userId, dateFrom },
                 type: sequelize.QueryTypes.SELECT
@@ -189,7 +225,7 @@ export async function getUserPurchasePatterns(userId, options = {}) {
                     SUM(
                         CASE
                             WHEN jsonb_typeof(discount_info->'amount') = 'number'
-                            THEN (discount_info->>'amount')::DECIMAL
+                            THEN ${jsonAmount("discount_info->>'amount'")}
                             ELSE 0
                         END
                     ), 0
@@ -198,13 +234,14 @@ export async function getUserPurchasePatterns(userId, options = {}) {
                     AVG(
                         CASE
                             WHEN jsonb_typeof(discount_info->'amount') = 'number'
-                            THEN (discount_info->>'amount')::DECIMAL
+                            THEN ${jsonAmount("discount_info->>'amount'")}
                             ELSE NULL
                         END
                     ), 0
                 ) as "averageSavings"
             FROM receipts
             WHERE user_id = :userId
+                AND deleted_at IS NULL
                 AND created_at >= :dateFrom
                 AND discount_info IS NOT NULL
                 AND discount_info->>'type' IS NOT NULL
@@ -227,7 +264,7 @@ export async function getUserPurchasePatterns(userId, options = {}) {
                         CASE
                             WHEN jsonb_typeof(vat_info->'21') = 'object'
                                 AND vat_info->'21'->>'amount' IS NOT NULL
-                            THEN (vat_info->'21'->>'amount')::DECIMAL
+                            THEN ${jsonAmount("vat_info->'21'->>'amount'")}
                             ELSE NULL
                         END
                     ), 0
@@ -237,14 +274,16 @@ export async function getUserPurchasePatterns(userId, options = {}) {
                         CASE
                             WHEN jsonb_typeof(vat_info->'9') = 'object'
                                 AND vat_info->'9'->>'amount' IS NOT NULL
-                            THEN (vat_info->'9'->>'amount')::DECIMAL
+                            THEN ${jsonAmount("vat_info->'9'->>'amount'")}
                             ELSE NULL
                         END
                     ), 0
                 ) as avg_vat_9,
-                SUM(amount) as total_amount
+                SUM(${amount}) as total_amount,
+                ${unconverted} as unconverted_count
             FROM receipts
             WHERE user_id = :userId
+                AND deleted_at IS NULL
                 AND created_at >= :dateFrom
                 AND vat_info IS NOT NULL
                 AND country IS NOT NULL
@@ -263,9 +302,10 @@ export async function getUserPurchasePatterns(userId, options = {}) {
                 EXTRACT(DOW FROM created_at) as day_of_week,
                 EXTRACT(HOUR FROM created_at) as hour_of_day,
                 COUNT(*) as receipt_count,
-                AVG(amount) as average_amount
+                AVG(${amount}) as average_amount
             FROM receipts
             WHERE user_id = :userId
+                AND deleted_at IS NULL
                 AND created_at >= :dateFrom
                 AND amount IS NOT NULL
             GROUP BY EXTRACT(DOW FROM created_at), EXTRACT(HOUR FROM created_at)
@@ -292,7 +332,8 @@ export async function getUserPurchasePatterns(userId, options = {}) {
                 userId,
                 analysisDate: new Date(),
                 periodDays: days,
-                dateFrom
+                dateFrom,
+                baseCurrency
             }
         };
 
@@ -310,21 +351,37 @@ export async function getUserPurchasePatterns(userId, options = {}) {
     }
 }
 
-export async function getPriceHistoryAnalysis(productId, days = 180) {
+/**
+ * Prices paid for a product, with statistics in the base currency when one is
+ * given (each price converted at the rate of its purchase date)
+ */
+export async function getPriceHistoryAnalysis(productId, days = 180, baseCurrency = null) {
     try {
+        const itemAmount = (column) => baseCurrency
+            ? convertedAmountSql(baseCurrency, {
+                amount: `ri.${column}`,
+                currency: 'ri.currency',
+                date: 'COALESCE(r.purchase_date, r.created_at)'
+            })
+            : `ri.${column}`;
+
         const priceHistory = await sequelize.query(`
             SELECT
                 ri.unit_price,
                 ri.total_price,
+                ${itemAmount('unit_price')} as converted_unit_price,
+                ${itemAmount('total_price')} as converted_total_price,
                 ri.quantity,
-                r.merchant_name,
+                COALESCE(m.name, r.merchant_name) as merchant_name,
                 r.purchase_date,
                 r.created_at,
                 r.country,
                 r.currency
             FROM receipt_items ri
             JOIN receipts r ON ri.receipt_id = r.id
+            LEFT JOIN merchants m ON r.merchant_id = m.id
             WHERE ri.product_id = :productId
+                AND r.deleted_at IS NULL
                 AND r.created_at >= :dateFrom
                 AND ri.unit_price > 0
             ORDER BY r.created_at DESC
@@ -336,10 +393,12 @@ export async function getPriceHistoryAnalysis(productId, days = 180) {
             type: sequelize.QueryTypes.SELECT
         });
 
-        // Calculate price statistics
-        const prices = priceHistory.map(item => parseFloat(item.unit_price));
+        // Calculate price statistics, over the prices that could be converted
+        const converted = priceHistory.filter(item => item.converted_unit_price !== null);
+        const prices = converted.map(item => parseFloat(item.converted_unit_price));
         const statistics = {
             count: prices.length,
+            unconvertedCount: priceHistory.length - converted.length,
             min: Math.min(...prices),
             max: Math.max(...prices),
             average: prices.reduce((a, b) => a + b, 0) / prices.length,
@@ -347,12 +406,12 @@ export async function getPriceHistoryAnalysis(productId, days = 180) {
         };
 
         // Price trends by merchant
-        const merchantPrices = priceHistory.reduce((acc, item) => {
+        const merchantPrices = converted.reduce((acc, item) => {
             const merchant = item.merchant_name;
             if (!acc[merchant]) {
                 acc[merchant] = [];
             }
-            acc[merchant].push(parseFloat(item.unit_price));
+            acc[merchant].push(parseFloat(item.converted_unit_price));
             return acc;
         }, {});
 
@@ -369,7 +428,8 @@ export async function getPriceHistoryAnalysis(productId, days = 180) {
             data: {
                 priceHistory,
                 statistics,
-                merchantAnalysis
+                merchantAnalysis,
+                currency: baseCurrency
             }
         };
 
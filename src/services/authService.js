@@ -2,8 +2,9 @@ import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 import User from '../models/User.js';
 import RefreshToken from '../models/RefreshToken.js';
+import PersonalAccessToken, { ACCESS_TOKEN_PREFIX } from '../models/PersonalAccessToken.js';
 import config from '../config/environment.js';
-import { AuthenticationError, ValidationError, ConflictError } from '../utils/errors.js';
+import { AuthenticationError, ValidationError, ConflictError, NotFoundError } from '../utils/errors.js';
 import { log } from '../utils/logger.js';
 
 class AuthService {
@@ -353,6 +354,69 @@ class AuthService {
 
         return { message: 'Email verified successfully' };
     }
+
+    // Personal access tokens
+    async createPersonalAccessToken(userId, { name, scopes, expiresAt = null }) {
+        if (expiresAt && new Date(expiresAt) <= new Date()) {
+            throw new ValidationError('Expiration date must be in the future');
+        }
+
+        const token = ACCESS_TOKEN_PREFIX + crypto.randomBytes(30).toString('base64url');
+
+        const accessToken = await PersonalAccessToken.create({
+            userId,
+            name,
+            scopes: [...new Set(scopes)],
+            expiresAt,
+            tokenHash: PersonalAccessToken.hashToken(token),
+            tokenPrefix: token.slice(0, 12)
+        });
+
+        log.info('Personal access token created', { userId, tokenId: accessToken.id, scopes: accessToken.scopes });
+
+        // The plain token is only available now; just its hash is stored
+        return { accessToken, token };
+    }
+
+    async verifyPersonalAccessToken(token, ipAddress) {
+        const accessToken = await PersonalAccessToken.findByToken(token);
+
+        if (!accessToken || accessToken.revokedAt) {
+            throw new AuthenticationError('Invalid token');
+        }
+
+        if (accessToken.isExpired()) {
+            throw new AuthenticationError('Token expired');
+        }
+
+        await accessToken.recordUsage(ipAddress);
+
+        return accessToken;
+    }
+
+    async listPersonalAccessTokens(userId) {
+        return await PersonalAccessToken.findAll({
+            where: { userId },
+            order: [['createdAt', 'DESC']]
+        });
+    }
+
+    async revokePersonalAccessToken(userId, tokenId) {
+        const accessToken = await PersonalAccessToken.findOne({
+            where: { id: tokenId, userId }
+        });
+
+        if (!accessToken) {
+            throw new NotFoundError('Access token');
+        }
+
+        if (!accessToken.revokedAt) {
+            await accessToken.revoke();
+            log.info('Personal access token revoked', { userId, tokenId });
+        }
+
+        return accessToken;
+    }
 }
 
 export default new AuthService();
\ No newline at end of file
@@ -1,6 +1,10 @@
 import { Op } from 'sequelize';
 import sequelize from '../config/db.js';
 import Receipt from '../models/Receipt.js';
+import User from '../models/User.js';
+import cacheService from './cacheService.js';
+import eventService from './eventService.js';
+import { localDay, addDays, receiptDay } from '../utils/dates.js';
 import { log } from '../utils/logger.js';
 
 /**
@@ -168,6 +172,50 @@ export async function calculateUserBadges(userId) {
     }
 }
 
+/**
+ * Detect badge tiers earned since the last check and publish badge.unlocked events
+ * Tiers ever earned are remembered, so a broken streak doesn't re-unlock later
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Newly unlocked badges
+ */
+export async function checkNewlyUnlockedBadges(userId) {
+    // Without a record of earned tiers every badge would look new
+    if (!cacheService.isConnected) {
+        return [];
+    }
+
+    try {
+        const key = `badges:unlocked:${userId}`;
+        const badges = await calculateUserBadges(userId);
+        const unlocked = new Set((await cacheService.get(key)) || []);
+
+        const newBadges = badges.filter(badge => !unlocked.has(badge.id));
+        if (newBadges.length === 0) {
+            return [];
+        }
+
+        newBadges.forEach(badge => unlocked.add(badge.id));
+        await cacheService.set(key, [...unlocked], null);
+
+        for (const badge of newBadges) {
+            await eventService.publish(userId, 'badge.unlocked', {
+                badgeId: badge.id,
+                type: badge.type,
+                level: badge.level,
+                icon: badge.icon,
+                threshold: badge.threshold
+            });
+        }
+
+        log.info('Badges unlocked', { userId, badges: newBadges.map(b => b.id) });
+
+        return newBadges;
+    } catch (error) {
+        log.error('Error checking unlocked badges', { userId, error: error.message });
+        return [];
+    }
+}
+
 /**
  * Get comprehensive user metrics for badge calculation
  */
@@ -183,6 +231,7 @@ async function getUserMetrics(userId) {
         FROM receipt_items ri
         INNER JOIN receipts r ON ri.receipt_id = r.id
         WHERE r.user_id = :userId
+        AND r.deleted_at IS NULL
         AND ri.product_id IS NOT NULL
     `, {
         replacements: { userId },
@@ -190,11 +239,12 @@ async function getUserMetrics(userId) {
     });
     const uniqueProducts = parseInt(uniqueProductsResult[0]?.count || 0);
 
-    // Unique merchants
+    // Unique merchants (spellings matched to the same merchant count once)
     const uniqueMerchantsResult = await sequelize.query(`
-        SELECT COUNT(DISTINCT merchant_name) as count
+        SELECT COUNT(DISTINCT COALESCE(merchant_id::text, merchant_name)) as count
         FROM receipts
         WHERE user_id = :userId
+        AND deleted_at IS NULL
         AND merchant_name IS NOT NULL
     `, {
         replacements: { userId },
@@ -215,6 +265,7 @@ async function getUserMetrics(userId) {
         ) as total
         FROM receipts
         WHERE user_id = :userId
+        AND deleted_at IS NULL
         AND discount_info IS NOT NULL
     `, {
         replacements: { userId },
@@ -256,7 +307,7 @@ async function getUserMetrics(userId) {
 }
 
 /**
- * Calculate current streak of consecutive days with receipts
+ * Calculate current streak of consecutive days with receipts, in the user's timezone
  */
 async function calculateCurrentStreak(userId) {
     const receipts = await Receipt.findAll({
@@ -268,31 +319,23 @@ async function calculateCurrentStreak(userId) {
 
     if (receipts.length === 0) return 0;
 
+    const { timezone } = await User.getCalendar(userId);
+    const today = localDay(new Date(), timezone);
+
     let streak = 0;
-    let currentDate = new Date();
-    currentDate.setHours(0, 0, 0, 0);
-
-    const receiptDates = new Set();
-    receipts.forEach(r => {
-        const date = new Date(r.purchaseDate || r.createdAt);
-        date.setHours(0, 0, 0, 0);
-        receiptDates.add(date.getTime());
-    });
+    let currentDate = today;
+
+    const receiptDates = new Set(receipts.map(r => receiptDay(r, timezone)));
 
     // Check consecutive days backwards from today
-    while (receiptDates.has(currentDate.getTime())) {
+    while (receiptDates.has(currentDate)) {
         streak++;
-        currentDate.setDate(currentDate.getDate() - 1);
+        currentDate = addDays(currentDate, -1);
     }
 
     // Allow 1 day grace period (yesterday counts as today)
-    if (streak === 0) {
-        currentDate = new Date();
-        currentDate.setDate(currentDate.getDate() - 1);
-        currentDate.setHours(0, 0, 0, 0);
-        if (receiptDates.has(currentDate.getTime())) {
-            streak = 1;
-        }
+    if (streak === 0 && receiptDates.has(addDays(today, -1))) {
+        streak = 1;
     }
 
     return streak;
@@ -0,0 +1,452 @@
+import crypto from 'crypto';
+import { Op } from 'sequelize';
+import sequelize from '../config/db.js';
+import BankTransaction from '../models/BankTransaction.js';
+import Receipt from '../models/Receipt.js';
+import { parseBankStatement } from './bankStatementParser.js';
+import { normalizeMerchantName, merchantNameSimilarity } from '../utils/merchantNames.js';
+import { ConflictError, NotFoundError, ValidationError } from '../utils/errors.js';
+import { log } from '../utils/logger.js';
+
+// A card payment is booked up to a few days after the purchase (and rarely the day before)
+export const MATCH_DAYS_BEFORE_BOOKING = 5;
+export const MATCH_DAYS_AFTER_BOOKING = 1;
+
+// Minimum score for a transaction and a receipt to be linked automatically
+export const AUTO_MATCH_THRESHOLD = 0.7;
+
+// Receipts paid this way never show up on a bank statement
+const OFF_BANK_PAYMENT_METHODS = ['cash', 'voucher'];
+
+// Items per group in the reconciliation view
+const RECONCILIATION_LIST_LIMIT = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RECEIPT_SUMMARY_ATTRIBUTES = [
+    'id', 'merchantName', 'purchaseDate', 'amount', 'currency', 'paymentMethod', 'cardType', 'category', 'deletedAt'
+];
+
+function toDay(value) {
+    return Math.floor(new Date(value).getTime() / DAY_MS);
+}
+
+function dayString(day) {
+    return new Date(day * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Stable across overlapping imports of the same account
+function dedupeHash(account, transaction, occurrence) {
+    const identity = transaction.externalId
+        ? [account, 'ref', transaction.externalId]
+        : [account, transaction.bookingDate, transaction.amount, transaction.counterpartyName, transaction.description, occurrence];
+    return crypto.createHash('sha256').update(JSON.stringify(identity)).digest('hex');
+}
+
+// Receipts that can still be linked: paid in a way that hits the bank and not linked yet
+function linkableReceiptsWhere(userId) {
+    return {
+        userId,
+        amount: { [Op.not]: null },
+        purchaseDate: { [Op.not]: null },
+        [Op.and]: [
+            {
+                [Op.or]: [
+                    { paymentMethod: null },
+                    { paymentMethod: { [Op.notIn]: OFF_BANK_PAYMENT_METHODS } }
+                ]
+            },
+            {
+                id: {
+                    [Op.notIn]: sequelize.literal(
+                        `(SELECT receipt_id FROM bank_transactions WHERE user_id = ${sequelize.escape(userId)} AND receipt_id IS NOT NULL)`
+                    )
+                }
+            }
+        ]
+    };
+}
+
+function merchantSimilarity(transaction, receipt) {
+    const merchantKey = normalizeMerchantName(receipt.merchantName);
+    if (!merchantKey) return 0;
+
+    const counterpartyKey = normalizeMerchantName(transaction.counterpartyName);
+    const descriptionKey = normalizeMerchantName(transaction.description);
+
+    return Math.max(
+        merchantNameSimilarity(merchantKey, counterpartyKey),
+        // Card payments often carry the merchant in the description ("BEA NR:123 LIDL 1234 AMSTERDAM")
+        descriptionKey && ` ${descriptionKey} `.includes(` ${merchantKey} `) ? 0.9 : 0
+    );
+}
+
+/**
+ * How likely a debit transaction paid for a receipt, between 0 and 1. The
+ * amounts must be equal; the date distance, merchant name and card details
+ * make up the rest. Returns 0 for receipts that cannot belong to the transaction.
+ */
+export function scoreMatch(transaction, receipt) {
+    const paid = -Number(transaction.amount);
+    if (paid <= 0 || receipt.amount === null || Math.abs(paid - Number(receipt.amount)) >= 0.005) {
+        return 0;
+    }
+    if (transaction.currency && receipt.currency && transaction.currency !== receipt.currency) {
+        return 0;
+    }
+
+    const booked = toDay(transaction.valueDate || transaction.bookingDate);
+    const purchased = toDay(receipt.purchaseDate);
+    const daysLate = booked - purchased;
+    if (daysLate > MATCH_DAYS_BEFORE_BOOKING || daysLate < -MATCH_DAYS_AFTER_BOOKING) {
+        return 0;
+    }
+
+    let score = 0.5;
+    score += 0.25 * (1 - Math.abs(daysLate) / (MATCH_DAYS_BEFORE_BOOKING + 1));
+    score += 0.2 * merchantSimilarity(transaction, receipt);
+
+    if (transaction.paymentMethod === 'card' && ['card', 'mobile'].includes(receipt.paymentMethod)) {
+        score += 0.05;
+    }
+    if (transaction.cardType && receipt.cardType) {
+        score += transaction.cardType === receipt.cardType ? 0.05 : -0.1;
+    }
+
+    return Math.max(0, Math.min(1, parseFloat(score.toFixed(3))));
+}
+
+/**
+ * Link unmatched debit transactions to unlinked receipts where the match is
+ * clear enough. Each receipt goes to the transaction it scores best with.
+ */
+export async function autoMatchTransactions(userId, { importId } = {}) {
+    const transactions = await BankTransaction.findAll({
+        where: {
+            userId,
+            receiptId: null,
+            isIgnored: false,
+            amount: { [Op.lt]: 0 },
+            ...(importId && { importId })
+        }
+    });
+    if (transactions.length === 0) {
+        return { matched: 0 };
+    }
+
+    const days = transactions.map(transaction => toDay(transaction.valueDate || transaction.bookingDate));
+    const receipts = await Receipt.findAll({
+        where: {
+            ...linkableReceiptsWhere(userId),
+            purchaseDate: {
+                [Op.gte]: new Date((Math.min(...days) - MATCH_DAYS_BEFORE_BOOKING) * DAY_MS),
+                [Op.lt]: new Date((Math.max(...days) + MATCH_DAYS_AFTER_BOOKING + 1) * DAY_MS)
+            }
+        },
+        attributes: RECEIPT_SUMMARY_ATTRIBUTES
+    });
+
+    const candidates = [];
+    for (const transaction of transactions) {
+        for (const receipt of receipts) {
+            const score = scoreMatch(transaction, receipt);
+            if (score >= AUTO_MATCH_THRESHOLD) {
+                candidates.push({ transaction, receipt, score });
+            }
+        }
+    }
+    candidates.sort((a, b) => b.score - a.score);
+
+    const linkedTransactions = new Set();
+    const linkedReceipts = new Set();
+    const matches = candidates.filter(({ transaction, receipt }) => {
+        if (linkedTransactions.has(transaction.id) || linkedReceipts.has(receipt.id)) return false;
+        linkedTransactions.add(transaction.id);
+        linkedReceipts.add(receipt.id);
+        return true;
+    });
+
+    await sequelize.transaction(async (dbTransaction) => {
+        const matchedAt = new Date();
+        for (const { transaction, receipt, score } of matches) {
+            await transaction.update({
+                receiptId: receipt.id,
+                matchType: 'auto',
+                matchScore: score,
+                matchedAt
+            }, { transaction: dbTransaction });
+        }
+    });
+
+    log.info('Bank transactions auto-matched', { userId, importId, candidates: transactions.length, matched: matches.length });
+
+    return { matched: matches.length };
+}
+
+/**
+ * Import a bank statement file and match its transactions to receipts.
+ * Transactions already imported from an overlapping statement are skipped.
+ */
+export async function importBankStatement(userId, { buffer, filename, format, csv }) {
+    const statement = parseBankStatement(buffer, { format, filename, csv });
+    const importId = crypto.randomUUID();
+    const account = statement.account || null;
+
+    // Identical rows in one statement (two coffees on the same day) stay separate
+    const occurrences = new Map();
+    const rows = statement.transactions.map(transaction => {
+        const key = JSON.stringify([transaction.bookingDate, transaction.amount, transaction.counterpartyName, transaction.description]);
+        const occurrence = (occurrences.get(key) || 0) + 1;
+        occurrences.set(key, occurrence);
+
+        return {
+            userId,
+            importId,
+            statementFormat: statement.format,
+            account,
+            externalId: transaction.externalId?.slice(0, 255) || null,
+            dedupeHash: dedupeHash(account, transaction, occurrence),
+            bookingDate: transaction.bookingDate,
+            valueDate: transaction.valueDate,
+            amount: transaction.amount,
+            currency: transaction.currency?.toUpperCase() || statement.currency || null,
+            counterpartyName: transaction.counterpartyName,
+            description: transaction.description,
+            paymentMethod: transaction.paymentMethod,
+            cardType: transaction.cardType
+        };
+    });
+
+    const existing = await BankTransaction.findAll({
+        where: { userId, dedupeHash: { [Op.in]: rows.map(row => row.dedupeHash) } },
+        attributes: ['dedupeHash']
+    });
+    const known = new Set(existing.map(transaction => transaction.dedupeHash));
+    const newRows = rows.filter(row => !known.has(row.dedupeHash));
+
+    if (newRows.length > 0) {
+        await BankTransaction.bulkCreate(newRows, { ignoreDuplicates: true });
+    }
+
+    const { matched } = newRows.length > 0
+        ? await autoMatchTransactions(userId, { importId })
+        : { matched: 0 };
+
+    const dates = statement.transactions.map(transaction => transaction.bookingDate).sort();
+
+    log.info('Bank statement imported', {
+        userId,
+        importId,
+        format: statement.format,
+        imported: newRows.length,
+        duplicates: rows.length - newRows.length,
+        matched
+    });
+
+    return {
+        importId,
+        format: statement.format,
+        account,
+        period: { from: dates[0], to: dates[dates.length - 1] },
+        imported: newRows.length,
+        duplicates: rows.length - newRows.length,
+        matched
+    };
+}
+
+/**
+ * Remove all transactions of a statement import
+ */
+export async function deleteImport(userId, importId) {
+    const deleted = await BankTransaction.destroy({ where: { userId, importId } });
+    if (deleted === 0) {
+        throw new NotFoundError('Statement import');
+    }
+
+    log.info('Bank statement import deleted', { userId, importId, deleted });
+
+    return { deleted };
+}
+
+export async function getTransactions(userId, { status, from, to, limit = 50, offset = 0 } = {}) {
+    const where = { userId };
+    if (from || to) {
+        where.bookingDate = {};
+        if (from) where.bookingDate[Op.gte] = from;
+        if (to) where.bookingDate[Op.lte] = to;
+    }
+    if (status === 'matched') {
+        where.receiptId = { [Op.not]: null };
+    } else if (status === 'unmatched') {
+        Object.assign(where, { receiptId: null, isIgnored: false });
+    } else if (status === 'ignored') {
+        where.isIgnored = true;
+    }
+
+    const { rows, count } = await BankTransaction.findAndCountAll({
+        where,
+        include: [{ model: Receipt, as: 'receipt', attributes: RECEIPT_SUMMARY_ATTRIBUTES, paranoid: false }],
+        order: [['bookingDate', 'DESC'], ['createdAt', 'ASC']],
+        limit,
+        offset
+    });
+
+    return { transactions: rows, total: count };
+}
+
+async function getTransaction(userId, transactionId) {
+    const transaction = await BankTransaction.findOne({ where: { id: transactionId, userId } });
+    if (!transaction) {
+        throw new NotFoundError('Bank transaction');
+    }
+    return transaction;
+}
+
+/**
+ * Link a transaction to a receipt by hand, replacing an automatic match
+ */
+export async function linkTransaction(userId, transactionId, receiptId) {
+    const transaction = await getTransaction(userId, transactionId);
+
+    const receipt = await Receipt.findOne({ where: { id: receiptId, userId } });
+    if (!receipt) {
+        throw new NotFoundError('Receipt');
+    }
+
+    const linked = await BankTransaction.findOne({
+        where: { receiptId, id: { [Op.ne]: transaction.id } }
+    });
+    if (linked) {
+        throw new ConflictError('The receipt is already linked to another bank transaction');
+    }
+
+    await transaction.update({
+        receiptId,
+        matchType: 'manual',
+        matchScore: null,
+        matchedAt: new Date(),
+        isIgnored: false
+    });
+
+    log.info('Bank transaction linked', { userId, transactionId, receiptId });
+
+    return transaction;
+}
+
+export async function unlinkTransaction(userId, transactionId) {
+    const transaction = await getTransaction(userId, transactionId);
+    if (!transaction.receiptId) {
+        throw new ValidationError('The transaction is not linked to a receipt');
+    }
+
+    await transaction.update({
+        receiptId: null,
+        matchType: null,
+        matchScore: null,
+        matchedAt: null
+    });
+
+    log.info('Bank transaction unlinked', { userId, transactionId });
+
+    return transaction;
+}
+
+/**
+ * Mark a transaction as not needing a receipt (or undo that)
+ */
+export async function setTransactionIgnored(userId, transactionId, ignored) {
+    const transaction = await getTransaction(userId, transactionId);
+    if (ignored && transaction.receiptId) {
+        throw new ValidationError('Unlink the receipt before ignoring the transaction');
+    }
+
+    await transaction.update({ isIgnored: ignored });
+
+    return transaction;
+}
+
+/**
+ * Reconciliation of a period: transactions linked to receipts, debit
+ * transactions without a receipt, and card (or unknown payment) receipts that
+ * never showed up on a statement. Defaults to the period the imported
+ * statements cover.
+ */
+export async function getReconciliation(userId, { from, to } = {}) {
+    if (!from || !to) {
+        const [coverage] = await sequelize.query(`
+            SELECT MIN(booking_date) as "from", MAX(booking_date) as "to"
+            FROM bank_transactions
+            WHERE user_id = :userId
+        `, {
+            replacements: { userId },
+            type: sequelize.QueryTypes.SELECT
+        });
+        if (!coverage?.from) {
+            return {
+                period: null,
+                summary: { matched: 0, unmatchedTransactions: 0, unmatchedReceipts: 0, ignored: 0 },
+                matched: [],
+                unmatchedTransactions: [],
+                unmatchedReceipts: []
+            };
+        }
+        from = from || dayString(toDay(coverage.from));
+        to = to || dayString(toDay(coverage.to));
+    }
+
+    const bookingDate = { [Op.between]: [from, to] };
+    const purchaseDate = {
+        [Op.gte]: new Date(`${from}T00:00:00Z`),
+        [Op.lt]: new Date((toDay(`${to}T00:00:00Z`) + 1) * DAY_MS)
+    };
+
+    const matched = await BankTransaction.findAndCountAll({
+        where: { userId, bookingDate, receiptId: { [Op.not]: null } },
+        include: [{ model: Receipt, as: 'receipt', attributes: RECEIPT_SUMMARY_ATTRIBUTES, paranoid: false }],
+        order: [['bookingDate', 'DESC']],
+        limit: RECONCILIATION_LIST_LIMIT
+    });
+
+    const unmatchedTransactions = await BankTransaction.findAndCountAll({
+        where: { userId, bookingDate, receiptId: null, isIgnored: false, amount: { [Op.lt]: 0 } },
+        order: [['bookingDate', 'DESC']],
+        limit: RECONCILIATION_LIST_LIMIT
+    });
+
+    const unmatchedReceipts = await Receipt.findAndCountAll({
+        where: {
+            ...linkableReceiptsWhere(userId),
+            purchaseDate
+        },
+        attributes: RECEIPT_SUMMARY_ATTRIBUTES,
+        order: [['purchaseDate', 'DESC']],
+        limit: RECONCILIATION_LIST_LIMIT
+    });
+
+    const ignored = await BankTransaction.count({ where: { userId, bookingDate, isIgnored: true } });
+
+    return {
+        period: { from, to },
+        summary: {
+            matched: matched.count,
+            unmatchedTransactions: unmatchedTransactions.count,
+            unmatchedReceipts: unmatchedReceipts.count,
+            ignored
+        },
+        matched: matched.rows,
+        unmatchedTransactions: unmatchedTransactions.rows,
+        unmatchedReceipts: unmatchedReceipts.rows
+    };
+}
+
+export default {
+    scoreMatch,
+    autoMatchTransactions,
+    importBankStatement,
+    deleteImport,
+    getTransactions,
+    linkTransaction,
+    unlinkTransaction,
+    setTransactionIgnored,
+    getReconciliation
+};
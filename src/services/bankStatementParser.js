@@ -0,0 +1,363 @@
+import { parseXml, childElements, findElement, elementText } from '../utils/xml.js';
+import { parseCsvRows, detectDelimiter } from '../utils/csv.js';
+import { ValidationError } from '../utils/errors.js';
+
+export const CSV_DATE_FORMATS = ['YYYY-MM-DD', 'DD-MM-YYYY', 'MM/DD/YYYY', 'YYYYMMDD'];
+
+// Description fragments of card payments at a point of sale
+const CARD_PAYMENT_PATTERN = /\b(BEA|POS|BETAALAUTOMAAT|PAS\s?\d+|CARD|KAART|TARJETA|COMPRA|MAESTRO|V ?PAY|VISA|MASTERCARD|AMEX|APPLE PAY|GOOGLE PAY)\b/i;
+const CARD_TYPE_PATTERN = /\b(MAESTRO|V ?PAY|VISA|MASTERCARD|AMEX)\b/i;
+
+// Header names (lower case, no accents) of generic CSV columns, in English, Dutch and Spanish
+const CSV_COLUMNS = {
+    date: ['date', 'datum', 'fecha', 'boekdatum', 'transactiedatum', 'booking date', 'transaction date', 'fecha operacion'],
+    amount: ['amount', 'bedrag', 'importe', 'amount (eur)', 'bedrag (eur)', 'importe (eur)'],
+    debit: ['debit', 'af', 'cargo', 'withdrawal', 'debe'],
+    credit: ['credit', 'bij', 'abono', 'deposit', 'haber'],
+    direction: ['af bij', 'af/bij', 'debit/credit', 'd/c', 'credit/debit'],
+    description: ['description', 'omschrijving', 'concepto', 'mededelingen', 'memo', 'details', 'descripcion'],
+    counterparty: ['name', 'naam', 'naam / omschrijving', 'payee', 'counterparty', 'tegenpartij', 'beneficiario', 'merchant'],
+    currency: ['currency', 'munt', 'valuta', 'divisa', 'moneda'],
+    reference: ['reference', 'referentie', 'transaction id', 'referencia', 'id']
+};
+
+function cardDetails(...texts) {
+    const text = texts.filter(Boolean).join(' ');
+    const cardType = text.match(CARD_TYPE_PATTERN)?.[1].toUpperCase().replace(' ', '') || null;
+    return {
+        paymentMethod: CARD_PAYMENT_PATTERN.test(text) ? 'card' : null,
+        cardType
+    };
+}
+
+function cleanText(value, maxLength = 1000) {
+    if (value === null || value === undefined) return null;
+    const text = String(value).replace(/\s+/g, ' ').trim();
+    return text ? text.slice(0, maxLength) : null;
+}
+
+/**
+ * Amount from bank notation: "1.234,56", "1,234.56", "-12.5", "(12.50)", "12,50-"
+ */
+export function parseStatementAmount(value, decimalSeparator = null) {
+    if (value === null || value === undefined) return null;
+    let text = String(value).replace(/[\s€$£]|EUR|USD|GBP/gi, '');
+    if (!text) return null;
+
+    let negative = false;
+    if (/^\(.*\)$/.test(text)) {
+        negative = true;
+        text = text.slice(1, -1);
+    }
+    if (text.endsWith('-')) {
+        negative = true;
+        text = text.slice(0, -1);
+    }
+    if (text.startsWith('-')) {
+        negative = !negative;
+        text = text.slice(1);
+    } else if (text.startsWith('+')) {
+        text = text.slice(1);
+    }
+
+    let separator = decimalSeparator;
+    if (!separator) {
+        const lastComma = text.lastIndexOf(',');
+        const lastDot = text.lastIndexOf('.');
+        if (lastComma !== -1 && lastDot !== -1) {
+            separator = lastComma > lastDot ? ',' : '.';
+        } else if (lastComma !== -1) {
+            // "12,50" is a decimal comma, "1,234" a thousands separator
+            separator = /,\d{1,2}$/.test(text) ? ',' : '.';
+        } else {
+            separator = '.';
+        }
+    }
+
+    const thousands = separator === ',' ? '.' : ',';
+    const normalized = text.split(thousands).join('').replace(separator, '.');
+    if (!/^\d+(\.\d+)?$/.test(normalized)) return null;
+
+    const amount = parseFloat(normalized);
+    return negative ? -amount : amount;
+}
+
+/**
+ * Date as YYYY-MM-DD. Day-first dates are assumed unless dateFormat says otherwise.
+ */
+export function parseStatementDate(value, dateFormat = null) {
+    if (!value) return null;
+    const text = String(value).trim();
+
+    let match = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    let year, month, day;
+    if (match) {
+        [, year, month, day] = match;
+    } else if ((match = text.match(/^(\d{4})(\d{2})(\d{2})/))) {
+        [, year, month, day] = match;
+    } else if ((match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})\b/))) {
+        [, day, month, year] = match;
+        if (dateFormat === 'MM/DD/YYYY') {
+            [day, month] = [month, day];
+        }
+        if (year.length === 2) {
+            year = `20${year}`;
+        }
+    } else {
+        return null;
+    }
+
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    if (isNaN(date.getTime()) || date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) {
+        return null;
+    }
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * ISO 20022 CAMT.053 (bank to customer statement)
+ */
+export function parseCamt053(text) {
+    let document;
+    try {
+        document = parseXml(text);
+    } catch (error) {
+        throw new ValidationError(`Invalid CAMT.053 file: ${error.message}`);
+    }
+
+    const statements = childElements(findElement(document, 'BkToCstmrStmt'), 'Stmt');
+    if (statements.length === 0) {
+        throw new ValidationError('Invalid CAMT.053 file: no statements found');
+    }
+
+    const account = elementText(statements[0], 'Acct/Id/IBAN') || elementText(statements[0], 'Acct/Id/Othr/Id');
+    const currency = elementText(statements[0], 'Acct/Ccy');
+    const transactions = [];
+
+    for (const statement of statements) {
+        for (const entry of childElements(statement, 'Ntry')) {
+            // Pending entries may still change or disappear
+            const status = elementText(entry, 'Sts/Cd') || elementText(entry, 'Sts');
+            if (status && status !== 'BOOK') continue;
+
+            const amountElement = findElement(entry, 'Amt');
+            const amount = parseStatementAmount(amountElement?.text, '.');
+            if (amount === null) continue;
+
+            const debit = elementText(entry, 'CdtDbtInd') === 'DBIT';
+            const details = findElement(entry, 'NtryDtls/TxDtls');
+            const counterparty = debit
+                ? elementText(details, 'RltdPties/Cdtr/Nm') || elementText(details, 'RltdPties/Cdtr/Pty/Nm')
+                : elementText(details, 'RltdPties/Dbtr/Nm') || elementText(details, 'RltdPties/Dbtr/Pty/Nm');
+            const description = [
+                ...childElements(findElement(details, 'RmtInf'), 'Ustrd').map(node => node.text),
+                elementText(details, 'AddtlTxInf'),
+                elementText(entry, 'AddtlNtryInf')
+            ].filter(Boolean).join(' ');
+
+            const family = elementText(entry, 'BkTxCd/Domn/Fmly/Cd');
+            const card = cardDetails(description, counterparty);
+
+            transactions.push({
+                externalId: elementText(entry, 'AcctSvcrRef') || elementText(details, 'Refs/AcctSvcrRef') || elementText(details, 'Refs/EndToEndId'),
+                bookingDate: parseStatementDate(elementText(entry, 'BookgDt/Dt') || elementText(entry, 'BookgDt/DtTm')),
+                valueDate: parseStatementDate(elementText(entry, 'ValDt/Dt') || elementText(entry, 'ValDt/DtTm')),
+                amount: debit ? -amount : amount,
+                currency: amountElement.attributes.Ccy || currency,
+                counterpartyName: cleanText(counterparty, 255),
+                description: cleanText(description),
+                paymentMethod: family === 'CCRD' ? 'card' : card.paymentMethod,
+                cardType: card.cardType
+            });
+        }
+    }
+
+    return { format: 'camt053', account, currency, transactions };
+}
+
+// Value of an OFX element; OFX 1.x (SGML) leaves leaf elements unclosed
+function ofxValue(block, tag) {
+    const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    return match ? match[1].trim() : null;
+}
+
+/**
+ * OFX 1.x / 2.x and QFX (bank and credit card statements)
+ */
+export function parseOfx(text) {
+    if (!/<OFX>/i.test(text)) {
+        throw new ValidationError('Invalid OFX file: no OFX element found');
+    }
+
+    const creditCard = /<CCSTMTRS>/i.test(text);
+    const account = ofxValue(text, 'ACCTID');
+    const currency = ofxValue(text, 'CURDEF');
+    const transactions = [];
+
+    for (const [, block] of text.matchAll(/<STMTTRN>([\s\S]*?)(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi)) {
+        const amount = parseStatementAmount(ofxValue(block, 'TRNAMT'), '.');
+        if (amount === null) continue;
+
+        const type = (ofxValue(block, 'TRNTYPE') || '').toUpperCase();
+        const name = ofxValue(block, 'NAME');
+        const memo = ofxValue(block, 'MEMO');
+        const card = cardDetails(memo, name);
+
+        transactions.push({
+            externalId: ofxValue(block, 'FITID'),
+            bookingDate: parseStatementDate(ofxValue(block, 'DTPOSTED')),
+            valueDate: parseStatementDate(ofxValue(block, 'DTUSER')),
+            amount,
+            currency: ofxValue(block, 'CURRENCY') || currency,
+            counterpartyName: cleanText(name, 255),
+            description: cleanText(memo),
+            paymentMethod: creditCard || type === 'POS' ? 'card' : card.paymentMethod,
+            cardType: card.cardType
+        });
+    }
+
+    return { format: 'ofx', account, currency, transactions };
+}
+
+function normalizeHeader(header) {
+    return header.normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+}
+
+// Column index of each known field: explicit mapping first, then exact and prefix header matches
+function mapCsvColumns(headers, mapping = {}) {
+    const normalized = headers.map(normalizeHeader);
+    const columns = {};
+
+    for (const [field, names] of Object.entries(CSV_COLUMNS)) {
+        const explicit = mapping[field];
+        let index = explicit ? normalized.indexOf(normalizeHeader(explicit)) : -1;
+        if (explicit && index === -1) {
+            throw new ValidationError(`CSV column "${explicit}" not found`);
+        }
+        if (index === -1) {
+            index = normalized.findIndex(header => names.includes(header));
+        }
+        if (index === -1) {
+            index = normalized.findIndex(header => names.some(name => name.length > 3 && header.startsWith(name)));
+        }
+        if (index !== -1 && !Object.values(columns).includes(index)) {
+            columns[field] = index;
+        }
+    }
+
+    return columns;
+}
+
+/**
+ * Generic CSV export of a bank. Columns are recognized by their header (English,
+ * Dutch or Spanish names) unless options.columns maps fields to header names.
+ */
+export function parseCsv(text, { delimiter, dateFormat, decimalSeparator, columns: mapping, currency: defaultCurrency } = {}) {
+    const rows = parseCsvRows(text, delimiter || detectDelimiter(text));
+    if (rows.length < 2) {
+        throw new ValidationError('The CSV file has no transactions');
+    }
+
+    const [headers, ...data] = rows;
+    const columns = mapCsvColumns(headers, mapping);
+    const hasAmount = columns.amount !== undefined || columns.debit !== undefined || columns.credit !== undefined;
+    if (columns.date === undefined || !hasAmount) {
+        throw new ValidationError('The CSV file needs a date column and an amount (or debit and credit) column');
+    }
+
+    const transactions = [];
+    for (const row of data) {
+        const value = field => (columns[field] === undefined ? null : (row[columns[field]] ?? '').trim() || null);
+
+        let amount;
+        if (columns.amount !== undefined) {
+            amount = parseStatementAmount(value('amount'), decimalSeparator);
+            const direction = normalizeHeader(value('direction') || '');
+            if (amount !== null && ['af', 'debit', 'd', 'dbit', 'cargo'].includes(direction)) {
+                amount = -Math.abs(amount);
+            }
+        } else {
+            const debit = parseStatementAmount(value('debit'), decimalSeparator);
+            const credit = parseStatementAmount(value('credit'), decimalSeparator);
+            amount = debit ? -Math.abs(debit) : credit;
+        }
+
+        const bookingDate = parseStatementDate(value('date'), dateFormat);
+        if (amount === null || amount === undefined || !bookingDate) continue;
+
+        const card = cardDetails(value('description'), value('counterparty'), ...row);
+
+        transactions.push({
+            externalId: value('reference'),
+            bookingDate,
+            valueDate: null,
+            amount,
+            currency: value('currency') || defaultCurrency || null,
+            counterpartyName: cleanText(value('counterparty'), 255),
+            description: cleanText(value('description')),
+            paymentMethod: card.paymentMethod,
+            cardType: card.cardType
+        });
+    }
+
+    return { format: 'csv', account: null, currency: defaultCurrency || null, transactions };
+}
+
+/**
+ * Format of a statement file from its content, falling back to its extension
+ */
+export function detectStatementFormat(text, filename = '') {
+    const head = text.slice(0, 2000);
+    if (/camt\.053|<BkToCstmrStmt/i.test(head)) return 'camt053';
+    if (/OFXHEADER|<OFX>/i.test(head)) return 'ofx';
+    if (/\.(ofx|qfx)$/i.test(filename)) return 'ofx';
+    if (/\.xml$/i.test(filename)) return 'camt053';
+    return 'csv';
+}
+
+// Statements are usually UTF-8, but older CSV exports are Windows-1252
+function decodeStatement(buffer) {
+    const text = buffer.toString('utf8');
+    return (text.includes('\uFFFD') ? buffer.toString('latin1') : text).replace(/^\uFEFF/, '');
+}
+
+/**
+ * Parse a bank statement file into { format, account, currency, transactions }.
+ * Transaction amounts are negative for money leaving the account.
+ */
+export function parseBankStatement(buffer, { format, filename, csv = {} } = {}) {
+    const text = decodeStatement(buffer);
+    const statementFormat = format || detectStatementFormat(text, filename);
+
+    let statement;
+    switch (statementFormat) {
+        case 'camt053':
+            statement = parseCamt053(text);
+            break;
+        case 'ofx':
+            statement = parseOfx(text);
+            break;
+        case 'csv':
+            statement = parseCsv(text, csv);
+            break;
+        default:
+            throw new ValidationError(`Unsupported statement format: ${statementFormat}`);
+    }
+
+    statement.transactions = statement.transactions.filter(transaction => transaction.bookingDate);
+    if (statement.transactions.length === 0) {
+        throw new ValidationError('No transactions found in the statement');
+    }
+
+    return statement;
+}
+
+export default {
+    parseStatementAmount,
+    parseStatementDate,
+    parseCamt053,
+    parseOfx,
+    parseCsv,
+    detectStatementFormat,
+    parseBankStatement
+};
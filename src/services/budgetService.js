@@ -3,6 +3,19 @@ import sequelize from '../config/db.js';
 import Budget from '../models/Budget.js';
 import BudgetAlert from '../models/BudgetAlert.js';
 import Receipt from '../models/Receipt.js';
+import User from '../models/User.js';
+import eventService from './eventService.js';
+import { dispatchWebhookEvent } from './webhookService.js';
+import { getUserCategories, categoryKeysWithChildren } from './categoryService.js';
+import { convertedAmount, unconvertedCount } from './currencyService.js';
+import {
+    localDay,
+    addDays,
+    addMonths,
+    daysBetween,
+    monthStart,
+    receiptDaySql
+} from '../utils/dates.js';
 import { log } from '../utils/logger.js';
 import { NotFoundError, ValidationError } from '../utils/errors.js';
 
@@ -16,27 +29,31 @@ export async function calculateCurrentSpending(budgetId) {
             throw new NotFoundError('Budget not found');
         }
 
+        const { timezone } = await User.getCalendar(budget.userId);
+        const today = localDay(new Date(), timezone);
+
         const where = {
             userId: budget.userId,
-            purchaseDate: {
-                [Op.between]: [budget.startDate, budget.endDate]
-            },
-            amount: { [Op.not]: null }
+            amount: { [Op.not]: null },
+            [Op.and]: [receiptDayBetween(timezone, budget.startDate, budget.endDate)]
         };
 
         // Filter by category if not global budget
         if (budget.category) {
-            where.category = budget.category;
+            where.category = await budgetCategoryFilter(budget);
         }
 
         log.info(`Query conditions for budget ${budgetId}: ${JSON.stringify(where)}`);
 
+        // Receipts in other currencies count at the rate of their purchase date;
+        // those without a rate are left out of the spending and counted apart
         const result = await Receipt.findOne({
             where,
             attributes: [
                 [sequelize.fn('COUNT', sequelize.col('id')), 'receiptCount'],
-                [sequelize.fn('SUM', sequelize.col('amount')), 'totalSpending'],
-                [sequelize.fn('AVG', sequelize.col('amount')), 'averageSpending']
+                [sequelize.fn('SUM', convertedAmount(budget.currency)), 'totalSpending'],
+                [sequelize.fn('AVG', convertedAmount(budget.currency)), 'averageSpending'],
+                [unconvertedCount(budget.currency), 'unconvertedCount']
             ],
             raw: true
         });
@@ -49,14 +66,16 @@ export async function calculateCurrentSpending(budgetId) {
         return {
             budgetId: budget.id,
             budgetName: budget.name,
+            currency: budget.currency,
             totalBudget,
             currentSpending: totalSpending,
             remainingBudget: totalBudget - totalSpending,
             percentage: parseFloat(percentage.toFixed(2)),
             receiptCount: parseInt(result.receiptCount) || 0,
             averageSpending: parseFloat(result.averageSpending) || 0,
-            daysRemaining: budget.daysRemaining(),
-            daysElapsed: Math.max(0, Math.ceil((new Date() - new Date(budget.startDate)) / (1000 * 60 * 60 * 24))),
+            unconvertedCount: parseInt(result.unconvertedCount) || 0,
+            daysRemaining: budget.daysRemaining(today),
+            daysElapsed: Math.max(0, daysBetween(budget.startDate, today) + 1),
             isActive: budget.isActive,
             status: percentage >= 100 ? 'exceeded' : percentage >= 90 ? 'critical' : percentage >= 75 ? 'warning' : 'ok',
             startDate: budget.startDate,
@@ -144,6 +163,8 @@ export async function checkBudgetAlerts(budgetId) {
 
         log.info(`Budget alert created: ${alert.id} for budget ${budgetId} at ${highestTriggered}%`);
 
+        await broadcastBudgetAlert(alert, budget);
+
         return alert;
     } catch (error) {
         log.error(`Error checking budget alerts for budget ${budgetId}:`, error);
@@ -151,6 +172,27 @@ export async function checkBudgetAlerts(budgetId) {
     }
 }
 
+/**
+ * Push a newly created alert to the user's event stream and webhooks
+ */
+async function broadcastBudgetAlert(alert, budget) {
+    const payload = {
+        alertId: alert.id,
+        budgetId: budget.id,
+        budgetName: budget.name,
+        alertType: alert.alertType,
+        threshold: alert.threshold,
+        percentage: alert.percentage,
+        currentSpending: alert.currentSpending,
+        budgetAmount: alert.budgetAmount,
+        currency: budget.currency,
+        message: alert.message
+    };
+
+    await eventService.publish(alert.userId, 'budget.alert', payload);
+    await dispatchWebhookEvent(alert.userId, 'budget.alert', payload);
+}
+
 /**
  * Predict if budget will be exceeded based on current spending rate
  */
@@ -162,7 +204,7 @@ export async function predictBudgetExceedance(budgetId) {
         }
 
         const spending = await calculateCurrentSpending(budgetId);
-        const daysElapsed = Math.max(1, Math.ceil((new Date() - new Date(budget.startDate)) / (1000 * 60 * 60 * 24)));
+        const daysElapsed = Math.max(1, spending.daysElapsed);
         const dailySpendingRate = spending.currentSpending / daysElapsed;
         const daysRemaining = spending.daysRemaining;
 
@@ -257,6 +299,8 @@ export async function createPredictiveAlert(budgetId) {
 
         log.info(`Predictive alert created: ${alert.id} for budget ${budgetId}`);
 
+        await broadcastBudgetAlert(alert, budget);
+
         return alert;
     } catch (error) {
         log.error(`Error creating predictive alert for budget ${budgetId}:`, error);
@@ -354,28 +398,23 @@ export async function generateBudgetInsights(budgetId) {
  */
 async function getPreviousPeriodSpending(budget) {
     try {
-        const periodDays = Math.ceil((new Date(budget.endDate) - new Date(budget.startDate)) / (1000 * 60 * 60 * 24));
-        const previousStartDate = new Date(budget.startDate);
-        previousStartDate.setDate(previousStartDate.getDate() - periodDays);
-        const previousEndDate = new Date(budget.startDate);
-        previousEndDate.setDate(previousEndDate.getDate() - 1);
+        const { startDate: previousStartDate, endDate: previousEndDate } = budget.getPreviousPeriod();
+        const { timezone } = await User.getCalendar(budget.userId);
 
         const where = {
             userId: budget.userId,
-            purchaseDate: {
-                [Op.between]: [previousStartDate, previousEndDate]
-            },
-            amount: { [Op.not]: null }
+            amount: { [Op.not]: null },
+            [Op.and]: [receiptDayBetween(timezone, previousStartDate, previousEndDate)]
         };
 
         if (budget.category) {
-            where.category = budget.category;
+            where.category = await budgetCategoryFilter(budget);
         }
 
         const result = await Receipt.findOne({
             where,
             attributes: [
-                [sequelize.fn('SUM', sequelize.col('amount')), 'totalSpending']
+                [sequelize.fn('SUM', convertedAmount(budget.currency)), 'totalSpending']
             ],
             raw: true
         });
@@ -391,6 +430,21 @@ async function getPreviousPeriodSpending(budget) {
     }
 }
 
+/**
+ * Where condition for receipts counted on a day from startDate to endDate, in the user's timezone
+ */
+function receiptDayBetween(timezone, startDate, endDate) {
+    return sequelize.where(sequelize.literal(receiptDaySql(timezone)), { [Op.between]: [startDate, endDate] });
+}
+
+/**
+ * Receipt categories counted by a category budget: the category and its subcategories
+ */
+async function budgetCategoryFilter(budget) {
+    const categories = await getUserCategories(budget.userId);
+    return { [Op.in]: categoryKeysWithChildren(categories, budget.category) };
+}
+
 /**
  * Get category-specific insights
  */
@@ -407,7 +461,7 @@ async function getCategorySpecificInsights(budget, spending) {
             }
         },
         attributes: [
-            [sequelize.fn('AVG', sequelize.col('amount')), 'avgSpending']
+            [sequelize.fn('AVG', convertedAmount(budget.currency)), 'avgSpending']
         ],
         raw: true
     });
@@ -437,7 +491,13 @@ async function getCategorySpecificInsights(budget, spending) {
 export async function handleBudgetRollover(budgetId) {
     try {
         const budget = await Budget.findByPk(budgetId);
-        if (!budget || !budget.allowRollover || !budget.hasExpired()) {
+        if (!budget || !budget.allowRollover) {
+            return null;
+        }
+
+        // The period is over once its last day has passed where the user lives
+        const { timezone } = await User.getCalendar(budget.userId);
+        if (!budget.hasExpired(localDay(new Date(), timezone))) {
             return null;
         }
 
@@ -473,10 +533,11 @@ export async function handleBudgetRollover(budgetId) {
  */
 export async function processActiveBudgets() {
     try {
+        // Yesterday in UTC is still today for users west of it
         const activeBudgets = await Budget.findAll({
             where: {
                 isActive: true,
-                endDate: { [Op.gte]: new Date() }
+                endDate: { [Op.gte]: addDays(localDay(), -1) }
             }
         });
 
@@ -558,7 +619,8 @@ export async function processExpiredRecurringBudgets() {
  */
 export async function getUserBudgetsSummary(userId) {
     try {
-        const budgets = await Budget.findCurrentByUser(userId);
+        const { timezone } = await User.getCalendar(userId);
+        const budgets = await Budget.findCurrentByUser(userId, null, localDay(new Date(), timezone));
 
         const summaries = await Promise.all(
             budgets.map(async (budget) => {
@@ -609,8 +671,11 @@ export async function getMonthlySpendingTrend(budgetId, options = {}) {
             throw new NotFoundError('Budget not found');
         }
 
-        const now = new Date();
-        const currentMonthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+        // Months start on the user's month start day; they are keyed by the month they start in
+        const { timezone, monthStartDay } = await User.getCalendar(budget.userId);
+        const today = localDay(new Date(), timezone);
+        const currentMonthStart = monthStart(today, monthStartDay);
+        const monthKey = (day) => monthStart(day, monthStartDay).slice(0, 7);
 
         // Options
         const months = Number.parseInt(options.months ?? 6, 10); // historical months
@@ -618,57 +683,58 @@ export async function getMonthlySpendingTrend(budgetId, options = {}) {
         const sparse = !!(options.sparse ?? true);
 
         // Get last N months including current partial month
-        // Start at the first day of (now - months)
-        const startDate = new Date(now.getFullYear(), now.getMonth() - months, 1);
+        const startDate = addMonths(currentMonthStart, -months);
 
-        // Query receipts grouped by month
+        // Query receipts with the day they count on
         const where = {
             userId: budget.userId,
-            purchaseDate: {
-                [Op.gte]: startDate,
-                [Op.lte]: now
-            },
-            amount: { [Op.not]: null }
+            amount: { [Op.not]: null },
+            [Op.and]: [receiptDayBetween(timezone, startDate, today)]
         };
 
         // Filter by category if not global budget
         if (budget.category) {
-            where.category = budget.category;
+            where.category = await budgetCategoryFilter(budget);
         }
 
+        const receiptDay = sequelize.literal(receiptDaySql(timezone));
         const receipts = await Receipt.findAll({
             where,
-            attributes: ['purchaseDate', 'amount'],
+            attributes: [[receiptDay, 'day'], [convertedAmount(budget.currency), 'amount']],
             raw: true,
-            order: [['purchaseDate', 'ASC']]
+            order: [[receiptDay, 'ASC']]
         });
 
         // Group by month and calculate totals; also collect current month daily
         const monthlyData = {};
         const currentMonthDaily = {};
         receipts.forEach(receipt => {
-            const date = new Date(receipt.purchaseDate);
-            const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+            const day = String(receipt.day).slice(0, 10);
+            const key = monthKey(day);
+            const isCurrentMonth = day >= currentMonthStart;
 
-            if (!monthlyData[monthKey]) {
-                monthlyData[monthKey] = {
-                    month: monthKey,
+            if (!monthlyData[key]) {
+                monthlyData[key] = {
+                    month: key,
                     total: 0,
                     count: 0,
-                    isCurrentMonth: date >= currentMonthStart
+                    unconvertedCount: 0,
+                    isCurrentMonth
                 };
             }
 
-            monthlyData[monthKey].total += parseFloat(receipt.amount);
-            monthlyData[monthKey].count += 1;
+            // No rate to the budget currency on the receipt's date
+            if (receipt.amount === null) {
+                monthlyData[key].unconvertedCount += 1;
+                return;
+            }
+
+            monthlyData[key].total += parseFloat(receipt.amount);
+            monthlyData[key].count += 1;
 
             // If current month, build daily buckets
-            if (date >= currentMonthStart) {
-                const day = date.getDate();
-                if (!currentMonthDaily[day]) {
-                    currentMonthDaily[day] = 0;
-                }
-                currentMonthDaily[day] += parseFloat(receipt.amount);
+            if (isCurrentMonth) {
+                currentMonthDaily[day] = (currentMonthDaily[day] || 0) + parseFloat(receipt.amount);
             }
         });
 
@@ -678,13 +744,13 @@ export async function getMonthlySpendingTrend(budgetId, options = {}) {
         );
 
         // Calculate projection for current month
-        const currentMonthKey = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+        const currentMonthKey = monthKey(today);
         const currentMonthData = monthlyData[currentMonthKey];
+        const daysInMonth = daysBetween(currentMonthStart, addMonths(currentMonthStart, 1));
+        const daysElapsed = daysBetween(currentMonthStart, today) + 1;
 
         let projection = null;
         if (currentMonthData) {
-            const daysInMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0).getDate();
-            const daysElapsed = now.getDate();
             const dailyRate = currentMonthData.total / daysElapsed;
             const projectedTotal = dailyRate * daysInMonth;
 
@@ -703,20 +769,18 @@ export async function getMonthlySpendingTrend(budgetId, options = {}) {
         // Build current month daily cumulative series (if requested)
         let currentMonth = null;
         if (currentMonthData && mode === 'cumulative') {
-            const daysInMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0).getDate();
             const dailyPoints = [];
             let cumulative = 0;
-            for (let d = 1; d <= now.getDate(); d++) {
-                const daySpending = currentMonthDaily[d] || 0;
+            for (let date = currentMonthStart; date <= today; date = addDays(date, 1)) {
+                const daySpending = currentMonthDaily[date] || 0;
                 if (sparse && daySpending === 0) {
                     // skip no-receipt days
                     continue;
                 }
                 cumulative += daySpending;
-                const dateStr = `${currentMonthKey}-${String(d).padStart(2, '0')}`;
-                dailyPoints.push({ date: dateStr, cumulative: parseFloat(cumulative.toFixed(2)) });
+                dailyPoints.push({ date, cumulative: parseFloat(cumulative.toFixed(2)) });
             }
-            currentMonth = { month: currentMonthKey, daysInMonth, dailyPoints };
+            currentMonth = { month: currentMonthKey, startDate: currentMonthStart, daysInMonth, dailyPoints };
         }
 
         // Historical months array (limit to the last N months BEFORE current month if desired)
@@ -726,7 +790,8 @@ export async function getMonthlySpendingTrend(budgetId, options = {}) {
             .map(m => ({
                 month: m.month,
                 total: parseFloat(m.total.toFixed(2)),
-                receiptCount: m.count
+                receiptCount: m.count,
+                unconvertedCount: m.unconvertedCount
             }));
 
         return {
@@ -738,6 +803,7 @@ export async function getMonthlySpendingTrend(budgetId, options = {}) {
                 month: m.month,
                 total: parseFloat(m.total.toFixed(2)),
                 receiptCount: m.count,
+                unconvertedCount: m.unconvertedCount,
                 isCurrentMonth: m.isCurrentMonth
             })),
             historicalMonths,
@@ -745,7 +811,7 @@ export async function getMonthlySpendingTrend(budgetId, options = {}) {
             projection,
             period: {
                 startDate,
-                endDate: now
+                endDate: today
             }
         };
     } catch (error) {
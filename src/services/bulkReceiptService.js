@@ -0,0 +1,288 @@
+import { Op } from 'sequelize';
+import Receipt from '../models/Receipt.js';
+import ReceiptRule from '../models/ReceiptRule.js';
+import queueService from './queueService.js';
+import cacheService from './cacheService.js';
+import { dispatchWebhookEvent, serializeReceipt } from './webhookService.js';
+import { snapshotRevisionFields, recordRevision } from './receiptRevisionService.js';
+import { getUserCategories, findCategory, categoryKeysWithChildren } from './categoryService.js';
+import { ruleUpdates } from './receiptRuleService.js';
+import { findSubmittedReport } from './expenseReportService.js';
+import { log } from '../utils/logger.js';
+
+export const BULK_ACTIONS = [
+    'recategorize',
+    'add_tags',
+    'remove_tags',
+    'set_payment_method',
+    'mark_business',
+    'delete',
+    'reprocess'
+];
+
+// Internal action applying a saved rule retroactively (params.ruleId)
+export const APPLY_RULE_ACTION = 'apply_rule';
+
+// Selections up to this size are applied during the request, larger ones run as a background job
+export const BULK_INLINE_LIMIT = 50;
+export const BULK_MAX_RECEIPTS = parseInt(process.env.BULK_MAX_RECEIPTS) || 5000;
+
+// How often (in receipts) a background job reports progress
+const PROGRESS_INTERVAL = 10;
+
+// Keys matching a category filter (a parent category includes its subcategories)
+function categoryFilterKeys(categories, value) {
+    const category = findCategory(categories, value);
+    return category ? categoryKeysWithChildren(categories, category.key) : null;
+}
+
+// Same filter keys as saved filters
+export function buildFilterWhere(userId, filters = {}, categories = []) {
+    const where = { userId };
+
+    if (filters.category) {
+        // Unknown categories match nothing
+        where.category = categoryFilterKeys(categories, filters.category) || 'invalid_category_no_match';
+    }
+
+    if (filters.merchant) {
+        where.merchantName = { [Op.iLike]: `%${filters.merchant.trim()}%` };
+    }
+
+    if (filters.dateFrom || filters.dateTo) {
+        where.purchaseDate = {};
+        if (filters.dateFrom) {
+            where.purchaseDate[Op.gte] = new Date(filters.dateFrom);
+        }
+        if (filters.dateTo) {
+            const toDate = new Date(filters.dateTo);
+            toDate.setHours(23, 59, 59, 999);
+            where.purchaseDate[Op.lte] = toDate;
+        }
+    }
+
+    if (filters.minAmount !== undefined || filters.maxAmount !== undefined) {
+        where.amount = {};
+        if (filters.minAmount !== undefined) {
+            where.amount[Op.gte] = parseFloat(filters.minAmount);
+        }
+        if (filters.maxAmount !== undefined) {
+            where.amount[Op.lte] = parseFloat(filters.maxAmount);
+        }
+    }
+
+    if (Array.isArray(filters.tags) && filters.tags.length > 0) {
+        where.tags = { [Op.overlap]: filters.tags };
+    }
+
+    if (filters.isBusiness !== undefined) {
+        where.isBusiness = filters.isBusiness === true || filters.isBusiness === 'true';
+    }
+
+    for (const field of ['project', 'client', 'costCenter']) {
+        if (filters[field]) {
+            where[field] = filters[field];
+        }
+    }
+
+    return where;
+}
+
+/**
+ * Ids of the receipts a bulk operation applies to: an explicit list, the receipts
+ * matching saved-filter criteria, or the results of a full-text search (optionally
+ * narrowed by the same criteria).
+ *
+ * At most BULK_MAX_RECEIPTS + 1 ids are returned, so callers can detect selections
+ * that are too large. Explicit ids are passed through as given; ids that do not
+ * exist are reported per receipt when the operation runs.
+ */
+export async function findBulkReceiptIds(userId, { receiptIds, filters, query }) {
+    if (Array.isArray(receiptIds)) {
+        return [...new Set(receiptIds)];
+    }
+
+    const categories = filters?.category ? await getUserCategories(userId) : [];
+
+    if (query) {
+        const { receipts } = await Receipt.fullTextSearch(userId, query, {
+            ...(filters?.category && { category: categoryFilterKeys(categories, filters.category) }),
+            ...(filters?.dateFrom && { dateFrom: new Date(filters.dateFrom) }),
+            ...(filters?.dateTo && { dateTo: new Date(filters.dateTo) }),
+            ...(filters?.minAmount !== undefined && { minAmount: parseFloat(filters.minAmount) }),
+            ...(filters?.maxAmount !== undefined && { maxAmount: parseFloat(filters.maxAmount) }),
+            limit: BULK_MAX_RECEIPTS + 1,
+            offset: 0
+        });
+        return receipts.map(receipt => receipt.id);
+    }
+
+    const receipts = await Receipt.findAll({
+        where: buildFilterWhere(userId, filters, categories),
+        attributes: ['id'],
+        order: [['purchaseDate', 'DESC']],
+        limit: BULK_MAX_RECEIPTS + 1
+    });
+    return receipts.map(receipt => receipt.id);
+}
+
+function fieldUpdatesFor(receipt, action, params, { categories, rule }) {
+    switch (action) {
+        case 'recategorize': {
+            const category = findCategory(categories, params.category);
+            if (!category) {
+                throw new Error(`Invalid category: ${params.category}`);
+            }
+            return { category: category.key };
+        }
+        case 'add_tags':
+            return { tags: [...new Set([...(receipt.tags || []), ...params.tags])] };
+        case 'remove_tags':
+            return { tags: (receipt.tags || []).filter(tag => !params.tags.includes(tag)) };
+        case 'set_payment_method':
+            return { paymentMethod: params.paymentMethod };
+        case 'mark_business':
+            if (params.isBusiness === false && receipt.expenseReportId) {
+                throw new Error('Receipt is claimed in an expense report');
+            }
+            return {
+                isBusiness: params.isBusiness !== false,
+                ...(params.project !== undefined && { project: params.project || null }),
+                ...(params.client !== undefined && { client: params.client || null }),
+                ...(params.costCenter !== undefined && { costCenter: params.costCenter || null })
+            };
+        case APPLY_RULE_ACTION:
+            return ruleUpdates(rule.actions, receipt);
+        default:
+            throw new Error(`Unknown bulk action: ${action}`);
+    }
+}
+
+async function applyToReceipt(receipt, action, params, userId, context) {
+    if (action === 'delete') {
+        if (await findSubmittedReport(receipt)) {
+            throw new Error('Receipt is claimed in a submitted expense report');
+        }
+        await receipt.destroy();
+        await dispatchWebhookEvent(userId, 'receipt.deleted', { receipt: serializeReceipt(receipt) });
+        return { changed: true };
+    }
+
+    if (action === 'reprocess') {
+        if (!queueService.isConnected) {
+            throw new Error('Queue service not connected');
+        }
+        const job = await queueService.addOCRJob(receipt.id, receipt.imageUrl, 'low');
+        return { changed: false, jobId: job.id };
+    }
+
+    const before = snapshotRevisionFields(receipt);
+    await receipt.update(fieldUpdatesFor(receipt, action, params, context));
+
+    const revision = await recordRevision({
+        receiptId: receipt.id,
+        userId,
+        entity: receipt,
+        before,
+        source: action === APPLY_RULE_ACTION ? 'rule' : 'user',
+        actorId: userId
+    });
+
+    if (!revision) {
+        return { changed: false };
+    }
+
+    await dispatchWebhookEvent(userId, 'receipt.updated', {
+        receipt: serializeReceipt(receipt),
+        changedFields: Object.keys(revision.changes)
+    });
+
+    return { changed: true };
+}
+
+/**
+ * Apply one bulk action to each receipt, one at a time. A failure only affects its
+ * own receipt: the result lists the outcome of every receipt.
+ *
+ * onProgress, if given, is called with { processed, total, succeeded, failed }.
+ */
+export async function runBulkOperation({ userId, receiptIds, action, params = {} }, { onProgress } = {}) {
+    const total = receiptIds.length;
+    const results = [];
+    let succeeded = 0;
+    let failed = 0;
+
+    log.info('Bulk receipt operation started', { userId, action, total });
+
+    const context = {
+        categories: action === 'recategorize' ? await getUserCategories(userId) : [],
+        rule: action === APPLY_RULE_ACTION
+            ? await ReceiptRule.findOne({ where: { id: params.ruleId, userId } })
+            : null
+    };
+
+    if (action === APPLY_RULE_ACTION && !context.rule) {
+        throw new Error(`Rule ${params.ruleId} not found`);
+    }
+
+    for (const [index, id] of receiptIds.entries()) {
+        try {
+            const receipt = await Receipt.findOne({ where: { id, userId } });
+            if (!receipt) {
+                throw new Error('Receipt not found');
+            }
+
+            const outcome = await applyToReceipt(receipt, action, params, userId, context);
+            results.push({ id, status: 'succeeded', ...outcome });
+            succeeded++;
+        } catch (error) {
+            log.warn('Bulk operation failed for receipt', { userId, action, receiptId: id, error: error.message });
+            results.push({ id, status: 'failed', error: error.message });
+            failed++;
+        }
+
+        const processed = index + 1;
+        if (onProgress && (processed % PROGRESS_INTERVAL === 0 || processed === total)) {
+            await onProgress({ processed, total, succeeded, failed });
+        }
+    }
+
+    if (succeeded > 0) {
+        await cacheService.invalidateUserReceipts(userId);
+        await cacheService.invalidateUserStats(userId);
+    }
+
+    log.info('Bulk receipt operation completed', { userId, action, total, succeeded, failed });
+
+    return { action, total, succeeded, failed, results };
+}
+
+/**
+ * Run a bulk operation during the request, or queue it as a background job when it
+ * is large or the client prefers async. Without a queue it always runs inline.
+ *
+ * Resolves with { job } when queued, { result } otherwise.
+ */
+export async function startBulkOperation(operation, { preferAsync = false } = {}) {
+    const { userId, action, receiptIds } = operation;
+
+    if (receiptIds.length > BULK_INLINE_LIMIT || preferAsync) {
+        if (queueService.isConnected) {
+            const job = await queueService.addBulkOperationJob(operation);
+
+            log.info('Bulk receipt operation queued', { userId, jobId: job.id, action, total: receiptIds.length });
+
+            return { job };
+        }
+
+        log.warn('Queue service not connected, running bulk operation synchronously', { userId, total: receiptIds.length });
+    }
+
+    return { result: await runBulkOperation(operation) };
+}
+
+export default {
+    findBulkReceiptIds,
+    runBulkOperation,
+    startBulkOperation
+};
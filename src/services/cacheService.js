@@ -320,6 +320,22 @@ class CacheService {
         return await this.del(key);
     }
 
+    // Category caching (system categories plus the user's own)
+    async cacheUserCategories(userId, categories, ttl = 3600) {
+        const key = `categories:user:${userId}`;
+        return await this.set(key, categories, ttl);
+    }
+
+    async getUserCategories(userId) {
+        const key = `categories:user:${userId}`;
+        return await this.get(key);
+    }
+
+    async invalidateUserCategories(userId) {
+        const key = `categories:user:${userId}`;
+        return await this.del(key);
+    }
+
     // Global stats caching
     async cacheGlobalStats(stats, ttl = 3600) {
         const key = 'stats:global';
@@ -2,6 +2,7 @@ import OpenAI from "openai";
 import logger, { log } from "../utils/logger.js";
 import { getAIPrompts } from "../config/i18n.js";
 import { mapCategoryToInternal } from "../utils/categoryMapper.js";
+import { categoriesFor, findCategory, formatCategoryPrompt, FALLBACK_CATEGORY } from "./categoryService.js";
 import crypto from "crypto";
 import cacheService from "./cacheService.js";
 
@@ -10,9 +11,34 @@ const client = new OpenAI({
     baseURL: "https://openrouter.ai/api/v1",
 });
 
-export async function categorizeReceipt(text, locale = 'en') {
+// Prompt lists of the user's categories (see categoryService.getUserCategories)
+function categoryPromptLists(categories) {
+    if (!categories) return {};
+    return {
+        receiptCategories: formatCategoryPrompt(categories, 'receipt'),
+        productCategories: formatCategoryPrompt(categories, 'product')
+    };
+}
+
+// Key of the user's category named in an AI answer, or the fallback category
+function toUserCategoryKey(categories, answer, use) {
+    return findCategory(categoriesFor(categories, use), answer)?.key || FALLBACK_CATEGORY;
+}
+
+// Short fingerprint of a category list, so cached AI results follow category changes
+function categoryFingerprint(categories) {
+    if (!categories) return 'default';
+    const signature = categories.map(category => `${category.key}:${category.appliesTo}:${category.description || ''}`).join('|');
+    return crypto.createHash('sha256').update(signature).digest('hex').substring(0, 12);
+}
+
+/**
+ * Classify a receipt from its text. With the user's categories (categories) the
+ * answer is one of their keys, otherwise one of the built-in categories.
+ */
+export async function categorizeReceipt(text, locale = 'en', categories = null) {
     try {
-        const prompts = getAIPrompts(locale);
+        const prompts = getAIPrompts(locale, categoryPromptLists(categories));
 
         const completion = await client.chat.completions.create({
             model: "google/gemini-2.0-flash-001",
@@ -29,6 +55,10 @@ export async function categorizeReceipt(text, locale = 'en') {
         // Get the AI response
         const aiCategory = completion.choices[0].message.content.trim();
 
+        if (categories) {
+            return toUserCategoryKey(categories, aiCategory, 'receipt');
+        }
+
         // Map to internal English format
         const internalCategory = mapCategoryToInternal(aiCategory);
 
@@ -41,14 +71,17 @@ export async function categorizeReceipt(text, locale = 'en') {
     }
 }
 
-export async function categorizeProduct(productName, locale = 'en') {
+/**
+ * Classify a product by name, with the user's categories when given
+ */
+export async function categorizeProduct(productName, locale = 'en', categories = null) {
     try {
         // Defensive: avoid provider 400 when content is null/empty
         const safeName = (productName ?? '').toString().trim();
         if (!safeName) {
             return 'others';
         }
-        const prompts = getAIPrompts(locale);
+        const prompts = getAIPrompts(locale, categoryPromptLists(categories));
 
         const completion = await client.chat.completions.create({
             model: "openai/gpt-4o-mini",
@@ -65,6 +98,10 @@ export async function categorizeProduct(productName, locale = 'en') {
         // Get the AI response (already in English)
         const aiCategory = completion.choices[0].message.content.trim().toLowerCase();
 
+        if (categories) {
+            return toUserCategoryKey(categories, aiCategory, 'product');
+        }
+
         // Validate it's one of our allowed categories
         const validCategories = ['food', 'beverages', 'cleaning', 'personal_care', 'pharmacy', 'transport', 'fuel', 'others'];
 
@@ -156,6 +193,7 @@ TASKS:
 OUTPUT FORMAT (JSON):
 {
   "receiptCategory": "Mercado|Transporte|Comida|Combustible|Otros",
+  "receiptType": "purchase|refund|credit_note",
   "merchantName": "Store/merchant name",
   "purchaseDate": "2024-01-15" or null,
   "purchaseDateRaw": "1/10/2025" or "10-01-2025" if present on the receipt,
@@ -182,6 +220,8 @@ OUTPUT FORMAT (JSON):
   "products": [
     {
       "name": "Normalized name in Spanish",
+      "itemType": "product|deposit|deposit_return|discount|fee|tip|tax",
+      "appliesTo": 0,
       "category": "Alimentos|Bebidas|Limpieza|Higiene|Farmacia|Otros",
       "quantity": 1.5,
       "unitPrice": 2.50,
@@ -235,12 +275,28 @@ PRODUCT WEIGHT/VOLUME EXTRACTION:
 - Format examples: "1.5L", "500g", "2kg", "750ml", "33cl"
 - Extract from product names or separate weight/volume lines
 
+LINE TYPES (itemType of each entry in "products"):
+- "product": goods or services bought (the default)
+- "deposit": bottle/crate deposit paid ("STATIEGELD", "PFAND", "DEPOSIT", "CONSIGNE")
+- "deposit_return": deposit refunded for returned bottles ("LEEGGOED", "PFANDRUECKGABE", "BOTTLE RETURN"), NEGATIVE prices
+- "discount": discount, coupon or loyalty line ("KORTING", "BONUS", "DESCUENTO", "RABATT", "DISCOUNT"), NEGATIVE prices; appliesTo is the index (0-based) in "products" of the product it reduces, or null for a discount on the whole receipt
+- "fee": bag, service, delivery or other surcharges
+- "tip": tip or gratuity
+- "tax": a tax charged as its own line (e.g. a sugar or bottle tax); NEVER list the VAT/tax summary as a line
+- Omit appliesTo for lines that are not discounts
+
+REFUNDS, RETURNS & CREDIT NOTES:
+- receiptType is "refund" for returns and refunds ("REFUND", "RETURN", "DEVOLUCION", "REEMBOLSO", "RETOUR", "TERUGBETALING"), "credit_note" for credit notes ("CREDIT NOTE", "NOTA DE CREDITO", "CREDITNOTA", "GUTSCHRIFT", "AVOIR"), otherwise "purchase"
+- For refunds and credit notes the total, subtotal, tax, VAT amounts and bases are NEGATIVE
+- Returned products keep a positive quantity with NEGATIVE unitPrice and totalPrice
+- A discount line does not make a receipt a refund: a purchase with discounts stays "purchase"
+
 CRITICAL RULES:
 - If text is in English or other languages, translate EVERYTHING to Spanish
 - Normalize product names removing specific brands when possible
 - Product categories: Alimentos, Bebidas, Limpieza, Higiene, Farmacia, Otros
 - Receipt categories: Mercado, Transporte, Comida, Combustible, Otros
-- Ignore non-product lines (totals, payment methods, headers, etc.)
+- Ignore lines that are not charged (totals, payment methods, headers, etc.); deposits, discounts, fees and tips are lines with their itemType
 - Use reasonable defaults if information cannot be determined
 - ALWAYS extract payment method, VAT info, and discount details when available
 - Country detection is CRITICAL for VAT rate validation
@@ -277,7 +333,7 @@ VALIDATION & ANOMALY DETECTION:
   * Recalculate products if prices seem incorrect
   * If product price is abnormal (>10x average), review it
 - ANOMALY DETECTION:
-  * Products with price < 0.01 or > 10000: likely OCR error
+  * Products with price < 0.01 or > 10000: likely OCR error (returned products of a refund are negative)
   * Total < any individual product price: obvious error
   * Tax > 50% of subtotal: likely error
   * If anomalies detected, attempt correction or mark as suspicious
@@ -408,7 +464,8 @@ Respond ONLY with the normalized Spanish name. No explanations or additional tex
 }
 
 // New: Unified AI pipeline starting from processed image bytes (OCR + parsing)
-export async function processReceiptWithAIFromImage(imageBuffer, locale = 'en', publicImageUrl = null) {
+// categories: the user's categories, used instead of the built-in ones when given
+export async function processReceiptWithAIFromImage(imageBuffer, locale = 'en', publicImageUrl = null, categories = null) {
     log.info('processReceiptWithAIFromImage called', { locale, publicImageUrl });
 
     // IMPORTANT: We require a signed public URL - base64 is NOT supported to avoid token bloat
@@ -416,28 +473,68 @@ export async function processReceiptWithAIFromImage(imageBuffer, locale = 'en',
         throw new Error('publicImageUrl is required - base64 encoding is not supported to avoid excessive token usage');
     }
 
+    return await processReceiptWithUnifiedAI({ imageBuffer, publicImageUrl }, locale, categories);
+}
+
+// Same pipeline from the text of a digital receipt (e.g. the text layer of a PDF), no image needed
+export async function processReceiptWithAIFromText(receiptText, locale = 'en', categories = null) {
+    log.info('processReceiptWithAIFromText called', { locale, textLength: receiptText?.length });
+    return await processReceiptWithUnifiedAI({ text: String(receiptText || '').slice(0, 12000) }, locale, categories);
+}
+
+async function processReceiptWithUnifiedAI({ imageBuffer, publicImageUrl, text }, locale, categories) {
     try {
-        const bufHash = Buffer.isBuffer(imageBuffer) ? imageBuffer : Buffer.from(imageBuffer);
+        const source = text !== undefined ? 'text' : 'image';
+        const bufHash = source === 'text'
+            ? Buffer.from(text)
+            : Buffer.isBuffer(imageBuffer) ? imageBuffer : Buffer.from(imageBuffer);
         const hash = crypto.createHash('sha256').update(bufHash).digest('hex');
-        const cacheKey = `ai:receipt:image:${locale}:${hash}`;
+        const cacheKey = `ai:receipt:${source}:${locale}:${categoryFingerprint(categories)}:${hash}`;
         try {
             const cached = await cacheService.get(cacheKey);
             if (cached?.success) {
-                log.info('AI image result cache hit', { locale, hash: hash.substring(0,8) });
+                log.info(`AI ${source} result cache hit`, { locale, hash: hash.substring(0,8) });
                 return cached;
             }
         } catch {}
 
-        // Use signed URL (e.g., https://api.tallylens.app/secure/receipts/xxx.webp?expires=...&signature=...)
-        // This URL is temporary and secure - only valid for the duration needed by OpenRouter
-        const imageInput = { type: 'image_url', image_url: { url: publicImageUrl } };
+        let userContent;
+        if (source === 'text') {
+            userContent = `Analyze this receipt text and produce the JSON exactly as specified.\n\n${text}`;
+        } else {
+            // Use signed URL (e.g., https://api.tallylens.app/secure/receipts/xxx.webp?expires=...&signature=...)
+            // This URL is temporary and secure - only valid for the duration needed by OpenRouter
+            const imageInput = { type: 'image_url', image_url: { url: publicImageUrl } };
 
-        log.info('Using signed URL for AI processing', {
-            url: publicImageUrl.split('?')[0] // Log without signature
-        });
+            log.info('Using signed URL for AI processing', {
+                url: publicImageUrl.split('?')[0] // Log without signature
+            });
+
+            userContent = [
+                { type: 'text', text: 'Analyze this receipt image and produce the JSON exactly as specified.' },
+                imageInput
+            ];
+        }
 
         const prompts = getAIPrompts(locale);
 
+        const receiptCategoryKeys = categories
+            ? categoriesFor(categories, 'receipt').map(category => category.key)
+            : ['grocery', 'transport', 'food', 'fuel', 'others'];
+        const productCategoryKeys = categories
+            ? categoriesFor(categories, 'product').map(category => category.key)
+            : ['food', 'beverages', 'cleaning', 'personal_care', 'pharmacy', 'others'];
+        const categoryGuide = categories
+            ? `CATEGORIES:
+Receipt categories:
+${formatCategoryPrompt(categories, 'receipt')}
+Product categories:
+${formatCategoryPrompt(categories, 'product')}
+Prefer the most specific matching subcategory.
+
+`
+            : '';
+
         // Build strict JSON schema + rules for extraction (same spec as text pipeline)
         const systemPrompt = `${prompts.receiptProcessor}
 
@@ -453,7 +550,8 @@ TASKS:
 
 OUTPUT FORMAT (JSON - MINIMAL FIELDS ONLY):
 {
-  "receiptCategory": "grocery|transport|food|fuel|others",
+  "receiptCategory": "${receiptCategoryKeys.join('|')}",
+  "receiptType": "purchase|refund|credit_note",
   "merchantName": "Store/merchant name",
   "purchaseDate": "2024-01-15" or null,
   "purchaseDateRaw": "1/10/2025" or "10-01-2025" or original notation if present,
@@ -472,7 +570,9 @@ OUTPUT FORMAT (JSON - MINIMAL FIELDS ONLY):
   "products": [
     {
       "name": "Normalized generic name in English",
-      "category": "food|beverages|cleaning|personal_care|pharmacy|others",
+      "itemType": "product|deposit|deposit_return|discount|fee|tip|tax",
+      "appliesTo": 0,
+      "category": "${productCategoryKeys.join('|')}",
       "quantity": 1.5,
       "unitPrice": 2.50,
       "totalPrice": 3.75,
@@ -503,12 +603,28 @@ PRODUCT WEIGHT/VOLUME EXTRACTION:
 - Weight: "kg", "g", "gram"; Volume: "l", "L", "ml", "cl"
 - Formats: "1.5L", "500g", "2kg", "750ml", "33cl"
 
-CRITICAL RULES:
+LINE TYPES (itemType of each entry in "products"):
+- "product": goods or services bought (the default)
+- "deposit": bottle/crate deposit paid ("STATIEGELD", "PFAND", "DEPOSIT", "CONSIGNE")
+- "deposit_return": deposit refunded for returned bottles ("LEEGGOED", "PFANDRUECKGABE", "BOTTLE RETURN"), NEGATIVE prices
+- "discount": discount, coupon or loyalty line ("KORTING", "BONUS", "DESCUENTO", "RABATT", "DISCOUNT"), NEGATIVE prices; appliesTo is the index (0-based) in "products" of the product it reduces, or null for a discount on the whole receipt
+- "fee": bag, service, delivery or other surcharges
+- "tip": tip or gratuity
+- "tax": a tax charged as its own line (e.g. a sugar or bottle tax); NEVER list the VAT/tax summary as a line
+- Omit appliesTo for lines that are not discounts
+
+REFUNDS, RETURNS & CREDIT NOTES:
+- receiptType is "refund" for returns and refunds ("REFUND", "RETURN", "DEVOLUCION", "REEMBOLSO", "RETOUR", "TERUGBETALING"), "credit_note" for credit notes ("CREDIT NOTE", "NOTA DE CREDITO", "CREDITNOTA", "GUTSCHRIFT", "AVOIR"), otherwise "purchase"
+- For refunds and credit notes the total, subtotal, tax, VAT amounts and bases are NEGATIVE
+- Returned products keep a positive quantity with NEGATIVE unitPrice and totalPrice
+- A discount line does not make a receipt a refund: a purchase with discounts stays "purchase"
+
+${categoryGuide}CRITICAL RULES:
 - QUANTITY/PACK MULTIPLIERS: Parse patterns like '2 x 2,99', '2×1.09', '3 X €1,50'. If present, set quantity=numeric multiplier and unitPrice=single-unit price, totalPrice=quantity*unitPrice. These patterns may appear on the line below the product name; still infer correctly.
 - Normalize product names in English (generic names; remove brand unless it’s the essence)
-- Product categories must be one of: food, beverages, cleaning, personal_care, pharmacy, others
-- Receipt category must be one of: grocery, transport, food, fuel, others
-- Ignore non-product lines
+- Product categories must be one of: ${productCategoryKeys.join(', ')}
+- Receipt category must be one of: ${receiptCategoryKeys.join(', ')}
+- Ignore lines that are not charged (totals, payment methods, headers); deposits, discounts, fees and tips are lines with their itemType
 - Use reasonable defaults; use null if truly unknown
 - ALWAYS extract payment method, VAT info (cleaned), and discount details when available
 - TOTALS & CURRENCY:
@@ -530,7 +646,7 @@ DATE DISAMBIGUATION (CRITICAL):
 VALIDATION & ANOMALY DETECTION:
 - Verify products sum ≈ subtotal (±5%)
 - Verify subtotal + tax - discount ≈ total (±2%)
-- Flag anomalies: unitPrice < 0.01 or > 10000; tax > 50% subtotal; total < any item
+- Flag anomalies: unitPrice < 0.01 or > 10000; tax > 50% subtotal; total < any item (compare absolute values for refunds and credit notes)
 
 OUTPUT REQUIREMENTS:
 - Return ONLY valid, MINIFIED JSON (single line, no spaces or newlines). No code fences or extra text
@@ -539,7 +655,7 @@ OUTPUT REQUIREMENTS:
 - Use null for unknown values; you may omit optional keys (brand, weight, isOrganic, originalText) to reduce length
 - Keep arrays empty if no items`;
 
-        // JSON-only response with vision input
+        // JSON-only response with vision (or text) input
         const baseParams = {
             model: "google/gemini-2.0-flash-001",
             messages: [
@@ -549,10 +665,7 @@ OUTPUT REQUIREMENTS:
                 },
                 {
                     role: "user",
-                    content: [
-                        { type: 'text', text: 'Analyze this receipt image and produce the JSON exactly as specified.' },
-                        imageInput
-                    ]
+                    content: userContent
                 }
             ],
             temperature: 0.2,
@@ -662,7 +775,9 @@ OUTPUT REQUIREMENTS:
 
         // Normalize receipt category
         if (parsed.receiptCategory) {
-            parsed.receiptCategory = mapCategoryToInternal(parsed.receiptCategory) || 'others';
+            parsed.receiptCategory = categories
+                ? toUserCategoryKey(categories, parsed.receiptCategory, 'receipt')
+                : mapCategoryToInternal(parsed.receiptCategory) || 'others';
         }
 
         const result = { success: true, data: parsed };
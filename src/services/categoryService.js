@@ -0,0 +1,330 @@
+import { Op } from 'sequelize';
+import sequelize from '../config/db.js';
+import Category from '../models/Category.js';
+import Receipt from '../models/Receipt.js';
+import Product from '../models/Product.js';
+import Budget from '../models/Budget.js';
+import Merchant from '../models/Merchant.js';
+import cacheService from './cacheService.js';
+import { mapCategoryToInternal } from '../utils/categoryMapper.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+import { log } from '../utils/logger.js';
+
+// Category everything falls back to (e.g. when the AI answer matches no category)
+export const FALLBACK_CATEGORY = 'others';
+
+export const MAX_USER_CATEGORIES = 100;
+
+/**
+ * System categories plus the user's own, as plain objects in display order
+ */
+export async function getUserCategories(userId) {
+    const cached = await cacheService.getUserCategories(userId);
+    if (cached) {
+        return cached;
+    }
+
+    const categories = (await Category.findForUser(userId)).map(category => category.toJSON());
+    await cacheService.cacheUserCategories(userId, categories);
+    return categories;
+}
+
+function appliesTo(category, use) {
+    return !use || category.appliesTo === 'both' || category.appliesTo === use;
+}
+
+/**
+ * Categories offered for receipts or for products ('receipt' or 'product')
+ */
+export function categoriesFor(categories, use) {
+    return categories.filter(category => appliesTo(category, use));
+}
+
+/**
+ * Find a category by key, name or translated name (case-insensitive). Legacy
+ * localized values such as "Mercado" or "market" are still understood.
+ */
+export function findCategory(categories, value) {
+    if (!value) return null;
+
+    const text = String(value).trim();
+    const lower = text.toLowerCase();
+
+    const byKey = categories.find(category => category.key === lower);
+    if (byKey) return byKey;
+
+    const byName = categories.find(category =>
+        category.name.toLowerCase() === lower
+        || Object.values(category.translations || {}).some(name => String(name).toLowerCase() === lower)
+    );
+    if (byName) return byName;
+
+    const legacyKey = mapCategoryToInternal(text);
+    return legacyKey ? categories.find(category => category.key === legacyKey) || null : null;
+}
+
+/**
+ * Key of the user's category matching a key or name, or null when there is none.
+ * `use` ('receipt' or 'product') skips categories not offered for that use.
+ */
+export async function resolveCategoryKey(userId, value, { use } = {}) {
+    const category = findCategory(await getUserCategories(userId), value);
+    return category && appliesTo(category, use) ? category.key : null;
+}
+
+/**
+ * A category key together with the keys of its subcategories, for filters and
+ * budgets that include subcategories
+ */
+export function categoryKeysWithChildren(categories, key) {
+    const category = categories.find(candidate => candidate.key === key);
+    if (!category) return [key];
+
+    return [key, ...categories.filter(child => child.parentId === category.id).map(child => child.key)];
+}
+
+export function getLocalizedCategoryName(category, language = 'en') {
+    return category.translations?.[language] || category.name;
+}
+
+/**
+ * Display information of a category key (localized name, parent, icon and color)
+ */
+export function describeCategory(categories, key, language = 'en') {
+    const category = categories.find(candidate => candidate.key === key);
+    if (!category) return null;
+
+    const parent = category.parentId
+        ? categories.find(candidate => candidate.id === category.parentId)
+        : null;
+
+    return {
+        key: category.key,
+        name: getLocalizedCategoryName(category, language),
+        parentKey: parent?.key || null,
+        icon: category.icon,
+        color: category.color
+    };
+}
+
+/**
+ * Two-level category tree with localized names
+ */
+export function buildCategoryTree(categories, language = 'en') {
+    const present = category => ({
+        ...category,
+        localizedName: getLocalizedCategoryName(category, language),
+        isSystem: category.userId === null
+    });
+
+    return categories
+        .filter(category => !category.parentId)
+        .map(category => ({
+            ...present(category),
+            subcategories: categories
+                .filter(child => child.parentId === category.id)
+                .map(present)
+        }));
+}
+
+/**
+ * Category list for AI classification prompts, one "- key (description)" line each
+ */
+export function formatCategoryPrompt(categories, use) {
+    return categoriesFor(categories, use)
+        .map(category => {
+            const parent = category.parentId
+                ? categories.find(candidate => candidate.id === category.parentId)
+                : null;
+            const details = [
+                category.name,
+                parent && `subcategory of ${parent.key}`,
+                category.description
+            ].filter(Boolean).join('; ');
+            return `- ${category.key} (${details})`;
+        })
+        .join('\n');
+}
+
+function slugify(name) {
+    return name
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '')
+        .slice(0, 40) || 'category';
+}
+
+function uniqueKey(categories, name) {
+    const base = slugify(name);
+    const taken = new Set(categories.map(category => category.key));
+
+    let key = base;
+    for (let suffix = 2; taken.has(key); suffix++) {
+        key = `${base}_${suffix}`;
+    }
+    return key;
+}
+
+// Subcategories may only sit below a top-level category the user can see
+function validateParent(categories, parentId, category = null) {
+    if (!parentId) return null;
+
+    const parent = categories.find(candidate => candidate.id === parentId);
+    if (!parent) {
+        throw new NotFoundError('Parent category');
+    }
+    if (parent.parentId) {
+        throw new ValidationError('Subcategories cannot have subcategories of their own');
+    }
+    if (category) {
+        if (parent.id === category.id) {
+            throw new ValidationError('A category cannot be its own parent');
+        }
+        if (categories.some(candidate => candidate.parentId === category.id)) {
+            throw new ValidationError('A category with subcategories cannot become a subcategory');
+        }
+    }
+    return parent;
+}
+
+async function findOwnCategory(userId, categoryId) {
+    const category = await Category.findByPk(categoryId);
+
+    if (!category || (category.userId !== null && category.userId !== userId)) {
+        throw new NotFoundError('Category');
+    }
+    if (category.isSystem()) {
+        throw new ValidationError('System categories cannot be changed');
+    }
+    return category;
+}
+
+/**
+ * Create a user category or subcategory. The key is derived from the name.
+ */
+export async function createCategory(userId, data) {
+    const categories = await getUserCategories(userId);
+
+    if (categories.filter(category => category.userId === userId).length >= MAX_USER_CATEGORIES) {
+        throw new ValidationError(`You can create up to ${MAX_USER_CATEGORIES} categories`);
+    }
+
+    const parent = validateParent(categories, data.parentId);
+
+    const category = await Category.create({
+        userId,
+        parentId: parent?.id || null,
+        key: uniqueKey(categories, data.name),
+        name: data.name,
+        translations: data.translations || {},
+        description: data.description || null,
+        icon: data.icon || parent?.icon || null,
+        color: data.color || parent?.color || null,
+        appliesTo: data.appliesTo || parent?.appliesTo || 'both',
+        position: data.position ?? 500
+    });
+
+    await cacheService.invalidateUserCategories(userId);
+
+    log.info('Category created', { userId, categoryId: category.id, key: category.key });
+
+    return category;
+}
+
+/**
+ * Update a user category. The key never changes, since receipts, products and
+ * budgets refer to it.
+ */
+export async function updateCategory(userId, categoryId, data) {
+    const category = await findOwnCategory(userId, categoryId);
+
+    const updates = {};
+    ['name', 'translations', 'description', 'icon', 'color', 'appliesTo', 'position'].forEach(field => {
+        if (data[field] !== undefined) {
+            updates[field] = data[field];
+        }
+    });
+
+    if (data.parentId !== undefined) {
+        const categories = await getUserCategories(userId);
+        updates.parentId = validateParent(categories, data.parentId, category)?.id || null;
+    }
+
+    await category.update(updates);
+    await cacheService.invalidateUserCategories(userId);
+
+    log.info('Category updated', { userId, categoryId, changes: Object.keys(updates) });
+
+    return category;
+}
+
+/**
+ * Delete a user category and its subcategories. Receipts, products, budgets and
+ * merchant defaults using them move to `reassignTo`, or else to the parent
+ * category, or else to the fallback category.
+ */
+export async function deleteCategory(userId, categoryId, { reassignTo } = {}) {
+    const category = await findOwnCategory(userId, categoryId);
+    const categories = await getUserCategories(userId);
+
+    const removedKeys = categoryKeysWithChildren(categories, category.key);
+    const parent = categories.find(candidate => candidate.id === category.parentId);
+
+    let targetKey = parent?.key || FALLBACK_CATEGORY;
+    if (reassignTo) {
+        const target = findCategory(categories, reassignTo);
+        if (!target || removedKeys.includes(target.key)) {
+            throw new ValidationError('Categories can only be reassigned to another existing category');
+        }
+        targetKey = target.key;
+    }
+
+    const moved = await sequelize.transaction(async (transaction) => {
+        const [receipts] = await Receipt.update(
+            { category: targetKey },
+            { where: { userId, category: { [Op.in]: removedKeys } }, paranoid: false, transaction }
+        );
+        const [products] = await Product.update(
+            { category: targetKey },
+            { where: { userId, category: { [Op.in]: removedKeys } }, transaction }
+        );
+        const [budgets] = await Budget.update(
+            { category: targetKey },
+            { where: { userId, category: { [Op.in]: removedKeys } }, transaction }
+        );
+        await Merchant.update(
+            { defaultCategory: targetKey },
+            { where: { userId, defaultCategory: { [Op.in]: removedKeys } }, transaction }
+        );
+
+        // Subcategories are removed with their parent (ON DELETE CASCADE)
+        await category.destroy({ transaction });
+
+        return { receipts, products, budgets };
+    });
+
+    await cacheService.invalidateUserCategories(userId);
+    await cacheService.invalidateUserReceipts(userId);
+    await cacheService.invalidateUserStats(userId);
+
+    log.info('Category deleted', { userId, categoryId, removedKeys, reassignedTo: targetKey, moved });
+
+    return { removedKeys, reassignedTo: targetKey, moved };
+}
+
+export default {
+    getUserCategories,
+    categoriesFor,
+    findCategory,
+    resolveCategoryKey,
+    categoryKeysWithChildren,
+    getLocalizedCategoryName,
+    describeCategory,
+    buildCategoryTree,
+    formatCategoryPrompt,
+    createCategory,
+    updateCategory,
+    deleteCategory
+};
@@ -0,0 +1,191 @@
+import { Op } from 'sequelize';
+import sequelize from '../config/db.js';
+import ExchangeRate, { RATE_BASE_CURRENCY } from '../models/ExchangeRate.js';
+import User from '../models/User.js';
+import { parseExchangeRates } from './exchangeRateParser.js';
+import { NotFoundError } from '../utils/errors.js';
+import { log } from '../utils/logger.js';
+
+export const DEFAULT_BASE_CURRENCY = 'USD';
+
+// Rows per upsert statement when importing a rate history
+const IMPORT_BATCH_SIZE = 1000;
+
+/**
+ * SQL expression converting an amount column to a currency at the rates of the
+ * purchase date. NULL when there is no rate for the amount's currency on that
+ * date, so aggregates leave the amount out instead of adding it unconverted;
+ * count those rows with unconvertedCountSql to tell that a total is incomplete.
+ * @param {string} toCurrency - 3-letter code, escaped into the expression
+ * @param {Object} columns - SQL expressions of the amount, its currency and its date
+ */
+export function convertedAmountSql(toCurrency, {
+    amount = 'amount',
+    currency = 'currency',
+    date = 'COALESCE(purchase_date, created_at)'
+} = {}) {
+    return `convert_currency(${amount}, ${currency}, ${sequelize.escape(toCurrency)}, (${date})::date)`;
+}
+
+/**
+ * convertedAmountSql as a Sequelize literal, for attributes and aggregate functions
+ */
+export function convertedAmount(toCurrency, columns) {
+    return sequelize.literal(convertedAmountSql(toCurrency, columns));
+}
+
+/**
+ * SQL aggregate counting the rows with an amount that convertedAmountSql cannot
+ * convert, i.e. that are missing from the converted sums of the same rows
+ * @param {string} toCurrency - 3-letter code, escaped into the expression
+ * @param {Object} columns - as for convertedAmountSql
+ */
+export function unconvertedCountSql(toCurrency, columns = {}) {
+    const { amount = 'amount' } = columns;
+    return `COUNT(*) FILTER (WHERE ${amount} IS NOT NULL AND ${convertedAmountSql(toCurrency, columns)} IS NULL)`;
+}
+
+/**
+ * unconvertedCountSql as a Sequelize literal, for attributes
+ */
+export function unconvertedCount(toCurrency, columns) {
+    return sequelize.literal(unconvertedCountSql(toCurrency, columns));
+}
+
+/**
+ * The currency a user's analytics, budgets and digests are converted to
+ */
+export async function getUserBaseCurrency(userId) {
+    const user = await User.findByPk(userId, { attributes: ['id', 'baseCurrency'] });
+    return user?.baseCurrency || DEFAULT_BASE_CURRENCY;
+}
+
+/**
+ * Rate to multiply an amount in one currency with to get another, on a date
+ * (today when omitted). Null when either currency has no rate.
+ */
+export async function getExchangeRate(fromCurrency, toCurrency, date = null) {
+    const [row] = await sequelize.query(
+        'SELECT eur_rate(:to, :date) / eur_rate(:from, :date) AS rate',
+        {
+            replacements: { from: fromCurrency, to: toCurrency, date },
+            type: sequelize.QueryTypes.SELECT
+        }
+    );
+    return row?.rate === null || row?.rate === undefined ? null : parseFloat(row.rate);
+}
+
+/**
+ * Convert an amount between currencies at the rates of a date
+ * @returns {Promise<{amount: number, currency: string, convertedAmount: number, convertedCurrency: string, rate: number, date: string|null}>}
+ */
+export async function convertAmount(amount, fromCurrency, toCurrency, date = null) {
+    const from = fromCurrency.toUpperCase();
+    const to = toCurrency.toUpperCase();
+    const rate = from === to ? 1 : await getExchangeRate(from, to, date);
+    if (rate === null) {
+        throw new NotFoundError(`Exchange rate for ${from}/${to}`);
+    }
+
+    return {
+        amount,
+        currency: from,
+        convertedAmount: Math.round(amount * rate * 100) / 100,
+        convertedCurrency: to,
+        rate: parseFloat(rate.toFixed(8)),
+        date
+    };
+}
+
+/**
+ * Whether amounts can be converted to and from a currency
+ */
+export async function isSupportedCurrency(currency) {
+    const code = currency.toUpperCase();
+    if (code === RATE_BASE_CURRENCY) return true;
+    return (await ExchangeRate.count({ where: { currency: code } })) > 0;
+}
+
+/**
+ * Stored rates, newest first
+ */
+export async function getRates({ currency, from, to, limit = 100, offset = 0 } = {}) {
+    const where = {};
+    if (currency) where.currency = currency.toUpperCase();
+    if (from || to) {
+        where.rateDate = {};
+        if (from) where.rateDate[Op.gte] = from;
+        if (to) where.rateDate[Op.lte] = to;
+    }
+
+    const { count, rows } = await ExchangeRate.findAndCountAll({
+        where,
+        attributes: ['currency', 'rateDate', 'rate', 'source'],
+        order: [['rateDate', 'DESC'], ['currency', 'ASC']],
+        limit,
+        offset
+    });
+
+    return {
+        base: RATE_BASE_CURRENCY,
+        rates: rows.map(rate => ({
+            currency: rate.currency,
+            date: rate.rateDate,
+            rate: parseFloat(rate.rate),
+            source: rate.source
+        })),
+        total: count
+    };
+}
+
+/**
+ * Load an ECB-style XML or CSV rate file. Rates already stored for the same
+ * currency and date are overwritten.
+ */
+export async function importExchangeRates(buffer, { format, filename } = {}) {
+    const parsed = parseExchangeRates(buffer, { format, filename });
+    const fileFormat = parsed.format;
+
+    // One row per currency and date; a statement cannot upsert the same row twice
+    const rates = [...new Map(parsed.rates.map(entry => [`${entry.currency}:${entry.date}`, entry])).values()];
+    const source = (filename || fileFormat).slice(0, 50);
+
+    await sequelize.transaction(async (transaction) => {
+        for (let i = 0; i < rates.length; i += IMPORT_BATCH_SIZE) {
+            await ExchangeRate.bulkCreate(
+                rates.slice(i, i + IMPORT_BATCH_SIZE).map(entry => ({
+                    currency: entry.currency,
+                    rateDate: entry.date,
+                    rate: entry.rate,
+                    source
+                })),
+                { updateOnDuplicate: ['rate', 'source', 'updatedAt'], transaction }
+            );
+        }
+    });
+
+    const dates = rates.map(entry => entry.date).sort();
+    const result = {
+        format: fileFormat,
+        imported: rates.length,
+        currencies: [...new Set(rates.map(entry => entry.currency))].sort(),
+        from: dates[0],
+        to: dates[dates.length - 1]
+    };
+    log.info(`Imported ${result.imported} exchange rates (${result.from} to ${result.to}) from ${source}`);
+
+    return result;
+}
+
+export default {
+    convertedAmountSql,
+    convertedAmount,
+    unconvertedCountSql,
+    unconvertedCount,
+    getUserBaseCurrency,
+    getExchangeRate,
+    convertAmount,
+    isSupportedCurrency,
+    getRates,
+    importExchangeRates
+};
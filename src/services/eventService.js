@@ -0,0 +1,180 @@
+import cacheService from './cacheService.js';
+import { log } from '../utils/logger.js';
+
+const EVENTS_CHANNEL = 'events:broadcast';
+const STREAM_MAX_LENGTH = 500;       // Events kept per user for Last-Event-ID resume
+const STREAM_TTL = 24 * 60 * 60;     // 24 hours
+
+export const EVENT_TYPES = [
+    'receipt.processing',
+    'receipt.completed',
+    'receipt.failed',
+    'budget.alert',
+    'badge.unlocked'
+];
+
+/**
+ * Per-user event bus backing the SSE endpoint.
+ *
+ * Events are appended to a capped Redis stream per user (used for resume) and
+ * broadcast over Redis pub/sub so every API instance can deliver them to its
+ * own connected clients. Without Redis, events are only delivered in-process.
+ */
+class EventService {
+    constructor() {
+        this.listeners = new Map(); // userId -> Set<listener>
+        this.subscriber = null;
+        this.localSequence = 0;
+    }
+
+    streamKey(userId) {
+        return `events:user:${userId}`;
+    }
+
+    // The cache client is created with lazyConnect, so commands are issued directly
+    // on it instead of relying on cacheService.isConnected
+    get redis() {
+        return cacheService.client;
+    }
+
+    ensureSubscriber() {
+        if (this.subscriber || !this.redis) {
+            return;
+        }
+
+        try {
+            // Subscriber connections can't run regular commands, so use a dedicated one
+            this.subscriber = this.redis.duplicate();
+
+            this.subscriber.on('message', (channel, message) => {
+                if (channel !== EVENTS_CHANNEL) return;
+
+                try {
+                    this.dispatch(JSON.parse(message));
+                } catch (error) {
+                    log.error('Invalid event received from Redis', { error: error.message });
+                }
+            });
+
+            this.subscriber.on('error', (error) => {
+                log.error('Event subscriber error:', error);
+            });
+
+            this.subscriber.subscribe(EVENTS_CHANNEL).catch((error) => {
+                log.error('Failed to subscribe to events channel', { error: error.message });
+            });
+        } catch (error) {
+            log.error('Failed to initialize event subscriber:', error);
+            this.subscriber = null;
+        }
+    }
+
+    /**
+     * Publish an event for a user. Never throws: delivery failures are logged.
+     */
+    async publish(userId, type, data = {}) {
+        const event = {
+            type,
+            userId,
+            data,
+            timestamp: new Date().toISOString()
+        };
+
+        if (this.redis) {
+            try {
+                const key = this.streamKey(userId);
+                const id = await this.redis.xadd(
+                    key, 'MAXLEN', '~', STREAM_MAX_LENGTH, '*',
+                    'event', JSON.stringify(event)
+                );
+                await this.redis.expire(key, STREAM_TTL);
+
+                const published = { id, ...event };
+                await this.redis.publish(EVENTS_CHANNEL, JSON.stringify(published));
+
+                return published;
+            } catch (error) {
+                log.error('Failed to publish event through Redis, delivering locally', {
+                    userId,
+                    type,
+                    error: error.message
+                });
+            }
+        }
+
+        const localEvent = { id: `${Date.now()}-${++this.localSequence}`, ...event };
+        this.dispatch(localEvent);
+        return localEvent;
+    }
+
+    dispatch(event) {
+        const listeners = this.listeners.get(event.userId);
+        if (!listeners) return;
+
+        for (const listener of listeners) {
+            try {
+                listener(event);
+            } catch (error) {
+                log.error('Event listener error', { type: event.type, error: error.message });
+            }
+        }
+    }
+
+    /**
+     * Register a listener for a user's events. Returns the unsubscribe function.
+     */
+    subscribe(userId, listener) {
+        this.ensureSubscriber();
+
+        if (!this.listeners.has(userId)) {
+            this.listeners.set(userId, new Set());
+        }
+        this.listeners.get(userId).add(listener);
+
+        return () => {
+            const listeners = this.listeners.get(userId);
+            if (!listeners) return;
+
+            listeners.delete(listener);
+            if (listeners.size === 0) {
+                this.listeners.delete(userId);
+            }
+        };
+    }
+
+    /**
+     * Get events published after lastEventId (exclusive), oldest first
+     */
+    async getEventsSince(userId, lastEventId, limit = STREAM_MAX_LENGTH) {
+        if (!this.redis || !lastEventId) {
+            return [];
+        }
+
+        try {
+            const entries = await this.redis.xrange(this.streamKey(userId), lastEventId, '+', 'COUNT', limit + 1);
+
+            return entries
+                .filter(([id]) => id !== lastEventId)
+                .map(([id, fields]) => {
+                    const payload = fields[fields.indexOf('event') + 1];
+                    return { id, ...JSON.parse(payload) };
+                });
+        } catch (error) {
+            log.warn('Could not replay events', { userId, lastEventId, error: error.message });
+            return [];
+        }
+    }
+
+    getConnectionCount() {
+        let count = 0;
+        for (const listeners of this.listeners.values()) {
+            count += listeners.size;
+        }
+        return count;
+    }
+}
+
+// Create singleton instance
+const eventService = new EventService();
+
+export default eventService;
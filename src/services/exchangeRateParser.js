@@ -0,0 +1,133 @@
+import { parseXml, childElements } from '../utils/xml.js';
+import { parseCsvRows, detectDelimiter } from '../utils/csv.js';
+import { ValidationError } from '../utils/errors.js';
+
+export const RATE_FILE_FORMATS = ['xml', 'csv'];
+
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Header names (lower case) of long CSV files with one rate per row, e.g. ECB Data Portal exports
+const LONG_CSV_COLUMNS = {
+    date: ['date', 'time_period', 'rate_date'],
+    currency: ['currency', 'currency code'],
+    rate: ['rate', 'obs_value', 'value']
+};
+
+function rateEntry(currency, date, value) {
+    const code = String(currency || '').trim().toUpperCase();
+    const day = String(date || '').trim();
+    const rate = parseFloat(String(value || '').trim());
+    if (!CURRENCY_CODE.test(code) || !ISO_DATE.test(day) || !(rate > 0)) return null;
+    return { currency: code, date: day, rate };
+}
+
+/**
+ * ECB reference rates XML (eurofxref-daily.xml, eurofxref-hist.xml):
+ * <Cube time="2024-01-02"><Cube currency="USD" rate="1.0956"/>...</Cube>
+ */
+export function parseEcbXml(text) {
+    let document;
+    try {
+        document = parseXml(text);
+    } catch (error) {
+        throw new ValidationError(`Invalid XML: ${error.message}`);
+    }
+
+    const rates = [];
+    const visit = (node, date) => {
+        for (const cube of childElements(node, 'Cube')) {
+            const { time, currency, rate } = cube.attributes;
+            if (currency) {
+                const entry = rateEntry(currency, date, rate);
+                if (entry) rates.push(entry);
+            }
+            visit(cube, time || date);
+        }
+    };
+    visit(document, null);
+
+    return { format: 'xml', rates };
+}
+
+/**
+ * ECB CSV, either wide (eurofxref-hist.csv: Date,USD,JPY,... with N/A for missing
+ * rates) or long with date, currency and rate columns
+ */
+export function parseRateCsv(text) {
+    const rows = parseCsvRows(text, detectDelimiter(text));
+    if (rows.length < 2) {
+        return { format: 'csv', rates: [] };
+    }
+
+    const headers = rows[0].map(header => header.trim().toLowerCase());
+    const longColumns = Object.fromEntries(
+        Object.entries(LONG_CSV_COLUMNS).map(([key, names]) => [key, headers.findIndex(header => names.includes(header))])
+    );
+
+    const rates = [];
+    if (Object.values(longColumns).every(index => index !== -1)) {
+        for (const row of rows.slice(1)) {
+            const entry = rateEntry(row[longColumns.currency], row[longColumns.date], row[longColumns.rate]);
+            if (entry) rates.push(entry);
+        }
+    } else {
+        const dateIndex = headers.findIndex(header => LONG_CSV_COLUMNS.date.includes(header));
+        if (dateIndex === -1) {
+            throw new ValidationError('The CSV file has no Date column');
+        }
+        for (const row of rows.slice(1)) {
+            headers.forEach((header, index) => {
+                if (index === dateIndex) return;
+                const entry = rateEntry(header, row[dateIndex], row[index]);
+                if (entry) rates.push(entry);
+            });
+        }
+    }
+
+    return { format: 'csv', rates };
+}
+
+/**
+ * Format of a rate file from its content, falling back to its extension
+ */
+export function detectRateFileFormat(text, filename = '') {
+    if (/^\s*<(\?xml|[\w:]*Envelope|Cube)/i.test(text)) return 'xml';
+    if (/\.xml$/i.test(filename)) return 'xml';
+    return 'csv';
+}
+
+/**
+ * Parse an exchange-rate file into { format, rates: [{ currency, date, rate }] },
+ * rates being units of the currency per 1 EUR. Rates against EUR itself are dropped.
+ */
+export function parseExchangeRates(buffer, { format, filename } = {}) {
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    const fileFormat = format || detectRateFileFormat(text, filename);
+
+    let result;
+    switch (fileFormat) {
+        case 'xml':
+            result = parseEcbXml(text);
+            break;
+        case 'csv':
+            result = parseRateCsv(text);
+            break;
+        default:
+            throw new ValidationError(`Unsupported rate file format: ${fileFormat}`);
+    }
+
+    result.rates = result.rates.filter(entry => entry.currency !== 'EUR');
+    if (result.rates.length === 0) {
+        throw new ValidationError('No exchange rates found in the file');
+    }
+
+    return result;
+}
+
+export default {
+    parseEcbXml,
+    parseRateCsv,
+    detectRateFileFormat,
+    parseExchangeRates
+};
@@ -0,0 +1,430 @@
+import sharp from 'sharp';
+import sequelize from '../config/db.js';
+import ExpenseReport from '../models/ExpenseReport.js';
+import Receipt, { changedClaimedFields } from '../models/Receipt.js';
+import ReceiptItem from '../models/ReceiptItem.js';
+import Product from '../models/Product.js';
+import { getUserCategories, describeCategory } from './categoryService.js';
+import { mapCategoryToLocalized } from '../utils/categoryMapper.js';
+import { getFullPath } from '../utils/fileStorage.js';
+import { formatDate } from '../utils/csv.js';
+import { PdfDocument } from '../utils/pdf.js';
+import { ConflictError, NotFoundError, ValidationError } from '../utils/errors.js';
+import { log } from '../utils/logger.js';
+
+export const MAX_REPORT_RECEIPTS = parseInt(process.env.MAX_EXPENSE_REPORT_RECEIPTS) || 500;
+
+// Width (pixels) receipt images are scaled down to before they are embedded in the PDF
+const THUMBNAIL_WIDTH = 300;
+
+const round2 = value => Math.round(value * 100) / 100;
+
+// Sum of the VAT amounts of a receipt's breakdown ({21: {amount, base}})
+function receiptVat(receipt) {
+    if (!receipt.vatInfo || typeof receipt.vatInfo !== 'object') return 0;
+    return Object.values(receipt.vatInfo)
+        .reduce((sum, entry) => sum + (parseFloat(entry?.amount) || 0), 0);
+}
+
+/**
+ * Receipt count, amount and VAT per currency
+ */
+function summarizeReceipts(receipts) {
+    const totals = new Map();
+    for (const receipt of receipts) {
+        const currency = receipt.currency;
+        if (!totals.has(currency)) {
+            totals.set(currency, { currency, receiptCount: 0, amount: 0, vat: 0 });
+        }
+        const total = totals.get(currency);
+        total.receiptCount += 1;
+        total.amount += parseFloat(receipt.amount) || 0;
+        total.vat += receiptVat(receipt);
+    }
+
+    return [...totals.values()].map(total => ({
+        ...total,
+        amount: round2(total.amount),
+        vat: round2(total.vat)
+    }));
+}
+
+async function findReport(userId, reportId) {
+    const report = await ExpenseReport.findOne({ where: { id: reportId, userId } });
+    if (!report) {
+        throw new NotFoundError('Expense report');
+    }
+    return report;
+}
+
+function assertDraft(report) {
+    if (!report.isDraft()) {
+        throw new ValidationError(`The expense report is ${report.status}; only draft reports can be changed`);
+    }
+}
+
+// Claimed fields (amount, currency, purchase date) that updates would change on a receipt
+export { changedClaimedFields };
+
+/**
+ * The report a receipt is claimed in, if that report is no longer a draft.
+ * Such a receipt cannot be deleted and its claimed fields cannot change.
+ */
+export async function findSubmittedReport(receipt) {
+    if (!receipt.expenseReportId) {
+        return null;
+    }
+    const report = await ExpenseReport.findByPk(receipt.expenseReportId, { attributes: ['id', 'status'] });
+    return report && !report.isDraft() ? report : null;
+}
+
+async function findReportReceipts(reportId, { withItems = true } = {}) {
+    return await Receipt.findAll({
+        where: { expenseReportId: reportId },
+        attributes: { exclude: ['rawText', 'parsedData'] },
+        include: withItems
+            ? [{
+                model: ReceiptItem,
+                as: 'items',
+                separate: true,
+                order: [['position', 'ASC']],
+                include: [{
+                    model: Product,
+                    as: 'product',
+                    attributes: ['id', 'name', 'category', 'brand']
+                }]
+            }]
+            : [],
+        order: [['purchaseDate', 'ASC'], ['createdAt', 'ASC']]
+    });
+}
+
+/**
+ * A user's expense reports, newest first, with receipt count and totals per currency
+ */
+export async function getExpenseReports(userId, { status, limit = 50, offset = 0 } = {}) {
+    const { rows, count } = await ExpenseReport.findAndCountAll({
+        where: { userId, ...(status && { status }) },
+        order: [['createdAt', 'DESC']],
+        limit,
+        offset
+    });
+
+    const totals = rows.length > 0
+        ? await Receipt.findAll({
+            where: { expenseReportId: rows.map(report => report.id) },
+            attributes: [
+                'expenseReportId',
+                'currency',
+                [sequelize.fn('COUNT', sequelize.col('id')), 'receiptCount'],
+                [sequelize.fn('SUM', sequelize.col('amount')), 'amount']
+            ],
+            group: ['expenseReportId', 'currency'],
+            raw: true
+        })
+        : [];
+
+    const reports = rows.map(report => {
+        const reportTotals = totals
+            .filter(total => total.expenseReportId === report.id)
+            .map(total => ({
+                currency: total.currency,
+                receiptCount: parseInt(total.receiptCount),
+                amount: round2(parseFloat(total.amount) || 0)
+            }));
+        return {
+            ...report.toJSON(),
+            receiptCount: reportTotals.reduce((sum, total) => sum + total.receiptCount, 0),
+            totals: reportTotals
+        };
+    });
+
+    return { reports, total: count };
+}
+
+/**
+ * An expense report with its receipts (and their items) and totals per currency
+ */
+export async function getExpenseReport(userId, reportId) {
+    const report = await findReport(userId, reportId);
+    const receipts = await findReportReceipts(report.id);
+
+    return {
+        ...report.toJSON(),
+        receiptCount: receipts.length,
+        totals: summarizeReceipts(receipts),
+        receipts
+    };
+}
+
+/**
+ * Claim receipts in a draft report. Receipts must be business receipts that are not
+ * claimed in another report.
+ */
+export async function addReceiptsToReport(userId, reportId, receiptIds) {
+    const report = await findReport(userId, reportId);
+    assertDraft(report);
+
+    const ids = [...new Set(receiptIds)];
+    const receipts = await Receipt.findAll({
+        where: { id: ids, userId },
+        attributes: ['id', 'isBusiness', 'expenseReportId']
+    });
+
+    const missing = ids.filter(id => !receipts.some(receipt => receipt.id === id));
+    if (missing.length > 0) {
+        throw new ValidationError('Some receipts were not found', missing.map(id => ({ receiptId: id, error: 'not_found' })));
+    }
+
+    const personal = receipts.filter(receipt => !receipt.isBusiness);
+    if (personal.length > 0) {
+        throw new ValidationError(
+            'Only business receipts can be added to an expense report',
+            personal.map(receipt => ({ receiptId: receipt.id, error: 'not_business' }))
+        );
+    }
+
+    const claimed = receipts.filter(receipt => receipt.expenseReportId && receipt.expenseReportId !== report.id);
+    if (claimed.length > 0) {
+        throw new ConflictError(`${claimed.length} receipt(s) are already claimed in another expense report`);
+    }
+
+    const newIds = receipts.filter(receipt => receipt.expenseReportId !== report.id).map(receipt => receipt.id);
+    const current = await Receipt.count({ where: { expenseReportId: report.id } });
+    if (current + newIds.length > MAX_REPORT_RECEIPTS) {
+        throw new ValidationError(`An expense report can hold at most ${MAX_REPORT_RECEIPTS} receipts`);
+    }
+
+    if (newIds.length > 0) {
+        await Receipt.update({ expenseReportId: report.id }, { where: { id: newIds, userId } });
+    }
+
+    log.info('Receipts added to expense report', { userId, reportId, added: newIds.length });
+
+    return { added: newIds.length };
+}
+
+export async function removeReceiptFromReport(userId, reportId, receiptId) {
+    const report = await findReport(userId, reportId);
+    assertDraft(report);
+
+    const [updated] = await Receipt.update(
+        { expenseReportId: null },
+        { where: { id: receiptId, userId, expenseReportId: report.id } }
+    );
+    if (updated === 0) {
+        throw new NotFoundError('Receipt in this expense report');
+    }
+}
+
+export async function createExpenseReport(userId, { title, description, receiptIds = [] }) {
+    const report = await ExpenseReport.create({ userId, title, description });
+
+    if (receiptIds.length > 0) {
+        try {
+            await addReceiptsToReport(userId, report.id, receiptIds);
+        } catch (error) {
+            // Do not leave an empty report behind when the receipts are rejected
+            await report.destroy();
+            throw error;
+        }
+    }
+
+    log.info('Expense report created', { userId, reportId: report.id });
+
+    return await getExpenseReport(userId, report.id);
+}
+
+export async function updateExpenseReport(userId, reportId, { title, description }) {
+    const report = await findReport(userId, reportId);
+    assertDraft(report);
+
+    await report.update({
+        ...(title !== undefined && { title }),
+        ...(description !== undefined && { description: description || null })
+    });
+
+    return report;
+}
+
+export async function deleteExpenseReport(userId, reportId) {
+    const report = await findReport(userId, reportId);
+    assertDraft(report);
+
+    // The receipts stay, unclaimed
+    await sequelize.transaction(async transaction => {
+        await Receipt.update({ expenseReportId: null }, {
+            where: { expenseReportId: report.id },
+            paranoid: false,
+            transaction
+        });
+        await report.destroy({ transaction });
+    });
+
+    log.info('Expense report deleted', { userId, reportId });
+}
+
+/**
+ * Move a report through its workflow: draft -> submitted -> reimbursed. A submitted
+ * report can be reopened as a draft; a reimbursed report is final.
+ */
+export async function changeExpenseReportStatus(userId, reportId, status) {
+    const report = await findReport(userId, reportId);
+
+    if (!report.canTransitionTo(status)) {
+        throw new ValidationError(`A ${report.status} expense report cannot be changed to ${status}`);
+    }
+
+    if (status === 'submitted') {
+        const receiptCount = await Receipt.count({ where: { expenseReportId: report.id } });
+        if (receiptCount === 0) {
+            throw new ValidationError('Add receipts before submitting the expense report');
+        }
+    }
+
+    await report.update({
+        status,
+        ...(status === 'submitted' && { submittedAt: new Date() }),
+        ...(status === 'draft' && { submittedAt: null }),
+        ...(status === 'reimbursed' && { reimbursedAt: new Date() })
+    });
+
+    log.info('Expense report status changed', { userId, reportId, status });
+
+    return report;
+}
+
+/**
+ * Scaled-down JPEG of a receipt's image, or null when it is not stored locally or
+ * cannot be read
+ */
+async function receiptThumbnail(receipt) {
+    const imageUrl = receipt.imageUrl;
+    if (!imageUrl || /^https?:\/\//.test(imageUrl) || imageUrl.includes('..')) {
+        return null;
+    }
+
+    try {
+        const { data, info } = await sharp(getFullPath(imageUrl))
+            .rotate()
+            .resize(THUMBNAIL_WIDTH, null, { fit: 'inside', withoutEnlargement: true })
+            .toColourspace('srgb')
+            .jpeg({ quality: 70 })
+            .toBuffer({ resolveWithObject: true });
+        return { jpeg: data, pixelWidth: info.width, pixelHeight: info.height, channels: info.channels };
+    } catch (error) {
+        log.warn('Receipt image not added to expense report', { receiptId: receipt.id, error: error.message });
+        return null;
+    }
+}
+
+/**
+ * The report as a printable PDF: a summary with totals per currency, then every
+ * receipt with its image, item lines and VAT
+ * @returns {Promise<{filename: string, buffer: Buffer}>}
+ */
+export async function expenseReportPdf(userId, reportId, { language = 'en', t }) {
+    const report = await findReport(userId, reportId);
+    const receipts = await findReportReceipts(report.id);
+    const categories = await getUserCategories(userId);
+    const categoryName = key => key
+        ? describeCategory(categories, key, language)?.name || mapCategoryToLocalized(key, language)
+        : null;
+    const amount = value => value === null || value === undefined ? '' : Number(value).toFixed(2);
+
+    const dates = receipts.map(receipt => formatDate(receipt.purchaseDate)).filter(Boolean);
+    const period = dates.length > 0 ? `${dates[0]} - ${dates[dates.length - 1]}` : '';
+
+    const pdf = new PdfDocument({
+        title: report.title,
+        footer: `${report.title} - ${t(`expense_reports.statuses.${report.status}`)}`
+    });
+
+    pdf.heading(report.title)
+        .text(`${t('expense_reports.pdf.status')}: ${t(`expense_reports.statuses.${report.status}`)}`
+            + (report.submittedAt ? ` (${formatDate(report.submittedAt)})` : ''));
+    if (period) {
+        pdf.text(`${t('expense_reports.pdf.period')}: ${period}`);
+    }
+    if (report.description) {
+        pdf.space(4).text(report.description);
+    }
+    pdf.space();
+
+    pdf.heading(t('expense_reports.pdf.totals'), { size: 12 })
+        .table([
+            { header: t('expense_reports.pdf.columns.currency'), width: 1 },
+            { header: t('expense_reports.pdf.columns.receipts'), width: 1, align: 'right' },
+            { header: t('expense_reports.pdf.columns.vat'), width: 1.5, align: 'right' },
+            { header: t('expense_reports.pdf.columns.total'), width: 1.5, align: 'right' }
+        ], summarizeReceipts(receipts).map(total => [
+            total.currency, total.receiptCount, amount(total.vat), amount(total.amount)
+        ]));
+
+    pdf.heading(t('expense_reports.pdf.receipts'), { size: 12 });
+    if (receipts.length === 0) {
+        pdf.text(t('expense_reports.pdf.no_receipts'));
+    }
+
+    for (const receipt of receipts) {
+        pdf.space(6)
+            .heading(`${formatDate(receipt.purchaseDate) || ''}  ${receipt.merchantName || ''}  ${amount(receipt.amount)} ${receipt.currency}`, { size: 11 });
+
+        const details = [
+            categoryName(receipt.category),
+            receipt.project && `${t('expense_reports.pdf.project')}: ${receipt.project}`,
+            receipt.client && `${t('expense_reports.pdf.client')}: ${receipt.client}`,
+            receipt.costCenter && `${t('expense_reports.pdf.cost_center')}: ${receipt.costCenter}`
+        ].filter(Boolean);
+        if (details.length > 0) {
+            pdf.text(details.join('  |  '), { size: 9 });
+        }
+
+        const thumbnail = await receiptThumbnail(receipt);
+        if (thumbnail) {
+            pdf.space(4).image(thumbnail.jpeg, thumbnail);
+        }
+
+        if (receipt.items.length > 0) {
+            pdf.table([
+                { header: t('expense_reports.pdf.columns.description'), width: 4 },
+                { header: t('expense_reports.pdf.columns.quantity'), width: 1, align: 'right' },
+                { header: t('expense_reports.pdf.columns.unit_price'), width: 1.2, align: 'right' },
+                { header: t('expense_reports.pdf.columns.amount'), width: 1.2, align: 'right' }
+            ], receipt.items.map(item => [
+                item.product?.name || item.originalText,
+                item.quantity !== null ? Number(item.quantity) : '',
+                amount(item.unitPrice),
+                amount(item.totalPrice)
+            ]), { size: 8 });
+        }
+
+        if (receipt.vatInfo && typeof receipt.vatInfo === 'object') {
+            for (const [rate, entry] of Object.entries(receipt.vatInfo)) {
+                pdf.text(t('expense_reports.pdf.vat_line', {
+                    rate,
+                    vat: amount(entry?.amount),
+                    base: amount(entry?.base),
+                    currency: receipt.currency
+                }), { size: 9 });
+            }
+        }
+    }
+
+    const slug = report.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'expense-report';
+    return { filename: `${slug}.pdf`, buffer: pdf.toBuffer() };
+}
+
+export default {
+    getExpenseReports,
+    getExpenseReport,
+    createExpenseReport,
+    updateExpenseReport,
+    deleteExpenseReport,
+    addReceiptsToReport,
+    removeReceiptFromReport,
+    changeExpenseReportStatus,
+    changedClaimedFields,
+    findSubmittedReport,
+    expenseReportPdf
+};
@@ -0,0 +1,364 @@
+import sharp from 'sharp';
+import { decodeQrCodes } from '../utils/qrCode.js';
+import { log } from '../utils/logger.js';
+
+/**
+ * Fiscal QR codes printed on receipts by law in several countries. They carry what
+ * the issuer declared to the tax authority (tax ID, date, total and often the VAT),
+ * so a decoded code is more reliable than anything read from the printed text.
+ *
+ * Every format is normalized to:
+ *   { format, country, currency, issuerTaxId, date, total, vatTotal, vat, documentId, raw }
+ * date is YYYY-MM-DD, vat is by rate like Receipt.vatInfo ({23: {amount, base}}) and
+ * anything the format does not carry is null.
+ */
+
+// Longest side the photo is scanned at, smallest first (a small code in a large photo needs the second)
+const SCAN_SIZES = [1600, 3200];
+
+// VAT rates of the reduced, intermediate and normal bands of each Portuguese fiscal space
+const PT_VAT_RATES = {
+    PT: [6, 13, 23],
+    'PT-AC': [4, 9, 16],
+    'PT-MA': [5, 12, 22]
+};
+
+// Currency codes of Argentine electronic invoices (AFIP)
+const AFIP_CURRENCIES = {
+    PES: 'ARS',
+    DOL: 'USD',
+    '012': 'BRL',
+    '060': 'EUR'
+};
+
+function toAmount(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const amount = parseFloat(String(value).replace(',', '.'));
+    return Number.isFinite(amount) ? Math.round(amount * 100) / 100 : null;
+}
+
+function toDate(year, month, day) {
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    if (isNaN(date.getTime()) || date.getUTCDate() !== Number(day) || date.getUTCMonth() !== Number(month) - 1) {
+        return null;
+    }
+    return date.toISOString().slice(0, 10);
+}
+
+function result(format, fields, raw) {
+    return {
+        format,
+        country: null,
+        currency: null,
+        issuerTaxId: null,
+        date: null,
+        total: null,
+        vatTotal: null,
+        vat: null,
+        documentId: null,
+        ...fields,
+        raw
+    };
+}
+
+function parseUrl(text) {
+    if (!/^https?:\/\//i.test(text)) return null;
+    try {
+        return new URL(text);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Portugal (Portaria 195/2020): A:<NIF>*B:...*F:<YYYYMMDD>*...*N:<VAT>*O:<total>*...
+ * I, J and K hold the taxable bases and VAT of up to three fiscal spaces
+ */
+function parsePortugal(text) {
+    if (!/^A:\d{9}\*/.test(text)) return null;
+
+    const fields = {};
+    for (const part of text.split('*')) {
+        const separator = part.indexOf(':');
+        if (separator > 0) fields[part.slice(0, separator)] = part.slice(separator + 1);
+    }
+    if (!fields.O) return null;
+
+    const vat = {};
+    for (const prefix of ['I', 'J', 'K']) {
+        const rates = PT_VAT_RATES[fields[`${prefix}1`]];
+        if (!rates) continue;
+        rates.forEach((rate, band) => {
+            const base = toAmount(fields[`${prefix}${3 + band * 2}`]);
+            const amount = toAmount(fields[`${prefix}${4 + band * 2}`]);
+            if (!amount) return;
+            const entry = vat[rate] || (vat[rate] = { amount: 0, base: 0 });
+            entry.amount = Math.round((entry.amount + amount) * 100) / 100;
+            entry.base = Math.round((entry.base + (base || 0)) * 100) / 100;
+        });
+    }
+
+    const date = fields.F?.match(/^(\d{4})(\d{2})(\d{2})$/);
+    return result('pt_atcud', {
+        country: 'PT',
+        currency: 'EUR',
+        issuerTaxId: fields.A,
+        date: date ? toDate(date[1], date[2], date[3]) : null,
+        total: toAmount(fields.O),
+        vatTotal: toAmount(fields.N),
+        vat: Object.keys(vat).length > 0 ? vat : null,
+        documentId: fields.G || null,
+        documentType: fields.D || null,
+        atcud: fields.H || null
+    }, text);
+}
+
+/**
+ * Spain, Basque Country (TicketBAI): ...?id=TBAI-<NIF>-<DDMMYY>-<signature>-<CRC>&s=<series>&nf=<number>&i=<total>
+ */
+function parseTicketBai(url, text) {
+    const match = url?.searchParams.get('id')?.match(/^TBAI-([0-9A-Z]{9})-(\d{2})(\d{2})(\d{2})-/i);
+    if (!match) return null;
+
+    const params = url.searchParams;
+    return result('es_ticketbai', {
+        country: 'ES',
+        currency: 'EUR',
+        issuerTaxId: match[1].toUpperCase(),
+        date: toDate(`20${match[4]}`, match[3], match[2]),
+        total: toAmount(params.get('i')),
+        documentId: [params.get('s'), params.get('nf')].filter(Boolean).join('-') || null
+    }, text);
+}
+
+/**
+ * Spain (VeriFactu): .../ValidarQR?nif=<NIF>&numserie=<number>&fecha=<DD-MM-YYYY>&importe=<total>
+ */
+function parseVerifactu(url, text) {
+    if (!url || !/ValidarQR/i.test(url.pathname)) return null;
+
+    const params = url.searchParams;
+    const date = params.get('fecha')?.match(/^(\d{2})-(\d{2})-(\d{4})$/);
+    if (!params.get('nif') || !params.get('importe')) return null;
+
+    return result('es_verifactu', {
+        country: 'ES',
+        currency: 'EUR',
+        issuerTaxId: params.get('nif').toUpperCase(),
+        date: date ? toDate(date[3], date[2], date[1]) : null,
+        total: toAmount(params.get('importe')),
+        documentId: params.get('numserie') || null
+    }, text);
+}
+
+/**
+ * Brazil (NFC-e): ...?p=<access key>|<version>|<environment>|... The 44-digit access key
+ * holds the issuer's CNPJ and the year and month; offline (contingency) codes add the
+ * day and the total. Version 1 codes are ...?chNFe=<key>&dhEmi=<hex>&vNF=<total>&vICMS=<tax>
+ */
+function parseBrazil(url, text) {
+    if (!url) return null;
+    const params = url.searchParams;
+
+    const parts = (params.get('p') || '').split('|');
+    const key = (parts[0] || params.get('chNFe') || '').replace(/\D/g, '');
+    if (key.length !== 44) return null;
+
+    const year = `20${key.slice(2, 4)}`;
+    const month = key.slice(4, 6);
+    const fields = {
+        country: 'BR',
+        currency: 'BRL',
+        issuerTaxId: key.slice(6, 20),
+        documentId: key
+    };
+
+    if (params.get('chNFe')) {
+        // dhEmi is the hex of the issue date-time (2024-03-15T10:20:30-03:00)
+        const issued = Buffer.from(params.get('dhEmi') || '', 'hex').toString('latin1').match(/^(\d{4})-(\d{2})-(\d{2})/);
+        fields.date = issued ? toDate(issued[1], issued[2], issued[3]) : null;
+        fields.total = toAmount(params.get('vNF'));
+        fields.vatTotal = toAmount(params.get('vICMS'));
+    } else if (parts.length >= 5 && /^\d{2}$/.test(parts[3])) {
+        // Offline: key|version|environment|day|total|...
+        fields.date = toDate(year, month, parts[3]);
+        fields.total = toAmount(parts[4]);
+    }
+
+    return result('br_nfce', fields, text);
+}
+
+/**
+ * Mexico (CFDI): ...?id=<UUID>&re=<issuer RFC>&rr=<receiver RFC>&tt=<total>&fe=...
+ */
+function parseMexico(url, text) {
+    if (!url) return null;
+    const params = url.searchParams;
+    if (!params.get('re') || !params.get('tt') || !params.get('id')) return null;
+
+    // The total may be zero padded (tt=0000001234.500000)
+    return result('mx_cfdi', {
+        country: 'MX',
+        issuerTaxId: params.get('re').toUpperCase(),
+        total: toAmount(params.get('tt')),
+        documentId: params.get('id').toUpperCase()
+    }, text);
+}
+
+/**
+ * Argentina (AFIP): ...afip.gob.ar/fe/qr/?p=<base64 JSON with fecha, cuit, importe, moneda...>
+ */
+function parseArgentina(url, text) {
+    if (!url || !/afip\.gob\.ar$/i.test(url.hostname) || !url.searchParams.get('p')) return null;
+
+    let data;
+    try {
+        data = JSON.parse(Buffer.from(url.searchParams.get('p'), 'base64').toString('utf8'));
+    } catch {
+        return null;
+    }
+    if (!data?.cuit) return null;
+
+    const date = String(data.fecha || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+    return result('ar_afip', {
+        country: 'AR',
+        currency: AFIP_CURRENCIES[data.moneda] || null,
+        issuerTaxId: String(data.cuit),
+        date: date ? toDate(date[1], date[2], date[3]) : null,
+        total: toAmount(data.importe),
+        documentId: data.ptoVta && data.nroCmp
+            ? `${String(data.ptoVta).padStart(5, '0')}-${String(data.nroCmp).padStart(8, '0')}`
+            : null
+    }, text);
+}
+
+/**
+ * Peru (SUNAT): <RUC>|<type>|<series>|<number>|<IGV>|<total>|<date>|...
+ */
+function parsePeru(text) {
+    const parts = text.split('|').map(part => part.trim());
+    if (parts.length < 7 || !/^\d{11}$/.test(parts[0]) || !/^\d{2}$/.test(parts[1])) return null;
+
+    const date = parts[6].match(/^(\d{4})-(\d{2})-(\d{2})$/) || parts[6].match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+    return result('pe_sunat', {
+        country: 'PE',
+        currency: 'PEN',
+        issuerTaxId: parts[0],
+        date: date ? (date[1].length === 4 ? toDate(date[1], date[2], date[3]) : toDate(date[3], date[2], date[1])) : null,
+        total: toAmount(parts[5]),
+        vatTotal: toAmount(parts[4]),
+        documentId: `${parts[2]}-${parts[3]}`
+    }, text);
+}
+
+/**
+ * Colombia (DIAN electronic invoice): one "Name: value" per line (NitFac, FecFac, ValIva, ValTolFac, CUFE...)
+ */
+function parseColombia(text) {
+    if (!/^\s*NumFac\s*:/im.test(text) || !/^\s*NitFac\s*:/im.test(text)) return null;
+
+    const fields = {};
+    for (const line of text.split(/\r?\n/)) {
+        const match = line.match(/^\s*([A-Za-z]+)\s*:\s*(.*?)\s*$/);
+        if (match) fields[match[1].toLowerCase()] = match[2];
+    }
+
+    const date = fields.fecfac?.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    return result('co_dian', {
+        country: 'CO',
+        currency: 'COP',
+        issuerTaxId: fields.nitfac || null,
+        date: date ? toDate(date[1], date[2], date[3]) : null,
+        total: toAmount(fields.valtolfac ?? fields.valfac),
+        vatTotal: toAmount(fields.valiva),
+        documentId: fields.numfac || null
+    }, text);
+}
+
+/**
+ * Croatia (fiscalization): ...porezna.gov.hr/rn?jir=<id>&datv=<YYYYMMDD_HHMM>&izn=<total in cents>
+ */
+function parseCroatia(url, text) {
+    if (!url || !/porezna\.gov\.hr$/i.test(url.hostname)) return null;
+
+    const params = url.searchParams;
+    const date = params.get('datv')?.match(/^(\d{4})(\d{2})(\d{2})/);
+    const cents = params.get('izn');
+    return result('hr_fiskal', {
+        country: 'HR',
+        currency: 'EUR',
+        date: date ? toDate(date[1], date[2], date[3]) : null,
+        total: /^\d+$/.test(cents || '') ? Number(cents) / 100 : null,
+        documentId: params.get('jir') || params.get('zki') || null
+    }, text);
+}
+
+/**
+ * Normalized data of a fiscal QR code's content, or null when it is not a known format
+ * @param {string} text - Content of the QR code
+ */
+export function parseFiscalQr(text) {
+    if (typeof text !== 'string' || !text.trim()) return null;
+    const content = text.trim();
+    const url = parseUrl(content);
+
+    return parsePortugal(content)
+        || parseTicketBai(url, content)
+        || parseVerifactu(url, content)
+        || parseBrazil(url, content)
+        || parseArgentina(url, content)
+        || parseMexico(url, content)
+        || parseCroatia(url, content)
+        || parsePeru(content)
+        || parseColombia(content);
+}
+
+/**
+ * Decode the fiscal QR code of a receipt photo, locally (no external service).
+ * Resolves with the normalized data of the first fiscal code found, or null; never rejects,
+ * as a receipt without a readable code is read from its text as usual.
+ * @param {Buffer} imageBytes - The photo (any format sharp reads)
+ */
+export async function readFiscalQr(imageBytes) {
+    try {
+        const { width = 0, height = 0 } = await sharp(imageBytes).metadata();
+        const longest = Math.max(width, height);
+        const seen = new Set();
+
+        for (const size of SCAN_SIZES) {
+            const { data, info } = await sharp(imageBytes)
+                .rotate()
+                .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+                .greyscale()
+                .raw()
+                .toBuffer({ resolveWithObject: true });
+
+            for (const code of decodeQrCodes({ data, width: info.width, height: info.height })) {
+                if (seen.has(code.text)) continue;
+                seen.add(code.text);
+
+                const fiscalQr = parseFiscalQr(code.text);
+                if (fiscalQr) {
+                    log.info('Fiscal QR code decoded', { format: fiscalQr.format, version: code.version });
+                    return fiscalQr;
+                }
+            }
+
+            // A larger scan only helps when the photo is larger than this one
+            if (longest <= size) break;
+        }
+
+        if (seen.size > 0) {
+            log.debug('QR codes found but none is fiscal', { count: seen.size });
+        }
+        return null;
+    } catch (error) {
+        log.warn('Could not scan receipt for a fiscal QR code', { error: error.message });
+        return null;
+    }
+}
+
+export default {
+    parseFiscalQr,
+    readFiscalQr
+};
@@ -0,0 +1,379 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import { MAX_RECEIPT_PAGES } from '../models/Receipt.js';
+import config from '../config/environment.js';
+import { translate } from '../config/i18n.js';
+import { parseMessage, parseAddresses, htmlToText } from '../utils/mime.js';
+import { saveUserFile, deleteUserFile, FILE_CATEGORIES } from '../utils/fileStorage.js';
+import { NotFoundError } from '../utils/errors.js';
+import { log } from '../utils/logger.js';
+import { createReceiptFromImage } from './receiptCreationService.js';
+import { renderTextPreview } from './pdfReceiptService.js';
+import { sendNotification, sendReceiptProcessedNotification } from './notificationService.js';
+import queueService from './queueService.js';
+
+// Forwarding addresses are receipts+<token>@<inbound domain>
+export const INBOUND_EMAIL_LOCAL_PART = 'receipts';
+
+const TOKEN_PATTERN = /^[0-9a-f]{24}$/;
+
+// An email body with fewer letters and digits than this is not a receipt
+const MIN_BODY_CHARS = 20;
+
+// Lines of an email body drawn in its preview image
+const MAX_PREVIEW_LINES = 200;
+
+const IMAGE_EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/jpg': '.jpg',
+    'image/png': '.png'
+};
+
+function generateToken() {
+    return crypto.randomBytes(12).toString('hex');
+}
+
+/**
+ * Forwarding address of an inbound email token, or null when inbound email is not configured
+ */
+export function inboundEmailAddress(token) {
+    if (!token || !config.inboundEmail.domain) {
+        return null;
+    }
+    return `${INBOUND_EMAIL_LOCAL_PART}+${token}@${config.inboundEmail.domain}`;
+}
+
+function toSettings(user) {
+    return {
+        enabled: Boolean(config.inboundEmail.domain && config.inboundEmail.secret),
+        address: inboundEmailAddress(user.inboundEmailToken),
+        accountEmail: user.email,
+        allowedSenders: user.inboundEmailSenders,
+        maxSize: config.inboundEmail.maxSize
+    };
+}
+
+async function findUser(userId) {
+    const user = await User.findByPk(userId);
+    if (!user) {
+        throw new NotFoundError('User');
+    }
+    return user;
+}
+
+/**
+ * Forwarding address and allowed senders of a user. The address is created the first time.
+ */
+export async function getInboundEmailSettings(userId) {
+    const user = await findUser(userId);
+    if (!user.inboundEmailToken) {
+        await user.update({ inboundEmailToken: generateToken() });
+        log.info('Inbound email address created', { userId });
+    }
+    return toSettings(user);
+}
+
+/**
+ * Replace the forwarding address; mail sent to the old one is no longer accepted
+ */
+export async function rotateInboundEmailToken(userId) {
+    const user = await findUser(userId);
+    await user.update({ inboundEmailToken: generateToken() });
+    log.info('Inbound email address rotated', { userId });
+    return toSettings(user);
+}
+
+/**
+ * Set the addresses (or @domains) besides the account email that may send receipts
+ */
+export async function updateInboundEmailSenders(userId, senders) {
+    const user = await findUser(userId);
+    await user.update({
+        inboundEmailSenders: [...new Set(senders.map(sender => sender.trim().toLowerCase()))]
+    });
+    return toSettings(user);
+}
+
+// Token of a forwarding address (receipts+<token>@domain), or null
+function recipientToken(address) {
+    const at = address.lastIndexOf('@');
+    const local = address.slice(0, at);
+    const domain = address.slice(at + 1);
+    if (config.inboundEmail.domain && domain !== config.inboundEmail.domain.toLowerCase()) {
+        return null;
+    }
+    const token = local.slice(local.lastIndexOf('+') + 1);
+    return TOKEN_PATTERN.test(token) ? token : null;
+}
+
+// The first active user that one of the addresses belongs to
+async function findRecipientUser(addresses) {
+    for (const address of new Set(addresses)) {
+        const token = recipientToken(address);
+        if (!token) continue;
+
+        const user = await User.findOne({ where: { inboundEmailToken: token } });
+        if (user?.isActive) {
+            return user;
+        }
+    }
+    return null;
+}
+
+// Recipients in the headers, those added by the receiving mail server first
+function messageRecipients(message) {
+    const headerAddresses = (name) => (message.headers[name] || []).flatMap(value => parseAddresses(value));
+    return [
+        ...headerAddresses('x-original-to'),
+        ...headerAddresses('delivered-to'),
+        ...message.to,
+        ...message.cc
+    ];
+}
+
+// A forwarded email keeps the shop as its From; the forwarding account shows up in these
+function messageSenders(message) {
+    const headerAddresses = (name) => (message.headers[name] || []).flatMap(value => parseAddresses(value));
+    return [
+        ...message.from,
+        ...headerAddresses('sender'),
+        ...headerAddresses('resent-from'),
+        // Gmail: "X-Forwarded-For: me@gmail.com receipts+...@domain"
+        ...(message.headers['x-forwarded-for'] || []).flatMap(value => parseAddresses(value.replace(/\s+/g, ',')))
+    ];
+}
+
+function isAllowedSender(user, senders) {
+    const allowed = [user.email, ...user.inboundEmailSenders].map(entry => entry.toLowerCase());
+    return senders.some(sender => allowed.some(entry =>
+        entry.startsWith('@') ? sender.endsWith(entry) : sender === entry
+    ));
+}
+
+/**
+ * What a receipt is read from, in order of preference: a PDF attachment, image
+ * attachments (one per page) or the body of the email itself.
+ */
+function findReceiptSource(message) {
+    // Inline images are part of an HTML body (logos, banners)
+    const attachments = message.attachments.filter(attachment => !attachment.inline);
+
+    const pdf = attachments.find(attachment =>
+        attachment.contentType === 'application/pdf' || /\.pdf$/i.test(attachment.filename || ''));
+    if (pdf) {
+        return { type: 'pdf', files: [{ ...pdf, extension: '.pdf' }] };
+    }
+
+    const images = attachments
+        .map(attachment => ({
+            ...attachment,
+            extension: IMAGE_EXTENSIONS[attachment.contentType]
+                || (attachment.filename?.match(/\.(jpe?g|png)$/i)?.[0].toLowerCase() ?? null)
+        }))
+        .filter(attachment => attachment.extension);
+    if (images.length > 0) {
+        return { type: 'images', files: images.slice(0, MAX_RECEIPT_PAGES) };
+    }
+
+    const text = message.html ? htmlToText(message.html) : (message.text || '').trim();
+    if ((text.match(/[\p{L}\p{N}]/gu) || []).length >= MIN_BODY_CHARS) {
+        return { type: 'body', text };
+    }
+
+    return null;
+}
+
+// Tell the user why an email did not become a receipt (reason: key under inbound_email)
+async function notifyRejected(userId, locale, reason, params = {}) {
+    try {
+        await sendNotification(userId, {
+            title: translate('inbound_email.rejected_title', locale),
+            body: translate(`inbound_email.${reason}`, locale, params),
+            data: { type: 'inbound_email_rejected' },
+            channelId: 'receipts'
+        }, { notificationType: 'receipt' });
+    } catch (error) {
+        log.warn('Could not notify rejected inbound email', { userId, error: error.message });
+    }
+}
+
+async function notifyCreated(userId, receipt) {
+    if (receipt.amount === null || receipt.amount === undefined) {
+        return;
+    }
+    try {
+        await sendReceiptProcessedNotification(userId, receipt);
+    } catch (error) {
+        log.warn('Could not notify inbound email receipt', { userId, receiptId: receipt.id, error: error.message });
+    }
+}
+
+// Files stored for a message that did not become a receipt, with the previews of a PDF
+async function deleteStoredFiles(paths) {
+    for (const path of paths) {
+        await deleteUserFile(path);
+        if (/\.pdf$/i.test(path)) {
+            for (let page = 1; page <= MAX_RECEIPT_PAGES; page++) {
+                await deleteUserFile(path.replace(/\.pdf$/i, `-page-${page}.jpg`));
+            }
+        }
+    }
+}
+
+/**
+ * Last step of an inbound email receipt, once createReceiptFromImage has run (here
+ * or in the OCR worker): the files of an email that did not become a receipt are
+ * deleted and the user is notified of the result.
+ * @param {Object} params - The creation parameters (userId, locale, inboundEmail)
+ * @param {Object} result - Result of createReceiptFromImage
+ */
+export async function finishInboundEmailReceipt({ userId, locale, inboundEmail }, result) {
+    if (result.outcome === 'created') {
+        await notifyCreated(userId, result.receipt);
+        return;
+    }
+
+    await deleteStoredFiles(inboundEmail.storedFiles);
+    const subject = inboundEmail.subject || '';
+    if (result.outcome === 'duplicate') {
+        await notifyRejected(userId, locale, 'duplicate', { subject });
+    } else if (result.error) {
+        await notifyRejected(userId, locale, 'ocr_failed_reason', { subject, reason: result.error });
+    } else {
+        await notifyRejected(userId, locale, 'ocr_failed', { subject });
+    }
+}
+
+/**
+ * Turn a raw inbound email (RFC 822) into a receipt of the user it was sent to.
+ *
+ * The user is found from the forwarding address it was sent to and the message must
+ * come from the account email or one of the user's allowed senders (the mail server
+ * is trusted to have rejected spoofed senders, e.g. by SPF/DKIM). The receipt is
+ * read from a PDF or image attachment or, for HTML/text e-receipts, from the body;
+ * the original message is stored with the receipt. The user is notified of the result.
+ *
+ * The receipt is read by the OCR worker, as an async upload is (see
+ * finishInboundEmailReceipt); without a queue it is read before resolving.
+ *
+ * Resolves with one of:
+ *   { outcome: 'unknown_recipient' }
+ *   { outcome: 'unknown_sender', userId, senders }
+ *   { outcome: 'no_receipt', userId }
+ *   { outcome: 'queued', userId, jobId }
+ *   { outcome: 'created' | 'duplicate' | 'ocr_failed', userId, ... }   (see createReceiptFromImage)
+ * @param {Buffer} raw - The message as received
+ * @param {Object} envelope - What the mail server knows beyond the headers
+ * @param {string[]} envelope.recipients - Envelope recipients (RCPT TO)
+ * @param {string[]} envelope.senders - Envelope sender (MAIL FROM)
+ */
+export async function processInboundEmail(raw, { recipients = [], senders = [] } = {}) {
+    const message = parseMessage(raw);
+
+    const user = await findRecipientUser([...recipients, ...messageRecipients(message)]);
+    if (!user) {
+        log.warn('Inbound email for unknown recipient', { messageId: message.messageId, recipients });
+        return { outcome: 'unknown_recipient' };
+    }
+
+    const locale = user.preferredLanguage || 'en';
+
+    const messageSenderList = [...senders, ...messageSenders(message)];
+    if (!isAllowedSender(user, messageSenderList)) {
+        log.warn('Inbound email from unknown sender', { userId: user.id, messageId: message.messageId, senders: messageSenderList });
+        await notifyRejected(user.id, locale, 'unknown_sender', {
+            sender: message.from[0] || translate('inbound_email.unknown_sender_name', locale)
+        });
+        return { outcome: 'unknown_sender', userId: user.id, senders: messageSenderList };
+    }
+
+    const source = findReceiptSource(message);
+    if (!source) {
+        log.info('Inbound email without receipt', { userId: user.id, messageId: message.messageId });
+        await notifyRejected(user.id, locale, 'no_receipt', { subject: message.subject || '' });
+        return { outcome: 'no_receipt', userId: user.id };
+    }
+
+    // The original message is kept with the receipt
+    const { relativePath: emailUrl } = await saveUserFile(user.id, FILE_CATEGORIES.RECEIPTS, raw, 'message.eml');
+    const storedFiles = [emailUrl];
+
+    const creationParams = {
+        userId: user.id,
+        emailUrl,
+        locale,
+        inboundEmail: { subject: message.subject || '', storedFiles }
+    };
+
+    try {
+        if (source.type === 'body') {
+            const preview = await renderTextPreview(source.text.split('\n').slice(0, MAX_PREVIEW_LINES));
+            const { relativePath } = await saveUserFile(user.id, FILE_CATEGORIES.RECEIPTS, preview, 'email.jpg');
+            storedFiles.push(relativePath);
+            creationParams.imageUrl = relativePath;
+            creationParams.text = source.text;
+        } else {
+            const paths = [];
+            for (const file of source.files) {
+                const { relativePath } = await saveUserFile(user.id, FILE_CATEGORIES.RECEIPTS, file.content, `attachment${file.extension}`);
+                storedFiles.push(relativePath);
+                paths.push(relativePath);
+            }
+            [creationParams.imageUrl, ...creationParams.pageImageUrls] = paths;
+        }
+
+        if (queueService.isConnected) {
+            const job = await queueService.addReceiptCreationJob(creationParams);
+
+            log.info('Inbound email receipt queued', {
+                userId: user.id,
+                messageId: message.messageId,
+                jobId: job.id,
+                source: source.type,
+                fileCount: storedFiles.length - 1
+            });
+
+            return { outcome: 'queued', userId: user.id, jobId: job.id };
+        }
+
+        log.warn('Queue service not connected, processing inbound email synchronously', {
+            userId: user.id,
+            messageId: message.messageId,
+            source: source.type
+        });
+
+        const result = await createReceiptFromImage(creationParams);
+        await finishInboundEmailReceipt(creationParams, result);
+        return { ...result, userId: user.id };
+    } catch (error) {
+        await deleteStoredFiles(storedFiles);
+        throw error;
+    }
+}
+
+/**
+ * Record an inbound email that was refused for its size, notifying its recipient
+ * when the mail server named one (the message itself is not read)
+ */
+export async function rejectOversizeEmail({ recipients = [], size = null } = {}) {
+    const user = await findRecipientUser(recipients);
+    log.warn('Inbound email too large', { userId: user?.id || null, recipients, size });
+
+    if (user) {
+        await notifyRejected(user.id, user.preferredLanguage || 'en', 'too_large', {
+            size: Math.round(config.inboundEmail.maxSize / (1024 * 1024))
+        });
+    }
+
+    return { outcome: 'too_large', userId: user?.id || null };
+}
+
+export default {
+    inboundEmailAddress,
+    getInboundEmailSettings,
+    rotateInboundEmailToken,
+    updateInboundEmailSenders,
+    processInboundEmail,
+    finishInboundEmailReceipt,
+    rejectOversizeEmail
+};
@@ -0,0 +1,362 @@
+import { Op } from 'sequelize';
+import sequelize from '../config/db.js';
+import Merchant from '../models/Merchant.js';
+import Receipt from '../models/Receipt.js';
+import cacheService from './cacheService.js';
+import { resolveCategoryKey } from './categoryService.js';
+import { convertedAmountSql, getUserBaseCurrency, unconvertedCountSql } from './currencyService.js';
+import { normalizeMerchantName } from '../utils/merchantNames.js';
+import { ConflictError, NotFoundError, ValidationError } from '../utils/errors.js';
+import { log } from '../utils/logger.js';
+
+// Relative price difference within which a merchant counts as priced like the others
+const SIMILAR_PRICE_MARGIN = 0.05;
+
+const receiptCountAttribute = [
+    sequelize.literal(`(
+        SELECT COUNT(*)::int FROM receipts r
+        WHERE r.merchant_id = "Merchant".id AND r.deleted_at IS NULL
+    )`),
+    'receiptCount'
+];
+
+function normalizeAliases(aliases) {
+    return [...new Set(aliases.map(alias => alias.trim().toUpperCase()).filter(Boolean))];
+}
+
+// Two merchants with the same matching key could not be told apart
+async function ensureNameAvailable(userId, name, merchantId = null, transaction = null) {
+    const existing = await Merchant.findOne({
+        where: {
+            userId,
+            normalizedName: normalizeMerchantName(name),
+            ...(merchantId && { id: { [Op.ne]: merchantId } })
+        },
+        transaction
+    });
+    if (existing) {
+        throw new ConflictError(`The name matches the existing merchant "${existing.name}"`);
+    }
+}
+
+async function invalidateMerchantCaches(userId) {
+    await cacheService.invalidateUserReceipts(userId);
+    await cacheService.invalidateUserStats(userId);
+}
+
+/**
+ * Default category of the merchant a receipt merchant name matches, if it has one
+ */
+export async function getMerchantDefaultCategory(userId, merchantName) {
+    if (!merchantName) return null;
+    const merchant = await Merchant.findMatch(userId, merchantName);
+    return merchant?.defaultCategory || null;
+}
+
+export async function getMerchants(userId, { search, limit = 50, offset = 0 } = {}) {
+    const where = { userId };
+    if (search) {
+        where[Op.or] = [
+            { name: { [Op.iLike]: `%${search.trim()}%` } },
+            sequelize.where(
+                sequelize.fn('array_to_string', sequelize.col('aliases'), ' '),
+                { [Op.iLike]: `%${search.trim()}%` }
+            )
+        ];
+    }
+
+    const { rows, count } = await Merchant.findAndCountAll({
+        where,
+        attributes: { include: [receiptCountAttribute] },
+        order: [[sequelize.literal('"receiptCount"'), 'DESC'], ['name', 'ASC']],
+        limit,
+        offset
+    });
+
+    return { merchants: rows, total: count };
+}
+
+export async function getMerchant(userId, merchantId, { transaction } = {}) {
+    const merchant = await Merchant.findOne({
+        where: { id: merchantId, userId },
+        attributes: { include: [receiptCountAttribute] },
+        transaction
+    });
+    if (!merchant) {
+        throw new NotFoundError('Merchant');
+    }
+    return merchant;
+}
+
+export async function updateMerchant(userId, merchantId, data) {
+    const merchant = await getMerchant(userId, merchantId);
+    const updates = {};
+
+    if (data.name !== undefined) {
+        await ensureNameAvailable(userId, data.name, merchant.id);
+        updates.name = data.name;
+    }
+    if (data.aliases !== undefined) {
+        updates.aliases = normalizeAliases(data.aliases);
+    }
+    if (data.defaultCategory !== undefined) {
+        updates.defaultCategory = null;
+        if (data.defaultCategory) {
+            updates.defaultCategory = await resolveCategoryKey(userId, data.defaultCategory, { use: 'receipt' });
+            if (!updates.defaultCategory) {
+                throw new ValidationError(`Unknown category: ${data.defaultCategory}`);
+            }
+        }
+    }
+    ['address', 'latitude', 'longitude'].forEach(field => {
+        if (data[field] !== undefined) {
+            updates[field] = data[field];
+        }
+    });
+
+    const coordinate = field => (field in updates ? updates[field] : merchant[field]) ?? null;
+    const hasLatitude = coordinate('latitude') !== null;
+    const hasLongitude = coordinate('longitude') !== null;
+    if (hasLatitude !== hasLongitude) {
+        throw new ValidationError('Latitude and longitude must be set together');
+    }
+
+    await merchant.update(updates);
+
+    log.info('Merchant updated', { userId, merchantId, changes: Object.keys(updates) });
+
+    return merchant;
+}
+
+/**
+ * Merge other merchants into a merchant. Their receipts move over, and their
+ * names and aliases become aliases of the merchant. Missing details (default
+ * category, address, coordinates) are taken from the merged merchants.
+ */
+export async function mergeMerchants(userId, merchantId, sourceIds) {
+    if (sourceIds.includes(merchantId)) {
+        throw new ValidationError('A merchant cannot be merged into itself');
+    }
+
+    const result = await sequelize.transaction(async (transaction) => {
+        const merchant = await getMerchant(userId, merchantId, { transaction });
+        const sources = await Merchant.findAll({
+            where: { userId, id: { [Op.in]: sourceIds } },
+            transaction
+        });
+        if (sources.length !== new Set(sourceIds).size) {
+            throw new NotFoundError('Merchant');
+        }
+
+        const [movedReceipts] = await Receipt.update(
+            { merchantId: merchant.id },
+            { where: { userId, merchantId: { [Op.in]: sourceIds } }, paranoid: false, transaction }
+        );
+
+        const aliases = normalizeAliases([
+            ...merchant.aliases,
+            ...sources.flatMap(source => [source.name, ...source.aliases])
+        ]).filter(alias => alias !== merchant.name);
+
+        const updates = { aliases };
+        for (const field of ['defaultCategory', 'address']) {
+            if (!merchant[field]) {
+                updates[field] = sources.find(source => source[field])?.[field] || null;
+            }
+        }
+        if (merchant.latitude === null) {
+            const located = sources.find(source => source.latitude !== null);
+            updates.latitude = located?.latitude ?? null;
+            updates.longitude = located?.longitude ?? null;
+        }
+
+        await Merchant.destroy({ where: { id: { [Op.in]: sourceIds } }, transaction });
+        await merchant.update(updates, { transaction });
+
+        return { merchant, movedReceipts };
+    });
+
+    await invalidateMerchantCaches(userId);
+    result.merchant = await getMerchant(userId, merchantId);
+
+    log.info('Merchants merged', { userId, merchantId, sourceIds, movedReceipts: result.movedReceipts });
+
+    return result;
+}
+
+/**
+ * Split aliases off a merchant into a new merchant. Receipts whose merchant name
+ * is one of those aliases move to the new merchant.
+ */
+export async function splitMerchant(userId, merchantId, { aliases, name }) {
+    const splitAliases = normalizeAliases(aliases);
+
+    const result = await sequelize.transaction(async (transaction) => {
+        const merchant = await getMerchant(userId, merchantId, { transaction });
+
+        const unknown = splitAliases.filter(alias => !merchant.aliases.includes(alias));
+        if (unknown.length > 0) {
+            throw new ValidationError(`Not aliases of this merchant: ${unknown.join(', ')}`);
+        }
+
+        const newName = name || splitAliases[0];
+        await ensureNameAvailable(userId, newName, null, transaction);
+
+        const newMerchant = await Merchant.create({
+            userId,
+            name: newName,
+            // Kept even when equal to the name: exact spellings win over fuzzy matches
+            aliases: splitAliases,
+            defaultCategory: merchant.defaultCategory
+        }, { transaction });
+
+        const [movedReceipts] = await Receipt.update(
+            { merchantId: newMerchant.id },
+            {
+                where: { userId, merchantId: merchant.id, merchantName: { [Op.in]: splitAliases } },
+                paranoid: false,
+                transaction
+            }
+        );
+
+        await merchant.update({
+            aliases: merchant.aliases.filter(alias => !splitAliases.includes(alias))
+        }, { transaction });
+
+        return { merchant, newMerchant, movedReceipts };
+    });
+
+    await invalidateMerchantCaches(userId);
+    result.merchant = await getMerchant(userId, merchantId);
+    result.newMerchant = await getMerchant(userId, result.newMerchant.id);
+
+    log.info('Merchant split', {
+        userId,
+        merchantId,
+        newMerchantId: result.newMerchant.id,
+        movedReceipts: result.movedReceipts
+    });
+
+    return result;
+}
+
+function priceLevelLabel(index) {
+    if (index === null) return null;
+    if (index < 1 - SIMILAR_PRICE_MARGIN) return 'cheaper';
+    if (index > 1 + SIMILAR_PRICE_MARGIN) return 'pricier';
+    return 'similar';
+}
+
+/**
+ * Visit frequency, basket size and price level of a merchant. The price level
+ * compares the average unit price of the products bought here with what the user
+ * paid for the same products at other merchants (1.00 = same price).
+ */
+export async function getMerchantStats(userId, merchantId) {
+    const merchant = await getMerchant(userId, merchantId);
+    const replacements = { userId, merchantId: merchant.id };
+
+    // Baskets and prices in the user's base currency at the rate of the purchase date;
+    // amounts without a rate are left out and counted as unconverted
+    const baseCurrency = await getUserBaseCurrency(userId);
+    const amount = convertedAmountSql(baseCurrency);
+    const unitPrice = convertedAmountSql(baseCurrency, {
+        amount: 'ri.unit_price',
+        currency: 'ri.currency',
+        date: 'COALESCE(r.purchase_date, r.created_at)'
+    });
+
+    const [visits] = await sequelize.query(`
+        SELECT
+            COUNT(*)::int as "visitCount",
+            MIN(COALESCE(purchase_date, created_at)) as "firstVisit",
+            MAX(COALESCE(purchase_date, created_at)) as "lastVisit",
+            COALESCE(SUM(${amount}), 0) as "totalSpent",
+            AVG(${amount}) as "averageBasket",
+            MIN(${amount}) as "minBasket",
+            MAX(${amount}) as "maxBasket",
+            ${unconvertedCountSql(baseCurrency)}::int as "unconvertedCount"
+        FROM receipts
+        WHERE user_id = :userId
+        AND merchant_id = :merchantId
+        AND deleted_at IS NULL
+    `, {
+        replacements,
+        type: sequelize.QueryTypes.SELECT
+    });
+
+    const [prices] = await sequelize.query(`
+        WITH here AS (
+            SELECT ri.product_id, AVG(${unitPrice}) as avg_price
+            FROM receipt_items ri
+            JOIN receipts r ON ri.receipt_id = r.id
+            WHERE r.user_id = :userId
+            AND r.merchant_id = :merchantId
+            AND r.deleted_at IS NULL
+            AND ri.unit_price > 0
+            GROUP BY ri.product_id
+        ),
+        elsewhere AS (
+            SELECT ri.product_id, AVG(${unitPrice}) as avg_price
+            FROM receipt_items ri
+            JOIN receipts r ON ri.receipt_id = r.id
+            WHERE r.user_id = :userId
+            AND r.merchant_id IS DISTINCT FROM :merchantId
+            AND r.deleted_at IS NULL
+            AND ri.unit_price > 0
+            GROUP BY ri.product_id
+        )
+        SELECT
+            COUNT(*)::int as "comparedProducts",
+            AVG(here.avg_price / elsewhere.avg_price) as "priceIndex"
+        FROM here
+        JOIN elsewhere ON here.product_id = elsewhere.product_id
+    `, {
+        replacements,
+        type: sequelize.QueryTypes.SELECT
+    });
+
+    const visitCount = visits.visitCount;
+    const firstVisit = visits.firstVisit ? new Date(visits.firstVisit) : null;
+    const lastVisit = visits.lastVisit ? new Date(visits.lastVisit) : null;
+    const spanDays = firstVisit ? (lastVisit - firstVisit) / (24 * 60 * 60 * 1000) : 0;
+    const priceIndex = prices.priceIndex === null ? null : parseFloat(prices.priceIndex);
+
+    return {
+        merchant: {
+            id: merchant.id,
+            name: merchant.name
+        },
+        visits: {
+            count: visitCount,
+            firstVisit,
+            lastVisit,
+            // A month is counted from the first visit even when all visits fall in it
+            perMonth: visitCount > 0 ? parseFloat((visitCount / Math.max(spanDays / 30, 1)).toFixed(2)) : 0,
+            averageDaysBetween: visitCount > 1 ? parseFloat((spanDays / (visitCount - 1)).toFixed(1)) : null
+        },
+        basket: {
+            currency: baseCurrency,
+            totalSpent: parseFloat(visits.totalSpent),
+            average: visits.averageBasket === null ? null : parseFloat(parseFloat(visits.averageBasket).toFixed(2)),
+            min: visits.minBasket === null ? null : parseFloat(visits.minBasket),
+            max: visits.maxBasket === null ? null : parseFloat(visits.maxBasket),
+            unconvertedCount: visits.unconvertedCount
+        },
+        priceLevel: {
+            comparedProducts: prices.comparedProducts,
+            index: priceIndex === null ? null : parseFloat(priceIndex.toFixed(3)),
+            label: priceLevelLabel(priceIndex)
+        }
+    };
+}
+
+export default {
+    getMerchantDefaultCategory,
+    getMerchants,
+    getMerchant,
+    updateMerchant,
+    mergeMerchants,
+    splitMerchant,
+    getMerchantStats
+};
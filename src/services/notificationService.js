@@ -3,6 +3,7 @@ import BudgetAlert from '../models/BudgetAlert.js';
 import User from '../models/User.js';
 import { log } from '../utils/logger.js';
 import queueService from './queueService.js';
+import { getExchangeRate, DEFAULT_BASE_CURRENCY } from './currencyService.js';
 import config from '../config/environment.js';
 
 // Firebase Admin SDK (lazy loaded)
@@ -51,7 +52,7 @@ export async function sendPushNotification(userId, notification) {
     try {
         const preferences = await NotificationPreference.findByUserId(userId);
 
-        if (!preferences || !preferences.isPushEnabled() || preferences.isInQuietHours()) {
+        if (!preferences || !preferences.isPushEnabled() || preferences.isInQuietHours(await User.getCalendar(userId))) {
             log.debug(`Push notification skipped for user ${userId}: disabled or quiet hours`);
             return { sent: false, reason: 'disabled_or_quiet_hours' };
         }
@@ -336,14 +337,26 @@ export async function sendMonthlyDigest(userId) {
         const { getUserBudgetsSummary } = await import('./budgetService.js');
         const summary = await getUserBudgetsSummary(userId);
 
-        const totalSpent = summary.budgets.reduce((sum, b) => sum + parseFloat(b.currentSpending), 0);
-        const totalBudget = summary.budgets.reduce((sum, b) => sum + parseFloat(b.totalBudget), 0);
+        // Budgets in other currencies are added up at today's rate to the user's base currency
+        const baseCurrency = user?.baseCurrency || DEFAULT_BASE_CURRENCY;
+        const rates = {};
+        for (const budget of summary.budgets) {
+            if (!(budget.currency in rates)) {
+                rates[budget.currency] = budget.currency === baseCurrency
+                    ? 1
+                    : (await getExchangeRate(budget.currency, baseCurrency)) ?? 1;
+            }
+        }
+
+        const totalSpent = summary.budgets.reduce((sum, b) => sum + parseFloat(b.currentSpending) * rates[b.currency], 0);
+        const totalBudget = summary.budgets.reduce((sum, b) => sum + parseFloat(b.totalBudget) * rates[b.currency], 0);
 
         const notification = {
             title: '📈 Monthly Financial Report',
-            body: `Total spent: ${totalSpent.toFixed(2)}. ${summary.summary.exceeded} budgets exceeded.`,
+            body: `Total spent: ${totalSpent.toFixed(2)} ${baseCurrency}. ${summary.summary.exceeded} budgets exceeded.`,
             data: {
                 type: 'monthly_digest',
+                currency: baseCurrency,
                 totalSpent: totalSpent.toFixed(2),
                 totalBudget: totalBudget.toFixed(2),
                 exceededCount: summary.summary.exceeded.toString()
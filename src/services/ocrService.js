@@ -3,8 +3,9 @@ import fs from "fs";
 import path from "path";
 import url from "url";
 import { log } from "../utils/logger.js";
-import { processReceiptWithAIFromImage } from "./categorizationService.js";
+import { processReceiptWithAIFromImage, processReceiptWithAIFromText } from "./categorizationService.js";
 import { validateAndCorrectReceiptData } from "./receiptValidationService.js";
+import { readFiscalQr } from "./fiscalQrService.js";
 import cacheService from "./cacheService.js";
 import { generateSignedUrl } from "../utils/urlSigner.js";
 import { saveUserFile, getFullPath, parseRelativePath, FILE_CATEGORIES } from '../utils/fileStorage.js';
@@ -25,8 +26,8 @@ function cleanVatInfo(vatInfo) {
         const amount = parseFloat(data?.amount || 0);
         const base = parseFloat(data?.base || 0);
 
-        // Only include if rate > 0 and either amount or base > 0
-        if (rateNum > 0 && (amount > 0 || base > 0)) {
+        // Only include if rate > 0 and either amount or base is set (negative on refunds)
+        if (rateNum > 0 && (amount !== 0 || base !== 0)) {
             cleaned[rate] = {
                 amount: amount,
                 base: base
@@ -115,101 +116,254 @@ export async function extractTextFromImage() {
     throw new Error('OCR is disabled. Use AI-from-image unified pipeline.');
 }
 
-export async function extractReceiptData(imageUrl, locale = 'en', options = {}) {
-    try {
-        const { skipEnhancement = false, source = null, processedByMLKit = false } = options || {};
-
-        // Extract userId from image URL/path
-        const userId = extractUserIdFromPath(imageUrl);
-
-        // 1) Load file and produce processed image (deskew/crop/orient/enhance)
-        let imageBytes;
-        let filePath;
-        let fileName;
-        let relativePath;
-
-        // Check if it's a relative path (new structure: userId/receipts/filename)
-        const parsedPath = parseRelativePath(imageUrl);
-        if (parsedPath) {
-            // New structure: userId/receipts/filename
-            relativePath = imageUrl;
+// A line photographed at the bottom of one page and again at the top of the next
+// is read twice; at most this many lines are compared at each page boundary
+const MAX_PAGE_OVERLAP = 8;
+
+/**
+ * Read one page image with the AI pipeline, without validating it
+ */
+async function extractPage(imageUrl, locale, categories) {
+    // Extract userId from image URL/path
+    const userId = extractUserIdFromPath(imageUrl);
+
+    // 1) Load file and produce processed image (deskew/crop/orient/enhance)
+    let imageBytes;
+    let filePath;
+    let fileName;
+    let relativePath;
+
+    // Check if it's a relative path (new structure: userId/receipts/filename)
+    const parsedPath = parseRelativePath(imageUrl);
+    if (parsedPath) {
+        // New structure: userId/receipts/filename
+        relativePath = imageUrl;
+        filePath = getFullPath(relativePath);
+        fileName = parsedPath.filename;
+        imageBytes = fs.readFileSync(filePath);
+        log.debug('Loading image from user directory', { userId: parsedPath.userId, category: parsedPath.category, filename: fileName });
+    } else if (imageUrl.includes('/secure/') || imageUrl.includes('/uploads/')) {
+        // URL format (either /secure/ or old /uploads/)
+        const pathname = url.parse(imageUrl).pathname;
+        // Extract relative path from URL (e.g., /secure/userId/receipts/file.jpg -> userId/receipts/file.jpg)
+        relativePath = pathname.replace(/^\/secure\//, '').replace(/^\/uploads\//, '');
+        const parsed = parseRelativePath(relativePath);
+        if (parsed) {
             filePath = getFullPath(relativePath);
-            fileName = parsedPath.filename;
-            imageBytes = fs.readFileSync(filePath);
-            log.debug('Loading image from user directory', { userId: parsedPath.userId, category: parsedPath.category, filename: fileName });
-        } else if (imageUrl.includes('/secure/') || imageUrl.includes('/uploads/')) {
-            // URL format (either /secure/ or old /uploads/)
-            const pathname = url.parse(imageUrl).pathname;
-            // Extract relative path from URL (e.g., /secure/userId/receipts/file.jpg -> userId/receipts/file.jpg)
-            relativePath = pathname.replace(/^\/secure\//, '').replace(/^\/uploads\//, '');
-            const parsed = parseRelativePath(relativePath);
-            if (parsed) {
-                filePath = getFullPath(relativePath);
-                fileName = parsed.filename;
-            } else {
-                // Fallback to old single-level structure
-                fileName = path.basename(pathname);
-                filePath = path.resolve('uploads', fileName);
-            }
-            imageBytes = fs.readFileSync(filePath);
+            fileName = parsed.filename;
         } else {
-            // External URL
-            const resp = await fetch(imageUrl);
-            imageBytes = Buffer.from(await resp.arrayBuffer());
+            // Fallback to old single-level structure
+            fileName = path.basename(pathname);
+            filePath = path.resolve('uploads', fileName);
         }
+        imageBytes = fs.readFileSync(filePath);
+    } else {
+        // External URL
+        const resp = await fetch(imageUrl);
+        imageBytes = Buffer.from(await resp.arrayBuffer());
+    }
+
+    // Use original image without any processing
+    const processedImage = imageBytes;
+    log.info('Using original image without processing');
+
+    // Build signed URL for AI processing from original image
+    let publicImageUrl = null;
+    try {
+        publicImageUrl = generateSignedUrl(relativePath || imageUrl, 7200);
+    } catch (e) {
+        log.warn('Could not build signed URL for AI vision', { error: e.message });
+    }
+
+    // 2) Unified AI directly from processed image (OCR+parsing in one step). No OCR fallbacks.
+    // The fiscal QR code (if any) is decoded locally while the AI reads the image
+    log.info('Processing receipt with AI from signed URL');
+    const [aiResult, fiscalQr] = await Promise.all([
+        processReceiptWithAIFromImage(processedImage, locale, publicImageUrl, categories),
+        readFiscalQr(imageBytes)
+    ]);
+    if (!aiResult.success || !aiResult.data) {
+        return { success: false, error: aiResult.error || 'AI image pipeline failed' };
+    }
+
+    // IA procesó exitosamente el recibo
+    return { ...toExtraction(aiResult.data, 'ai-unified-image'), fiscalQr };
+}
 
-        // Use original image without any processing
-        const processedImage = imageBytes;
-        log.info('Using original image without processing');
+// Extraction (before validation) from the JSON answered by the AI pipeline
+function toExtraction(aiData, extractionMethod) {
+    // Clean VAT info - remove 0% rates or rates with 0 amounts
+    const cleanedVatInfo = cleanVatInfo(aiData.vatInfo);
+
+    return {
+        success: true,
+        rawText: '',
+        merchantName: aiData.merchantName,
+        purchaseDate: aiData.purchaseDate,
+        purchaseDateRaw: aiData.purchaseDateRaw,
+        items: aiData.products || [],
+        totals: aiData.totals || {},
+        currency: aiData.currency || 'USD',
+        category: aiData.receiptCategory,
+        receiptType: aiData.receiptType,
+        paymentMethod: aiData.paymentMethod,
+        cardType: aiData.cardType,
+        vatInfo: cleanedVatInfo,
+        discountInfo: aiData.discountInfo,
+        country: aiData.country,
+        extractionMethod
+    };
+}
+
+function isSameLine(a, b) {
+    const text = item => String(item.originalText || item.name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    return text(a) !== ''
+        && text(a) === text(b)
+        && Math.abs((parseFloat(a.totalPrice) || 0) - (parseFloat(b.totalPrice) || 0)) < 0.01;
+}
 
-        // Build signed URL for AI processing from original image
-        let publicImageUrl = null;
-        try {
-            publicImageUrl = generateSignedUrl(relativePath || imageUrl, 7200);
-        } catch (e) {
-            log.warn('Could not build signed URL for AI vision', { error: e.message });
+/**
+ * Number of lines at the start of a page that repeat the end of the previous page
+ */
+function pageOverlap(previousItems, items) {
+    const max = Math.min(previousItems.length, items.length, MAX_PAGE_OVERLAP);
+    for (let count = max; count > 0; count--) {
+        const tail = previousItems.slice(previousItems.length - count);
+        if (tail.every((item, index) => isSameLine(item, items[index]))) {
+            return count;
         }
+    }
+    return 0;
+}
+
+/**
+ * Merge the extractions of the pages of one receipt, in order, into one extraction.
+ *
+ * Lines repeated at a page boundary are kept once; the same line elsewhere is a
+ * separate purchase. The header (merchant, date, currency) comes from the first page
+ * that has it, the totals, payment and fiscal QR code from the last one, as they are
+ * printed at the end.
+ * appliesTo (a line index within its page) is renumbered to the merged lines.
+ */
+export function mergePageExtractions(pages) {
+    if (pages.length === 1) {
+        return { ...pages[0], pageCount: 1 };
+    }
+
+    const present = value => value !== undefined && value !== null && value !== ''
+        && !(typeof value === 'object' && Object.keys(value).length === 0);
+    const first = field => pages.map(page => page[field]).find(present);
+    const last = field => pages.map(page => page[field]).findLast(present);
+
+    const items = [];
+    let overlappingLines = 0;
+    for (const page of pages) {
+        const pageItems = page.items || [];
+        const overlap = pageOverlap(items, pageItems);
+        const offset = items.length - overlap;
+        overlappingLines += overlap;
+
+        pageItems.forEach((item, index) => {
+            if (index < overlap) return;
+            const merged = { ...item };
+            if (Number.isInteger(item.appliesTo)) {
+                merged.appliesTo = item.appliesTo + offset;
+            }
+            items.push(merged);
+        });
+    }
+
+    return {
+        success: true,
+        rawText: pages.map(page => page.rawText).filter(Boolean).join('\n'),
+        merchantName: first('merchantName'),
+        purchaseDate: first('purchaseDate'),
+        purchaseDateRaw: first('purchaseDateRaw'),
+        items,
+        totals: last('totals') || {},
+        currency: first('currency') || 'USD',
+        category: first('category'),
+        // A refund may only say so on one of its pages
+        receiptType: pages.map(page => page.receiptType).find(type => type && type !== 'purchase') || first('receiptType'),
+        paymentMethod: last('paymentMethod'),
+        cardType: last('cardType'),
+        vatInfo: last('vatInfo'),
+        discountInfo: last('discountInfo'),
+        country: first('country'),
+        // Printed at the end of the receipt, like the totals it encodes
+        fiscalQr: last('fiscalQr') || null,
+        extractionMethod: 'ai-unified-image',
+        pageCount: pages.length,
+        overlappingLines
+    };
+}
 
-        // 2) Unified AI directly from processed image (OCR+parsing in one step). No OCR fallbacks.
-        log.info('Processing receipt with AI from signed URL');
-        const aiResult = await processReceiptWithAIFromImage(processedImage, locale, publicImageUrl);
-        if (!aiResult.success) {
-            return { success: false, error: aiResult.error || 'AI image pipeline failed' };
+/**
+ * Extract the data of a receipt from the image of each of its pages, in order
+ * (a single image for a one-page receipt). Pages are read one by one and merged
+ * before validation.
+ */
+export async function extractReceiptData(imageUrls, locale = 'en', options = {}) {
+    try {
+        const { categories = null } = options || {};
+        const pages = (Array.isArray(imageUrls) ? imageUrls : [imageUrls]).filter(Boolean);
+
+        const extractions = [];
+        for (const [index, imageUrl] of pages.entries()) {
+            const extraction = await extractPage(imageUrl, locale, categories);
+            if (!extraction.success) {
+                return {
+                    success: false,
+                    error: pages.length > 1 ? `Page ${index + 1}: ${extraction.error}` : extraction.error
+                };
+            }
+            extractions.push(extraction);
         }
 
-        if (aiResult.success && aiResult.data) {
-            // IA procesó exitosamente el recibo
-            const aiData = aiResult.data;
-
-            // Clean VAT info - remove 0% rates or rates with 0 amounts
-            const cleanedVatInfo = cleanVatInfo(aiData.vatInfo);
-
-            const aiExtracted = {
-                success: true,
-                rawText: '',
-                merchantName: aiData.merchantName,
-                purchaseDate: aiData.purchaseDate,
-                purchaseDateRaw: aiData.purchaseDateRaw,
-                items: aiData.products || [],
-                totals: aiData.totals || {},
-                currency: aiData.currency || 'USD',
-                category: aiData.receiptCategory,
-                paymentMethod: aiData.paymentMethod,
-                cardType: aiData.cardType,
-                vatInfo: cleanedVatInfo,
-                discountInfo: aiData.discountInfo,
-                country: aiData.country,
-                extractionMethod: 'ai-unified-image'
-            };
+        const aiExtracted = mergePageExtractions(extractions);
+
+        // Aplicar validación y corrección
+        log.info("Validating receipt data", {
+            itemCount: aiExtracted.items.length,
+            total: aiExtracted.totals?.total,
+            pageCount: aiExtracted.pageCount,
+            overlappingLines: aiExtracted.overlappingLines
+        });
+
+        return validateAndCorrectReceiptData(aiExtracted);
+    } catch (error) {
+        log.error("Error extrayendo datos del recibo:", error);
+        return {
+            success: false,
+            error: error.message,
+            rawText: ""
+        };
+    }
+}
 
-            // Aplicar validación y corrección
-            log.info("Validating receipt data", {
-                itemCount: aiExtracted.items.length,
-                total: aiExtracted.totals?.total
-            });
+/**
+ * Extract the data of a digital receipt from its text (e.g. the text layer of a PDF),
+ * without reading images. The text is kept as the receipt's raw text.
+ */
+export async function extractReceiptDataFromText(text, locale = 'en', options = {}) {
+    try {
+        const { categories = null, pageCount = 1 } = options || {};
 
-            return validateAndCorrectReceiptData(aiExtracted);
+        const aiResult = await processReceiptWithAIFromText(text, locale, categories);
+        if (!aiResult.success || !aiResult.data) {
+            return { success: false, error: aiResult.error || 'AI text pipeline failed' };
         }
+
+        const aiExtracted = { ...toExtraction(aiResult.data, 'ai-unified-text'), rawText: text, pageCount };
+
+        // Aplicar validación y corrección
+        log.info("Validating receipt data", {
+            itemCount: aiExtracted.items.length,
+            total: aiExtracted.totals?.total,
+            pageCount
+        });
+
+        return validateAndCorrectReceiptData(aiExtracted);
     } catch (error) {
         log.error("Error extrayendo datos del recibo:", error);
         return {
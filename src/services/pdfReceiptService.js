@@ -0,0 +1,154 @@
+import fs from 'fs';
+import sharp from 'sharp';
+import { readPdf } from '../utils/pdfReader.js';
+import { translate } from '../config/i18n.js';
+import { getFullPath, parseRelativePath, FILE_CATEGORIES } from '../utils/fileStorage.js';
+import { MAX_RECEIPT_PAGES } from '../models/Receipt.js';
+import { log } from '../utils/logger.js';
+
+// A PDF with fewer letters and digits than this has no usable text layer (e.g. a scan)
+const MIN_TEXT_LAYER_CHARS = 20;
+
+// Page previews drawn from the text layer (pixels)
+const PREVIEW_WIDTH = 800;
+const PREVIEW_PADDING = 32;
+const PREVIEW_MAX_FONT_SIZE = 20;
+const PREVIEW_MIN_FONT_SIZE = 10;
+
+/**
+ * Whether a stored receipt file is a PDF document (e-receipt)
+ */
+export function isPdfPath(filePath) {
+    return typeof filePath === 'string' && /\.pdf$/i.test(filePath.split('?')[0]);
+}
+
+function escapeXml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * JPEG preview of a receipt that only exists as text (a PDF page, an email body):
+ * the lines in a monospaced font on a white background, scaled so the longest fits
+ * @param {string[]} lines
+ */
+export async function renderTextPreview(lines) {
+    const longest = Math.max(1, ...lines.map(line => line.length));
+    const fontSize = Math.max(PREVIEW_MIN_FONT_SIZE, Math.min(PREVIEW_MAX_FONT_SIZE,
+        Math.floor((PREVIEW_WIDTH - 2 * PREVIEW_PADDING) / (longest * 0.6))));
+    const lineHeight = Math.round(fontSize * 1.4);
+    const height = 2 * PREVIEW_PADDING + Math.max(1, lines.length) * lineHeight;
+
+    const text = lines.map((line, index) =>
+        `<text x="${PREVIEW_PADDING}" y="${PREVIEW_PADDING + (index + 1) * lineHeight - lineHeight * 0.3}" xml:space="preserve">${escapeXml(line)}</text>`
+    ).join('');
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${PREVIEW_WIDTH}" height="${height}">`
+        + `<rect width="100%" height="100%" fill="#ffffff"/>`
+        + `<g font-family="DejaVu Sans Mono, Courier New, monospace" font-size="${fontSize}" fill="#000000">${text}</g>`
+        + '</svg>';
+
+    return await sharp(Buffer.from(svg)).jpeg({ quality: 85 }).toBuffer();
+}
+
+// JPEG of an image read from a PDF (see pdfReader.readPdf)
+async function encodeImage(image) {
+    const input = image.format === 'raw'
+        ? sharp(image.data, { raw: { width: image.width, height: image.height, channels: image.channels } })
+        : sharp(image.data);
+    return await input.jpeg({ quality: 90 }).toBuffer();
+}
+
+/**
+ * Read a PDF receipt and write a JPEG preview of each page next to it, so the
+ * receipt has page images like a photographed one.
+ *
+ * When the PDF has a text layer its text is returned and the previews are drawn
+ * from it; otherwise (a scanned PDF) the pages are the images embedded in it and
+ * text is null, so the receipt has to be read from the previews.
+ *
+ * Pages are not rendered: a page without a text layer is only read when it is drawn
+ * with an image in a format pdfReader can decode. Pages drawn as vector graphics
+ * (text converted to outlines) and scans stored as JPEG 2000, CCITT or JBIG2 are
+ * rejected with an error that asks for a photo of the receipt instead.
+ *
+ * Resolves with { success: true, text, pageImageUrls, pageCount } or { success: false, error },
+ * error being translated to locale.
+ * @param {string} pdfPath - Relative path of the stored PDF (userId/receipts/file.pdf)
+ * @param {string} userId - Owner of the receipt; the PDF must be in their receipts directory
+ * @param {Object} options
+ * @param {string} options.locale - Language of the error
+ */
+export async function preparePdfReceipt(pdfPath, userId, { locale = 'en' } = {}) {
+    // The previews are written next to the PDF
+    const parsedPath = parseRelativePath(pdfPath);
+    if (!parsedPath || parsedPath.userId !== userId || parsedPath.category !== FILE_CATEGORIES.RECEIPTS) {
+        return { success: false, error: translate('receipts.pdf_not_uploaded', locale) };
+    }
+
+    let document;
+    try {
+        document = readPdf(await fs.promises.readFile(getFullPath(pdfPath)), { maxPages: MAX_RECEIPT_PAGES });
+    } catch (error) {
+        log.warn('Could not read PDF receipt', { pdfPath, error: error.message });
+        return {
+            success: false,
+            error: translate(error.code === 'encrypted' ? 'receipts.pdf_encrypted' : 'receipts.pdf_unreadable', locale)
+        };
+    }
+
+    if (document.pageCount > MAX_RECEIPT_PAGES) {
+        return { success: false, error: translate('receipts.too_many_pages', locale, { max: MAX_RECEIPT_PAGES }) };
+    }
+
+    const text = document.pages.map(page => page.lines.join('\n')).join('\n\n');
+    const hasTextLayer = (text.match(/[\p{L}\p{N}]/gu) || []).length >= MIN_TEXT_LAYER_CHARS;
+
+    const pageImageUrls = [];
+    for (const [index, page] of document.pages.entries()) {
+        let preview;
+        try {
+            if (hasTextLayer && (page.lines.length > 0 || !page.image)) {
+                preview = await renderTextPreview(page.lines);
+            } else if (page.image) {
+                preview = await encodeImage(page.image);
+            }
+        } catch (error) {
+            log.warn('Could not generate PDF page preview', { pdfPath, page: index + 1, error: error.message });
+        }
+
+        if (!preview) {
+            log.info('PDF receipt page cannot be read', { pdfPath, page: index + 1, unreadableImage: page.unreadableImage });
+            return {
+                success: false,
+                error: translate(page.unreadableImage ? 'receipts.pdf_image_unsupported' : 'receipts.pdf_page_unreadable', locale, { page: index + 1 })
+            };
+        }
+
+        const previewPath = pdfPath.replace(/\.pdf$/i, `-page-${index + 1}.jpg`);
+        await fs.promises.writeFile(getFullPath(previewPath), preview);
+        pageImageUrls.push(previewPath);
+    }
+
+    log.info('PDF receipt prepared', {
+        pdfPath,
+        pageCount: pageImageUrls.length,
+        hasTextLayer,
+        textLength: hasTextLayer ? text.length : 0
+    });
+
+    return {
+        success: true,
+        text: hasTextLayer ? text : null,
+        pageImageUrls,
+        pageCount: pageImageUrls.length
+    };
+}
+
+export default {
+    isPdfPath,
+    renderTextPreview,
+    preparePdfReceipt
+};
@@ -125,6 +125,24 @@ class QueueService {
                 removeOnFail: 5,
             }));
 
+            // Webhook Delivery Queue (retries spread over roughly two hours)
+            this.queues.webhook = new Bull('Webhook Delivery', getQueueOptions({
+                attempts: 8,
+                backoff: {
+                    type: 'exponential',
+                    delay: 30000,
+                },
+                removeOnComplete: 50,
+                removeOnFail: 50,
+            }));
+
+            // Bulk Operations Queue (not retried: a rerun would repeat already applied changes)
+            this.queues.bulk = new Bull('Bulk Operations', getQueueOptions({
+                attempts: 1,
+                removeOnComplete: 20,
+                removeOnFail: 20,
+            }));
+
             this.setupEventListeners();
             this.isConnected = true;
 
@@ -193,6 +211,25 @@ class QueueService {
         });
     }
 
+    // Receipt creation jobs (async POST /api/receipts), tracked via GET /api/receipts/jobs/:jobId
+    async addReceiptCreationJob(params, priority = 'normal') {
+        if (!this.isConnected) {
+            throw new Error('Queue service not connected');
+        }
+
+        const priorityMap = { low: 10, normal: 0, high: -10, critical: -20 };
+
+        return await this.queues.ocr.add('create-receipt', {
+            ...params,
+            timestamp: new Date().toISOString()
+        }, {
+            priority: priorityMap[priority] || 0,
+            // Keep finished jobs long enough for clients to poll their result
+            removeOnComplete: { age: 24 * 3600 },
+            removeOnFail: { age: 24 * 3600 }
+        });
+    }
+
     // Categorization Jobs
     async addCategorizationJob(receiptId, extractedText, priority = 'normal') {
         if (!this.isConnected) {
@@ -270,6 +307,34 @@ class QueueService {
         });
     }
 
+    // Webhook Delivery Jobs
+    async addWebhookDeliveryJob(deliveryId) {
+        if (!this.isConnected) {
+            throw new Error('Queue service not connected');
+        }
+
+        return await this.queues.webhook.add('deliver-webhook', {
+            deliveryId,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    // Bulk receipt operations (POST /api/receipts/bulk), tracked via GET /api/receipts/bulk/jobs/:jobId
+    async addBulkOperationJob(params) {
+        if (!this.isConnected) {
+            throw new Error('Queue service not connected');
+        }
+
+        return await this.queues.bulk.add('bulk-receipts', {
+            ...params,
+            timestamp: new Date().toISOString()
+        }, {
+            // Keep finished jobs long enough for clients to poll their result
+            removeOnComplete: { age: 24 * 3600 },
+            removeOnFail: { age: 24 * 3600 }
+        });
+    }
+
     // Scheduled Jobs
     async scheduleRecurringJobs() {
         if (!this.isConnected) {
@@ -0,0 +1,403 @@
+import Receipt from '../models/Receipt.js';
+import ReceiptItem from '../models/ReceiptItem.js';
+import Product from '../models/Product.js';
+import sequelize from '../config/db.js';
+import { extractReceiptData, extractReceiptDataFromText } from './ocrService.js';
+import { isPdfPath, preparePdfReceipt } from './pdfReceiptService.js';
+import { categorizeReceipt } from './categorizationService.js';
+import { processReceiptItems } from './receiptItemService.js';
+import { getUserCategories } from './categoryService.js';
+import { hasManualItemChanges, recordCreation, recordRevision, snapshotRevisionFields } from './receiptRevisionService.js';
+import { applyRulesToReceipt } from './receiptRuleService.js';
+import { getMerchantDefaultCategory } from './merchantService.js';
+import { autoMatchTransactions } from './bankReconciliationService.js';
+import { checkNewlyUnlockedBadges } from './badgeService.js';
+import { dispatchWebhookEvent, serializeReceipt } from './webhookService.js';
+import { log } from '../utils/logger.js';
+
+/**
+ * Stages reported while a receipt is being created (sync or via the ocr queue)
+ */
+export const RECEIPT_CREATION_STAGES = ['uploaded', 'extracting', 'validating', 'itemizing', 'done', 'failed'];
+
+/**
+ * Build the payload returned to clients when a duplicate receipt is detected
+ */
+export function buildDuplicatePayload(duplicateCheck) {
+    return {
+        code: 'DUPLICATE_RECEIPT',
+        message: duplicateCheck.reason,
+        data: {
+            duplicateType: duplicateCheck.type,
+            existingReceipt: {
+                id: duplicateCheck.existingReceipt.id,
+                merchantName: duplicateCheck.existingReceipt.merchantName,
+                purchaseDate: duplicateCheck.existingReceipt.purchaseDate,
+                amount: duplicateCheck.existingReceipt.amount,
+                createdAt: duplicateCheck.existingReceipt.createdAt,
+                // The matching receipt may be in the trash, where it can be restored instead
+                inTrash: Boolean(duplicateCheck.existingReceipt.deletedAt)
+            }
+        }
+    };
+}
+
+/**
+ * Run the full creation pipeline for a receipt image: AI extraction, duplicate
+ * check, categorization, persistence and item processing. A receipt photographed
+ * in several pages has the following pages in pageImageUrls, in order.
+ *
+ * imageUrl may also be a PDF (e-receipt): it is kept as the receipt's document and
+ * its page previews become the receipt's images (see preparePdfReceipt).
+ *
+ * When the receipt's text is already known (an e-receipt email body, a PDF text
+ * layer) it is passed as text and read instead of the images. emailUrl is the
+ * original email of a receipt received by email.
+ *
+ * The extraction runs before the transaction is opened so slow model calls do
+ * not hold a database connection.
+ *
+ * Resolves with one of:
+ *   { outcome: 'created', receipt }
+ *   { outcome: 'duplicate', duplicate }   (see buildDuplicatePayload)
+ *   { outcome: 'ocr_failed', error }
+ */
+export async function createReceiptFromImage({
+    userId,
+    imageUrl,
+    pageImageUrls = [],
+    notes,
+    category,
+    forceDuplicate = false,
+    processedByMLKit = false,
+    source,
+    text = null,
+    emailUrl = null,
+    locale = 'en'
+}, { onStage } = {}) {
+    const reportStage = async (stage) => {
+        if (typeof onStage === 'function') {
+            await onStage(stage);
+        }
+    };
+
+    // Extract data from receipt image
+    await reportStage('extracting');
+
+    // A PDF is read from its text layer when it has one, otherwise from its page previews
+    let documentUrl = null;
+    if (isPdfPath(imageUrl)) {
+        const document = await preparePdfReceipt(imageUrl, userId, { locale });
+        if (!document.success) {
+            return { outcome: 'ocr_failed', error: document.error };
+        }
+        documentUrl = imageUrl;
+        text = document.text;
+        [imageUrl, ...pageImageUrls] = document.pageImageUrls;
+    }
+
+    const skipEnhancement = Boolean(processedByMLKit) && (source === 'camera' || !source);
+    log.info('Processing receipt image', { userId, imageUrl, documentUrl, pageCount: 1 + pageImageUrls.length, processedByMLKit, source, skipEnhancement });
+    const categories = await getUserCategories(userId);
+    const ocrResult = text
+        ? await extractReceiptDataFromText(text, locale, { categories, pageCount: 1 + pageImageUrls.length })
+        : await extractReceiptData([imageUrl, ...pageImageUrls], locale, { skipEnhancement, source, processedByMLKit, categories });
+
+    if (!ocrResult.success) {
+        return { outcome: 'ocr_failed', error: ocrResult.error || null };
+    }
+
+    // Check for duplicate receipts
+    await reportStage('validating');
+    const duplicateCheck = await Receipt.findDuplicate(userId, ocrResult);
+
+    if (duplicateCheck.isDuplicate && !forceDuplicate) {
+        log.info('Duplicate receipt detected', {
+            userId,
+            type: duplicateCheck.type,
+            existingReceiptId: duplicateCheck.existingReceipt.id,
+            reason: duplicateCheck.reason
+        });
+
+        return { outcome: 'duplicate', duplicate: buildDuplicatePayload(duplicateCheck) };
+    }
+
+    // Log if duplicate was forced
+    if (duplicateCheck.isDuplicate && forceDuplicate) {
+        log.warn('Duplicate receipt creation forced by user', {
+            userId,
+            type: duplicateCheck.type,
+            existingReceiptId: duplicateCheck.existingReceipt.id
+        });
+    }
+
+    // Determine final category
+    // Priority:
+    // 1) Explicit category from request
+    // 2) Default category of the matched merchant (set by the user)
+    // 3) Category provided by AI pipeline (already one of the user's category keys)
+    // 4) Fallback: categorize from rawText (if any)
+    let finalCategory = category;
+    if (!finalCategory) {
+        finalCategory = await getMerchantDefaultCategory(userId, ocrResult.merchantName);
+    }
+    if (!finalCategory && ocrResult.category) {
+        finalCategory = ocrResult.category;
+    }
+    if (!finalCategory && ocrResult.rawText) {
+        finalCategory = await categorizeReceipt(ocrResult.rawText, locale, categories);
+    }
+
+    // Create receipt record
+    const receiptData = {
+        userId,
+        imageUrl,
+        pageImageUrls,
+        documentUrl,
+        emailUrl,
+        rawText: ocrResult.rawText,
+        parsedData: {
+            merchantName: ocrResult.merchantName,
+            purchaseDate: ocrResult.purchaseDate,
+            totals: ocrResult.totals,
+            currency: ocrResult.currency,
+            receiptType: ocrResult.receiptType,
+            itemCount: ocrResult.items?.length || 0,
+            pageCount: ocrResult.pageCount,
+            validation: ocrResult.validation,
+            extractionMethod: ocrResult.extractionMethod,
+            paymentMethod: ocrResult.paymentMethod,
+            cardType: ocrResult.cardType,
+            vatInfo: ocrResult.vatInfo,
+            discountInfo: ocrResult.discountInfo,
+            merchantTaxId: ocrResult.merchantTaxId || null
+        },
+        category: finalCategory,
+        merchantName: ocrResult.merchantName ? ocrResult.merchantName.trim().toUpperCase() : null,
+        purchaseDate: ocrResult.purchaseDate ? new Date(ocrResult.purchaseDate) : null,
+        amount: ocrResult.totals?.total || null,
+        receiptType: ocrResult.receiptType || 'purchase',
+        currency: ocrResult.currency || 'USD',
+        notes,
+        processingStatus: 'processing',
+        paymentMethod: ocrResult.paymentMethod || null,
+        cardType: ocrResult.cardType ? ocrResult.cardType.toUpperCase() : null,
+        vatInfo: ocrResult.vatInfo || null,
+        discountInfo: ocrResult.discountInfo || null,
+        fiscalQr: ocrResult.fiscalQr || null,
+        country: ocrResult.country ? ocrResult.country.toUpperCase() : null,
+        contentHash: duplicateCheck.isDuplicate && forceDuplicate
+            ? duplicateCheck.contentHash + '_forced_' + Date.now()
+            : duplicateCheck.contentHash
+    };
+
+    // Start transaction for atomic operations
+    const transaction = await sequelize.transaction();
+    let receipt;
+    let processedItems = [];
+
+    try {
+        receipt = await Receipt.create(receiptData, { transaction });
+
+        // Process items if this is a grocery receipt and has items
+        if (finalCategory === 'grocery' && Array.isArray(ocrResult.items) && ocrResult.items.length > 0) {
+            await reportStage('itemizing');
+            log.info('Processing receipt items', {
+                receiptId: receipt.id,
+                userId,
+                itemCount: ocrResult.items.length
+            });
+
+            processedItems = await processReceiptItems(receipt.id, userId, ocrResult.items, ocrResult.currency, transaction, locale);
+        }
+
+        // Keep what the AI extracted, so later corrections can be compared and reverted
+        await recordCreation({
+            receipt,
+            items: processedItems.map(({ receiptItem }) => receiptItem),
+            source: 'ai'
+        }, { transaction });
+
+        // The user's rules (e.g. "anything from Shell is fuel") correct the validated AI data
+        await applyRulesToReceipt(receipt, {
+            itemTexts: (ocrResult.items || []).flatMap(item => [item.name, item.originalText]).filter(Boolean),
+            transaction
+        });
+
+        // Log validation warnings if any
+        if (ocrResult.validation?.anomaliesDetected > 0) {
+            log.warn('Receipt processed with anomalies', {
+                receiptId: receipt.id,
+                anomaliesCount: ocrResult.validation.anomaliesDetected,
+                confidence: ocrResult.validation.confidence,
+                anomalies: ocrResult.validation.anomalies
+            });
+        }
+
+        // Mark receipt as processed
+        await receipt.update({
+            processingStatus: 'completed',
+            isProcessed: true
+        }, { transaction });
+
+        await transaction.commit();
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+
+    // Fetch the complete receipt with items for response
+    const completeReceipt = await Receipt.findByPk(receipt.id, {
+        include: [{
+            model: ReceiptItem,
+            as: 'items',
+            include: [{
+                model: Product,
+                as: 'product',
+                attributes: ['id', 'name', 'category', 'brand']
+            }],
+            order: [['position', 'ASC']]
+        }]
+    });
+
+    log.info('Receipt created successfully', {
+        receiptId: receipt.id,
+        userId,
+        itemCount: completeReceipt.items?.length || 0,
+        category: finalCategory
+    });
+
+    await dispatchWebhookEvent(userId, 'receipt.created', { receipt: serializeReceipt(completeReceipt) });
+    // Bank statements imported before the receipt was scanned may already hold its payment
+    await autoMatchTransactions(userId);
+    await checkNewlyUnlockedBadges(userId);
+    await reportStage('done');
+
+    return { outcome: 'created', receipt: completeReceipt };
+}
+
+/**
+ * Add the images of more pages to a receipt, after its current pages, and read the
+ * receipt again from all of its pages.
+ *
+ * The totals, payment and taxes are taken from the merged pages, as they are printed
+ * at the end of the receipt, unless the pages don't show them; the merchant, date and
+ * category are kept when already set, since the user may have corrected them. The
+ * items are replaced by the items of all pages, unless the user has changed the items
+ * by hand: then they are kept as they are (itemsReplaced is false).
+ *
+ * Resolves with one of:
+ *   { outcome: 'updated', receipt, itemsReplaced }
+ *   { outcome: 'ocr_failed', error }   (the receipt is left unchanged)
+ */
+export async function addReceiptPages(receipt, imageUrls, { locale = 'en' } = {}) {
+    const userId = receipt.userId;
+    const pages = [...receipt.getPageImageUrls(), ...imageUrls];
+
+    log.info('Adding receipt pages', { receiptId: receipt.id, userId, added: imageUrls.length, pageCount: pages.length });
+    const categories = await getUserCategories(userId);
+    const ocrResult = await extractReceiptData(pages, locale, { categories });
+
+    if (!ocrResult.success) {
+        return { outcome: 'ocr_failed', error: ocrResult.error || null };
+    }
+
+    const itemsReplaced = !await hasManualItemChanges(receipt.id);
+    const transaction = await sequelize.transaction();
+    const replacedProductIds = new Set();
+
+    try {
+        const before = snapshotRevisionFields(receipt);
+        await receipt.update({
+            pageImageUrls: pages.slice(1),
+            rawText: ocrResult.rawText || receipt.rawText,
+            parsedData: {
+                ...receipt.parsedData,
+                merchantName: ocrResult.merchantName,
+                purchaseDate: ocrResult.purchaseDate,
+                totals: ocrResult.totals,
+                currency: ocrResult.currency,
+                receiptType: ocrResult.receiptType,
+                itemCount: ocrResult.items?.length || 0,
+                pageCount: ocrResult.pageCount,
+                validation: ocrResult.validation,
+                extractionMethod: ocrResult.extractionMethod,
+                paymentMethod: ocrResult.paymentMethod,
+                cardType: ocrResult.cardType,
+                vatInfo: ocrResult.vatInfo,
+                discountInfo: ocrResult.discountInfo,
+                merchantTaxId: ocrResult.merchantTaxId || null
+            },
+            merchantName: receipt.merchantName || (ocrResult.merchantName ? ocrResult.merchantName.trim().toUpperCase() : null),
+            purchaseDate: receipt.purchaseDate || (ocrResult.purchaseDate ? new Date(ocrResult.purchaseDate) : null),
+            category: receipt.category || ocrResult.category || null,
+            amount: ocrResult.totals?.total ?? receipt.amount,
+            receiptType: ocrResult.receiptType || receipt.receiptType,
+            currency: receipt.currency || ocrResult.currency,
+            paymentMethod: ocrResult.paymentMethod || receipt.paymentMethod,
+            cardType: ocrResult.cardType ? ocrResult.cardType.toUpperCase() : receipt.cardType,
+            vatInfo: ocrResult.vatInfo || receipt.vatInfo,
+            discountInfo: ocrResult.discountInfo || receipt.discountInfo,
+            fiscalQr: ocrResult.fiscalQr || receipt.fiscalQr,
+            country: receipt.country || (ocrResult.country ? ocrResult.country.toUpperCase() : null)
+        }, { transaction });
+        await recordRevision({ receiptId: receipt.id, userId, entity: receipt, before, source: 'reprocess' }, { transaction });
+
+        // The items of the earlier pages are read again with the new ones; items the
+        // user corrected (and the discount links between them) are not overwritten
+        if (itemsReplaced) {
+            const previousItems = await ReceiptItem.findAll({ where: { receiptId: receipt.id }, transaction });
+            previousItems.forEach(item => item.productId && replacedProductIds.add(item.productId));
+            await ReceiptItem.destroy({ where: { receiptId: receipt.id }, transaction });
+
+            let processedItems = [];
+            if (receipt.category === 'grocery' && Array.isArray(ocrResult.items) && ocrResult.items.length > 0) {
+                processedItems = await processReceiptItems(receipt.id, userId, ocrResult.items, receipt.currency, transaction, locale);
+            }
+            await recordCreation({
+                receipt,
+                items: processedItems.map(({ receiptItem }) => receiptItem),
+                source: 'reprocess',
+                includeReceipt: false
+            }, { transaction });
+
+            // Price statistics still count the replaced items
+            for (const productId of replacedProductIds) {
+                const product = await Product.findByPk(productId, { transaction });
+                if (product) {
+                    await product.recalculatePriceStats({ transaction });
+                }
+            }
+        }
+
+        await transaction.commit();
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+
+    const completeReceipt = await Receipt.findByPk(receipt.id, {
+        include: [{
+            model: ReceiptItem,
+            as: 'items',
+            include: [{
+                model: Product,
+                as: 'product',
+                attributes: ['id', 'name', 'category', 'brand']
+            }],
+            order: [['position', 'ASC']]
+        }]
+    });
+
+    log.info('Receipt pages added', {
+        receiptId: receipt.id,
+        userId,
+        pageCount: pages.length,
+        itemCount: completeReceipt.items?.length || 0,
+        itemsReplaced
+    });
+
+    await dispatchWebhookEvent(userId, 'receipt.updated', { receipt: serializeReceipt(completeReceipt) });
+
+    return { outcome: 'updated', receipt: completeReceipt, itemsReplaced };
+}
@@ -0,0 +1,243 @@
+import { Op } from 'sequelize';
+import sequelize from '../config/db.js';
+import Receipt from '../models/Receipt.js';
+import ReceiptItem from '../models/ReceiptItem.js';
+import Product from '../models/Product.js';
+import { buildFilterWhere } from './bulkReceiptService.js';
+import { getUserCategories, describeCategory } from './categoryService.js';
+import { mapCategoryToLocalized, mapUnitToLocalized } from '../utils/categoryMapper.js';
+import { xlsxStream } from '../utils/xlsx.js';
+import { csvStream, formatDate } from '../utils/csv.js';
+import {
+    ACCOUNTING_FORMATS,
+    ACCOUNTING_CONTENT_TYPES,
+    ACCOUNTING_FILE_EXTENSIONS,
+    getExportAccounts,
+    accountingStream
+} from './accountingExportService.js';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx', 'jsonl', ...ACCOUNTING_FORMATS];
+
+// One row per receipt, or one row per receipt item (accounting formats: expenses split by item category)
+export const EXPORT_SHAPES = ['receipts', 'items'];
+
+export const EXPORT_SORT_FIELDS = ['purchaseDate', 'createdAt', 'amount', 'merchantName', 'category'];
+
+export const CSV_DELIMITERS = [',', ';', '\t'];
+
+// Receipts loaded per query while streaming
+const EXPORT_BATCH_SIZE = 200;
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    jsonl: 'application/x-ndjson; charset=utf-8',
+    ...ACCOUNTING_CONTENT_TYPES
+};
+
+const FILE_EXTENSIONS = {
+    csv: 'csv',
+    xlsx: 'xlsx',
+    jsonl: 'jsonl',
+    ...ACCOUNTING_FILE_EXTENSIONS
+};
+
+// Column keys double as JSON Lines property names and locale keys (export.columns.*)
+const RECEIPT_COLUMNS = [
+    { key: 'receiptId', value: ({ receipt }) => receipt.id },
+    { key: 'purchaseDate', type: 'date', value: ({ receipt }) => receipt.purchaseDate },
+    { key: 'merchant', value: ({ receipt }) => receipt.merchantName },
+    { key: 'category', value: ({ receipt }, { categoryName }) => categoryName(receipt.category) },
+    { key: 'amount', type: 'amount', value: ({ receipt }) => receipt.amount },
+    { key: 'currency', value: ({ receipt }) => receipt.currency },
+    { key: 'paymentMethod', value: ({ receipt }) => receipt.paymentMethod },
+    { key: 'cardType', value: ({ receipt }) => receipt.cardType },
+    { key: 'tags', type: 'list', value: ({ receipt }) => receipt.tags },
+    { key: 'isBusiness', type: 'boolean', value: ({ receipt }) => receipt.isBusiness },
+    { key: 'project', value: ({ receipt }) => receipt.project },
+    { key: 'client', value: ({ receipt }) => receipt.client },
+    { key: 'costCenter', value: ({ receipt }) => receipt.costCenter },
+    { key: 'country', value: ({ receipt }) => receipt.country },
+    { key: 'notes', value: ({ receipt }) => receipt.notes }
+];
+
+const ITEM_COLUMNS = [
+    { key: 'receiptId', value: ({ receipt }) => receipt.id },
+    { key: 'purchaseDate', type: 'date', value: ({ receipt }) => receipt.purchaseDate },
+    { key: 'merchant', value: ({ receipt }) => receipt.merchantName },
+    { key: 'receiptCategory', value: ({ receipt }, { categoryName }) => categoryName(receipt.category) },
+    { key: 'position', type: 'number', value: ({ item }) => item.position },
+    { key: 'description', value: ({ item }) => item.originalText },
+    { key: 'product', value: ({ item }) => item.product?.name },
+    { key: 'brand', value: ({ item }) => item.product?.brand },
+    { key: 'productCategory', value: ({ item }, { categoryName }) => categoryName(item.product?.category) },
+    { key: 'quantity', type: 'number', value: ({ item }) => item.quantity },
+    { key: 'unit', value: ({ item }, { language }) => mapUnitToLocalized(item.unit, language) },
+    { key: 'unitPrice', type: 'amount', value: ({ item }) => item.unitPrice },
+    { key: 'discount', type: 'amount', value: ({ item }) => item.discount },
+    { key: 'totalPrice', type: 'amount', value: ({ item }) => item.totalPrice },
+    { key: 'currency', value: ({ receipt, item }) => item.currency || receipt.currency }
+];
+
+function buildExportWhere(userId, { filters, q }, categories) {
+    const where = buildFilterWhere(userId, filters, categories);
+
+    // Same matching as Receipt.fullTextSearch
+    if (q) {
+        where[Op.and] = [
+            sequelize.literal(`search_vector @@ plainto_tsquery('english', ${sequelize.escape(q)})`)
+        ];
+    }
+
+    return where;
+}
+
+/**
+ * Receipts matching the export filters, loaded in batches
+ */
+async function* exportReceipts(where, { withItems, sortBy, sortOrder }) {
+    const include = withItems
+        ? [{
+            model: ReceiptItem,
+            as: 'items',
+            separate: true,
+            order: [['position', 'ASC']],
+            include: [{
+                model: Product,
+                as: 'product',
+                attributes: ['id', 'name', 'category', 'brand']
+            }]
+        }]
+        : [];
+
+    for (let offset = 0; ; offset += EXPORT_BATCH_SIZE) {
+        const receipts = await Receipt.findAll({
+            where,
+            attributes: { exclude: ['rawText', 'parsedData'] },
+            include,
+            // The id keeps pages stable when the sort field has ties
+            order: [[sortBy, sortOrder], ['id', 'ASC']],
+            limit: EXPORT_BATCH_SIZE,
+            offset
+        });
+
+        yield* receipts;
+
+        if (receipts.length < EXPORT_BATCH_SIZE) {
+            return;
+        }
+    }
+}
+
+// One record per receipt, or per receipt item
+async function* exportRecords(receipts, shape) {
+    for await (const receipt of receipts) {
+        if (shape === 'items') {
+            for (const item of receipt.items) {
+                yield { receipt, item };
+            }
+        } else {
+            yield { receipt };
+        }
+    }
+}
+
+function jsonValue(value, type) {
+    if (value === null || value === undefined) return null;
+    if (type === 'date') return formatDate(value);
+    if (type === 'amount' || type === 'number') return Number(value);
+    return value;
+}
+
+async function* jsonLinesStream(columns, rows) {
+    for await (const row of rows) {
+        const record = {};
+        columns.forEach((column, index) => {
+            record[column.key] = jsonValue(row[index], column.type);
+        });
+        yield JSON.stringify(record) + '\n';
+    }
+}
+
+/**
+ * Streamed export of the receipts matching the same filters as the receipt list
+ * and full-text search.
+ *
+ * @param {string} userId
+ * @param {Object} options
+ * @param {Object} options.filters - category, merchant, dateFrom, dateTo, minAmount, maxAmount, tags,
+ *   isBusiness, project, client, costCenter
+ * @param {string} options.q - Full-text search query
+ * @param {string} options.format - csv, xlsx, jsonl, ledger, beancount, qif or ynab
+ * @param {string} options.shape - receipts or items
+ * @param {string} options.language - Language of category and unit names
+ * @param {Function} options.t - Translates column headers (req.t)
+ * @returns {Promise<{filename: string, contentType: string, stream: AsyncIterable<string|Buffer>}>}
+ */
+export async function createReceiptExport(userId, {
+    filters = {},
+    q,
+    format = 'csv',
+    shape = 'receipts',
+    sortBy = 'purchaseDate',
+    sortOrder,
+    delimiter = ',',
+    language = 'en',
+    t
+}) {
+    const categories = await getUserCategories(userId);
+    const where = buildExportWhere(userId, { filters, q }, categories);
+    const baseName = shape === 'items' ? 'receipt-items' : 'receipts';
+    const filename = `${baseName}-${new Date().toISOString().slice(0, 10)}.${FILE_EXTENSIONS[format]}`;
+
+    if (ACCOUNTING_FORMATS.includes(format)) {
+        // Journals read best in date order
+        const receipts = exportReceipts(where, { withItems: shape === 'items', sortBy, sortOrder: sortOrder || 'ASC' });
+        const accounts = await getExportAccounts(userId);
+
+        return {
+            filename,
+            contentType: CONTENT_TYPES[format],
+            stream: accountingStream(format, receipts, accounts, { splitItems: shape === 'items' })
+        };
+    }
+
+    const context = {
+        language,
+        // Category keys without a user category (e.g. legacy values) fall back to the built-in names
+        categoryName: key => key
+            ? describeCategory(categories, key, language)?.name || mapCategoryToLocalized(key, language)
+            : null
+    };
+
+    const columns = (shape === 'items' ? ITEM_COLUMNS : RECEIPT_COLUMNS).map(column => ({
+        ...column,
+        header: t(`export.columns.${column.key}`)
+    }));
+
+    const rows = (async function* () {
+        const receipts = exportReceipts(where, { withItems: shape === 'items', sortBy, sortOrder: sortOrder || 'DESC' });
+        for await (const record of exportRecords(receipts, shape)) {
+            yield columns.map(column => column.value(record, context));
+        }
+    })();
+
+    let stream;
+    if (format === 'xlsx') {
+        stream = xlsxStream(columns, rows, { sheetName: t(`export.sheet_${shape}`) });
+    } else if (format === 'jsonl') {
+        stream = jsonLinesStream(columns, rows);
+    } else {
+        stream = csvStream(columns, rows, { delimiter });
+    }
+
+    return {
+        filename,
+        contentType: CONTENT_TYPES[format],
+        stream
+    };
+}
+
+export default {
+    createReceiptExport
+};
@@ -1,14 +1,20 @@
 import Product, { normalizeProductName } from '../models/Product.js';
-import ReceiptItem from '../models/ReceiptItem.js';
+import ReceiptItem, { ITEM_TYPES } from '../models/ReceiptItem.js';
 import { log } from '../utils/logger.js';
 import { categorizeProduct } from '../services/categorizationService.js';
 import { mapUnitToInternal } from '../utils/categoryMapper.js';
+import { getUserCategories, categoriesFor, findCategory } from '../services/categoryService.js';
 import { Op } from 'sequelize';
 
 export async function processReceiptItems(receiptId, userId, items, currency = 'USD', transaction = null, locale = 'en') {
     const processedItems = [];
+    // Receipt item created for each line, by its index in items (discounts refer to it)
+    const itemsByIndex = new Map();
 
     try {
+        const categories = await getUserCategories(userId);
+        const productCategories = categoriesFor(categories, 'product');
+
         for (let i = 0; i < items.length; i++) {
             const item = items[i];
 
@@ -20,12 +26,42 @@ export async function processReceiptItems(receiptId, userId, items, currency = '
                 continue;
             }
 
+            // Deposits, discounts, fees, tips and taxes stay out of the product catalog
+            const itemType = ITEM_TYPES.includes(item.itemType) ? item.itemType : 'product';
+            if (itemType !== 'product') {
+                const receiptItem = await ReceiptItem.create({
+                    receiptId,
+                    productId: null,
+                    itemType,
+                    originalText: ((item.originalText || item.name || translatedName || '') + '').toUpperCase(),
+                    quantity: item.quantity || 1,
+                    unitPrice: item.unitPrice ?? item.totalPrice,
+                    totalPrice: item.totalPrice || ((item.unitPrice || 0) * (item.quantity || 1)),
+                    currency,
+                    unit: 'unit',
+                    position: item.position !== undefined ? item.position : i,
+                    confidence: calculateItemConfidence(item),
+                    rawData: {
+                        ocrText: item.originalText,
+                        extractedName: item.name,
+                        extractedPrice: item.unitPrice,
+                        extractedQuantity: item.quantity,
+                        appliesTo: item.appliesTo ?? null
+                    }
+                }, { transaction });
+
+                itemsByIndex.set(i, receiptItem);
+                processedItems.push({ receiptItem, product: null, wasNewProduct: false });
+                continue;
+            }
+
             // Prefer category provided by AI; fallback to categorizeProduct only if missing/invalid
-            const validCategories = ['food', 'beverages', 'cleaning', 'personal_care', 'pharmacy', 'transport', 'fuel', 'others'];
-            let productCategory = (typeof item.category === 'string') ? item.category.toLowerCase().trim() : null;
-            if (!validCategories.includes(productCategory)) {
+            let productCategory = (typeof item.category === 'string')
+                ? findCategory(productCategories, item.category)?.key || null
+                : null;
+            if (!productCategory) {
                 // Fallback categorization (1 call) only if category missing or invalid
-                productCategory = await categorizeProduct(translatedName, locale);
+                productCategory = await categorizeProduct(translatedName, locale, categories);
                 log.debug('Product category inferred via AI fallback', {
                     name: translatedName,
                     category: productCategory
@@ -80,9 +116,12 @@ export async function processReceiptItems(receiptId, userId, items, currency = '
                 }
             }, { transaction });
 
-            // Update product price statistics
-            await product.updatePriceStats(item.unitPrice);
+            // Update product price statistics (a returned item is not a price paid)
+            if (item.unitPrice > 0) {
+                await product.updatePriceStats(item.unitPrice);
+            }
 
+            itemsByIndex.set(i, receiptItem);
             processedItems.push({
                 receiptItem,
                 product,
@@ -100,6 +139,15 @@ export async function processReceiptItems(receiptId, userId, items, currency = '
             });
         }
 
+        // Discounts are attributed to the product line they reduce
+        for (let i = 0; i < items.length; i++) {
+            const discount = itemsByIndex.get(i);
+            const discounted = itemsByIndex.get(items[i].appliesTo);
+            if (discount?.itemType === 'discount' && discounted?.itemType === 'product') {
+                await discount.update({ discountedItemId: discounted.id }, { transaction });
+            }
+        }
+
         log.info('All receipt items processed', {
             receiptId,
             itemCount: items.length,
@@ -205,13 +253,15 @@ export async function mergeProducts(userId, primaryProductId, duplicateProductId
         });
 
         // Recalculate statistics for merged product
-        if (duplicateItems.length > 0) {
-            const prices = duplicateItems.map(item => parseFloat(item.unitPrice));
-            const purchaseCount = duplicateItems.length;
+        // Returned items are not prices paid
+        const pricedItems = duplicateItems.filter(item => parseFloat(item.unitPrice) > 0);
+        if (pricedItems.length > 0) {
+            const prices = pricedItems.map(item => parseFloat(item.unitPrice));
+            const purchaseCount = pricedItems.length;
             const averagePrice = prices.reduce((sum, price) => sum + price, 0) / prices.length;
             const lowestPrice = Math.min(...prices);
             const highestPrice = Math.max(...prices);
-            const lastItem = duplicateItems[duplicateItems.length - 1];
+            const lastItem = pricedItems[pricedItems.length - 1];
 
             await primaryProduct.update({
                 averagePrice,
@@ -0,0 +1,278 @@
+import { Op } from 'sequelize';
+import sequelize from '../config/db.js';
+import ReceiptRevision from '../models/ReceiptRevision.js';
+import ReceiptItem from '../models/ReceiptItem.js';
+import Product from '../models/Product.js';
+import { log } from '../utils/logger.js';
+
+// Fields tracked in the edit history
+export const RECEIPT_REVISION_FIELDS = [
+    'merchantName',
+    'purchaseDate',
+    'amount',
+    'receiptType',
+    'originalReceiptId',
+    'currency',
+    'category',
+    'notes',
+    'tags',
+    'paymentMethod',
+    'cardType',
+    'country',
+    'isBusiness',
+    'project',
+    'client',
+    'costCenter'
+];
+
+export const ITEM_REVISION_FIELDS = [
+    'originalText',
+    'quantity',
+    'unitPrice',
+    'totalPrice',
+    'unit',
+    'discount',
+    'tax',
+    'isVerified',
+    'notes',
+    'originalItemId'
+];
+
+const DECIMAL_FIELDS = ['amount', 'quantity', 'unitPrice', 'totalPrice', 'discount', 'tax'];
+
+function revisionFields(entityType) {
+    return entityType === 'item' ? ITEM_REVISION_FIELDS : RECEIPT_REVISION_FIELDS;
+}
+
+// JSON-safe value as stored in a revision (decimals as numbers, dates as ISO strings)
+function revisionValue(field, value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    if (DECIMAL_FIELDS.includes(field)) {
+        return Number(value);
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    return value;
+}
+
+/**
+ * Tracked field values of a receipt or item, taken before changing it
+ */
+export function snapshotRevisionFields(entity, entityType = 'receipt') {
+    const snapshot = {};
+    for (const field of revisionFields(entityType)) {
+        snapshot[field] = revisionValue(field, entity[field]);
+    }
+    return snapshot;
+}
+
+function diffSnapshots(before, after) {
+    const changes = {};
+    for (const field of Object.keys(after)) {
+        const from = before[field] ?? null;
+        const to = after[field];
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes[field] = { from, to };
+        }
+    }
+    return changes;
+}
+
+/**
+ * Record the fields of a receipt or item that changed since the `before` snapshot.
+ * Nothing is recorded when no tracked field changed.
+ */
+export async function recordRevision({
+    receiptId,
+    userId,
+    entityType = 'receipt',
+    entity,
+    before,
+    source,
+    actorId = null,
+    action = 'update',
+    revertedToId = null
+}, { transaction } = {}) {
+    const changes = diffSnapshots(before, snapshotRevisionFields(entity, entityType));
+
+    if (Object.keys(changes).length === 0) {
+        return null;
+    }
+
+    return await ReceiptRevision.create({
+        receiptId,
+        userId,
+        entityType,
+        entityId: entity.id,
+        actorId,
+        source,
+        action,
+        changes,
+        revertedToId
+    }, { transaction });
+}
+
+/**
+ * Record the initial values of a new receipt and its items, e.g. what the AI extracted.
+ * With includeReceipt false only the items are recorded (items added to an existing receipt).
+ */
+export async function recordCreation({
+    receipt,
+    items = [],
+    source,
+    actorId = null,
+    includeReceipt = true
+}, { transaction } = {}) {
+    const initialChanges = (entity, entityType) => {
+        const snapshot = snapshotRevisionFields(entity, entityType);
+        return Object.fromEntries(
+            Object.entries(snapshot)
+                .filter(([, value]) => value !== null)
+                .map(([field, value]) => [field, { from: null, to: value }])
+        );
+    };
+
+    const rows = [
+        ...(includeReceipt ? [{ entity: receipt, entityType: 'receipt' }] : []),
+        ...items.map(item => ({ entity: item, entityType: 'item' }))
+    ].map(({ entity, entityType }) => ({
+        receiptId: receipt.id,
+        userId: receipt.userId,
+        entityType,
+        entityId: entity.id,
+        actorId,
+        source,
+        action: 'create',
+        changes: initialChanges(entity, entityType)
+    }));
+
+    return await ReceiptRevision.bulkCreate(rows, { transaction });
+}
+
+/**
+ * Edit history of a receipt and its items, newest first
+ */
+export async function getReceiptHistory(receiptId, { limit = 50, offset = 0 } = {}) {
+    const { rows, count } = await ReceiptRevision.findForReceipt(receiptId, { limit, offset });
+    return { revisions: rows, total: count };
+}
+
+/**
+ * Whether someone changed, added or deleted an item of a receipt by hand (a revision
+ * with an actor), as opposed to items only ever written by extraction
+ */
+export async function hasManualItemChanges(receiptId, { transaction } = {}) {
+    const count = await ReceiptRevision.count({
+        where: { receiptId, entityType: 'item', actorId: { [Op.ne]: null } },
+        transaction
+    });
+    return count > 0;
+}
+
+/**
+ * Restore a receipt and its items to their state right after a revision.
+ *
+ * Every field changed by a later revision gets back the value it had before the
+ * first of those changes. Items added after the revision are kept. The revert is
+ * itself recorded, so it can be undone like any other change.
+ *
+ * Resolves with null when the revision does not belong to the receipt.
+ */
+export async function revertToRevision(receipt, revisionId, { actorId = null } = {}) {
+    const target = await ReceiptRevision.findOne({
+        where: { id: revisionId, receiptId: receipt.id }
+    });
+
+    if (!target) {
+        return null;
+    }
+
+    return await sequelize.transaction(async (transaction) => {
+        const laterRevisions = await ReceiptRevision.findAll({
+            where: { receiptId: receipt.id, id: { [Op.gt]: target.id } },
+            order: [['id', 'ASC']],
+            transaction
+        });
+
+        // Value of each field before its first change after the target
+        const restores = new Map();
+        for (const revision of laterRevisions) {
+            if (revision.action === 'create') continue;
+
+            const key = `${revision.entityType}:${revision.entityId}`;
+            if (!restores.has(key)) {
+                restores.set(key, { entityType: revision.entityType, entityId: revision.entityId, values: {} });
+            }
+
+            const { values } = restores.get(key);
+            for (const [field, { from }] of Object.entries(revision.changes)) {
+                if (!(field in values)) {
+                    values[field] = from;
+                }
+            }
+        }
+
+        const revisions = [];
+        const productIds = new Set();
+
+        for (const { entityType, entityId, values } of restores.values()) {
+            const entity = entityType === 'receipt'
+                ? receipt
+                : await ReceiptItem.findOne({ where: { id: entityId, receiptId: receipt.id }, transaction });
+
+            // Items deleted since the revision cannot be restored
+            if (!entity) continue;
+
+            const before = snapshotRevisionFields(entity, entityType);
+            await entity.update(values, { transaction });
+
+            const revision = await recordRevision({
+                receiptId: receipt.id,
+                userId: receipt.userId,
+                entityType,
+                entity,
+                before,
+                source: 'user',
+                actorId,
+                action: 'revert',
+                revertedToId: target.id
+            }, { transaction });
+
+            if (revision) {
+                revisions.push(revision);
+                if (entityType === 'item' && 'unitPrice' in revision.changes) {
+                    productIds.add(entity.productId);
+                }
+            }
+        }
+
+        // Price statistics were built from the prices being reverted
+        for (const productId of productIds) {
+            const product = await Product.findByPk(productId, { transaction });
+            if (product) {
+                await product.recalculatePriceStats({ transaction });
+            }
+        }
+
+        log.info('Receipt reverted to revision', {
+            receiptId: receipt.id,
+            revisionId: target.id,
+            revertedChanges: revisions.length,
+            productsRecalculated: productIds.size
+        });
+
+        return { revision: target, revisions, productIds: [...productIds] };
+    });
+}
+
+export default {
+    snapshotRevisionFields,
+    recordRevision,
+    recordCreation,
+    getReceiptHistory,
+    hasManualItemChanges,
+    revertToRevision
+};
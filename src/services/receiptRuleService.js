@@ -0,0 +1,382 @@
+import { Op } from 'sequelize';
+import sequelize from '../config/db.js';
+import ReceiptRule from '../models/ReceiptRule.js';
+import Receipt from '../models/Receipt.js';
+import ReceiptItem from '../models/ReceiptItem.js';
+import Product from '../models/Product.js';
+import { snapshotRevisionFields, recordRevision } from './receiptRevisionService.js';
+import { resolveCategoryKey } from './categoryService.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+import { log } from '../utils/logger.js';
+
+export const MAX_RULES_PER_USER = 200;
+
+// Receipts loaded per query when scanning a user's history
+const RULE_SCAN_BATCH = 500;
+
+// Matches shown by a dry run
+const DRY_RUN_SAMPLE_LIMIT = 50;
+
+function includesText(value, text) {
+    return typeof value === 'string' && value.toLowerCase().includes(text.toLowerCase());
+}
+
+/**
+ * Whether a receipt matches every condition of a rule. itemTexts are the item
+ * lines of the receipt (original text and product names).
+ */
+export function matchesRule(conditions, receipt, itemTexts = []) {
+    const {
+        merchant,
+        minAmount,
+        maxAmount,
+        paymentMethods,
+        weekdays,
+        itemText,
+        countries
+    } = conditions;
+
+    if (merchant && !includesText(receipt.merchantName, merchant)) {
+        return false;
+    }
+
+    const amount = receipt.amount === null || receipt.amount === undefined ? null : Number(receipt.amount);
+    if (minAmount !== undefined && (amount === null || amount < minAmount)) {
+        return false;
+    }
+    if (maxAmount !== undefined && (amount === null || amount > maxAmount)) {
+        return false;
+    }
+
+    if (paymentMethods?.length && !paymentMethods.includes(receipt.paymentMethod)) {
+        return false;
+    }
+
+    if (weekdays?.length) {
+        if (!receipt.purchaseDate) return false;
+        // Purchase dates are stored as midnight UTC of the purchase day
+        if (!weekdays.includes(new Date(receipt.purchaseDate).getUTCDay())) return false;
+    }
+
+    if (itemText && !itemTexts.some(text => includesText(text, itemText))) {
+        return false;
+    }
+
+    if (countries?.length && !countries.includes(receipt.country)) {
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Receipt field updates of a rule's actions. Tags are added to the existing ones.
+ */
+export function ruleUpdates(actions, receipt) {
+    const updates = {};
+
+    if (actions.category) {
+        updates.category = actions.category;
+    }
+    if (actions.addTags?.length) {
+        updates.tags = [...new Set([...(receipt.tags || []), ...actions.addTags])];
+    }
+    if (actions.notes !== undefined) {
+        updates.notes = actions.notes;
+    }
+    if (actions.isBusiness !== undefined) {
+        updates.isBusiness = actions.isBusiness;
+    }
+
+    return updates;
+}
+
+// Only the fields that would actually change, as { field: { from, to } }
+function changedFields(receipt, updates) {
+    const changes = {};
+    for (const [field, to] of Object.entries(updates)) {
+        const from = receipt[field] ?? null;
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes[field] = { from, to };
+        }
+    }
+    return changes;
+}
+
+function itemTextsOf(receipt) {
+    return (receipt.items || []).flatMap(item => [item.originalText, item.product?.name]).filter(Boolean);
+}
+
+/**
+ * Run the user's active rules on a receipt, in priority order. Each rule sees the
+ * changes of the rules before it; a rule with stopProcessing ends the run when it
+ * matches. The combined change is recorded in the edit history with source "rule".
+ *
+ * Resolves with { rules, changes } or null when no rule changed anything.
+ */
+export async function applyRulesToReceipt(receipt, { itemTexts = [], transaction } = {}) {
+    const rules = await ReceiptRule.findActiveForUser(receipt.userId, { transaction });
+    if (rules.length === 0) {
+        return null;
+    }
+
+    const updates = {};
+    const matched = [];
+
+    for (const rule of rules) {
+        const current = { ...receipt.get(), ...updates };
+        if (!matchesRule(rule.conditions, current, itemTexts)) continue;
+
+        Object.assign(updates, ruleUpdates(rule.actions, current));
+        matched.push(rule.id);
+
+        if (rule.stopProcessing) break;
+    }
+
+    if (matched.length === 0) {
+        return null;
+    }
+
+    await ReceiptRule.update({
+        matchCount: sequelize.literal('match_count + 1'),
+        lastMatchedAt: new Date()
+    }, { where: { id: { [Op.in]: matched } }, transaction });
+
+    const before = snapshotRevisionFields(receipt);
+    await receipt.update(updates, { transaction });
+
+    const revision = await recordRevision({
+        receiptId: receipt.id,
+        userId: receipt.userId,
+        entity: receipt,
+        before,
+        source: 'rule'
+    }, { transaction });
+
+    if (!revision) {
+        return null;
+    }
+
+    log.info('Receipt rules applied', {
+        receiptId: receipt.id,
+        rules: matched,
+        changedFields: Object.keys(revision.changes)
+    });
+
+    return { rules: matched, changes: revision.changes };
+}
+
+// Database prefilter for the conditions SQL can check; matchesRule decides the rest
+function ruleWhere(userId, conditions) {
+    const where = { userId };
+
+    if (conditions.merchant) {
+        where.merchantName = { [Op.iLike]: `%${conditions.merchant}%` };
+    }
+    if (conditions.minAmount !== undefined || conditions.maxAmount !== undefined) {
+        where.amount = {};
+        if (conditions.minAmount !== undefined) {
+            where.amount[Op.gte] = conditions.minAmount;
+        }
+        if (conditions.maxAmount !== undefined) {
+            where.amount[Op.lte] = conditions.maxAmount;
+        }
+    }
+    if (conditions.paymentMethods?.length) {
+        where.paymentMethod = { [Op.in]: conditions.paymentMethods };
+    }
+    if (conditions.countries?.length) {
+        where.country = { [Op.in]: conditions.countries };
+    }
+
+    return where;
+}
+
+// Call onMatch for each of the user's receipts matching the conditions, newest first
+async function scanMatchingReceipts(userId, conditions, onMatch) {
+    const include = conditions.itemText
+        ? [{
+            model: ReceiptItem,
+            as: 'items',
+            attributes: ['id', 'originalText'],
+            include: [{ model: Product, as: 'product', attributes: ['id', 'name'] }]
+        }]
+        : [];
+
+    for (let offset = 0; ; offset += RULE_SCAN_BATCH) {
+        const receipts = await Receipt.findAll({
+            where: ruleWhere(userId, conditions),
+            include,
+            order: [['purchaseDate', 'DESC'], ['id', 'ASC']],
+            limit: RULE_SCAN_BATCH,
+            offset
+        });
+
+        for (const receipt of receipts) {
+            if (matchesRule(conditions, receipt, itemTextsOf(receipt))) {
+                await onMatch(receipt);
+            }
+        }
+
+        if (receipts.length < RULE_SCAN_BATCH) return;
+    }
+}
+
+/**
+ * What a rule would do to the user's existing receipts, without changing them
+ */
+export async function dryRunRule(userId, { conditions, actions }, { limit = DRY_RUN_SAMPLE_LIMIT } = {}) {
+    let matched = 0;
+    let wouldChange = 0;
+    const receipts = [];
+
+    await scanMatchingReceipts(userId, conditions, async (receipt) => {
+        matched++;
+        const changes = changedFields(receipt, ruleUpdates(actions, receipt));
+        if (Object.keys(changes).length === 0) return;
+
+        wouldChange++;
+        if (receipts.length < limit) {
+            receipts.push({
+                id: receipt.id,
+                merchantName: receipt.merchantName,
+                purchaseDate: receipt.purchaseDate,
+                amount: receipt.amount,
+                currency: receipt.currency,
+                changes
+            });
+        }
+    });
+
+    return { matched, wouldChange, receipts };
+}
+
+/**
+ * Ids of the user's receipts a rule matches (for applying it retroactively)
+ */
+export async function findRuleReceiptIds(userId, conditions) {
+    const ids = [];
+    await scanMatchingReceipts(userId, conditions, async (receipt) => {
+        ids.push(receipt.id);
+    });
+    return ids;
+}
+
+/**
+ * Validate and normalize rule conditions and actions: the category becomes the
+ * user's category key, texts are trimmed and country codes upper-cased.
+ */
+export async function normalizeRuleDefinition(userId, { conditions, actions }) {
+    const normalized = { conditions: undefined, actions: undefined };
+
+    if (conditions !== undefined) {
+        normalized.conditions = { ...conditions };
+        for (const field of ['merchant', 'itemText']) {
+            if (typeof normalized.conditions[field] === 'string') {
+                normalized.conditions[field] = normalized.conditions[field].trim();
+            }
+        }
+        if (normalized.conditions.countries) {
+            normalized.conditions.countries = normalized.conditions.countries.map(country => country.toUpperCase());
+        }
+        const { minAmount, maxAmount } = normalized.conditions;
+        if (minAmount !== undefined && maxAmount !== undefined && minAmount > maxAmount) {
+            throw new ValidationError('minAmount cannot be greater than maxAmount');
+        }
+    }
+
+    if (actions !== undefined) {
+        normalized.actions = { ...actions };
+        if (actions.category) {
+            const category = await resolveCategoryKey(userId, actions.category, { use: 'receipt' });
+            if (!category) {
+                throw new ValidationError(`Unknown category: ${actions.category}`);
+            }
+            normalized.actions.category = category;
+        }
+        if (actions.addTags) {
+            normalized.actions.addTags = [...new Set(actions.addTags.map(tag => tag.trim()).filter(Boolean))];
+        }
+    }
+
+    return normalized;
+}
+
+export async function getRules(userId) {
+    return await ReceiptRule.findAll({
+        where: { userId },
+        order: [['priority', 'ASC'], ['createdAt', 'ASC']]
+    });
+}
+
+export async function getRule(userId, ruleId) {
+    const rule = await ReceiptRule.findOne({ where: { id: ruleId, userId } });
+    if (!rule) {
+        throw new NotFoundError('Rule');
+    }
+    return rule;
+}
+
+export async function createRule(userId, data) {
+    const count = await ReceiptRule.count({ where: { userId } });
+    if (count >= MAX_RULES_PER_USER) {
+        throw new ValidationError(`You can create up to ${MAX_RULES_PER_USER} rules`);
+    }
+
+    const { conditions, actions } = await normalizeRuleDefinition(userId, data);
+
+    const rule = await ReceiptRule.create({
+        userId,
+        name: data.name,
+        isActive: data.isActive ?? true,
+        priority: data.priority ?? 100,
+        conditions,
+        actions,
+        stopProcessing: data.stopProcessing ?? false
+    });
+
+    log.info('Receipt rule created', { userId, ruleId: rule.id });
+
+    return rule;
+}
+
+export async function updateRule(userId, ruleId, data) {
+    const rule = await getRule(userId, ruleId);
+    const { conditions, actions } = await normalizeRuleDefinition(userId, data);
+
+    const updates = {};
+    ['name', 'isActive', 'priority', 'stopProcessing'].forEach(field => {
+        if (data[field] !== undefined) {
+            updates[field] = data[field];
+        }
+    });
+    if (conditions !== undefined) updates.conditions = conditions;
+    if (actions !== undefined) updates.actions = actions;
+
+    await rule.update(updates);
+
+    log.info('Receipt rule updated', { userId, ruleId, changes: Object.keys(updates) });
+
+    return rule;
+}
+
+export async function deleteRule(userId, ruleId) {
+    const rule = await getRule(userId, ruleId);
+    await rule.destroy();
+
+    log.info('Receipt rule deleted', { userId, ruleId });
+}
+
+export default {
+    matchesRule,
+    ruleUpdates,
+    applyRulesToReceipt,
+    dryRunRule,
+    findRuleReceiptIds,
+    normalizeRuleDefinition,
+    getRules,
+    getRule,
+    createRule,
+    updateRule,
+    deleteRule
+};
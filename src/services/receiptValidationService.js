@@ -16,6 +16,57 @@ const TOLERANCES = {
     maxDiscountRate: 0.90,        // Descuento no debería ser más del 90%
 };
 
+// Tipos de recibo que devuelven dinero: importes negativos (ver Receipt.RECEIPT_TYPES)
+const REFUND_TYPES = ['refund', 'credit_note'];
+
+// Tipos de línea (ver ReceiptItem.ITEM_TYPES): solo los productos van al catálogo de productos
+const ITEM_TYPES = ['product', 'deposit', 'deposit_return', 'discount', 'fee', 'tip', 'tax'];
+
+// Líneas que restan del total de una compra; el resto de líneas que no son productos suman
+const NEGATIVE_ITEM_TYPES = ['discount', 'deposit_return'];
+
+// Palabras clave por tipo, para líneas sin tipo de la IA (el orden importa: la devolución de envases antes que el envase)
+const ITEM_TYPE_PATTERNS = [
+    ['deposit_return', /\b(leeggoed|pfandr.ckgabe|pfand\s*retour|statiegeld\s*retour|deposit\s*(return|refund)|bottle\s*return|devoluci.n\s*envases?)\b/i],
+    ['deposit', /\b(statiegeld|pfand|deposit|consigne|dep.sito\s*envases?)\b/i],
+    ['discount', /\b(korting|discount|descuento|dto|dcto|rabatt|remise|voordeel|coupon|cup.n|savings)\b/i],
+    ['tip', /\b(gratuity|fooi|propina|trinkgeld|pourboire)\b/i],
+    ['fee', /\b(draagtas|plastic\s*bag|carrier\s*bag|service\s*charge|servicekosten|bezorgkosten|delivery\s*fee|toeslag|surcharge)\b/i]
+];
+
+/**
+ * Clasifica una línea del recibo (tipo indicado por la IA o palabras clave).
+ * Un envase con importe negativo es una devolución de envase.
+ */
+export function classifyItemType(item) {
+    let itemType = ITEM_TYPES.includes(item?.itemType) ? item.itemType : null;
+    if (!itemType) {
+        const text = `${item?.originalText || ''} ${item?.name || ''}`;
+        itemType = ITEM_TYPE_PATTERNS.find(([, pattern]) => pattern.test(text))?.[0] || 'product';
+    }
+    if (itemType === 'deposit' && (item.totalPrice < 0 || item.unitPrice < 0)) {
+        itemType = 'deposit_return';
+    }
+    return itemType;
+}
+
+/**
+ * Detecta si el recibo es una compra, un reembolso o una nota de crédito
+ * (tipo indicado por la IA, total negativo o todas las líneas negativas)
+ */
+export function detectReceiptType(data) {
+    if (REFUND_TYPES.includes(data?.receiptType)) return data.receiptType;
+
+    if (parseFloat(data?.totals?.total) < 0) return 'refund';
+
+    const linePrices = (data?.items || [])
+        .map(item => parseFloat(item.totalPrice ?? item.unitPrice))
+        .filter(price => !isNaN(price));
+    if (linePrices.length > 0 && linePrices.every(price => price < 0)) return 'refund';
+
+    return 'purchase';
+}
+
 /**
  * Valida y corrige los datos extraídos de un recibo
  */
@@ -31,6 +82,24 @@ export function validateAndCorrectReceiptData(data) {
     const validated = JSON.parse(JSON.stringify(data));
     const anomalies = [];
 
+    // Un reembolso se valida como una compra (importes positivos) y se restaura el signo al final
+    validated.receiptType = detectReceiptType(data);
+    const isRefund = REFUND_TYPES.includes(validated.receiptType);
+
+    // Clasificar las líneas: envases, descuentos, recargos, propinas e impuestos no son productos
+    if (validated.items && validated.items.length > 0) {
+        validated.items = validated.items.map(item => ({ ...item, itemType: classifyItemType(item) }));
+    }
+
+    if (isRefund) {
+        toPurchaseAmounts(validated);
+    }
+
+    if (validated.items && validated.items.length > 0) {
+        normalizeLineSigns(validated.items);
+        attributeDiscounts(validated.items);
+    }
+
     // 0. Normalizar fecha de compra si es ambigua
     try {
         const normalized = resolvePurchaseDate(
@@ -50,6 +119,14 @@ export function validateAndCorrectReceiptData(data) {
         }
     } catch {}
 
+    // 0b. El código QR fiscal prevalece sobre lo leído por la IA (total, fecha, NIF del emisor e IVA)
+    let fiscalTotals = {};
+    if (validated.fiscalQr) {
+        const fiscalValidation = applyFiscalQr(validated, validated.fiscalQr);
+        fiscalTotals = fiscalValidation.fiscalTotals;
+        anomalies.push(...fiscalValidation.anomalies);
+    }
+
     // 1. Validar productos individuales
     if (validated.items && validated.items.length > 0) {
         const productValidation = validateProducts(validated.items);
@@ -63,7 +140,8 @@ export function validateAndCorrectReceiptData(data) {
             validated.items || [],
             validated.totals || {}
         );
-        validated.totals = totalsValidation.correctedTotals;
+        // Los totales del QR fiscal no se recalculan
+        validated.totals = { ...totalsValidation.correctedTotals, ...fiscalTotals };
         anomalies.push(...totalsValidation.anomalies);
     }
 
@@ -71,6 +149,10 @@ export function validateAndCorrectReceiptData(data) {
     const crossValidation = performCrossValidation(validated);
     anomalies.push(...crossValidation.anomalies);
 
+    if (isRefund) {
+        toRefundAmounts(validated);
+    }
+
     // Agregar información de validación
     validated.validation = {
         performed: true,
@@ -157,6 +239,92 @@ function resolvePurchaseDate(purchaseDateISO, purchaseDateRaw, country, currency
     return out;
 }
 
+// ======================= QR FISCAL =======================
+const sameAmount = (a, b) => typeof a === 'number' && typeof b === 'number' && Math.abs(a - b) < 0.01;
+const round2 = (value) => Math.round(value * 100) / 100;
+
+function sameVatInfo(a, b) {
+    const rates = Object.keys(b);
+    return Boolean(a) && Object.keys(a).length === rates.length
+        && rates.every(rate => sameAmount(a[rate]?.amount, b[rate].amount));
+}
+
+/**
+ * Aplica los datos del código QR fiscal (TicketBAI, ATCUD, NFC-e...; ver fiscalQrService):
+ * son los declarados por el emisor a la administración tributaria, así que sustituyen a los
+ * leídos por la IA. Cada valor corregido queda como anomalía 'fiscal_qr_correction'.
+ * Los importes se aplican en positivo (un reembolso se valida como una compra).
+ * Devuelve también los totales del QR, que la validación de totales no debe cambiar.
+ */
+export function applyFiscalQr(data, fiscalQr) {
+    const anomalies = [];
+    const fiscalTotals = {};
+    const correct = (field, extracted, fiscal) => {
+        anomalies.push({
+            type: 'fiscal_qr_correction',
+            field,
+            extracted: extracted ?? null,
+            fiscal,
+            message: `${field} corregido según el QR fiscal (${fiscalQr.format}): ${extracted ?? '-'} -> ${fiscal}`
+        });
+    };
+
+    data.totals = data.totals || {};
+
+    if (typeof fiscalQr.total === 'number') {
+        const total = Math.abs(fiscalQr.total);
+        if (!sameAmount(data.totals.total, total)) correct('total', data.totals.total, total);
+        fiscalTotals.total = total;
+    }
+
+    if (typeof fiscalQr.vatTotal === 'number') {
+        const tax = Math.abs(fiscalQr.vatTotal);
+        if (!sameAmount(data.totals.tax, tax)) correct('tax', data.totals.tax, tax);
+        fiscalTotals.tax = tax;
+        if (typeof fiscalTotals.total === 'number') {
+            fiscalTotals.subtotal = round2(fiscalTotals.total - tax);
+        }
+    }
+    Object.assign(data.totals, fiscalTotals);
+
+    if (fiscalQr.vat && Object.keys(fiscalQr.vat).length > 0) {
+        const vatInfo = Object.fromEntries(Object.entries(fiscalQr.vat).map(([rate, { amount, base }]) =>
+            [rate, { amount: Math.abs(amount), base: Math.abs(base) }]));
+        if (!sameVatInfo(data.vatInfo, vatInfo)) correct('vatInfo', JSON.stringify(data.vatInfo || null), JSON.stringify(vatInfo));
+        data.vatInfo = vatInfo;
+    }
+
+    if (fiscalQr.date && !String(data.purchaseDate || '').startsWith(fiscalQr.date)) {
+        correct('purchaseDate', data.purchaseDate, fiscalQr.date);
+        // El QR solo tiene el día: se conserva la hora leída
+        const time = String(data.purchaseDate || '').match(/[T ]\d{1,2}:\d{2}.*$/)?.[0] || '';
+        data.purchaseDate = fiscalQr.date + time;
+        data.dateResolution = {
+            method: 'fiscal_qr',
+            raw: data.purchaseDateRaw || null,
+            country: fiscalQr.country
+        };
+    }
+
+    if (fiscalQr.issuerTaxId) {
+        if (data.merchantTaxId && data.merchantTaxId !== fiscalQr.issuerTaxId) {
+            correct('merchantTaxId', data.merchantTaxId, fiscalQr.issuerTaxId);
+        }
+        data.merchantTaxId = fiscalQr.issuerTaxId;
+    }
+
+    if (fiscalQr.currency && data.currency !== fiscalQr.currency) {
+        correct('currency', data.currency, fiscalQr.currency);
+        data.currency = fiscalQr.currency;
+    }
+
+    if (fiscalQr.country) {
+        data.country = fiscalQr.country;
+    }
+
+    return { anomalies, fiscalTotals };
+}
+
 /**
  * Valida productos individuales
  */
@@ -164,8 +332,11 @@ function validateProducts(items) {
     const anomalies = [];
     const correctedItems = [];
 
-    // Calcular estadísticas para detección de outliers
-    const prices = items.map(item => item.totalPrice || item.unitPrice || 0).filter(p => p > 0);
+    // Calcular estadísticas para detección de outliers (solo productos)
+    const prices = items
+        .filter(item => item.itemType === 'product' || !item.itemType)
+        .map(item => item.totalPrice || item.unitPrice || 0)
+        .filter(p => p > 0);
     const avgPrice = prices.length > 0 ? prices.reduce((a, b) => a + b, 0) / prices.length : 0;
     const medianPrice = getMedian(prices);
 
@@ -173,8 +344,12 @@ function validateProducts(items) {
         let correctedItem = { ...item };
         const itemAnomalies = [];
 
+        // Una línea devuelta (negativa) o que no es un producto no es un precio pagado: no se valida su precio
+        const isReturnLine = correctedItem.unitPrice < 0 || correctedItem.totalPrice < 0;
+        const isProductLine = !correctedItem.itemType || correctedItem.itemType === 'product';
+
         // Validar precio unitario
-        if (correctedItem.unitPrice !== undefined) {
+        if (correctedItem.unitPrice !== undefined && !isReturnLine && isProductLine) {
             if (correctedItem.unitPrice < TOLERANCES.minPrice) {
                 itemAnomalies.push({
                     type: 'price_too_low',
@@ -201,7 +376,7 @@ function validateProducts(items) {
         // Validar precio total
         if (correctedItem.totalPrice !== undefined) {
             // Verificar si es outlier extremo
-            if (avgPrice > 0 && correctedItem.totalPrice > avgPrice * TOLERANCES.maxPriceRatio) {
+            if (isProductLine && avgPrice > 0 && correctedItem.totalPrice > avgPrice * TOLERANCES.maxPriceRatio) {
                 itemAnomalies.push({
                     type: 'price_outlier',
                     field: 'totalPrice',
@@ -215,7 +390,7 @@ function validateProducts(items) {
             if (correctedItem.quantity && correctedItem.unitPrice) {
                 const expectedTotal = correctedItem.quantity * correctedItem.unitPrice;
                 const difference = Math.abs(expectedTotal - correctedItem.totalPrice);
-                const tolerance = expectedTotal * 0.02; // 2% tolerancia
+                const tolerance = Math.abs(expectedTotal) * 0.02; // 2% tolerancia
 
                 if (difference > tolerance) {
                     itemAnomalies.push({
@@ -390,8 +565,9 @@ function validateTotals(items, totals) {
 function performCrossValidation(data) {
     const anomalies = [];
 
-    // El total no puede ser menor que cualquier producto individual
-    if (data.totals?.total && data.items?.length > 0) {
+    // El total no puede ser menor que cualquier producto individual (salvo si hay líneas devueltas)
+    const hasReturnLines = data.items?.some(i => i.totalPrice < 0);
+    if (data.totals?.total && data.items?.length > 0 && !hasReturnLines) {
         const maxItemPrice = Math.max(...data.items.map(i => i.totalPrice || 0));
         if (data.totals.total < maxItemPrice) {
             anomalies.push({
@@ -418,6 +594,84 @@ function performCrossValidation(data) {
     return { anomalies };
 }
 
+/**
+ * Pasa un reembolso a importes de compra: totales positivos y líneas con el signo invertido
+ * (si ninguna línea es negativa, todas se tratan como devueltas)
+ */
+function toPurchaseAmounts(data) {
+    const totals = data.totals || {};
+    for (const field of ['subtotal', 'tax', 'total', 'discount']) {
+        if (typeof totals[field] === 'number') totals[field] = Math.abs(totals[field]);
+    }
+
+    const items = data.items || [];
+    const productLines = items.filter(item => !item.itemType || item.itemType === 'product');
+    if (productLines.some(item => item.unitPrice < 0 || item.totalPrice < 0)) {
+        for (const item of items) {
+            if (typeof item.unitPrice === 'number') item.unitPrice = -item.unitPrice;
+            if (typeof item.totalPrice === 'number') item.totalPrice = -item.totalPrice;
+        }
+    }
+}
+
+/**
+ * Restaura el signo de un reembolso: totales, líneas e IVA negativos (el descuento sigue positivo)
+ */
+function toRefundAmounts(data) {
+    const totals = data.totals || {};
+    for (const field of ['subtotal', 'tax', 'total', 'calculatedTotal']) {
+        if (typeof totals[field] === 'number') totals[field] = -Math.abs(totals[field]);
+    }
+
+    for (const item of data.items || []) {
+        if (typeof item.unitPrice === 'number') item.unitPrice = -item.unitPrice;
+        if (typeof item.totalPrice === 'number') item.totalPrice = -item.totalPrice;
+    }
+
+    if (data.vatInfo && typeof data.vatInfo === 'object') {
+        for (const rate of Object.values(data.vatInfo)) {
+            if (typeof rate?.amount === 'number') rate.amount = -Math.abs(rate.amount);
+            if (typeof rate?.base === 'number') rate.base = -Math.abs(rate.base);
+        }
+    }
+}
+
+/**
+ * Signo de las líneas que no son productos en una compra: descuentos y devoluciones de envases
+ * restan, envases, recargos, propinas e impuestos suman
+ */
+function normalizeLineSigns(items) {
+    for (const item of items) {
+        if (!item.itemType || item.itemType === 'product') continue;
+        const sign = NEGATIVE_ITEM_TYPES.includes(item.itemType) ? -1 : 1;
+        if (typeof item.unitPrice === 'number') item.unitPrice = sign * Math.abs(item.unitPrice);
+        if (typeof item.totalPrice === 'number') item.totalPrice = sign * Math.abs(item.totalPrice);
+    }
+}
+
+/**
+ * Asigna cada descuento a la línea de producto que reduce (appliesTo, índice en items):
+ * la indicada por la IA o, si no la indica, el producto anterior más cercano
+ * (saltando envases, recargos y otros descuentos). null significa un descuento sobre todo el recibo.
+ */
+function attributeDiscounts(items) {
+    const isProductAt = index => Number.isInteger(index) && items[index]?.itemType === 'product';
+
+    items.forEach((item, index) => {
+        if (item.itemType !== 'discount') {
+            delete item.appliesTo;
+            return;
+        }
+        if (item.appliesTo === undefined) {
+            let previous = index - 1;
+            while (previous >= 0 && !isProductAt(previous)) previous--;
+            item.appliesTo = previous >= 0 ? previous : null;
+        } else if (!isProductAt(item.appliesTo)) {
+            item.appliesTo = null;
+        }
+    });
+}
+
 /**
  * Calcula mediana de un array
  */
@@ -444,7 +698,9 @@ function calculateConfidenceScore(anomalies) {
         'tax_too_high': 0.1,
         'price_mismatch': 0.1,
         'total_less_than_item': 0.4,
-        'suspiciously_low_average': 0.25
+        'suspiciously_low_average': 0.25,
+        // El valor corregido es el del QR fiscal: no resta confianza
+        'fiscal_qr_correction': 0
     };
 
     let score = 1.0;
@@ -453,7 +709,7 @@ function calculateConfidenceScore(anomalies) {
     for (const anomaly of anomalies) {
         const type = anomaly.type || (anomaly.issues && anomaly.issues[0]?.type);
         if (type && !processedTypes.has(type)) {
-            score -= (penalties[type] || 0.05);
+            score -= (penalties[type] ?? 0.05);
             processedTypes.add(type);
         }
     }
@@ -463,5 +719,8 @@ function calculateConfidenceScore(anomalies) {
 
 export default {
     validateAndCorrectReceiptData,
+    applyFiscalQr,
+    detectReceiptType,
+    classifyItemType,
     TOLERANCES
 };
@@ -0,0 +1,252 @@
+import { Op } from 'sequelize';
+import sequelize from '../config/db.js';
+import Receipt from '../models/Receipt.js';
+import ReceiptItem from '../models/ReceiptItem.js';
+import Budget from '../models/Budget.js';
+import SavedFilter from '../models/SavedFilter.js';
+import SyncTombstone from '../models/SyncTombstone.js';
+import { addSignedUrlsToReceipt } from '../utils/urlSigner.js';
+import { log } from '../utils/logger.js';
+
+export const DEFAULT_CHANGES_LIMIT = 200;
+export const MAX_CHANGES_LIMIT = 500;
+
+// Tombstones older than this are purged, so older cursors can no longer be resumed
+export const TOMBSTONE_RETENTION_DAYS = parseInt(process.env.SYNC_TOMBSTONE_RETENTION_DAYS) || 90;
+
+// Receipt fields a device may change through sync
+export const SYNCABLE_RECEIPT_FIELDS = [
+    'merchantName',
+    'category',
+    'amount',
+    'currency',
+    'purchaseDate',
+    'notes',
+    'tags',
+    'paymentMethod'
+];
+
+/**
+ * Encode an opaque sync cursor: the last change seen (writing transaction and change
+ * version) and when the cursor was issued
+ */
+export function encodeCursor({ txid, version }, issuedAt = Date.now()) {
+    return Buffer.from(JSON.stringify({ x: String(txid), v: String(version), t: issuedAt })).toString('base64url');
+}
+
+/**
+ * Decode a sync cursor. Returns null when the cursor is malformed.
+ * Cursors issued before changes recorded their transaction resume at transaction 0,
+ * which is where the rows written before then are.
+ */
+export function decodeCursor(cursor) {
+    if (!cursor) {
+        return { txid: 0n, version: 0n, issuedAt: null };
+    }
+
+    try {
+        const { x = '0', v, t } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!/^\d+$/.test(String(x)) || !/^\d+$/.test(String(v)) || !Number.isFinite(t)) {
+            return null;
+        }
+        return { txid: BigInt(x), version: BigInt(v), issuedAt: t };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Whether a cursor predates the tombstone retention window. Deletions before the
+ * window may have been purged, so such a device has to start over with a full sync.
+ */
+export function isCursorExpired(issuedAt) {
+    if (!issuedAt) return false;
+    return issuedAt < Date.now() - TOMBSTONE_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Receipt representation returned by sync (signed image URLs, no OCR text)
+ */
+export function serializeSyncReceipt(receipt) {
+    const { rawText, ...receiptJson } = receipt.toJSON();
+    return addSignedUrlsToReceipt(receiptJson, 3600);
+}
+
+// Order of changes: writing transaction, then version
+function compareChanges(a, b) {
+    if (a.txid !== b.txid) return a.txid < b.txid ? -1 : 1;
+    if (a.version !== b.version) return a.version < b.version ? -1 : 1;
+    return 0;
+}
+
+/**
+ * Oldest transaction still running. Every transaction before it has finished, so no
+ * change of those can still appear; changes of later transactions may commit in any order.
+ */
+async function oldestRunningTransaction() {
+    const [row] = await sequelize.query(
+        'SELECT txid_snapshot_xmin(txid_current_snapshot()) AS xmin',
+        { type: sequelize.QueryTypes.SELECT }
+    );
+    return BigInt(row.xmin);
+}
+
+// Rows after the cursor position, written by transactions that have finished
+function changedAfter(alias, position, xmin) {
+    return sequelize.literal(
+        `("${alias}"."sync_txid", "${alias}"."sync_version") > (${position.txid}, ${position.version}) ` +
+        `AND "${alias}"."sync_txid" < ${xmin}`
+    );
+}
+
+/**
+ * Collect everything that changed for a user after a cursor position, oldest first.
+ *
+ * Changes are ordered by writing transaction, then version. Only transactions older
+ * than the oldest one still running are read: a change of a running transaction is
+ * returned once it has committed, and can never end up behind a cursor already issued.
+ *
+ * Each entity type is read in that order with limit + 1 rows; merging the lists
+ * and keeping the first `limit` entries gives a consistent page, because any row not
+ * fetched comes after the last row kept.
+ */
+export async function getChangesSince(userId, position, limit = DEFAULT_CHANGES_LIMIT) {
+    // Read first: the transactions before it have finished when the rows are read
+    const xmin = await oldestRunningTransaction();
+    const page = {
+        order: [['syncTxid', 'ASC'], ['syncVersion', 'ASC']],
+        limit: limit + 1
+    };
+    const fullSync = position.txid === 0n && position.version === 0n;
+
+    const [receipts, items, budgets, savedFilters, tombstones] = await Promise.all([
+        // Trashed receipts are included and reported as deleted
+        Receipt.findAll({ where: { userId, [Op.and]: [changedAfter('Receipt', position, xmin)] }, paranoid: false, ...page }),
+        ReceiptItem.findAll({
+            where: { [Op.and]: [changedAfter('ReceiptItem', position, xmin)] },
+            include: [{
+                model: Receipt,
+                as: 'receipt',
+                attributes: [],
+                where: { userId },
+                required: true
+            }],
+            ...page
+        }),
+        Budget.findAll({ where: { userId, [Op.and]: [changedAfter('Budget', position, xmin)] }, ...page }),
+        SavedFilter.findAll({ where: { userId, [Op.and]: [changedAfter('SavedFilter', position, xmin)] }, ...page }),
+        // A full sync (no cursor) has nothing to delete on the device
+        fullSync
+            ? []
+            : SyncTombstone.findAll({ where: { userId, [Op.and]: [changedAfter('SyncTombstone', position, xmin)] }, ...page })
+    ]);
+
+    const entries = [
+        ...receipts.map(row => ({ kind: 'receipts', row })),
+        ...items.map(row => ({ kind: 'items', row })),
+        ...budgets.map(row => ({ kind: 'budgets', row })),
+        ...savedFilters.map(row => ({ kind: 'savedFilters', row })),
+        ...tombstones.map(row => ({ kind: 'tombstones', row }))
+    ]
+        .map(entry => ({ ...entry, txid: BigInt(entry.row.syncTxid), version: BigInt(entry.row.syncVersion) }))
+        .sort(compareChanges);
+
+    const hasMore = entries.length > limit;
+    const kept = entries.slice(0, limit);
+
+    const changes = {
+        receipts: { updated: [], deleted: [] },
+        items: { updated: [], deleted: [] },
+        budgets: { updated: [], deleted: [] },
+        savedFilters: { updated: [], deleted: [] }
+    };
+
+    const tombstoneKinds = { receipt: 'receipts', item: 'items', budget: 'budgets', savedFilter: 'savedFilters' };
+
+    for (const { kind, row } of kept) {
+        switch (kind) {
+            case 'receipts':
+                if (row.deletedAt) {
+                    changes.receipts.deleted.push({ id: row.id, syncVersion: row.syncVersion, deletedAt: row.deletedAt });
+                } else {
+                    changes.receipts.updated.push(serializeSyncReceipt(row));
+                }
+                break;
+            case 'tombstones': {
+                const deleted = { id: row.entityId, syncVersion: row.syncVersion, deletedAt: row.createdAt };
+                if (row.entityType === 'item') {
+                    deleted.receiptId = row.parentId;
+                }
+                changes[tombstoneKinds[row.entityType]].deleted.push(deleted);
+                break;
+            }
+            default:
+                changes[kind].updated.push(row.toJSON());
+        }
+    }
+
+    const last = kept.length > 0 ? kept[kept.length - 1] : position;
+
+    log.debug('Sync changes collected', {
+        userId,
+        since: `${position.txid}/${position.version}`,
+        count: kept.length,
+        hasMore
+    });
+
+    return {
+        changes,
+        count: kept.length,
+        hasMore,
+        cursor: encodeCursor({ txid: last.txid, version: last.version })
+    };
+}
+
+function normalizeFieldValue(field, value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    switch (field) {
+        case 'amount':
+            return Number(value);
+        case 'purchaseDate':
+            return new Date(value).getTime();
+        case 'merchantName':
+        case 'currency':
+            return String(value).trim().toUpperCase();
+        case 'tags':
+            return JSON.stringify([...value].sort());
+        default:
+            return value;
+    }
+}
+
+/**
+ * Fields the device wants to change that now hold a different value on the server
+ */
+export function getDivergingFields(receipt, fields) {
+    return Object.keys(fields).filter(field =>
+        normalizeFieldValue(field, fields[field]) !== normalizeFieldValue(field, receipt[field])
+    );
+}
+
+/**
+ * Whether the server record was written after the version the device based its change on
+ */
+export function changedSince(record, baseVersion) {
+    if (baseVersion === undefined || baseVersion === null) {
+        return true;
+    }
+    return BigInt(record.syncVersion) > BigInt(baseVersion);
+}
+
+export default {
+    encodeCursor,
+    decodeCursor,
+    isCursorExpired,
+    serializeSyncReceipt,
+    getChangesSince,
+    getDivergingFields,
+    changedSince
+};
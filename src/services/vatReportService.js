@@ -0,0 +1,270 @@
+import { Op } from 'sequelize';
+import sequelize from '../config/db.js';
+import Receipt from '../models/Receipt.js';
+import { getUserCategories, describeCategory } from './categoryService.js';
+import { mapCategoryToLocalized } from '../utils/categoryMapper.js';
+import { csvStream, formatDate } from '../utils/csv.js';
+import { PdfDocument } from '../utils/pdf.js';
+
+export const VAT_REPORT_FORMATS = ['json', 'csv', 'pdf'];
+
+const round2 = value => Math.round(value * 100) / 100;
+
+/**
+ * Start and end (inclusive) of the current calendar quarter
+ */
+function currentQuarter() {
+    const now = new Date();
+    const firstMonth = Math.floor(now.getUTCMonth() / 3) * 3;
+    return {
+        from: new Date(Date.UTC(now.getUTCFullYear(), firstMonth, 1)).toISOString().slice(0, 10),
+        to: new Date(Date.UTC(now.getUTCFullYear(), firstMonth + 3, 0)).toISOString().slice(0, 10)
+    };
+}
+
+// "21", "21.0" and 21 are the same rate
+function normalizeRate(rate) {
+    const value = parseFloat(rate);
+    return Number.isFinite(value) ? String(value) : String(rate);
+}
+
+function countryName(code, language) {
+    if (!code) return null;
+    try {
+        return new Intl.DisplayNames([language], { type: 'region' }).of(code) || code;
+    } catch {
+        return code;
+    }
+}
+
+/**
+ * Adds a receipt's VAT line to a group, counting each receipt once per group
+ */
+function addToGroup(groups, key, fields, line) {
+    const groupKey = `${key}|${line.currency}`;
+    if (!groups.has(groupKey)) {
+        groups.set(groupKey, { ...fields, currency: line.currency, receiptIds: new Set(), base: 0, vat: 0 });
+    }
+    const group = groups.get(groupKey);
+    group.receiptIds.add(line.receiptId);
+    group.base += line.base;
+    group.vat += line.vat;
+}
+
+function finishGroups(groups) {
+    return [...groups.values()].map(({ receiptIds, base, vat, ...group }) => ({
+        ...group,
+        receiptCount: receiptIds.size,
+        base: round2(base),
+        vat: round2(vat),
+        gross: round2(base + vat)
+    }));
+}
+
+/**
+ * VAT paid on business receipts in a period, per rate, country and category, with the
+ * business receipts that have no VAT breakdown.
+ *
+ * Amounts are summed per currency; receipts in different currencies are never added up.
+ *
+ * @param {string} userId
+ * @param {Object} options
+ * @param {string} options.from - First day (YYYY-MM-DD), defaults to the start of the current quarter
+ * @param {string} options.to - Last day (YYYY-MM-DD), defaults to the end of the current quarter
+ * @param {string} options.language - Language of category and country names
+ */
+export async function getVatReport(userId, { from, to, language = 'en' } = {}) {
+    const period = { ...currentQuarter(), ...(from && { from }), ...(to && { to }) };
+    const endExclusive = new Date(`${period.to}T00:00:00Z`);
+    endExclusive.setUTCDate(endExclusive.getUTCDate() + 1);
+
+    // One row per receipt and VAT rate; non-object vat_info values are skipped
+    const vatRows = await sequelize.query(`
+        SELECT
+            r.id AS receipt_id,
+            r.purchase_date,
+            r.merchant_name,
+            r.category,
+            r.country,
+            r.currency,
+            v.key AS rate,
+            COALESCE(NULLIF(v.value->>'base', '')::numeric, 0) AS base,
+            COALESCE(NULLIF(v.value->>'amount', '')::numeric, 0) AS vat
+        FROM receipts r
+        CROSS JOIN LATERAL jsonb_each(
+            CASE WHEN jsonb_typeof(r.vat_info) = 'object' THEN r.vat_info ELSE '{}'::jsonb END
+        ) v
+        WHERE r.user_id = :userId
+            AND r.is_business = true
+            AND r.deleted_at IS NULL
+            AND r.purchase_date >= :from
+            AND r.purchase_date < :endExclusive
+        ORDER BY r.purchase_date ASC, r.id ASC
+    `, {
+        replacements: { userId, from: period.from, endExclusive },
+        type: sequelize.QueryTypes.SELECT
+    });
+
+    const missingVat = await Receipt.findAll({
+        where: {
+            userId,
+            isBusiness: true,
+            purchaseDate: { [Op.gte]: period.from, [Op.lt]: endExclusive },
+            [Op.or]: [
+                { vatInfo: null },
+                sequelize.literal(`jsonb_typeof("Receipt"."vat_info") <> 'object'`),
+                sequelize.literal(`"Receipt"."vat_info" = '{}'::jsonb`)
+            ]
+        },
+        attributes: ['id', 'merchantName', 'purchaseDate', 'amount', 'currency', 'category', 'country'],
+        order: [['purchaseDate', 'ASC']]
+    });
+
+    const categories = await getUserCategories(userId);
+    const categoryName = key => key
+        ? describeCategory(categories, key, language)?.name || mapCategoryToLocalized(key, language)
+        : null;
+
+    const lines = vatRows.map(row => ({
+        receiptId: row.receipt_id,
+        purchaseDate: formatDate(row.purchase_date),
+        merchantName: row.merchant_name,
+        category: row.category,
+        country: row.country,
+        currency: row.currency,
+        rate: normalizeRate(row.rate),
+        base: Number(row.base),
+        vat: Number(row.vat)
+    }));
+
+    const byRate = new Map();
+    const byCountry = new Map();
+    const byCategory = new Map();
+    const totals = new Map();
+
+    for (const line of lines) {
+        addToGroup(byRate, line.rate, { rate: line.rate }, line);
+        addToGroup(byCountry, line.country, { country: line.country, countryName: countryName(line.country, language) }, line);
+        addToGroup(byCategory, line.category, { category: line.category, categoryName: categoryName(line.category) }, line);
+        addToGroup(totals, '', {}, line);
+    }
+
+    const byRateList = finishGroups(byRate).sort((a, b) => parseFloat(b.rate) - parseFloat(a.rate));
+    const byVat = (a, b) => b.vat - a.vat;
+
+    return {
+        period,
+        totals: finishGroups(totals),
+        byRate: byRateList,
+        byCountry: finishGroups(byCountry).sort(byVat),
+        byCategory: finishGroups(byCategory).sort(byVat),
+        lines: lines.map(line => ({ ...line, categoryName: categoryName(line.category) })),
+        missingVat: missingVat.map(receipt => ({
+            id: receipt.id,
+            merchantName: receipt.merchantName,
+            purchaseDate: formatDate(receipt.purchaseDate),
+            amount: receipt.amount !== null ? Number(receipt.amount) : null,
+            currency: receipt.currency,
+            category: receipt.category,
+            categoryName: categoryName(receipt.category),
+            country: receipt.country
+        }))
+    };
+}
+
+/**
+ * The report as CSV: one line per receipt and VAT rate, then the receipts without VAT
+ * information (with empty rate, base and VAT)
+ */
+export function vatReportCsv(report, t) {
+    const columns = [
+        { header: t('reports.vat.columns.date'), type: 'date' },
+        { header: t('reports.vat.columns.receipt') },
+        { header: t('reports.vat.columns.merchant') },
+        { header: t('reports.vat.columns.country') },
+        { header: t('reports.vat.columns.category') },
+        { header: t('reports.vat.columns.rate'), type: 'number' },
+        { header: t('reports.vat.columns.base'), type: 'amount' },
+        { header: t('reports.vat.columns.vat'), type: 'amount' },
+        { header: t('reports.vat.columns.currency') },
+        { header: t('reports.vat.columns.missing_vat'), type: 'boolean' }
+    ];
+
+    const rows = (async function* () {
+        for (const line of report.lines) {
+            yield [line.purchaseDate, line.receiptId, line.merchantName, line.country, line.categoryName,
+                line.rate, line.base.toFixed(2), line.vat.toFixed(2), line.currency, false];
+        }
+        for (const receipt of report.missingVat) {
+            yield [receipt.purchaseDate, receipt.id, receipt.merchantName, receipt.country, receipt.categoryName,
+                null, null, null, receipt.currency, true];
+        }
+    })();
+
+    return csvStream(columns, rows);
+}
+
+/**
+ * The report as a printable PDF
+ * @returns {Buffer}
+ */
+export function vatReportPdf(report, t) {
+    const amount = value => value.toFixed(2);
+    const groupColumns = first => [
+        { header: first, width: 3 },
+        { header: t('reports.vat.columns.currency'), width: 1 },
+        { header: t('reports.vat.columns.receipts'), width: 1, align: 'right' },
+        { header: t('reports.vat.columns.base'), width: 1.5, align: 'right' },
+        { header: t('reports.vat.columns.vat'), width: 1.5, align: 'right' },
+        { header: t('reports.vat.columns.gross'), width: 1.5, align: 'right' }
+    ];
+    const groupRow = (label, group) => [label, group.currency, group.receiptCount, amount(group.base), amount(group.vat), amount(group.gross)];
+
+    const pdf = new PdfDocument({
+        title: t('reports.vat.title'),
+        footer: `${t('reports.vat.title')} ${report.period.from} - ${report.period.to}`
+    });
+
+    pdf.heading(t('reports.vat.title'))
+        .text(t('reports.vat.period', { from: report.period.from, to: report.period.to }))
+        .space();
+
+    pdf.heading(t('reports.vat.totals'), { size: 12 })
+        .table(groupColumns(''), report.totals.map(group => groupRow(t('reports.vat.total'), group)));
+
+    pdf.heading(t('reports.vat.by_rate'), { size: 12 })
+        .table(groupColumns(t('reports.vat.columns.rate')), report.byRate.map(group => groupRow(`${group.rate}%`, group)));
+
+    pdf.heading(t('reports.vat.by_country'), { size: 12 })
+        .table(groupColumns(t('reports.vat.columns.country')), report.byCountry.map(group =>
+            groupRow(group.countryName || t('reports.vat.unknown'), group)));
+
+    pdf.heading(t('reports.vat.by_category'), { size: 12 })
+        .table(groupColumns(t('reports.vat.columns.category')), report.byCategory.map(group =>
+            groupRow(group.categoryName || t('reports.vat.unknown'), group)));
+
+    pdf.heading(t('reports.vat.missing_vat', { count: report.missingVat.length }), { size: 12 });
+    if (report.missingVat.length > 0) {
+        pdf.table([
+            { header: t('reports.vat.columns.date'), width: 1.2 },
+            { header: t('reports.vat.columns.merchant'), width: 3 },
+            { header: t('reports.vat.columns.category'), width: 2 },
+            { header: t('reports.vat.columns.amount'), width: 1.2, align: 'right' },
+            { header: t('reports.vat.columns.currency'), width: 0.8 }
+        ], report.missingVat.map(receipt => [
+            receipt.purchaseDate,
+            receipt.merchantName,
+            receipt.categoryName,
+            receipt.amount !== null ? amount(receipt.amount) : '',
+            receipt.currency
+        ]));
+    }
+
+    return pdf.toBuffer();
+}
+
+export default {
+    getVatReport,
+    vatReportCsv,
+    vatReportPdf
+};
@@ -0,0 +1,252 @@
+import crypto from 'crypto';
+import http from 'http';
+import https from 'https';
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import queueService from './queueService.js';
+import config from '../config/environment.js';
+import { assertPublicHost, lookupPublicAddress } from '../utils/publicHost.js';
+import { log } from '../utils/logger.js';
+
+const DELIVERY_TIMEOUT_MS = 10000;
+const MAX_RESPONSE_BODY_LENGTH = 2000;
+
+export const SIGNATURE_HEADER = 'X-TallyLens-Signature';
+
+/**
+ * Sign a payload: HMAC-SHA256 over "<timestamp>.<body>" with the webhook secret
+ */
+export function signPayload(secret, timestamp, body) {
+    return crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${body}`)
+        .digest('hex');
+}
+
+/**
+ * Public receipt representation used in webhook payloads
+ */
+export function serializeReceipt(receipt) {
+    return {
+        id: receipt.id,
+        merchantName: receipt.merchantName,
+        amount: receipt.amount,
+        currency: receipt.currency,
+        purchaseDate: receipt.purchaseDate,
+        category: receipt.category,
+        paymentMethod: receipt.paymentMethod,
+        notes: receipt.notes,
+        processingStatus: receipt.processingStatus,
+        itemCount: Array.isArray(receipt.items) ? receipt.items.length : undefined,
+        createdAt: receipt.createdAt,
+        updatedAt: receipt.updatedAt
+    };
+}
+
+/**
+ * Queue a delivery, or attempt it once inline when the queue is unavailable
+ */
+async function scheduleDelivery(delivery) {
+    if (queueService.isConnected) {
+        await queueService.addWebhookDeliveryJob(delivery.id);
+        return;
+    }
+
+    log.warn('Queue service not connected, delivering webhook without retries', { deliveryId: delivery.id });
+    deliverWebhook(delivery.id, { finalAttempt: true }).catch(error => {
+        log.error('Inline webhook delivery failed', { deliveryId: delivery.id, error: error.message });
+    });
+}
+
+/**
+ * Fan out an event to every active subscription of the user.
+ * Never throws: webhook problems must not break the operation that emitted the event.
+ */
+export async function dispatchWebhookEvent(userId, event, data) {
+    try {
+        const webhooks = await Webhook.findActiveForEvent(userId, event);
+        if (webhooks.length === 0) {
+            return [];
+        }
+
+        const payload = {
+            id: crypto.randomUUID(),
+            event,
+            createdAt: new Date().toISOString(),
+            data
+        };
+
+        const deliveries = [];
+        for (const webhook of webhooks) {
+            const delivery = await WebhookDelivery.create({
+                webhookId: webhook.id,
+                userId,
+                event,
+                payload
+            });
+            await scheduleDelivery(delivery);
+            deliveries.push(delivery);
+        }
+
+        log.info('Webhook event dispatched', { userId, event, deliveries: deliveries.length });
+
+        return deliveries;
+    } catch (error) {
+        log.error('Error dispatching webhook event', { userId, event, error: error.message });
+        return [];
+    }
+}
+
+/**
+ * POST a payload to a webhook endpoint without following redirects. Unless private
+ * hosts are allowed, the connection is only made to public addresses, whatever the
+ * host resolves to by then. Resolves with the status and the start of the response body.
+ */
+function postToEndpoint(url, { headers, body }) {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+        const request = client.request(target, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            lookup: config.webhooks.allowPrivateHosts ? undefined : lookupPublicAddress,
+            signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+        }, response => {
+            let responseBody = '';
+            response.setEncoding('utf8');
+            response.on('data', chunk => {
+                if (responseBody.length < MAX_RESPONSE_BODY_LENGTH) {
+                    responseBody += chunk;
+                }
+            });
+            response.on('end', () => resolve({
+                status: response.statusCode,
+                body: responseBody.slice(0, MAX_RESPONSE_BODY_LENGTH)
+            }));
+            response.on('error', reject);
+        });
+
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+/**
+ * Perform one HTTP delivery attempt. Throws when the endpoint doesn't answer 2xx
+ * so the queue can retry with backoff.
+ */
+export async function deliverWebhook(deliveryId, { finalAttempt = false } = {}) {
+    const delivery = await WebhookDelivery.findByPk(deliveryId, {
+        include: [{ model: Webhook, as: 'webhook' }]
+    });
+
+    if (!delivery || !delivery.webhook) {
+        log.warn('Webhook delivery no longer exists, skipping', { deliveryId });
+        return null;
+    }
+
+    const { webhook } = delivery;
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = signPayload(webhook.secret, timestamp, body);
+    const startTime = Date.now();
+
+    let responseStatus = null;
+    let responseBody = null;
+    let errorMessage = null;
+
+    try {
+        // The host may resolve to another address than when the webhook was created
+        if (!config.webhooks.allowPrivateHosts) {
+            await assertPublicHost(webhook.url);
+        }
+
+        const response = await postToEndpoint(webhook.url, {
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'TallyLens-Webhooks/1.0',
+                'X-TallyLens-Event': delivery.event,
+                'X-TallyLens-Delivery': delivery.id,
+                [SIGNATURE_HEADER]: `t=${timestamp},v1=${signature}`
+            },
+            body
+        });
+
+        responseStatus = response.status;
+        responseBody = response.body;
+
+        if (response.status < 200 || response.status >= 300) {
+            errorMessage = `Endpoint responded with HTTP ${response.status}`;
+        }
+    } catch (error) {
+        errorMessage = error.cause?.name === 'TimeoutError'
+            ? `Endpoint did not respond within ${DELIVERY_TIMEOUT_MS}ms`
+            : error.message;
+    }
+
+    const success = !errorMessage;
+
+    await delivery.update({
+        attempts: delivery.attempts + 1,
+        status: success ? 'success' : (finalAttempt ? 'failed' : 'pending'),
+        responseStatus,
+        responseBody,
+        error: errorMessage,
+        durationMs: Date.now() - startTime,
+        deliveredAt: success ? new Date() : null
+    });
+
+    if (success || finalAttempt) {
+        const wasActive = webhook.isActive;
+        await webhook.recordDeliveryResult(success, { disableAfter: config.webhooks.maxConsecutiveFailures });
+        if (wasActive && !webhook.isActive) {
+            log.warn('Webhook disabled after consecutive failed deliveries', {
+                webhookId: webhook.id,
+                consecutiveFailures: webhook.consecutiveFailures
+            });
+        }
+    }
+
+    if (!success) {
+        log.warn('Webhook delivery attempt failed', {
+            deliveryId,
+            webhookId: webhook.id,
+            attempt: delivery.attempts,
+            error: errorMessage
+        });
+        throw new Error(errorMessage);
+    }
+
+    log.info('Webhook delivered', { deliveryId, webhookId: webhook.id, responseStatus });
+
+    return delivery;
+}
+
+/**
+ * Manually redeliver a previous delivery. The original row is kept and a new one
+ * is logged with the same payload (same event id, so receivers can de-duplicate).
+ */
+export async function redeliverWebhook(delivery) {
+    const redelivery = await WebhookDelivery.create({
+        webhookId: delivery.webhookId,
+        userId: delivery.userId,
+        event: delivery.event,
+        payload: delivery.payload,
+        redeliveryOf: delivery.id
+    });
+
+    await scheduleDelivery(redelivery);
+
+    log.info('Webhook redelivery scheduled', { deliveryId: delivery.id, redeliveryId: redelivery.id });
+
+    return redelivery;
+}
+
+export default {
+    signPayload,
+    serializeReceipt,
+    dispatchWebhookEvent,
+    deliverWebhook,
+    redeliverWebhook
+};
@@ -5,7 +5,9 @@
  * External categories and units depend on user's language preference
  */
 
-// Internal category values (English - used in database)
+// Original system category values (English - used in database). Categories are now
+// stored in the categories table (see categoryService); these mappings still resolve
+// legacy localized values sent by older clients.
 export const INTERNAL_CATEGORIES = ['grocery', 'transport', 'food', 'fuel', 'others'];
 
 // Mapping from external localized values to internal English values
@@ -93,29 +95,6 @@ export const isValidCategory = (category) => {
     return ALL_VALID_CATEGORIES.includes(category);
 };
 
-/**
- * Express middleware to automatically map category parameters to internal format
- */
-export const mapCategoryParams = (req, res, next) => {
-    // Map query parameters
-    if (req.query && req.query.category) {
-        const internalCategory = mapCategoryToInternal(req.query.category);
-        if (internalCategory) {
-            req.query.category = internalCategory;
-        }
-    }
-
-    // Map body parameters
-    if (req.body && req.body.category) {
-        const internalCategory = mapCategoryToInternal(req.body.category);
-        if (internalCategory) {
-            req.body.category = internalCategory;
-        }
-    }
-
-    next();
-};
-
 // =================== UNIT MAPPING ===================
 
 // Internal unit values (English - used in database)
@@ -0,0 +1,103 @@
+/**
+ * CSV reading for imports, and writing for exports and reports
+ */
+
+// Date part (YYYY-MM-DD) of a date or timestamp
+export function formatDate(value) {
+    if (!value) return null;
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? String(value) : date.toISOString().slice(0, 10);
+}
+
+// Values starting with these characters are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvField(value, type, delimiter) {
+    if (value === null || value === undefined) return '';
+
+    let text;
+    if (type === 'date') {
+        text = formatDate(value);
+    } else if (type === 'list') {
+        text = Array.isArray(value) ? value.join(', ') : String(value);
+    } else if (type === 'boolean') {
+        text = value ? 'true' : 'false';
+    } else {
+        text = String(value);
+        if (!type && FORMULA_PREFIX.test(text)) {
+            text = `'${text}`;
+        }
+    }
+
+    if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Yields CSV lines (RFC 4180) with a header row
+ * @param {Array<{header: string, type?: string}>} columns - type is date, list, boolean, or a number type
+ * @param {AsyncIterable<Array>} rows - Cell values in column order
+ * @param {Object} options
+ * @param {string} options.delimiter
+ */
+export async function* csvStream(columns, rows, { delimiter = ',' } = {}) {
+    // The byte order mark makes spreadsheet apps read the file as UTF-8
+    yield '\uFEFF' + columns.map(column => csvField(column.header, null, delimiter)).join(delimiter) + '\r\n';
+
+    for await (const row of rows) {
+        yield columns.map((column, index) => csvField(row[index], column.type, delimiter)).join(delimiter) + '\r\n';
+    }
+}
+
+/**
+ * Rows of a CSV document; quoted fields may contain delimiters, quotes ("") and newlines
+ */
+export function parseCsvRows(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            if (row.some(value => value.trim() !== '')) rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    row.push(field);
+    if (row.some(value => value.trim() !== '')) rows.push(row);
+    return rows;
+}
+
+/**
+ * Most frequent of ; , tab and | in the header line
+ */
+export function detectDelimiter(text) {
+    const header = text.split(/\r?\n/, 1)[0];
+    return [';', ',', '\t', '|']
+        .map(delimiter => ({ delimiter, count: header.split(delimiter).length }))
+        .sort((a, b) => b.count - a.count)[0].delimiter;
+}
@@ -0,0 +1,183 @@
+/**
+ * Calendar days in a user's timezone, and months that start on a given day (payday)
+ *
+ * Days are 'YYYY-MM-DD' strings, like DATEONLY columns. Purchase dates are stored
+ * as the date printed on the receipt (midnight UTC), so they are read as they are;
+ * creation times are real instants and are read in the user's timezone.
+ */
+
+export const DEFAULT_TIMEZONE = 'UTC';
+export const DEFAULT_MONTH_START_DAY = 1;
+
+// Every month has this day, so a month always starts on the same day number
+export const MAX_MONTH_START_DAY = 28;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIMEZONE_NAME = /^[A-Za-z0-9_+\-/]+$/;
+
+const formatters = new Map();
+
+function formatter(timezone) {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            weekday: 'short',
+            hourCycle: 'h23'
+        }));
+    }
+    return formatters.get(timezone);
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Whether a name is an IANA timezone, e.g. 'Europe/Amsterdam'
+ */
+export function isValidTimezone(timezone) {
+    if (typeof timezone !== 'string' || !TIMEZONE_NAME.test(timezone)) return false;
+    try {
+        formatter(timezone);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+function zone(timezone) {
+    return isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+}
+
+function clampMonthStartDay(monthStartDay) {
+    const day = parseInt(monthStartDay) || DEFAULT_MONTH_START_DAY;
+    return Math.min(Math.max(day, 1), MAX_MONTH_START_DAY);
+}
+
+/**
+ * Wall-clock time of an instant in a timezone: { day, hour, minute, weekday (0 = Sunday) }
+ */
+export function localTime(value = new Date(), timezone = DEFAULT_TIMEZONE) {
+    const parts = Object.fromEntries(
+        formatter(zone(timezone)).formatToParts(new Date(value)).map(part => [part.type, part.value])
+    );
+    return {
+        day: `${parts.year}-${parts.month}-${parts.day}`,
+        hour: parseInt(parts.hour),
+        minute: parseInt(parts.minute),
+        second: parseInt(parts.second),
+        weekday: WEEKDAYS.indexOf(parts.weekday)
+    };
+}
+
+/**
+ * Calendar day of an instant in a timezone (today when omitted)
+ */
+export function localDay(value = new Date(), timezone = DEFAULT_TIMEZONE) {
+    return localTime(value, timezone).day;
+}
+
+/**
+ * Day a receipt counts on: its printed purchase date, else the day it was added
+ */
+export function receiptDay(receipt, timezone = DEFAULT_TIMEZONE) {
+    if (receipt.purchaseDate) {
+        return new Date(receipt.purchaseDate).toISOString().slice(0, 10);
+    }
+    return receipt.createdAt ? localDay(receipt.createdAt, timezone) : null;
+}
+
+function parseDay(day) {
+    const [year, month, date] = String(day).slice(0, 10).split('-').map(Number);
+    return Date.UTC(year, month - 1, date);
+}
+
+function formatDay(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+export function addDays(day, days) {
+    return formatDay(parseDay(day) + days * DAY_MS);
+}
+
+/**
+ * Same day number a number of months later, or the last day of a shorter month
+ */
+export function addMonths(day, months) {
+    const date = new Date(parseDay(day));
+    const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+    return formatDay(target.getTime());
+}
+
+/**
+ * Whole days from one day to another (negative when `to` comes first)
+ */
+export function daysBetween(from, to) {
+    return Math.round((parseDay(to) - parseDay(from)) / DAY_MS);
+}
+
+/**
+ * First day of the month that contains a day, for months starting on monthStartDay
+ */
+export function monthStart(day, monthStartDay = DEFAULT_MONTH_START_DAY) {
+    const startDay = clampMonthStartDay(monthStartDay);
+    const shifted = new Date(parseDay(day) - (startDay - 1) * DAY_MS);
+    return formatDay(Date.UTC(shifted.getUTCFullYear(), shifted.getUTCMonth(), startDay));
+}
+
+/**
+ * Last day of a weekly, monthly or yearly period that begins on a day
+ */
+export function periodEnd(period, start) {
+    const next = period === 'weekly'
+        ? addDays(start, 7)
+        : addMonths(start, period === 'yearly' ? 12 : 1);
+    return addDays(next, -1);
+}
+
+/**
+ * First and last day (inclusive) of the weekly, monthly or yearly period containing a day.
+ * Weeks start on Monday; years start in January on monthStartDay.
+ */
+export function periodRange(period, day, monthStartDay = DEFAULT_MONTH_START_DAY) {
+    let start;
+    if (period === 'weekly') {
+        const weekday = new Date(parseDay(day)).getUTCDay();
+        start = addDays(day, -((weekday + 6) % 7));
+    } else if (period === 'yearly') {
+        start = `${day.slice(0, 4)}-01-${String(clampMonthStartDay(monthStartDay)).padStart(2, '0')}`;
+        if (day < start) start = addMonths(start, -12);
+    } else {
+        start = monthStart(day, monthStartDay);
+    }
+    return { start, end: periodEnd(period, start) };
+}
+
+/**
+ * SQL expression of the day a receipt counts on (see receiptDay)
+ * @param {string} timezone - Checked, so it can be inlined
+ * @param {Object} columns - SQL expressions of the purchase date and creation time
+ */
+export function receiptDaySql(timezone, {
+    purchaseDate = 'purchase_date',
+    createdAt = 'created_at'
+} = {}) {
+    return `COALESCE((${purchaseDate} AT TIME ZONE 'UTC')::date, (${createdAt} AT TIME ZONE '${zone(timezone)}')::date)`;
+}
+
+/**
+ * SQL expression of the first day of the month that contains a day (see monthStart)
+ */
+export function monthStartSql(dayExpression, monthStartDay = DEFAULT_MONTH_START_DAY) {
+    const offset = clampMonthStartDay(monthStartDay) - 1;
+    if (offset === 0) {
+        return `DATE_TRUNC('month', (${dayExpression})::timestamp)::date`;
+    }
+    return `(DATE_TRUNC('month', ((${dayExpression}) - ${offset})::timestamp) + INTERVAL '${offset} days')::date`;
+}
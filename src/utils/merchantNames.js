@@ -0,0 +1,136 @@
+/**
+ * Merchant name matching utilities
+ *
+ * Receipts print the same store in many ways ("LIDL", "Lidl Nederland GmbH",
+ * "LIDL 1234"). Names are reduced to a normalized key without store numbers,
+ * legal forms or country names, and keys are compared fuzzily to absorb OCR typos.
+ */
+
+// Legal forms, country names and store-number words that do not identify a merchant
+const IGNORED_TOKENS = new Set([
+    // Legal forms
+    'BV', 'NV', 'VOF', 'GMBH', 'AG', 'KG', 'SL', 'SLU', 'SA', 'SAU', 'SRL', 'SAS', 'SARL',
+    'LTD', 'LIMITED', 'INC', 'LLC', 'PLC', 'CO', 'CORP', 'COMPANY',
+    // Countries
+    'NEDERLAND', 'NETHERLANDS', 'HOLLAND', 'NL', 'ESPANA', 'SPAIN', 'ES',
+    'DEUTSCHLAND', 'GERMANY', 'DE', 'BELGIE', 'BELGIQUE', 'BELGIUM', 'BE',
+    'FRANCE', 'FR', 'UK', 'USA', 'US',
+    // Store numbers
+    'NR', 'NO', 'NUM', 'FILIAAL', 'FILIALE', 'STORE', 'TIENDA', 'SUCURSAL'
+]);
+
+// Minimum similarity for two different keys to count as the same merchant
+export const MERCHANT_SIMILARITY_THRESHOLD = 0.85;
+
+// Shorter keys only match exactly (or as the first word of a longer name)
+const MIN_FUZZY_LENGTH = 4;
+
+const ALIAS_WEIGHT = 0.99;
+
+/**
+ * Normalized key of a merchant name, e.g. "Lidl Nederland B.V. 1234" -> "LIDL".
+ * Returns null for empty names.
+ */
+export function normalizeMerchantName(name) {
+    if (typeof name !== 'string') return null;
+
+    const cleaned = name
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toUpperCase()
+        .replace(/['’.]/g, '')
+        .replace(/[^A-Z0-9]+/g, ' ')
+        .trim();
+
+    if (!cleaned) return null;
+
+    const tokens = cleaned.split(' ');
+    const kept = tokens.filter((token, index) =>
+        index === 0
+            ? !/^\d+$/.test(token)
+            : !/^\d+$/.test(token) && !IGNORED_TOKENS.has(token)
+    );
+
+    // A name made only of numbers or ignored words keeps its cleaned form
+    return kept.length > 0 ? kept.join(' ') : cleaned;
+}
+
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * Similarity of two normalized keys between 0 and 1. A key that is the leading
+ * words of the other ("ALBERT HEIJN" / "ALBERT HEIJN XL") scores 0.9.
+ */
+export function merchantNameSimilarity(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+
+    const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+    if (shorter.length >= MIN_FUZZY_LENGTH && longer.startsWith(`${shorter} `)) {
+        return 0.9;
+    }
+    if (shorter.length < MIN_FUZZY_LENGTH) {
+        return 0;
+    }
+
+    return 1 - levenshtein(a, b) / longer.length;
+}
+
+/**
+ * The merchant a receipt name belongs to, or null. Candidates are { name,
+ * normalizedName, aliases }; an alias spelled exactly like the name wins, then
+ * the most similar key above the threshold.
+ */
+export function findBestMerchantMatch(merchants, name) {
+    const key = normalizeMerchantName(name);
+    if (!key) return null;
+
+    const spelled = name.trim().toUpperCase();
+    const exact = merchants.find(merchant =>
+        (merchant.aliases || []).some(alias => alias.toUpperCase() === spelled)
+    );
+    if (exact) return exact;
+
+    let best = null;
+    let bestScore = 0;
+
+    for (const merchant of merchants) {
+        // Aliases score slightly below the canonical key, so a merchant split off
+        // with an alias like "LIDL 1234" does not take over every other LIDL receipt
+        const scores = [
+            merchantNameSimilarity(key, merchant.normalizedName),
+            ...(merchant.aliases || []).map(alias =>
+                merchantNameSimilarity(key, normalizeMerchantName(alias)) * ALIAS_WEIGHT
+            )
+        ];
+        const score = Math.max(...scores);
+        if (score > bestScore) {
+            best = merchant;
+            bestScore = score;
+        }
+    }
+
+    return bestScore >= MERCHANT_SIMILARITY_THRESHOLD ? best : null;
+}
+
+export default {
+    normalizeMerchantName,
+    merchantNameSimilarity,
+    findBestMerchantMatch
+};
@@ -0,0 +1,327 @@
+/**
+ * Minimal MIME reader for inbound emails (RFC 822/2045-2047/2231)
+ *
+ * Reads the headers, the text and HTML bodies and the attachments of a raw message.
+ * Multipart bodies are walked recursively and a forwarded message (message/rfc822
+ * part) is read as part of the message that carries it. There is no validation:
+ * malformed parts are read as well as possible.
+ */
+
+// Deepest nesting of multiparts and forwarded messages that is followed
+const MAX_DEPTH = 10;
+
+const HTML_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    euro: '\u20AC', pound: '\u00A3', yen: '\u00A5', cent: '\u00A2', copy: '\u00A9', reg: '\u00AE',
+    times: '\u00D7', middot: '\u00B7', ndash: '\u2013', mdash: '\u2014', hellip: '\u2026',
+    lsquo: '\u2018', rsquo: '\u2019', ldquo: '\u201C', rdquo: '\u201D', bull: '\u2022', deg: '\u00B0'
+};
+
+// Elements that end a line of text
+const BLOCK_ELEMENTS = /^(p|div|br|tr|li|h[1-6]|table|thead|tbody|tfoot|section|article|header|footer|blockquote|pre|hr|dt|dd|ul|ol)$/;
+
+// Windows-1252 characters 0x80-0x9F (Latin-1 has control codes there)
+const WINDOWS_1252_EXTRA = '\u20AC\u0081\u201A\u0192\u201E\u2026\u2020\u2021\u02C6\u2030\u0160\u2039\u0152\u008D\u017D\u008F\u0090\u2018\u2019\u201C\u201D\u2022\u2013\u2014\u02DC\u2122\u0161\u203A\u0153\u009D\u017E\u0178';
+
+// Labels mail clients use for Windows-1252 text (they all mean Windows-1252 on the web)
+const WINDOWS_1252_LABELS = new Set(['windows-1252', 'cp1252', 'iso-8859-1', 'iso8859-1', 'latin1', 'us-ascii', 'ascii']);
+
+function decodeText(buffer, charset = 'utf-8') {
+    const label = charset.trim().toLowerCase() || 'utf-8';
+    // Node decodes these labels as Latin-1
+    if (WINDOWS_1252_LABELS.has(label)) {
+        return buffer.toString('latin1').replace(/[\x80-\x9F]/g, char => WINDOWS_1252_EXTRA[char.charCodeAt(0) - 0x80]);
+    }
+    try {
+        return new TextDecoder(label).decode(buffer);
+    } catch {
+        // Unknown charset
+        return buffer.toString('latin1');
+    }
+}
+
+function decodeQuotedPrintable(text) {
+    const bytes = [];
+    const input = text.replace(/=\r?\n/g, '');
+    for (let index = 0; index < input.length; index++) {
+        const char = input[index];
+        if (char === '=' && /^[0-9A-Fa-f]{2}$/.test(input.slice(index + 1, index + 3))) {
+            bytes.push(parseInt(input.slice(index + 1, index + 3), 16));
+            index += 2;
+        } else {
+            bytes.push(input.charCodeAt(index) & 0xFF);
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+function decodeBody(buffer, transferEncoding) {
+    switch ((transferEncoding || '').trim().toLowerCase()) {
+        case 'base64':
+            return Buffer.from(buffer.toString('latin1').replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+        case 'quoted-printable':
+            return decodeQuotedPrintable(buffer.toString('latin1'));
+        default:
+            return buffer;
+    }
+}
+
+/**
+ * Decode the encoded words of a header value (=?charset?B|Q?text?=)
+ */
+export function decodeHeaderValue(value) {
+    return value
+        // Whitespace between adjacent encoded words is not part of the text
+        .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?[^?]+\?[BbQq]\?[^?]*\?=)/g, '$1')
+        .replace(/=\?([^?*]+)(?:\*[^?]*)?\?([BbQq])\?([^?]*)\?=/g, (match, charset, encoding, text) => {
+            const bytes = encoding.toUpperCase() === 'B'
+                ? Buffer.from(text, 'base64')
+                : decodeQuotedPrintable(text.replace(/_/g, ' '));
+            return decodeText(bytes, charset);
+        });
+}
+
+function parseHeaders(text) {
+    const headers = {};
+    const unfolded = text.replace(/\r?\n[ \t]+/g, ' ');
+    for (const line of unfolded.split(/\r?\n/)) {
+        const colon = line.indexOf(':');
+        if (colon <= 0) continue;
+        const name = line.slice(0, colon).trim().toLowerCase();
+        (headers[name] ||= []).push(line.slice(colon + 1).trim());
+    }
+    return headers;
+}
+
+// Split on a separator outside quoted strings
+function splitOutsideQuotes(text, separator) {
+    const parts = [];
+    let current = '';
+    let quoted = false;
+    for (let index = 0; index < text.length; index++) {
+        const char = text[index];
+        if (char === '\\' && quoted) {
+            current += char + (text[index + 1] ?? '');
+            index++;
+            continue;
+        }
+        if (char === '"') quoted = !quoted;
+        if (char === separator && !quoted) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    parts.push(current);
+    return parts;
+}
+
+function unquote(value) {
+    const trimmed = value.trim();
+    return trimmed.startsWith('"') && trimmed.endsWith('"')
+        ? trimmed.slice(1, -1).replace(/\\(.)/g, '$1')
+        : trimmed;
+}
+
+/**
+ * Parse a structured header value such as a Content-Type:
+ * 'text/html; charset="utf-8"' -> { value: 'text/html', params: { charset: 'utf-8' } }
+ *
+ * Parameters split and encoded as in RFC 2231 (filename*0*=utf-8''...) are joined and decoded.
+ */
+export function parseHeaderParams(header = '') {
+    const [value, ...rest] = splitOutsideQuotes(header, ';');
+    const params = {};
+    const sections = {};
+
+    for (const param of rest) {
+        const equals = param.indexOf('=');
+        if (equals === -1) continue;
+        const name = param.slice(0, equals).trim().toLowerCase();
+        const paramValue = unquote(param.slice(equals + 1));
+
+        const section = name.match(/^([^*]+)\*(\d+)?(\*)?$/);
+        if (section) {
+            (sections[section[1]] ||= []).push({
+                index: section[2] === undefined ? 0 : parseInt(section[2]),
+                encoded: Boolean(section[3]) || section[2] === undefined,
+                value: paramValue
+            });
+        } else {
+            params[name] = decodeHeaderValue(paramValue);
+        }
+    }
+
+    for (const [name, pieces] of Object.entries(sections)) {
+        pieces.sort((a, b) => a.index - b.index);
+        let charset = 'utf-8';
+        let bytes = '';
+        for (const [position, piece] of pieces.entries()) {
+            let pieceValue = piece.value;
+            if (position === 0 && piece.encoded) {
+                const match = pieceValue.match(/^([^']*)'[^']*'(.*)$/);
+                if (match) {
+                    charset = match[1] || charset;
+                    pieceValue = match[2];
+                }
+            }
+            bytes += piece.encoded
+                ? pieceValue.replace(/%([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)))
+                : pieceValue;
+        }
+        params[name] = decodeText(Buffer.from(bytes, 'latin1'), charset);
+    }
+
+    return { value: value.trim().toLowerCase(), params };
+}
+
+/**
+ * Email addresses in an address header, lower-cased:
+ * '"Shop" <Orders@Shop.com>, me@example.com' -> ['orders@shop.com', 'me@example.com']
+ */
+export function parseAddresses(header = '') {
+    const addresses = [];
+    // Comments and display names may contain commas and angle brackets
+    const text = header.replace(/\([^()]*\)/g, ' ');
+    for (const part of splitOutsideQuotes(text, ',')) {
+        // A group ("Team: a@x, b@y;") lists its members after the colon
+        const withoutGroup = part.replace(/^[^"<]*:/, '').replace(/;\s*$/, '');
+        const angle = withoutGroup.match(/<([^>]*)>/);
+        const address = (angle ? angle[1] : unquote(withoutGroup)).trim().toLowerCase();
+        if (/^[^\s@<>",]+@[^\s@<>",]+$/.test(address)) {
+            addresses.push(address);
+        }
+    }
+    return addresses;
+}
+
+/**
+ * Plain text of an HTML document, one line per block (paragraph, row, list item)
+ * and table cells separated by spaces.
+ */
+export function htmlToText(html) {
+    const text = html
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(head|style|script|title)\b[\s\S]*?<\/\1\s*>/gi, '')
+        .replace(/<\/?([a-z][a-z0-9]*)\b[^>]*>/gi, (match, name) => {
+            const element = name.toLowerCase();
+            if (BLOCK_ELEMENTS.test(element)) return '\n';
+            if (element === 'td' || element === 'th') return '  ';
+            return '';
+        })
+        .replace(/<[^>]*>/g, '')
+        .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+            if (entity[0] === '#') {
+                const code = entity[1].toLowerCase() === 'x'
+                    ? parseInt(entity.slice(2), 16)
+                    : parseInt(entity.slice(1), 10);
+                return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+            }
+            return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+        });
+
+    return text
+        .split('\n')
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        .join('\n');
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Position of the header/body separator (first empty line)
+function headerEnd(raw) {
+    const match = raw.match(/\r?\n\r?\n/);
+    return match
+        ? { headers: raw.slice(0, match.index), body: raw.slice(match.index + match[0].length) }
+        : { headers: raw, body: '' };
+}
+
+// The raw text of a message is kept as latin1 so each character is one byte
+function readEntity(raw, message, depth) {
+    const { headers: headerText, body } = headerEnd(raw);
+    const headers = parseHeaders(headerText);
+    const contentType = parseHeaderParams(headers['content-type']?.[0] || 'text/plain');
+    const disposition = parseHeaderParams(headers['content-disposition']?.[0] || '');
+
+    if (contentType.value.startsWith('multipart/') && contentType.params.boundary && depth < MAX_DEPTH) {
+        const delimiter = escapeRegExp(`--${contentType.params.boundary}`);
+        const parts = body.split(new RegExp(`(?:^|\\r?\\n)${delimiter}(?:--)?[ \\t]*(?:\\r?\\n|$)`));
+        // Text before the first delimiter is the preamble; after the closing one the epilogue
+        for (const part of parts.slice(1, -1)) {
+            readEntity(part, message, depth + 1);
+        }
+        // A message without a closing delimiter still has its last part
+        if (parts.length > 1 && !new RegExp(`${delimiter}--`).test(body)) {
+            readEntity(parts[parts.length - 1], message, depth + 1);
+        }
+        return;
+    }
+
+    const content = decodeBody(Buffer.from(body, 'latin1'), headers['content-transfer-encoding']?.[0]);
+
+    if (contentType.value === 'message/rfc822' && depth < MAX_DEPTH) {
+        readEntity(content.toString('latin1'), message, depth + 1);
+        return;
+    }
+
+    const filename = disposition.params.filename || contentType.params.name || null;
+    const isAttachment = disposition.value === 'attachment' || Boolean(filename);
+
+    if (!isAttachment && contentType.value === 'text/html' && message.html === null) {
+        message.html = decodeText(content, contentType.params.charset);
+    } else if (!isAttachment && contentType.value === 'text/plain' && message.text === null) {
+        message.text = decodeText(content, contentType.params.charset);
+    } else if (isAttachment || !contentType.value.startsWith('text/')) {
+        message.attachments.push({
+            filename,
+            contentType: contentType.value,
+            // Images embedded in an HTML body (logos) are inline
+            inline: disposition.value === 'inline' || (!filename && Boolean(headers['content-id'])),
+            content
+        });
+    }
+}
+
+/**
+ * Read a raw RFC 822 message.
+ *
+ * Returns { headers, subject, from, to, cc, messageId, date, text, html, attachments }
+ * where headers maps lower-case names to their (decoded) values, from/to/cc are
+ * address lists (see parseAddresses), text and html are the first body of each type
+ * (or null) and attachments are { filename, contentType, inline, content: Buffer }.
+ * @param {Buffer|string} raw
+ */
+export function parseMessage(raw) {
+    const text = Buffer.isBuffer(raw) ? raw.toString('latin1') : Buffer.from(raw, 'utf8').toString('latin1');
+    const { headers: headerText } = headerEnd(text);
+    const rawHeaders = parseHeaders(headerText);
+    const headers = Object.fromEntries(
+        Object.entries(rawHeaders).map(([name, values]) => [name, values.map(decodeHeaderValue)])
+    );
+
+    const message = { html: null, text: null, attachments: [] };
+    readEntity(text, message, 0);
+
+    return {
+        headers,
+        subject: headers.subject?.[0] || '',
+        from: parseAddresses(rawHeaders.from?.[0]),
+        to: (rawHeaders.to || []).flatMap(value => parseAddresses(value)),
+        cc: (rawHeaders.cc || []).flatMap(value => parseAddresses(value)),
+        messageId: rawHeaders['message-id']?.[0]?.replace(/^<|>$/g, '') || null,
+        date: headers.date?.[0] ? new Date(headers.date[0]) : null,
+        ...message
+    };
+}
+
+export default {
+    parseMessage,
+    parseAddresses,
+    parseHeaderParams,
+    decodeHeaderValue,
+    htmlToText
+};
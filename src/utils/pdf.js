@@ -0,0 +1,323 @@
+import zlib from 'zlib';
+
+/**
+ * Minimal PDF writer for printable reports: headings, paragraphs, tables and JPEG
+ * images in the standard Helvetica fonts, with automatic page breaks.
+ *
+ * Text is encoded as WinAnsi (Latin-1 plus the euro sign); other characters are
+ * printed as "?".
+ */
+
+// A4 in points
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 50;
+
+const FONTS = {
+    regular: { resource: 'F1', baseFont: 'Helvetica' },
+    bold: { resource: 'F2', baseFont: 'Helvetica-Bold' }
+};
+
+// Glyph widths (1/1000 em) of the printable ASCII characters, from the standard AFM metrics
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// Accented letters are measured like an average glyph
+const DEFAULT_GLYPH_WIDTH = 556;
+
+function textWidth(text, size, bold = false) {
+    const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    let width = 0;
+    for (const char of text) {
+        const code = char.charCodeAt(0);
+        width += code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_GLYPH_WIDTH;
+    }
+    return width * size / 1000;
+}
+
+// WinAnsiEncoding code of a character (Latin-1 range plus the euro sign)
+function encodeText(text) {
+    const bytes = [];
+    for (const char of text) {
+        const code = char.codePointAt(0);
+        if (code === 0x20AC) {
+            bytes.push(0x80);
+        } else if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) {
+            bytes.push(code);
+        } else if (code === 9 || code === 10 || code === 13) {
+            bytes.push(32);
+        } else {
+            bytes.push(63);
+        }
+    }
+
+    // Escape the string delimiters of PDF literal strings
+    return Buffer.from(bytes).toString('latin1').replace(/[\\()]/g, match => `\\${match}`);
+}
+
+function truncate(text, maxWidth, size, bold) {
+    if (textWidth(text, size, bold) <= maxWidth) return text;
+
+    let truncated = text;
+    while (truncated.length > 0 && textWidth(`${truncated}...`, size, bold) > maxWidth) {
+        truncated = truncated.slice(0, -1);
+    }
+    return `${truncated}...`;
+}
+
+function wrap(text, maxWidth, size, bold) {
+    const lines = [];
+    let line = '';
+
+    for (const word of text.split(/\s+/).filter(Boolean)) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && textWidth(candidate, size, bold) > maxWidth) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    }
+    if (line) lines.push(line);
+
+    return lines.length > 0 ? lines : [''];
+}
+
+const formatNumber = value => Number(value.toFixed(2)).toString();
+
+export class PdfDocument {
+    /**
+     * @param {Object} options
+     * @param {string} options.title - Document title (metadata)
+     * @param {string} options.footer - Printed at the bottom of every page, before the page number
+     */
+    constructor({ title = '', footer = '' } = {}) {
+        this.title = title;
+        this.footer = footer;
+        this.pages = [];
+        this.images = [];
+        this.contentWidth = PAGE_WIDTH - 2 * MARGIN;
+        this.addPage();
+    }
+
+    addPage() {
+        this.page = [];
+        this.pages.push(this.page);
+        this.y = PAGE_HEIGHT - MARGIN;
+    }
+
+    // Start a new page when less than height is left
+    ensureSpace(height) {
+        if (this.y - height < MARGIN + 20) {
+            this.addPage();
+        }
+    }
+
+    drawText(text, x, y, { size = 10, bold = false } = {}) {
+        const font = bold ? FONTS.bold : FONTS.regular;
+        this.page.push(`BT /${font.resource} ${formatNumber(size)} Tf ${formatNumber(x)} ${formatNumber(y)} Td (${encodeText(text)}) Tj ET`);
+    }
+
+    drawLine(x1, y1, x2, y2, width = 0.5) {
+        this.page.push(`${formatNumber(width)} w ${formatNumber(x1)} ${formatNumber(y1)} m ${formatNumber(x2)} ${formatNumber(y2)} l S`);
+    }
+
+    heading(text, { size = 16 } = {}) {
+        this.ensureSpace(size * 2);
+        this.y -= size;
+        this.drawText(text, MARGIN, this.y, { size, bold: true });
+        this.y -= size * 0.6;
+        return this;
+    }
+
+    text(text, { size = 10, bold = false } = {}) {
+        for (const line of wrap(String(text), this.contentWidth, size, bold)) {
+            this.ensureSpace(size * 1.4);
+            this.y -= size * 1.4;
+            this.drawText(line, MARGIN, this.y, { size, bold });
+        }
+        return this;
+    }
+
+    space(height = 10) {
+        this.y -= height;
+        return this;
+    }
+
+    /**
+     * JPEG image, scaled to fit the given width and height (points) keeping its aspect ratio
+     * @param {Buffer} jpeg
+     * @param {Object} options
+     * @param {number} options.pixelWidth
+     * @param {number} options.pixelHeight
+     * @param {number} options.channels - 1 (grayscale) or 3 (RGB)
+     * @param {number} options.width - Maximum printed width
+     * @param {number} options.height - Maximum printed height
+     */
+    image(jpeg, { pixelWidth, pixelHeight, channels = 3, width = 150, height = 220 }) {
+        const scale = Math.min(width / pixelWidth, height / pixelHeight);
+        const printedWidth = pixelWidth * scale;
+        const printedHeight = pixelHeight * scale;
+
+        this.ensureSpace(printedHeight + 6);
+        const name = `Im${this.images.length + 1}`;
+        this.images.push({ name, jpeg, pixelWidth, pixelHeight, channels });
+
+        this.y -= printedHeight;
+        this.page.push(`q ${formatNumber(printedWidth)} 0 0 ${formatNumber(printedHeight)} ${MARGIN} ${formatNumber(this.y)} cm /${name} Do Q`);
+        this.y -= 6;
+        return this;
+    }
+
+    /**
+     * Table with a header row repeated on every page
+     * @param {Array<{header: string, width: number, align?: string}>} columns - Widths are relative
+     * @param {Array<Array<string|number>>} rows
+     * @param {Object} options
+     * @param {Array<string|number>} options.totals - Bold last row
+     */
+    table(columns, rows, { size = 9, totals = null } = {}) {
+        const rowHeight = size * 1.6;
+        const widthSum = columns.reduce((sum, column) => sum + column.width, 0);
+        const widths = columns.map(column => column.width / widthSum * this.contentWidth);
+        const padding = 3;
+
+        const drawRow = (cells, bold) => {
+            let x = MARGIN;
+            cells.forEach((cell, index) => {
+                const text = truncate(cell === null || cell === undefined ? '' : String(cell), widths[index] - 2 * padding, size, bold);
+                const textX = columns[index].align === 'right'
+                    ? x + widths[index] - padding - textWidth(text, size, bold)
+                    : x + padding;
+                this.drawText(text, textX, this.y + size * 0.45, { size, bold });
+                x += widths[index];
+            });
+        };
+
+        const drawHeader = () => {
+            this.y -= rowHeight;
+            drawRow(columns.map(column => column.header), true);
+            this.drawLine(MARGIN, this.y, MARGIN + this.contentWidth, this.y, 0.8);
+        };
+
+        this.ensureSpace(rowHeight * 2);
+        drawHeader();
+
+        for (const row of rows) {
+            if (this.y - rowHeight < MARGIN + 20) {
+                this.addPage();
+                drawHeader();
+            }
+            this.y -= rowHeight;
+            drawRow(row, false);
+        }
+
+        if (totals) {
+            this.ensureSpace(rowHeight);
+            this.drawLine(MARGIN, this.y, MARGIN + this.contentWidth, this.y, 0.8);
+            this.y -= rowHeight;
+            drawRow(totals, true);
+        }
+
+        this.y -= size;
+        return this;
+    }
+
+    /**
+     * The finished document
+     * @returns {Buffer}
+     */
+    toBuffer() {
+        const objects = [];
+        const addObject = body => {
+            objects.push(body);
+            return objects.length;
+        };
+
+        const catalogId = addObject(null);
+        const pagesId = addObject(null);
+        const regularFontId = addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.regular.baseFont} /Encoding /WinAnsiEncoding >>`);
+        const boldFontId = addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.bold.baseFont} /Encoding /WinAnsiEncoding >>`);
+        const imageIds = this.images.map(image => addObject({
+            dictionary: `<< /Type /XObject /Subtype /Image /Width ${image.pixelWidth} /Height ${image.pixelHeight} ` +
+                `/ColorSpace /${image.channels === 1 ? 'DeviceGray' : 'DeviceRGB'} /BitsPerComponent 8 ` +
+                `/Filter /DCTDecode /Length ${image.jpeg.length} >>`,
+            stream: image.jpeg
+        }));
+        // Every page shares the same image resources
+        const xObjects = this.images.length > 0
+            ? `/XObject << ${this.images.map((image, index) => `/${image.name} ${imageIds[index]} 0 R`).join(' ')} >> `
+            : '';
+        const infoId = addObject(`<< /Title (${encodeText(this.title)}) /CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z) >>`);
+
+        const pageIds = this.pages.map((page, index) => {
+            const footer = [...page];
+            const pageLabel = `${index + 1} / ${this.pages.length}`;
+            footer.push(`BT /${FONTS.regular.resource} 8 Tf ${MARGIN} ${MARGIN - 20} Td (${encodeText(this.footer)}) Tj ET`);
+            footer.push(`BT /${FONTS.regular.resource} 8 Tf ${formatNumber(PAGE_WIDTH - MARGIN - textWidth(pageLabel, 8))} ${MARGIN - 20} Td (${encodeText(pageLabel)}) Tj ET`);
+
+            const content = zlib.deflateSync(Buffer.from(footer.join('\n'), 'latin1'));
+            const contentId = addObject({ dictionary: `<< /Length ${content.length} /Filter /FlateDecode >>`, stream: content });
+
+            return addObject(
+                `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+                `/Resources << /Font << /${FONTS.regular.resource} ${regularFontId} 0 R /${FONTS.bold.resource} ${boldFontId} 0 R >> ${xObjects}>> ` +
+                `/Contents ${contentId} 0 R >>`
+            );
+        });
+
+        objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+        objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+        const chunks = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+        let offset = chunks[0].length;
+        const offsets = [];
+
+        objects.forEach((body, index) => {
+            offsets.push(offset);
+            const parts = typeof body === 'string'
+                ? [Buffer.from(`${index + 1} 0 obj\n${body}\nendobj\n`, 'latin1')]
+                : [
+                    Buffer.from(`${index + 1} 0 obj\n${body.dictionary}\nstream\n`, 'latin1'),
+                    body.stream,
+                    Buffer.from('\nendstream\nendobj\n', 'latin1')
+                ];
+            for (const part of parts) {
+                chunks.push(part);
+                offset += part.length;
+            }
+        });
+
+        const xref = [
+            'xref',
+            `0 ${objects.length + 1}`,
+            '0000000000 65535 f ',
+            ...offsets.map(position => `${String(position).padStart(10, '0')} 00000 n `),
+            'trailer',
+            `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+            'startxref',
+            String(offset),
+            '%%EOF'
+        ].join('\n');
+        chunks.push(Buffer.from(xref + '\n', 'latin1'));
+
+        return Buffer.concat(chunks);
+    }
+}
+
+export default PdfDocument;
@@ -0,0 +1,992 @@
+import zlib from 'zlib';
+
+/**
+ * Minimal PDF reader for e-receipts: the text layer of each page, in reading order,
+ * and the images a page is made of (a scanned PDF is one image per page).
+ *
+ * Supports plain and compressed object streams, Flate/ASCIIHex/ASCII85 streams with
+ * PNG predictors, ToUnicode maps and WinAnsi fonts. Pages are not rendered: vector
+ * drawings are ignored and images are returned as they are stored.
+ */
+
+/**
+ * A PDF that cannot be read. code is 'encrypted' for password protected documents,
+ * 'too_large' when its streams decompress to more than the limits below and
+ * 'unreadable' otherwise.
+ */
+export class PdfReadError extends Error {
+    constructor(message, code = 'unreadable') {
+        super(message);
+        this.name = 'PdfReadError';
+        this.code = code;
+    }
+}
+
+// Deepest nesting of form XObjects that is followed
+const MAX_FORM_DEPTH = 5;
+
+// Most bytes a single Flate stream, and all streams of a document together, may
+// decompress to: a full-page RGB scan fits, a zip bomb does not
+const MAX_STREAM_SIZE = 16 * 1024 * 1024;
+const MAX_DOCUMENT_SIZE = 64 * 1024 * 1024;
+
+// Glyph width (em) assumed when a font has no widths
+const DEFAULT_GLYPH_WIDTH = 0.5;
+
+// Runs further apart than this (em) are separate words
+const WORD_GAP = 0.2;
+
+// WinAnsiEncoding characters that differ from Latin-1 (0x80-0x9F)
+const WIN_ANSI_EXTRA = {
+    0x80: '\u20AC', 0x82: '\u201A', 0x83: '\u0192', 0x84: '\u201E', 0x85: '\u2026', 0x86: '\u2020',
+    0x87: '\u2021', 0x88: '\u02C6', 0x89: '\u2030', 0x8A: '\u0160', 0x8B: '\u2039', 0x8C: '\u0152',
+    0x8E: '\u017D', 0x91: '\u2018', 0x92: '\u2019', 0x93: '\u201C', 0x94: '\u201D', 0x95: '\u2022',
+    0x96: '\u2013', 0x97: '\u2014', 0x98: '\u02DC', 0x99: '\u2122', 0x9A: '\u0161', 0x9B: '\u203A',
+    0x9C: '\u0153', 0x9E: '\u017E', 0x9F: '\u0178'
+};
+
+// Glyph names of /Differences encodings that are not a single letter
+const GLYPH_NAMES = {
+    space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%',
+    ampersand: '&', quotesingle: "'", quoteright: '\u2019', quoteleft: '\u2018', parenleft: '(',
+    parenright: ')', asterisk: '*', plus: '+', comma: ',', hyphen: '-', minus: '-', period: '.',
+    slash: '/', zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6',
+    seven: '7', eight: '8', nine: '9', colon: ':', semicolon: ';', less: '<', equal: '=',
+    greater: '>', question: '?', at: '@', bracketleft: '[', backslash: '\\', bracketright: ']',
+    underscore: '_', bar: '|', Euro: '\u20AC', euro: '\u20AC', sterling: '\u00A3', yen: '\u00A5',
+    multiply: '\u00D7', degree: '\u00B0', bullet: '\u2022', endash: '\u2013', emdash: '\u2014'
+};
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0A, 0x0C, 0x0D, 0x20]);
+const DELIMITERS = new Set('()<>[]{}/%'.split('').map(char => char.charCodeAt(0)));
+
+// A PDF string (bytes as a Latin-1 string), as opposed to a name
+class PdfString {
+    constructor(bytes) {
+        this.bytes = bytes;
+    }
+}
+
+class PdfRef {
+    constructor(num) {
+        this.num = num;
+    }
+}
+
+class PdfOperator {
+    constructor(op) {
+        this.op = op;
+    }
+}
+
+/**
+ * Whether a buffer holds a PDF document
+ */
+export function isPdf(buffer) {
+    return Buffer.isBuffer(buffer) && buffer.subarray(0, 1024).toString('latin1').includes('%PDF-');
+}
+
+// Tokenizer and parser of PDF objects (also used for content streams)
+class Lexer {
+    constructor(source, position = 0) {
+        this.source = source;
+        this.position = position;
+    }
+
+    code(offset = 0) {
+        return this.source.charCodeAt(this.position + offset);
+    }
+
+    skipWhitespace() {
+        while (this.position < this.source.length) {
+            const code = this.code();
+            if (WHITESPACE.has(code)) {
+                this.position++;
+            } else if (code === 0x25) { // % comment
+                while (this.position < this.source.length && this.code() !== 0x0A && this.code() !== 0x0D) {
+                    this.position++;
+                }
+            } else {
+                break;
+            }
+        }
+    }
+
+    atEnd() {
+        this.skipWhitespace();
+        return this.position >= this.source.length;
+    }
+
+    readWord() {
+        const start = this.position;
+        while (this.position < this.source.length && !WHITESPACE.has(this.code()) && !DELIMITERS.has(this.code())) {
+            this.position++;
+        }
+        return this.source.slice(start, this.position);
+    }
+
+    readValue() {
+        this.skipWhitespace();
+        const char = this.source[this.position];
+
+        if (char === '<' && this.source[this.position + 1] === '<') {
+            this.position += 2;
+            const dict = {};
+            for (;;) {
+                this.skipWhitespace();
+                if (this.position >= this.source.length) break;
+                if (this.source.startsWith('>>', this.position)) {
+                    this.position += 2;
+                    break;
+                }
+                const key = this.readValue();
+                if (typeof key !== 'string') continue;
+                dict[key] = this.readValue();
+            }
+            return dict;
+        }
+        if (char === '<') {
+            const end = this.source.indexOf('>', this.position);
+            const hex = this.source.slice(this.position + 1, end < 0 ? undefined : end).replace(/[^0-9a-fA-F]/g, '');
+            this.position = end < 0 ? this.source.length : end + 1;
+            return new PdfString(Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex').toString('latin1'));
+        }
+        if (char === '[') {
+            this.position++;
+            const array = [];
+            for (;;) {
+                this.skipWhitespace();
+                if (this.position >= this.source.length) break;
+                if (this.source[this.position] === ']') {
+                    this.position++;
+                    break;
+                }
+                array.push(this.readValue());
+            }
+            return array;
+        }
+        if (char === '(') {
+            return new PdfString(this.readLiteralString());
+        }
+        if (char === '/') {
+            this.position++;
+            return this.readWord().replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+        }
+        if (char === ')' || char === '>' || char === ']' || char === '{' || char === '}') {
+            this.position++;
+            return null;
+        }
+
+        const word = this.readWord();
+        if (word === '') {
+            this.position++;
+            return null;
+        }
+        if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+            // "12 0 R" is a reference
+            const match = /^\s+(\d+)\s+R(?![^\s/<>[\]()%])/.exec(this.source.slice(this.position, this.position + 24));
+            if (/^\d+$/.test(word) && match) {
+                this.position += match[0].length;
+                return new PdfRef(parseInt(word));
+            }
+            return parseFloat(word);
+        }
+        if (word === 'true') return true;
+        if (word === 'false') return false;
+        if (word === 'null') return null;
+        return new PdfOperator(word);
+    }
+
+    readLiteralString() {
+        const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+        let depth = 1;
+        let result = '';
+        this.position++;
+        while (this.position < this.source.length) {
+            const char = this.source[this.position++];
+            if (char === '\\') {
+                const next = this.source[this.position++];
+                if (next in escapes) {
+                    result += escapes[next];
+                } else if (/[0-7]/.test(next)) {
+                    let octal = next;
+                    while (octal.length < 3 && /[0-7]/.test(this.source[this.position])) {
+                        octal += this.source[this.position++];
+                    }
+                    result += String.fromCharCode(parseInt(octal, 8) & 0xFF);
+                } else if (next === '\r') {
+                    if (this.source[this.position] === '\n') this.position++;
+                } else if (next !== '\n') {
+                    result += next;
+                }
+            } else if (char === '(') {
+                depth++;
+                result += char;
+            } else if (char === ')') {
+                if (--depth === 0) break;
+                result += char;
+            } else {
+                result += char;
+            }
+        }
+        return result;
+    }
+}
+
+function applyPngPredictor(data, params) {
+    const colors = params.Colors || 1;
+    const bitsPerComponent = params.BitsPerComponent || 8;
+    const columns = params.Columns || 1;
+    const bytesPerPixel = Math.max(1, Math.ceil(colors * bitsPerComponent / 8));
+    const rowLength = Math.ceil(colors * bitsPerComponent * columns / 8);
+    const rows = Math.floor(data.length / (rowLength + 1));
+    const output = Buffer.alloc(rows * rowLength);
+    let previous = Buffer.alloc(rowLength);
+
+    for (let row = 0; row < rows; row++) {
+        const type = data[row * (rowLength + 1)];
+        const line = data.subarray(row * (rowLength + 1) + 1, (row + 1) * (rowLength + 1));
+        const current = output.subarray(row * rowLength, (row + 1) * rowLength);
+        for (let i = 0; i < rowLength; i++) {
+            const left = i >= bytesPerPixel ? current[i - bytesPerPixel] : 0;
+            const up = previous[i];
+            const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+            let value = line[i];
+            if (type === 1) value += left;
+            else if (type === 2) value += up;
+            else if (type === 3) value += Math.floor((left + up) / 2);
+            else if (type === 4) {
+                const estimate = left + up - upLeft;
+                const distances = [Math.abs(estimate - left), Math.abs(estimate - up), Math.abs(estimate - upLeft)];
+                value += distances[0] <= distances[1] && distances[0] <= distances[2]
+                    ? left
+                    : distances[1] <= distances[2] ? up : upLeft;
+            }
+            current[i] = value & 0xFF;
+        }
+        previous = current;
+    }
+    return output;
+}
+
+function inflate(data, maxOutputLength) {
+    try {
+        return inflateWithin(data, { maxOutputLength });
+    } catch (error) {
+        if (error instanceof PdfReadError) throw error;
+        // Truncated or slightly damaged streams: keep what could be decompressed
+        return inflateWithin(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH, maxOutputLength });
+    }
+}
+
+function inflateWithin(data, options) {
+    try {
+        return zlib.inflateSync(data, options);
+    } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+            throw new PdfReadError('The PDF content is too large to decompress', 'too_large');
+        }
+        throw error;
+    }
+}
+
+// Damaged parts of a document are skipped, but never a document over the size limits
+function rethrowTooLarge(error) {
+    if (error instanceof PdfReadError && error.code === 'too_large') throw error;
+}
+
+function decodeAsciiHex(data) {
+    const hex = data.toString('latin1').split('>')[0].replace(/[^0-9a-fA-F]/g, '');
+    return Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex');
+}
+
+function decodeAscii85(data) {
+    const text = data.toString('latin1').replace(/^<~/, '').split('~>')[0].replace(/\s/g, '');
+    const bytes = [];
+    let group = [];
+    for (const char of text) {
+        if (char === 'z' && group.length === 0) {
+            bytes.push(0, 0, 0, 0);
+            continue;
+        }
+        group.push(char.charCodeAt(0) - 33);
+        if (group.length === 5) {
+            const value = group.reduce((sum, digit) => sum * 85 + digit, 0);
+            bytes.push((value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF);
+            group = [];
+        }
+    }
+    if (group.length > 1) {
+        const padded = [...group, 84, 84, 84, 84].slice(0, 5);
+        const value = padded.reduce((sum, digit) => sum * 85 + digit, 0);
+        const tail = [(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF];
+        bytes.push(...tail.slice(0, group.length - 1));
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Parsed PDF document: objects by number, resolved lazily
+ */
+class PdfDocument {
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.source = buffer.toString('latin1');
+        this.objects = new Map();
+        this.fonts = new Map();
+        // Bytes decompressed so far, see MAX_DOCUMENT_SIZE
+        this.inflated = 0;
+        this.parseObjects();
+        this.parseObjectStreams();
+    }
+
+    parseObjects() {
+        const pattern = /(\d+)\s+(\d+)\s+obj\b/g;
+        let match;
+        while ((match = pattern.exec(this.source)) !== null) {
+            const lexer = new Lexer(this.source, pattern.lastIndex);
+            let value;
+            try {
+                value = lexer.readValue();
+            } catch {
+                continue;
+            }
+
+            const entry = { value };
+            lexer.skipWhitespace();
+            if (this.source.startsWith('stream', lexer.position)) {
+                let start = lexer.position + 'stream'.length;
+                if (this.source[start] === '\r') start++;
+                if (this.source[start] === '\n') start++;
+                entry.streamStart = start;
+                entry.streamEnd = this.findStreamEnd(value, start);
+                pattern.lastIndex = entry.streamEnd;
+            } else {
+                pattern.lastIndex = lexer.position;
+            }
+            // Later revisions (incremental updates) replace earlier ones
+            this.objects.set(parseInt(match[1]), entry);
+        }
+    }
+
+    findStreamEnd(dict, start) {
+        const length = dict && dict.Length;
+        if (typeof length === 'number' && this.source.startsWith('endstream', this.skipEol(start + length))) {
+            return start + length;
+        }
+        let end = this.source.indexOf('endstream', start);
+        if (end < 0) end = this.source.length;
+        if (this.source[end - 1] === '\n') end--;
+        if (this.source[end - 1] === '\r') end--;
+        return end;
+    }
+
+    skipEol(position) {
+        while (WHITESPACE.has(this.source.charCodeAt(position))) position++;
+        return position;
+    }
+
+    parseObjectStreams() {
+        for (const entry of [...this.objects.values()]) {
+            if (entry.value?.Type !== 'ObjStm' || entry.streamStart === undefined) continue;
+            let data;
+            try {
+                data = this.streamData(entry).toString('latin1');
+            } catch (error) {
+                rethrowTooLarge(error);
+                continue;
+            }
+
+            const count = this.resolve(entry.value.N) || 0;
+            const first = this.resolve(entry.value.First) || 0;
+            const header = new Lexer(data.slice(0, first));
+            for (let i = 0; i < count; i++) {
+                const num = header.readValue();
+                const offset = header.readValue();
+                if (typeof num !== 'number' || typeof offset !== 'number') break;
+                // An object written directly takes precedence
+                if (this.objects.has(num)) continue;
+                try {
+                    this.objects.set(num, { value: new Lexer(data, first + offset).readValue() });
+                } catch {
+                    // Skip damaged objects
+                }
+            }
+        }
+    }
+
+    resolve(value, depth = 0) {
+        if (value instanceof PdfRef && depth < 16) {
+            return this.resolve(this.objects.get(value.num)?.value ?? null, depth + 1);
+        }
+        return value;
+    }
+
+    entry(value) {
+        return value instanceof PdfRef ? this.objects.get(value.num) : null;
+    }
+
+    /**
+     * Decoded bytes of a stream, stopping at image codecs (DCT, JPX, CCITT, JBIG2),
+     * whose name is returned as `encoding`
+     */
+    decodeStream(entry) {
+        const dict = entry.value || {};
+        let data = this.buffer.subarray(entry.streamStart, entry.streamEnd);
+        const filters = [].concat(this.resolve(dict.Filter) ?? []).map(filter => this.resolve(filter));
+        const params = [].concat(this.resolve(dict.DecodeParms) ?? []).map(param => this.resolve(param));
+
+        for (const [index, filter] of filters.entries()) {
+            const param = params[index] || {};
+            if (filter === 'FlateDecode' || filter === 'Fl') {
+                data = inflate(data, Math.min(MAX_STREAM_SIZE, MAX_DOCUMENT_SIZE - this.inflated));
+                this.inflated += data.length;
+                if ((param.Predictor || 1) >= 10) {
+                    data = applyPngPredictor(data, param);
+                }
+            } else if (filter === 'ASCIIHexDecode' || filter === 'AHx') {
+                data = decodeAsciiHex(data);
+            } else if (filter === 'ASCII85Decode' || filter === 'A85') {
+                data = decodeAscii85(data);
+            } else {
+                return { data, encoding: filter };
+            }
+        }
+        return { data, encoding: null };
+    }
+
+    streamData(entry) {
+        const { data, encoding } = this.decodeStream(entry);
+        if (encoding) {
+            throw new PdfReadError(`Unsupported stream filter ${encoding}`);
+        }
+        return data;
+    }
+
+    pages() {
+        const catalog = [...this.objects.values()].reverse().find(entry => entry.value?.Type === 'Catalog')?.value;
+        const pages = [];
+        const visit = (node, inherited, depth) => {
+            const dict = this.resolve(node);
+            if (!dict || depth > 32) return;
+            const resources = dict.Resources ?? inherited;
+            if (dict.Type === 'Pages' || Array.isArray(this.resolve(dict.Kids))) {
+                for (const kid of this.resolve(dict.Kids) || []) {
+                    visit(kid, resources, depth + 1);
+                }
+            } else {
+                pages.push({ ...dict, Resources: resources });
+            }
+        };
+
+        if (catalog?.Pages) {
+            visit(catalog.Pages, null, 0);
+        }
+        if (pages.length === 0) {
+            // Damaged page tree: every page object, in object order
+            for (const num of [...this.objects.keys()].sort((a, b) => a - b)) {
+                const value = this.objects.get(num).value;
+                if (value?.Type === 'Page') pages.push(value);
+            }
+        }
+        return pages;
+    }
+
+    font(ref) {
+        const key = ref instanceof PdfRef ? ref.num : null;
+        if (key !== null && this.fonts.has(key)) {
+            return this.fonts.get(key);
+        }
+        const font = new PdfFont(this, this.resolve(ref) || {});
+        if (key !== null) this.fonts.set(key, font);
+        return font;
+    }
+}
+
+function parseUtf16(hex) {
+    const bytes = Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex');
+    let text = '';
+    for (let i = 0; i + 1 < bytes.length; i += 2) {
+        text += String.fromCharCode(bytes.readUInt16BE(i));
+    }
+    return text;
+}
+
+function parseToUnicode(cmap) {
+    const map = new Map();
+    let codeLength = 1;
+
+    const codespace = /begincodespacerange([\s\S]*?)endcodespacerange/g;
+    let block;
+    while ((block = codespace.exec(cmap)) !== null) {
+        const first = /<([0-9a-fA-F]+)>/.exec(block[1]);
+        if (first) codeLength = Math.max(1, Math.ceil(first[1].length / 2));
+    }
+
+    const chars = /beginbfchar([\s\S]*?)endbfchar/g;
+    while ((block = chars.exec(cmap)) !== null) {
+        const pair = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g;
+        let match;
+        while ((match = pair.exec(block[1])) !== null) {
+            map.set(parseInt(match[1], 16), parseUtf16(match[2]));
+        }
+    }
+
+    const ranges = /beginbfrange([\s\S]*?)endbfrange/g;
+    while ((block = ranges.exec(cmap)) !== null) {
+        const range = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g;
+        let match;
+        while ((match = range.exec(block[1])) !== null) {
+            const low = parseInt(match[1], 16);
+            const high = Math.min(parseInt(match[2], 16), low + 0xFFFF);
+            if (match[3].startsWith('[')) {
+                const targets = [...match[3].matchAll(/<([0-9a-fA-F]*)>/g)].map(target => parseUtf16(target[1]));
+                targets.forEach((target, index) => map.set(low + index, target));
+            } else {
+                const base = parseUtf16(match[3].slice(1, -1));
+                const last = base.charCodeAt(base.length - 1);
+                for (let code = low; code <= high; code++) {
+                    map.set(code, base.slice(0, -1) + String.fromCharCode(last + code - low));
+                }
+            }
+        }
+    }
+
+    return { map, codeLength };
+}
+
+// Text decoding and glyph widths of a font
+class PdfFont {
+    constructor(document, dict) {
+        this.composite = dict.Subtype === 'Type0';
+        this.codeLength = this.composite ? 2 : 1;
+        this.firstChar = document.resolve(dict.FirstChar) || 0;
+        this.widths = (document.resolve(dict.Widths) || []).map(width => document.resolve(width));
+        if (this.composite) {
+            this.readCompositeWidths(document, document.resolve(document.resolve(dict.DescendantFonts)?.[0]) || {});
+        }
+
+        const toUnicode = document.entry(dict.ToUnicode);
+        if (toUnicode?.streamStart !== undefined) {
+            try {
+                const { map, codeLength } = parseToUnicode(document.streamData(toUnicode).toString('latin1'));
+                this.unicode = map;
+                this.codeLength = codeLength;
+            } catch (error) {
+                rethrowTooLarge(error);
+                this.unicode = null;
+            }
+        }
+
+        this.differences = new Map();
+        const encoding = document.resolve(dict.Encoding);
+        if (encoding && typeof encoding === 'object') {
+            let code = 0;
+            for (const item of document.resolve(encoding.Differences) || []) {
+                if (typeof item === 'number') {
+                    code = item;
+                } else if (typeof item === 'string') {
+                    this.differences.set(code++, item);
+                }
+            }
+        }
+    }
+
+    // W array of a CIDFont: "c [w1 w2 ...]" or "cFirst cLast w", DW for the others
+    readCompositeWidths(document, descendant) {
+        this.firstChar = 0;
+        this.widths = [];
+        this.defaultWidth = document.resolve(descendant.DW) ?? 1000;
+        const list = (document.resolve(descendant.W) || []).map(item => document.resolve(item));
+        for (let i = 0; i < list.length;) {
+            const first = list[i];
+            const next = document.resolve(list[i + 1]);
+            if (Array.isArray(next)) {
+                next.forEach((width, index) => { this.widths[first + index] = document.resolve(width); });
+                i += 2;
+            } else {
+                for (let code = first; code <= next && code - first < 0xFFFF; code++) {
+                    this.widths[code] = list[i + 2];
+                }
+                i += 3;
+            }
+        }
+    }
+
+    codes(bytes) {
+        const codes = [];
+        for (let i = 0; i + this.codeLength <= bytes.length; i += this.codeLength) {
+            let code = 0;
+            for (let j = 0; j < this.codeLength; j++) {
+                code = code * 256 + bytes.charCodeAt(i + j);
+            }
+            codes.push(code);
+        }
+        return codes;
+    }
+
+    decode(code) {
+        if (this.unicode) {
+            return this.unicode.get(code) ?? '';
+        }
+        if (this.composite) {
+            // Glyph ids without a ToUnicode map cannot be read
+            return '';
+        }
+        const glyph = this.differences.get(code);
+        if (glyph) {
+            if (GLYPH_NAMES[glyph]) return GLYPH_NAMES[glyph];
+            if (/^[A-Za-z]$/.test(glyph)) return glyph;
+            const unicode = /^uni([0-9A-Fa-f]{4})$/.exec(glyph);
+            if (unicode) return String.fromCharCode(parseInt(unicode[1], 16));
+        }
+        return WIN_ANSI_EXTRA[code] || String.fromCharCode(code);
+    }
+
+    // Advance of a glyph, in ems
+    width(code) {
+        const width = this.widths[code - this.firstChar] ?? this.defaultWidth;
+        return typeof width === 'number' && width > 0 ? width / 1000 : DEFAULT_GLYPH_WIDTH;
+    }
+}
+
+function multiply(m, n) {
+    return [
+        m[0] * n[0] + m[1] * n[2],
+        m[0] * n[1] + m[1] * n[3],
+        m[2] * n[0] + m[3] * n[2],
+        m[2] * n[1] + m[3] * n[3],
+        m[4] * n[0] + m[5] * n[2] + n[4],
+        m[4] * n[1] + m[5] * n[3] + n[5]
+    ];
+}
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+/**
+ * Text runs and images of a content stream (and the forms it draws), in page space
+ */
+function interpretContent(document, content, resources, ctm, output, depth = 0) {
+    const lexer = new Lexer(content);
+    const resourceDict = document.resolve(resources) || {};
+    const fontDict = document.resolve(resourceDict.Font) || {};
+    const xObjects = document.resolve(resourceDict.XObject) || {};
+
+    const stack = [];
+    let operands = [];
+    let font = null;
+    let fontSize = 12;
+    let leading = 0;
+    let horizontalScale = 1;
+    let charSpacing = 0;
+    let wordSpacing = 0;
+    let textMatrix = IDENTITY;
+    let lineMatrix = IDENTITY;
+
+    const moveLine = (tx, ty) => {
+        lineMatrix = multiply([1, 0, 0, 1, tx, ty], lineMatrix);
+        textMatrix = lineMatrix;
+    };
+
+    const show = (string) => {
+        if (!(string instanceof PdfString) || !font) return;
+        let text = '';
+        let advance = 0;
+        for (const code of font.codes(string.bytes)) {
+            const char = font.decode(code);
+            text += char;
+            advance += (font.width(code) * fontSize + charSpacing + (char === ' ' ? wordSpacing : 0)) * horizontalScale;
+        }
+
+        const start = multiply(textMatrix, ctm);
+        textMatrix = multiply([1, 0, 0, 1, advance, 0], textMatrix);
+        const end = multiply(textMatrix, ctm);
+        if (text.trim() !== '') {
+            output.runs.push({
+                text,
+                x: start[4],
+                y: start[5],
+                endX: end[4],
+                size: Math.abs(fontSize * Math.hypot(start[2], start[3])) || fontSize
+            });
+        }
+    };
+
+    while (!lexer.atEnd()) {
+        const token = lexer.readValue();
+        if (!(token instanceof PdfOperator)) {
+            operands.push(token);
+            continue;
+        }
+
+        const args = operands;
+        operands = [];
+        switch (token.op) {
+            case 'q':
+                stack.push(ctm);
+                break;
+            case 'Q':
+                ctm = stack.pop() || ctm;
+                break;
+            case 'cm':
+                if (args.length === 6) ctm = multiply(args, ctm);
+                break;
+            case 'BT':
+                textMatrix = lineMatrix = IDENTITY;
+                break;
+            case 'Tf':
+                font = document.font(fontDict[args[0]]);
+                fontSize = typeof args[1] === 'number' ? args[1] : fontSize;
+                break;
+            case 'TL':
+                leading = args[0] || 0;
+                break;
+            case 'Tz':
+                horizontalScale = (args[0] ?? 100) / 100;
+                break;
+            case 'Tc':
+                charSpacing = args[0] || 0;
+                break;
+            case 'Tw':
+                wordSpacing = args[0] || 0;
+                break;
+            case 'Td':
+                moveLine(args[0] || 0, args[1] || 0);
+                break;
+            case 'TD':
+                leading = -(args[1] || 0);
+                moveLine(args[0] || 0, args[1] || 0);
+                break;
+            case 'Tm':
+                if (args.length === 6) textMatrix = lineMatrix = args;
+                break;
+            case 'T*':
+                moveLine(0, -leading);
+                break;
+            case 'Tj':
+                show(args[0]);
+                break;
+            case "'":
+                moveLine(0, -leading);
+                show(args[0]);
+                break;
+            case '"':
+                wordSpacing = args[0] || 0;
+                charSpacing = args[1] || 0;
+                moveLine(0, -leading);
+                show(args[2]);
+                break;
+            case 'TJ':
+                for (const item of Array.isArray(args[0]) ? args[0] : []) {
+                    if (typeof item === 'number') {
+                        // Wide gaps become spaces when the runs are joined into lines
+                        textMatrix = multiply([1, 0, 0, 1, -item / 1000 * fontSize * horizontalScale, 0], textMatrix);
+                    } else {
+                        show(item);
+                    }
+                }
+                break;
+            case 'BI': {
+                // Inline image: skip its data
+                const end = content.slice(lexer.position).search(/\sEI(?=\s|$)/);
+                lexer.position = end < 0 ? content.length : lexer.position + end + 3;
+                break;
+            }
+            case 'Do': {
+                const entry = document.entry(xObjects[args[0]]);
+                const dict = entry?.value;
+                if (!dict) break;
+                if (dict.Subtype === 'Image') {
+                    output.images.push({
+                        entry,
+                        width: Math.abs(ctm[0]) + Math.abs(ctm[2]),
+                        height: Math.abs(ctm[1]) + Math.abs(ctm[3])
+                    });
+                } else if (dict.Subtype === 'Form' && depth < MAX_FORM_DEPTH && entry.streamStart !== undefined) {
+                    try {
+                        const form = document.streamData(entry).toString('latin1');
+                        const matrix = document.resolve(dict.Matrix);
+                        interpretContent(
+                            document,
+                            form,
+                            dict.Resources ?? resources,
+                            Array.isArray(matrix) && matrix.length === 6 ? multiply(matrix, ctm) : ctm,
+                            output,
+                            depth + 1
+                        );
+                    } catch (error) {
+                        rethrowTooLarge(error);
+                        // Skip forms that cannot be decoded
+                    }
+                }
+                break;
+            }
+            default:
+                break;
+        }
+    }
+}
+
+/**
+ * Lines of text from text runs: grouped by baseline, top to bottom, left to right
+ */
+function runsToLines(runs) {
+    const sorted = [...runs].sort((a, b) => b.y - a.y || a.x - b.x);
+    const lines = [];
+    for (const run of sorted) {
+        const line = lines[lines.length - 1];
+        if (line && Math.abs(line.y - run.y) <= Math.max(run.size, line.size) * 0.4) {
+            line.runs.push(run);
+        } else {
+            lines.push({ y: run.y, size: run.size, runs: [run] });
+        }
+    }
+
+    return lines.map(line => {
+        let text = '';
+        let lastEnd = null;
+        for (const run of line.runs.sort((a, b) => a.x - b.x)) {
+            const gap = lastEnd === null ? 0 : run.x - lastEnd;
+            if (lastEnd !== null && gap > run.size * WORD_GAP && !text.endsWith(' ') && !run.text.startsWith(' ')) {
+                text += ' ';
+            }
+            text += run.text;
+            lastEnd = Math.max(lastEnd ?? run.endX, run.endX);
+        }
+        return text.replace(/\s+/g, ' ').trim();
+    }).filter(Boolean);
+}
+
+function imageChannels(document, colorSpace) {
+    const space = document.resolve(colorSpace);
+    const name = Array.isArray(space) ? document.resolve(space[0]) : space;
+    if (name === 'DeviceGray' || name === 'CalGray' || name === 'G') return 1;
+    if (name === 'DeviceRGB' || name === 'CalRGB' || name === 'RGB') return 3;
+    if (name === 'DeviceCMYK' || name === 'CMYK') return 4;
+    if (name === 'ICCBased') {
+        return document.resolve(document.entry(space[1])?.value?.N) || 3;
+    }
+    return null;
+}
+
+/**
+ * Pixels of an image XObject: { format: 'jpeg', data } for a JPEG as stored,
+ * { format: 'raw', data, width, height, channels } for 8-bit gray or RGB pixels,
+ * or null for encodings that cannot be read (JPEG 2000, CCITT, JBIG2, indexed colors)
+ */
+function readImage(document, entry) {
+    const dict = entry.value;
+    const { data, encoding } = document.decodeStream(entry);
+    if (encoding === 'DCTDecode' || encoding === 'DCT') {
+        return { format: 'jpeg', data };
+    }
+    if (encoding) {
+        return null;
+    }
+
+    const width = document.resolve(dict.Width);
+    const height = document.resolve(dict.Height);
+    const bitsPerComponent = document.resolve(dict.BitsPerComponent) || (dict.ImageMask ? 1 : 8);
+    const channels = dict.ImageMask ? 1 : imageChannels(document, dict.ColorSpace);
+    if (!width || !height || !channels) {
+        return null;
+    }
+
+    if (bitsPerComponent === 1 && channels === 1) {
+        // Black and white scans: one bit per pixel, rows padded to a byte
+        const rowBytes = Math.ceil(width / 8);
+        const pixels = Buffer.alloc(width * height);
+        const black = dict.ImageMask ? 1 : 0;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const bit = (data[y * rowBytes + (x >> 3)] >> (7 - (x & 7))) & 1;
+                pixels[y * width + x] = bit === black ? 0 : 255;
+            }
+        }
+        return { format: 'raw', data: pixels, width, height, channels: 1 };
+    }
+
+    if (bitsPerComponent !== 8 || data.length < width * height * channels) {
+        return null;
+    }
+
+    if (channels === 4) {
+        const rgb = Buffer.alloc(width * height * 3);
+        for (let i = 0, j = 0; j < rgb.length; i += 4, j += 3) {
+            const k = 255 - data[i + 3];
+            rgb[j] = (255 - data[i]) * k / 255;
+            rgb[j + 1] = (255 - data[i + 1]) * k / 255;
+            rgb[j + 2] = (255 - data[i + 2]) * k / 255;
+        }
+        return { format: 'raw', data: rgb, width, height, channels: 3 };
+    }
+
+    return { format: 'raw', data: data.subarray(0, width * height * channels), width, height, channels };
+}
+
+/**
+ * Read the pages of a PDF: { pages: [{ lines, image, unreadableImage }] }. lines is
+ * the text layer, top to bottom; image is the largest image drawn on the page (see
+ * readImage), the page itself for scanned documents, and unreadableImage is true when
+ * that image is in an encoding that cannot be read.
+ * @param {Buffer} buffer - The PDF file
+ * @param {Object} options
+ * @param {number} options.maxPages - Pages after this one are not read
+ * @throws {PdfReadError} When the buffer is not a readable PDF
+ */
+export function readPdf(buffer, { maxPages = Infinity } = {}) {
+    if (!isPdf(buffer)) {
+        throw new PdfReadError('Not a PDF document');
+    }
+    if (/\/Encrypt[\s<\d]/.test(buffer.toString('latin1'))) {
+        throw new PdfReadError('Encrypted PDF documents are not supported', 'encrypted');
+    }
+
+    const document = new PdfDocument(buffer);
+    const pageDicts = document.pages();
+    if (pageDicts.length === 0) {
+        throw new PdfReadError('The PDF has no pages');
+    }
+
+    const pages = pageDicts.slice(0, maxPages).map(page => {
+        const output = { runs: [], images: [] };
+        // A reference to a stream, or an array (possibly by reference) of streams
+        let contents = page.Contents;
+        if (Array.isArray(document.resolve(contents))) {
+            contents = document.resolve(contents);
+        }
+        contents = [].concat(contents ?? [])
+            .map(ref => document.entry(ref))
+            .filter(entry => entry?.streamStart !== undefined);
+
+        try {
+            const content = contents.map(entry => document.streamData(entry).toString('latin1')).join('\n');
+            interpretContent(document, content, page.Resources, IDENTITY, output);
+        } catch (error) {
+            if (error instanceof PdfReadError) throw error;
+            // Keep what was read before the damaged part
+        }
+
+        const largest = output.images.sort((a, b) => b.width * b.height - a.width * a.height)[0];
+        let image = null;
+        if (largest) {
+            try {
+                image = readImage(document, largest.entry);
+            } catch (error) {
+                rethrowTooLarge(error);
+                image = null;
+            }
+        }
+
+        // A page drawn with an image that could not be read (e.g. a JPEG 2000 or CCITT scan)
+        return { lines: runsToLines(output.runs), image, unreadableImage: Boolean(largest) && !image };
+    });
+
+    return { pages, pageCount: pageDicts.length };
+}
+
+export default {
+    isPdf,
+    readPdf,
+    PdfReadError
+};
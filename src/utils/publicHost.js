@@ -0,0 +1,106 @@
+/**
+ * Checks for outgoing requests to URLs that users supply (webhooks): they may only
+ * reach public internet hosts, not this server or the private networks it runs in.
+ */
+import dns from 'dns';
+import net from 'net';
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked against the IPv4 ranges
+const NON_PUBLIC_RANGES = new net.BlockList();
+
+[
+    ['0.0.0.0', 8],         // "this" network
+    ['10.0.0.0', 8],        // private
+    ['100.64.0.0', 10],     // carrier-grade NAT
+    ['127.0.0.0', 8],       // loopback
+    ['169.254.0.0', 16],    // link-local, cloud metadata services
+    ['172.16.0.0', 12],     // private
+    ['192.0.0.0', 24],      // IETF protocol assignments
+    ['192.0.2.0', 24],      // documentation
+    ['192.168.0.0', 16],    // private
+    ['198.18.0.0', 15],     // benchmarking
+    ['198.51.100.0', 24],   // documentation
+    ['203.0.113.0', 24],    // documentation
+    ['224.0.0.0', 4],       // multicast
+    ['240.0.0.0', 4]        // reserved, broadcast
+].forEach(([network, prefix]) => NON_PUBLIC_RANGES.addSubnet(network, prefix, 'ipv4'));
+
+[
+    ['::', 96],             // unspecified, loopback, IPv4-compatible
+    ['64:ff9b:1::', 48],    // local-use IPv4/IPv6 translation
+    ['100::', 64],          // discard
+    ['2001:db8::', 32],     // documentation
+    ['fc00::', 7],          // unique local
+    ['fe80::', 10],         // link-local
+    ['ff00::', 8]           // multicast
+].forEach(([network, prefix]) => NON_PUBLIC_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is on the public internet
+ */
+export function isPublicAddress(address) {
+    const family = net.isIP(address);
+    if (family === 0) {
+        return false;
+    }
+    return !NON_PUBLIC_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Resolve the host of a URL and check that all of its addresses are public.
+ * Returns the addresses; throws an Error saying why the host is refused otherwise.
+ */
+export async function assertPublicHost(url) {
+    // IPv6 hosts are written in brackets; IPv4 in other notations (0x7f.1) is normalized by URL
+    const hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+    if (/^localhost$|\.localhost$/i.test(hostname)) {
+        throw new Error(`${hostname} is not a public host`);
+    }
+
+    let addresses;
+    if (net.isIP(hostname)) {
+        addresses = [hostname];
+    } else {
+        try {
+            const records = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+            addresses = records.map(record => record.address);
+        } catch (error) {
+            throw new Error(`${hostname} could not be resolved (${error.code || error.message})`);
+        }
+    }
+
+    const refused = addresses.find(address => !isPublicAddress(address));
+    if (refused) {
+        throw new Error(`${hostname} resolves to ${refused}, which is not a public address`);
+    }
+    return addresses;
+}
+
+/**
+ * dns.lookup for outgoing connections (the `lookup` option of http.request): fails
+ * when the host resolves to an address that is not public. The connection is made to
+ * the addresses checked here, so a host that resolves to another address after
+ * assertPublicHost (DNS rebinding) is still refused.
+ */
+export function lookupPublicAddress(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) {
+            callback(error);
+            return;
+        }
+
+        const addresses = options.all ? address : [{ address, family }];
+        const refused = addresses.find(record => !isPublicAddress(record.address));
+        if (refused) {
+            callback(new Error(`${hostname} resolves to ${refused.address}, which is not a public address`));
+            return;
+        }
+        callback(null, address, family);
+    });
+}
+
+export default {
+    isPublicAddress,
+    assertPublicHost,
+    lookupPublicAddress
+};
@@ -0,0 +1,947 @@
+/**
+ * Minimal QR code reader for receipt photos (ISO/IEC 18004)
+ *
+ * Finds the codes in a grayscale image by their finder patterns, samples the module
+ * grid (through the alignment pattern when there is one, to follow the perspective of
+ * a photo) and decodes it with Reed-Solomon error correction. All versions are read,
+ * with numeric, alphanumeric, byte and kanji segments and ECI charsets. Micro QR,
+ * mirrored and inverted (light on dark) codes are not.
+ */
+
+// Error correction levels in the order of the tables below
+const EC_LEVELS = ['L', 'M', 'Q', 'H'];
+
+// Level of the two error correction bits of the format information
+const FORMAT_EC_LEVELS = { 1: 0, 0: 1, 3: 2, 2: 3 };
+
+// Error correction codewords per block, by level and version (index 0 unused)
+const EC_CODEWORDS_PER_BLOCK = [
+    [0, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [0, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [0, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+// Error correction blocks, by level and version (index 0 unused)
+const EC_BLOCKS = [
+    [0, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [0, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [0, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+const ALPHANUMERIC_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+// ECI assignment numbers of the charsets TextDecoder knows
+const ECI_CHARSETS = {
+    1: 'iso-8859-1', 3: 'iso-8859-1', 4: 'iso-8859-2', 5: 'iso-8859-3', 6: 'iso-8859-4',
+    7: 'iso-8859-5', 8: 'iso-8859-6', 9: 'iso-8859-7', 10: 'iso-8859-8', 11: 'iso-8859-9',
+    13: 'iso-8859-11', 15: 'iso-8859-13', 16: 'iso-8859-14', 17: 'iso-8859-15', 18: 'iso-8859-16',
+    20: 'shift_jis', 21: 'windows-1250', 22: 'windows-1251', 23: 'windows-1252', 24: 'windows-1256',
+    25: 'utf-16be', 26: 'utf-8', 27: 'us-ascii', 28: 'big5', 29: 'gb18030', 30: 'euc-kr'
+};
+
+// Side of the blocks the binarizer computes a threshold for (pixels)
+const BINARIZER_BLOCK = 8;
+
+// Blocks with less contrast than this are background
+const MIN_BLOCK_CONTRAST = 24;
+
+// Finder pattern candidates compared when looking for codes
+const MAX_FINDER_CANDIDATES = 12;
+
+// Possible alignment patterns tried for each code
+const MAX_ALIGNMENT_CANDIDATES = 4;
+
+// ============================== Reed-Solomon ==============================
+
+const GF_EXP = new Uint8Array(512);
+const GF_LOG = new Uint8Array(256);
+{
+    let value = 1;
+    for (let power = 0; power < 255; power++) {
+        GF_EXP[power] = value;
+        GF_LOG[value] = power;
+        value <<= 1;
+        if (value & 0x100) value ^= 0x11D;
+    }
+    for (let power = 255; power < 512; power++) {
+        GF_EXP[power] = GF_EXP[power - 255];
+    }
+}
+
+function gfMultiply(a, b) {
+    return a === 0 || b === 0 ? 0 : GF_EXP[GF_LOG[a] + GF_LOG[b]];
+}
+
+function gfDivide(a, b) {
+    return a === 0 ? 0 : GF_EXP[(GF_LOG[a] + 255 - GF_LOG[b]) % 255];
+}
+
+function gfInverse(a) {
+    return GF_EXP[255 - GF_LOG[a]];
+}
+
+// Value of a polynomial given lowest degree first
+function evaluateLowFirst(polynomial, x) {
+    let result = 0;
+    for (let index = polynomial.length - 1; index >= 0; index--) {
+        result = gfMultiply(result, x) ^ polynomial[index];
+    }
+    return result;
+}
+
+/**
+ * Correct a block (data then error correction codewords) in place.
+ * Returns false when it has more errors than can be corrected.
+ */
+function correctErrors(block, ecCount) {
+    const syndromes = new Array(ecCount);
+    let hasErrors = false;
+    for (let index = 0; index < ecCount; index++) {
+        let value = 0;
+        for (const codeword of block) {
+            value = gfMultiply(value, GF_EXP[index]) ^ codeword;
+        }
+        syndromes[index] = value;
+        if (value !== 0) hasErrors = true;
+    }
+    if (!hasErrors) return true;
+
+    // Berlekamp-Massey: error locator, lowest degree first
+    let locator = [1];
+    let previous = [1];
+    let errorCount = 0;
+    let shift = 1;
+    let previousDiscrepancy = 1;
+    for (let step = 0; step < ecCount; step++) {
+        let discrepancy = syndromes[step];
+        for (let index = 1; index <= errorCount; index++) {
+            discrepancy ^= gfMultiply(locator[index] || 0, syndromes[step - index]);
+        }
+        if (discrepancy === 0) {
+            shift++;
+            continue;
+        }
+
+        const coefficient = gfDivide(discrepancy, previousDiscrepancy);
+        const updated = locator.slice();
+        for (let index = 0; index < previous.length; index++) {
+            updated[index + shift] = (updated[index + shift] || 0) ^ gfMultiply(coefficient, previous[index]);
+        }
+        if (2 * errorCount <= step) {
+            previous = locator;
+            errorCount = step + 1 - errorCount;
+            previousDiscrepancy = discrepancy;
+            shift = 1;
+        } else {
+            shift++;
+        }
+        locator = updated;
+    }
+    if (2 * errorCount > ecCount) return false;
+
+    // Chien search: codeword i is the coefficient of x^(n-1-i)
+    const n = block.length;
+    const positions = [];
+    for (let index = 0; index < n; index++) {
+        const inverseLocation = gfInverse(GF_EXP[(n - 1 - index) % 255]);
+        if (evaluateLowFirst(locator, inverseLocation) === 0) {
+            positions.push(index);
+        }
+    }
+    if (positions.length !== errorCount) return false;
+
+    // Forney: evaluator = syndromes * locator mod x^ecCount
+    const evaluator = new Array(ecCount).fill(0);
+    for (let i = 0; i < ecCount; i++) {
+        for (let j = 0; j < locator.length && i + j < ecCount; j++) {
+            evaluator[i + j] ^= gfMultiply(syndromes[i], locator[j] || 0);
+        }
+    }
+    const derivative = locator.map((coefficient, index) => (index % 2 === 1 ? coefficient : 0)).slice(1);
+
+    for (const position of positions) {
+        const location = GF_EXP[(n - 1 - position) % 255];
+        const inverseLocation = gfInverse(location);
+        const denominator = evaluateLowFirst(derivative, inverseLocation);
+        if (denominator === 0) return false;
+        block[position] ^= gfMultiply(location, gfDivide(evaluateLowFirst(evaluator, inverseLocation), denominator));
+    }
+    return true;
+}
+
+// ============================== Code structure ==============================
+
+function sizeOfVersion(version) {
+    return version * 4 + 17;
+}
+
+function alignmentPositions(version) {
+    if (version === 1) return [];
+    const count = Math.floor(version / 7) + 2;
+    const size = sizeOfVersion(version);
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const positions = [6];
+    for (let position = size - 7; positions.length < count; position -= step) {
+        positions.splice(1, 0, position);
+    }
+    return positions;
+}
+
+// Modules that hold codewords (everything but function patterns and format/version information)
+function rawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const count = Math.floor(version / 7) + 2;
+        result -= (25 * count - 10) * count - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+}
+
+function functionPatternMask(version) {
+    const size = sizeOfVersion(version);
+    const mask = Array.from({ length: size }, () => new Uint8Array(size));
+    const fill = (top, left, height, width) => {
+        for (let y = Math.max(0, top); y < Math.min(size, top + height); y++) {
+            for (let x = Math.max(0, left); x < Math.min(size, left + width); x++) {
+                mask[y][x] = 1;
+            }
+        }
+    };
+
+    // Finder patterns with separators and format information
+    fill(0, 0, 9, 9);
+    fill(0, size - 8, 9, 8);
+    fill(size - 8, 0, 8, 9);
+    // Timing patterns
+    fill(6, 0, 1, size);
+    fill(0, 6, size, 1);
+
+    const positions = alignmentPositions(version);
+    for (const [i, y] of positions.entries()) {
+        for (const [j, x] of positions.entries()) {
+            const isFinderCorner = (i === 0 && j === 0) || (i === 0 && j === positions.length - 1) || (i === positions.length - 1 && j === 0);
+            if (!isFinderCorner) fill(y - 2, x - 2, 5, 5);
+        }
+    }
+
+    if (version >= 7) {
+        fill(0, size - 11, 6, 3);
+        fill(size - 11, 0, 3, 6);
+    }
+    return mask;
+}
+
+const MASKS = [
+    (y, x) => (y + x) % 2 === 0,
+    (y) => y % 2 === 0,
+    (y, x) => x % 3 === 0,
+    (y, x) => (y + x) % 3 === 0,
+    (y, x) => (Math.floor(y / 2) + Math.floor(x / 3)) % 2 === 0,
+    (y, x) => (y * x) % 2 + (y * x) % 3 === 0,
+    (y, x) => ((y * x) % 2 + (y * x) % 3) % 2 === 0,
+    (y, x) => ((y + x) % 2 + (y * x) % 3) % 2 === 0
+];
+
+function bitCount(value) {
+    let count = 0;
+    for (; value; value &= value - 1) count++;
+    return count;
+}
+
+// Valid 15-bit format words, by the 5 bits they carry
+const FORMAT_WORDS = Array.from({ length: 32 }, (_, data) => {
+    let remainder = data;
+    for (let index = 0; index < 10; index++) {
+        remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    return ((data << 10) | remainder) ^ 0x5412;
+});
+
+// Valid 18-bit version words, by version
+const VERSION_WORDS = Array.from({ length: 41 }, (_, version) => {
+    let remainder = version;
+    for (let index = 0; index < 12; index++) {
+        remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+    }
+    return (version << 12) | remainder;
+});
+
+// The valid word closest to either copy, when within the correctable distance
+function closestWord(words, copies, first, maxDistance) {
+    let best = null;
+    let bestDistance = maxDistance + 1;
+    for (let index = first; index < words.length; index++) {
+        for (const copy of copies) {
+            const distance = bitCount(words[index] ^ copy);
+            if (distance < bestDistance) {
+                best = index;
+                bestDistance = distance;
+            }
+        }
+    }
+    return best;
+}
+
+function readFormat(grid) {
+    const size = grid.length;
+    const bit = (x, y) => grid[y][x];
+    let first = 0;
+    let second = 0;
+    for (let index = 0; index < 15; index++) {
+        let firstBit;
+        if (index < 6) firstBit = bit(8, index);
+        else if (index === 6) firstBit = bit(8, 7);
+        else if (index === 7) firstBit = bit(8, 8);
+        else if (index === 8) firstBit = bit(7, 8);
+        else firstBit = bit(14 - index, 8);
+        first |= firstBit << index;
+
+        const secondBit = index < 8 ? bit(size - 1 - index, 8) : bit(8, size - 15 + index);
+        second |= secondBit << index;
+    }
+
+    const data = closestWord(FORMAT_WORDS, [first, second], 0, 3);
+    return data === null ? null : { ecLevel: FORMAT_EC_LEVELS[data >> 3], mask: data & 7 };
+}
+
+function readVersion(grid) {
+    const size = grid.length;
+    const provisional = (size - 17) / 4;
+    if (provisional < 7) return provisional;
+
+    let first = 0;
+    let second = 0;
+    for (let index = 0; index < 18; index++) {
+        const a = size - 11 + (index % 3);
+        const b = Math.floor(index / 3);
+        first |= grid[b][a] << index;
+        second |= grid[a][b] << index;
+    }
+    return closestWord(VERSION_WORDS, [first, second], 7, 3);
+}
+
+function readCodewords(grid, version, mask) {
+    const size = grid.length;
+    const isFunction = functionPatternMask(version);
+    const applies = MASKS[mask];
+    const codewords = new Uint8Array(Math.floor(rawDataModules(version) / 8));
+
+    let bitIndex = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        const upward = ((right + 1) & 2) === 0;
+        for (let vertical = 0; vertical < size; vertical++) {
+            const y = upward ? size - 1 - vertical : vertical;
+            for (let column = 0; column < 2; column++) {
+                const x = right - column;
+                if (isFunction[y][x] || bitIndex >= codewords.length * 8) continue;
+                const value = grid[y][x] ^ (applies(y, x) ? 1 : 0);
+                if (value) codewords[bitIndex >>> 3] |= 0x80 >>> (bitIndex & 7);
+                bitIndex++;
+            }
+        }
+    }
+    return codewords;
+}
+
+// Data codewords after de-interleaving and correcting each block, or null
+function correctCodewords(codewords, version, ecLevel) {
+    const blockCount = EC_BLOCKS[ecLevel][version];
+    const ecCount = EC_CODEWORDS_PER_BLOCK[ecLevel][version];
+    const shortBlocks = blockCount - (codewords.length % blockCount);
+    const shortBlockLength = Math.floor(codewords.length / blockCount);
+    const shortDataLength = shortBlockLength - ecCount;
+
+    const blocks = Array.from({ length: blockCount }, (_, index) =>
+        new Uint8Array(shortBlockLength + (index < shortBlocks ? 0 : 1)));
+
+    let offset = 0;
+    for (let i = 0; i <= shortDataLength; i++) {
+        for (let j = 0; j < blockCount; j++) {
+            if (i < shortDataLength || j >= shortBlocks) {
+                blocks[j][i] = codewords[offset++];
+            }
+        }
+    }
+    for (let i = 0; i < ecCount; i++) {
+        for (let j = 0; j < blockCount; j++) {
+            blocks[j][blocks[j].length - ecCount + i] = codewords[offset++];
+        }
+    }
+
+    const data = [];
+    for (const block of blocks) {
+        if (!correctErrors(block, ecCount)) return null;
+        data.push(...block.subarray(0, block.length - ecCount));
+    }
+    return Uint8Array.from(data);
+}
+
+// ============================== Data segments ==============================
+
+class BitReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.offset = 0;
+    }
+
+    available() {
+        return this.bytes.length * 8 - this.offset;
+    }
+
+    read(count) {
+        let value = 0;
+        for (let index = 0; index < count; index++) {
+            const bit = (this.bytes[this.offset >>> 3] >>> (7 - (this.offset & 7))) & 1;
+            value = (value << 1) | bit;
+            this.offset++;
+        }
+        return value;
+    }
+}
+
+function decodeBytes(bytes, charset) {
+    if (charset) {
+        try {
+            return new TextDecoder(charset).decode(bytes);
+        } catch {
+            // Charset not available
+        }
+    }
+    // Byte mode is Latin-1 by the standard, but most generators write UTF-8
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch {
+        return Buffer.from(bytes).toString('latin1');
+    }
+}
+
+function countBits(mode, version) {
+    const range = version <= 9 ? 0 : version <= 26 ? 1 : 2;
+    return {
+        numeric: [10, 12, 14],
+        alphanumeric: [9, 11, 13],
+        byte: [8, 16, 16],
+        kanji: [8, 10, 12]
+    }[mode][range];
+}
+
+function decodeSegments(data, version) {
+    const reader = new BitReader(data);
+    let text = '';
+    let charset = null;
+
+    while (reader.available() >= 4) {
+        const mode = reader.read(4);
+        if (mode === 0) break;
+
+        if (mode === 0b0111) {
+            // ECI: charset of the following byte segments
+            const first = reader.read(8);
+            let assignment = first;
+            if ((first & 0xC0) === 0x80) assignment = ((first & 0x3F) << 8) | reader.read(8);
+            else if ((first & 0xE0) === 0xC0) assignment = ((first & 0x1F) << 16) | reader.read(16);
+            charset = ECI_CHARSETS[assignment] || null;
+        } else if (mode === 0b0001) {
+            let count = reader.read(countBits('numeric', version));
+            for (; count >= 3; count -= 3) text += String(reader.read(10)).padStart(3, '0');
+            if (count === 2) text += String(reader.read(7)).padStart(2, '0');
+            if (count === 1) text += String(reader.read(4));
+        } else if (mode === 0b0010) {
+            let count = reader.read(countBits('alphanumeric', version));
+            for (; count >= 2; count -= 2) {
+                const value = reader.read(11);
+                text += ALPHANUMERIC_CHARS[Math.floor(value / 45)] + ALPHANUMERIC_CHARS[value % 45];
+            }
+            if (count === 1) text += ALPHANUMERIC_CHARS[reader.read(6)];
+        } else if (mode === 0b0100) {
+            const count = reader.read(countBits('byte', version));
+            if (reader.available() < count * 8) return null;
+            const bytes = new Uint8Array(count);
+            for (let index = 0; index < count; index++) bytes[index] = reader.read(8);
+            text += decodeBytes(bytes, charset);
+        } else if (mode === 0b1000) {
+            const count = reader.read(countBits('kanji', version));
+            const bytes = [];
+            for (let index = 0; index < count; index++) {
+                const value = reader.read(13);
+                let assembled = ((Math.floor(value / 0xC0)) << 8) | (value % 0xC0);
+                assembled += assembled < 0x1F00 ? 0x8140 : 0xC140;
+                bytes.push(assembled >> 8, assembled & 0xFF);
+            }
+            text += decodeBytes(Uint8Array.from(bytes), 'shift_jis');
+        } else if (mode === 0b0011) {
+            // Structured append header: position and parity of this code in a sequence
+            reader.read(16);
+        } else if (mode === 0b0101) {
+            // FNC1 in first position (GS1)
+        } else if (mode === 0b1001) {
+            // FNC1 in second position: application indicator
+            reader.read(8);
+        } else {
+            return null;
+        }
+    }
+    return text;
+}
+
+/**
+ * Decode a sampled module grid (grid[y][x], 1 is dark).
+ * Returns { text, version, errorCorrectionLevel } or null.
+ */
+export function decodeGrid(grid) {
+    const format = readFormat(grid);
+    if (!format) return null;
+
+    const version = readVersion(grid);
+    if (!version || sizeOfVersion(version) !== grid.length) return null;
+
+    const data = correctCodewords(readCodewords(grid, version, format.mask), version, format.ecLevel);
+    if (!data) return null;
+
+    const text = decodeSegments(data, version);
+    return text === null ? null : { text, version, errorCorrectionLevel: EC_LEVELS[format.ecLevel] };
+}
+
+// ============================== Detection ==============================
+
+/**
+ * Dark/light value of each pixel, thresholded against the local brightness so
+ * shadows and uneven light on a photographed receipt do not hide the code
+ */
+function binarize({ data, width, height }) {
+    const blocksX = Math.ceil(width / BINARIZER_BLOCK);
+    const blocksY = Math.ceil(height / BINARIZER_BLOCK);
+    const blackPoints = new Float32Array(blocksX * blocksY);
+
+    for (let by = 0; by < blocksY; by++) {
+        for (let bx = 0; bx < blocksX; bx++) {
+            let min = 255;
+            let max = 0;
+            let sum = 0;
+            let count = 0;
+            for (let y = by * BINARIZER_BLOCK; y < Math.min(height, (by + 1) * BINARIZER_BLOCK); y++) {
+                for (let x = bx * BINARIZER_BLOCK; x < Math.min(width, (bx + 1) * BINARIZER_BLOCK); x++) {
+                    const value = data[y * width + x];
+                    sum += value;
+                    count++;
+                    if (value < min) min = value;
+                    if (value > max) max = value;
+                }
+            }
+
+            let blackPoint = sum / count;
+            if (max - min <= MIN_BLOCK_CONTRAST) {
+                // A flat block is background, unless its neighbours say it is inside a dark area
+                blackPoint = min / 2;
+                if (by > 0 && bx > 0) {
+                    const neighbours = (blackPoints[(by - 1) * blocksX + bx]
+                        + 2 * blackPoints[by * blocksX + bx - 1]
+                        + blackPoints[(by - 1) * blocksX + bx - 1]) / 4;
+                    if (min < neighbours) blackPoint = neighbours;
+                }
+            }
+            blackPoints[by * blocksX + bx] = blackPoint;
+        }
+    }
+
+    const bits = new Uint8Array(width * height);
+    for (let by = 0; by < blocksY; by++) {
+        for (let bx = 0; bx < blocksX; bx++) {
+            let sum = 0;
+            let count = 0;
+            for (let ny = Math.max(0, by - 2); ny <= Math.min(blocksY - 1, by + 2); ny++) {
+                for (let nx = Math.max(0, bx - 2); nx <= Math.min(blocksX - 1, bx + 2); nx++) {
+                    sum += blackPoints[ny * blocksX + nx];
+                    count++;
+                }
+            }
+            const threshold = sum / count;
+            for (let y = by * BINARIZER_BLOCK; y < Math.min(height, (by + 1) * BINARIZER_BLOCK); y++) {
+                for (let x = bx * BINARIZER_BLOCK; x < Math.min(width, (bx + 1) * BINARIZER_BLOCK); x++) {
+                    bits[y * width + x] = data[y * width + x] <= threshold ? 1 : 0;
+                }
+            }
+        }
+    }
+    return { bits, width, height };
+}
+
+// Run lengths in the 1:1:3:1:1 proportion of a finder pattern
+function isFinderRatio(counts) {
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    if (total < 7) return false;
+    const moduleSize = total / 7;
+    const variance = moduleSize / 2;
+    return Math.abs(moduleSize - counts[0]) < variance
+        && Math.abs(moduleSize - counts[1]) < variance
+        && Math.abs(3 * moduleSize - counts[2]) < 3 * variance
+        && Math.abs(moduleSize - counts[3]) < variance
+        && Math.abs(moduleSize - counts[4]) < variance;
+}
+
+// Center of the finder pattern crossed from (x, y) along (dx, dy), or NaN
+function crossCheck(image, x, y, dx, dy, maxCount, originalTotal) {
+    const { bits, width, height } = image;
+    const inside = (px, py) => px >= 0 && py >= 0 && px < width && py < height;
+    const dark = (px, py) => bits[py * width + px] === 1;
+    const counts = [0, 0, 0, 0, 0];
+
+    let px = x;
+    let py = y;
+    while (inside(px, py) && dark(px, py)) { counts[2]++; px -= dx; py -= dy; }
+    if (!inside(px, py)) return NaN;
+    while (inside(px, py) && !dark(px, py) && counts[1] <= maxCount) { counts[1]++; px -= dx; py -= dy; }
+    if (!inside(px, py) || counts[1] > maxCount) return NaN;
+    while (inside(px, py) && dark(px, py) && counts[0] <= maxCount) { counts[0]++; px -= dx; py -= dy; }
+    if (counts[0] > maxCount) return NaN;
+
+    px = x + dx;
+    py = y + dy;
+    let steps = 1;
+    while (inside(px, py) && dark(px, py)) { counts[2]++; px += dx; py += dy; steps++; }
+    if (!inside(px, py)) return NaN;
+    while (inside(px, py) && !dark(px, py) && counts[3] < maxCount) { counts[3]++; px += dx; py += dy; steps++; }
+    if (!inside(px, py) || counts[3] >= maxCount) return NaN;
+    while (inside(px, py) && dark(px, py) && counts[4] < maxCount) { counts[4]++; px += dx; py += dy; steps++; }
+    if (counts[4] >= maxCount) return NaN;
+
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    if (5 * Math.abs(total - originalTotal) >= 2 * originalTotal || !isFinderRatio(counts)) return NaN;
+
+    // Offset of the center from (x, y) along the direction
+    return steps - counts[4] - counts[3] - counts[2] / 2;
+}
+
+function addFinderCandidate(candidates, x, y, moduleSize) {
+    for (const candidate of candidates) {
+        if (Math.abs(candidate.x - x) <= moduleSize && Math.abs(candidate.y - y) <= moduleSize
+            && Math.abs(candidate.moduleSize - moduleSize) <= Math.max(1, candidate.moduleSize)) {
+            const count = candidate.count + 1;
+            candidate.x = (candidate.x * candidate.count + x) / count;
+            candidate.y = (candidate.y * candidate.count + y) / count;
+            candidate.moduleSize = (candidate.moduleSize * candidate.count + moduleSize) / count;
+            candidate.count = count;
+            return;
+        }
+    }
+    candidates.push({ x, y, moduleSize, count: 1 });
+}
+
+function findFinderPatterns(image) {
+    const { bits, width, height } = image;
+    const candidates = [];
+
+    for (let y = 0; y < height; y += 2) {
+        const counts = [0, 0, 0, 0, 0];
+        let state = 0;
+        for (let x = 0; x <= width; x++) {
+            const dark = x < width && bits[y * width + x] === 1;
+            if (dark === (state % 2 === 0) && x < width) {
+                counts[state]++;
+                continue;
+            }
+            if (state < 4) {
+                if (state === 0 && !dark && counts[0] === 0) continue;
+                state++;
+                counts[state] = 1;
+                continue;
+            }
+
+            // Five runs: dark, light, dark, light, dark
+            if (isFinderRatio(counts)) {
+                const total = counts.reduce((sum, count) => sum + count, 0);
+                const centerX = Math.round(x - counts[4] - counts[3] - counts[2] / 2);
+                const offsetY = crossCheck(image, centerX, y, 0, 1, counts[2], total);
+                if (!isNaN(offsetY)) {
+                    const centerY = y + offsetY;
+                    const offsetX = crossCheck(image, centerX, Math.floor(centerY), 1, 0, counts[2], total);
+                    if (!isNaN(offsetX)) {
+                        addFinderCandidate(candidates, centerX + offsetX, centerY, total / 7);
+                    }
+                }
+            }
+            // Keep the last two runs as the start of the next pattern
+            counts[0] = counts[2];
+            counts[1] = counts[3];
+            counts[2] = counts[4];
+            counts[3] = 1;
+            counts[4] = 0;
+            state = 3;
+        }
+    }
+
+    return candidates
+        .filter(candidate => candidate.count >= 2)
+        .sort((a, b) => b.count - a.count)
+        .slice(0, MAX_FINDER_CANDIDATES);
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/**
+ * Triples of finder patterns that can be the corners of one code, most square first:
+ * { topLeft, topRight, bottomLeft }
+ */
+function finderTriples(patterns) {
+    const triples = [];
+    for (let i = 0; i < patterns.length; i++) {
+        for (let j = i + 1; j < patterns.length; j++) {
+            for (let k = j + 1; k < patterns.length; k++) {
+                const trio = [patterns[i], patterns[j], patterns[k]];
+                const sizes = trio.map(pattern => pattern.moduleSize);
+                if (Math.max(...sizes) / Math.min(...sizes) > 2) continue;
+
+                // The top left corner is opposite the longest side
+                const sides = [distance(trio[1], trio[2]), distance(trio[0], trio[2]), distance(trio[0], trio[1])];
+                const corner = sides.indexOf(Math.max(...sides));
+                const topLeft = trio[corner];
+                let [topRight, bottomLeft] = trio.filter((_, index) => index !== corner);
+                const cross = (topRight.x - topLeft.x) * (bottomLeft.y - topLeft.y)
+                    - (topRight.y - topLeft.y) * (bottomLeft.x - topLeft.x);
+                if (cross < 0) [topRight, bottomLeft] = [bottomLeft, topRight];
+
+                const legA = distance(topLeft, topRight);
+                const legB = distance(topLeft, bottomLeft);
+                const hypotenuse = Math.max(...sides);
+                const legRatio = Math.max(legA, legB) / Math.min(legA, legB);
+                const squareness = Math.abs(hypotenuse / Math.hypot(legA, legB) - 1);
+                const moduleSize = sizes.reduce((sum, size) => sum + size, 0) / 3;
+                const modulesBetween = (legA + legB) / 2 / moduleSize;
+                if (legRatio > 1.5 || squareness > 0.15 || modulesBetween < 12 || modulesBetween > 180) continue;
+
+                triples.push({
+                    topLeft,
+                    topRight,
+                    bottomLeft,
+                    moduleSize,
+                    score: (legRatio - 1) + squareness + (Math.max(...sizes) / Math.min(...sizes) - 1)
+                });
+            }
+        }
+    }
+    return triples.sort((a, b) => a.score - b.score);
+}
+
+// Homography mapping the four source points to the four destination points
+function perspectiveTransform(source, destination) {
+    const rows = [];
+    for (let index = 0; index < 4; index++) {
+        const [x, y] = source[index];
+        const [u, v] = destination[index];
+        rows.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+        rows.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+    }
+
+    // Gaussian elimination with partial pivoting
+    for (let column = 0; column < 8; column++) {
+        let pivot = column;
+        for (let row = column + 1; row < 8; row++) {
+            if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) pivot = row;
+        }
+        if (Math.abs(rows[pivot][column]) < 1e-12) return null;
+        [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+        for (let row = 0; row < 8; row++) {
+            if (row === column) continue;
+            const factor = rows[row][column] / rows[column][column];
+            for (let k = column; k < 9; k++) rows[row][k] -= factor * rows[column][k];
+        }
+    }
+    const [a, b, c, d, e, f, g, h] = rows.map((row, index) => row[8] / row[index]);
+
+    return (x, y) => {
+        const denominator = g * x + h * y + 1;
+        return [(a * x + b * y + c) / denominator, (d * x + e * y + f) / denominator];
+    };
+}
+
+// Light, dark and light runs of about one module each
+function isAlignmentRatio(counts, moduleSize) {
+    return counts.every(count => count > moduleSize * 0.5 && count < moduleSize * 1.5);
+}
+
+// Vertical center of an alignment pattern crossed at (x, y), or NaN
+function crossCheckAlignment(image, x, y, moduleSize) {
+    const { bits, width, height } = image;
+    const dark = (py) => bits[py * width + x] === 1;
+    const maxCount = moduleSize * 2;
+    const counts = [0, 0, 0];
+
+    let py = y;
+    while (py >= 0 && dark(py) && counts[1] <= maxCount) { counts[1]++; py--; }
+    while (py >= 0 && !dark(py) && counts[0] <= maxCount) { counts[0]++; py--; }
+    py = y + 1;
+    while (py < height && dark(py) && counts[1] <= maxCount) { counts[1]++; py++; }
+    while (py < height && !dark(py) && counts[2] <= maxCount) { counts[2]++; py++; }
+
+    return isAlignmentRatio(counts, moduleSize) ? py - counts[2] - counts[1] / 2 : NaN;
+}
+
+/**
+ * Share of the 5x5 modules of an alignment pattern (dark ring, light ring, dark
+ * center) that match around a center, with the module size measured there and
+ * the axes of the code
+ */
+function alignmentShapeScore(image, center, moduleSize, axisX, axisY) {
+    const { bits, width, height } = image;
+    let matches = 0;
+    for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+            const x = Math.floor(center.x + (dx * axisX.x + dy * axisY.x) * moduleSize);
+            const y = Math.floor(center.y + (dx * axisX.y + dy * axisY.y) * moduleSize);
+            const dark = x >= 0 && y >= 0 && x < width && y < height && bits[y * width + x] === 1;
+            if (dark === (Math.max(Math.abs(dx), Math.abs(dy)) !== 1)) matches++;
+        }
+    }
+    return matches / 25;
+}
+
+/**
+ * Possible centers of the alignment pattern near its expected position (bottom
+ * right of the code, 3 modules in from the corner), best first. The pattern is
+ * found by its runs and checked at the module size measured around it, so modules
+ * shrunk or stretched by the perspective of a photo still match.
+ */
+function findAlignmentPatterns(image, triple, size) {
+    const { topLeft, topRight, bottomLeft, moduleSize } = triple;
+    const correction = 1 - 3 / (size - 7);
+    const expected = {
+        x: topLeft.x + correction * (topRight.x + bottomLeft.x - 2 * topLeft.x),
+        y: topLeft.y + correction * (topRight.y + bottomLeft.y - 2 * topLeft.y)
+    };
+    const axis = (from, to) => {
+        const length = distance(from, to);
+        return { x: (to.x - from.x) / length, y: (to.y - from.y) / length };
+    };
+    const axisX = axis(topLeft, topRight);
+    const axisY = axis(topLeft, bottomLeft);
+
+    const { bits, width } = image;
+    const radius = Math.ceil(moduleSize * 16);
+    const left = Math.max(0, Math.round(expected.x) - radius);
+    const right = Math.min(width, Math.round(expected.x) + radius);
+    const top = Math.max(0, Math.round(expected.y) - radius);
+    const bottom = Math.min(image.height, Math.round(expected.y) + radius);
+    const candidates = [];
+
+    for (let y = top; y < bottom; y++) {
+        // Runs of the row: [start, length, dark]
+        const runs = [];
+        for (let x = left; x < right; x++) {
+            const dark = bits[y * width + x] === 1;
+            if (runs.length && runs[runs.length - 1][2] === dark) runs[runs.length - 1][1]++;
+            else runs.push([x, 1, dark]);
+        }
+
+        for (let index = 1; index < runs.length - 1; index++) {
+            const [start, length, dark] = runs[index];
+            const counts = [runs[index - 1][1], length, runs[index + 1][1]];
+            if (!dark || !isAlignmentRatio(counts, moduleSize)) continue;
+
+            const centerX = start + length / 2;
+            const centerY = crossCheckAlignment(image, Math.floor(centerX), y, moduleSize);
+            if (isNaN(centerY)) continue;
+
+            const center = { x: centerX, y: centerY };
+            const localModuleSize = (counts[0] + counts[1] + counts[2]) / 3;
+            const score = alignmentShapeScore(image, center, localModuleSize, axisX, axisY);
+            if (score < 0.9) continue;
+
+            const found = candidates.find(candidate =>
+                Math.abs(candidate.x - centerX) <= localModuleSize && Math.abs(candidate.y - centerY) <= localModuleSize);
+            if (!found) {
+                candidates.push({ ...center, score, distance: distance(center, expected) });
+            } else if (score > found.score) {
+                Object.assign(found, center, { score, distance: distance(center, expected) });
+            }
+        }
+    }
+
+    return candidates.sort((a, b) => b.score - a.score || a.distance - b.distance);
+}
+
+function sampleGrid(image, triple, size, alignment) {
+    const { topLeft, topRight, bottomLeft } = triple;
+    const far = size - 3.5;
+    const transform = alignment
+        ? perspectiveTransform(
+            [[3.5, 3.5], [far, 3.5], [3.5, far], [size - 6.5, size - 6.5]],
+            [[topLeft.x, topLeft.y], [topRight.x, topRight.y], [bottomLeft.x, bottomLeft.y], [alignment.x, alignment.y]])
+        : perspectiveTransform(
+            [[3.5, 3.5], [far, 3.5], [3.5, far], [far, far]],
+            [[topLeft.x, topLeft.y], [topRight.x, topRight.y], [bottomLeft.x, bottomLeft.y],
+                [topRight.x + bottomLeft.x - topLeft.x, topRight.y + bottomLeft.y - topLeft.y]]);
+    if (!transform) return null;
+
+    const { bits, width, height } = image;
+    const grid = [];
+    for (let y = 0; y < size; y++) {
+        const row = new Uint8Array(size);
+        for (let x = 0; x < size; x++) {
+            const [px, py] = transform(x + 0.5, y + 0.5);
+            const ix = Math.floor(px);
+            const iy = Math.floor(py);
+            if (ix < 0 || iy < 0 || ix >= width || iy >= height) return null;
+            row[x] = bits[iy * width + ix];
+        }
+        grid.push(row);
+    }
+    return grid;
+}
+
+// Sizes to try for a triple: the estimate rounded to a valid size, then its neighbours
+function candidateSizes(triple) {
+    const modulesBetween = (distance(triple.topLeft, triple.topRight) + distance(triple.topLeft, triple.bottomLeft)) / 2 / triple.moduleSize;
+    const estimate = Math.round((modulesBetween + 7 - 17) / 4);
+    return [estimate, estimate - 1, estimate + 1]
+        .filter(version => version >= 1 && version <= 40)
+        .map(sizeOfVersion);
+}
+
+function decodeTriple(image, triple) {
+    for (const size of candidateSizes(triple)) {
+        const alignments = size > 21 ? findAlignmentPatterns(image, triple, size).slice(0, MAX_ALIGNMENT_CANDIDATES) : [];
+        for (const attempt of [...alignments, null]) {
+            const grid = sampleGrid(image, triple, size, attempt);
+            const result = grid && decodeGrid(grid);
+            if (result) return result;
+        }
+    }
+    return null;
+}
+
+/**
+ * Read the QR codes in a grayscale image (one byte per pixel, row by row).
+ * Returns [{ text, version, errorCorrectionLevel }], one per code found.
+ * @param {{data: Uint8Array|Buffer, width: number, height: number}} image
+ * @param {Object} [options]
+ * @param {number} [options.maxCodes=4] - Stop after this many codes
+ */
+export function decodeQrCodes(image, { maxCodes = 4 } = {}) {
+    const binary = binarize(image);
+    const patterns = findFinderPatterns(binary);
+    const used = new Set();
+    const results = [];
+
+    for (const triple of finderTriples(patterns)) {
+        if (results.length >= maxCodes) break;
+        if ([triple.topLeft, triple.topRight, triple.bottomLeft].some(pattern => used.has(pattern))) continue;
+
+        const result = decodeTriple(binary, triple);
+        if (result) {
+            results.push(result);
+            used.add(triple.topLeft).add(triple.topRight).add(triple.bottomLeft);
+        }
+    }
+    return results;
+}
+
+export default {
+    decodeQrCodes,
+    decodeGrid
+};
@@ -115,14 +115,18 @@ export function addSignedUrlsToReceipt(receipt, expiresIn = 3600) {
 
     const receiptCopy = { ...receipt };
 
-    // Sign main image URL
-    if (receiptCopy.image_url) {
-        receiptCopy.image_url = generateSignedUrl(receiptCopy.image_url, expiresIn);
+    // Sign main image, thumbnail and original PDF URLs (handle both camelCase and snake_case)
+    for (const key of ['imageUrl', 'image_url', 'imageThumbnailUrl', 'image_thumbnail_url', 'documentUrl', 'document_url']) {
+        if (receiptCopy[key]) {
+            receiptCopy[key] = generateSignedUrl(receiptCopy[key], expiresIn);
+        }
     }
 
-    // Sign thumbnail URL if exists
-    if (receiptCopy.image_thumbnail_url) {
-        receiptCopy.image_thumbnail_url = generateSignedUrl(receiptCopy.image_thumbnail_url, expiresIn);
+    // Sign the images of the following pages of a long receipt
+    for (const key of ['pageImageUrls', 'page_image_urls']) {
+        if (Array.isArray(receiptCopy[key])) {
+            receiptCopy[key] = generateSignedUrls(receiptCopy[key], expiresIn);
+        }
     }
 
     return receiptCopy;
@@ -0,0 +1,136 @@
+import { zipStream } from './zip.js';
+
+/**
+ * Minimal streaming XLSX (Office Open XML) writer: a single worksheet with a bold
+ * header row, written with inline strings so no shared string table has to be built
+ * in memory.
+ */
+
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+// Indexes into cellXfs of STYLES
+const STYLE_DATE = 1;
+const STYLE_AMOUNT = 2;
+const STYLE_HEADER = 3;
+
+const CONTENT_TYPES = XML_DECLARATION +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    '</Types>';
+
+const ROOT_RELS = XML_DECLARATION +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+    '</Relationships>';
+
+const WORKBOOK_RELS = XML_DECLARATION +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    `<Relationship Id="rId1" Type="${REL_NS}/worksheet" Target="worksheets/sheet1.xml"/>` +
+    `<Relationship Id="rId2" Type="${REL_NS}/styles" Target="styles.xml"/>` +
+    '</Relationships>';
+
+const STYLES = XML_DECLARATION +
+    `<styleSheet xmlns="${MAIN_NS}">` +
+    '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/></numFmts>' +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="4">' +
+    '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+    '</cellXfs>' +
+    '</styleSheet>';
+
+// Control characters not allowed in XML 1.0
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+function escapeXml(value) {
+    return String(value)
+        .replace(INVALID_XML_CHARS, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function stringCell(value, style) {
+    const styleAttribute = style ? ` s="${style}"` : '';
+    return `<c t="inlineStr"${styleAttribute}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+// Days since 1899-12-30, the spreadsheet date epoch
+function dateSerial(value) {
+    const date = value instanceof Date ? value : new Date(value);
+    return date.getTime() / 86400000 + 25569;
+}
+
+function cell(value, type) {
+    if (value === null || value === undefined || value === '') {
+        return '<c/>';
+    }
+
+    switch (type) {
+        case 'number': {
+            const number = Number(value);
+            return Number.isFinite(number) ? `<c><v>${number}</v></c>` : stringCell(value);
+        }
+        case 'amount': {
+            const number = Number(value);
+            return Number.isFinite(number) ? `<c s="${STYLE_AMOUNT}"><v>${number}</v></c>` : stringCell(value);
+        }
+        case 'date': {
+            const serial = dateSerial(value);
+            return Number.isFinite(serial) ? `<c s="${STYLE_DATE}"><v>${Math.floor(serial)}</v></c>` : stringCell(value);
+        }
+        case 'boolean':
+            return `<c t="b"><v>${value ? 1 : 0}</v></c>`;
+        default:
+            return stringCell(Array.isArray(value) ? value.join(', ') : value);
+    }
+}
+
+async function* worksheet(columns, rows) {
+    yield XML_DECLARATION +
+        `<worksheet xmlns="${MAIN_NS}">` +
+        '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+        '<sheetData>' +
+        `<row>${columns.map(column => stringCell(column.header, STYLE_HEADER)).join('')}</row>`;
+
+    for await (const row of rows) {
+        yield `<row>${columns.map((column, index) => cell(row[index], column.type)).join('')}</row>`;
+    }
+
+    yield '</sheetData></worksheet>';
+}
+
+/**
+ * Yields the bytes of an XLSX workbook with one sheet
+ * @param {Array<{header: string, type?: string}>} columns - type is string, number, amount, date or boolean
+ * @param {AsyncIterable<Array>} rows - Cell values in column order
+ * @param {Object} options
+ * @param {string} options.sheetName - At most 31 characters
+ */
+export function xlsxStream(columns, rows, { sheetName = 'Sheet1' } = {}) {
+    const workbook = XML_DECLARATION +
+        `<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">` +
+        `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>` +
+        '</workbook>';
+
+    return zipStream([
+        { name: '[Content_Types].xml', content: CONTENT_TYPES },
+        { name: '_rels/.rels', content: ROOT_RELS },
+        { name: 'xl/workbook.xml', content: workbook },
+        { name: 'xl/_rels/workbook.xml.rels', content: WORKBOOK_RELS },
+        { name: 'xl/styles.xml', content: STYLES },
+        { name: 'xl/worksheets/sheet1.xml', content: worksheet(columns, rows) }
+    ]);
+}
@@ -0,0 +1,107 @@
+/**
+ * Minimal XML reader for machine-generated documents (bank statements)
+ *
+ * Builds a tree of { name, attributes, children, text } nodes. Namespace prefixes
+ * are dropped from element names, so <camt:Amt> and <Amt> read the same. DTDs and
+ * processing instructions are skipped; there is no validation.
+ */
+
+const TOKEN = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+const ATTRIBUTE = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+function localName(name) {
+    const index = name.indexOf(':');
+    return index === -1 ? name : name.slice(index + 1);
+}
+
+/**
+ * Parse an XML document into its root element. Throws on unbalanced tags.
+ */
+export function parseXml(xml) {
+    const root = { name: '#document', attributes: {}, children: [], text: '' };
+    const stack = [root];
+
+    for (const match of xml.matchAll(TOKEN)) {
+        const [, cdata, closing, opening, attributeText, selfClosing, text] = match;
+        const current = stack[stack.length - 1];
+
+        if (cdata !== undefined) {
+            current.text += cdata;
+        } else if (closing) {
+            if (stack.length === 1 || current.name !== localName(closing)) {
+                throw new Error(`Unexpected closing tag </${closing}>`);
+            }
+            current.text = current.text.trim();
+            stack.pop();
+        } else if (opening) {
+            const attributes = {};
+            for (const [, name, double, single] of (attributeText || '').matchAll(ATTRIBUTE)) {
+                attributes[localName(name)] = decodeEntities(double ?? single);
+            }
+            const node = { name: localName(opening), attributes, children: [], text: '' };
+            current.children.push(node);
+            if (!selfClosing) {
+                stack.push(node);
+            }
+        } else if (text !== undefined) {
+            current.text += decodeEntities(text);
+        }
+    }
+
+    if (stack.length !== 1) {
+        throw new Error(`Unclosed tag <${stack[stack.length - 1].name}>`);
+    }
+    const element = root.children[0];
+    if (!element) {
+        throw new Error('No root element');
+    }
+    return element;
+}
+
+/**
+ * Child elements of a node with the given name
+ */
+export function childElements(node, name) {
+    return node ? node.children.filter(child => child.name === name) : [];
+}
+
+/**
+ * First element at a slash-separated path below a node, e.g. 'Amt' or 'NtryDtls/TxDtls'
+ */
+export function findElement(node, path) {
+    let current = node;
+    for (const name of path.split('/')) {
+        current = current?.children.find(child => child.name === name);
+        if (!current) return null;
+    }
+    return current;
+}
+
+/**
+ * Text of the first element at a path, or null
+ */
+export function elementText(node, path) {
+    const element = findElement(node, path);
+    return element && element.text !== '' ? element.text : null;
+}
+
+export default {
+    parseXml,
+    childElements,
+    findElement,
+    elementText
+};
@@ -0,0 +1,121 @@
+import { Readable } from 'stream';
+import zlib from 'zlib';
+
+/**
+ * Streaming ZIP archive writer (deflate, no ZIP64)
+ *
+ * Entries are compressed while they are produced, so archives can be written to a
+ * response without holding their content in memory. Sizes and checksums follow each
+ * entry in a data descriptor.
+ */
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer, crc = 0) {
+    let c = crc ^ 0xFFFFFFFF;
+    for (let i = 0; i < buffer.length; i++) {
+        c = CRC_TABLE[(c ^ buffer[i]) & 0xFF] ^ (c >>> 8);
+    }
+    return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+// MS-DOS date and time fields
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// Bit 3: sizes in data descriptor, bit 11: UTF-8 names
+const ENTRY_FLAGS = 0x0808;
+const DEFLATE = 8;
+
+/**
+ * Yields the bytes of a ZIP archive
+ * @param {Array<{name: string, content: string|Buffer|AsyncIterable<string|Buffer>}>} entries
+ */
+export async function* zipStream(entries) {
+    const { time, date } = dosDateTime(new Date());
+    const centralDirectory = [];
+    let offset = 0;
+
+    for (const { name, content } of entries) {
+        const fileName = Buffer.from(name, 'utf8');
+        const localHeader = Buffer.alloc(30);
+        localHeader.writeUInt32LE(0x04034b50, 0);
+        localHeader.writeUInt16LE(20, 4);
+        localHeader.writeUInt16LE(ENTRY_FLAGS, 6);
+        localHeader.writeUInt16LE(DEFLATE, 8);
+        localHeader.writeUInt16LE(time, 10);
+        localHeader.writeUInt16LE(date, 12);
+        localHeader.writeUInt16LE(fileName.length, 26);
+
+        const headerOffset = offset;
+        yield localHeader;
+        yield fileName;
+        offset += localHeader.length + fileName.length;
+
+        let crc = 0;
+        let size = 0;
+        let compressedSize = 0;
+
+        const source = typeof content === 'string' || Buffer.isBuffer(content) ? [content] : content;
+        const input = Readable.from((async function* () {
+            for await (const chunk of source) {
+                const bytes = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'utf8');
+                crc = crc32(bytes, crc);
+                size += bytes.length;
+                yield bytes;
+            }
+        })());
+        const deflate = zlib.createDeflateRaw();
+        input.on('error', error => deflate.destroy(error));
+        input.pipe(deflate);
+
+        for await (const compressed of deflate) {
+            compressedSize += compressed.length;
+            yield compressed;
+        }
+
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(crc, 4);
+        descriptor.writeUInt32LE(compressedSize, 8);
+        descriptor.writeUInt32LE(size, 12);
+        yield descriptor;
+        offset += compressedSize + descriptor.length;
+
+        const centralHeader = Buffer.alloc(46);
+        centralHeader.writeUInt32LE(0x02014b50, 0);
+        centralHeader.writeUInt16LE(20, 4);
+        centralHeader.writeUInt16LE(20, 6);
+        centralHeader.writeUInt16LE(ENTRY_FLAGS, 8);
+        centralHeader.writeUInt16LE(DEFLATE, 10);
+        centralHeader.writeUInt16LE(time, 12);
+        centralHeader.writeUInt16LE(date, 14);
+        centralHeader.writeUInt32LE(crc, 16);
+        centralHeader.writeUInt32LE(compressedSize, 20);
+        centralHeader.writeUInt32LE(size, 24);
+        centralHeader.writeUInt16LE(fileName.length, 28);
+        centralHeader.writeUInt32LE(headerOffset, 42);
+        centralDirectory.push(centralHeader, fileName);
+    }
+
+    const directory = Buffer.concat(centralDirectory);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    yield directory;
+    yield end;
+}
@@ -92,18 +92,19 @@ class BudgetWorker {
             }
         });
 
-        // Weekly digest every Sunday at 6 PM
-        const weeklyDigestJob = cron.schedule('0 18 * * 0', async () => {
+        // Digests go out at each user's local digest hour, so check every hour
+        // Weekly digest on the user's digest day
+        const weeklyDigestJob = cron.schedule('0 * * * *', async () => {
             try {
                 log.info('Running weekly digest...');
-                await this.scheduleDigests('weekly', 0); // 0 = Sunday
+                await this.scheduleDigests('weekly');
             } catch (error) {
                 log.error('Error scheduling weekly digest:', error);
             }
         });
 
-        // Monthly digest on first day of month at 6 PM
-        const monthlyDigestJob = cron.schedule('0 18 1 * *', async () => {
+        // Monthly digest on the first day of the user's month
+        const monthlyDigestJob = cron.schedule('0 * * * *', async () => {
             try {
                 log.info('Running monthly digest...');
                 await this.scheduleDigests('monthly');
@@ -199,9 +200,9 @@ class BudgetWorker {
         }
     }
 
-    async scheduleDigests(frequency, day = null) {
+    async scheduleDigests(frequency) {
         try {
-            const users = await NotificationPreference.findUsersForDigest(frequency, day);
+            const users = await NotificationPreference.findUsersForDigest(frequency);
 
             log.info(`Scheduling ${frequency} digest for ${users.length} users`);
 
@@ -209,7 +210,6 @@ class BudgetWorker {
                 await queueService.queues.budget.add('send-digest', {
                     userId: pref.userId,
                     frequency,
-                    day,
                     timestamp: new Date()
                 }, {
                     attempts: 2,
@@ -0,0 +1,60 @@
+import queueService from '../services/queueService.js';
+import { runBulkOperation } from '../services/bulkReceiptService.js';
+import { log } from '../utils/logger.js';
+
+class BulkWorker {
+    constructor() {
+        this.isRunning = false;
+    }
+
+    start() {
+        if (!queueService.isConnected) {
+            log.warn('Queue service not connected, bulk worker not started');
+            return;
+        }
+
+        if (this.isRunning) {
+            log.warn('Bulk worker is already running');
+            return;
+        }
+
+        this.isRunning = true;
+
+        // Process bulk receipt operations
+        queueService.queues.bulk.process('bulk-receipts', this.concurrency, async (job) => {
+            return await this.processBulkOperation(job);
+        });
+
+        log.info('Bulk worker started');
+    }
+
+    stop() {
+        this.isRunning = false;
+        log.info('Bulk worker stopped');
+    }
+
+    get concurrency() {
+        // One operation at a time per process; each one touches many receipts
+        return parseInt(process.env.BULK_CONCURRENCY) || 1;
+    }
+
+    async processBulkOperation(job) {
+        const { userId, receiptIds, action, params } = job.data;
+
+        return await runBulkOperation({ userId, receiptIds, action, params }, {
+            onProgress: progress => job.progress(progress)
+        });
+    }
+
+    // Health check for the worker
+    getHealthStatus() {
+        return {
+            isRunning: this.isRunning,
+            concurrency: this.concurrency,
+            queueStatus: queueService.isConnected ? 'connected' : 'disconnected'
+        };
+    }
+}
+
+const bulkWorker = new BulkWorker();
+export default bulkWorker;
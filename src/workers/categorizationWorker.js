@@ -1,6 +1,8 @@
 import queueService from '../services/queueService.js';
 import { categorizeReceipt } from '../services/categorizationService.js';
+import { getUserCategories } from '../services/categoryService.js';
 import Receipt from '../models/Receipt.js';
+import { snapshotRevisionFields, recordRevision } from '../services/receiptRevisionService.js';
 import { log } from '../utils/logger.js';
 import cacheService from '../services/cacheService.js';
 import crypto from 'crypto';
@@ -53,13 +55,14 @@ class CategorizationWorker {
                 throw new Error(`Receipt ${receiptId} not found`);
             }
 
-            // Check cache first
-            const textHash = crypto.createHash('md5').update(extractedText).digest('hex');
+            // Check cache first (per user, since each user has their own categories)
+            const textHash = crypto.createHash('md5').update(`${receipt.userId}:${extractedText}`).digest('hex');
             let category = await cacheService.getCategoryResult(textHash);
 
             if (!category) {
                 // Categorize the receipt
-                category = await categorizeReceipt(extractedText);
+                const categories = await getUserCategories(receipt.userId);
+                category = await categorizeReceipt(extractedText, 'en', categories);
 
                 // Cache the result
                 await cacheService.cacheCategoryResult(textHash, category);
@@ -69,11 +72,19 @@ class CategorizationWorker {
             }
 
             // Update receipt with category
+            const before = snapshotRevisionFields(receipt);
             await receipt.update({
                 category: category,
                 isProcessed: true,
                 processingStatus: 'completed'
             });
+            await recordRevision({
+                receiptId,
+                userId: receipt.userId,
+                entity: receipt,
+                before,
+                source: 'reprocess'
+            });
 
             // Invalidate cache
             await cacheService.invalidateReceiptData(receiptId);
@@ -135,11 +146,12 @@ class CategorizationWorker {
 
             // Try AI categorization first
             try {
-                const textHash = crypto.createHash('md5').update(extractedText).digest('hex');
+                const textHash = crypto.createHash('md5').update(`${receipt.userId}:${extractedText}`).digest('hex');
                 let aiCategory = await cacheService.getCategoryResult(textHash);
 
                 if (!aiCategory) {
-                    aiCategory = await categorizeReceipt(extractedText);
+                    const categories = await getUserCategories(receipt.userId);
+                    aiCategory = await categorizeReceipt(extractedText, 'en', categories);
                     await cacheService.cacheCategoryResult(textHash, aiCategory);
                 }
 
@@ -152,11 +164,19 @@ class CategorizationWorker {
             }
 
             // Update receipt
+            const before = snapshotRevisionFields(receipt);
             await receipt.update({
                 category: category,
                 isProcessed: true,
                 processingStatus: 'completed'
             });
+            await recordRevision({
+                receiptId,
+                userId: receipt.userId,
+                entity: receipt,
+                before,
+                source: 'reprocess'
+            });
 
             // Invalidate cache
             await cacheService.invalidateReceiptData(receiptId);
@@ -202,24 +222,24 @@ class CategorizationWorker {
     simpleCategorizationFallback(text) {
         const lowerText = text.toLowerCase();
 
-        // Define keywords for each category
+        // Define keywords for each (system) category
         const categories = {
-            'Mercado': [
+            grocery: [
                 'supermercado', 'market', 'grocery', 'walmart', 'carrefour', 'jumbo',
                 'verduras', 'frutas', 'leche', 'pan', 'carne', 'pollo', 'pescado',
                 'alimentos', 'comestibles', 'food', 'vegetables', 'meat'
             ],
-            'Transporte': [
+            transport: [
                 'gasolina', 'gas', 'combustible', 'fuel', 'station', 'estacion',
                 'taxi', 'uber', 'metro', 'bus', 'transporte', 'transport',
                 'peaje', 'toll', 'parking', 'estacionamiento'
             ],
-            'Comida': [
+            food: [
                 'restaurant', 'restaurante', 'cafe', 'cafeteria', 'pizza',
                 'burger', 'comida', 'food', 'delivery', 'pedido', 'menu',
                 'mcdonald', 'kfc', 'subway', 'domino', 'bar', 'pub'
             ],
-            'Combustible': [
+            fuel: [
                 'shell', 'esso', 'bp', 'chevron', 'petrol', 'diesel',
                 'nafta', 'combustible', 'fuel', 'gas station', 'estacion de servicio'
             ]
@@ -233,7 +253,7 @@ class CategorizationWorker {
         }
 
         // Default category
-        return 'Otros';
+        return 'others';
     }
 
     getHealthStatus() {
@@ -1,5 +1,10 @@
 import queueService from '../services/queueService.js';
 import RefreshToken from '../models/RefreshToken.js';
+import SyncTombstone from '../models/SyncTombstone.js';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+import Receipt, { TRASH_RETENTION_DAYS } from '../models/Receipt.js';
+import { deleteUserFile } from '../utils/fileStorage.js';
+import { TOMBSTONE_RETENTION_DAYS } from '../services/syncService.js';
 import { log } from '../utils/logger.js';
 import fs from 'fs/promises';
 import path from 'path';
@@ -78,6 +83,15 @@ class CleanupWorker {
                 case 'cache':
                     result = await this.cleanupCache(options);
                     break;
+                case 'sync-tombstones':
+                    result = await this.cleanupSyncTombstones(options);
+                    break;
+                case 'idempotency-keys':
+                    result = await this.cleanupIdempotencyKeys();
+                    break;
+                case 'trashed-receipts':
+                    result = await this.cleanupTrashedReceipts(options);
+                    break;
                 default:
                     throw new Error(`Unknown cleanup type: ${type}`);
             }
@@ -126,6 +140,15 @@ class CleanupWorker {
             // Cleanup old upload files without receipts
             results.orphanedFiles = await this.cleanupOrphanedFiles();
 
+            // Cleanup sync tombstones past the retention window
+            results.syncTombstones = await this.cleanupSyncTombstones();
+
+            // Cleanup idempotency keys past their replay window
+            results.idempotencyKeys = await this.cleanupIdempotencyKeys();
+
+            // Purge receipts past the trash retention period
+            results.trashedReceipts = await this.cleanupTrashedReceipts();
+
             const processingTime = Date.now() - startTime;
             log.info('Daily cleanup completed', {
                 results,
@@ -207,6 +230,99 @@ class CleanupWorker {
         }
     }
 
+    async cleanupSyncTombstones(options = {}) {
+        const { olderThanDays = TOMBSTONE_RETENTION_DAYS } = options;
+        const cutoffDate = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000);
+
+        try {
+            const deletedCount = await SyncTombstone.purgeOlderThan(cutoffDate);
+
+            log.info(`Cleaned up ${deletedCount} sync tombstones`);
+            return { deletedTombstones: deletedCount };
+
+        } catch (error) {
+            log.error('Failed to cleanup sync tombstones:', error);
+            throw error;
+        }
+    }
+
+    async cleanupIdempotencyKeys() {
+        try {
+            const deletedCount = await IdempotencyKey.purgeExpired();
+
+            log.info(`Cleaned up ${deletedCount} expired idempotency keys`);
+            return { deletedIdempotencyKeys: deletedCount };
+
+        } catch (error) {
+            log.error('Failed to cleanup idempotency keys:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Permanently delete trashed receipts and their images. Without userId/receiptIds,
+     * purges every receipt that has been in the trash longer than the retention period.
+     */
+    async cleanupTrashedReceipts(options = {}) {
+        const { userId, receiptIds, olderThanDays = TRASH_RETENTION_DAYS } = options;
+
+        try {
+            const where = { deletedAt: { [Op.ne]: null } };
+            if (userId) {
+                where.userId = userId;
+            }
+            if (receiptIds) {
+                where.id = receiptIds;
+            }
+            if (!userId && !receiptIds) {
+                where.deletedAt = { [Op.lt]: new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000) };
+            }
+
+            const receipts = await Receipt.findAll({ where, paranoid: false });
+
+            let purgedCount = 0;
+            let deletedFiles = 0;
+
+            for (const receipt of receipts) {
+                try {
+                    for (const imagePath of [...receipt.getPageImageUrls(), receipt.imageThumbnailUrl, receipt.documentUrl, receipt.emailUrl]) {
+                        // Only files in our storage (relative paths), and only when no other receipt uses them
+                        if (!imagePath || imagePath.startsWith('http')) continue;
+
+                        const sharedWith = await Receipt.count({
+                            where: {
+                                [Op.or]: [
+                                    { imageUrl: imagePath },
+                                    { pageImageUrls: { [Op.contains]: [imagePath] } },
+                                    { documentUrl: imagePath },
+                                    { emailUrl: imagePath }
+                                ],
+                                id: { [Op.ne]: receipt.id }
+                            },
+                            paranoid: false
+                        });
+                        if (sharedWith === 0 && await deleteUserFile(imagePath)) {
+                            deletedFiles++;
+                        }
+                    }
+
+                    // Items are removed by ON DELETE CASCADE
+                    await receipt.destroy({ force: true });
+                    purgedCount++;
+                } catch (receiptError) {
+                    log.warn(`Error purging receipt ${receipt.id}:`, receiptError.message);
+                }
+            }
+
+            log.info(`Purged ${purgedCount} trashed receipts (${deletedFiles} files deleted)`);
+            return { purgedReceipts: purgedCount, deletedFiles };
+
+        } catch (error) {
+            log.error('Failed to cleanup trashed receipts:', error);
+            throw error;
+        }
+    }
+
     async cleanupOldFiles(options = {}) {
         const { directory = 'uploads', olderThanDays = 30 } = options;
         const cutoffDate = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000);
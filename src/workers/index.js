@@ -2,6 +2,8 @@ import ocrWorker from './ocrWorker.js';
 import categorizationWorker from './categorizationWorker.js';
 import cleanupWorker from './cleanupWorker.js';
 import budgetWorker from './budgetWorker.js';
+import webhookWorker from './webhookWorker.js';
+import bulkWorker from './bulkWorker.js';
 import queueService from '../services/queueService.js';
 import { log } from '../utils/logger.js';
 import config from '../config/environment.js';
@@ -12,7 +14,9 @@ class WorkerManager {
             ocr: ocrWorker,
             categorization: categorizationWorker,
             cleanup: cleanupWorker,
-            budget: budgetWorker
+            budget: budgetWorker,
+            webhook: webhookWorker,
+            bulk: bulkWorker
         };
         this.isRunning = false;
     }
@@ -171,6 +175,8 @@ class WorkerManager {
                 return await queueService.addCleanupJob(data.type, data.options);
             case 'budget':
                 return await queueService.queues.budget.add(jobType, data, options);
+            case 'webhook':
+                return await queueService.addWebhookDeliveryJob(data.deliveryId);
             default:
                 throw new Error(`Unknown queue: ${queueName}`);
         }
@@ -1,8 +1,12 @@
 import queueService from '../services/queueService.js';
 import { extractTextFromImage } from '../services/ocrService.js';
+import { createReceiptFromImage } from '../services/receiptCreationService.js';
 import Receipt from '../models/Receipt.js';
 import { log } from '../utils/logger.js';
 import cacheService from '../services/cacheService.js';
+import eventService from '../services/eventService.js';
+import { dispatchWebhookEvent } from '../services/webhookService.js';
+import { finishInboundEmailReceipt } from '../services/inboundEmailService.js';
 import crypto from 'crypto';
 
 class OCRWorker {
@@ -28,6 +32,11 @@ class OCRWorker {
             return await this.processOCR(job);
         });
 
+        // Process asynchronous receipt creation jobs
+        queueService.queues.ocr.process('create-receipt', this.concurrency, async (job) => {
+            return await this.processReceiptCreation(job);
+        });
+
         log.info('OCR worker started');
     }
 
@@ -57,6 +66,7 @@ class OCRWorker {
             await receipt.update({
                 processingStatus: 'processing'
             });
+            await eventService.publish(receipt.userId, 'receipt.processing', { receiptId });
 
             // Check cache first
             const imageHash = crypto.createHash('md5').update(imageUrl).digest('hex');
@@ -88,6 +98,8 @@ class OCRWorker {
             await cacheService.invalidateReceiptData(receiptId);
             await cacheService.invalidateUserReceipts(receipt.userId);
 
+            await eventService.publish(receipt.userId, 'receipt.completed', { receiptId });
+
             const processingTime = Date.now() - startTime;
             log.info('OCR processing completed', {
                 receiptId,
@@ -114,6 +126,14 @@ class OCRWorker {
                 const receipt = await Receipt.findByPk(receiptId);
                 if (receipt) {
                     await receipt.markAsFailed(error);
+                    await eventService.publish(receipt.userId, 'receipt.failed', {
+                        receiptId,
+                        error: error.message
+                    });
+                    await dispatchWebhookEvent(receipt.userId, 'receipt.failed', {
+                        receiptId,
+                        error: error.message
+                    });
                 }
             } catch (updateError) {
                 log.error('Failed to update receipt with error status', updateError);
@@ -124,6 +144,103 @@ class OCRWorker {
         }
     }
 
+    async processReceiptCreation(job) {
+        const { userId, imageUrl } = job.data;
+        const startTime = Date.now();
+
+        log.info('Starting async receipt creation', { jobId: job.id, userId, imageUrl });
+
+        let result;
+        try {
+            result = await createReceiptFromImage(job.data, {
+                onStage: async (stage) => {
+                    await job.progress({ stage, updatedAt: new Date().toISOString() });
+                    if (stage !== 'done') {
+                        await eventService.publish(userId, 'receipt.processing', { jobId: job.id, stage });
+                    }
+                }
+            });
+        } catch (error) {
+            // Only report the failure once no retries are left
+            const attempts = job.opts.attempts || 1;
+            if (job.attemptsMade + 1 >= attempts) {
+                await eventService.publish(userId, 'receipt.failed', {
+                    jobId: job.id,
+                    error: error.message
+                });
+                await dispatchWebhookEvent(userId, 'receipt.failed', {
+                    jobId: job.id,
+                    error: error.message
+                });
+                if (job.data.inboundEmail) {
+                    await finishInboundEmailReceipt(job.data, { outcome: 'ocr_failed', error: null });
+                }
+            }
+            throw error;
+        }
+
+        const processingTime = Date.now() - startTime;
+
+        // A receipt received by email: its files are cleaned up and its sender notified
+        if (job.data.inboundEmail) {
+            await finishInboundEmailReceipt(job.data, result);
+        }
+
+        // Duplicate and OCR failures are business outcomes, not job errors:
+        // they are reported through the job result instead of being retried
+        if (result.outcome !== 'created') {
+            log.info('Async receipt creation finished without receipt', {
+                jobId: job.id,
+                userId,
+                outcome: result.outcome,
+                processingTime
+            });
+
+            await job.progress({ stage: 'failed', updatedAt: new Date().toISOString() });
+            await eventService.publish(userId, 'receipt.failed', {
+                jobId: job.id,
+                outcome: result.outcome,
+                code: result.duplicate?.code || null,
+                duplicate: result.duplicate?.data || null,
+                error: result.error || null
+            });
+
+            if (result.outcome === 'ocr_failed') {
+                await dispatchWebhookEvent(userId, 'receipt.failed', {
+                    jobId: job.id,
+                    error: result.error || 'Could not extract receipt data'
+                });
+            }
+
+            return {
+                stage: 'failed',
+                outcome: result.outcome,
+                duplicate: result.duplicate || null,
+                error: result.error || null,
+                processingTime
+            };
+        }
+
+        await eventService.publish(userId, 'receipt.completed', {
+            jobId: job.id,
+            receiptId: result.receipt.id
+        });
+
+        log.info('Async receipt creation completed', {
+            jobId: job.id,
+            userId,
+            receiptId: result.receipt.id,
+            processingTime
+        });
+
+        return {
+            stage: 'done',
+            outcome: 'created',
+            receiptId: result.receipt.id,
+            processingTime
+        };
+    }
+
     // Health check for the worker
     getHealthStatus() {
         return {
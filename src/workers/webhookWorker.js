@@ -0,0 +1,67 @@
+import queueService from '../services/queueService.js';
+import { deliverWebhook } from '../services/webhookService.js';
+import { log } from '../utils/logger.js';
+
+class WebhookWorker {
+    constructor() {
+        this.isRunning = false;
+    }
+
+    start() {
+        if (!queueService.isConnected) {
+            log.warn('Queue service not connected, webhook worker not started');
+            return;
+        }
+
+        if (this.isRunning) {
+            log.warn('Webhook worker is already running');
+            return;
+        }
+
+        this.isRunning = true;
+
+        // Process webhook deliveries
+        queueService.queues.webhook.process('deliver-webhook', this.concurrency, async (job) => {
+            return await this.processDelivery(job);
+        });
+
+        log.info('Webhook worker started');
+    }
+
+    stop() {
+        this.isRunning = false;
+        log.info('Webhook worker stopped');
+    }
+
+    get concurrency() {
+        // Deliveries are I/O bound, so allow more parallelism than OCR
+        return parseInt(process.env.WEBHOOK_CONCURRENCY) || 5;
+    }
+
+    async processDelivery(job) {
+        const { deliveryId } = job.data;
+        const attempts = job.opts.attempts || 1;
+        const finalAttempt = job.attemptsMade + 1 >= attempts;
+
+        // Failed attempts throw so Bull retries with exponential backoff
+        const delivery = await deliverWebhook(deliveryId, { finalAttempt });
+
+        return {
+            deliveryId,
+            delivered: Boolean(delivery),
+            responseStatus: delivery?.responseStatus || null
+        };
+    }
+
+    // Health check for the worker
+    getHealthStatus() {
+        return {
+            isRunning: this.isRunning,
+            concurrency: this.concurrency,
+            queueStatus: queueService.isConnected ? 'connected' : 'disconnected'
+        };
+    }
+}
+
+const webhookWorker = new WebhookWorker();
+export default webhookWorker;
@@ -0,0 +1,78 @@
+import zlib from 'zlib';
+
+/**
+ * Minimal PDF documents for tests. Each object is a dictionary string or
+ * { dict, stream } (stream being a string or Buffer); objects are numbered from 1
+ * in order, so "1 0 R" is the first one.
+ */
+export function buildPdf(objects, { header = '%PDF-1.4' } = {}) {
+    const parts = [Buffer.from(`${header}\n`, 'latin1')];
+    const offsets = [];
+    let length = parts[0].length;
+    const push = (part) => {
+        const buffer = Buffer.isBuffer(part) ? part : Buffer.from(part, 'latin1');
+        parts.push(buffer);
+        length += buffer.length;
+    };
+
+    objects.forEach((object, index) => {
+        offsets.push(length);
+        if (typeof object === 'string') {
+            push(`${index + 1} 0 obj\n${object}\nendobj\n`);
+            return;
+        }
+        const stream = Buffer.isBuffer(object.stream) ? object.stream : Buffer.from(object.stream, 'latin1');
+        const dict = object.dict.replace(/>>\s*$/, ` /Length ${stream.length} >>`);
+        push(`${index + 1} 0 obj\n${dict}\nstream\n`);
+        push(stream);
+        push('\nendstream\nendobj\n');
+    });
+
+    const xref = length;
+    push(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+    push(offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join(''));
+    push(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+    return Buffer.concat(parts);
+}
+
+/**
+ * A document of one page per content stream: catalog (1), page tree (2), a
+ * Helvetica font (3), then each page and its content. xObjects are added after
+ * the pages and named /Im1, /Im2... in the resources of every page.
+ */
+export function buildPagesPdf(contents, { xObjects = [], compress = false } = {}) {
+    const firstPage = 4;
+    const firstXObject = firstPage + contents.length * 2;
+    const xObjectNames = xObjects.map((_, index) => `/Im${index + 1} ${firstXObject + index} 0 R`).join(' ');
+    const kids = contents.map((_, index) => `${firstPage + index * 2} 0 R`).join(' ');
+
+    return buildPdf([
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${kids}] /Count ${contents.length} >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        ...contents.flatMap((content, index) => [
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 300 400] /Contents ${firstPage + index * 2 + 1} 0 R `
+                + `/Resources << /Font << /F1 3 0 R >> /XObject << ${xObjectNames} >> >> >>`,
+            compress
+                ? { dict: '<< /Filter /FlateDecode >>', stream: zlib.deflateSync(Buffer.from(content, 'latin1')) }
+                : { dict: '<< >>', stream: content }
+        ]),
+        ...xObjects
+    ]);
+}
+
+/**
+ * Image XObject of 8-bit gray pixels (a scanned page), stored with FlateDecode
+ */
+export function grayImageXObject(width, height, pixel = (x, y) => ((x + y) % 2 ? 255 : 0)) {
+    const pixels = Buffer.alloc(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            pixels[y * width + x] = pixel(x, y);
+        }
+    }
+    return {
+        dict: `<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceGray /BitsPerComponent 8 /Filter /FlateDecode >>`,
+        stream: zlib.deflateSync(pixels)
+    };
+}
@@ -0,0 +1,137 @@
+/**
+ * QR codes as module grids (# dark, . light), without the quiet zone, for the
+ * QR reader tests: a TicketBAI URL (version 6-M), a Portuguese ATCUD payload
+ * (version 9-M, with version information) and a short text (version 1-L)
+ */
+export const QR_CODES = {
+    ticketbai: {
+        text: 'https://batuz.eus/QRTBAI/?id=TBAI-B12345678-150324-Aq7RgbK2sW1q3-123&s=A&nf=000123&i=45.60&cr=123',
+        rows: [
+            '#######..###..#.##.#.#.####....##.#######',
+            '#.....#..##...####...#....##.#..#.#.....#',
+            '#.###.#.#.#.#..####..##.#.#...#...#.###.#',
+            '#.###.#.#..##..#.....#...#.####.#.#.###.#',
+            '#.###.#.#.#...#..###.######....#..#.###.#',
+            '#.....#.#####..##.#..#...######...#.....#',
+            '#######.#.#.#.#.#.#.#.#.#.#.#.#.#.#######',
+            '........#.##........###.#..##.##.........',
+            '#.#####..#.###...##..##..###.#....#####..',
+            '##.##....##....####.###.......###.#.#.#.#',
+            '.##..###.#...#.##...###..###..#.#.##...#.',
+            '..##...##.#...#......###.......##....#.##',
+            '.###.###.......#....#..###..######..####.',
+            '###....##.####.##.#..##...#....#..####...',
+            '.###..#..#..#.#.#.#.#.####.#..#..#.......',
+            '####.#.###.#.#.#..#..#.#..#....##.#.#...#',
+            '#.#####.#.#..##.###.#.####.#######.#.##..',
+            '....##..###..#.....#...........#..###..##',
+            '..###.#.###.##..#.#.#.#....##.#.##..#.#..',
+            '###..#.#...##.......#.....##..###...##...',
+            '.....###.....##...######.#.####....#..###',
+            '...##..######..#.#.#.#.##.#...#.##..#..##',
+            '....###......###.#........##..#.##.####..',
+            '.###.......#..###..#.#....###...###......',
+            '###.####.####..####..#########.#....#.##.',
+            '###.#...###.#.......#####.#.#..#..####..#',
+            '####..##.#.#####..#..#...######.#......#.',
+            '.###.#..##.###.##..#.#.##.###.####..##...',
+            '###.#.#.#.##..#..#......##.#####.#..####.',
+            '#..###..###.#...#...#.#.#.#.#..#..#####.#',
+            '#.#..###.###..#...##..#..######.###.##.#.',
+            '#..###...##....##.####.##.......######...',
+            '#...#.###..#..#######.#..######.######.#.',
+            '........#....#...#.#.#.##.#...###...##.##',
+            '#######..##..##.##...#...#.###..#.#.###..',
+            '#.....#.##.#..##.########..##.###...##..#',
+            '#.###.#.#.###.......##..##..##..#####.#.#',
+            '#.###.#.#.#..####.##.####.#...####.#.#.##',
+            '#.###.#.##.#.#....#.###.#.###....####.#..',
+            '#.....#...#..#.###.#.#..#.#...#.###.##.#.',
+            '#######.###..#.......###.#####.....##.#..'
+        ]
+    },
+    atcud: {
+        text: 'A:500123456*B:999999990*C:PT*D:FS*E:N*F:20240315*G:FS 01/123*H:ABCD1234-123*I1:PT*I3:10.00*I4:0.60*I7:20.00*I8:4.60*N:5.20*O:35.20*Q:abcd*R:1234',
+        rows: [
+            '#######..###..####.####....#.##..##.###.#.#...#######',
+            '#.....#.####..###.........##.....##..#....##..#.....#',
+            '#.###.#.#.##.##.#.###.##.##.##...#..#.#.##.#..#.###.#',
+            '#.###.#.#.......#..##.##..#.#..##.##....###.#.#.###.#',
+            '#.###.#...##.....##.###.#####.#.##.....##.#...#.###.#',
+            '#.....#..##....##.......#...##..####.##...#...#.....#',
+            '#######.#.#.#.#.#.#.#.#.#.#.#.#.#.#.#.#.#.#.#.#######',
+            '........##...#..#.##..#.#...#.##..##.#.######........',
+            '#.....#.#####..#....##.########..##.####..#..##..###.',
+            '.#####...##.####..#.##.....#..######..#...###.#.##.#.',
+            '.##.#.#..###.#..##....#...##.#...#..######..#.#.#.##.',
+            '###....#.####.#.##..#.#.##.#.#.#.#........#.#...#..#.',
+            '#...#.#..#..###....#########.#..#.###.#.###.##...#.##',
+            '#.##........#.#.#.#.###.#....#..#...#...#.##.........',
+            '#####.#...#.#.#####..#.#..#...#.###.######....##.#..#',
+            '###.#..###.#..#.#..####.#####.#...##..##.##.#.....#..',
+            '########....#..###...#.##..#.#......#..#..###...###.#',
+            '######.#.#...#.###...##.##..#.#.....#...#.#.....#.#..',
+            '#..#.##..##...##.##..##.#..##..##.####.###.##...#.#.#',
+            '###.#....#..####...#.#.##......##.##.##..#.#.##.#...#',
+            '#.###.#.##....#.#.####...##.........#.#.#..##########',
+            '#.####.#.#####..#.#############...####....#.#.#...##.',
+            '.##.###.###..#.......####..#..#...#.....##.##.#..#.#.',
+            '.#.#.#.##.#...####.##.#.#..#.##.#..##.###.#....#...#.',
+            '..#######.#..#...###..#.######.##.###.###.#.#####.#..',
+            '..#.#...#.#....##.###...#...#.#....##...#.#.#...#.#..',
+            '#..##.#.#...###....#.#..#.#.##...##.###.###.#.#.#.#..',
+            '.#..#...##########.###..#...#...#..#...#.##.#...#.#..',
+            '..########..#####.#..#.######..##...#.##.############',
+            '#......##.......##..#####.#..##.#....#.##.#..#..#.#..',
+            '###.#.#####..####.#..#######.#.....#.####..#####.#..#',
+            '#....#...##.#.#.#.#....###.#..#.####....#.##.#...#...',
+            '.#..#.####..#...#.####.....####..##.#..#.#...#.#...#.',
+            '..#........#.#.###..##.####.#.#.#.#.#.###.#.###.#.#.#',
+            '....#.#.####.......#.#..##.#.##...#.#.#..#..##..#.##.',
+            '##.#.....##.#.#.#.#...###..#...####...#.....###.#....',
+            '#.#.###.##..#.#..#.#.###.###.#.###.###..##.####.#...#',
+            '###..#.##.##.#....##.######.###.####.#..####....#.#.#',
+            '.###..#..#..#####...#.#.#..#.##.##..#..##.####.##..#.',
+            '....#...#.#######.###....#.##..#...#..###..###..#.#.#',
+            '#.#.#.##.####...##.##.#.##.##.#.....##.#.....#.#.###.',
+            '#.##.#..##.#..#.##..#.......#.##...##..#..##.#..###.#',
+            '##.#####...#...###.#######..#..##..#..###..#.###.#.##',
+            '.##....#.##..###...#.####.##..#####.#.#.##.#.##..##..',
+            '...#..##.......##....#.######.#...##.#.#....#####....',
+            '........#...##.###.#.#..#...#.###.#...####..#...####.',
+            '#######....#.####.##.#..#.#.#...#.##.##...###.#.##.#.',
+            '#.....#.....####..##.#.##...#.##.#.#.#.####.#...#..#.',
+            '#.###.#.....#.#..##.###.#####.########.###.######...#',
+            '#.###.#...#####..###.#.......###...#.#.#..#..#...#.#.',
+            '#.###.#..###.######....#.###......##.#.##..####.#.###',
+            '#.....#......###...######...##.#..##.#.#..#...##..#.#',
+            '#######.########..#.##.##.#.#....##.#.##.####.#.###..'
+        ]
+    },
+    hello: {
+        text: 'Hello, receipt!',
+        rows: [
+            '#######..#..#.#######',
+            '#.....#..###..#.....#',
+            '#.###.#.##.##.#.###.#',
+            '#.###.#..#.#..#.###.#',
+            '#.###.#...#...#.###.#',
+            '#.....#....#..#.....#',
+            '#######.#.#.#.#######',
+            '........##.#.........',
+            '###.###########...#..',
+            '#.#..#....#.##..#..##',
+            '#..##.#.#..##..######',
+            '##..#...#..#...#...#.',
+            '.#....#####.#...#....',
+            '........#...#..##.##.',
+            '#######.#######.#.###',
+            '#.....#.###....#....#',
+            '#.###.#.###....#...#.',
+            '#.###.#..#.###.##.##.',
+            '#.###.#.######..#.#.#',
+            '#.....#.#.......#..#.',
+            '#######.#.###..#...##'
+        ]
+    }
+};
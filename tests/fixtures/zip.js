@@ -0,0 +1,43 @@
+import zlib from 'zlib';
+
+// Bytes of an async iterable of strings and buffers
+export async function collect(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'utf8'));
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Entries of a ZIP archive read from its central directory:
+ * [{ name, crc, size, compressedSize, content: Buffer }]
+ */
+export function readZip(buffer) {
+    const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    if (end < 0) throw new Error('No end of central directory');
+
+    const count = buffer.readUInt16LE(end + 10);
+    let position = buffer.readUInt32LE(end + 16);
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        if (buffer.readUInt32LE(position) !== 0x02014b50) throw new Error('Bad central directory header');
+        const method = buffer.readUInt16LE(position + 10);
+        const crc = buffer.readUInt32LE(position + 16);
+        const compressedSize = buffer.readUInt32LE(position + 20);
+        const size = buffer.readUInt32LE(position + 24);
+        const nameLength = buffer.readUInt16LE(position + 28);
+        const extraLength = buffer.readUInt16LE(position + 30);
+        const commentLength = buffer.readUInt16LE(position + 32);
+        const headerOffset = buffer.readUInt32LE(position + 42);
+        const name = buffer.subarray(position + 46, position + 46 + nameLength).toString('utf8');
+
+        if (buffer.readUInt32LE(headerOffset) !== 0x04034b50) throw new Error('Bad local header');
+        const dataStart = headerOffset + 30 + buffer.readUInt16LE(headerOffset + 26) + buffer.readUInt16LE(headerOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+        entries.push({ name, crc, size, compressedSize, content: method === 8 ? zlib.inflateRawSync(data) : data });
+        position += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
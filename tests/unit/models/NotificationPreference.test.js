@@ -0,0 +1,57 @@
+import { describe, it, expect } from '@jest/globals';
+import NotificationPreference from '../../../src/models/NotificationPreference.js';
+
+const preferences = (values) => NotificationPreference.build({ userId: '00000000-0000-0000-0000-000000000001', ...values });
+
+describe('NotificationPreference Model', () => {
+    describe('isInQuietHours', () => {
+        const overnight = preferences({ quietHoursEnabled: true, quietHoursStart: 22, quietHoursEnd: 7 });
+
+        it('should check quiet hours on the clock of the user\'s timezone', () => {
+            // 21:30 UTC is 22:30 in Amsterdam (winter time)
+            const now = new Date('2024-01-15T21:30:00Z');
+
+            expect(overnight.isInQuietHours({ timezone: 'Europe/Amsterdam' }, now)).toBe(true);
+            expect(overnight.isInQuietHours({ timezone: 'UTC' }, now)).toBe(false);
+            expect(overnight.isInQuietHours({}, now)).toBe(false);
+        });
+
+        it('should handle ranges within a day', () => {
+            const afternoon = preferences({ quietHoursEnabled: true, quietHoursStart: 13, quietHoursEnd: 15 });
+            const calendar = { timezone: 'America/New_York' };
+
+            expect(afternoon.isInQuietHours(calendar, new Date('2024-07-15T17:00:00Z'))).toBe(true);
+            expect(afternoon.isInQuietHours(calendar, new Date('2024-07-15T19:00:00Z'))).toBe(false);
+        });
+
+        it('should be off when quiet hours are disabled or incomplete', () => {
+            const now = new Date('2024-01-15T23:00:00Z');
+
+            expect(preferences({ quietHoursEnabled: false, quietHoursStart: 22, quietHoursEnd: 7 }).isInQuietHours({}, now)).toBe(false);
+            expect(preferences({ quietHoursEnabled: true, quietHoursStart: 22, quietHoursEnd: null }).isInQuietHours({}, now)).toBe(false);
+        });
+    });
+
+    describe('shouldSendDigestToday', () => {
+        it('should send weekly digests on the local day and hour', () => {
+            const weekly = preferences({ digestFrequency: 'weekly', digestDay: 1, digestHour: 8 });
+            // Monday 08:15 in Tokyo, still Sunday in UTC
+            const now = new Date('2024-03-17T23:15:00Z');
+
+            expect(weekly.shouldSendDigestToday({ timezone: 'Asia/Tokyo' }, now)).toBe(true);
+            expect(weekly.shouldSendDigestToday({ timezone: 'UTC' }, now)).toBe(false);
+        });
+
+        it('should send monthly digests on the first day of the user\'s month', () => {
+            const monthly = preferences({ digestFrequency: 'monthly', digestHour: 9 });
+            const now = new Date('2024-03-25T09:00:00Z');
+
+            expect(monthly.shouldSendDigestToday({ timezone: 'UTC', monthStartDay: 25 }, now)).toBe(true);
+            expect(monthly.shouldSendDigestToday({ timezone: 'UTC', monthStartDay: 1 }, now)).toBe(false);
+        });
+
+        it('should never send when digests are off', () => {
+            expect(preferences({ digestFrequency: 'none', digestHour: 9 }).shouldSendDigestToday({}, new Date('2024-03-01T09:00:00Z'))).toBe(false);
+        });
+    });
+});
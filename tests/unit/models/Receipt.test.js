@@ -0,0 +1,63 @@
+import { describe, it, expect, afterEach } from '@jest/globals';
+import Receipt, { ReceiptInReportError } from '../../../src/models/Receipt.js';
+import ExpenseReport from '../../../src/models/ExpenseReport.js';
+
+const findReport = ExpenseReport.findByPk;
+
+// Receipt claimed in an expense report, as loaded from the database
+function claimedReceipt() {
+    return Receipt.build({
+        id: '00000000-0000-0000-0000-000000000010',
+        userId: '00000000-0000-0000-0000-000000000001',
+        expenseReportId: '00000000-0000-0000-0000-000000000020',
+        amount: '12.50',
+        currency: 'EUR',
+        purchaseDate: new Date('2024-03-15T00:00:00Z'),
+        notes: null
+    }, { isNewRecord: false, raw: true });
+}
+
+// Report lookups answered in memory instead of by the database
+function reportWithStatus(status) {
+    const lookups = [];
+    ExpenseReport.findByPk = async (id) => {
+        lookups.push(id);
+        return ExpenseReport.build({ id, status });
+    };
+    return lookups;
+}
+
+describe('Receipt Model', () => {
+    afterEach(() => {
+        ExpenseReport.findByPk = findReport;
+    });
+
+    describe('beforeUpdate', () => {
+        it('should refuse a new amount, currency or date while a submitted report claims the receipt', async () => {
+            reportWithStatus('submitted');
+
+            for (const changes of [{ amount: 13 }, { currency: 'USD' }, { purchaseDate: new Date('2024-03-16T00:00:00Z') }]) {
+                const receipt = claimedReceipt();
+                receipt.set(changes);
+                await expect(Receipt.runHooks('beforeUpdate', receipt, {})).rejects.toThrow(ReceiptInReportError);
+            }
+        });
+
+        it('should allow the change while the report is a draft', async () => {
+            reportWithStatus('draft');
+            const receipt = claimedReceipt();
+            receipt.set({ amount: 13 });
+
+            await expect(Receipt.runHooks('beforeUpdate', receipt, {})).resolves.toBeUndefined();
+        });
+
+        it('should not look the report up for changes to other fields or to equal values', async () => {
+            const lookups = reportWithStatus('reimbursed');
+            const receipt = claimedReceipt();
+            receipt.set({ amount: 12.5, notes: 'Team lunch' });
+
+            await Receipt.runHooks('beforeUpdate', receipt, {});
+            expect(lookups).toEqual([]);
+        });
+    });
+});
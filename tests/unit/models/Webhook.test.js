@@ -0,0 +1,54 @@
+import { describe, it, expect } from '@jest/globals';
+import Webhook from '../../../src/models/Webhook.js';
+
+// Webhook with update() applied in memory instead of in the database
+function webhook(values) {
+    const instance = Webhook.build({
+        userId: '00000000-0000-0000-0000-000000000001',
+        url: 'https://example.com/hooks',
+        events: ['receipt.created'],
+        ...values
+    });
+    instance.update = async function(changes) {
+        this.set(changes);
+        return this;
+    };
+    return instance;
+}
+
+describe('Webhook Model', () => {
+    describe('recordDeliveryResult', () => {
+        it('should count failed deliveries in a row and reset the count on success', async () => {
+            const subscription = webhook({ consecutiveFailures: 2 });
+
+            await subscription.recordDeliveryResult(false);
+            expect(subscription.consecutiveFailures).toBe(3);
+            expect(subscription.lastDeliveryStatus).toBe('failed');
+
+            await subscription.recordDeliveryResult(true);
+            expect(subscription.consecutiveFailures).toBe(0);
+            expect(subscription.lastDeliveryStatus).toBe('success');
+            expect(subscription.isActive).toBe(true);
+        });
+
+        it('should deactivate the subscription when the failures reach the limit', async () => {
+            const subscription = webhook({ consecutiveFailures: 18 });
+
+            await subscription.recordDeliveryResult(false, { disableAfter: 20 });
+            expect(subscription.isActive).toBe(true);
+
+            await subscription.recordDeliveryResult(false, { disableAfter: 20 });
+            expect(subscription.consecutiveFailures).toBe(20);
+            expect(subscription.isActive).toBe(false);
+        });
+    });
+
+    describe('toJSON', () => {
+        it('should leave out the signing secret', () => {
+            const subscription = webhook({});
+
+            expect(subscription.secret).toMatch(/^whsec_[0-9a-f]{64}$/);
+            expect(subscription.toJSON()).not.toHaveProperty('secret');
+        });
+    });
+});
@@ -0,0 +1,303 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+    parseStatementAmount,
+    parseStatementDate,
+    parseCamt053,
+    parseOfx,
+    parseCsv,
+    detectStatementFormat,
+    parseBankStatement
+} from '../../../src/services/bankStatementParser.js';
+import { ValidationError } from '../../../src/utils/errors.js';
+
+const CAMT053 = `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02">
+    <BkToCstmrStmt>
+        <Stmt>
+            <Acct><Id><IBAN>NL91ABNA0417164300</IBAN></Id><Ccy>EUR</Ccy></Acct>
+            <Ntry>
+                <Amt Ccy="EUR">12.50</Amt>
+                <CdtDbtInd>DBIT</CdtDbtInd>
+                <Sts>BOOK</Sts>
+                <BookgDt><Dt>2024-03-15</Dt></BookgDt>
+                <ValDt><Dt>2024-03-16</Dt></ValDt>
+                <AcctSvcrRef>REF-1</AcctSvcrRef>
+                <BkTxCd><Domn><Cd>PMNT</Cd><Fmly><Cd>CCRD</Cd></Fmly></Domn></BkTxCd>
+                <NtryDtls><TxDtls>
+                    <RltdPties><Cdtr><Nm>ALBERT HEIJN 1234</Nm></Cdtr></RltdPties>
+                    <RmtInf><Ustrd>BEA, VPAY</Ustrd><Ustrd>Pas 123</Ustrd></RmtInf>
+                </TxDtls></NtryDtls>
+            </Ntry>
+            <Ntry>
+                <Amt Ccy="USD">100.00</Amt>
+                <CdtDbtInd>CRDT</CdtDbtInd>
+                <Sts><Cd>BOOK</Cd></Sts>
+                <BookgDt><DtTm>2024-03-20T10:00:00+01:00</DtTm></BookgDt>
+                <NtryDtls><TxDtls>
+                    <Refs><EndToEndId>E2E-2</EndToEndId></Refs>
+                    <RltdPties><Dbtr><Pty><Nm>Employer &amp; Co</Nm></Pty></Dbtr></RltdPties>
+                </TxDtls></NtryDtls>
+                <AddtlNtryInf>Salary   March</AddtlNtryInf>
+            </Ntry>
+            <Ntry>
+                <Amt Ccy="EUR">7.00</Amt>
+                <CdtDbtInd>DBIT</CdtDbtInd>
+                <Sts>PDNG</Sts>
+                <BookgDt><Dt>2024-03-21</Dt></BookgDt>
+            </Ntry>
+        </Stmt>
+    </BkToCstmrStmt>
+</Document>`;
+
+const OFX_SGML = `OFXHEADER:100
+DATA:OFXSGML
+VERSION:102
+
+<OFX>
+<BANKMSGSRSV1><STMTTRNRS><STMTRS>
+<CURDEF>USD
+<BANKACCTFROM><BANKID>121000248<ACCTID>987654321<ACCTTYPE>CHECKING</BANKACCTFROM>
+<BANKTRANLIST>
+<DTSTART>20240301
+<STMTTRN>
+<TRNTYPE>POS
+<DTPOSTED>20240315120000[-5:EST]
+<TRNAMT>-23.45
+<FITID>2024031501
+<NAME>WHOLE FOODS #123
+<MEMO>Debit card purchase
+<STMTTRN>
+<TRNTYPE>CREDIT
+<DTPOSTED>20240316
+<DTUSER>20240315
+<TRNAMT>1500.00
+<FITID>2024031602
+<NAME>PAYROLL
+</BANKTRANLIST>
+</STMTRS></STMTTRNRS></BANKMSGSRSV1>
+</OFX>`;
+
+const OFX_CREDIT_CARD = `<?xml version="1.0"?>
+<OFX><CREDITCARDMSGSRSV1><CCSTMTTRNRS><CCSTMTRS>
+<CURDEF>EUR</CURDEF>
+<CCACCTFROM><ACCTID>4111</ACCTID></CCACCTFROM>
+<BANKTRANLIST>
+<STMTTRN><TRNTYPE>DEBIT</TRNTYPE><DTPOSTED>20240301</DTPOSTED><TRNAMT>-5.00</TRNAMT><FITID>A1</FITID><NAME>Cafe Central</NAME></STMTTRN>
+</BANKTRANLIST>
+</CCSTMTRS></CCSTMTTRNRS></CREDITCARDMSGSRSV1></OFX>`;
+
+const DUTCH_CSV = [
+    '"Datum";"Naam / Omschrijving";"Rekening";"Tegenrekening";"Code";"Af Bij";"Bedrag (EUR)";"Mutatiesoort";"Mededelingen"',
+    '"20240315";"Albert Heijn 1234";"NL20INGB0001234567";"";"BA";"Af";"12,50";"Betaalautomaat";"Pasvolgnr: 001 15-03-2024 12:00"',
+    '"20240316";"Werkgever BV";"NL20INGB0001234567";"NL91ABNA0417164300";"OV";"Bij";"1.500,00";"Overschrijving";"Salaris maart"'
+].join('\r\n');
+
+const DEBIT_CREDIT_CSV = [
+    'Posted,Payee,Withdrawal,Deposit,Memo',
+    '03/15/2024,STARBUCKS,4.50,,VISA purchase',
+    '03/16/2024,REFUND SHOP,,10.00,',
+    'Balance,,,,'
+].join('\n');
+
+describe('Bank statement parser', () => {
+    describe('parseStatementAmount', () => {
+        it('should read decimal commas and thousands separators', () => {
+            expect(parseStatementAmount('1.234,56')).toBe(1234.56);
+            expect(parseStatementAmount('1,234.56')).toBe(1234.56);
+            expect(parseStatementAmount('12,5')).toBe(12.5);
+            expect(parseStatementAmount('1,234')).toBe(1234);
+            expect(parseStatementAmount('1.234', ',')).toBe(1234);
+        });
+
+        it('should read signs, parentheses and trailing minus signs', () => {
+            expect(parseStatementAmount('-12.5')).toBe(-12.5);
+            expect(parseStatementAmount('+3')).toBe(3);
+            expect(parseStatementAmount('(12.50)')).toBe(-12.5);
+            expect(parseStatementAmount('12,50-')).toBe(-12.5);
+            expect(parseStatementAmount('€ 12,50')).toBe(12.5);
+            expect(parseStatementAmount('-1 500,00 EUR')).toBe(-1500);
+        });
+
+        it('should return null for empty or unreadable amounts', () => {
+            expect(parseStatementAmount(null)).toBeNull();
+            expect(parseStatementAmount('')).toBeNull();
+            expect(parseStatementAmount('n/a')).toBeNull();
+            expect(parseStatementAmount('1.2.3', '.')).toBeNull();
+        });
+    });
+
+    describe('parseStatementDate', () => {
+        it('should read ISO and compact dates', () => {
+            expect(parseStatementDate('2024-03-15T10:00:00Z')).toBe('2024-03-15');
+            expect(parseStatementDate('20240315120000[-5:EST]')).toBe('2024-03-15');
+        });
+
+        it('should read day-first dates unless the format is month-first', () => {
+            expect(parseStatementDate('15-03-2024')).toBe('2024-03-15');
+            expect(parseStatementDate('5/3/2024')).toBe('2024-03-05');
+            expect(parseStatementDate('15.03.24')).toBe('2024-03-15');
+            expect(parseStatementDate('03/15/2024', 'MM/DD/YYYY')).toBe('2024-03-15');
+        });
+
+        it('should return null for dates that do not exist', () => {
+            expect(parseStatementDate('31-02-2024')).toBeNull();
+            expect(parseStatementDate('03/15/2024')).toBeNull();
+            expect(parseStatementDate('yesterday')).toBeNull();
+            expect(parseStatementDate('')).toBeNull();
+        });
+    });
+
+    describe('parseCamt053', () => {
+        it('should read the account and its booked entries', () => {
+            expect(parseCamt053(CAMT053)).toEqual({
+                format: 'camt053',
+                account: 'NL91ABNA0417164300',
+                currency: 'EUR',
+                transactions: [{
+                    externalId: 'REF-1',
+                    bookingDate: '2024-03-15',
+                    valueDate: '2024-03-16',
+                    amount: -12.5,
+                    currency: 'EUR',
+                    counterpartyName: 'ALBERT HEIJN 1234',
+                    description: 'BEA, VPAY Pas 123',
+                    paymentMethod: 'card',
+                    cardType: 'VPAY'
+                }, {
+                    externalId: 'E2E-2',
+                    bookingDate: '2024-03-20',
+                    valueDate: null,
+                    amount: 100,
+                    currency: 'USD',
+                    counterpartyName: 'Employer & Co',
+                    description: 'Salary March',
+                    paymentMethod: null,
+                    cardType: null
+                }]
+            });
+        });
+
+        it('should reject invalid files and files without statements', () => {
+            expect(() => parseCamt053('<Document><BkToCstmrStmt>')).toThrow(ValidationError);
+            expect(() => parseCamt053('<Document><BkToCstmrStmt/></Document>')).toThrow('Invalid CAMT.053 file: no statements found');
+        });
+    });
+
+    describe('parseOfx', () => {
+        it('should read OFX 1.x statements with unclosed elements', () => {
+            expect(parseOfx(OFX_SGML)).toEqual({
+                format: 'ofx',
+                account: '987654321',
+                currency: 'USD',
+                transactions: [{
+                    externalId: '2024031501',
+                    bookingDate: '2024-03-15',
+                    valueDate: null,
+                    amount: -23.45,
+                    currency: 'USD',
+                    counterpartyName: 'WHOLE FOODS #123',
+                    description: 'Debit card purchase',
+                    paymentMethod: 'card',
+                    cardType: null
+                }, {
+                    externalId: '2024031602',
+                    bookingDate: '2024-03-16',
+                    valueDate: '2024-03-15',
+                    amount: 1500,
+                    currency: 'USD',
+                    counterpartyName: 'PAYROLL',
+                    description: null,
+                    paymentMethod: null,
+                    cardType: null
+                }]
+            });
+        });
+
+        it('should count credit card statement transactions as card payments', () => {
+            const statement = parseOfx(OFX_CREDIT_CARD);
+
+            expect(statement.account).toBe('4111');
+            expect(statement.transactions).toEqual([expect.objectContaining({ amount: -5, currency: 'EUR', paymentMethod: 'card' })]);
+        });
+
+        it('should reject files without an OFX element', () => {
+            expect(() => parseOfx('Date,Amount\n')).toThrow('Invalid OFX file: no OFX element found');
+        });
+    });
+
+    describe('parseCsv', () => {
+        it('should recognize Dutch columns and the debit/credit indicator', () => {
+            const statement = parseCsv(DUTCH_CSV, { currency: 'EUR' });
+
+            expect(statement).toMatchObject({ format: 'csv', account: null, currency: 'EUR' });
+            expect(statement.transactions).toEqual([{
+                externalId: null,
+                bookingDate: '2024-03-15',
+                valueDate: null,
+                amount: -12.5,
+                currency: 'EUR',
+                counterpartyName: 'Albert Heijn 1234',
+                description: 'Pasvolgnr: 001 15-03-2024 12:00',
+                paymentMethod: 'card',
+                cardType: null
+            }, {
+                externalId: null,
+                bookingDate: '2024-03-16',
+                valueDate: null,
+                amount: 1500,
+                currency: 'EUR',
+                counterpartyName: 'Werkgever BV',
+                description: 'Salaris maart',
+                paymentMethod: null,
+                cardType: null
+            }]);
+        });
+
+        it('should read separate debit and credit columns mapped by header name', () => {
+            const statement = parseCsv(DEBIT_CREDIT_CSV, { columns: { date: 'Posted' }, dateFormat: 'MM/DD/YYYY' });
+
+            expect(statement.transactions.map(({ bookingDate, amount, counterpartyName, paymentMethod, cardType }) =>
+                ({ bookingDate, amount, counterpartyName, paymentMethod, cardType }))).toEqual([
+                { bookingDate: '2024-03-15', amount: -4.5, counterpartyName: 'STARBUCKS', paymentMethod: 'card', cardType: 'VISA' },
+                { bookingDate: '2024-03-16', amount: 10, counterpartyName: 'REFUND SHOP', paymentMethod: null, cardType: null }
+            ]);
+        });
+
+        it('should reject files it cannot read transactions from', () => {
+            expect(() => parseCsv('Date,Amount\n')).toThrow('The CSV file has no transactions');
+            expect(() => parseCsv('Date,Description\n2024-03-15,Coffee\n')).toThrow('The CSV file needs a date column and an amount (or debit and credit) column');
+            expect(() => parseCsv(DEBIT_CREDIT_CSV, { columns: { date: 'Fecha' } })).toThrow('CSV column "Fecha" not found');
+        });
+    });
+
+    describe('detectStatementFormat', () => {
+        it('should detect the format by content, then by extension', () => {
+            expect(detectStatementFormat(CAMT053)).toBe('camt053');
+            expect(detectStatementFormat(OFX_SGML)).toBe('ofx');
+            expect(detectStatementFormat('', 'export.QFX')).toBe('ofx');
+            expect(detectStatementFormat('', 'statement.xml')).toBe('camt053');
+            expect(detectStatementFormat(DUTCH_CSV, 'statement.csv')).toBe('csv');
+        });
+    });
+
+    describe('parseBankStatement', () => {
+        it('should read Windows-1252 CSV exports', () => {
+            const buffer = Buffer.from('Fecha;Concepto;Importe\n15/03/2024;Panadería;-3,20\n', 'latin1');
+
+            expect(parseBankStatement(buffer, { csv: { currency: 'EUR' } }).transactions).toEqual([
+                expect.objectContaining({ bookingDate: '2024-03-15', amount: -3.2, currency: 'EUR', description: 'Panadería' })
+            ]);
+        });
+
+        it('should use the given format', () => {
+            expect(parseBankStatement(Buffer.from('\uFEFF' + OFX_SGML), { format: 'ofx', filename: 'statement.csv' }).transactions).toHaveLength(2);
+            expect(() => parseBankStatement(Buffer.from(OFX_SGML), { format: 'mt940' })).toThrow('Unsupported statement format: mt940');
+        });
+
+        it('should reject statements without dated transactions', () => {
+            const undated = '<OFX><BANKTRANLIST><STMTTRN><TRNAMT>-5.00</STMTTRN></BANKTRANLIST></OFX>';
+
+            expect(() => parseBankStatement(Buffer.from(undated))).toThrow('No transactions found in the statement');
+        });
+    });
+});
@@ -0,0 +1,26 @@
+import { describe, it, expect } from '@jest/globals';
+import { convertedAmountSql, unconvertedCountSql } from '../../../src/services/currencyService.js';
+
+describe('Currency Service', () => {
+    describe('convertedAmountSql', () => {
+        it('should convert at the rate of the purchase date, without falling back to the original amount', () => {
+            expect(convertedAmountSql('EUR')).toBe("convert_currency(amount, currency, 'EUR', (COALESCE(purchase_date, created_at))::date)");
+        });
+
+        it('should use the given columns and escape the currency', () => {
+            expect(convertedAmountSql("EU'R", { amount: 'ri.total_price', currency: 'ri.currency', date: 'r.purchase_date' }))
+                .toBe("convert_currency(ri.total_price, ri.currency, 'EU''R', (r.purchase_date)::date)");
+        });
+    });
+
+    describe('unconvertedCountSql', () => {
+        it('should count the amounts that have no rate', () => {
+            expect(unconvertedCountSql('USD', { amount: 'ri.total_price', currency: 'ri.currency', date: 'r.purchase_date' })).toBe(
+                "COUNT(*) FILTER (WHERE ri.total_price IS NOT NULL AND convert_currency(ri.total_price, ri.currency, 'USD', (r.purchase_date)::date) IS NULL)"
+            );
+            expect(unconvertedCountSql('USD')).toBe(
+                "COUNT(*) FILTER (WHERE amount IS NOT NULL AND convert_currency(amount, currency, 'USD', (COALESCE(purchase_date, created_at))::date) IS NULL)"
+            );
+        });
+    });
+});
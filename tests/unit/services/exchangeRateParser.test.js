@@ -0,0 +1,108 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+    parseEcbXml,
+    parseRateCsv,
+    detectRateFileFormat,
+    parseExchangeRates
+} from '../../../src/services/exchangeRateParser.js';
+import { ValidationError } from '../../../src/utils/errors.js';
+
+const ECB_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<gesmes:Envelope xmlns:gesmes="http://www.gesmes.org/xml/2002-08-01" xmlns="http://www.ecb.int/vocabulary/2002-08-01/eurofxref">
+    <gesmes:subject>Reference rates</gesmes:subject>
+    <Cube>
+        <Cube time="2024-01-03">
+            <Cube currency="USD" rate="1.0919"/>
+            <Cube currency="JPY" rate="155.52"/>
+        </Cube>
+        <Cube time="2024-01-02">
+            <Cube currency="USD" rate="1.0956"/>
+            <Cube currency="usd" rate="0"/>
+        </Cube>
+    </Cube>
+</gesmes:Envelope>`;
+
+describe('Exchange rate parser', () => {
+    describe('parseEcbXml', () => {
+        it('should read the rates of each day', () => {
+            expect(parseEcbXml(ECB_XML)).toEqual({
+                format: 'xml',
+                rates: [
+                    { currency: 'USD', date: '2024-01-03', rate: 1.0919 },
+                    { currency: 'JPY', date: '2024-01-03', rate: 155.52 },
+                    { currency: 'USD', date: '2024-01-02', rate: 1.0956 }
+                ]
+            });
+        });
+
+        it('should skip rates outside a dated cube', () => {
+            expect(parseEcbXml('<Cube><Cube currency="USD" rate="1.09"/></Cube>').rates).toEqual([]);
+        });
+
+        it('should reject invalid XML', () => {
+            expect(() => parseEcbXml('<Cube><Cube time="2024-01-02">')).toThrow(ValidationError);
+        });
+    });
+
+    describe('parseRateCsv', () => {
+        it('should read wide files with a column per currency', () => {
+            const text = 'Date,USD,JPY,CYP,\n2024-01-03,1.0919,155.52,N/A,\n2024-01-02,1.0956,155.86,N/A,\n';
+
+            expect(parseRateCsv(text).rates).toEqual([
+                { currency: 'USD', date: '2024-01-03', rate: 1.0919 },
+                { currency: 'JPY', date: '2024-01-03', rate: 155.52 },
+                { currency: 'USD', date: '2024-01-02', rate: 1.0956 },
+                { currency: 'JPY', date: '2024-01-02', rate: 155.86 }
+            ]);
+        });
+
+        it('should read long files with a rate per row', () => {
+            const text = 'KEY;CURRENCY;TIME_PERIOD;OBS_VALUE\nEXR.D.USD.EUR.SP00.A;usd;2024-01-02;1.0956\nEXR.D.GBP.EUR.SP00.A;GBP;02/01/2024;0.8663\n';
+
+            expect(parseRateCsv(text)).toEqual({
+                format: 'csv',
+                rates: [{ currency: 'USD', date: '2024-01-02', rate: 1.0956 }]
+            });
+        });
+
+        it('should return no rates for a file without data rows', () => {
+            expect(parseRateCsv('Date,USD\n').rates).toEqual([]);
+        });
+
+        it('should reject wide files without a date column', () => {
+            expect(() => parseRateCsv('Day,USD\n2024-01-02,1.0956\n')).toThrow('The CSV file has no Date column');
+        });
+    });
+
+    describe('detectRateFileFormat', () => {
+        it('should detect XML by its content or extension', () => {
+            expect(detectRateFileFormat(ECB_XML)).toBe('xml');
+            expect(detectRateFileFormat('  <Cube></Cube>')).toBe('xml');
+            expect(detectRateFileFormat('', 'eurofxref-daily.XML')).toBe('xml');
+            expect(detectRateFileFormat('Date,USD\n', 'eurofxref-hist.csv')).toBe('csv');
+        });
+    });
+
+    describe('parseExchangeRates', () => {
+        it('should parse a file by its detected format, without a byte order mark', () => {
+            const result = parseExchangeRates(Buffer.from('\uFEFFDate,USD\n2024-01-02,1.0956\n'));
+
+            expect(result).toEqual({ format: 'csv', rates: [{ currency: 'USD', date: '2024-01-02', rate: 1.0956 }] });
+        });
+
+        it('should use the given format', () => {
+            expect(parseExchangeRates(Buffer.from(ECB_XML), { format: 'xml', filename: 'rates.csv' }).rates).toHaveLength(3);
+            expect(() => parseExchangeRates(Buffer.from(ECB_XML), { format: 'json' })).toThrow('Unsupported rate file format: json');
+        });
+
+        it('should drop rates against EUR itself', () => {
+            const result = parseExchangeRates(Buffer.from('Date,EUR,USD\n2024-01-02,1,1.0956\n'));
+
+            expect(result.rates.map(entry => entry.currency)).toEqual(['USD']);
+        });
+
+        it('should reject files without rates', () => {
+            expect(() => parseExchangeRates(Buffer.from('Date,EUR\n2024-01-02,1\n'))).toThrow('No exchange rates found in the file');
+        });
+    });
+});
@@ -0,0 +1,37 @@
+import { describe, it, expect } from '@jest/globals';
+import { changedClaimedFields, findSubmittedReport } from '../../../src/services/expenseReportService.js';
+
+const receipt = {
+    amount: '12.50',
+    currency: 'EUR',
+    purchaseDate: new Date('2024-03-15T00:00:00Z'),
+    expenseReportId: null
+};
+
+describe('Expense Report Service', () => {
+    describe('changedClaimedFields', () => {
+        it('should list the claimed fields that get a different value', () => {
+            expect(changedClaimedFields(receipt, { amount: 13, currency: 'USD', purchaseDate: '2024-03-16', category: 'food' }))
+                .toEqual(['amount', 'currency', 'purchaseDate']);
+        });
+
+        it('should ignore values equal to the current ones and fields that are not claimed', () => {
+            expect(changedClaimedFields(receipt, {
+                amount: 12.5,
+                currency: 'EUR',
+                purchaseDate: '2024-03-15T00:00:00.000Z',
+                notes: 'Team lunch'
+            })).toEqual([]);
+        });
+
+        it('should count clearing a claimed field as a change', () => {
+            expect(changedClaimedFields(receipt, { amount: null, purchaseDate: null })).toEqual(['amount', 'purchaseDate']);
+        });
+    });
+
+    describe('findSubmittedReport', () => {
+        it('should not look up a report for receipts that are not in one', async () => {
+            expect(await findSubmittedReport(receipt)).toBeNull();
+        });
+    });
+});
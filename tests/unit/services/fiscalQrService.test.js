@@ -0,0 +1,142 @@
+import { describe, it, expect } from '@jest/globals';
+import sharp from 'sharp';
+import { parseFiscalQr, readFiscalQr } from '../../../src/services/fiscalQrService.js';
+import { QR_CODES } from '../../fixtures/qrCodes.js';
+
+describe('Fiscal QR codes', () => {
+    describe('parseFiscalQr', () => {
+        it('should parse a Portuguese ATCUD code with its VAT by rate', () => {
+            const result = parseFiscalQr(QR_CODES.atcud.text);
+
+            expect(result).toMatchObject({
+                format: 'pt_atcud',
+                country: 'PT',
+                currency: 'EUR',
+                issuerTaxId: '500123456',
+                date: '2024-03-15',
+                total: 35.2,
+                vatTotal: 5.2,
+                vat: { 6: { amount: 0.6, base: 10 }, 23: { amount: 4.6, base: 20 } },
+                documentId: 'FS 01/123',
+                raw: QR_CODES.atcud.text
+            });
+        });
+
+        it('should use the rates of the Azores fiscal space', () => {
+            const result = parseFiscalQr('A:500123456*B:999999990*F:20240315*I1:PT-AC*I7:10.00*I8:1.60*N:1.60*O:11.60');
+
+            expect(result.vat).toEqual({ 16: { amount: 1.6, base: 10 } });
+        });
+
+        it('should parse a TicketBAI code', () => {
+            expect(parseFiscalQr(QR_CODES.ticketbai.text)).toMatchObject({
+                format: 'es_ticketbai',
+                country: 'ES',
+                issuerTaxId: 'B12345678',
+                date: '2024-03-15',
+                total: 45.6,
+                vatTotal: null,
+                documentId: 'A-000123'
+            });
+        });
+
+        it('should parse a VeriFactu code', () => {
+            const result = parseFiscalQr('https://www2.agenciatributaria.gob.es/wlpl/TIKE-CONT/ValidarQR?nif=89890001K&numserie=12345678-G33&fecha=01-09-2024&importe=241.4');
+
+            expect(result).toMatchObject({ format: 'es_verifactu', issuerTaxId: '89890001K', date: '2024-09-01', total: 241.4 });
+        });
+
+        it('should parse Brazilian NFC-e codes', () => {
+            const online = parseFiscalQr('https://www.sefaz.rs.gov.br/NFCE/NFCE-COM.aspx?p=43240312345678000199650010000012341000012345|2|1|1|ABCDEF');
+            expect(online).toMatchObject({ format: 'br_nfce', currency: 'BRL', issuerTaxId: '12345678000199', date: null, total: null });
+
+            const offline = parseFiscalQr('https://www.sefaz.rs.gov.br/NFCE/NFCE-COM.aspx?p=43240312345678000199650010000012349000012345|2|1|15|58.90|6a6b|1|ABCDEF');
+            expect(offline).toMatchObject({ date: '2024-03-15', total: 58.9 });
+
+            const dhEmi = Buffer.from('2016-05-20T10:20:30-03:00').toString('hex');
+            const versionOne = parseFiscalQr(`http://nfce.sefaz.pe.gov.br/nfce/consulta?chNFe=26160512345678000199650010000000011000000016&nVersao=100&dhEmi=${dhEmi}&vNF=10.50&vICMS=1.20`);
+            expect(versionOne).toMatchObject({ date: '2016-05-20', total: 10.5, vatTotal: 1.2 });
+        });
+
+        it('should parse a Mexican CFDI code without assuming its currency', () => {
+            const result = parseFiscalQr('https://verificacfdi.facturaelectronica.sat.gob.mx/default.aspx?id=5fb2822e-396d-4725-8521-cdc4bdd20ccf&re=AAA010101AAA&rr=XAXX010101000&tt=0000001234.500000&fe=abcd1234');
+
+            expect(result).toMatchObject({ format: 'mx_cfdi', currency: null, issuerTaxId: 'AAA010101AAA', total: 1234.5, documentId: '5FB2822E-396D-4725-8521-CDC4BDD20CCF' });
+        });
+
+        it('should parse an Argentine AFIP code', () => {
+            const payload = Buffer.from(JSON.stringify({ ver: 1, fecha: '2024-03-15', cuit: 30000000007, ptoVta: 10, nroCmp: 94, importe: 12100, moneda: 'DOL' })).toString('base64');
+
+            expect(parseFiscalQr(`https://www.afip.gob.ar/fe/qr/?p=${payload}`)).toMatchObject({
+                format: 'ar_afip',
+                currency: 'USD',
+                issuerTaxId: '30000000007',
+                date: '2024-03-15',
+                total: 12100,
+                documentId: '00010-00000094'
+            });
+        });
+
+        it('should parse a Peruvian SUNAT code', () => {
+            expect(parseFiscalQr('20100066603|03|B001|00012345|18.00|118.00|15/03/2024|1|12345678|')).toMatchObject({
+                format: 'pe_sunat',
+                currency: 'PEN',
+                date: '2024-03-15',
+                total: 118,
+                vatTotal: 18,
+                documentId: 'B001-00012345'
+            });
+        });
+
+        it('should parse a Colombian DIAN code', () => {
+            const text = 'NumFac: SETP990000002\nFecFac: 2024-03-15\nNitFac: 900123456\nValFac: 100000.00\nValIva: 19000.00\nValTolFac: 119000.00\nCUFE: abc';
+
+            expect(parseFiscalQr(text)).toMatchObject({ format: 'co_dian', issuerTaxId: '900123456', total: 119000, vatTotal: 19000 });
+        });
+
+        it('should parse a Croatian fiscal code with the total in cents', () => {
+            const result = parseFiscalQr('https://porezna.gov.hr/rn?jir=1a2b3c4d-1234-5678-9abc-def012345678&datv=20240315_1030&izn=1234');
+
+            expect(result).toMatchObject({ format: 'hr_fiskal', date: '2024-03-15', total: 12.34 });
+        });
+
+        it('should reject invalid dates', () => {
+            expect(parseFiscalQr('A:500123456*F:20240231*O:1.00').date).toBeNull();
+        });
+
+        it('should return null for codes that are not fiscal', () => {
+            expect(parseFiscalQr('https://example.com/loyalty?id=123')).toBeNull();
+            expect(parseFiscalQr('WIFI:S:shop;T:WPA;P:secret;;')).toBeNull();
+            expect(parseFiscalQr(QR_CODES.hello.text)).toBeNull();
+            expect(parseFiscalQr('')).toBeNull();
+            expect(parseFiscalQr(null)).toBeNull();
+        });
+    });
+
+    describe('readFiscalQr', () => {
+        it('should read the fiscal code of a receipt photo', async () => {
+            const rows = QR_CODES.ticketbai.rows;
+            const scale = 5;
+            const size = (rows.length + 8) * scale;
+            const pixels = Buffer.alloc(size * size, 255);
+            rows.forEach((row, y) => [...row].forEach((module, x) => {
+                if (module !== '#') return;
+                for (let dy = 0; dy < scale; dy++) {
+                    const offset = ((y + 4) * scale + dy) * size + (x + 4) * scale;
+                    pixels.fill(0, offset, offset + scale);
+                }
+            }));
+            const code = await sharp(pixels, { raw: { width: size, height: size, channels: 1 } }).png().toBuffer();
+            const photo = await sharp({ create: { width: 1200, height: 1600, channels: 3, background: '#efece4' } })
+                .composite([{ input: code, left: 400, top: 1200 }])
+                .jpeg({ quality: 80 })
+                .toBuffer();
+
+            expect(await readFiscalQr(photo)).toMatchObject({ format: 'es_ticketbai', total: 45.6 });
+        });
+
+        it('should resolve with null for files that are not images', async () => {
+            expect(await readFiscalQr(Buffer.from('not an image'))).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,74 @@
+import { describe, it, expect, afterAll } from '@jest/globals';
+import crypto from 'crypto';
+import fs from 'fs';
+import { preparePdfReceipt } from '../../../src/services/pdfReceiptService.js';
+import { saveUserFile, getFullPath, getUserDirectory, FILE_CATEGORIES } from '../../../src/utils/fileStorage.js';
+import { buildPagesPdf, grayImageXObject } from '../../fixtures/pdf.js';
+
+const userId = crypto.randomUUID();
+
+async function storePdf(pdf) {
+    const { relativePath } = await saveUserFile(userId, FILE_CATEGORIES.RECEIPTS, pdf, 'receipt.pdf');
+    return relativePath;
+}
+
+describe('PDF receipts', () => {
+    afterAll(async () => {
+        await fs.promises.rm(getUserDirectory(userId), { recursive: true, force: true });
+    });
+
+    describe('preparePdfReceipt', () => {
+        it('should return the text layer and write a preview of each page', async () => {
+            const pdfPath = await storePdf(buildPagesPdf([
+                'BT /F1 12 Tf 20 360 Td (SUPERMARKT DE HOEK) Tj 0 -20 Td (TOTAAL 3,74) Tj ET',
+                'BT /F1 12 Tf 20 360 Td (Bedankt voor uw bezoek) Tj ET'
+            ]));
+
+            const result = await preparePdfReceipt(pdfPath, userId);
+
+            expect(result.success).toBe(true);
+            expect(result.text).toBe('SUPERMARKT DE HOEK\nTOTAAL 3,74\n\nBedankt voor uw bezoek');
+            expect(result.pageCount).toBe(2);
+            expect(result.pageImageUrls).toEqual([
+                pdfPath.replace('.pdf', '-page-1.jpg'),
+                pdfPath.replace('.pdf', '-page-2.jpg')
+            ]);
+            expect(fs.existsSync(getFullPath(result.pageImageUrls[1]))).toBe(true);
+        });
+
+        it('should use the page images of a scanned PDF', async () => {
+            const pdfPath = await storePdf(buildPagesPdf(['q 300 0 0 400 0 0 cm /Im1 Do Q'], { xObjects: [grayImageXObject(30, 40)] }));
+
+            const result = await preparePdfReceipt(pdfPath, userId);
+
+            expect(result).toMatchObject({ success: true, text: null, pageCount: 1 });
+        });
+
+        it('should explain that pages drawn as vector graphics cannot be read', async () => {
+            const pdfPath = await storePdf(buildPagesPdf(['0 0 0 rg 10 10 m 100 10 l 100 50 l h f']));
+
+            const result = await preparePdfReceipt(pdfPath, userId);
+
+            expect(result.success).toBe(false);
+            expect(result.error).toContain('Page 1 of the PDF has no text or scanned image');
+        });
+
+        it('should explain in the user\'s language that a scan format is not supported', async () => {
+            const image = { dict: '<< /Type /XObject /Subtype /Image /Width 10 /Height 10 /ColorSpace /DeviceGray /BitsPerComponent 8 /Filter /CCITTFaxDecode >>', stream: Buffer.alloc(16) };
+            const pdfPath = await storePdf(buildPagesPdf(['q 300 0 0 400 0 0 cm /Im1 Do Q'], { xObjects: [image] }));
+
+            const result = await preparePdfReceipt(pdfPath, userId, { locale: 'es' });
+
+            expect(result.success).toBe(false);
+            expect(result.error).toContain('La página 1 del PDF es un escaneo en un formato de imagen no compatible');
+        });
+
+        it('should reject damaged PDFs and PDFs of other users', async () => {
+            const damaged = await storePdf(Buffer.from('%PDF-1.4\nnothing here'));
+
+            expect(await preparePdfReceipt(damaged, userId, { locale: 'nl' }))
+                .toEqual({ success: false, error: expect.stringContaining('De PDF kon niet worden gelezen') });
+            expect((await preparePdfReceipt(damaged, crypto.randomUUID())).success).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,114 @@
+import { describe, it, expect } from '@jest/globals';
+import { applyFiscalQr, validateAndCorrectReceiptData } from '../../../src/services/receiptValidationService.js';
+
+const fiscalQr = {
+    format: 'pt_atcud',
+    country: 'PT',
+    currency: 'EUR',
+    issuerTaxId: '500123456',
+    date: '2024-03-15',
+    total: 35.2,
+    vatTotal: 5.2,
+    vat: { 6: { amount: 0.6, base: 10 }, 23: { amount: 4.6, base: 20 } },
+    documentId: 'FS 01/123'
+};
+
+const extraction = () => ({
+    success: true,
+    merchantName: 'LOJA',
+    purchaseDate: '2024-03-16T12:30:00',
+    purchaseDateRaw: '16/03/2024 12:30',
+    items: [
+        { name: 'Pao', quantity: 1, unitPrice: 15.2, totalPrice: 15.2 },
+        { name: 'Vinho', quantity: 1, unitPrice: 20, totalPrice: 20 }
+    ],
+    totals: { subtotal: 31.2, tax: 5, total: 36.2 },
+    currency: 'USD',
+    vatInfo: { 23: { amount: 5, base: 21 } },
+    country: 'pt'
+});
+
+describe('Receipt validation', () => {
+    describe('applyFiscalQr', () => {
+        it('should replace the values read by the AI with those of the fiscal QR code', () => {
+            const data = extraction();
+            const { fiscalTotals } = applyFiscalQr(data, fiscalQr);
+
+            expect(data.totals).toEqual({ subtotal: 30, tax: 5.2, total: 35.2 });
+            expect(fiscalTotals).toEqual({ subtotal: 30, tax: 5.2, total: 35.2 });
+            expect(data.vatInfo).toEqual(fiscalQr.vat);
+            expect(data.merchantTaxId).toBe('500123456');
+            expect(data.currency).toBe('EUR');
+            expect(data.country).toBe('PT');
+        });
+
+        it('should keep the time of day read from the receipt', () => {
+            const data = extraction();
+            applyFiscalQr(data, fiscalQr);
+
+            expect(data.purchaseDate).toBe('2024-03-15T12:30:00');
+            expect(data.dateResolution).toEqual({ method: 'fiscal_qr', raw: '16/03/2024 12:30', country: 'PT' });
+        });
+
+        it('should report each corrected field', () => {
+            const { anomalies } = applyFiscalQr(extraction(), fiscalQr);
+
+            expect(anomalies.map(anomaly => anomaly.field)).toEqual(['total', 'tax', 'vatInfo', 'purchaseDate', 'currency']);
+            expect(anomalies.every(anomaly => anomaly.type === 'fiscal_qr_correction')).toBe(true);
+            expect(anomalies[0]).toMatchObject({ extracted: 36.2, fiscal: 35.2 });
+        });
+
+        it('should not report values that already match', () => {
+            const data = {
+                ...extraction(),
+                purchaseDate: '2024-03-15',
+                totals: { total: 35.2, tax: 5.2 },
+                currency: 'EUR',
+                vatInfo: fiscalQr.vat
+            };
+
+            expect(applyFiscalQr(data, fiscalQr).anomalies).toEqual([]);
+        });
+
+        it('should only apply what the code carries', () => {
+            const data = extraction();
+            const { fiscalTotals } = applyFiscalQr(data, { format: 'es_ticketbai', issuerTaxId: 'B12345678', total: 45.6, vatTotal: null, vat: null, date: null });
+
+            expect(fiscalTotals).toEqual({ total: 45.6 });
+            expect(data.totals.tax).toBe(5);
+            expect(data.vatInfo).toEqual({ 23: { amount: 5, base: 21 } });
+            expect(data.purchaseDate).toBe('2024-03-16T12:30:00');
+            expect(data.currency).toBe('USD');
+        });
+    });
+
+    describe('validateAndCorrectReceiptData', () => {
+        it('should keep the fiscal QR totals through totals validation without lowering the confidence', () => {
+            const validated = validateAndCorrectReceiptData({ ...extraction(), fiscalQr });
+
+            expect(validated.totals).toMatchObject({ subtotal: 30, tax: 5.2, total: 35.2 });
+            expect(validated.merchantTaxId).toBe('500123456');
+            expect(validated.validation.confidence).toBe(1);
+        });
+
+        it('should restore the sign of a refund after applying the code', () => {
+            const validated = validateAndCorrectReceiptData({
+                ...extraction(),
+                receiptType: 'refund',
+                items: [],
+                totals: { total: -35.2 },
+                fiscalQr
+            });
+
+            expect(validated.totals).toMatchObject({ subtotal: -30, tax: -5.2, total: -35.2 });
+            expect(validated.vatInfo[23]).toEqual({ amount: -4.6, base: -20 });
+        });
+
+        it('should leave a receipt without a fiscal QR code to the AI values', () => {
+            const validated = validateAndCorrectReceiptData(extraction());
+
+            expect(validated.totals.total).toBe(36.2);
+            expect(validated.merchantTaxId).toBeUndefined();
+        });
+    });
+});
@@ -0,0 +1,31 @@
+import { describe, it, expect } from '@jest/globals';
+import { encodeCursor, decodeCursor } from '../../../src/services/syncService.js';
+
+describe('Sync Service', () => {
+    describe('cursors', () => {
+        it('should round-trip the transaction, version and issue time', () => {
+            const cursor = encodeCursor({ txid: 9007199254740993n, version: 42n }, 1700000000000);
+
+            expect(decodeCursor(cursor)).toEqual({ txid: 9007199254740993n, version: 42n, issuedAt: 1700000000000 });
+        });
+
+        it('should start a full sync without a cursor', () => {
+            expect(decodeCursor(undefined)).toEqual({ txid: 0n, version: 0n, issuedAt: null });
+        });
+
+        it('should resume cursors without a transaction at transaction 0', () => {
+            const cursor = Buffer.from(JSON.stringify({ v: '15', t: 1700000000000 })).toString('base64url');
+
+            expect(decodeCursor(cursor)).toEqual({ txid: 0n, version: 15n, issuedAt: 1700000000000 });
+        });
+
+        it('should reject malformed cursors', () => {
+            const encode = payload => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+            expect(decodeCursor('not-a-cursor')).toBeNull();
+            expect(decodeCursor(encode({ x: '1; DROP TABLE receipts', v: '1', t: 1 }))).toBeNull();
+            expect(decodeCursor(encode({ x: '1', v: '-1', t: 1 }))).toBeNull();
+            expect(decodeCursor(encode({ x: '1', v: '1' }))).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect } from '@jest/globals';
+import { csvStream, parseCsvRows, detectDelimiter, formatDate } from '../../../src/utils/csv.js';
+
+async function* rowsOf(rows) {
+    yield* rows;
+}
+
+async function writeCsv(columns, rows, options) {
+    let text = '';
+    for await (const line of csvStream(columns, rowsOf(rows), options)) {
+        text += line;
+    }
+    return text;
+}
+
+describe('CSV', () => {
+    describe('csvStream', () => {
+        it('should write a header row and one line per row', async () => {
+            const text = await writeCsv(
+                [{ header: 'Date', type: 'date' }, { header: 'Merchant' }, { header: 'Amount', type: 'amount' }],
+                [['2024-03-15T10:30:00Z', 'Albert Heijn', 12.5], [new Date('2024-03-16T00:00:00Z'), 'Jumbo', -3]]
+            );
+
+            expect(text).toBe('\uFEFFDate,Merchant,Amount\r\n2024-03-15,Albert Heijn,12.5\r\n2024-03-16,Jumbo,-3\r\n');
+        });
+
+        it('should quote fields with delimiters, quotes and line breaks', async () => {
+            const text = await writeCsv(
+                [{ header: 'Merchant' }, { header: 'Notes' }],
+                [['Bakker, De', 'Said "thanks"\nsee receipt']]
+            );
+
+            expect(text.split('\r\n')[1]).toBe('"Bakker, De","Said ""thanks""\nsee receipt"');
+        });
+
+        it('should use the given delimiter', async () => {
+            const text = await writeCsv([{ header: 'Merchant' }, { header: 'Amount', type: 'amount' }], [['Bakker, De', '12,50']], { delimiter: ';' });
+
+            expect(text).toBe('\uFEFFMerchant;Amount\r\nBakker, De;12,50\r\n');
+        });
+
+        it('should write lists, booleans and empty values', async () => {
+            const text = await writeCsv(
+                [{ header: 'Tags', type: 'list' }, { header: 'Business', type: 'boolean' }, { header: 'Notes' }],
+                [[['food', 'team'], false, null], ['single', true, undefined]]
+            );
+
+            expect(text.split('\r\n').slice(1)).toEqual(['"food, team",false,', 'single,true,', '']);
+        });
+
+        it('should keep text that looks like a formula from being run', async () => {
+            const text = await writeCsv(
+                [{ header: 'Merchant' }, { header: 'Amount', type: 'amount' }],
+                [['=HYPERLINK("http://evil")', -12.5], ['@SUM(A1)', '-3'], ['+31 shop', 0]]
+            );
+
+            expect(text.split('\r\n').slice(1, 4)).toEqual([
+                '"\'=HYPERLINK(""http://evil"")",-12.5',
+                "'@SUM(A1),-3",
+                "'+31 shop,0"
+            ]);
+        });
+    });
+
+    describe('parseCsvRows', () => {
+        it('should read quoted fields with delimiters, quotes and line breaks', () => {
+            const text = 'Date;Description;Amount\r\n15-03-2024;"Bakker; De ""Hoek""\nAmsterdam";-12,50\n';
+
+            expect(parseCsvRows(text, ';')).toEqual([
+                ['Date', 'Description', 'Amount'],
+                ['15-03-2024', 'Bakker; De "Hoek"\nAmsterdam', '-12,50']
+            ]);
+        });
+
+        it('should skip blank lines and read a last line without a line break', () => {
+            expect(parseCsvRows('a,b\n\n ,  \n1,2', ',')).toEqual([['a', 'b'], ['1', '2']]);
+        });
+
+        it('should read what it writes', async () => {
+            const rows = [['Bakker, De', 'Said "thanks"\r\nsee receipt', '12.50']];
+            const text = await writeCsv([{ header: 'Merchant' }, { header: 'Notes' }, { header: 'Amount', type: 'amount' }], rows);
+
+            expect(parseCsvRows(text.replace(/^\uFEFF/, ''), ',')).toEqual([['Merchant', 'Notes', 'Amount'], ...rows]);
+        });
+    });
+
+    describe('detectDelimiter', () => {
+        it('should pick the most frequent delimiter of the header line', () => {
+            expect(detectDelimiter('Datum;Naam;Bedrag\n15-03-2024;Jumbo, Utrecht;-3,00')).toBe(';');
+            expect(detectDelimiter('date,name,amount')).toBe(',');
+            expect(detectDelimiter('date\tname\tamount')).toBe('\t');
+            expect(detectDelimiter('date|name|amount')).toBe('|');
+        });
+    });
+
+    describe('formatDate', () => {
+        it('should return the date part of dates and timestamps', () => {
+            expect(formatDate('2024-03-15T23:30:00Z')).toBe('2024-03-15');
+            expect(formatDate(new Date(Date.UTC(2024, 0, 2)))).toBe('2024-01-02');
+            expect(formatDate(null)).toBeNull();
+            expect(formatDate('someday')).toBe('someday');
+        });
+    });
+});
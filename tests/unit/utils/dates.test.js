@@ -0,0 +1,135 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+    isValidTimezone,
+    localTime,
+    localDay,
+    receiptDay,
+    addDays,
+    addMonths,
+    daysBetween,
+    monthStart,
+    periodEnd,
+    periodRange,
+    receiptDaySql,
+    monthStartSql
+} from '../../../src/utils/dates.js';
+
+describe('Dates', () => {
+    describe('isValidTimezone', () => {
+        it('should accept IANA timezone names only', () => {
+            expect(isValidTimezone('Europe/Amsterdam')).toBe(true);
+            expect(isValidTimezone('America/Argentina/Buenos_Aires')).toBe(true);
+            expect(isValidTimezone('UTC')).toBe(true);
+            expect(isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+            expect(isValidTimezone("UTC'; DROP TABLE users; --")).toBe(false);
+            expect(isValidTimezone(null)).toBe(false);
+        });
+    });
+
+    describe('localTime', () => {
+        it('should return the wall-clock time of an instant in a timezone', () => {
+            const instant = new Date('2024-03-15T23:30:00Z');
+
+            expect(localTime(instant, 'Europe/Amsterdam')).toEqual({ day: '2024-03-16', hour: 0, minute: 30, second: 0, weekday: 6 });
+            expect(localTime(instant, 'America/New_York')).toMatchObject({ day: '2024-03-15', hour: 19, weekday: 5 });
+        });
+
+        it('should follow daylight saving time', () => {
+            expect(localTime('2024-01-15T12:00:00Z', 'Europe/Madrid').hour).toBe(13);
+            expect(localTime('2024-07-15T12:00:00Z', 'Europe/Madrid').hour).toBe(14);
+        });
+
+        it('should fall back to UTC for unknown timezones', () => {
+            expect(localTime('2024-03-15T23:30:00Z', 'Nowhere/City')).toMatchObject({ day: '2024-03-15', hour: 23 });
+            expect(localDay('2024-03-15T23:30:00Z')).toBe('2024-03-15');
+        });
+    });
+
+    describe('receiptDay', () => {
+        it('should use the printed purchase date as it is', () => {
+            expect(receiptDay({ purchaseDate: '2024-03-15T00:00:00Z', createdAt: '2024-03-17T10:00:00Z' }, 'Pacific/Honolulu')).toBe('2024-03-15');
+        });
+
+        it('should count receipts without a purchase date on the day they were added', () => {
+            expect(receiptDay({ purchaseDate: null, createdAt: '2024-03-15T23:30:00Z' }, 'Europe/Amsterdam')).toBe('2024-03-16');
+            expect(receiptDay({})).toBeNull();
+        });
+    });
+
+    describe('day arithmetic', () => {
+        it('should add days across months and years', () => {
+            expect(addDays('2024-02-28', 1)).toBe('2024-02-29');
+            expect(addDays('2024-12-31', 1)).toBe('2025-01-01');
+            expect(addDays('2024-03-01', -1)).toBe('2024-02-29');
+        });
+
+        it('should add months, keeping the day or using the last day of a shorter month', () => {
+            expect(addMonths('2024-01-15', 1)).toBe('2024-02-15');
+            expect(addMonths('2024-01-31', 1)).toBe('2024-02-29');
+            expect(addMonths('2024-03-31', -1)).toBe('2024-02-29');
+            expect(addMonths('2024-11-30', 3)).toBe('2025-02-28');
+        });
+
+        it('should count the days between two days', () => {
+            expect(daysBetween('2024-03-01', '2024-03-31')).toBe(30);
+            expect(daysBetween('2024-03-31', '2024-03-01')).toBe(-30);
+            // Across the change to summer time
+            expect(daysBetween('2024-03-30', '2024-04-01')).toBe(2);
+        });
+    });
+
+    describe('monthStart', () => {
+        it('should return the first day of calendar months by default', () => {
+            expect(monthStart('2024-03-15')).toBe('2024-03-01');
+        });
+
+        it('should start months on the month start day', () => {
+            expect(monthStart('2024-03-25', 25)).toBe('2024-03-25');
+            expect(monthStart('2024-03-24', 25)).toBe('2024-02-25');
+            expect(monthStart('2024-01-10', 25)).toBe('2023-12-25');
+        });
+
+        it('should clamp the month start day to 1-28', () => {
+            expect(monthStart('2024-03-29', 31)).toBe('2024-03-28');
+            expect(monthStart('2024-03-15', 0)).toBe('2024-03-01');
+        });
+    });
+
+    describe('periodRange', () => {
+        it('should return weeks from Monday to Sunday', () => {
+            expect(periodRange('weekly', '2024-03-17')).toEqual({ start: '2024-03-11', end: '2024-03-17' });
+            expect(periodRange('weekly', '2024-03-18')).toEqual({ start: '2024-03-18', end: '2024-03-24' });
+        });
+
+        it('should return months that start on the month start day', () => {
+            expect(periodRange('monthly', '2024-02-10')).toEqual({ start: '2024-02-01', end: '2024-02-29' });
+            expect(periodRange('monthly', '2024-02-10', 25)).toEqual({ start: '2024-01-25', end: '2024-02-24' });
+        });
+
+        it('should return years that start in January on the month start day', () => {
+            expect(periodRange('yearly', '2024-06-01')).toEqual({ start: '2024-01-01', end: '2024-12-31' });
+            expect(periodRange('yearly', '2024-01-10', 25)).toEqual({ start: '2023-01-25', end: '2024-01-24' });
+        });
+
+        it('should end a period the day before the next one starts', () => {
+            expect(periodEnd('weekly', '2024-03-11')).toBe('2024-03-17');
+            expect(periodEnd('monthly', '2024-01-31')).toBe('2024-02-28');
+        });
+    });
+
+    describe('SQL expressions', () => {
+        it('should read the creation time in a checked timezone', () => {
+            expect(receiptDaySql('Europe/Amsterdam')).toBe(
+                "COALESCE((purchase_date AT TIME ZONE 'UTC')::date, (created_at AT TIME ZONE 'Europe/Amsterdam')::date)"
+            );
+            expect(receiptDaySql("x'; DROP TABLE receipts; --", { purchaseDate: 'r.purchase_date', createdAt: 'r.created_at' })).toBe(
+                "COALESCE((r.purchase_date AT TIME ZONE 'UTC')::date, (r.created_at AT TIME ZONE 'UTC')::date)"
+            );
+        });
+
+        it('should shift months by the month start day', () => {
+            expect(monthStartSql('day')).toBe("DATE_TRUNC('month', (day)::timestamp)::date");
+            expect(monthStartSql('day', 25)).toBe("(DATE_TRUNC('month', ((day) - 24)::timestamp) + INTERVAL '24 days')::date");
+        });
+    });
+});
@@ -0,0 +1,156 @@
+import { describe, it, expect } from '@jest/globals';
+import { parseMessage, decodeHeaderValue, parseHeaderParams, parseAddresses, htmlToText } from '../../../src/utils/mime.js';
+
+const lines = (...parts) => parts.join('\r\n');
+
+const FORWARDED_RECEIPT = lines(
+    'Return-Path: <me@example.com>',
+    'From: Me <Me@Example.com>',
+    'To: receipts+0123456789abcdef01234567@in.tallylens.app',
+    'Cc: "Partner, Home" <partner@example.com>',
+    'Subject: =?UTF-8?Q?Fwd:_Ihre_Rechnung_f=C3=BCr?=',
+    ' =?UTF-8?B?IEJlc3RlbGx1bmcgNDI=?=',
+    'Message-ID: <abc123@example.com>',
+    'Date: Fri, 15 Mar 2024 10:30:00 +0100',
+    'MIME-Version: 1.0',
+    'Content-Type: multipart/mixed; boundary="outer"',
+    '',
+    'This is a multi-part message in MIME format.',
+    '--outer',
+    'Content-Type: multipart/alternative; boundary=inner',
+    '',
+    '--inner',
+    'Content-Type: text/plain; charset=iso-8859-1',
+    'Content-Transfer-Encoding: quoted-printable',
+    '',
+    'Total: 12,50 =80 =',
+    'incl. BTW',
+    '--inner',
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    Buffer.from('<p>Total: <b>12,50&nbsp;&euro;</b></p><img src="cid:logo">').toString('base64'),
+    '--inner--',
+    '--outer',
+    'Content-Type: image/png',
+    'Content-ID: <logo>',
+    'Content-Transfer-Encoding: base64',
+    '',
+    Buffer.from('logo').toString('base64'),
+    '--outer',
+    'Content-Type: application/pdf; name="=?UTF-8?B?UmVjaG51bmdfw6Qu?=pdf"',
+    "Content-Disposition: attachment; filename*0*=utf-8''Rechnung_%C3%A4; filename*1=.pdf",
+    'Content-Transfer-Encoding: base64',
+    '',
+    Buffer.from('%PDF-1.4 receipt').toString('base64'),
+    '--outer--',
+    'Epilogue'
+);
+
+describe('MIME reader', () => {
+    describe('parseMessage', () => {
+        it('should read the headers of a message', () => {
+            const message = parseMessage(Buffer.from(FORWARDED_RECEIPT, 'latin1'));
+
+            expect(message.subject).toBe('Fwd: Ihre Rechnung für Bestellung 42');
+            expect(message.from).toEqual(['me@example.com']);
+            expect(message.to).toEqual(['receipts+0123456789abcdef01234567@in.tallylens.app']);
+            expect(message.cc).toEqual(['partner@example.com']);
+            expect(message.messageId).toBe('abc123@example.com');
+            expect(message.date.toISOString()).toBe('2024-03-15T09:30:00.000Z');
+            expect(message.headers['return-path']).toEqual(['<me@example.com>']);
+        });
+
+        it('should decode the text and HTML bodies in their charsets', () => {
+            const message = parseMessage(Buffer.from(FORWARDED_RECEIPT, 'latin1'));
+
+            expect(message.text).toBe('Total: 12,50 € incl. BTW');
+            expect(message.html).toBe('<p>Total: <b>12,50&nbsp;&euro;</b></p><img src="cid:logo">');
+        });
+
+        it('should read attachments and tell inline images apart', () => {
+            const { attachments } = parseMessage(Buffer.from(FORWARDED_RECEIPT, 'latin1'));
+
+            expect(attachments.map(({ filename, contentType, inline }) => ({ filename, contentType, inline }))).toEqual([
+                { filename: null, contentType: 'image/png', inline: true },
+                { filename: 'Rechnung_ä.pdf', contentType: 'application/pdf', inline: false }
+            ]);
+            expect(attachments[1].content.toString()).toBe('%PDF-1.4 receipt');
+        });
+
+        it('should read the body of a forwarded message', () => {
+            const raw = lines(
+                'From: me@example.com',
+                'Subject: Fwd: receipt',
+                'Content-Type: multipart/mixed; boundary=b',
+                '',
+                '--b',
+                'Content-Type: text/plain',
+                '',
+                'See attached',
+                '--b',
+                'Content-Type: message/rfc822',
+                '',
+                'From: shop@example.com',
+                'Content-Type: text/html',
+                '',
+                '<table><tr><td>Coffee</td><td>3.20</td></tr></table>',
+                '--b--'
+            );
+
+            const message = parseMessage(raw);
+
+            expect(message.from).toEqual(['me@example.com']);
+            expect(message.text).toBe('See attached');
+            expect(message.html).toBe('<table><tr><td>Coffee</td><td>3.20</td></tr></table>');
+        });
+
+        it('should read a message without a closing delimiter or any MIME headers', () => {
+            const truncated = parseMessage(lines(
+                'Content-Type: multipart/mixed; boundary=b',
+                '',
+                '--b',
+                'Content-Type: text/plain',
+                '',
+                'Last part'
+            ));
+            expect(truncated.text).toBe('Last part');
+
+            const plain = parseMessage('Subject: Receipt\n\nTotal 5.00');
+            expect(plain).toMatchObject({ subject: 'Receipt', text: 'Total 5.00', html: null, attachments: [], from: [], messageId: null, date: null });
+        });
+    });
+
+    describe('decodeHeaderValue', () => {
+        it('should decode encoded words and join adjacent ones', () => {
+            expect(decodeHeaderValue('=?ISO-8859-1?Q?Caf=E9?= =?ISO-8859-1?Q?_Central?=')).toBe('Café Central');
+            expect(decodeHeaderValue('Order =?utf-8?B?4oKsIDEw?= paid')).toBe('Order € 10 paid');
+        });
+    });
+
+    describe('parseHeaderParams', () => {
+        it('should split a value from its parameters', () => {
+            expect(parseHeaderParams('text/HTML; charset="UTF-8"; format=flowed')).toEqual({
+                value: 'text/html',
+                params: { charset: 'UTF-8', format: 'flowed' }
+            });
+        });
+    });
+
+    describe('parseAddresses', () => {
+        it('should return the lower-cased addresses of a header', () => {
+            expect(parseAddresses('"Shop, Inc." <Orders@Shop.com>, me@example.com, undisclosed-recipients:;'))
+                .toEqual(['orders@shop.com', 'me@example.com']);
+        });
+    });
+
+    describe('htmlToText', () => {
+        it('should keep one line per block and decode entities', () => {
+            const html = '<html><head><style>td { color: red }</style></head><body>'
+                + '<h1>Receipt</h1><table><tr><td>Tea</td><td>2,00&nbsp;&euro;</td></tr>'
+                + '<tr><td>Cake &amp; cream</td><td>&#8364; 3,50</td></tr></table><!-- tracking --></body></html>';
+
+            expect(htmlToText(html)).toBe('Receipt\nTea 2,00 €\nCake & cream € 3,50');
+        });
+    });
+});
@@ -0,0 +1,178 @@
+import { describe, it, expect } from '@jest/globals';
+import zlib from 'zlib';
+import { readPdf, isPdf, PdfReadError } from '../../../src/utils/pdfReader.js';
+import { buildPdf, buildPagesPdf, grayImageXObject } from '../../fixtures/pdf.js';
+
+const RECEIPT_CONTENT = [
+    'BT /F1 12 Tf 20 360 Td (SUPERMARKT DE HOEK) Tj ET',
+    'BT /F1 10 Tf 20 300 Td (Melk) Tj 200 0 Td (1,29) Tj ET',
+    'BT /F1 10 Tf 20 280 Td [(Brood)-3000(2,45)] TJ ET',
+    'BT /F1 10 Tf 20 240 Td (TOTAAL \\200 3,74) Tj ET'
+].join('\n');
+
+const scannedPage = (image = 'Im1') => `q 300 0 0 400 0 0 cm /${image} Do Q`;
+
+describe('PDF reader', () => {
+    describe('isPdf', () => {
+        it('should recognise PDF documents by their header', () => {
+            expect(isPdf(buildPagesPdf(['']))).toBe(true);
+            expect(isPdf(Buffer.from('\xEF\xBB\xBF%PDF-1.7\n', 'latin1'))).toBe(true);
+            expect(isPdf(Buffer.from('<html></html>'))).toBe(false);
+            expect(isPdf('%PDF-1.4')).toBe(false);
+        });
+    });
+
+    describe('readPdf', () => {
+        it('should read the text layer in reading order', () => {
+            const { pages, pageCount } = readPdf(buildPagesPdf([RECEIPT_CONTENT]));
+
+            expect(pageCount).toBe(1);
+            expect(pages[0].lines).toEqual(['SUPERMARKT DE HOEK', 'Melk 1,29', 'Brood 2,45', 'TOTAAL € 3,74']);
+            expect(pages[0].image).toBeNull();
+            expect(pages[0].unreadableImage).toBe(false);
+        });
+
+        it('should read compressed content streams', () => {
+            const { pages } = readPdf(buildPagesPdf([RECEIPT_CONTENT], { compress: true }));
+
+            expect(pages[0].lines[0]).toBe('SUPERMARKT DE HOEK');
+        });
+
+        it('should decode text through the ToUnicode map of a font', () => {
+            const cmap = [
+                'begincmap',
+                '1 begincodespacerange <0000> <FFFF> endcodespacerange',
+                '1 beginbfchar <0001> <20AC> endbfchar',
+                '1 beginbfrange <0010> <0019> <0030> endbfrange',
+                'endcmap'
+            ].join('\n');
+            const pdf = buildPdf([
+                '<< /Type /Catalog /Pages 2 0 R >>',
+                '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+                '<< /Type /Page /Parent 2 0 R /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+                { dict: '<< >>', stream: 'BT /F1 10 Tf 10 10 Td <0001001200130014> Tj ET' },
+                '<< /Type /Font /Subtype /Type0 /BaseFont /Receipt /DescendantFonts [6 0 R] /ToUnicode 7 0 R >>',
+                '<< /Type /Font /Subtype /CIDFontType2 /DW 500 >>',
+                { dict: '<< >>', stream: cmap }
+            ]);
+
+            expect(readPdf(pdf).pages[0].lines).toEqual(['€234']);
+        });
+
+        it('should read objects stored in object streams', () => {
+            const header = '10 0 11 88 ';
+            const objects = '<< /Type /Page /Parent 11 0 R /Contents 3 0 R /Resources << /Font << /F1 4 0 R >> >> >>'.padEnd(88)
+                + '<< /Type /Pages /Kids [10 0 R] /Count 1 >>';
+            const pdf = buildPdf([
+                '<< /Type /Catalog /Pages 11 0 R >>',
+                { dict: `<< /Type /ObjStm /N 2 /First ${header.length} /Filter /FlateDecode >>`, stream: zlib.deflateSync(header + objects) },
+                { dict: '<< >>', stream: 'BT /F1 10 Tf 10 10 Td (Kassabon) Tj ET' },
+                '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+            ]);
+
+            expect(readPdf(pdf).pages[0].lines).toEqual(['Kassabon']);
+        });
+
+        it('should return the image of a scanned page', () => {
+            const { pages } = readPdf(buildPagesPdf([scannedPage()], { xObjects: [grayImageXObject(4, 3)] }));
+
+            expect(pages[0].lines).toEqual([]);
+            expect(pages[0].image).toMatchObject({ format: 'raw', width: 4, height: 3, channels: 1 });
+            expect([...pages[0].image.data.subarray(0, 4)]).toEqual([0, 255, 0, 255]);
+        });
+
+        it('should return JPEG scans as they are stored', () => {
+            const jpeg = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10, 0xFF, 0xD9]);
+            const image = { dict: '<< /Type /XObject /Subtype /Image /Width 1 /Height 1 /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode >>', stream: jpeg };
+
+            const { pages } = readPdf(buildPagesPdf([scannedPage()], { xObjects: [image] }));
+
+            expect(pages[0].image.format).toBe('jpeg');
+            expect(pages[0].image.data.equals(jpeg)).toBe(true);
+        });
+
+        it('should expand black and white scans to gray pixels', () => {
+            const image = { dict: '<< /Type /XObject /Subtype /Image /Width 3 /Height 2 /ColorSpace /DeviceGray /BitsPerComponent 1 >>', stream: Buffer.from([0b10100000, 0b01000000]) };
+
+            const { pages } = readPdf(buildPagesPdf([scannedPage()], { xObjects: [image] }));
+
+            expect([...pages[0].image.data]).toEqual([255, 0, 255, 0, 255, 0]);
+        });
+
+        it('should use the largest image drawn on a page', () => {
+            const content = 'q 20 0 0 20 0 380 cm /Im1 Do Q q 300 0 0 300 0 0 cm /Im2 Do Q';
+            const { pages } = readPdf(buildPagesPdf([content], { xObjects: [grayImageXObject(2, 2), grayImageXObject(5, 5)] }));
+
+            expect(pages[0].image.width).toBe(5);
+        });
+
+        it('should flag scans in image formats that cannot be read', () => {
+            const image = { dict: '<< /Type /XObject /Subtype /Image /Width 10 /Height 10 /ColorSpace /DeviceGray /BitsPerComponent 8 /Filter /JPXDecode >>', stream: Buffer.alloc(16) };
+
+            const { pages } = readPdf(buildPagesPdf([scannedPage()], { xObjects: [image] }));
+
+            expect(pages[0].image).toBeNull();
+            expect(pages[0].unreadableImage).toBe(true);
+        });
+
+        it('should return nothing for pages drawn as vector graphics', () => {
+            const { pages } = readPdf(buildPagesPdf(['0 0 0 rg 10 10 m 100 10 l 100 50 l h f']));
+
+            expect(pages[0]).toEqual({ lines: [], image: null, unreadableImage: false });
+        });
+
+        it('should stop after maxPages pages and count them all', () => {
+            const contents = [1, 2, 3].map(page => `BT /F1 10 Tf 10 10 Td (Page ${page}) Tj ET`);
+            const { pages, pageCount } = readPdf(buildPagesPdf(contents), { maxPages: 2 });
+
+            expect(pages.map(page => page.lines)).toEqual([['Page 1'], ['Page 2']]);
+            expect(pageCount).toBe(3);
+        });
+
+        it('should reject files that are not PDF documents', () => {
+            expect(() => readPdf(Buffer.from('not a pdf'))).toThrow(PdfReadError);
+            expect(() => readPdf(buildPdf(['<< /Type /Catalog >>']))).toThrow('The PDF has no pages');
+        });
+
+        it('should reject encrypted documents', () => {
+            const pdf = buildPdf(['<< /Type /Catalog /Pages 2 0 R >>', '<< /Type /Pages /Kids [] /Count 0 >>', '<< /Filter /Standard /V 2 >>'])
+                .toString('latin1')
+                .replace('/Root 1 0 R', '/Root 1 0 R /Encrypt 3 0 R');
+
+            let error;
+            try {
+                readPdf(Buffer.from(pdf, 'latin1'));
+            } catch (caught) {
+                error = caught;
+            }
+
+            expect(error).toBeInstanceOf(PdfReadError);
+            expect(error.code).toBe('encrypted');
+        });
+
+        it('should reject streams that decompress past the size limit, through every filter', () => {
+            const pixels = Buffer.alloc(4096 * 4608);
+            const bomb = {
+                dict: '<< /Type /XObject /Subtype /Image /Width 4096 /Height 4608 /ColorSpace /DeviceGray '
+                    + '/BitsPerComponent 8 /Filter [/FlateDecode /FlateDecode] >>',
+                stream: zlib.deflateSync(zlib.deflateSync(pixels))
+            };
+
+            expect(() => readPdf(buildPagesPdf([scannedPage()], { xObjects: [bomb] })))
+                .toThrow(expect.objectContaining({ code: 'too_large' }));
+        });
+
+        it('should reject documents whose streams together decompress past the size limit', () => {
+            const scan = {
+                dict: '<< /Type /XObject /Subtype /Image /Width 4096 /Height 3840 /ColorSpace /DeviceGray '
+                    + '/BitsPerComponent 8 /Filter /FlateDecode >>',
+                stream: zlib.deflateSync(Buffer.alloc(4096 * 3840))
+            };
+            const images = [1, 2, 3, 4, 5];
+
+            expect(() => readPdf(buildPagesPdf(images.map(index => scannedPage(`Im${index}`)), { xObjects: images.map(() => scan) })))
+                .toThrow(expect.objectContaining({ code: 'too_large' }));
+            expect(readPdf(buildPagesPdf([scannedPage()], { xObjects: [scan] })).pages[0].image.width).toBe(4096);
+        });
+    });
+});
@@ -0,0 +1,75 @@
+import { describe, it, expect } from '@jest/globals';
+import http from 'http';
+import { isPublicAddress, assertPublicHost, lookupPublicAddress } from '../../../src/utils/publicHost.js';
+
+describe('Public host', () => {
+    describe('isPublicAddress', () => {
+        it('should accept public IPv4 and IPv6 addresses', () => {
+            expect(isPublicAddress('8.8.8.8')).toBe(true);
+            expect(isPublicAddress('172.32.0.1')).toBe(true);
+            expect(isPublicAddress('2606:4700::1111')).toBe(true);
+            expect(isPublicAddress('::ffff:8.8.8.8')).toBe(true);
+        });
+
+        it('should refuse loopback, private, link-local and reserved addresses', () => {
+            for (const address of ['127.0.0.1', '10.1.2.3', '172.16.5.4', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '255.255.255.255', '224.0.0.1']) {
+                expect(isPublicAddress(address)).toBe(false);
+            }
+            for (const address of ['::', '::1', 'fe80::1', 'fd00::1', 'ff02::1', '::ffff:127.0.0.1', '::ffff:7f00:1', '::127.0.0.1']) {
+                expect(isPublicAddress(address)).toBe(false);
+            }
+        });
+
+        it('should refuse what is not an IP address', () => {
+            expect(isPublicAddress('example.com')).toBe(false);
+            expect(isPublicAddress('')).toBe(false);
+        });
+    });
+
+    describe('assertPublicHost', () => {
+        it('should return the address of a public IP host', async () => {
+            expect(await assertPublicHost('https://8.8.8.8/hooks')).toEqual(['8.8.8.8']);
+            expect(await assertPublicHost('https://[2606:4700::1111]:8443/hooks')).toEqual(['2606:4700::1111']);
+        });
+
+        it('should refuse local hosts in any notation', async () => {
+            await expect(assertPublicHost('http://localhost:3000/hooks')).rejects.toThrow('localhost is not a public host');
+            await expect(assertPublicHost('http://api.localhost/hooks')).rejects.toThrow('api.localhost is not a public host');
+            await expect(assertPublicHost('http://[::1]/hooks')).rejects.toThrow('::1 resolves to ::1, which is not a public address');
+            await expect(assertPublicHost('http://0x7f.1/hooks')).rejects.toThrow('127.0.0.1 resolves to 127.0.0.1');
+            await expect(assertPublicHost('http://2130706433/hooks')).rejects.toThrow('127.0.0.1 resolves to 127.0.0.1');
+            await expect(assertPublicHost('http://169.254.169.254/latest/meta-data')).rejects.toThrow('not a public address');
+        });
+    });
+
+    describe('lookupPublicAddress', () => {
+        const lookup = (hostname, options) => new Promise((resolve, reject) => {
+            lookupPublicAddress(hostname, options, (error, address, family) => (error ? reject(error) : resolve({ address, family })));
+        });
+
+        it('should pass public addresses through in both lookup forms', async () => {
+            expect(await lookup('8.8.8.8', {})).toEqual({ address: '8.8.8.8', family: 4 });
+            expect(await lookup('8.8.8.8', { all: true })).toEqual({ address: [{ address: '8.8.8.8', family: 4 }], family: undefined });
+        });
+
+        it('should fail when the host resolves to an address that is not public', async () => {
+            await expect(lookup('localhost', {})).rejects.toThrow('which is not a public address');
+            await expect(lookup('localhost', { all: true })).rejects.toThrow('which is not a public address');
+        });
+
+        it('should keep connections away from local servers', async () => {
+            const server = http.createServer((request, response) => response.end('ok'));
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+            try {
+                const request = http.get(`http://localhost:${server.address().port}/`, { lookup: lookupPublicAddress });
+                await expect(new Promise((resolve, reject) => {
+                    request.on('response', resolve);
+                    request.on('error', reject);
+                })).rejects.toThrow('which is not a public address');
+            } finally {
+                server.close();
+            }
+        });
+    });
+});
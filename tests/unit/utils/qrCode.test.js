@@ -0,0 +1,120 @@
+import { describe, it, expect } from '@jest/globals';
+import sharp from 'sharp';
+import { decodeQrCodes, decodeGrid } from '../../../src/utils/qrCode.js';
+import { QR_CODES } from '../../fixtures/qrCodes.js';
+
+const toGrid = rows => rows.map(row => Uint8Array.from(row, module => (module === '#' ? 1 : 0)));
+
+// Grayscale image of codes drawn side by side, with a quiet zone of 4 modules
+function render(codes, { scale = 4, background = 255 } = {}) {
+    const grids = codes.map(code => toGrid(code.rows));
+    const height = Math.max(...grids.map(grid => grid.length + 8)) * scale;
+    const width = grids.reduce((sum, grid) => sum + (grid.length + 8) * scale, 0);
+    const data = new Uint8Array(width * height).fill(background);
+
+    let left = 0;
+    for (const grid of grids) {
+        grid.forEach((row, y) => row.forEach((dark, x) => {
+            if (!dark) return;
+            for (let dy = 0; dy < scale; dy++) {
+                const offset = ((y + 4) * scale + dy) * width + left + (x + 4) * scale;
+                data.fill(0, offset, offset + scale);
+            }
+        }));
+        left += (grid.length + 8) * scale;
+    }
+    return { data, width, height };
+}
+
+async function transform(image, apply) {
+    const { data, info } = await apply(sharp(Buffer.from(image.data), { raw: { width: image.width, height: image.height, channels: 1 } }))
+        .greyscale()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height };
+}
+
+describe('QR code reader', () => {
+    describe('decodeGrid', () => {
+        it('should decode a module grid', () => {
+            const result = decodeGrid(toGrid(QR_CODES.hello.rows));
+
+            expect(result).toEqual({ text: QR_CODES.hello.text, version: 1, errorCorrectionLevel: 'L' });
+        });
+
+        it('should read the version information of large codes', () => {
+            const result = decodeGrid(toGrid(QR_CODES.atcud.rows));
+
+            expect(result.version).toBe(9);
+            expect(result.errorCorrectionLevel).toBe('M');
+            expect(result.text).toBe(QR_CODES.atcud.text);
+        });
+
+        it('should correct damaged modules', () => {
+            const grid = toGrid(QR_CODES.ticketbai.rows);
+            for (const [x, y] of [[12, 12], [20, 15], [30, 30], [15, 25], [25, 35], [35, 20]]) {
+                grid[y][x] ^= 1;
+            }
+
+            expect(decodeGrid(grid)?.text).toBe(QR_CODES.ticketbai.text);
+        });
+
+        it('should return null for a grid that is not a code', () => {
+            const grid = Array.from({ length: 21 }, (_, y) => Uint8Array.from({ length: 21 }, (_, x) => (x * y) % 2));
+
+            expect(decodeGrid(grid)).toBeNull();
+        });
+    });
+
+    describe('decodeQrCodes', () => {
+        it('should find and decode a code in an image', () => {
+            const results = decodeQrCodes(render([QR_CODES.ticketbai]));
+
+            expect(results).toHaveLength(1);
+            expect(results[0].text).toBe(QR_CODES.ticketbai.text);
+        });
+
+        it('should decode small modules', () => {
+            const results = decodeQrCodes(render([QR_CODES.hello], { scale: 3 }));
+
+            expect(results.map(result => result.text)).toEqual([QR_CODES.hello.text]);
+        });
+
+        it('should decode rotated codes', async () => {
+            const image = render([QR_CODES.atcud], { scale: 5 });
+
+            for (const angle of [90, 25, 200]) {
+                const rotated = await transform(image, input => input.rotate(angle, { background: '#ffffff' }));
+                expect(decodeQrCodes(rotated).map(result => result.text)).toEqual([QR_CODES.atcud.text]);
+            }
+        });
+
+        it('should decode a blurred, sheared and unevenly lit photo', async () => {
+            const image = render([QR_CODES.ticketbai], { scale: 6 });
+            const photo = await transform(image, input => input
+                .affine([[1, 0.15], [0.05, 0.95]], { background: '#ffffff' })
+                .blur(1.2)
+                .linear(0.8, 20));
+
+            expect(decodeQrCodes(photo).map(result => result.text)).toEqual([QR_CODES.ticketbai.text]);
+        });
+
+        it('should decode every code in an image', () => {
+            const texts = decodeQrCodes(render([QR_CODES.hello, QR_CODES.ticketbai])).map(result => result.text);
+
+            expect(texts.sort()).toEqual([QR_CODES.hello.text, QR_CODES.ticketbai.text].sort());
+        });
+
+        it('should stop after maxCodes codes', () => {
+            const results = decodeQrCodes(render([QR_CODES.hello, QR_CODES.ticketbai]), { maxCodes: 1 });
+
+            expect(results).toHaveLength(1);
+        });
+
+        it('should return no codes for an image without any', () => {
+            const blank = { data: new Uint8Array(400 * 300).fill(230), width: 400, height: 300 };
+
+            expect(decodeQrCodes(blank)).toEqual([]);
+        });
+    });
+});
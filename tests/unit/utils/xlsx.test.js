@@ -0,0 +1,90 @@
+import { describe, it, expect } from '@jest/globals';
+import { xlsxStream } from '../../../src/utils/xlsx.js';
+import { collect, readZip } from '../../fixtures/zip.js';
+
+const COLUMNS = [
+    { header: 'Date', type: 'date' },
+    { header: 'Merchant' },
+    { header: 'Amount', type: 'amount' },
+    { header: 'Items', type: 'number' },
+    { header: 'Business', type: 'boolean' },
+    { header: 'Tags', type: 'list' }
+];
+
+async function* rowsOf(rows) {
+    yield* rows;
+}
+
+async function readWorkbook(columns, rows, options) {
+    const entries = readZip(await collect(xlsxStream(columns, rowsOf(rows), options)));
+    return Object.fromEntries(entries.map(entry => [entry.name, entry.content.toString('utf8')]));
+}
+
+// Cells of each <row> of the worksheet, as XML
+function sheetRows(sheet) {
+    return [...sheet.matchAll(/<row>(.*?)<\/row>/g)].map(match => match[1].match(/<c\b[^>]*\/>|<c\b.*?<\/c>/g));
+}
+
+describe('XLSX writer', () => {
+    describe('xlsxStream', () => {
+        it('should write the parts of a workbook', async () => {
+            const parts = await readWorkbook(COLUMNS, []);
+
+            expect(Object.keys(parts)).toEqual([
+                '[Content_Types].xml',
+                '_rels/.rels',
+                'xl/workbook.xml',
+                'xl/_rels/workbook.xml.rels',
+                'xl/styles.xml',
+                'xl/worksheets/sheet1.xml'
+            ]);
+            expect(parts['xl/workbook.xml']).toContain('<sheet name="Sheet1" sheetId="1" r:id="rId1"/>');
+        });
+
+        it('should write a bold header row', async () => {
+            const parts = await readWorkbook(COLUMNS, []);
+            const [header] = sheetRows(parts['xl/worksheets/sheet1.xml']);
+
+            expect(header).toHaveLength(COLUMNS.length);
+            expect(header[0]).toBe('<c t="inlineStr" s="3"><is><t xml:space="preserve">Date</t></is></c>');
+        });
+
+        it('should write each cell by its column type', async () => {
+            const parts = await readWorkbook(COLUMNS, [
+                ['2024-03-15T10:30:00Z', 'Café & Co <Centrum>', '12.5', 3, true, ['food', 'team']]
+            ]);
+            const [, row] = sheetRows(parts['xl/worksheets/sheet1.xml']);
+
+            expect(row).toEqual([
+                '<c s="1"><v>45366</v></c>',
+                '<c t="inlineStr"><is><t xml:space="preserve">Café &amp; Co &lt;Centrum&gt;</t></is></c>',
+                '<c s="2"><v>12.5</v></c>',
+                '<c><v>3</v></c>',
+                '<c t="b"><v>1</v></c>',
+                '<c t="inlineStr"><is><t xml:space="preserve">food, team</t></is></c>'
+            ]);
+        });
+
+        it('should write empty cells and keep values that do not fit their type as text', async () => {
+            const parts = await readWorkbook(COLUMNS, [
+                [null, undefined, 'n/a', '', false, 'personal\u0007']
+            ]);
+            const [, row] = sheetRows(parts['xl/worksheets/sheet1.xml']);
+
+            expect(row).toEqual([
+                '<c/>',
+                '<c/>',
+                '<c t="inlineStr"><is><t xml:space="preserve">n/a</t></is></c>',
+                '<c/>',
+                '<c t="b"><v>0</v></c>',
+                '<c t="inlineStr"><is><t xml:space="preserve">personal</t></is></c>'
+            ]);
+        });
+
+        it('should name the sheet, at most 31 characters', async () => {
+            const parts = await readWorkbook(COLUMNS, [], { sheetName: 'Receipts "2024" & expense reports of the team' });
+
+            expect(parts['xl/workbook.xml']).toContain('<sheet name="Receipts &quot;2024&quot; &amp; expense repor"');
+        });
+    });
+});
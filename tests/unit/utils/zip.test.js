@@ -0,0 +1,67 @@
+import { describe, it, expect } from '@jest/globals';
+import zlib from 'zlib';
+import { zipStream } from '../../../src/utils/zip.js';
+import { collect, readZip } from '../../fixtures/zip.js';
+
+describe('ZIP writer', () => {
+    describe('zipStream', () => {
+        it('should write an archive of the entries', async () => {
+            const archive = await collect(zipStream([
+                { name: 'receipts.csv', content: 'date,amount\r\n2024-03-15,12.50\r\n' },
+                { name: 'images/ticket.jpg', content: Buffer.from([0xFF, 0xD8, 0x00, 0xFF, 0xD9]) }
+            ]));
+
+            const entries = readZip(archive);
+
+            expect(entries.map(entry => entry.name)).toEqual(['receipts.csv', 'images/ticket.jpg']);
+            expect(entries[0].content.toString()).toBe('date,amount\r\n2024-03-15,12.50\r\n');
+            expect([...entries[1].content]).toEqual([0xFF, 0xD8, 0x00, 0xFF, 0xD9]);
+        });
+
+        it('should record the size and checksum of each entry', async () => {
+            const content = 'Ticket '.repeat(1000);
+            const [entry] = readZip(await collect(zipStream([{ name: 'ticket.txt', content }])));
+
+            expect(entry.size).toBe(content.length);
+            expect(entry.compressedSize).toBeLessThan(content.length);
+            expect(entry.crc).toBe(zlib.crc32(Buffer.from(content)));
+        });
+
+        it('should compress entries produced by async iterables', async () => {
+            async function* rows() {
+                for (let i = 0; i < 500; i++) {
+                    yield `row ${i}\n`;
+                }
+                yield Buffer.from('last\n');
+            }
+
+            const [entry] = readZip(await collect(zipStream([{ name: 'rows.txt', content: rows() }])));
+            const text = entry.content.toString();
+
+            expect(text.startsWith('row 0\nrow 1\n')).toBe(true);
+            expect(text.endsWith('row 499\nlast\n')).toBe(true);
+            expect(entry.size).toBe(Buffer.byteLength(text));
+        });
+
+        it('should keep UTF-8 names', async () => {
+            const archive = await collect(zipStream([{ name: 'Überweisung €.txt', content: '' }]));
+
+            expect(readZip(archive).map(entry => entry.name)).toEqual(['Überweisung €.txt']);
+            // Bit 11 of the flags: names are UTF-8
+            expect(archive.readUInt16LE(6) & 0x0800).toBe(0x0800);
+        });
+
+        it('should write an empty archive', async () => {
+            expect(readZip(await collect(zipStream([])))).toEqual([]);
+        });
+
+        it('should fail when an entry cannot be produced', async () => {
+            async function* failing() {
+                yield 'partial';
+                throw new Error('Database gone');
+            }
+
+            await expect(collect(zipStream([{ name: 'broken.txt', content: failing() }]))).rejects.toThrow('Database gone');
+        });
+    });
+});